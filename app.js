@@ -0,0 +1,179 @@
+const express = require('express');
+const http = require('http');
+const path = require('path');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+require('dotenv').config();
+
+const db = require('./config/database');
+const { auth } = require('./middleware/auth');
+const socketService = require('./services/socketService');
+
+/**
+ * Fabrique de l'application ChapChap
+ * Construit l'application Express et le serveur HTTP sans écouter de port,
+ * afin que server.js et les tests puissent l'utiliser chacun à leur manière
+ */
+
+// Routeurs de l'API, montés sous /api
+const API_ROUTES = {
+  '/auth': './routes/auth',
+  '/users': './routes/users',
+  '/trips': './routes/trips',
+  '/packages': './routes/packages',
+  '/recipients': './routes/recipients',
+  '/payments': './routes/payments',
+  '/insurance': './routes/insurance',
+  '/messages': './routes/messages',
+  '/files': './routes/files',
+  '/documents': './routes/documents',
+  '/tracking': './routes/tracking',
+  '/disputes': './routes/disputes',
+  '/visual-tracking': './routes/visualTracking',
+  '/geolocation': './routes/geolocation',
+  '/geography': './routes/geography',
+  '/matching': './routes/matching',
+  '/saved-searches': './routes/savedSearches',
+  '/package-requests': './routes/packageRequests',
+  '/notifications': './routes/notifications',
+  '/ratings': './routes/ratings',
+  '/analytics': './routes/analytics',
+  '/admin': './routes/admin'
+};
+
+const DEFAULT_RATE_LIMIT = {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300
+};
+
+/**
+ * Créer l'application
+ * @param {Object} options - Options de configuration
+ * @param {boolean} options.enableSockets - Attacher Socket.IO au serveur HTTP (true par défaut)
+ * @param {boolean|Object} options.rateLimit - Limitation de débit ({ windowMs, max }), false pour désactiver
+ * @param {string|Array} options.corsOrigin - Origine(s) autorisée(s) par CORS
+ * @param {string} options.uploadsDir - Dossier des fichiers uploadés
+ * @param {Object} options.db - Module de base de données utilisé par /ready
+ * @returns {Object} { app, server }
+ */
+const createApp = (options = {}) => {
+  const {
+    enableSockets = true,
+    rateLimit: rateLimitOptions = process.env.NODE_ENV === 'test' ? false : DEFAULT_RATE_LIMIT,
+    corsOrigin = process.env.CLIENT_URL || '*',
+    uploadsDir = path.join(__dirname, 'uploads'),
+    db: database = db
+  } = options;
+
+  const app = express();
+
+  // Render et la plupart des hébergeurs placent l'API derrière un proxy
+  app.set('trust proxy', 1);
+
+  // Sécurité et parsing
+  app.use(helmet({
+    crossOriginResourcePolicy: { policy: 'cross-origin' }
+  }));
+  app.use(cors({
+    origin: corsOrigin,
+    credentials: corsOrigin !== '*'
+  }));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  if (rateLimitOptions) {
+    app.use('/api', rateLimit({
+      ...DEFAULT_RATE_LIMIT,
+      ...rateLimitOptions,
+      standardHeaders: true,
+      legacyHeaders: false,
+      message: {
+        error: 'Trop de requêtes, veuillez réessayer plus tard.'
+      }
+    }));
+  }
+
+  // Accueil de l'API
+  app.get('/', (req, res) => {
+    res.json({
+      message: `Bienvenue sur l'API ${process.env.APP_NAME || 'Chapchap'}`,
+      version: process.env.APP_VERSION || '1.0.0',
+      environment: process.env.NODE_ENV || 'development'
+    });
+  });
+
+  // Vivacité : le processus répond
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Disponibilité : la base de données répond
+  app.get('/ready', async (req, res) => {
+    try {
+      await database.query('SELECT 1');
+      res.json({
+        status: 'ready',
+        database: 'ok'
+      });
+    } catch (error) {
+      res.status(503).json({
+        status: 'unavailable',
+        database: 'error'
+      });
+    }
+  });
+
+  // Les documents d'identité, les preuves de remise et les preuves de litige ne sont servis
+  // que par l'API, avec contrôle d'accès
+  app.use(['/uploads/documents', '/uploads/handovers', '/uploads/disputes'], (req, res) => {
+    res.status(404).json({
+      error: 'Route non trouvée'
+    });
+  });
+
+  // Fichiers uploadés, réservés aux utilisateurs connectés
+  app.use('/uploads', auth, express.static(uploadsDir, { fallthrough: false }));
+
+  // Routes de l'API
+  Object.entries(API_ROUTES).forEach(([prefix, modulePath]) => {
+    app.use(`/api${prefix}`, require(modulePath));
+  });
+
+  // Route inconnue
+  app.use((req, res) => {
+    res.status(404).json({
+      error: 'Route non trouvée'
+    });
+  });
+
+  // Gestionnaire d'erreurs global
+  app.use((error, req, res, next) => {
+    const status = error.statusCode || error.status || 500;
+
+    if (status >= 500) {
+      console.error('Erreur non gérée:', error);
+    }
+
+    res.status(status).json({
+      error: status >= 500 ? 'Erreur interne du serveur' : error.message
+    });
+  });
+
+  const server = http.createServer(app);
+
+  if (enableSockets) {
+    socketService.initialize(server);
+  }
+
+  return { app, server };
+};
+
+module.exports = {
+  createApp,
+  API_ROUTES
+};
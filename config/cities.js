@@ -0,0 +1,166 @@
+/**
+ * Référentiel des villes desservies par les voyageurs ChapChap
+ * Identifiant canonique "<pays>-<ville>", coordonnées (degrés décimaux) pour les calculs
+ * de distance et appellations courantes reconnues à la saisie (sans tenir compte des accents)
+ */
+
+// [pays (ISO 3166-1 alpha-2), identifiant, nom, latitude, longitude, autres appellations]
+const CITY_ROWS = [
+  // Amérique du Nord
+  ['CA', 'ca-montreal', 'Montréal', 45.5019, -73.5674, ['MTL']],
+  ['CA', 'ca-quebec', 'Québec', 46.8139, -71.2080, ['Ville de Québec', 'Quebec City']],
+  ['CA', 'ca-laval', 'Laval', 45.6066, -73.7124],
+  ['CA', 'ca-longueuil', 'Longueuil', 45.5312, -73.5181],
+  ['CA', 'ca-gatineau', 'Gatineau', 45.4765, -75.7013],
+  ['CA', 'ca-sherbrooke', 'Sherbrooke', 45.4042, -71.8929],
+  ['CA', 'ca-trois-rivieres', 'Trois-Rivières', 46.3432, -72.5477],
+  ['CA', 'ca-ottawa', 'Ottawa', 45.4215, -75.6972],
+  ['CA', 'ca-toronto', 'Toronto', 43.6532, -79.3832],
+  ['CA', 'ca-moncton', 'Moncton', 46.0878, -64.7782],
+  ['CA', 'ca-halifax', 'Halifax', 44.6488, -63.5752],
+  ['CA', 'ca-winnipeg', 'Winnipeg', 49.8951, -97.1384],
+  ['CA', 'ca-calgary', 'Calgary', 51.0447, -114.0719],
+  ['CA', 'ca-edmonton', 'Edmonton', 53.5461, -113.4938],
+  ['CA', 'ca-vancouver', 'Vancouver', 49.2827, -123.1207],
+  ['US', 'us-new-york', 'New York', 40.7128, -74.0060, ['New York City', 'NYC']],
+  ['US', 'us-washington', 'Washington', 38.9072, -77.0369, ['Washington DC', 'Washington D.C.']],
+  ['US', 'us-boston', 'Boston', 42.3601, -71.0589],
+  ['US', 'us-philadelphia', 'Philadelphie', 39.9526, -75.1652, ['Philadelphia']],
+  ['US', 'us-atlanta', 'Atlanta', 33.7490, -84.3880],
+  ['US', 'us-miami', 'Miami', 25.7617, -80.1918],
+  ['US', 'us-chicago', 'Chicago', 41.8781, -87.6298],
+  ['US', 'us-minneapolis', 'Minneapolis', 44.9778, -93.2650],
+  ['US', 'us-houston', 'Houston', 29.7604, -95.3698],
+  ['US', 'us-dallas', 'Dallas', 32.7767, -96.7970],
+  ['US', 'us-los-angeles', 'Los Angeles', 34.0522, -118.2437, ['LA']],
+  ['HT', 'ht-port-au-prince', 'Port-au-Prince', 18.5944, -72.3074],
+  ['HT', 'ht-cap-haitien', 'Cap-Haïtien', 19.7590, -72.2125, ['Le Cap']],
+  ['GP', 'gp-pointe-a-pitre', 'Pointe-à-Pitre', 16.2411, -61.5331],
+  ['MQ', 'mq-fort-de-france', 'Fort-de-France', 14.6161, -61.0588],
+  ['GF', 'gf-cayenne', 'Cayenne', 4.9224, -52.3135],
+
+  // Europe
+  ['FR', 'fr-paris', 'Paris', 48.8566, 2.3522],
+  ['FR', 'fr-lyon', 'Lyon', 45.7640, 4.8357],
+  ['FR', 'fr-marseille', 'Marseille', 43.2965, 5.3698],
+  ['FR', 'fr-lille', 'Lille', 50.6292, 3.0573],
+  ['FR', 'fr-toulouse', 'Toulouse', 43.6047, 1.4442],
+  ['FR', 'fr-bordeaux', 'Bordeaux', 44.8378, -0.5792],
+  ['FR', 'fr-nantes', 'Nantes', 47.2184, -1.5536],
+  ['FR', 'fr-strasbourg', 'Strasbourg', 48.5734, 7.7521],
+  ['FR', 'fr-nice', 'Nice', 43.7102, 7.2620],
+  ['FR', 'fr-montpellier', 'Montpellier', 43.6108, 3.8767],
+  ['FR', 'fr-rouen', 'Rouen', 49.4432, 1.0999],
+  ['FR', 'fr-le-havre', 'Le Havre', 49.4944, 0.1079],
+  ['BE', 'be-bruxelles', 'Bruxelles', 50.8503, 4.3517, ['Brussels', 'Brussel']],
+  ['BE', 'be-anvers', 'Anvers', 51.2194, 4.4025, ['Antwerp', 'Antwerpen']],
+  ['BE', 'be-liege', 'Liège', 50.6326, 5.5797, ['Luik']],
+  ['BE', 'be-charleroi', 'Charleroi', 50.4108, 4.4446],
+  ['LU', 'lu-luxembourg', 'Luxembourg', 49.6116, 6.1319, ['Luxembourg-Ville']],
+  ['CH', 'ch-geneve', 'Genève', 46.2044, 6.1432, ['Geneva', 'Genf']],
+  ['CH', 'ch-lausanne', 'Lausanne', 46.5197, 6.6323],
+  ['CH', 'ch-berne', 'Berne', 46.9480, 7.4474, ['Bern']],
+  ['CH', 'ch-zurich', 'Zurich', 47.3769, 8.5417],
+  ['GB', 'gb-londres', 'Londres', 51.5074, -0.1278, ['London']],
+  ['GB', 'gb-manchester', 'Manchester', 53.4808, -2.2426],
+  ['DE', 'de-berlin', 'Berlin', 52.5200, 13.4050],
+  ['DE', 'de-francfort', 'Francfort', 50.1109, 8.6821, ['Frankfurt', 'Frankfurt am Main', 'Francfort-sur-le-Main']],
+  ['DE', 'de-munich', 'Munich', 48.1351, 11.5820, ['München', 'Muenchen']],
+  ['NL', 'nl-amsterdam', 'Amsterdam', 52.3676, 4.9041],
+  ['ES', 'es-madrid', 'Madrid', 40.4168, -3.7038],
+  ['ES', 'es-barcelone', 'Barcelone', 41.3851, 2.1734, ['Barcelona']],
+  ['PT', 'pt-lisbonne', 'Lisbonne', 38.7223, -9.1393, ['Lisbon', 'Lisboa']],
+  ['IT', 'it-rome', 'Rome', 41.9028, 12.4964, ['Roma']],
+  ['IT', 'it-milan', 'Milan', 45.4642, 9.1900, ['Milano']],
+  ['TR', 'tr-istanbul', 'Istanbul', 41.0082, 28.9784],
+
+  // Maghreb et Moyen-Orient
+  ['MA', 'ma-casablanca', 'Casablanca', 33.5731, -7.5898, ['Casa', 'Dar el Beida']],
+  ['MA', 'ma-rabat', 'Rabat', 34.0209, -6.8416],
+  ['MA', 'ma-marrakech', 'Marrakech', 31.6295, -7.9811, ['Marrakesh']],
+  ['MA', 'ma-tanger', 'Tanger', 35.7595, -5.8340, ['Tangier']],
+  ['MA', 'ma-fes', 'Fès', 34.0181, -5.0078, ['Fez']],
+  ['DZ', 'dz-alger', 'Alger', 36.7538, 3.0588, ['Algiers']],
+  ['DZ', 'dz-oran', 'Oran', 35.6971, -0.6308],
+  ['DZ', 'dz-constantine', 'Constantine', 36.3650, 6.6147],
+  ['TN', 'tn-tunis', 'Tunis', 36.8065, 10.1815],
+  ['TN', 'tn-sfax', 'Sfax', 34.7406, 10.7603],
+  ['EG', 'eg-le-caire', 'Le Caire', 30.0444, 31.2357, ['Caire', 'Cairo']],
+  ['LB', 'lb-beyrouth', 'Beyrouth', 33.8938, 35.5018, ['Beirut']],
+  ['AE', 'ae-dubai', 'Dubaï', 25.2048, 55.2708],
+
+  // Afrique de l'Ouest
+  ['SN', 'sn-dakar', 'Dakar', 14.7167, -17.4677],
+  ['SN', 'sn-thies', 'Thiès', 14.7910, -16.9359],
+  ['SN', 'sn-saint-louis', 'Saint-Louis', 16.0326, -16.4818, ['Ndar']],
+  ['SN', 'sn-touba', 'Touba', 14.8500, -15.8833],
+  ['SN', 'sn-ziguinchor', 'Ziguinchor', 12.5681, -16.2719],
+  ['CI', 'ci-abidjan', 'Abidjan', 5.3600, -4.0083, ['Babi']],
+  ['CI', 'ci-yamoussoukro', 'Yamoussoukro', 6.8276, -5.2893, ['Yakro']],
+  ['CI', 'ci-bouake', 'Bouaké', 7.6906, -5.0303],
+  ['CI', 'ci-san-pedro', 'San-Pédro', 4.7485, -6.6363],
+  ['CI', 'ci-korhogo', 'Korhogo', 9.4580, -5.6296],
+  ['CI', 'ci-daloa', 'Daloa', 6.8774, -6.4502],
+  ['ML', 'ml-bamako', 'Bamako', 12.6392, -8.0029],
+  ['ML', 'ml-kayes', 'Kayes', 14.4469, -11.4456],
+  ['ML', 'ml-sikasso', 'Sikasso', 11.3176, -5.6665],
+  ['BF', 'bf-ouagadougou', 'Ouagadougou', 12.3714, -1.5197, ['Ouaga']],
+  ['BF', 'bf-bobo-dioulasso', 'Bobo-Dioulasso', 11.1771, -4.2979, ['Bobo']],
+  ['NE', 'ne-niamey', 'Niamey', 13.5116, 2.1254],
+  ['GN', 'gn-conakry', 'Conakry', 9.6412, -13.5784],
+  ['GN', 'gn-kankan', 'Kankan', 10.3854, -9.3057],
+  ['TG', 'tg-lome', 'Lomé', 6.1256, 1.2254],
+  ['BJ', 'bj-cotonou', 'Cotonou', 6.3703, 2.3912],
+  ['BJ', 'bj-porto-novo', 'Porto-Novo', 6.4969, 2.6289],
+  ['BJ', 'bj-parakou', 'Parakou', 9.3372, 2.6303],
+  ['GH', 'gh-accra', 'Accra', 5.6037, -0.1870],
+  ['GH', 'gh-kumasi', 'Kumasi', 6.6885, -1.6244],
+  ['NG', 'ng-lagos', 'Lagos', 6.5244, 3.3792],
+  ['NG', 'ng-abuja', 'Abuja', 9.0765, 7.3986],
+  ['MR', 'mr-nouakchott', 'Nouakchott', 18.0735, -15.9582],
+  ['GM', 'gm-banjul', 'Banjul', 13.4549, -16.5790],
+  ['GW', 'gw-bissau', 'Bissau', 11.8636, -15.5977],
+  ['CV', 'cv-praia', 'Praia', 14.9330, -23.5133],
+
+  // Afrique centrale et de l'Est, océan Indien
+  ['CM', 'cm-douala', 'Douala', 4.0511, 9.7679],
+  ['CM', 'cm-yaounde', 'Yaoundé', 3.8480, 11.5021],
+  ['CM', 'cm-bafoussam', 'Bafoussam', 5.4781, 10.4176],
+  ['CM', 'cm-garoua', 'Garoua', 9.3017, 13.3921],
+  ['GA', 'ga-libreville', 'Libreville', 0.4162, 9.4673],
+  ['GA', 'ga-port-gentil', 'Port-Gentil', -0.7193, 8.7815],
+  ['CG', 'cg-brazzaville', 'Brazzaville', -4.2634, 15.2429, ['Brazza']],
+  ['CG', 'cg-pointe-noire', 'Pointe-Noire', -4.7692, 11.8664],
+  ['CD', 'cd-kinshasa', 'Kinshasa', -4.4419, 15.2663, ['Kin']],
+  ['CD', 'cd-lubumbashi', 'Lubumbashi', -11.6609, 27.4794],
+  ['CD', 'cd-goma', 'Goma', -1.6585, 29.2203],
+  ['CF', 'cf-bangui', 'Bangui', 4.3947, 18.5582],
+  ['TD', 'td-ndjamena', 'N\'Djaména', 12.1348, 15.0557, ['Ndjamena']],
+  ['RW', 'rw-kigali', 'Kigali', -1.9441, 30.0619],
+  ['BI', 'bi-bujumbura', 'Bujumbura', -3.3614, 29.3599],
+  ['DJ', 'dj-djibouti', 'Djibouti', 11.5721, 43.1456],
+  ['ET', 'et-addis-abeba', 'Addis-Abeba', 8.9806, 38.7578, ['Addis Ababa', 'Addis']],
+  ['KE', 'ke-nairobi', 'Nairobi', -1.2921, 36.8219],
+  ['ZA', 'za-johannesburg', 'Johannesburg', -26.2041, 28.0473, ['Joburg']],
+  ['MG', 'mg-antananarivo', 'Antananarivo', -18.8792, 47.5079, ['Tana', 'Tananarive']],
+  ['KM', 'km-moroni', 'Moroni', -11.7172, 43.2473],
+  ['MU', 'mu-port-louis', 'Port-Louis', -20.1609, 57.5012],
+  ['RE', 're-saint-denis', 'Saint-Denis', -20.8789, 55.4481],
+
+  // Asie
+  ['CN', 'cn-guangzhou', 'Canton', 23.1291, 113.2644, ['Guangzhou']],
+  ['CN', 'cn-shanghai', 'Shanghai', 31.2304, 121.4737],
+  ['CN', 'cn-pekin', 'Pékin', 39.9042, 116.4074, ['Beijing']]
+];
+
+const CITIES = Object.fromEntries(CITY_ROWS.map(([countryCode, id, name, latitude, longitude, aliases = []]) => [
+  id,
+  { id, countryCode, name, latitude, longitude, aliases }
+]));
+
+const isCityId = (id) => Boolean(id && CITIES[id]);
+
+module.exports = {
+  CITIES,
+  isCityId
+};
@@ -0,0 +1,273 @@
+/**
+ * Référentiel des pays (ISO 3166-1)
+ * Code alpha-2 comme identifiant canonique, nom français affiché, nom anglais
+ * et appellations courantes reconnus à la saisie (sans tenir compte des accents)
+ */
+
+// [alpha-2, alpha-3, nom français, nom anglais, autres appellations]
+const COUNTRY_ROWS = [
+  ['AD', 'AND', 'Andorre', 'Andorra'],
+  ['AE', 'ARE', 'Émirats arabes unis', 'United Arab Emirates', ['EAU', 'UAE', 'Emirats']],
+  ['AF', 'AFG', 'Afghanistan', 'Afghanistan'],
+  ['AG', 'ATG', 'Antigua-et-Barbuda', 'Antigua and Barbuda'],
+  ['AI', 'AIA', 'Anguilla', 'Anguilla'],
+  ['AL', 'ALB', 'Albanie', 'Albania'],
+  ['AM', 'ARM', 'Arménie', 'Armenia'],
+  ['AO', 'AGO', 'Angola', 'Angola'],
+  ['AQ', 'ATA', 'Antarctique', 'Antarctica'],
+  ['AR', 'ARG', 'Argentine', 'Argentina'],
+  ['AS', 'ASM', 'Samoa américaines', 'American Samoa'],
+  ['AT', 'AUT', 'Autriche', 'Austria'],
+  ['AU', 'AUS', 'Australie', 'Australia'],
+  ['AW', 'ABW', 'Aruba', 'Aruba'],
+  ['AX', 'ALA', 'Îles Åland', 'Åland Islands'],
+  ['AZ', 'AZE', 'Azerbaïdjan', 'Azerbaijan'],
+  ['BA', 'BIH', 'Bosnie-Herzégovine', 'Bosnia and Herzegovina'],
+  ['BB', 'BRB', 'Barbade', 'Barbados'],
+  ['BD', 'BGD', 'Bangladesh', 'Bangladesh'],
+  ['BE', 'BEL', 'Belgique', 'Belgium', ['Belgie', 'Belgien']],
+  ['BF', 'BFA', 'Burkina Faso', 'Burkina Faso', ['Burkina', 'Haute-Volta']],
+  ['BG', 'BGR', 'Bulgarie', 'Bulgaria'],
+  ['BH', 'BHR', 'Bahreïn', 'Bahrain'],
+  ['BI', 'BDI', 'Burundi', 'Burundi'],
+  ['BJ', 'BEN', 'Bénin', 'Benin', ['Dahomey']],
+  ['BL', 'BLM', 'Saint-Barthélemy', 'Saint Barthélemy'],
+  ['BM', 'BMU', 'Bermudes', 'Bermuda'],
+  ['BN', 'BRN', 'Brunei', 'Brunei Darussalam', ['Brunéi']],
+  ['BO', 'BOL', 'Bolivie', 'Bolivia'],
+  ['BQ', 'BES', 'Pays-Bas caribéens', 'Caribbean Netherlands', ['Bonaire']],
+  ['BR', 'BRA', 'Brésil', 'Brazil', ['Brasil']],
+  ['BS', 'BHS', 'Bahamas', 'Bahamas'],
+  ['BT', 'BTN', 'Bhoutan', 'Bhutan'],
+  ['BV', 'BVT', 'Île Bouvet', 'Bouvet Island'],
+  ['BW', 'BWA', 'Botswana', 'Botswana'],
+  ['BY', 'BLR', 'Biélorussie', 'Belarus', ['Bélarus']],
+  ['BZ', 'BLZ', 'Belize', 'Belize'],
+  ['CA', 'CAN', 'Canada', 'Canada'],
+  ['CC', 'CCK', 'Îles Cocos', 'Cocos (Keeling) Islands'],
+  ['CD', 'COD', 'République démocratique du Congo', 'Democratic Republic of the Congo', ['RDC', 'DRC', 'RD Congo', 'Congo-Kinshasa', 'Zaïre']],
+  ['CF', 'CAF', 'République centrafricaine', 'Central African Republic', ['Centrafrique', 'RCA']],
+  ['CG', 'COG', 'Congo', 'Republic of the Congo', ['République du Congo', 'Congo-Brazzaville']],
+  ['CH', 'CHE', 'Suisse', 'Switzerland', ['Schweiz', 'Svizzera']],
+  ['CI', 'CIV', 'Côte d\'Ivoire', 'Ivory Coast', ['RCI', 'Cote d Ivoire']],
+  ['CK', 'COK', 'Îles Cook', 'Cook Islands'],
+  ['CL', 'CHL', 'Chili', 'Chile'],
+  ['CM', 'CMR', 'Cameroun', 'Cameroon'],
+  ['CN', 'CHN', 'Chine', 'China'],
+  ['CO', 'COL', 'Colombie', 'Colombia'],
+  ['CR', 'CRI', 'Costa Rica', 'Costa Rica'],
+  ['CU', 'CUB', 'Cuba', 'Cuba'],
+  ['CV', 'CPV', 'Cap-Vert', 'Cabo Verde', ['Cape Verde', 'Cabo Verde']],
+  ['CW', 'CUW', 'Curaçao', 'Curaçao'],
+  ['CX', 'CXR', 'Île Christmas', 'Christmas Island'],
+  ['CY', 'CYP', 'Chypre', 'Cyprus'],
+  ['CZ', 'CZE', 'Tchéquie', 'Czechia', ['République tchèque', 'Czech Republic']],
+  ['DE', 'DEU', 'Allemagne', 'Germany', ['Deutschland']],
+  ['DJ', 'DJI', 'Djibouti', 'Djibouti'],
+  ['DK', 'DNK', 'Danemark', 'Denmark'],
+  ['DM', 'DMA', 'Dominique', 'Dominica'],
+  ['DO', 'DOM', 'République dominicaine', 'Dominican Republic'],
+  ['DZ', 'DZA', 'Algérie', 'Algeria'],
+  ['EC', 'ECU', 'Équateur', 'Ecuador'],
+  ['EE', 'EST', 'Estonie', 'Estonia'],
+  ['EG', 'EGY', 'Égypte', 'Egypt'],
+  ['EH', 'ESH', 'Sahara occidental', 'Western Sahara'],
+  ['ER', 'ERI', 'Érythrée', 'Eritrea'],
+  ['ES', 'ESP', 'Espagne', 'Spain', ['España']],
+  ['ET', 'ETH', 'Éthiopie', 'Ethiopia'],
+  ['FI', 'FIN', 'Finlande', 'Finland'],
+  ['FJ', 'FJI', 'Fidji', 'Fiji'],
+  ['FK', 'FLK', 'Îles Malouines', 'Falkland Islands'],
+  ['FM', 'FSM', 'Micronésie', 'Micronesia'],
+  ['FO', 'FRO', 'Îles Féroé', 'Faroe Islands'],
+  ['FR', 'FRA', 'France', 'France', ['France métropolitaine']],
+  ['GA', 'GAB', 'Gabon', 'Gabon'],
+  ['GB', 'GBR', 'Royaume-Uni', 'United Kingdom', ['UK', 'Angleterre', 'England', 'Grande-Bretagne', 'Great Britain']],
+  ['GD', 'GRD', 'Grenade', 'Grenada'],
+  ['GE', 'GEO', 'Géorgie', 'Georgia'],
+  ['GF', 'GUF', 'Guyane', 'French Guiana', ['Guyane française']],
+  ['GG', 'GGY', 'Guernesey', 'Guernsey'],
+  ['GH', 'GHA', 'Ghana', 'Ghana'],
+  ['GI', 'GIB', 'Gibraltar', 'Gibraltar'],
+  ['GL', 'GRL', 'Groenland', 'Greenland'],
+  ['GM', 'GMB', 'Gambie', 'Gambia', ['The Gambia']],
+  ['GN', 'GIN', 'Guinée', 'Guinea', ['Guinée-Conakry', 'Guinee Conakry']],
+  ['GP', 'GLP', 'Guadeloupe', 'Guadeloupe'],
+  ['GQ', 'GNQ', 'Guinée équatoriale', 'Equatorial Guinea'],
+  ['GR', 'GRC', 'Grèce', 'Greece'],
+  ['GS', 'SGS', 'Géorgie du Sud-et-les îles Sandwich du Sud', 'South Georgia and the South Sandwich Islands'],
+  ['GT', 'GTM', 'Guatemala', 'Guatemala'],
+  ['GU', 'GUM', 'Guam', 'Guam'],
+  ['GW', 'GNB', 'Guinée-Bissau', 'Guinea-Bissau'],
+  ['GY', 'GUY', 'Guyana', 'Guyana'],
+  ['HK', 'HKG', 'Hong Kong', 'Hong Kong'],
+  ['HM', 'HMD', 'Îles Heard-et-MacDonald', 'Heard Island and McDonald Islands'],
+  ['HN', 'HND', 'Honduras', 'Honduras'],
+  ['HR', 'HRV', 'Croatie', 'Croatia'],
+  ['HT', 'HTI', 'Haïti', 'Haiti', ['Ayiti']],
+  ['HU', 'HUN', 'Hongrie', 'Hungary'],
+  ['ID', 'IDN', 'Indonésie', 'Indonesia'],
+  ['IE', 'IRL', 'Irlande', 'Ireland'],
+  ['IL', 'ISR', 'Israël', 'Israel'],
+  ['IM', 'IMN', 'Île de Man', 'Isle of Man'],
+  ['IN', 'IND', 'Inde', 'India'],
+  ['IO', 'IOT', 'Territoire britannique de l\'océan Indien', 'British Indian Ocean Territory'],
+  ['IQ', 'IRQ', 'Irak', 'Iraq'],
+  ['IR', 'IRN', 'Iran', 'Iran'],
+  ['IS', 'ISL', 'Islande', 'Iceland'],
+  ['IT', 'ITA', 'Italie', 'Italy', ['Italia']],
+  ['JE', 'JEY', 'Jersey', 'Jersey'],
+  ['JM', 'JAM', 'Jamaïque', 'Jamaica'],
+  ['JO', 'JOR', 'Jordanie', 'Jordan'],
+  ['JP', 'JPN', 'Japon', 'Japan'],
+  ['KE', 'KEN', 'Kenya', 'Kenya'],
+  ['KG', 'KGZ', 'Kirghizistan', 'Kyrgyzstan'],
+  ['KH', 'KHM', 'Cambodge', 'Cambodia'],
+  ['KI', 'KIR', 'Kiribati', 'Kiribati'],
+  ['KM', 'COM', 'Comores', 'Comoros'],
+  ['KN', 'KNA', 'Saint-Christophe-et-Niévès', 'Saint Kitts and Nevis'],
+  ['KP', 'PRK', 'Corée du Nord', 'North Korea'],
+  ['KR', 'KOR', 'Corée du Sud', 'South Korea', ['Corée']],
+  ['KW', 'KWT', 'Koweït', 'Kuwait'],
+  ['KY', 'CYM', 'Îles Caïmans', 'Cayman Islands'],
+  ['KZ', 'KAZ', 'Kazakhstan', 'Kazakhstan'],
+  ['LA', 'LAO', 'Laos', 'Laos'],
+  ['LB', 'LBN', 'Liban', 'Lebanon'],
+  ['LC', 'LCA', 'Sainte-Lucie', 'Saint Lucia'],
+  ['LI', 'LIE', 'Liechtenstein', 'Liechtenstein'],
+  ['LK', 'LKA', 'Sri Lanka', 'Sri Lanka'],
+  ['LR', 'LBR', 'Liberia', 'Liberia'],
+  ['LS', 'LSO', 'Lesotho', 'Lesotho'],
+  ['LT', 'LTU', 'Lituanie', 'Lithuania'],
+  ['LU', 'LUX', 'Luxembourg', 'Luxembourg'],
+  ['LV', 'LVA', 'Lettonie', 'Latvia'],
+  ['LY', 'LBY', 'Libye', 'Libya'],
+  ['MA', 'MAR', 'Maroc', 'Morocco'],
+  ['MC', 'MCO', 'Monaco', 'Monaco'],
+  ['MD', 'MDA', 'Moldavie', 'Moldova'],
+  ['ME', 'MNE', 'Monténégro', 'Montenegro'],
+  ['MF', 'MAF', 'Saint-Martin', 'Saint Martin'],
+  ['MG', 'MDG', 'Madagascar', 'Madagascar'],
+  ['MH', 'MHL', 'Îles Marshall', 'Marshall Islands'],
+  ['MK', 'MKD', 'Macédoine du Nord', 'North Macedonia'],
+  ['ML', 'MLI', 'Mali', 'Mali'],
+  ['MM', 'MMR', 'Myanmar', 'Myanmar', ['Birmanie', 'Burma']],
+  ['MN', 'MNG', 'Mongolie', 'Mongolia'],
+  ['MO', 'MAC', 'Macao', 'Macao'],
+  ['MP', 'MNP', 'Îles Mariannes du Nord', 'Northern Mariana Islands'],
+  ['MQ', 'MTQ', 'Martinique', 'Martinique'],
+  ['MR', 'MRT', 'Mauritanie', 'Mauritania'],
+  ['MS', 'MSR', 'Montserrat', 'Montserrat'],
+  ['MT', 'MLT', 'Malte', 'Malta'],
+  ['MU', 'MUS', 'Maurice', 'Mauritius', ['Île Maurice']],
+  ['MV', 'MDV', 'Maldives', 'Maldives'],
+  ['MW', 'MWI', 'Malawi', 'Malawi'],
+  ['MX', 'MEX', 'Mexique', 'Mexico'],
+  ['MY', 'MYS', 'Malaisie', 'Malaysia'],
+  ['MZ', 'MOZ', 'Mozambique', 'Mozambique'],
+  ['NA', 'NAM', 'Namibie', 'Namibia'],
+  ['NC', 'NCL', 'Nouvelle-Calédonie', 'New Caledonia'],
+  ['NE', 'NER', 'Niger', 'Niger'],
+  ['NF', 'NFK', 'Île Norfolk', 'Norfolk Island'],
+  ['NG', 'NGA', 'Nigeria', 'Nigeria'],
+  ['NI', 'NIC', 'Nicaragua', 'Nicaragua'],
+  ['NL', 'NLD', 'Pays-Bas', 'Netherlands', ['Hollande', 'Holland', 'Nederland']],
+  ['NO', 'NOR', 'Norvège', 'Norway'],
+  ['NP', 'NPL', 'Népal', 'Nepal'],
+  ['NR', 'NRU', 'Nauru', 'Nauru'],
+  ['NU', 'NIU', 'Niue', 'Niue'],
+  ['NZ', 'NZL', 'Nouvelle-Zélande', 'New Zealand'],
+  ['OM', 'OMN', 'Oman', 'Oman'],
+  ['PA', 'PAN', 'Panama', 'Panama'],
+  ['PE', 'PER', 'Pérou', 'Peru'],
+  ['PF', 'PYF', 'Polynésie française', 'French Polynesia'],
+  ['PG', 'PNG', 'Papouasie-Nouvelle-Guinée', 'Papua New Guinea'],
+  ['PH', 'PHL', 'Philippines', 'Philippines'],
+  ['PK', 'PAK', 'Pakistan', 'Pakistan'],
+  ['PL', 'POL', 'Pologne', 'Poland'],
+  ['PM', 'SPM', 'Saint-Pierre-et-Miquelon', 'Saint Pierre and Miquelon'],
+  ['PN', 'PCN', 'Îles Pitcairn', 'Pitcairn Islands'],
+  ['PR', 'PRI', 'Porto Rico', 'Puerto Rico'],
+  ['PS', 'PSE', 'Palestine', 'Palestine'],
+  ['PT', 'PRT', 'Portugal', 'Portugal'],
+  ['PW', 'PLW', 'Palaos', 'Palau'],
+  ['PY', 'PRY', 'Paraguay', 'Paraguay'],
+  ['QA', 'QAT', 'Qatar', 'Qatar'],
+  ['RE', 'REU', 'La Réunion', 'Réunion', ['Réunion', 'Île de la Réunion']],
+  ['RO', 'ROU', 'Roumanie', 'Romania'],
+  ['RS', 'SRB', 'Serbie', 'Serbia'],
+  ['RU', 'RUS', 'Russie', 'Russia', ['Fédération de Russie']],
+  ['RW', 'RWA', 'Rwanda', 'Rwanda'],
+  ['SA', 'SAU', 'Arabie saoudite', 'Saudi Arabia'],
+  ['SB', 'SLB', 'Îles Salomon', 'Solomon Islands'],
+  ['SC', 'SYC', 'Seychelles', 'Seychelles'],
+  ['SD', 'SDN', 'Soudan', 'Sudan'],
+  ['SE', 'SWE', 'Suède', 'Sweden'],
+  ['SG', 'SGP', 'Singapour', 'Singapore'],
+  ['SH', 'SHN', 'Sainte-Hélène', 'Saint Helena'],
+  ['SI', 'SVN', 'Slovénie', 'Slovenia'],
+  ['SJ', 'SJM', 'Svalbard et Jan Mayen', 'Svalbard and Jan Mayen'],
+  ['SK', 'SVK', 'Slovaquie', 'Slovakia'],
+  ['SL', 'SLE', 'Sierra Leone', 'Sierra Leone'],
+  ['SM', 'SMR', 'Saint-Marin', 'San Marino'],
+  ['SN', 'SEN', 'Sénégal', 'Senegal'],
+  ['SO', 'SOM', 'Somalie', 'Somalia'],
+  ['SR', 'SUR', 'Suriname', 'Suriname'],
+  ['SS', 'SSD', 'Soudan du Sud', 'South Sudan'],
+  ['ST', 'STP', 'Sao Tomé-et-Principe', 'São Tomé and Príncipe'],
+  ['SV', 'SLV', 'Salvador', 'El Salvador'],
+  ['SX', 'SXM', 'Saint-Martin (partie néerlandaise)', 'Sint Maarten'],
+  ['SY', 'SYR', 'Syrie', 'Syria'],
+  ['SZ', 'SWZ', 'Eswatini', 'Eswatini', ['Swaziland']],
+  ['TC', 'TCA', 'Îles Turques-et-Caïques', 'Turks and Caicos Islands'],
+  ['TD', 'TCD', 'Tchad', 'Chad'],
+  ['TF', 'ATF', 'Terres australes et antarctiques françaises', 'French Southern Territories'],
+  ['TG', 'TGO', 'Togo', 'Togo'],
+  ['TH', 'THA', 'Thaïlande', 'Thailand'],
+  ['TJ', 'TJK', 'Tadjikistan', 'Tajikistan'],
+  ['TK', 'TKL', 'Tokelau', 'Tokelau'],
+  ['TL', 'TLS', 'Timor oriental', 'Timor-Leste'],
+  ['TM', 'TKM', 'Turkménistan', 'Turkmenistan'],
+  ['TN', 'TUN', 'Tunisie', 'Tunisia'],
+  ['TO', 'TON', 'Tonga', 'Tonga'],
+  ['TR', 'TUR', 'Turquie', 'Türkiye', ['Turkey']],
+  ['TT', 'TTO', 'Trinité-et-Tobago', 'Trinidad and Tobago'],
+  ['TV', 'TUV', 'Tuvalu', 'Tuvalu'],
+  ['TW', 'TWN', 'Taïwan', 'Taiwan'],
+  ['TZ', 'TZA', 'Tanzanie', 'Tanzania'],
+  ['UA', 'UKR', 'Ukraine', 'Ukraine'],
+  ['UG', 'UGA', 'Ouganda', 'Uganda'],
+  ['UM', 'UMI', 'Îles mineures éloignées des États-Unis', 'United States Minor Outlying Islands'],
+  ['US', 'USA', 'États-Unis', 'United States', ['Etats-Unis d Amerique', 'United States of America', 'Amérique']],
+  ['UY', 'URY', 'Uruguay', 'Uruguay'],
+  ['UZ', 'UZB', 'Ouzbékistan', 'Uzbekistan'],
+  ['VA', 'VAT', 'Vatican', 'Vatican City', ['Saint-Siège', 'Holy See']],
+  ['VC', 'VCT', 'Saint-Vincent-et-les-Grenadines', 'Saint Vincent and the Grenadines'],
+  ['VE', 'VEN', 'Venezuela', 'Venezuela'],
+  ['VG', 'VGB', 'Îles Vierges britanniques', 'British Virgin Islands'],
+  ['VI', 'VIR', 'Îles Vierges des États-Unis', 'United States Virgin Islands'],
+  ['VN', 'VNM', 'Viêt Nam', 'Vietnam', ['Vietnam']],
+  ['VU', 'VUT', 'Vanuatu', 'Vanuatu'],
+  ['WF', 'WLF', 'Wallis-et-Futuna', 'Wallis and Futuna'],
+  ['WS', 'WSM', 'Samoa', 'Samoa'],
+  ['YE', 'YEM', 'Yémen', 'Yemen'],
+  ['YT', 'MYT', 'Mayotte', 'Mayotte'],
+  ['ZA', 'ZAF', 'Afrique du Sud', 'South Africa'],
+  ['ZM', 'ZMB', 'Zambie', 'Zambia'],
+  ['ZW', 'ZWE', 'Zimbabwe', 'Zimbabwe']
+];
+
+const COUNTRIES = Object.fromEntries(COUNTRY_ROWS.map(([code, alpha3, name, nameEn, aliases = []]) => [
+  code,
+  { code, alpha3, name, nameEn, aliases }
+]));
+
+const COUNTRY_CODES = Object.keys(COUNTRIES);
+
+const isCountryCode = (code) => Boolean(code && COUNTRIES[code]);
+
+module.exports = {
+  COUNTRIES,
+  COUNTRY_CODES,
+  isCountryCode
+};
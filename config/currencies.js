@@ -0,0 +1,39 @@
+/**
+ * Devises acceptées par ChapChap
+ * Les francs CFA (XOF en Afrique de l'Ouest, XAF en Afrique centrale)
+ * n'ont pas de subdivision : les montants sont arrondis à l'unité
+ */
+
+const CURRENCIES = {
+  CAD: { code: 'CAD', name: 'Dollar canadien', symbol: '$', decimals: 2 },
+  USD: { code: 'USD', name: 'Dollar américain', symbol: 'US$', decimals: 2 },
+  EUR: { code: 'EUR', name: 'Euro', symbol: '€', decimals: 2 },
+  XOF: { code: 'XOF', name: 'Franc CFA (BCEAO)', symbol: 'FCFA', decimals: 0 },
+  XAF: { code: 'XAF', name: 'Franc CFA (BEAC)', symbol: 'FCFA', decimals: 0 }
+};
+
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+const DEFAULT_CURRENCY = CURRENCIES[process.env.DEFAULT_CURRENCY] ? process.env.DEFAULT_CURRENCY : 'CAD';
+
+const isSupportedCurrency = (code) => Boolean(code && CURRENCIES[code]);
+
+/**
+ * Arrondir un montant selon les règles de sa devise
+ * @param {number} amount - Montant
+ * @param {string} currency - Code ISO 4217
+ * @returns {number} Montant arrondi (à l'unité pour XOF / XAF, au centime sinon)
+ */
+const roundAmount = (amount, currency = DEFAULT_CURRENCY) => {
+  const decimals = CURRENCIES[currency] ? CURRENCIES[currency].decimals : 2;
+  const factor = 10 ** decimals;
+  return Math.round((amount + Number.EPSILON) * factor) / factor;
+};
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_CODES,
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  roundAmount
+};
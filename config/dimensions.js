@@ -0,0 +1,69 @@
+/**
+ * Dimensions des colis
+ * Les valises se remplissent souvent avant d'atteindre leur limite de poids :
+ * chaque colis porte ses dimensions (cm), son volume (litres) et son poids
+ * volumétrique, et chaque voyage une capacité en kilos et en litres
+ */
+
+// Diviseur du poids volumétrique (cm³ par kg), 5000 par défaut comme les transporteurs aériens
+const VOLUMETRIC_DIVISOR = parseInt(process.env.VOLUMETRIC_DIVISOR) || 5000;
+
+// Côté maximal accepté pour un colis (cm)
+const MAX_DIMENSION_CM = 150;
+
+const roundTo = (value, decimals) => Math.round((value + Number.EPSILON) * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Calculer le volume et le poids volumétrique d'un colis
+ * @param {Object} dimensions - length, width, height (cm)
+ * @returns {Object} length, width, height, volumeLitres, volumetricWeight
+ */
+const measure = ({ length, width, height }) => {
+  const cubicCentimetres = length * width * height;
+
+  return {
+    length,
+    width,
+    height,
+    volumeLitres: roundTo(cubicCentimetres / 1000, 2),
+    volumetricWeight: roundTo(cubicCentimetres / VOLUMETRIC_DIVISOR, 2)
+  };
+};
+
+/**
+ * Poids facturé : le plus grand du poids réel et du poids volumétrique
+ * @param {number} weight - Poids réel (kg)
+ * @param {number|null} volumetricWeight - Poids volumétrique (kg), null sans dimensions
+ * @returns {number} Poids facturé (kg)
+ */
+const chargeableWeight = (weight, volumetricWeight = null) => {
+  return volumetricWeight > weight ? volumetricWeight : weight;
+};
+
+/**
+ * Dimensions d'un colis telles qu'exposées par l'API
+ * Les colis antérieurs n'ont qu'une description libre des dimensions
+ * @param {Object} packageData - Ligne packages
+ * @returns {Object|null} Dimensions structurées, ou texte libre ({ text })
+ */
+const formatDimensions = (packageData) => {
+  if (packageData.length_cm === null || packageData.length_cm === undefined) {
+    return packageData.dimensions ? { text: packageData.dimensions } : null;
+  }
+
+  return {
+    length: parseFloat(packageData.length_cm),
+    width: parseFloat(packageData.width_cm),
+    height: parseFloat(packageData.height_cm),
+    volumeLitres: parseFloat(packageData.volume_litres),
+    volumetricWeight: parseFloat(packageData.volumetric_weight)
+  };
+};
+
+module.exports = {
+  VOLUMETRIC_DIVISOR,
+  MAX_DIMENSION_CM,
+  measure,
+  chargeableWeight,
+  formatDimensions
+};
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./database');
+
+/**
+ * Système de migrations versionnées ChapChap
+ * Chaque fichier migrations/NNN_nom.js exporte { up(client), down(client) }
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Identifiant du verrou consultatif partagé par toutes les instances
+const MIGRATION_LOCK_ID = 4242001;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Charger les fichiers de migration triés par version
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`La migration ${file} doit exporter les fonctions up et down`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  // Deux fichiers ne peuvent pas partager le même numéro
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Numéro de migration en double: ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+// Créer la table de suivi des migrations appliquées
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (client) => {
+  const result = await client.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC'
+  );
+  return result.rows;
+};
+
+// Exécuter une fonction en détenant le verrou consultatif des migrations
+const withMigrationLock = async (callback) => {
+  const client = await pool.connect();
+
+  try {
+    // Une seconde instance attend ici que la première ait terminé
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    try {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    } finally {
+      client.release();
+    }
+  }
+};
+
+// Appliquer une migration dans sa propre transaction
+const runMigration = async (client, migration, direction) => {
+  await client.query('BEGIN');
+
+  try {
+    await migration[direction](client);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Échec de la migration ${migration.file} (${direction}): ${error.message}`);
+  }
+};
+
+/**
+ * Appliquer toutes les migrations en attente
+ * @param {Object} options - to : version cible (optionnelle)
+ * @returns {Array} Migrations appliquées
+ */
+const migrateUp = async (options = {}) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (!options.to || migration.version <= options.to)
+    );
+
+    for (const migration of pending) {
+      console.log(`⬆️  Migration ${migration.file}...`);
+      await runMigration(client, migration, 'up');
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+};
+
+/**
+ * Annuler les dernières migrations appliquées
+ * @param {Object} options - steps : nombre de migrations à annuler (1 par défaut)
+ * @returns {Array} Migrations annulées
+ */
+const migrateDown = async (options = {}) => {
+  const steps = options.steps || 1;
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const toRevert = applied.slice(-steps).reverse();
+
+    for (const row of toRevert) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(`Fichier introuvable pour la migration appliquée ${row.version}_${row.name}`);
+      }
+
+      console.log(`⬇️  Annulation de ${migration.file}...`);
+      await runMigration(client, migration, 'down');
+    }
+
+    return toRevert.map(({ version, name }) => ({ version, name }));
+  });
+};
+
+/**
+ * Obtenir l'état de chaque migration
+ * @returns {Array} Migrations avec leur statut (appliquée ou en attente)
+ */
+const getMigrationStatus = async () => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.get(migration.version)?.applied_at || null
+    }));
+
+    // Migrations présentes en base mais dont le fichier a disparu
+    for (const [version, row] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        status.push({ version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  });
+};
+
+module.exports = {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  loadMigrations,
+  MIGRATION_LOCK_ID
+};
@@ -0,0 +1,29 @@
+/**
+ * Catégories d'objets transportés
+ * Servent au plafond de couverture de l'assurance valeur déclarée
+ * aux catégories qu'un voyageur refuse de transporter et aux règles
+ * de contrôle des objets réglementés
+ */
+
+const PACKAGE_CATEGORIES = {
+  documents: { code: 'documents', label: 'Documents' },
+  electronics: { code: 'electronics', label: 'Électronique' },
+  clothing: { code: 'clothing', label: 'Vêtements' },
+  food: { code: 'food', label: 'Alimentation' },
+  cosmetics: { code: 'cosmetics', label: 'Cosmétiques' },
+  jewelry: { code: 'jewelry', label: 'Bijoux' },
+  other: { code: 'other', label: 'Autre' }
+};
+
+const PACKAGE_CATEGORY_CODES = Object.keys(PACKAGE_CATEGORIES);
+
+const DEFAULT_PACKAGE_CATEGORY = 'other';
+
+const isPackageCategory = (code) => Boolean(code && PACKAGE_CATEGORIES[code]);
+
+module.exports = {
+  PACKAGE_CATEGORIES,
+  PACKAGE_CATEGORY_CODES,
+  DEFAULT_PACKAGE_CATEGORY,
+  isPackageCategory
+};
@@ -0,0 +1,114 @@
+/**
+ * Modèle de rôles et de permissions ChapChap
+ * Les rôles d'équipe (support, modérateur, administrateur) s'ajoutent au
+ * type de compte (expéditeur / voyageur) sans le remplacer
+ */
+
+const ROLES = {
+  USER: 'user',
+  SUPPORT: 'support',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin'
+};
+
+// Rôles considérés comme membres de l'équipe ChapChap
+const STAFF_ROLES = [ROLES.SUPPORT, ROLES.MODERATOR, ROLES.ADMIN];
+
+// Rôles pour lesquels la double authentification est obligatoire
+const TWO_FACTOR_REQUIRED_ROLES = [ROLES.ADMIN];
+
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_SUSPEND: 'users:suspend',
+  USERS_BAN: 'users:ban',
+  USERS_IMPERSONATE: 'users:impersonate',
+  USERS_UNLOCK: 'users:unlock',
+  STAFF_MANAGE: 'staff:manage',
+  AUDIT_READ: 'audit:read',
+  DOCUMENTS_REVIEW: 'documents:review',
+  RATINGS_MODERATE: 'ratings:moderate',
+  PACKAGES_MANAGE: 'packages:manage',
+  PAYMENTS_VIEW: 'payments:view',
+  EXCHANGE_RATES_MANAGE: 'exchange_rates:manage',
+  FEES_MANAGE: 'fees:manage',
+  INSURANCE_MANAGE: 'insurance:manage',
+  DISPUTES_RESOLVE: 'disputes:resolve',
+  SCREENING_MANAGE: 'screening:manage',
+  FILES_MANAGE: 'files:manage',
+  ANALYTICS_VIEW: 'analytics:view'
+};
+
+// Permissions accordées à chaque rôle
+const ROLE_PERMISSIONS = {
+  [ROLES.USER]: [],
+  [ROLES.SUPPORT]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_IMPERSONATE,
+    PERMISSIONS.USERS_UNLOCK,
+    PERMISSIONS.PACKAGES_MANAGE,
+    PERMISSIONS.PAYMENTS_VIEW
+  ],
+  [ROLES.MODERATOR]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_SUSPEND,
+    PERMISSIONS.USERS_UNLOCK,
+    PERMISSIONS.DOCUMENTS_REVIEW,
+    PERMISSIONS.RATINGS_MODERATE,
+    PERMISSIONS.DISPUTES_RESOLVE
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+const ACCOUNT_STATUS = {
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  BANNED: 'banned'
+};
+
+/**
+ * Vérifier qu'un rôle dispose d'une permission
+ * @param {string} role - Rôle de l'utilisateur
+ * @param {string} permission - Permission demandée
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+const isStaff = (role) => STAFF_ROLES.includes(role);
+
+const roleRequiresTwoFactor = (role) => TWO_FACTOR_REQUIRED_ROLES.includes(role);
+
+/**
+ * Déterminer si un compte est bloqué (banni ou suspendu)
+ * Une suspension dont la date de fin est passée n'est plus bloquante
+ * @param {Object} user - Ligne users (account_status, suspended_until)
+ * @returns {string|null} Message d'erreur ou null si le compte est actif
+ */
+const getAccountRestriction = (user) => {
+  if (user.account_status === ACCOUNT_STATUS.BANNED) {
+    return 'Ce compte a été banni. Contactez le support pour plus d\'informations.';
+  }
+
+  if (user.account_status === ACCOUNT_STATUS.SUSPENDED &&
+      (!user.suspended_until || new Date(user.suspended_until) > new Date())) {
+    return user.suspended_until
+      ? `Ce compte est suspendu jusqu'au ${new Date(user.suspended_until).toLocaleDateString('fr-FR')}.`
+      : 'Ce compte est suspendu. Contactez le support pour plus d\'informations.';
+  }
+
+  return null;
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  TWO_FACTOR_REQUIRED_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ACCOUNT_STATUS,
+  hasPermission,
+  isStaff,
+  roleRequiresTwoFactor,
+  getAccountRestriction
+};
@@ -1,5 +1,46 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const { hasPermission, roleRequiresTwoFactor, getAccountRestriction } = require('../config/permissions');
+const { VALID_DOCUMENT_CONDITION, isVerificationPolicySatisfied } = require('../services/uploadService');
+const { ACTIVE_SESSION_CONDITION } = require('../services/sessionService');
+const { TwoFactorService } = require('../services/twoFactorService');
+
+// Colonnes de l'utilisateur chargées à chaque requête authentifiée
+const USER_COLUMNS = 'u.id, u.email, u.first_name, u.last_name, u.user_type, u.is_verified, u.role, u.account_status, u.suspended_until, u.two_factor_enabled, u.preferred_currency';
+
+// Charger l'utilisateur uniquement si la session du jeton est toujours active
+const findSessionUser = async (decoded) => {
+  if (!decoded.sessionId) return null;
+
+  const result = await db.query(
+    `SELECT ${USER_COLUMNS}, s.impersonated_by
+     FROM users u
+     JOIN user_sessions s ON s.user_id = u.id
+     WHERE u.id = $1 AND s.id = $2 AND ${ACTIVE_SESSION_CONDITION}`,
+    [decoded.userId, decoded.sessionId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Informations de l'utilisateur ajoutées à la requête
+const buildRequestUser = (decoded, row) => {
+  const { impersonated_by: impersonatedBy, ...user } = row;
+
+  const requestUser = {
+    userId: decoded.userId,
+    email: decoded.email,
+    sessionId: decoded.sessionId,
+    ...user
+  };
+
+  // Session ouverte par un membre de l'équipe au nom de l'utilisateur
+  if (impersonatedBy) {
+    requestUser.impersonatedBy = impersonatedBy;
+  }
+
+  return requestUser;
+};
 
 // Middleware d'authentification
 const auth = async (req, res, next) => {
@@ -27,24 +68,26 @@ const auth = async (req, res, next) => {
     // Vérifier et décoder le token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Vérifier que l'utilisateur existe toujours dans la base de données
-    const result = await db.query(
-      'SELECT id, email, first_name, last_name, user_type, is_verified FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    // Vérifier que la session n'a pas été révoquée et que l'utilisateur existe toujours
+    const sessionUser = await findSessionUser(decoded);
 
-    if (result.rows.length === 0) {
+    if (!sessionUser) {
       return res.status(401).json({
-        error: 'Token invalide. Utilisateur non trouvé.'
+        error: 'Session expirée ou révoquée. Veuillez vous reconnecter.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    // Refuser les comptes suspendus ou bannis
+    const restriction = getAccountRestriction(sessionUser);
+    if (restriction) {
+      return res.status(403).json({
+        error: restriction,
+        code: 'ACCOUNT_RESTRICTED'
       });
     }
 
-    // Ajouter les informations de l'utilisateur à la requête
-    req.user = {
-      userId: decoded.userId,
-      email: decoded.email,
-      ...result.rows[0]
-    };
+    req.user = buildRequestUser(decoded, sessionUser);
 
     next();
 
@@ -56,8 +99,10 @@ const auth = async (req, res, next) => {
     }
     
     if (error.name === 'TokenExpiredError') {
+      // Le client renouvelle son jeton d'accès via /api/auth/refresh
       return res.status(401).json({
-        error: 'Token expiré. Veuillez vous reconnecter.'
+        error: 'Token expiré. Veuillez vous reconnecter.',
+        code: 'TOKEN_EXPIRED'
       });
     }
 
@@ -86,18 +131,10 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const result = await db.query(
-      'SELECT id, email, first_name, last_name, user_type, is_verified FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    const sessionUser = await findSessionUser(decoded);
 
-    if (result.rows.length > 0) {
-      req.user = {
-        userId: decoded.userId,
-        email: decoded.email,
-        ...result.rows[0]
-      };
+    if (sessionUser && !getAccountRestriction(sessionUser)) {
+      req.user = buildRequestUser(decoded, sessionUser);
     }
 
     next();
@@ -137,6 +174,114 @@ const requireUserType = (allowedTypes) => {
   };
 };
 
+// Réponse commune lorsque la double authentification doit être activée
+const twoFactorRequiredResponse = (res) => res.status(403).json({
+  error: 'Vous devez activer la double authentification pour effectuer cette action',
+  code: 'TWO_FACTOR_REQUIRED'
+});
+
+// Middleware pour vérifier le rôle d'équipe (support, moderator, admin)
+const requireRole = (allowedRoles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentification requise'
+      });
+    }
+
+    // Une session d'usurpation n'hérite jamais des droits de l'équipe
+    if (req.user.impersonatedBy) {
+      return res.status(403).json({
+        error: 'Action impossible pendant une session d\'usurpation d\'identité'
+      });
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: `Accès refusé. Cette action nécessite le rôle: ${allowedRoles.join(' ou ')}`,
+        role: req.user.role,
+        allowedRoles
+      });
+    }
+
+    if (roleRequiresTwoFactor(req.user.role) && !req.user.two_factor_enabled) {
+      return twoFactorRequiredResponse(res);
+    }
+
+    next();
+  };
+};
+
+// L'utilisateur agit-il avec cette permission de l'équipe ? (mêmes conditions que requirePermission)
+const hasStaffPermission = (user, permission) => Boolean(user)
+  && !user.impersonatedBy
+  && hasPermission(user.role, permission)
+  && !(roleRequiresTwoFactor(user.role) && !user.two_factor_enabled);
+
+// Middleware pour vérifier une permission précise (voir config/permissions.js)
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentification requise'
+      });
+    }
+
+    if (req.user.impersonatedBy) {
+      return res.status(403).json({
+        error: 'Action impossible pendant une session d\'usurpation d\'identité'
+      });
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        error: 'Accès refusé. Permission insuffisante pour cette action.',
+        permission
+      });
+    }
+
+    if (roleRequiresTwoFactor(req.user.role) && !req.user.two_factor_enabled) {
+      return twoFactorRequiredResponse(res);
+    }
+
+    next();
+  };
+};
+
+// Middleware exigeant la double authentification lorsqu'elle est obligatoire
+// pour ce compte (rôle ou volume de livraisons)
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentification requise'
+      });
+    }
+
+    if (!req.user.two_factor_enabled && await TwoFactorService.isTwoFactorRequired(req.user)) {
+      return twoFactorRequiredResponse(res);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Erreur vérification double authentification:', error);
+    res.status(500).json({
+      error: 'Erreur lors de la vérification de la double authentification'
+    });
+  }
+};
+
+// Middleware refusant une action pendant une session d'usurpation d'identité
+const rejectImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonatedBy) {
+    return res.status(403).json({
+      error: 'Action impossible pendant une session d\'usurpation d\'identité'
+    });
+  }
+
+  next();
+};
+
 // Middleware pour vérifier les documents d'identité
 const requireVerifiedDocuments = async (req, res, next) => {
   try {
@@ -146,20 +291,17 @@ const requireVerifiedDocuments = async (req, res, next) => {
       });
     }
     
-    // Vérifier si l'utilisateur a au moins un document approuvé
-    const db = require('../config/database');
+    // Vérifier que les documents approuvés et non expirés satisfont la politique de vérification
     const result = await db.query(
-      'SELECT COUNT(*) as approved_count FROM user_documents WHERE user_id = $1 AND verification_status = $2',
-      [req.user.userId, 'approved']
+      `SELECT document_type FROM user_documents WHERE user_id = $1 AND ${VALID_DOCUMENT_CONDITION}`,
+      [req.user.userId]
     );
     
-    const approvedCount = parseInt(result.rows[0].approved_count);
-    
-    if (approvedCount === 0) {
+    if (!isVerificationPolicySatisfied(result.rows.map(row => row.document_type))) {
       return res.status(403).json({
         error: 'Documents d\'identité vérifiés requis pour cette action',
         code: 'DOCUMENTS_REQUIRED',
-        message: 'Veuillez uploader et faire vérifier vos documents d\'identité'
+        message: 'Veuillez uploader et faire vérifier des documents d\'identité en cours de validité'
       });
     }
     
@@ -172,6 +314,18 @@ const requireVerifiedDocuments = async (req, res, next) => {
   }
 };
 
+// Exiger les documents vérifiés uniquement pour certains statuts demandés
+// (ex. l'acceptation d'un colis, quelle que soit la route utilisée)
+const requireVerifiedDocumentsForStatus = (statuses) => {
+  return (req, res, next) => {
+    if (!statuses.includes(req.body.status)) {
+      return next();
+    }
+
+    return requireVerifiedDocuments(req, res, next);
+  };
+};
+
 // Fonction utilitaire pour vérifier les permissions
 const checkUserPermissions = (user, requiredType = null, requireVerified = false, requireDocuments = false) => {
   const permissions = {
@@ -237,7 +391,13 @@ module.exports = {
   auth,
   optionalAuth,
   requireUserType,
+  requireRole,
+  requirePermission,
+  hasStaffPermission,
+  rejectImpersonation,
+  requireTwoFactor,
   requireVerified,
   requireVerifiedDocuments,
+  requireVerifiedDocumentsForStatus,
   checkUserPermissions
 };
\ No newline at end of file
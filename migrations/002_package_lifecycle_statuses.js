@@ -0,0 +1,57 @@
+/**
+ * Migration 002 : vocabulaire unifié du cycle de vie des colis
+ * Convertit les anciens statuts et élargit la contrainte packages.status
+ * (voir services/packageLifecycleService.js)
+ */
+const LIFECYCLE_STATUSES = [
+  'pending', 'accepted', 'rejected', 'picked_up', 'in_transit',
+  'arrived', 'delivered', 'confirmed', 'cancelled', 'disputed'
+];
+
+const LEGACY_STATUSES = ['pending', 'accepted', 'in_transit', 'delivered', 'cancelled'];
+
+const toSqlList = (values) => values.map(value => `'${value}'`).join(', ');
+
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE packages DROP CONSTRAINT IF EXISTS packages_status_check');
+
+    for (const table of ['packages', 'package_tracking']) {
+      await client.query(`
+        UPDATE ${table} SET status = CASE status
+          WHEN 'requested' THEN 'pending'
+          WHEN 'delivered_confirmed' THEN 'confirmed'
+          WHEN 'dispute' THEN 'disputed'
+          ELSE status
+        END
+        WHERE status IN ('requested', 'delivered_confirmed', 'dispute')
+      `);
+    }
+
+    await client.query(`
+      ALTER TABLE packages ADD CONSTRAINT packages_status_check
+      CHECK (status IN (${toSqlList(LIFECYCLE_STATUSES)}))
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE packages DROP CONSTRAINT IF EXISTS packages_status_check');
+
+    // Retour à l'ancien vocabulaire (conversion avec perte pour les statuts intermédiaires)
+    await client.query(`
+      UPDATE packages SET status = CASE status
+        WHEN 'rejected' THEN 'cancelled'
+        WHEN 'picked_up' THEN 'accepted'
+        WHEN 'arrived' THEN 'in_transit'
+        WHEN 'confirmed' THEN 'delivered'
+        WHEN 'disputed' THEN 'in_transit'
+        ELSE status
+      END
+    `);
+
+    await client.query(`
+      ALTER TABLE packages ADD CONSTRAINT packages_status_check
+      CHECK (status IN (${toSqlList(LEGACY_STATUSES)}))
+    `);
+  }
+};
@@ -0,0 +1,88 @@
+/**
+ * Migration 003 : colonnes utilisées par le code mais jamais créées
+ * - messages : voyage, type de message et pièces jointes
+ * - packages : voyageur dénormalisé, prix et horodatage des étapes du cycle de vie
+ * - users : rôle et dernière connexion
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE messages
+      ADD COLUMN IF NOT EXISTS trip_id INTEGER REFERENCES trips(id) ON DELETE CASCADE,
+      ADD COLUMN IF NOT EXISTS message_type VARCHAR(20) DEFAULT 'text',
+      ADD COLUMN IF NOT EXISTS attachment_path TEXT,
+      ADD COLUMN IF NOT EXISTS attachment_name VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS attachment_size INTEGER,
+      ADD COLUMN IF NOT EXISTS attachment_type VARCHAR(100)
+    `);
+
+    await client.query(`
+      UPDATE messages m SET trip_id = p.trip_id
+      FROM packages p
+      WHERE m.package_id = p.id AND m.trip_id IS NULL
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_messages_trip_package
+      ON messages(trip_id, package_id, created_at DESC)
+    `);
+
+    // Le voyageur est dupliqué depuis trips pour simplifier les requêtes de suivi et d'évaluation
+    await client.query(`
+      ALTER TABLE packages
+      ADD COLUMN IF NOT EXISTS traveler_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS price DECIMAL(10,2) GENERATED ALWAYS AS (total_price) STORED,
+      ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS picked_up_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP
+    `);
+
+    await client.query(`
+      UPDATE packages p SET traveler_id = t.traveler_id
+      FROM trips t
+      WHERE p.trip_id = t.id AND p.traveler_id IS NULL
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_packages_traveler
+      ON packages(traveler_id)
+    `);
+
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+      ADD COLUMN IF NOT EXISTS last_login TIMESTAMP
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE users
+      DROP COLUMN IF EXISTS last_login,
+      DROP COLUMN IF EXISTS role
+    `);
+
+    await client.query('DROP INDEX IF EXISTS idx_packages_traveler');
+    await client.query(`
+      ALTER TABLE packages
+      DROP COLUMN IF EXISTS confirmed_at,
+      DROP COLUMN IF EXISTS delivered_at,
+      DROP COLUMN IF EXISTS picked_up_at,
+      DROP COLUMN IF EXISTS accepted_at,
+      DROP COLUMN IF EXISTS price,
+      DROP COLUMN IF EXISTS traveler_id
+    `);
+
+    await client.query('DROP INDEX IF EXISTS idx_messages_trip_package');
+    await client.query(`
+      ALTER TABLE messages
+      DROP COLUMN IF EXISTS attachment_type,
+      DROP COLUMN IF EXISTS attachment_size,
+      DROP COLUMN IF EXISTS attachment_name,
+      DROP COLUMN IF EXISTS attachment_path,
+      DROP COLUMN IF EXISTS message_type,
+      DROP COLUMN IF EXISTS trip_id
+    `);
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * Migration 004 : rôles d'équipe, statut des comptes et journal d'audit
+ * - users : rôles support / moderator, suspension et bannissement
+ * - admin_audit_logs : trace des actions de l'équipe (dont l'usurpation d'identité)
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check');
+    await client.query(`
+      ALTER TABLE users
+      ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'support', 'moderator', 'admin'))
+    `);
+
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS account_status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (account_status IN ('active', 'suspended', 'banned')),
+      ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS status_reason TEXT,
+      ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS status_changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_logs (
+        id SERIAL PRIMARY KEY,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(50) NOT NULL,
+        target_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        details JSONB DEFAULT '{}',
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_actor
+      ON admin_audit_logs(actor_id, created_at DESC)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_target
+      ON admin_audit_logs(target_user_id, created_at DESC)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_role
+      ON users(role) WHERE role <> 'user'
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_users_role');
+    await client.query('DROP TABLE IF EXISTS admin_audit_logs');
+
+    await client.query(`
+      ALTER TABLE users
+      DROP COLUMN IF EXISTS status_changed_by,
+      DROP COLUMN IF EXISTS status_changed_at,
+      DROP COLUMN IF EXISTS status_reason,
+      DROP COLUMN IF EXISTS suspended_until,
+      DROP COLUMN IF EXISTS account_status
+    `);
+
+    // Les membres support / modérateur redeviennent de simples utilisateurs
+    await client.query(`UPDATE users SET role = 'user' WHERE role IN ('support', 'moderator')`);
+    await client.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check');
+    await client.query(`
+      ALTER TABLE users
+      ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'admin'))
+    `);
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Migration 005 : file de vérification des documents d'identité
+ * Index partiel pour parcourir les documents en attente du plus ancien au plus récent
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_documents_pending
+      ON user_documents(uploaded_at ASC)
+      WHERE verification_status = 'pending'
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_user_documents_pending');
+  }
+};
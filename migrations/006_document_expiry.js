@@ -0,0 +1,39 @@
+/**
+ * Migration 006 : expiration des documents d'identité
+ * - pays de délivrance, numéro haché (jamais en clair) et date d'expiration
+ * - seuil du dernier avertissement envoyé (30 puis 7 jours)
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE user_documents
+      ADD COLUMN IF NOT EXISTS issuing_country VARCHAR(2),
+      ADD COLUMN IF NOT EXISTS document_number_hash VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS expires_at DATE,
+      ADD COLUMN IF NOT EXISTS last_expiry_warning INTEGER
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_documents_expiry
+      ON user_documents(expires_at)
+      WHERE verification_status = 'approved'
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_documents_number_hash
+      ON user_documents(document_number_hash)
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_user_documents_number_hash');
+    await client.query('DROP INDEX IF EXISTS idx_user_documents_expiry');
+
+    await client.query(`
+      ALTER TABLE user_documents
+      DROP COLUMN IF EXISTS last_expiry_warning,
+      DROP COLUMN IF EXISTS expires_at,
+      DROP COLUMN IF EXISTS document_number_hash,
+      DROP COLUMN IF EXISTS issuing_country
+    `);
+  }
+};
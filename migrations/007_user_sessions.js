@@ -0,0 +1,42 @@
+/**
+ * Migration 007 : sessions côté serveur
+ * - une ligne par appareil connecté, avec le hash du refresh token courant
+ *   et ceux des derniers jetons remplacés (détection de rejeu)
+ * - révocation (déconnexion, "tout déconnecter", réutilisation d'un ancien jeton)
+ * - sessions d'usurpation d'identité ouvertes par l'équipe
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id UUID PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64),
+        rotated_token_hashes VARCHAR(64)[] NOT NULL DEFAULT '{}',
+        device_name VARCHAR(100),
+        user_agent TEXT,
+        ip_address VARCHAR(45),
+        impersonated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        revoked_reason VARCHAR(50)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_active
+      ON user_sessions(user_id)
+      WHERE revoked_at IS NULL
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at
+      ON user_sessions(expires_at)
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS user_sessions');
+  }
+};
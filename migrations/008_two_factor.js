@@ -0,0 +1,38 @@
+/**
+ * Migration 008 : double authentification (TOTP)
+ * - secret chiffré, activation et dernier pas de temps accepté (anti-rejeu)
+ * - codes de secours à usage unique, stockés hachés
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS two_factor_secret TEXT,
+      ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS two_factor_last_counter BIGINT
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_backup_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, code_hash)
+      )
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS user_backup_codes');
+    await client.query(`
+      ALTER TABLE users
+      DROP COLUMN IF EXISTS two_factor_last_counter,
+      DROP COLUMN IF EXISTS two_factor_enabled_at,
+      DROP COLUMN IF EXISTS two_factor_enabled,
+      DROP COLUMN IF EXISTS two_factor_secret
+    `);
+  }
+};
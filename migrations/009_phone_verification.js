@@ -0,0 +1,48 @@
+/**
+ * Migration 009 : vérification des numéros de téléphone
+ * - date de vérification du numéro (un numéro vérifié n'appartient qu'à un compte)
+ * - codes envoyés par SMS, hachés, avec compteur d'essais
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMP
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_verified_phone
+      ON users(phone)
+      WHERE phone_verified_at IS NOT NULL
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS phone_verifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        phone_number VARCHAR(20) NOT NULL,
+        code_hash VARCHAR(64) NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        verified_at TIMESTAMP,
+        invalidated_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_phone_verifications_user
+      ON phone_verifications(user_id, created_at DESC)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_phone_verifications_phone
+      ON phone_verifications(phone_number, created_at DESC)
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS phone_verifications');
+    await client.query('DROP INDEX IF EXISTS idx_users_verified_phone');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS phone_verified_at');
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Migration 010 : protection contre la force brute sur la connexion
+ * - journal des tentatives (connexion, 2FA, mot de passe oublié)
+ * - compteurs d'échecs et blocages par email et par adresse IP
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id SERIAL PRIMARY KEY,
+        attempt_type VARCHAR(20) NOT NULL CHECK (attempt_type IN ('login', 'two_factor', 'forgot_password')),
+        email VARCHAR(255),
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        success BOOLEAN NOT NULL,
+        failure_reason VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_email
+      ON login_attempts(email, created_at DESC)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_ip
+      ON login_attempts(ip_address, created_at DESC)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_throttles (
+        scope VARCHAR(10) NOT NULL CHECK (scope IN ('email', 'ip')),
+        identifier VARCHAR(255) NOT NULL,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        last_failed_at TIMESTAMP,
+        next_attempt_at TIMESTAMP,
+        locked_until TIMESTAMP,
+        lockout_count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (scope, identifier)
+      )
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS login_throttles');
+    await client.query('DROP TABLE IF EXISTS login_attempts');
+  }
+};
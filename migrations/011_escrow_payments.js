@@ -0,0 +1,114 @@
+/**
+ * Migration 011 : paiements sous séquestre
+ * - un paiement par colis (autorisé à la demande, capturé à l'acceptation),
+ *   conservé même si le voyage et ses colis sont supprimés
+ * - grand livre en partie double : chaque mouvement débite un compte et en crédite un autre
+ * - opérations à exécuter chez le fournisseur (capture, annulation, remboursement), inscrites
+ *   avec le mouvement et envoyées après COMMIT avec une clé d'idempotence
+ * - virements aux voyageurs après confirmation de la livraison
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id SERIAL PRIMARY KEY,
+        package_id INTEGER UNIQUE REFERENCES packages(id) ON DELETE SET NULL,
+        sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        traveler_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+        currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+        status VARCHAR(20) NOT NULL DEFAULT 'authorized' CHECK (status IN (
+          'authorized', 'held', 'frozen', 'released', 'refunded', 'partially_refunded', 'voided', 'failed'
+        )),
+        provider VARCHAR(20) NOT NULL,
+        provider_payment_id VARCHAR(100),
+        amount_refunded DECIMAL(10,2) NOT NULL DEFAULT 0,
+        amount_released DECIMAL(10,2) NOT NULL DEFAULT 0,
+        failure_reason TEXT,
+        authorized_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        captured_at TIMESTAMP,
+        frozen_at TIMESTAMP,
+        released_at TIMESTAMP,
+        refunded_at TIMESTAMP,
+        voided_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payouts (
+        id SERIAL PRIMARY KEY,
+        payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE RESTRICT,
+        traveler_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+        currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'failed')),
+        provider VARCHAR(20) NOT NULL,
+        provider_payout_id VARCHAR(100),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        failure_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        paid_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id SERIAL PRIMARY KEY,
+        transaction_id UUID NOT NULL,
+        payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE RESTRICT,
+        payout_id INTEGER REFERENCES payouts(id) ON DELETE RESTRICT,
+        account VARCHAR(30) NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        entry_type VARCHAR(30) NOT NULL,
+        debit DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (debit >= 0),
+        credit DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (credit >= 0),
+        currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((debit = 0) <> (credit = 0))
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_operations (
+        id SERIAL PRIMARY KEY,
+        payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE RESTRICT,
+        operation VARCHAR(20) NOT NULL CHECK (operation IN ('capture', 'void', 'refund')),
+        amount DECIMAL(10,2) CHECK (amount > 0),
+        idempotency_key VARCHAR(100) NOT NULL UNIQUE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+        provider_reference VARCHAR(100),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        failure_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_payments_sender ON payments(sender_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_payments_traveler ON payments(traveler_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(status)');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_payouts_pending
+      ON payouts(created_at)
+      WHERE status IN ('pending', 'failed')
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_payment_operations_pending
+      ON payment_operations(created_at)
+      WHERE status IN ('pending', 'failed')
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_payment_operations_payment ON payment_operations(payment_id, id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_payouts_traveler ON payouts(traveler_id, created_at DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_ledger_entries_payment ON ledger_entries(payment_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries(transaction_id)');
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS ledger_entries');
+    await client.query('DROP TABLE IF EXISTS payment_operations');
+    await client.query('DROP TABLE IF EXISTS payouts');
+    await client.query('DROP TABLE IF EXISTS payments');
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Migration 012 : prix multi-devises
+ * - devise des voyages et des colis (les données existantes sont en CAD)
+ * - devise d'affichage préférée des utilisateurs
+ * - taux de change tenus par l'équipe, avec les parités fixes du franc CFA
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE trips
+      ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'CAD'
+    `);
+
+    await client.query(`
+      ALTER TABLE packages
+      ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'CAD'
+    `);
+
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS preferred_currency VARCHAR(3)
+    `);
+
+    // 1 base_currency = rate quote_currency
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        base_currency VARCHAR(3) NOT NULL,
+        quote_currency VARCHAR(3) NOT NULL,
+        rate DECIMAL(20,10) NOT NULL CHECK (rate > 0),
+        source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'csv', 'fixed')),
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (base_currency, quote_currency),
+        CHECK (base_currency <> quote_currency)
+      )
+    `);
+
+    // Parités fixes du franc CFA avec l'euro
+    await client.query(`
+      INSERT INTO exchange_rates (base_currency, quote_currency, rate, source)
+      VALUES ('EUR', 'XOF', 655.957, 'fixed'), ('EUR', 'XAF', 655.957, 'fixed'), ('XOF', 'XAF', 1, 'fixed')
+      ON CONFLICT (base_currency, quote_currency) DO NOTHING
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS exchange_rates');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS preferred_currency');
+    await client.query('ALTER TABLE packages DROP COLUMN IF EXISTS currency');
+    await client.query('ALTER TABLE trips DROP COLUMN IF EXISTS currency');
+  }
+};
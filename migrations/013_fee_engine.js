@@ -0,0 +1,81 @@
+/**
+ * Migration 013 : commission, frais et taxes
+ * - règles de frais configurables (pourcentage, fixe, assurance, taxe),
+ *   globales ou propres à un trajet
+ * - détail du devis figé sur chaque colis : un changement de frais ne
+ *   réécrit pas l'historique
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fee_rules (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        fee_type VARCHAR(20) NOT NULL CHECK (fee_type IN ('percentage', 'fixed', 'insurance', 'tax')),
+        payer VARCHAR(20) NOT NULL CHECK (payer IN ('sender', 'traveler')),
+        rate DECIMAL(7,4) CHECK (rate >= 0 AND rate <= 100),
+        amount DECIMAL(10,2) CHECK (amount >= 0),
+        currency VARCHAR(3),
+        departure_country VARCHAR(100),
+        destination_country VARCHAR(100),
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (
+          (fee_type = 'fixed' AND amount IS NOT NULL AND currency IS NOT NULL) OR
+          (fee_type <> 'fixed' AND rate IS NOT NULL)
+        )
+      )
+    `);
+
+    // Une règle par code et par trajet (la plus précise l'emporte au calcul)
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_fee_rules_code_route
+      ON fee_rules (code, COALESCE(LOWER(departure_country), ''), COALESCE(LOWER(destination_country), ''))
+    `);
+
+    // Barème de départ : frais de service, commission voyageur, assurance et TPS sur les frais
+    await client.query(`
+      INSERT INTO fee_rules (code, label, fee_type, payer, rate, departure_country)
+      VALUES
+        ('service_fee', 'Frais de service', 'percentage', 'sender', 5, NULL),
+        ('traveler_commission', 'Commission ChapChap', 'percentage', 'traveler', 10, NULL),
+        ('insurance', 'Assurance valeur déclarée', 'insurance', 'sender', 2, NULL),
+        ('gst', 'TPS', 'tax', 'sender', 5, 'Canada')
+      ON CONFLICT DO NOTHING
+    `);
+
+    await client.query(`
+      ALTER TABLE packages
+      ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS platform_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS insurance_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS traveler_earnings DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS price_breakdown JSONB
+    `);
+
+    // Colis antérieurs : sans frais, le voyageur percevait tout le prix
+    await client.query(`
+      UPDATE packages
+      SET subtotal = total_price, traveler_earnings = total_price
+      WHERE subtotal IS NULL
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE packages
+      DROP COLUMN IF EXISTS price_breakdown,
+      DROP COLUMN IF EXISTS traveler_earnings,
+      DROP COLUMN IF EXISTS insurance_amount,
+      DROP COLUMN IF EXISTS tax_amount,
+      DROP COLUMN IF EXISTS platform_fee,
+      DROP COLUMN IF EXISTS subtotal
+    `);
+    await client.query('DROP TABLE IF EXISTS fee_rules');
+  }
+};
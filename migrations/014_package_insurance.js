@@ -0,0 +1,109 @@
+/**
+ * Migration 014 : assurance valeur déclarée
+ * - catégorie des colis et plafond de couverture par catégorie
+ * - une police par colis assuré (prime et valeur couverte figées)
+ * - type de litige et partie gagnante, pour ouvrir un sinistre
+ *   lorsqu'une perte ou un dommage est tranché en faveur de l'expéditeur
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE packages
+      ADD COLUMN IF NOT EXISTS category VARCHAR(30) NOT NULL DEFAULT 'other'
+    `);
+
+    // Plafond de couverture par catégorie ; une catégorie non assurable a un plafond nul
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS insurance_category_caps (
+        category VARCHAR(30) PRIMARY KEY,
+        max_coverage DECIMAL(10,2) NOT NULL CHECK (max_coverage >= 0),
+        currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      INSERT INTO insurance_category_caps (category, max_coverage, currency)
+      VALUES
+        ('documents', 100, 'CAD'),
+        ('electronics', 1500, 'CAD'),
+        ('clothing', 500, 'CAD'),
+        ('food', 0, 'CAD'),
+        ('cosmetics', 300, 'CAD'),
+        ('jewelry', 1000, 'CAD'),
+        ('other', 500, 'CAD')
+      ON CONFLICT (category) DO NOTHING
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS insurance_policies (
+        id SERIAL PRIMARY KEY,
+        package_id INTEGER UNIQUE REFERENCES packages(id) ON DELETE SET NULL,
+        sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        category VARCHAR(30) NOT NULL,
+        declared_value DECIMAL(10,2) NOT NULL CHECK (declared_value > 0),
+        covered_value DECIMAL(10,2) NOT NULL CHECK (covered_value >= 0),
+        rate DECIMAL(7,4) NOT NULL,
+        premium DECIMAL(10,2) NOT NULL CHECK (premium >= 0),
+        currency VARCHAR(3) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'claimed', 'expired', 'cancelled')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS insurance_claims (
+        id SERIAL PRIMARY KEY,
+        policy_id INTEGER NOT NULL REFERENCES insurance_policies(id) ON DELETE RESTRICT,
+        package_id INTEGER REFERENCES packages(id) ON DELETE SET NULL,
+        dispute_id INTEGER UNIQUE REFERENCES package_disputes(id) ON DELETE SET NULL,
+        claimant_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        claim_type VARCHAR(20) NOT NULL CHECK (claim_type IN ('loss', 'damage')),
+        claimed_amount DECIMAL(10,2) NOT NULL CHECK (claimed_amount >= 0),
+        approved_amount DECIMAL(10,2) CHECK (approved_amount >= 0),
+        currency VARCHAR(3) NOT NULL,
+        evidence JSONB NOT NULL DEFAULT '[]',
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'approved', 'rejected', 'paid')),
+        decision_notes TEXT,
+        decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        decided_at TIMESTAMP,
+        provider_payout_id VARCHAR(100),
+        paid_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Indemnisation d'un sinistre : virement à l'expéditeur envoyé après COMMIT comme ceux des voyageurs
+    await client.query(`
+      ALTER TABLE payouts
+      ADD COLUMN IF NOT EXISTS claim_id INTEGER UNIQUE REFERENCES insurance_claims(id) ON DELETE RESTRICT
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_insurance_policies_sender ON insurance_policies(sender_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_insurance_claims_status ON insurance_claims(status, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_insurance_claims_claimant ON insurance_claims(claimant_id, created_at DESC)');
+
+    await client.query(`
+      ALTER TABLE package_disputes
+      ADD COLUMN IF NOT EXISTS dispute_type VARCHAR(20) NOT NULL DEFAULT 'other'
+        CHECK (dispute_type IN ('loss', 'damage', 'delay', 'other')),
+      ADD COLUMN IF NOT EXISTS resolved_in_favor_of VARCHAR(20)
+        CHECK (resolved_in_favor_of IN ('sender', 'traveler'))
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE package_disputes
+      DROP COLUMN IF EXISTS resolved_in_favor_of,
+      DROP COLUMN IF EXISTS dispute_type
+    `);
+    await client.query('ALTER TABLE payouts DROP COLUMN IF EXISTS claim_id');
+    await client.query('DROP TABLE IF EXISTS insurance_claims');
+    await client.query('DROP TABLE IF EXISTS insurance_policies');
+    await client.query('DROP TABLE IF EXISTS insurance_category_caps');
+    await client.query('ALTER TABLE packages DROP COLUMN IF EXISTS category');
+  }
+};
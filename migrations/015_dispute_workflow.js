@@ -0,0 +1,118 @@
+/**
+ * Migration 015 : médiation des litiges
+ * - statut de colis "resolved" (litige tranché)
+ * - attribution à un modérateur, décision et délais de traitement (SLA)
+ * - fil de discussion du litige : déclarations, preuves et messages
+ */
+const LIFECYCLE_STATUSES = [
+  'pending', 'accepted', 'rejected', 'picked_up', 'in_transit',
+  'arrived', 'delivered', 'confirmed', 'cancelled', 'disputed', 'resolved'
+];
+
+const PREVIOUS_LIFECYCLE_STATUSES = LIFECYCLE_STATUSES.filter(status => status !== 'resolved');
+
+const toSqlList = (values) => values.map(value => `'${value}'`).join(', ');
+
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE packages DROP CONSTRAINT IF EXISTS packages_status_check');
+    await client.query(`
+      ALTER TABLE packages ADD CONSTRAINT packages_status_check
+      CHECK (status IN (${toSqlList(LIFECYCLE_STATUSES)}))
+    `);
+
+    await client.query(`
+      ALTER TABLE package_disputes
+      ADD COLUMN IF NOT EXISTS previous_package_status VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS outcome VARCHAR(20)
+        CHECK (outcome IN ('refund', 'partial_refund', 'payout', 'no_action')),
+      ADD COLUMN IF NOT EXISTS refund_amount DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS assignment_due_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS resolution_due_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS assignment_breached_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS resolution_breached_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `);
+
+    // Litiges existants : statut du colis avant le litige, d'après l'historique de suivi
+    await client.query(`
+      UPDATE package_disputes pd
+      SET previous_package_status = (
+        SELECT pt.status FROM package_tracking pt
+        WHERE pt.package_id = pd.package_id
+          AND pt.status <> 'disputed'
+          AND pt.created_at <= pd.created_at
+        ORDER BY pt.created_at DESC
+        LIMIT 1
+      )
+      WHERE pd.previous_package_status IS NULL
+    `);
+
+    // Délais par défaut : attribution sous 24 h, décision sous 7 jours
+    await client.query(`
+      UPDATE package_disputes
+      SET assignment_due_at = created_at + INTERVAL '24 hours',
+          resolution_due_at = created_at + INTERVAL '7 days'
+      WHERE assignment_due_at IS NULL
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS package_dispute_messages (
+        id SERIAL PRIMARY KEY,
+        dispute_id INTEGER NOT NULL REFERENCES package_disputes(id) ON DELETE CASCADE,
+        parent_id INTEGER REFERENCES package_dispute_messages(id) ON DELETE SET NULL,
+        author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        author_role VARCHAR(20) NOT NULL CHECK (author_role IN ('sender', 'traveler', 'moderator', 'system')),
+        message_type VARCHAR(20) NOT NULL CHECK (message_type IN ('statement', 'message', 'decision', 'system')),
+        body TEXT NOT NULL,
+        attachments JSONB NOT NULL DEFAULT '[]',
+        is_internal BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_dispute_messages_dispute
+      ON package_dispute_messages(dispute_id, created_at)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_package_disputes_assigned
+      ON package_disputes(assigned_to, status)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_package_disputes_sla
+      ON package_disputes(resolution_due_at)
+      WHERE status IN ('open', 'investigating') AND resolution_breached_at IS NULL
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS package_dispute_messages');
+    await client.query(`
+      ALTER TABLE package_disputes
+      DROP COLUMN IF EXISTS updated_at,
+      DROP COLUMN IF EXISTS closed_at,
+      DROP COLUMN IF EXISTS resolution_breached_at,
+      DROP COLUMN IF EXISTS assignment_breached_at,
+      DROP COLUMN IF EXISTS resolution_due_at,
+      DROP COLUMN IF EXISTS assignment_due_at,
+      DROP COLUMN IF EXISTS refund_amount,
+      DROP COLUMN IF EXISTS outcome,
+      DROP COLUMN IF EXISTS assigned_at,
+      DROP COLUMN IF EXISTS assigned_to,
+      DROP COLUMN IF EXISTS previous_package_status
+    `);
+
+    await client.query(`UPDATE packages SET status = 'disputed' WHERE status = 'resolved'`);
+    await client.query('ALTER TABLE packages DROP CONSTRAINT IF EXISTS packages_status_check');
+    await client.query(`
+      ALTER TABLE packages ADD CONSTRAINT packages_status_check
+      CHECK (status IN (${toSqlList(PREVIOUS_LIFECYCLE_STATUSES)}))
+    `);
+  }
+};
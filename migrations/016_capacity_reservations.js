@@ -0,0 +1,86 @@
+/**
+ * Migration 016 : réservations de capacité
+ * - capacité totale du voyage ; available_weight devient le seul compteur
+ *   des kilos restants, qui ne peut jamais être négatif
+ * - une réservation par colis, et des blocages temporaires pendant la réservation
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS capacity_reservations (
+        id SERIAL PRIMARY KEY,
+        trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+        package_id INTEGER UNIQUE REFERENCES packages(id) ON DELETE CASCADE,
+        sender_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        weight DECIMAL(5,2) NOT NULL CHECK (weight > 0),
+        status VARCHAR(20) NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'active', 'released', 'expired')),
+        expires_at TIMESTAMP,
+        released_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (status <> 'held' OR expires_at IS NOT NULL),
+        CHECK (status <> 'active' OR package_id IS NOT NULL)
+      )
+    `);
+
+    // Les colis acceptés (ou au-delà) ont déjà été déduits du voyage
+    await client.query(`
+      INSERT INTO capacity_reservations (trip_id, package_id, sender_id, weight, status, created_at)
+      SELECT p.trip_id, p.id, p.sender_id, p.weight, 'active', COALESCE(p.accepted_at, p.created_at)
+      FROM packages p
+      WHERE p.trip_id IS NOT NULL
+        AND p.status NOT IN ('pending', 'rejected', 'cancelled')
+      ON CONFLICT (package_id) DO NOTHING
+    `);
+
+    // Corriger les compteurs rendus négatifs par des acceptations concurrentes
+    await client.query('UPDATE trips SET available_weight = 0 WHERE available_weight < 0');
+
+    await client.query('ALTER TABLE trips ADD COLUMN IF NOT EXISTS total_weight DECIMAL(6,2)');
+    await client.query(`
+      UPDATE trips t
+      SET total_weight = t.available_weight + COALESCE((
+        SELECT SUM(cr.weight) FROM capacity_reservations cr
+        WHERE cr.trip_id = t.id AND cr.status = 'active'
+      ), 0)
+      WHERE t.total_weight IS NULL
+    `);
+    await client.query('ALTER TABLE trips ALTER COLUMN total_weight SET NOT NULL');
+
+    await client.query(`
+      ALTER TABLE trips ADD CONSTRAINT trips_capacity_check
+      CHECK (available_weight >= 0 AND available_weight <= total_weight)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_capacity_reservations_trip
+      ON capacity_reservations(trip_id, status)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_capacity_reservations_expiry
+      ON capacity_reservations(expires_at)
+      WHERE status = 'held'
+    `);
+  },
+
+  down: async (client) => {
+    // Blocages en cours et colis en attente : kilos rendus au voyage (déduits à l'acceptation auparavant)
+    await client.query(`
+      UPDATE trips t
+      SET available_weight = t.available_weight + held.weight
+      FROM (
+        SELECT cr.trip_id, SUM(cr.weight) as weight
+        FROM capacity_reservations cr
+        LEFT JOIN packages p ON cr.package_id = p.id
+        WHERE cr.status = 'held' OR (cr.status = 'active' AND p.status = 'pending')
+        GROUP BY cr.trip_id
+      ) held
+      WHERE t.id = held.trip_id
+    `);
+
+    await client.query('ALTER TABLE trips DROP CONSTRAINT IF EXISTS trips_capacity_check');
+    await client.query('ALTER TABLE trips DROP COLUMN IF EXISTS total_weight');
+    await client.query('DROP TABLE IF EXISTS capacity_reservations');
+  }
+};
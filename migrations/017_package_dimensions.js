@@ -0,0 +1,92 @@
+const { VOLUMETRIC_DIVISOR } = require('../config/dimensions');
+
+/**
+ * Migration 017 : dimensions et volume
+ * - dimensions structurées des colis (cm), volume (litres) et poids volumétrique
+ * - capacité des voyages en litres (facultative) et catégories refusées par le voyageur
+ * - volume porté par les réservations de capacité
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE packages
+      ADD COLUMN IF NOT EXISTS length_cm DECIMAL(6,1) CHECK (length_cm > 0),
+      ADD COLUMN IF NOT EXISTS width_cm DECIMAL(6,1) CHECK (width_cm > 0),
+      ADD COLUMN IF NOT EXISTS height_cm DECIMAL(6,1) CHECK (height_cm > 0),
+      ADD COLUMN IF NOT EXISTS volume_litres DECIMAL(8,2),
+      ADD COLUMN IF NOT EXISTS volumetric_weight DECIMAL(7,2)
+    `);
+
+    // Reprendre les dimensions libres du type "40x30x20" ou "40 × 30 × 20 cm"
+    await client.query(`
+      UPDATE packages p
+      SET length_cm = parsed.l, width_cm = parsed.w, height_cm = parsed.h,
+          volume_litres = ROUND(parsed.l * parsed.w * parsed.h / 1000, 2),
+          volumetric_weight = ROUND(parsed.l * parsed.w * parsed.h / $1, 2)
+      FROM (
+        SELECT id,
+               REPLACE(m[1], ',', '.')::NUMERIC as l,
+               REPLACE(m[2], ',', '.')::NUMERIC as w,
+               REPLACE(m[3], ',', '.')::NUMERIC as h
+        FROM (
+          SELECT id, regexp_match(
+            dimensions,
+            '(\\d+(?:[.,]\\d+)?)\\s*[xX×*]\\s*(\\d+(?:[.,]\\d+)?)\\s*[xX×*]\\s*(\\d+(?:[.,]\\d+)?)'
+          ) as m
+          FROM packages
+          WHERE dimensions IS NOT NULL AND length_cm IS NULL
+        ) matches
+        WHERE m IS NOT NULL
+      ) parsed
+      WHERE p.id = parsed.id
+        AND parsed.l BETWEEN 0.1 AND 300 AND parsed.w BETWEEN 0.1 AND 300 AND parsed.h BETWEEN 0.1 AND 300
+    `, [VOLUMETRIC_DIVISOR]);
+
+    // Sans capacité en litres, le volume d'un voyage n'est pas limité
+    await client.query(`
+      ALTER TABLE trips
+      ADD COLUMN IF NOT EXISTS total_volume DECIMAL(7,2),
+      ADD COLUMN IF NOT EXISTS available_volume DECIMAL(7,2),
+      ADD COLUMN IF NOT EXISTS refused_categories VARCHAR(30)[] NOT NULL DEFAULT '{}'
+    `);
+
+    await client.query(`
+      ALTER TABLE trips ADD CONSTRAINT trips_volume_check
+      CHECK (
+        (total_volume IS NULL AND available_volume IS NULL)
+        OR (available_volume >= 0 AND available_volume <= total_volume)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE capacity_reservations
+      ADD COLUMN IF NOT EXISTS volume DECIMAL(8,2) NOT NULL DEFAULT 0 CHECK (volume >= 0)
+    `);
+
+    await client.query(`
+      UPDATE capacity_reservations cr
+      SET volume = p.volume_litres
+      FROM packages p
+      WHERE cr.package_id = p.id AND p.volume_litres IS NOT NULL
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE capacity_reservations DROP COLUMN IF EXISTS volume');
+    await client.query('ALTER TABLE trips DROP CONSTRAINT IF EXISTS trips_volume_check');
+    await client.query(`
+      ALTER TABLE trips
+      DROP COLUMN IF EXISTS refused_categories,
+      DROP COLUMN IF EXISTS available_volume,
+      DROP COLUMN IF EXISTS total_volume
+    `);
+    await client.query(`
+      ALTER TABLE packages
+      DROP COLUMN IF EXISTS volumetric_weight,
+      DROP COLUMN IF EXISTS volume_litres,
+      DROP COLUMN IF EXISTS height_cm,
+      DROP COLUMN IF EXISTS width_cm,
+      DROP COLUMN IF EXISTS length_cm
+    `);
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * Migration 018 : contrôle des objets interdits et réglementés
+ * - règles par catégorie ou mot-clé, globales ou propres à un pays de départ / d'arrivée
+ * - journal de chaque décision de contrôle (y compris les demandes bloquées)
+ * - état du contrôle sur le colis et prise de connaissance par le voyageur
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS screening_rules (
+        id SERIAL PRIMARY KEY,
+        rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('category', 'keyword')),
+        value VARCHAR(100) NOT NULL,
+        severity VARCHAR(20) NOT NULL CHECK (severity IN ('prohibited', 'restricted')),
+        reason VARCHAR(500) NOT NULL,
+        origin_country VARCHAR(100),
+        destination_country VARCHAR(100),
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Une règle par catégorie ou mot-clé et par trajet
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_screening_rules_value_route
+      ON screening_rules (
+        rule_type, LOWER(value),
+        COALESCE(LOWER(origin_country), ''), COALESCE(LOWER(destination_country), '')
+      )
+    `);
+
+    // Liste de départ : interdits partout, puis restrictions à l'entrée au Canada
+    await client.query(`
+      INSERT INTO screening_rules (rule_type, value, severity, reason, destination_country)
+      VALUES
+        ('keyword', 'arme', 'prohibited', 'Armes et pièces d''armes interdites au transport', NULL),
+        ('keyword', 'munition', 'prohibited', 'Munitions interdites au transport', NULL),
+        ('keyword', 'explosif', 'prohibited', 'Matières explosives interdites au transport', NULL),
+        ('keyword', 'feu d''artifice', 'prohibited', 'Artifices pyrotechniques interdits au transport', NULL),
+        ('keyword', 'drogue', 'prohibited', 'Stupéfiants interdits au transport', NULL),
+        ('keyword', 'cannabis', 'prohibited', 'Le cannabis ne peut pas franchir la frontière', NULL),
+        ('keyword', 'stupéfiant', 'prohibited', 'Stupéfiants interdits au transport', NULL),
+        ('keyword', 'contrefaçon', 'prohibited', 'Marchandises contrefaites interdites', NULL),
+        ('keyword', 'ivoire', 'prohibited', 'Espèces protégées (CITES) interdites', NULL),
+        ('keyword', 'médicament', 'restricted', 'Médicaments : ordonnance et quantité personnelle exigées', NULL),
+        ('keyword', 'lithium', 'restricted', 'Batteries au lithium : en cabine uniquement, puissance limitée', NULL),
+        ('keyword', 'alcool', 'restricted', 'Alcool : quantités limitées et droits de douane possibles', NULL),
+        ('keyword', 'espèces', 'restricted', 'Argent liquide : déclaration obligatoire au-delà de 10 000 $', NULL),
+        ('category', 'food', 'restricted', 'Aliments soumis à l''inspection de l''ACIA à l''entrée au Canada', 'Canada'),
+        ('keyword', 'viande', 'restricted', 'Viandes et produits carnés soumis à l''inspection de l''ACIA', 'Canada'),
+        ('keyword', 'graine', 'restricted', 'Semences et végétaux soumis à l''inspection de l''ACIA', 'Canada'),
+        ('keyword', 'viande de brousse', 'prohibited', 'Viande de brousse interdite à l''entrée au Canada', 'Canada')
+      ON CONFLICT DO NOTHING
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS package_screenings (
+        id SERIAL PRIMARY KEY,
+        package_id INTEGER REFERENCES packages(id) ON DELETE SET NULL,
+        trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        decision VARCHAR(20) NOT NULL CHECK (decision IN ('cleared', 'restricted', 'blocked', 'acknowledged')),
+        origin_country VARCHAR(100),
+        destination_country VARCHAR(100),
+        title VARCHAR(200),
+        description TEXT,
+        category VARCHAR(30),
+        matches JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_package_screenings_package
+      ON package_screenings(package_id, created_at)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_package_screenings_decision
+      ON package_screenings(decision, created_at)
+    `);
+
+    // Colis antérieurs : non contrôlés (NULL), acceptés sans condition
+    await client.query(`
+      ALTER TABLE packages
+      ADD COLUMN IF NOT EXISTS screening_status VARCHAR(30)
+        CHECK (screening_status IN ('cleared', 'pending_acknowledgement', 'acknowledged')),
+      ADD COLUMN IF NOT EXISTS restrictions_acknowledged_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS restrictions_acknowledged_at TIMESTAMP
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE packages
+      DROP COLUMN IF EXISTS restrictions_acknowledged_at,
+      DROP COLUMN IF EXISTS restrictions_acknowledged_by,
+      DROP COLUMN IF EXISTS screening_status
+    `);
+    await client.query('DROP TABLE IF EXISTS package_screenings');
+    await client.query('DROP TABLE IF EXISTS screening_rules');
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Migration 019 : déclarations en douane
+ * - signature électronique de la déclaration de chaque colis par l'expéditeur et le voyageur
+ * - empreinte du contenu signé : toute modification du colis annule les signatures
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS customs_declarations (
+        id SERIAL PRIMARY KEY,
+        package_id INTEGER NOT NULL UNIQUE REFERENCES packages(id) ON DELETE CASCADE,
+        content_hash VARCHAR(64) NOT NULL,
+        sender_signed_at TIMESTAMP,
+        sender_signature_ip VARCHAR(45),
+        traveler_signed_at TIMESTAMP,
+        traveler_signature_ip VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS customs_declarations');
+  }
+};
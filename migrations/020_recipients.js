@@ -0,0 +1,47 @@
+/**
+ * Migration 020 : destinataires
+ * - destinataire distinct du compte expéditeur (nom, téléphone, courriel, lien avec l'expéditeur)
+ * - carnet d'adresses de l'expéditeur (destinataires enregistrés)
+ * - lien de suivi sans compte envoyé au destinataire (seule l'empreinte du jeton est conservée)
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS recipients (
+        id SERIAL PRIMARY KEY,
+        owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(150) NOT NULL,
+        phone VARCHAR(20) NOT NULL,
+        email VARCHAR(255),
+        relationship VARCHAR(20) NOT NULL DEFAULT 'other'
+          CHECK (relationship IN ('family', 'friend', 'colleague', 'business', 'other')),
+        saved BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_recipients_address_book
+      ON recipients(owner_id, name)
+      WHERE saved = TRUE
+    `);
+
+    await client.query(`
+      ALTER TABLE packages
+      ADD COLUMN IF NOT EXISTS recipient_id INTEGER REFERENCES recipients(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS recipient_tracking_token_hash VARCHAR(64) UNIQUE,
+      ADD COLUMN IF NOT EXISTS recipient_notified_at TIMESTAMP
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE packages
+      DROP COLUMN IF EXISTS recipient_notified_at,
+      DROP COLUMN IF EXISTS recipient_tracking_token_hash,
+      DROP COLUMN IF EXISTS recipient_id
+    `);
+    await client.query('DROP TABLE IF EXISTS recipients');
+  }
+};
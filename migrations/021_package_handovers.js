@@ -0,0 +1,45 @@
+/**
+ * Migration 021 : remise des colis en main propre
+ * - code à usage unique (saisi ou scanné en QR) pour la prise en charge chez l'expéditeur
+ *   et pour la remise au destinataire (seule l'empreinte du code est conservée)
+ * - preuve de remise signée : photo, position GPS, horodatage et auteur
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS package_handovers (
+        id SERIAL PRIMARY KEY,
+        package_id INTEGER NOT NULL REFERENCES packages(id) ON DELETE CASCADE,
+        kind VARCHAR(20) NOT NULL CHECK (kind IN ('pickup', 'delivery')),
+        code_hash VARCHAR(64),
+        code_issued_at TIMESTAMP,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        locked_at TIMESTAMP,
+        verified_at TIMESTAMP,
+        verified_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        method VARCHAR(10) CHECK (method IN ('pin', 'qr')),
+        photo_path VARCHAR(500),
+        photo_sha256 VARCHAR(64),
+        latitude DECIMAL(9, 6),
+        longitude DECIMAL(9, 6),
+        location_accuracy DECIMAL(8, 2),
+        proof_signature VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (package_id, kind)
+      )
+    `);
+
+    // Confirmation automatique des livraisons restées sans réponse
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_packages_delivered_at
+      ON packages(delivered_at)
+      WHERE status = 'delivered'
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_packages_delivered_at');
+    await client.query('DROP TABLE IF EXISTS package_handovers');
+  }
+};
@@ -0,0 +1,108 @@
+/**
+ * Migration 022 : voyages à étapes et voyages récurrents
+ * - itinéraire d'un voyage en étapes ordonnées, avec dates d'arrivée et de départ par étape
+ *   (les voyages existants deviennent un itinéraire à deux étapes)
+ * - tronçon du colis : étape de prise en charge et étape de dépôt (voyage entier par défaut)
+ * - tronçon des réservations de capacité : les kilos ne sont retenus que sur les tronçons empruntés
+ * - modèles de voyages récurrents qui génèrent les voyages à venir
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS trip_stops (
+        id SERIAL PRIMARY KEY,
+        trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+        position SMALLINT NOT NULL CHECK (position >= 0),
+        country VARCHAR(100) NOT NULL,
+        city VARCHAR(100) NOT NULL,
+        arrival_date DATE,
+        departure_date DATE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (trip_id, position)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trip_stops_city
+      ON trip_stops(LOWER(city))
+    `);
+
+    // Itinéraire des voyages existants : départ et destination
+    await client.query(`
+      INSERT INTO trip_stops (trip_id, position, country, city, arrival_date, departure_date)
+      SELECT id, 0, departure_country, departure_city, NULL, departure_date FROM trips
+      UNION ALL
+      SELECT id, 1, destination_country, destination_city, arrival_date, NULL FROM trips
+      ON CONFLICT (trip_id, position) DO NOTHING
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS trip_templates (
+        id SERIAL PRIMARY KEY,
+        traveler_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        stops JSONB NOT NULL,
+        recurrence VARCHAR(20) NOT NULL CHECK (recurrence IN ('weekly', 'biweekly', 'monthly')),
+        starts_on DATE NOT NULL,
+        ends_on DATE,
+        available_weight DECIMAL(5,2) NOT NULL,
+        available_volume DECIMAL(7,2),
+        refused_categories VARCHAR(30)[] NOT NULL DEFAULT '{}',
+        price_per_kg DECIMAL(8,2) NOT NULL,
+        currency VARCHAR(3) NOT NULL,
+        description TEXT,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        generated_until DATE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trip_templates_active
+      ON trip_templates(generated_until)
+      WHERE is_active = TRUE
+    `);
+
+    await client.query(`
+      ALTER TABLE trips
+      ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES trip_templates(id) ON DELETE SET NULL
+    `);
+
+    // Un seul voyage généré par date de départ et par modèle
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_trips_template_departure
+      ON trips(template_id, departure_date)
+      WHERE template_id IS NOT NULL
+    `);
+
+    await client.query(`
+      ALTER TABLE packages
+      ADD COLUMN IF NOT EXISTS origin_stop_id INTEGER REFERENCES trip_stops(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS destination_stop_id INTEGER REFERENCES trip_stops(id) ON DELETE SET NULL
+    `);
+
+    // Sans étapes, une réservation couvre le voyage entier (cas des réservations existantes)
+    await client.query(`
+      ALTER TABLE capacity_reservations
+      ADD COLUMN IF NOT EXISTS origin_stop_id INTEGER REFERENCES trip_stops(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS destination_stop_id INTEGER REFERENCES trip_stops(id) ON DELETE SET NULL
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE capacity_reservations
+      DROP COLUMN IF EXISTS destination_stop_id,
+      DROP COLUMN IF EXISTS origin_stop_id
+    `);
+    await client.query(`
+      ALTER TABLE packages
+      DROP COLUMN IF EXISTS destination_stop_id,
+      DROP COLUMN IF EXISTS origin_stop_id
+    `);
+    await client.query('DROP INDEX IF EXISTS idx_trips_template_departure');
+    await client.query('ALTER TABLE trips DROP COLUMN IF EXISTS template_id');
+    await client.query('DROP TABLE IF EXISTS trip_templates');
+    await client.query('DROP TABLE IF EXISTS trip_stops');
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Migration 023 : recherches enregistrées et alertes de voyages
+ * - critères de recherche enregistrés par l'expéditeur (trajet, fenêtre de départ,
+ *   kilos minimum, prix maximum par kg) avec alerte immédiate ou résumé quotidien
+ * - voyages signalés : un voyage n'est signalé qu'une fois à un même expéditeur
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100),
+        departure_country VARCHAR(100),
+        departure_city VARCHAR(100),
+        destination_country VARCHAR(100),
+        destination_city VARCHAR(100),
+        departure_from DATE,
+        departure_to DATE,
+        min_weight DECIMAL(5,2),
+        max_price_per_kg DECIMAL(8,2),
+        currency VARCHAR(3) NOT NULL,
+        delivery VARCHAR(10) NOT NULL DEFAULT 'instant' CHECK (delivery IN ('instant', 'digest')),
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (departure_to IS NULL OR departure_from IS NULL OR departure_to >= departure_from)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_saved_searches_user
+      ON saved_searches(user_id)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saved_search_matches (
+        id SERIAL PRIMARY KEY,
+        saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+        origin_stop_id INTEGER REFERENCES trip_stops(id) ON DELETE SET NULL,
+        destination_stop_id INTEGER REFERENCES trip_stops(id) ON DELETE SET NULL,
+        matched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        notified_at TIMESTAMP,
+        UNIQUE (user_id, trip_id)
+      )
+    `);
+
+    // Résumés quotidiens : voyages trouvés et pas encore signalés
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_saved_search_matches_pending
+      ON saved_search_matches(matched_at)
+      WHERE notified_at IS NULL
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_saved_search_matches_search
+      ON saved_search_matches(saved_search_id)
+    `);
+
+    // Balayage des voyages créés ou modifiés (capacité libérée)
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trips_updated_at
+      ON trips(updated_at)
+      WHERE status = 'active'
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_trips_updated_at');
+    await client.query('DROP TABLE IF EXISTS saved_search_matches');
+    await client.query('DROP TABLE IF EXISTS saved_searches');
+  }
+};
@@ -0,0 +1,94 @@
+/**
+ * Migration 024 : demandes de transport ouvertes et offres des voyageurs
+ * - l'expéditeur publie son colis sur un trajet, sans choisir de voyage
+ * - les voyageurs proposent un prix par kg, une date de remise et un message sur l'un de leurs voyages
+ * - l'offre acceptée devient un colis sur le voyage du voyageur, les autres offres sont refusées
+ */
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS package_requests (
+        id SERIAL PRIMARY KEY,
+        sender_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(200) NOT NULL,
+        description TEXT,
+        category VARCHAR(30) NOT NULL,
+        weight DECIMAL(5,2) NOT NULL,
+        length_cm DECIMAL(6,1),
+        width_cm DECIMAL(6,1),
+        height_cm DECIMAL(6,1),
+        volume_litres DECIMAL(8,2),
+        volumetric_weight DECIMAL(7,2),
+        value DECIMAL(10,2),
+        insurance BOOLEAN NOT NULL DEFAULT FALSE,
+        pickup_address TEXT NOT NULL,
+        delivery_address TEXT NOT NULL,
+        departure_country VARCHAR(100) NOT NULL,
+        departure_city VARCHAR(100),
+        destination_country VARCHAR(100) NOT NULL,
+        destination_city VARCHAR(100),
+        earliest_departure DATE,
+        deliver_by DATE,
+        recipient_id INTEGER REFERENCES recipients(id) ON DELETE SET NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'booked', 'cancelled', 'expired')),
+        package_id INTEGER REFERENCES packages(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (deliver_by IS NULL OR earliest_departure IS NULL OR deliver_by >= earliest_departure)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_package_requests_open
+      ON package_requests(LOWER(departure_country), LOWER(destination_country))
+      WHERE status = 'open'
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_package_requests_sender
+      ON package_requests(sender_id)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS package_offers (
+        id SERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES package_requests(id) ON DELETE CASCADE,
+        traveler_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+        origin_stop_id INTEGER REFERENCES trip_stops(id) ON DELETE SET NULL,
+        destination_stop_id INTEGER REFERENCES trip_stops(id) ON DELETE SET NULL,
+        price_per_kg DECIMAL(8,2) NOT NULL CHECK (price_per_kg > 0),
+        currency VARCHAR(3) NOT NULL,
+        delivery_date DATE NOT NULL,
+        message TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected', 'withdrawn')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Une seule offre en cours par voyageur et par demande
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_package_offers_pending
+      ON package_offers(request_id, traveler_id)
+      WHERE status = 'pending'
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_package_offers_traveler
+      ON package_offers(traveler_id)
+    `);
+
+    await client.query(`
+      ALTER TABLE packages
+      ADD COLUMN IF NOT EXISTS request_id INTEGER REFERENCES package_requests(id) ON DELETE SET NULL
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE packages DROP COLUMN IF EXISTS request_id');
+    await client.query('DROP TABLE IF EXISTS package_offers');
+    await client.query('DROP TABLE IF EXISTS package_requests');
+  }
+};
@@ -0,0 +1,309 @@
+/**
+ * Migration 025 : normalisation géographique
+ * - code ISO du pays et identifiant de ville du référentiel à côté des lieux saisis en texte libre
+ *   (voyages et étapes, colis, demandes ouvertes, recherches enregistrées)
+ * - rapprochement des lieux existants ; les lieux inconnus du référentiel restent sans code
+ * - règles de frais et de contrôle rattachées aux pays par code ISO (le texte libre est retiré) ;
+ *   une règle dont le pays est inconnu du référentiel bloque la migration jusqu'à sa correction
+ * Le rapprochement s'appuie sur une copie figée du référentiel (snapshots/025_geography.json)
+ * et des règles de comparaison : la migration donne le même résultat quelles que soient les
+ * évolutions ultérieures de config/countries.js, config/cities.js ou du service géographique
+ */
+
+const GEOGRAPHY_SNAPSHOT = require('./snapshots/025_geography.json');
+
+// Colonnes ajoutées : [table, colonne texte du pays, colonne texte de la ville, colonne du code, colonne de la ville]
+const PLACE_COLUMNS = [
+  ['trips', 'departure_country', 'departure_city', 'departure_country_code', 'departure_city_id'],
+  ['trips', 'destination_country', 'destination_city', 'destination_country_code', 'destination_city_id'],
+  ['trip_stops', 'country', 'city', 'country_code', 'city_id'],
+  ['package_requests', 'departure_country', 'departure_city', 'departure_country_code', 'departure_city_id'],
+  ['package_requests', 'destination_country', 'destination_city', 'destination_country_code', 'destination_city_id'],
+  ['saved_searches', 'departure_country', 'departure_city', 'departure_country_code', 'departure_city_id'],
+  ['saved_searches', 'destination_country', 'destination_city', 'destination_country_code', 'destination_city_id']
+];
+
+// Lieux des colis : adresses de prise en charge et de livraison
+const PACKAGE_PLACE_COLUMNS = [
+  ['pickup_address', 'origin_stop_id', 'pickup_country_code', 'pickup_city_id'],
+  ['delivery_address', 'destination_stop_id', 'delivery_country_code', 'delivery_city_id']
+];
+
+// Clé de comparaison d'un nom de lieu : minuscules, sans accents ni ponctuation, "St" / "Ste" développés
+const normalizePlaceName = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .replace(/\bste\b/g, 'sainte')
+  .replace(/\bst\b/g, 'saint')
+  .trim();
+
+/**
+ * Index du référentiel figé
+ * @returns {Object} countryNames (code -> nom français), countryIndex (clé -> code),
+ *                   countryNameKeys (clé et code de chaque nom de pays), cityIndex (clé -> villes)
+ */
+const buildReference = () => {
+  const countryNames = new Map();
+  const countryIndex = new Map();
+  const countryNameKeys = [];
+  const cityIndex = new Map();
+
+  GEOGRAPHY_SNAPSHOT.countries.forEach(([code, alpha3, name, nameEn, aliases]) => {
+    countryNames.set(code, name);
+    [code, alpha3].forEach(value => countryIndex.set(normalizePlaceName(value), code));
+    [name, nameEn, ...aliases].forEach(value => {
+      const key = normalizePlaceName(value);
+      if (!countryIndex.has(key)) countryIndex.set(key, code);
+      countryNameKeys.push({ key, code });
+    });
+  });
+
+  GEOGRAPHY_SNAPSHOT.cities.forEach(([countryCode, id, name, aliases]) => {
+    const city = { id, countryCode };
+    [id, name, ...aliases].forEach(value => {
+      const key = normalizePlaceName(value);
+      if (!cityIndex.has(key)) cityIndex.set(key, []);
+      cityIndex.get(key).push(city);
+    });
+  });
+
+  return { countryNames, countryIndex, countryNameKeys, cityIndex };
+};
+
+const reference = buildReference();
+
+/**
+ * Rapprocher un pays et une ville saisis du référentiel figé
+ * Une ville homonyme dans plusieurs pays n'est reconnue qu'avec son pays
+ * @param {Object} place - country, city (texte libre)
+ * @returns {Object} countryCode, cityId (null si non reconnus)
+ */
+const resolvePlace = ({ country, city }) => {
+  const countryCode = country ? reference.countryIndex.get(normalizePlaceName(country)) || null : null;
+  const cities = city
+    ? (reference.cityIndex.get(normalizePlaceName(city)) || []).filter(match => !countryCode || match.countryCode === countryCode)
+    : [];
+  const matchedCity = cities.length === 1 ? cities[0] : null;
+
+  return {
+    countryCode: countryCode || (matchedCity ? matchedCity.countryCode : null),
+    cityId: matchedCity ? matchedCity.id : null
+  };
+};
+
+/**
+ * Lieu mentionné dans une adresse en texte libre : ville du référentiel figé, sinon pays
+ * La dernière ville citée l'emporte, le pays cité écarte les homonymes
+ * @param {string} text - Adresse
+ * @returns {Object} countryCode, cityId (null si rien n'est reconnu)
+ */
+const detectInText = (text) => {
+  const words = ` ${normalizePlaceName(text)} `;
+  const mentionAt = (key) => (key.length >= 3 ? words.lastIndexOf(` ${key} `) : -1);
+
+  const cities = new Map();
+  reference.cityIndex.forEach((matches, key) => {
+    const position = mentionAt(key);
+    if (position < 0) return;
+    matches.forEach(city => cities.set(city, Math.max(position, cities.get(city) ?? -1)));
+  });
+
+  const countries = new Set();
+  reference.countryNameKeys.forEach(({ key, code }) => {
+    if (mentionAt(key) >= 0) countries.add(code);
+  });
+
+  const mentioned = [...cities.entries()].sort((a, b) => b[1] - a[1]);
+  const inCountry = mentioned.filter(([city]) => countries.has(city.countryCode));
+  const candidates = inCountry.length > 0 ? inCountry : mentioned;
+
+  if (candidates.length > 0 && (candidates.length === 1 || candidates[0][1] > candidates[1][1])) {
+    const [city] = candidates[0];
+    return { countryCode: city.countryCode, cityId: city.id };
+  }
+
+  return { countryCode: countries.size === 1 ? [...countries][0] : null, cityId: null };
+};
+
+// Pays des règles : [table, colonne texte, colonne du code]
+const RULE_COUNTRY_COLUMNS = [
+  ['fee_rules', 'departure_country', 'departure_country_code'],
+  ['fee_rules', 'destination_country', 'destination_country_code'],
+  ['screening_rules', 'origin_country', 'origin_country_code'],
+  ['screening_rules', 'destination_country', 'destination_country_code']
+];
+
+module.exports = {
+  up: async (client) => {
+    for (const [table, , , codeColumn, cityColumn] of PLACE_COLUMNS) {
+      await client.query(`
+        ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS ${codeColumn} VARCHAR(2),
+        ADD COLUMN IF NOT EXISTS ${cityColumn} VARCHAR(60)
+      `);
+    }
+
+    for (const [, , codeColumn, cityColumn] of PACKAGE_PLACE_COLUMNS) {
+      await client.query(`
+        ALTER TABLE packages
+        ADD COLUMN IF NOT EXISTS ${codeColumn} VARCHAR(2),
+        ADD COLUMN IF NOT EXISTS ${cityColumn} VARCHAR(60)
+      `);
+    }
+
+    // Recherche de voyages par étape
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trip_stops_country_code
+      ON trip_stops(country_code)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trip_stops_city_id
+      ON trip_stops(city_id)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_package_requests_codes
+      ON package_requests(departure_country_code, destination_country_code)
+      WHERE status = 'open'
+    `);
+
+    // Rapprochement des lieux saisis : une fois par couple (pays, ville) distinct
+    for (const [table, countryColumn, cityColumn, codeColumn, cityIdColumn] of PLACE_COLUMNS) {
+      const places = await client.query(
+        `SELECT DISTINCT ${countryColumn} as country, ${cityColumn} as city FROM ${table}
+         WHERE ${countryColumn} IS NOT NULL OR ${cityColumn} IS NOT NULL`
+      );
+
+      for (const place of places.rows) {
+        const { countryCode, cityId } = resolvePlace(place);
+        if (!countryCode) continue;
+
+        await client.query(
+          `UPDATE ${table} SET ${codeColumn} = $1, ${cityIdColumn} = $2
+           WHERE ${countryColumn} IS NOT DISTINCT FROM $3 AND ${cityColumn} IS NOT DISTINCT FROM $4`,
+          [countryCode, cityId, place.country, place.city]
+        );
+      }
+    }
+
+    // Colis : lieux des étapes du tronçon, sinon lieu mentionné dans l'adresse
+    for (const [addressColumn, stopColumn, codeColumn, cityIdColumn] of PACKAGE_PLACE_COLUMNS) {
+      await client.query(`
+        UPDATE packages p
+        SET ${codeColumn} = s.country_code, ${cityIdColumn} = s.city_id
+        FROM trip_stops s
+        WHERE s.id = p.${stopColumn} AND s.country_code IS NOT NULL
+      `);
+
+      const packages = await client.query(
+        `SELECT id, ${addressColumn} as address FROM packages WHERE ${codeColumn} IS NULL AND ${addressColumn} IS NOT NULL`
+      );
+
+      for (const packageRow of packages.rows) {
+        const { countryCode, cityId } = detectInText(packageRow.address);
+        if (!countryCode) continue;
+
+        await client.query(
+          `UPDATE packages SET ${codeColumn} = $1, ${cityIdColumn} = $2 WHERE id = $3`,
+          [countryCode, cityId, packageRow.id]
+        );
+      }
+    }
+
+    // Règles de frais et de contrôle : pays en code ISO
+    const unknownCountries = [];
+
+    for (const [table, textColumn, codeColumn] of RULE_COUNTRY_COLUMNS) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${codeColumn} VARCHAR(2)`);
+
+      const countries = await client.query(
+        `SELECT DISTINCT ${textColumn} as country FROM ${table} WHERE ${textColumn} IS NOT NULL`
+      );
+
+      for (const { country } of countries.rows) {
+        const { countryCode } = resolvePlace({ country });
+        if (!countryCode) {
+          unknownCountries.push(`${table}.${textColumn} "${country}"`);
+          continue;
+        }
+
+        await client.query(
+          `UPDATE ${table} SET ${codeColumn} = $1 WHERE ${textColumn} = $2`,
+          [countryCode, country]
+        );
+      }
+    }
+
+    // Une règle de trajet sans code deviendrait globale : mieux vaut s'arrêter
+    if (unknownCountries.length > 0) {
+      throw new Error(`Pays inconnus du référentiel dans les règles (${unknownCountries.join(', ')}) : corrigez-les avant de relancer la migration`);
+    }
+
+    await client.query('DROP INDEX IF EXISTS idx_fee_rules_code_route');
+    await client.query('DROP INDEX IF EXISTS idx_screening_rules_value_route');
+
+    for (const [table, textColumn] of RULE_COUNTRY_COLUMNS) {
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ${textColumn}`);
+    }
+
+    // Une règle par code (frais) ou par valeur (contrôle) et par trajet
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_fee_rules_code_route
+      ON fee_rules (code, COALESCE(departure_country_code, ''), COALESCE(destination_country_code, ''))
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_screening_rules_value_route
+      ON screening_rules (rule_type, LOWER(value), COALESCE(origin_country_code, ''), COALESCE(destination_country_code, ''))
+    `);
+  },
+
+  down: async (client) => {
+    // Règles : le nom français du pays reprend la place du code
+    await client.query('DROP INDEX IF EXISTS idx_fee_rules_code_route');
+    await client.query('DROP INDEX IF EXISTS idx_screening_rules_value_route');
+
+    for (const [table, textColumn, codeColumn] of RULE_COUNTRY_COLUMNS) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${textColumn} VARCHAR(100)`);
+
+      const codes = await client.query(
+        `SELECT DISTINCT ${codeColumn} as code FROM ${table} WHERE ${codeColumn} IS NOT NULL`
+      );
+
+      for (const { code } of codes.rows) {
+        await client.query(
+          `UPDATE ${table} SET ${textColumn} = $1 WHERE ${codeColumn} = $2`,
+          [reference.countryNames.get(code) || code, code]
+        );
+      }
+
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ${codeColumn}`);
+    }
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_fee_rules_code_route
+      ON fee_rules (code, COALESCE(LOWER(departure_country), ''), COALESCE(LOWER(destination_country), ''))
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_screening_rules_value_route
+      ON screening_rules (
+        rule_type, LOWER(value),
+        COALESCE(LOWER(origin_country), ''), COALESCE(LOWER(destination_country), '')
+      )
+    `);
+
+    await client.query('DROP INDEX IF EXISTS idx_package_requests_codes');
+    await client.query('DROP INDEX IF EXISTS idx_trip_stops_city_id');
+    await client.query('DROP INDEX IF EXISTS idx_trip_stops_country_code');
+
+    for (const [, , codeColumn, cityColumn] of PACKAGE_PLACE_COLUMNS) {
+      await client.query(`ALTER TABLE packages DROP COLUMN IF EXISTS ${codeColumn}, DROP COLUMN IF EXISTS ${cityColumn}`);
+    }
+
+    for (const [table, , , codeColumn, cityColumn] of PLACE_COLUMNS) {
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ${codeColumn}, DROP COLUMN IF EXISTS ${cityColumn}`);
+    }
+  }
+};
@@ -0,0 +1,1001 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requireRole, requirePermission } = require('../middleware/auth');
+const { AdminService, AUDIT_ACTIONS } = require('../services/adminService');
+const documentReviewService = require('../services/documentReviewService');
+const { PaymentService } = require('../services/paymentService');
+const { DOCUMENT_TYPES, sendDocumentFile } = require('../services/uploadService');
+const { ROLES, STAFF_ROLES, PERMISSIONS, ACCOUNT_STATUS } = require('../config/permissions');
+const { CurrencyService } = require('../services/currencyService');
+const { CURRENCY_CODES } = require('../config/currencies');
+const { COUNTRY_CODES } = require('../config/countries');
+const { PricingService, FEE_TYPES, FEE_PAYERS } = require('../services/pricingService');
+const { InsuranceService, CLAIM_STATUS } = require('../services/insuranceService');
+const { PACKAGE_CATEGORY_CODES } = require('../config/packageCategories');
+const { DisputeService, DISPUTE_STATUS, DISPUTE_OUTCOMES } = require('../services/disputeService');
+const {
+  ScreeningService,
+  SCREENING_RULE_TYPES,
+  SCREENING_SEVERITY,
+  SCREENING_DECISIONS
+} = require('../services/screeningService');
+
+// Toute la console est réservée aux membres de l'équipe
+router.use(auth, requireRole(STAFF_ROLES));
+
+// Renvoyer les erreurs de validation, si présentes
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Paramètres invalides',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Contexte enregistré dans le journal d'audit
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent') || null
+});
+
+const handleError = (res, error, logMessage) => {
+  console.error(logMessage, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Erreur interne du serveur',
+    ...(error.statusCode && error.details && { errors: error.details })
+  });
+};
+
+/**
+ * @route GET /api/admin/users
+ * @desc Lister et rechercher les utilisateurs
+ * @access Private (users:read)
+ */
+router.get('/users', [
+  requirePermission(PERMISSIONS.USERS_READ),
+  query('search').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Recherche entre 2 et 100 caractères'),
+  query('role').optional().isIn(Object.values(ROLES)).withMessage('Rôle invalide'),
+  query('status').optional().isIn(Object.values(ACCOUNT_STATUS)).withMessage('Statut invalide'),
+  query('userType').optional().isIn(['traveler', 'sender', 'both']).withMessage('Type d\'utilisateur invalide'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page invalide'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await AdminService.listUsers(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la recherche des utilisateurs:');
+  }
+});
+
+/**
+ * @route GET /api/admin/users/:id
+ * @desc Obtenir la fiche d'un utilisateur et son historique d'audit
+ * @access Private (users:read)
+ */
+router.get('/users/:id', [
+  requirePermission(PERMISSIONS.USERS_READ),
+  param('id').isInt().withMessage('ID utilisateur invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const user = await AdminService.getUserDetails(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération de l\'utilisateur:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/users/:id/suspend
+ * @desc Suspendre un compte, éventuellement jusqu'à une date
+ * @access Private (users:suspend)
+ */
+router.patch('/users/:id/suspend', [
+  requirePermission(PERMISSIONS.USERS_SUSPEND),
+  param('id').isInt().withMessage('ID utilisateur invalide'),
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Motif requis (5 à 500 caractères)'),
+  body('until').optional().isISO8601().withMessage('Date de fin invalide')
+    .custom(value => new Date(value) > new Date()).withMessage('La date de fin doit être dans le futur')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const user = await AdminService.setAccountStatus(
+      parseInt(req.params.id),
+      ACCOUNT_STATUS.SUSPENDED,
+      req.user,
+      { reason: req.body.reason, until: req.body.until || null, context: auditContext(req) }
+    );
+
+    res.json({
+      success: true,
+      message: 'Compte suspendu',
+      data: user
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la suspension du compte:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/users/:id/ban
+ * @desc Bannir définitivement un compte
+ * @access Private (users:ban)
+ */
+router.patch('/users/:id/ban', [
+  requirePermission(PERMISSIONS.USERS_BAN),
+  param('id').isInt().withMessage('ID utilisateur invalide'),
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Motif requis (5 à 500 caractères)')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const user = await AdminService.setAccountStatus(
+      parseInt(req.params.id),
+      ACCOUNT_STATUS.BANNED,
+      req.user,
+      { reason: req.body.reason, context: auditContext(req) }
+    );
+
+    res.json({
+      success: true,
+      message: 'Compte banni',
+      data: user
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors du bannissement du compte:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/users/:id/reactivate
+ * @desc Lever une suspension ou un bannissement
+ * @access Private (users:suspend, users:ban pour un compte banni)
+ */
+router.patch('/users/:id/reactivate', [
+  requirePermission(PERMISSIONS.USERS_SUSPEND),
+  param('id').isInt().withMessage('ID utilisateur invalide'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Motif trop long (max 500 caractères)')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const user = await AdminService.setAccountStatus(
+      parseInt(req.params.id),
+      ACCOUNT_STATUS.ACTIVE,
+      req.user,
+      { reason: req.body.reason || null, context: auditContext(req) }
+    );
+
+    res.json({
+      success: true,
+      message: 'Compte réactivé',
+      data: user
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la réactivation du compte:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/users/:id/unlock
+ * @desc Lever le blocage de connexion après trop de tentatives échouées
+ * @access Private (users:unlock)
+ */
+router.patch('/users/:id/unlock', [
+  requirePermission(PERMISSIONS.USERS_UNLOCK),
+  param('id').isInt().withMessage('ID utilisateur invalide'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Motif trop long (max 500 caractères)')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const user = await AdminService.unlockLogin(
+      parseInt(req.params.id),
+      req.user,
+      { reason: req.body.reason || null, context: auditContext(req) }
+    );
+
+    res.json({
+      success: true,
+      message: 'Connexion débloquée',
+      data: user
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors du déblocage de la connexion:');
+  }
+});
+
+/**
+ * @route POST /api/admin/users/:id/impersonate
+ * @desc Obtenir un jeton temporaire pour agir au nom d'un utilisateur (support)
+ * @access Private (users:impersonate)
+ */
+router.post('/users/:id/impersonate', [
+  requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+  param('id').isInt().withMessage('ID utilisateur invalide'),
+  body('reason').trim().isLength({ min: 10, max: 500 }).withMessage('Motif requis (10 à 500 caractères)')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await AdminService.impersonate(
+      parseInt(req.params.id),
+      req.user,
+      { reason: req.body.reason, context: auditContext(req) }
+    );
+
+    res.json({
+      success: true,
+      message: 'Session d\'usurpation ouverte',
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de l\'usurpation d\'identité:');
+  }
+});
+
+/**
+ * @route GET /api/admin/staff
+ * @desc Lister les membres de l'équipe
+ * @access Private (staff:manage)
+ */
+router.get('/staff', requirePermission(PERMISSIONS.STAFF_MANAGE), async (req, res) => {
+  try {
+    const staff = await AdminService.listStaff();
+
+    res.json({
+      success: true,
+      data: staff
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération de l\'équipe:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/staff/:id/role
+ * @desc Attribuer un rôle d'équipe (ou "user" pour le retirer)
+ * @access Private (staff:manage)
+ */
+router.patch('/staff/:id/role', [
+  requirePermission(PERMISSIONS.STAFF_MANAGE),
+  param('id').isInt().withMessage('ID utilisateur invalide'),
+  body('role').isIn(Object.values(ROLES)).withMessage('Rôle invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const user = await AdminService.setRole(
+      parseInt(req.params.id),
+      req.body.role,
+      req.user,
+      auditContext(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Rôle mis à jour',
+      data: user
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la mise à jour du rôle:');
+  }
+});
+
+/**
+ * @route GET /api/admin/documents/pending
+ * @desc File d'attente des documents d'identité à vérifier (les plus anciens d'abord)
+ * @access Private (documents:review)
+ */
+router.get('/documents/pending', [
+  requirePermission(PERMISSIONS.DOCUMENTS_REVIEW),
+  query('documentType').optional().isIn(Object.keys(DOCUMENT_TYPES)).withMessage('Type de document invalide'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page invalide'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await documentReviewService.getPendingQueue(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération de la file de vérification:');
+  }
+});
+
+/**
+ * @route GET /api/admin/documents/:id/file
+ * @desc Consulter le fichier d'un document d'identité
+ * @access Private (documents:review)
+ */
+router.get('/documents/:id/file', [
+  requirePermission(PERMISSIONS.DOCUMENTS_REVIEW),
+  param('id').isInt().withMessage('ID document invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const document = await documentReviewService.getDocument(parseInt(req.params.id));
+    sendDocumentFile(res, document);
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la lecture du document:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/documents/:id/approve
+ * @desc Approuver un document d'identité (date d'expiration obligatoire)
+ * @access Private (documents:review)
+ */
+router.patch('/documents/:id/approve', [
+  requirePermission(PERMISSIONS.DOCUMENTS_REVIEW),
+  param('id').isInt().withMessage('ID document invalide'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Commentaire trop long (max 500 caractères)'),
+  body('issuingCountry').optional().isISO31661Alpha2().withMessage('Pays de délivrance invalide'),
+  body('documentNumber').optional().trim().isLength({ min: 4, max: 30 }).withMessage('Numéro de document invalide'),
+  body('expiresAt').optional().isISO8601().withMessage('Date d\'expiration invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { reason, issuingCountry, documentNumber, expiresAt } = req.body;
+
+    const result = await documentReviewService.reviewDocument(
+      parseInt(req.params.id),
+      true,
+      req.user,
+      {
+        reason: reason || null,
+        details: { issuingCountry, documentNumber, expiresAt },
+        context: auditContext(req)
+      }
+    );
+
+    res.json({
+      success: true,
+      message: result.accountVerified ? 'Document approuvé, compte vérifié' : 'Document approuvé',
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de l\'approbation du document:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/documents/:id/reject
+ * @desc Rejeter un document d'identité avec un motif
+ * @access Private (documents:review)
+ */
+router.patch('/documents/:id/reject', [
+  requirePermission(PERMISSIONS.DOCUMENTS_REVIEW),
+  param('id').isInt().withMessage('ID document invalide'),
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Motif requis (5 à 500 caractères)')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await documentReviewService.reviewDocument(
+      parseInt(req.params.id),
+      false,
+      req.user,
+      { reason: req.body.reason, context: auditContext(req) }
+    );
+
+    res.json({
+      success: true,
+      message: 'Document rejeté',
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors du rejet du document:');
+  }
+});
+
+/**
+ * @route GET /api/admin/packages/:packageId/payment
+ * @desc Paiement d'un colis avec ses écritures au grand livre et ses virements
+ * @access Private (payments:view)
+ */
+router.get('/packages/:packageId/payment', [
+  requirePermission(PERMISSIONS.PAYMENTS_VIEW),
+  param('packageId').isInt().withMessage('ID colis invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const payment = await PaymentService.getPaymentDetails(parseInt(req.params.packageId));
+
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération du paiement:');
+  }
+});
+
+/**
+ * @route GET /api/admin/exchange-rates
+ * @desc Lister les devises et les taux de change
+ * @access Private (exchange_rates:manage)
+ */
+router.get('/exchange-rates', requirePermission(PERMISSIONS.EXCHANGE_RATES_MANAGE), async (req, res) => {
+  try {
+    const rates = await CurrencyService.listRates();
+
+    res.json({
+      success: true,
+      data: rates
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération des taux de change:');
+  }
+});
+
+/**
+ * @route PUT /api/admin/exchange-rates/:base/:quote
+ * @desc Définir un taux de change (1 base = rate quote)
+ * @access Private (exchange_rates:manage)
+ */
+router.put('/exchange-rates/:base/:quote', [
+  requirePermission(PERMISSIONS.EXCHANGE_RATES_MANAGE),
+  param('base').toUpperCase().isIn(CURRENCY_CODES).withMessage('Devise de base invalide'),
+  param('quote').toUpperCase().isIn(CURRENCY_CODES).withMessage('Devise de cotation invalide'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Le taux doit être un nombre positif').toFloat()
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const rate = await AdminService.setExchangeRate(
+      { base: req.params.base, quote: req.params.quote, rate: req.body.rate },
+      req.user,
+      auditContext(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Taux de change mis à jour',
+      data: rate
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la mise à jour du taux de change:');
+  }
+});
+
+/**
+ * @route POST /api/admin/exchange-rates/import
+ * @desc Importer des taux depuis un CSV "base,quote,rate" (corps text/csv ou champ JSON csv)
+ * @access Private (exchange_rates:manage)
+ */
+router.post('/exchange-rates/import', [
+  requirePermission(PERMISSIONS.EXCHANGE_RATES_MANAGE),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' })
+], async (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contenu CSV requis'
+      });
+    }
+
+    const imported = await AdminService.importExchangeRates(csv, req.user, auditContext(req));
+
+    res.json({
+      success: true,
+      message: `${imported.length} taux de change importés`,
+      data: imported
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de l\'import des taux de change:');
+  }
+});
+
+// Validation d'une règle de frais (champs facultatifs en modification)
+const feeRuleValidation = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    field(body('code')).trim().matches(/^[a-z0-9_]{2,50}$/).withMessage('Code invalide (minuscules, chiffres et _)'),
+    field(body('label')).trim().isLength({ min: 2, max: 100 }).withMessage('Libellé invalide'),
+    field(body('type')).isIn(Object.values(FEE_TYPES)).withMessage('Type de frais invalide'),
+    field(body('payer')).isIn(Object.values(FEE_PAYERS)).withMessage('Payeur invalide'),
+    body('rate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Taux invalide').toFloat(),
+    body('amount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Montant invalide').toFloat(),
+    body('currency').optional({ nullable: true }).toUpperCase().isIn(CURRENCY_CODES).withMessage('Devise invalide'),
+    body('departureCountry').optional({ nullable: true }).toUpperCase().isIn(COUNTRY_CODES).withMessage('Pays de départ invalide (code ISO 3166-1 alpha-2)'),
+    body('destinationCountry').optional({ nullable: true }).toUpperCase().isIn(COUNTRY_CODES).withMessage('Pays de destination invalide (code ISO 3166-1 alpha-2)'),
+    body('isActive').optional().isBoolean().withMessage('Statut invalide').toBoolean()
+  ];
+};
+
+/**
+ * @route GET /api/admin/fee-rules
+ * @desc Lister les règles de frais, commissions et taxes
+ * @access Private (fees:manage)
+ */
+router.get('/fee-rules', requirePermission(PERMISSIONS.FEES_MANAGE), async (req, res) => {
+  try {
+    const rules = await PricingService.listRules();
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération des règles de frais:');
+  }
+});
+
+/**
+ * @route POST /api/admin/fee-rules
+ * @desc Créer une règle de frais (globale ou propre à un trajet)
+ * @access Private (fees:manage)
+ */
+router.post('/fee-rules', [
+  requirePermission(PERMISSIONS.FEES_MANAGE),
+  ...feeRuleValidation(false)
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const rule = await AdminService.createFeeRule(req.body, req.user, auditContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Règle de frais créée',
+      data: rule
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la création de la règle de frais:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/fee-rules/:id
+ * @desc Modifier ou désactiver une règle de frais (les colis existants gardent leur devis)
+ * @access Private (fees:manage)
+ */
+router.patch('/fee-rules/:id', [
+  requirePermission(PERMISSIONS.FEES_MANAGE),
+  param('id').isInt({ min: 1 }).withMessage('ID de règle invalide'),
+  ...feeRuleValidation(true)
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const rule = await AdminService.updateFeeRule(
+      parseInt(req.params.id),
+      req.body,
+      req.user,
+      auditContext(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Règle de frais mise à jour',
+      data: rule
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la mise à jour de la règle de frais:');
+  }
+});
+
+// Validation d'une règle de contrôle (champs facultatifs en modification)
+const screeningRuleValidation = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    field(body('type')).isIn(Object.values(SCREENING_RULE_TYPES)).withMessage('Type de règle invalide'),
+    field(body('value')).isString().trim().isLength({ min: 2, max: 100 }).withMessage('Valeur invalide (2 à 100 caractères)'),
+    field(body('severity')).isIn(Object.values(SCREENING_SEVERITY)).withMessage('Sévérité invalide'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Motif trop long (500 caractères maximum)'),
+    body('originCountry').optional({ nullable: true }).toUpperCase().isIn(COUNTRY_CODES).withMessage('Pays de départ invalide (code ISO 3166-1 alpha-2)'),
+    body('destinationCountry').optional({ nullable: true }).toUpperCase().isIn(COUNTRY_CODES).withMessage('Pays de destination invalide (code ISO 3166-1 alpha-2)'),
+    body('isActive').optional().isBoolean().withMessage('Statut invalide').toBoolean()
+  ];
+};
+
+/**
+ * @route GET /api/admin/screening-rules
+ * @desc Lister les règles de contrôle des objets interdits et réglementés
+ * @access Private (screening:manage)
+ */
+router.get('/screening-rules', [
+  requirePermission(PERMISSIONS.SCREENING_MANAGE),
+  query('type').optional().isIn(Object.values(SCREENING_RULE_TYPES)).withMessage('Type de règle invalide'),
+  query('severity').optional().isIn(Object.values(SCREENING_SEVERITY)).withMessage('Sévérité invalide'),
+  query('active').optional().isBoolean().withMessage('Filtre d\'activité invalide').toBoolean()
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const rules = await ScreeningService.listRules(req.query);
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération des règles de contrôle:');
+  }
+});
+
+/**
+ * @route POST /api/admin/screening-rules
+ * @desc Créer une règle de contrôle (catégorie ou mot-clé, globale ou propre à un trajet)
+ * @access Private (screening:manage)
+ */
+router.post('/screening-rules', [
+  requirePermission(PERMISSIONS.SCREENING_MANAGE),
+  ...screeningRuleValidation(false)
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const rule = await AdminService.createScreeningRule(req.body, req.user, auditContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Règle de contrôle créée',
+      data: rule
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la création de la règle de contrôle:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/screening-rules/:id
+ * @desc Modifier ou désactiver une règle de contrôle (sans effet sur les colis déjà créés)
+ * @access Private (screening:manage)
+ */
+router.patch('/screening-rules/:id', [
+  requirePermission(PERMISSIONS.SCREENING_MANAGE),
+  param('id').isInt({ min: 1 }).withMessage('ID de règle invalide'),
+  ...screeningRuleValidation(true)
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const rule = await AdminService.updateScreeningRule(
+      parseInt(req.params.id),
+      req.body,
+      req.user,
+      auditContext(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Règle de contrôle mise à jour',
+      data: rule
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la mise à jour de la règle de contrôle:');
+  }
+});
+
+/**
+ * @route GET /api/admin/screenings
+ * @desc Consulter le journal des décisions de contrôle (blocages, restrictions, prises de connaissance)
+ * @access Private (screening:manage)
+ */
+router.get('/screenings', [
+  requirePermission(PERMISSIONS.SCREENING_MANAGE),
+  query('decision').optional().isIn(Object.values(SCREENING_DECISIONS)).withMessage('Décision invalide'),
+  query('packageId').optional().isInt({ min: 1 }).withMessage('ID de colis invalide'),
+  query('tripId').optional().isInt({ min: 1 }).withMessage('ID de voyage invalide'),
+  query('actorId').optional().isInt({ min: 1 }).withMessage('ID acteur invalide'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page invalide'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await ScreeningService.listScreenings(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération du journal des contrôles:');
+  }
+});
+
+/**
+ * @route GET /api/admin/disputes
+ * @desc Lister les litiges (les plus proches de leur échéance en premier)
+ * @access Private (disputes:resolve)
+ */
+router.get('/disputes', [
+  requirePermission(PERMISSIONS.DISPUTES_RESOLVE),
+  query('status').optional().isIn(Object.values(DISPUTE_STATUS)).withMessage('Statut invalide'),
+  query('assignedTo').optional().isInt({ min: 1 }).withMessage('Modérateur invalide'),
+  query('overdue').optional().isBoolean().withMessage('Filtre de retard invalide').toBoolean(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page invalide'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await DisputeService.listDisputes(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération des litiges:');
+  }
+});
+
+/**
+ * @route GET /api/admin/disputes/:disputeId
+ * @desc Obtenir un litige et son fil complet (notes internes comprises)
+ * @access Private (disputes:resolve)
+ */
+router.get('/disputes/:disputeId', [
+  requirePermission(PERMISSIONS.DISPUTES_RESOLVE),
+  param('disputeId').isInt({ min: 1 }).withMessage('ID de litige invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await DisputeService.getDispute(parseInt(req.params.disputeId), { staff: true });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération du litige:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/disputes/:disputeId/assign
+ * @desc Attribuer un litige à un modérateur (soi-même par défaut)
+ * @access Private (disputes:resolve)
+ */
+router.patch('/disputes/:disputeId/assign', [
+  requirePermission(PERMISSIONS.DISPUTES_RESOLVE),
+  param('disputeId').isInt({ min: 1 }).withMessage('ID de litige invalide'),
+  body('moderatorId').optional().isInt({ min: 1 }).withMessage('Modérateur invalide').toInt()
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const dispute = await AdminService.assignDispute(
+      parseInt(req.params.disputeId),
+      req.body.moderatorId || req.user.userId,
+      req.user,
+      auditContext(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Litige attribué',
+      data: dispute
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de l\'attribution du litige:');
+  }
+});
+
+/**
+ * @route POST /api/admin/disputes/:disputeId/messages
+ * @desc Écrire aux parties, ou ajouter une note interne, dans le fil du litige
+ * @access Private (disputes:resolve)
+ */
+router.post('/disputes/:disputeId/messages', [
+  requirePermission(PERMISSIONS.DISPUTES_RESOLVE),
+  param('disputeId').isInt({ min: 1 }).withMessage('ID de litige invalide'),
+  body('body').trim().isLength({ min: 1, max: 2000 }).withMessage('Le message doit contenir entre 1 et 2000 caractères'),
+  body('internal').optional().isBoolean().withMessage('Indicateur de note interne invalide').toBoolean(),
+  body('parentId').optional().isInt({ min: 1 }).withMessage('Message parent invalide').toInt()
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const message = await DisputeService.addModeratorMessage(
+      parseInt(req.params.disputeId),
+      req.user.userId,
+      { body: req.body.body, internal: req.body.internal, parentId: req.body.parentId }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: message.internal ? 'Note interne ajoutée' : 'Message envoyé aux parties',
+      data: message
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de l\'ajout du message:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/disputes/:disputeId/resolve
+ * @desc Trancher un litige : remboursement, remboursement partiel, paiement du voyageur ou sans suite.
+ * Une perte ou un dommage remboursé ouvre un sinistre si le colis est assuré
+ * @access Private (disputes:resolve)
+ */
+router.patch('/disputes/:disputeId/resolve', [
+  requirePermission(PERMISSIONS.DISPUTES_RESOLVE),
+  param('disputeId').isInt({ min: 1 }).withMessage('ID de litige invalide'),
+  body('outcome').isIn(Object.values(DISPUTE_OUTCOMES)).withMessage('Décision invalide'),
+  body('refundAmount')
+    .if(body('outcome').equals(DISPUTE_OUTCOMES.PARTIAL_REFUND))
+    .isFloat({ gt: 0 }).withMessage('Montant du remboursement partiel invalide').toFloat(),
+  body('resolution').trim().isLength({ min: 10, max: 1000 }).withMessage('La résolution doit contenir entre 10 et 1000 caractères')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await AdminService.decideDispute(
+      parseInt(req.params.disputeId),
+      {
+        outcome: req.body.outcome,
+        refundAmount: req.body.refundAmount,
+        resolution: req.body.resolution
+      },
+      req.user,
+      auditContext(req)
+    );
+
+    res.json({
+      success: true,
+      message: result.claim ? 'Litige résolu, sinistre d\'assurance ouvert' : 'Litige résolu',
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la résolution du litige:');
+  }
+});
+
+/**
+ * @route GET /api/admin/insurance/claims
+ * @desc Lister les sinistres d'assurance
+ * @access Private (insurance:manage)
+ */
+router.get('/insurance/claims', [
+  requirePermission(PERMISSIONS.INSURANCE_MANAGE),
+  query('status').optional().isIn(Object.values(CLAIM_STATUS)).withMessage('Statut invalide'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page invalide'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await InsuranceService.listClaims(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération des sinistres:');
+  }
+});
+
+/**
+ * @route PATCH /api/admin/insurance/claims/:claimId
+ * @desc Accepter (et indemniser) ou refuser un sinistre
+ * @access Private (insurance:manage)
+ */
+router.patch('/insurance/claims/:claimId', [
+  requirePermission(PERMISSIONS.INSURANCE_MANAGE),
+  param('claimId').isInt({ min: 1 }).withMessage('ID de sinistre invalide'),
+  body('decision').isIn(['approve', 'reject']).withMessage('Décision invalide'),
+  body('approvedAmount').optional().isFloat({ gt: 0 }).withMessage('Montant accordé invalide').toFloat(),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes trop longues')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const claim = await AdminService.decideInsuranceClaim(
+      parseInt(req.params.claimId),
+      {
+        approved: req.body.decision === 'approve',
+        approvedAmount: req.body.approvedAmount,
+        notes: req.body.notes
+      },
+      req.user,
+      auditContext(req)
+    );
+
+    res.json({
+      success: true,
+      message: claim.status === CLAIM_STATUS.APPROVED ? 'Sinistre accepté, indemnisation programmée' : 'Sinistre refusé',
+      data: claim
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la décision sur le sinistre:');
+  }
+});
+
+/**
+ * @route PUT /api/admin/insurance/caps/:category
+ * @desc Définir le plafond de couverture d'une catégorie (0 = non assurable)
+ * @access Private (insurance:manage)
+ */
+router.put('/insurance/caps/:category', [
+  requirePermission(PERMISSIONS.INSURANCE_MANAGE),
+  param('category').isIn(PACKAGE_CATEGORY_CODES).withMessage('Catégorie invalide'),
+  body('maxCoverage').isFloat({ min: 0 }).withMessage('Plafond invalide').toFloat(),
+  body('currency').toUpperCase().isIn(CURRENCY_CODES).withMessage('Devise invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const cap = await AdminService.setInsuranceCap(
+      req.params.category,
+      { maxCoverage: req.body.maxCoverage, currency: req.body.currency },
+      req.user,
+      auditContext(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Plafond d\'assurance mis à jour',
+      data: cap
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la mise à jour du plafond d\'assurance:');
+  }
+});
+
+/**
+ * @route GET /api/admin/audit-logs
+ * @desc Consulter le journal d'audit de l'équipe
+ * @access Private (audit:read)
+ */
+router.get('/audit-logs', [
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  query('actorId').optional().isInt().withMessage('ID acteur invalide'),
+  query('targetUserId').optional().isInt().withMessage('ID utilisateur invalide'),
+  query('action').optional().isIn(Object.values(AUDIT_ACTIONS)).withMessage('Action invalide'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page invalide'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await AdminService.getAuditLogs(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Erreur lors de la récupération du journal d\'audit:');
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { param, query, validationResult } = require('express-validator');
-const auth = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
 const analyticsService = require('../services/analyticsService');
+const { CurrencyService } = require('../services/currencyService');
+const { CURRENCY_CODES, roundAmount } = require('../config/currencies');
+
+// Devise d'affichage des montants (sinon celle préférée par l'utilisateur)
+const currencyValidation = query('currency').optional().toUpperCase().isIn(CURRENCY_CODES).withMessage('Devise invalide');
 
 /**
  * @route GET /api/analytics/user/:userId
@@ -12,7 +18,8 @@ const analyticsService = require('../services/analyticsService');
 router.get('/user/:userId', [
   auth,
   param('userId').isInt().withMessage('ID utilisateur invalide'),
-  query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Période invalide')
+  query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Période invalide'),
+  currencyValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -26,17 +33,17 @@ router.get('/user/:userId', [
 
     const userId = parseInt(req.params.userId);
     const period = req.query.period || '30d';
-    const requesterId = req.user.id;
+    const requesterId = req.user.userId;
 
     // Vérifier que l'utilisateur peut accéder à ces statistiques
-    if (userId !== requesterId && req.user.role !== 'admin') {
+    if (userId !== requesterId && !hasPermission(req.user.role, PERMISSIONS.ANALYTICS_VIEW)) {
       return res.status(403).json({
         success: false,
         message: 'Accès non autorisé à ces statistiques'
       });
     }
 
-    const result = await analyticsService.getUserStats(userId, period);
+    const result = await analyticsService.getUserStats(userId, period, CurrencyService.resolveViewerCurrency(req));
 
     res.json({
       success: true,
@@ -58,7 +65,8 @@ router.get('/user/:userId', [
  */
 router.get('/my-stats', [
   auth,
-  query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Période invalide')
+  query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Période invalide'),
+  currencyValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -70,10 +78,10 @@ router.get('/my-stats', [
       });
     }
 
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const period = req.query.period || '30d';
 
-    const result = await analyticsService.getUserStats(userId, period);
+    const result = await analyticsService.getUserStats(userId, period, CurrencyService.resolveViewerCurrency(req));
 
     res.json({
       success: true,
@@ -107,7 +115,7 @@ router.get('/disputes', [
       });
     }
 
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const period = req.query.period || '30d';
 
     const result = await analyticsService.getDisputeStats(userId, period);
@@ -132,7 +140,9 @@ router.get('/disputes', [
  */
 router.get('/platform', [
   auth,
-  query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Période invalide')
+  requirePermission(PERMISSIONS.ANALYTICS_VIEW),
+  query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Période invalide'),
+  currencyValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -144,16 +154,8 @@ router.get('/platform', [
       });
     }
 
-    // Vérifier que l'utilisateur est admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Accès réservé aux administrateurs'
-      });
-    }
-
     const period = req.query.period || '30d';
-    const result = await analyticsService.getPlatformStats(period);
+    const result = await analyticsService.getPlatformStats(period, CurrencyService.resolveViewerCurrency(req));
 
     res.json({
       success: true,
@@ -175,9 +177,11 @@ router.get('/platform', [
  */
 router.get('/trends', [
   auth,
+  requirePermission(PERMISSIONS.ANALYTICS_VIEW),
   query('metric').isIn(['packages', 'trips', 'users', 'revenue']).withMessage('Métrique invalide'),
   query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Période invalide'),
-  query('granularity').optional().isIn(['day', 'week', 'month']).withMessage('Granularité invalide')
+  query('granularity').optional().isIn(['day', 'week', 'month']).withMessage('Granularité invalide'),
+  currencyValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -189,19 +193,16 @@ router.get('/trends', [
       });
     }
 
-    // Vérifier que l'utilisateur est admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Accès réservé aux administrateurs'
-      });
-    }
-
     const metric = req.query.metric;
     const period = req.query.period || '30d';
     const granularity = req.query.granularity || 'day';
 
-    const result = await analyticsService.getTimeTrends(metric, period, granularity);
+    const result = await analyticsService.getTimeTrends(
+      metric,
+      period,
+      granularity,
+      CurrencyService.resolveViewerCurrency(req)
+    );
 
     res.json({
       success: true,
@@ -223,17 +224,18 @@ router.get('/trends', [
  */
 router.get('/summary', auth, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.userId;
     
     // Récupérer les statistiques de base
-    const result = await analyticsService.getUserStats(userId, '30d');
+    const result = await analyticsService.getUserStats(userId, '30d', CurrencyService.resolveViewerCurrency(req));
     
     // Créer un résumé simplifié
     const summary = {
       packages: {
         sent: result.data.packages.sent,
         delivered: result.data.packages.delivered,
-        totalEarned: result.data.financial.totalEarned
+        totalEarned: result.data.financial.totalEarned,
+        currency: result.data.currency
       },
       trips: {
         total: result.data.trips.total,
@@ -267,7 +269,8 @@ router.get('/summary', auth, async (req, res) => {
  */
 router.get('/performance', [
   auth,
-  query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Période invalide')
+  query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Période invalide'),
+  currencyValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -279,11 +282,11 @@ router.get('/performance', [
       });
     }
 
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const period = req.query.period || '30d';
 
     const [userStats, disputeStats] = await Promise.all([
-      analyticsService.getUserStats(userId, period),
+      analyticsService.getUserStats(userId, period, CurrencyService.resolveViewerCurrency(req)),
       analyticsService.getDisputeStats(userId, period)
     ]);
 
@@ -301,7 +304,8 @@ router.get('/performance', [
       },
       financial: {
         averageEarningsPerTrip: userStats.data.trips.completed > 0 ? 
-          (userStats.data.financial.totalEarned / userStats.data.trips.completed).toFixed(2) : 0,
+          roundAmount(userStats.data.financial.totalEarned / userStats.data.trips.completed, userStats.data.currency) : 0,
+        currency: userStats.data.currency,
         totalRevenue: userStats.data.financial.totalEarned,
         profitMargin: userStats.data.financial.totalEarned > 0 ? 
           ((userStats.data.financial.totalEarned - userStats.data.financial.totalSpent) / userStats.data.financial.totalEarned * 100).toFixed(2) : 0
@@ -330,7 +334,8 @@ router.get('/performance', [
 router.get('/leaderboard', [
   query('type').optional().isIn(['rating', 'deliveries', 'revenue']).withMessage('Type de classement invalide'),
   query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Période invalide'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite invalide')
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite invalide'),
+  currencyValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -345,6 +350,8 @@ router.get('/leaderboard', [
     const type = req.query.type || 'rating';
     const period = req.query.period || '30d';
     const limit = parseInt(req.query.limit) || 10;
+    const currency = CurrencyService.resolveViewerCurrency(req);
+    const queryParams = [limit];
 
     const db = require('../config/database');
     const dateFilter = analyticsService.getDateFilter(period);
@@ -384,6 +391,10 @@ router.get('/leaderboard', [
         LIMIT $1
       `;
     } else if (type === 'revenue') {
+      // Revenus nets du voyageur (après commission), convertis dans la devise d'affichage avant le classement
+      const { currencies, factors } = await CurrencyService.getConversionFactors(currency);
+      queryParams.push(currencies, factors);
+
       query = `
         SELECT 
           u.id,
@@ -392,12 +403,13 @@ router.get('/leaderboard', [
           u.profile_picture,
           u.rating_average,
           u.rating_count,
-          SUM(p.price)::DECIMAL(10,2) as total_revenue
+          SUM(COALESCE(p.traveler_earnings, p.total_price) * fx.factor) as total_revenue
         FROM users u
         LEFT JOIN packages p ON u.id = p.traveler_id
         ${dateFilter ? `AND ${dateFilter.replace('created_at', 'p.created_at')}` : ''}
+        LEFT JOIN unnest($2::varchar[], $3::numeric[]) AS fx(currency, factor) ON fx.currency = p.currency
         GROUP BY u.id, u.first_name, u.last_name, u.profile_picture, u.rating_average, u.rating_count
-        HAVING SUM(p.price) > 0
+        HAVING SUM(COALESCE(p.traveler_earnings, p.total_price) * fx.factor) > 0
         ORDER BY ${orderBy}
         LIMIT $1
       `;
@@ -417,7 +429,7 @@ router.get('/leaderboard', [
       `;
     }
 
-    const result = await db.query(query, [limit]);
+    const result = await db.query(query, queryParams);
 
     const leaderboard = result.rows.map((user, index) => ({
       rank: index + 1,
@@ -428,7 +440,7 @@ router.get('/leaderboard', [
       averageRating: parseFloat(user.rating_average) || 0,
       totalRatings: parseInt(user.rating_count) || 0,
       deliveryCount: parseInt(user.delivery_count) || 0,
-      totalRevenue: parseFloat(user.total_revenue) || 0
+      totalRevenue: roundAmount(parseFloat(user.total_revenue) || 0, currency)
     }));
 
     res.json({
@@ -436,6 +448,7 @@ router.get('/leaderboard', [
       data: {
         type,
         period,
+        ...(type === 'revenue' && { currency }),
         leaderboard
       }
     });
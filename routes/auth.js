@@ -1,13 +1,92 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { auth, requireVerified, checkUserPermissions } = require('../middleware/auth');
+const { auth, requireVerified, rejectImpersonation, checkUserPermissions } = require('../middleware/auth');
+const { ROLE_PERMISSIONS, getAccountRestriction } = require('../config/permissions');
 const emailService = require('../services/emailService');
+const socketService = require('../services/socketService');
+const { SessionService, REVOKE_REASONS } = require('../services/sessionService');
+const { TwoFactorService, CHALLENGE_TOKEN_TTL } = require('../services/twoFactorService');
+const { normalizePhoneNumber } = require('../services/phoneVerificationService');
+const { LoginProtectionService, ATTEMPT_TYPES } = require('../services/loginProtectionService');
 
 const router = express.Router();
 
+// Appareil et adresse enregistrés avec la session
+const sessionContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  deviceName: typeof req.body.deviceName === 'string' ? req.body.deviceName.trim().slice(0, 100) : null
+});
+
+// Colonnes lues pour connecter un utilisateur
+const LOGIN_COLUMNS = 'id, email, password_hash, first_name, last_name, phone, user_type, is_verified, rating, role, account_status, suspended_until, two_factor_enabled';
+
+// Ouvrir la session et répondre à une connexion réussie (avec ou sans 2FA)
+const sendLoginResponse = async (req, res, user) => {
+  const { token, refreshToken, expiresIn } = await SessionService.createSession(user, {
+    context: sessionContext(req)
+  });
+
+  await db.query(
+    'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
+
+  // La 2FA obligatoire mais pas encore activée bloque les actions sensibles
+  const twoFactorSetupRequired = !user.two_factor_enabled && await TwoFactorService.isTwoFactorRequired(user);
+
+  res.json({
+    message: 'Connexion réussie',
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      phone: user.phone,
+      userType: user.user_type,
+      isVerified: user.is_verified,
+      rating: parseFloat(user.rating),
+      role: user.role,
+      twoFactorEnabled: user.two_factor_enabled
+    },
+    token,
+    refreshToken,
+    expiresIn,
+    twoFactorSetupRequired
+  });
+};
+
+// Contexte d'une tentative de connexion journalisée
+const attemptContext = (req, email, user = null, type = ATTEMPT_TYPES.LOGIN) => ({
+  type,
+  email,
+  user,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Réponse d'erreur d'un service (statusCode, code et délai éventuels)
+const sendServiceError = (res, error, logMessage) => {
+  if (error.statusCode) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      retryAfter: error.retryAfter
+    });
+  }
+
+  console.error(logMessage, error);
+  res.status(500).json({
+    error: 'Erreur interne du serveur'
+  });
+};
+
 // Validation pour l'inscription
 const registerValidation = [
   body('email')
@@ -25,6 +104,11 @@ const registerValidation = [
     .trim()
     .isLength({ min: 2 })
     .withMessage('Le nom doit contenir au moins 2 caractères'),
+  body('phone')
+    .optional({ values: 'falsy' })
+    .custom((value, { req }) => Boolean(normalizePhoneNumber(value, req.body.phoneCountry)))
+    .withMessage('Numéro de téléphone invalide')
+    .customSanitizer((value, { req }) => normalizePhoneNumber(value, req.body.phoneCountry)),
   body('userType')
     .isIn(['traveler', 'sender', 'both'])
     .withMessage('Type d\'utilisateur invalide')
@@ -93,12 +177,10 @@ router.post('/register', registerValidation, async (req, res) => {
       // Ne pas faire échouer l'inscription si l'email ne peut pas être envoyé
     }
 
-    // Générer un token JWT
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Ouvrir une session pour cet appareil
+    const { token, refreshToken, expiresIn } = await SessionService.createSession(user, {
+      context: sessionContext(req)
+    });
 
     res.status(201).json({
       message: 'Compte créé avec succès. Un email de vérification a été envoyé.',
@@ -113,6 +195,8 @@ router.post('/register', registerValidation, async (req, res) => {
         createdAt: user.created_at
       },
       token,
+      refreshToken,
+      expiresIn,
       emailSent: true
     });
 
@@ -138,13 +222,21 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Délai progressif ou blocage après trop d'échecs (email et IP)
+    await LoginProtectionService.assertCanAttempt(email, req.ip);
+
     // Trouver l'utilisateur
     const result = await db.query(
-      'SELECT id, email, password_hash, first_name, last_name, phone, user_type, is_verified, rating FROM users WHERE email = $1',
+      `SELECT ${LOGIN_COLUMNS} FROM users WHERE email = $1`,
       [email]
     );
 
     if (result.rows.length === 0) {
+      await LoginProtectionService.recordFailure({
+        ...attemptContext(req, email),
+        reason: 'unknown_email'
+      });
+
       return res.status(401).json({
         error: 'Email ou mot de passe incorrect'
       });
@@ -155,38 +247,231 @@ router.post('/login', loginValidation, async (req, res) => {
     // Vérifier le mot de passe
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     if (!isPasswordValid) {
+      await LoginProtectionService.recordFailure({
+        ...attemptContext(req, email, user),
+        reason: 'invalid_password'
+      });
+
       return res.status(401).json({
         error: 'Email ou mot de passe incorrect'
       });
     }
 
-    // Générer un token JWT
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    // Refuser les comptes suspendus ou bannis
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      await LoginProtectionService.logAttempt({
+        ...attemptContext(req, email, user),
+        success: false,
+        reason: 'account_restricted'
+      });
+
+      return res.status(403).json({
+        error: restriction,
+        code: 'ACCOUNT_RESTRICTED'
+      });
+    }
+
+    // Deuxième étape : code TOTP ou de secours avant l'ouverture de la session
+    // Le compteur de l'email n'est remis à zéro qu'après le code
+    if (user.two_factor_enabled) {
+      await LoginProtectionService.logAttempt({
+        ...attemptContext(req, email, user),
+        success: true
+      });
+
+      return res.json({
+        message: 'Code de double authentification requis',
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createChallenge(user),
+        expiresIn: CHALLENGE_TOKEN_TTL
+      });
+    }
+
+    await LoginProtectionService.recordSuccess(attemptContext(req, email, user));
+
+    await sendLoginResponse(req, res, user);
+
+  } catch (error) {
+    sendServiceError(res, error, 'Erreur lors de la connexion:');
+  }
+});
+
+// Validation d'un code de double authentification (TOTP ou code de secours)
+const twoFactorCodeValidation = body('code')
+  .isString()
+  .trim()
+  .isLength({ min: 6, max: 20 })
+  .withMessage('Code de vérification requis');
+
+// Route de connexion, deuxième étape : code de double authentification
+router.post('/login/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Jeton de challenge requis'),
+  twoFactorCodeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const userId = TwoFactorService.verifyChallenge(req.body.challengeToken);
+
+    const result = await db.query(
+      `SELECT ${LOGIN_COLUMNS} FROM users WHERE id = $1`,
+      [userId]
     );
 
+    const user = result.rows[0];
+    if (!user) {
+      return res.status(401).json({
+        error: 'Challenge expiré ou invalide. Veuillez vous reconnecter.',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    // Le compte a pu être suspendu entre les deux étapes
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({
+        error: restriction,
+        code: 'ACCOUNT_RESTRICTED'
+      });
+    }
+
+    await LoginProtectionService.assertCanAttempt(user.email, req.ip);
+
+    const context = attemptContext(req, user.email, user, ATTEMPT_TYPES.TWO_FACTOR);
+
+    try {
+      await TwoFactorService.verifyCode(user.id, req.body.code);
+    } catch (error) {
+      if (error.code === 'INVALID_TWO_FACTOR_CODE') {
+        await LoginProtectionService.recordFailure({ ...context, reason: 'invalid_code' });
+      }
+      throw error;
+    }
+
+    await LoginProtectionService.recordSuccess(context);
+
+    await sendLoginResponse(req, res, user);
+
+  } catch (error) {
+    sendServiceError(res, error, 'Erreur lors de la connexion (2FA):');
+  }
+});
+
+// Route pour obtenir l'état de la double authentification
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const status = await TwoFactorService.getStatus(req.user);
+
+    res.json(status);
+
+  } catch (error) {
+    sendServiceError(res, error, 'Erreur récupération double authentification:');
+  }
+});
+
+// Route pour démarrer l'activation de la double authentification
+router.post('/2fa/enroll', auth, rejectImpersonation, async (req, res) => {
+  try {
+    const enrollment = await TwoFactorService.startEnrollment(req.user);
+
     res.json({
-      message: 'Connexion réussie',
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        phone: user.phone,
-        userType: user.user_type,
-        isVerified: user.is_verified,
-        rating: parseFloat(user.rating)
-      },
-      token
+      message: 'Scannez le QR code puis confirmez avec un premier code',
+      ...enrollment
     });
 
   } catch (error) {
-    console.error('Erreur lors de la connexion:', error);
-    res.status(500).json({
-      error: 'Erreur interne du serveur lors de la connexion'
+    sendServiceError(res, error, 'Erreur lors de l\'enrôlement 2FA:');
+  }
+});
+
+// Route pour confirmer l'activation avec un premier code
+router.post('/2fa/verify', auth, rejectImpersonation, [twoFactorCodeValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const backupCodes = await TwoFactorService.activate(req.user.userId, req.body.code);
+
+    res.json({
+      message: 'Double authentification activée. Conservez vos codes de secours en lieu sûr.',
+      backupCodes
     });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Erreur lors de l\'activation 2FA:');
+  }
+});
+
+// Route pour régénérer les codes de secours
+router.post('/2fa/backup-codes', auth, rejectImpersonation, [twoFactorCodeValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const backupCodes = await TwoFactorService.regenerateBackupCodes(req.user.userId, req.body.code);
+
+    res.json({
+      message: 'Nouveaux codes de secours générés. Les anciens ne sont plus valides.',
+      backupCodes
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Erreur lors de la régénération des codes de secours:');
+  }
+});
+
+// Route pour désactiver la double authentification
+router.post('/2fa/disable', auth, rejectImpersonation, [
+  body('password')
+    .notEmpty()
+    .withMessage('Le mot de passe est requis'),
+  twoFactorCodeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const result = await db.query('SELECT password_hash FROM users WHERE id = $1', [req.user.userId]);
+    const isPasswordValid = await bcrypt.compare(req.body.password, result.rows[0].password_hash);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        error: 'Mot de passe incorrect'
+      });
+    }
+
+    await TwoFactorService.disable(req.user, req.body.code);
+
+    res.json({
+      message: 'Double authentification désactivée'
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Erreur lors de la désactivation 2FA:');
   }
 });
 
@@ -194,7 +479,7 @@ router.post('/login', loginValidation, async (req, res) => {
 router.get('/verify', auth, async (req, res) => {
   try {
     const result = await db.query(
-      'SELECT id, email, first_name, last_name, phone, user_type, is_verified, rating FROM users WHERE id = $1',
+      'SELECT id, email, first_name, last_name, phone, phone_verified_at, user_type, is_verified, rating FROM users WHERE id = $1',
       [req.user.userId]
     );
 
@@ -225,12 +510,18 @@ router.get('/verify', auth, async (req, res) => {
         firstName: user.first_name,
         lastName: user.last_name,
         phone: user.phone,
+        phoneVerified: Boolean(user.phone_verified_at),
         userType: user.user_type,
         isVerified: user.is_verified,
         rating: parseFloat(user.rating),
+        role: req.user.role,
         hasApprovedDocuments
       },
-      permissions
+      permissions,
+      staffPermissions: ROLE_PERMISSIONS[req.user.role] || [],
+      twoFactorEnabled: req.user.two_factor_enabled,
+      impersonatedBy: req.user.impersonatedBy || null,
+      sessionId: req.user.sessionId
     });
 
   } catch (error) {
@@ -306,11 +597,130 @@ router.get('/permissions', auth, async (req, res) => {
   }
 });
 
-//// Route de déconnexion
-router.post('/logout', auth, (req, res) => {
-  res.json({
-    message: 'Déconnexion réussie'
-  });
+// Route pour renouveler le jeton d'accès (rotation du refresh token)
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token requis')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const tokens = await SessionService.refresh(req.body.refreshToken, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      message: 'Session renouvelée',
+      ...tokens
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Erreur lors du renouvellement de session:');
+  }
+});
+
+// Route de déconnexion (session courante)
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await SessionService.revokeSession(req.user.userId, req.user.sessionId, REVOKE_REASONS.LOGOUT);
+    socketService.disconnectSessions([req.user.sessionId]);
+
+    res.json({
+      message: 'Déconnexion réussie'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la déconnexion:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur lors de la déconnexion'
+    });
+  }
+});
+
+// Route pour se déconnecter de tous les appareils
+router.post('/logout-all', auth, rejectImpersonation, async (req, res) => {
+  try {
+    const revokedSessions = await SessionService.revokeAllSessions(req.user.userId, REVOKE_REASONS.LOGOUT_ALL);
+    socketService.disconnectSessions(revokedSessions);
+
+    res.json({
+      message: 'Déconnexion de tous les appareils réussie',
+      revokedSessions: revokedSessions.length
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la déconnexion globale:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur lors de la déconnexion'
+    });
+  }
+});
+
+// Route pour lister les sessions actives
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await SessionService.listSessions(req.user.userId, req.user.sessionId);
+
+    res.json({
+      sessions
+    });
+
+  } catch (error) {
+    console.error('Erreur récupération des sessions:', error);
+    res.status(500).json({
+      error: 'Erreur serveur lors de la récupération des sessions'
+    });
+  }
+});
+
+// Route pour déconnecter un appareil
+router.delete('/sessions/:sessionId', auth, rejectImpersonation, [
+  param('sessionId')
+    .isUUID()
+    .withMessage('ID de session invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const revoked = await SessionService.revokeSession(
+      req.user.userId,
+      req.params.sessionId,
+      REVOKE_REASONS.DEVICE_LOGOUT
+    );
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session non trouvée ou déjà terminée'
+      });
+    }
+
+    socketService.disconnectSessions([req.params.sessionId]);
+
+    res.json({
+      message: 'Appareil déconnecté'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la déconnexion de l\'appareil:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur lors de la déconnexion'
+    });
+  }
 });
 
 // Route pour vérifier l'email
@@ -415,10 +825,15 @@ router.post('/forgot-password', [
     
     // Vérifier si l'utilisateur existe
     const result = await db.query(
-      'SELECT id, first_name FROM users WHERE email = $1',
+      'SELECT id, email, first_name FROM users WHERE email = $1',
       [email]
     );
     
+    // Limite par email et par IP, appliquée que le compte existe ou non
+    await LoginProtectionService.assertCanRequestPasswordReset(
+      attemptContext(req, email, result.rows[0] || null, ATTEMPT_TYPES.FORGOT_PASSWORD)
+    );
+    
     // Toujours renvoyer un message de succès pour des raisons de sécurité
     // (ne pas révéler si l'email existe ou non)
     if (result.rows.length === 0) {
@@ -439,6 +854,10 @@ router.post('/forgot-password', [
     });
     
   } catch (error) {
+    if (error.statusCode === 429) {
+      return sendServiceError(res, error);
+    }
+
     console.error('Erreur lors de la demande de récupération:', error);
     res.status(500).json({
       error: 'Erreur interne du serveur lors de la demande'
@@ -487,6 +906,13 @@ router.post('/reset-password', [
     
     // Supprimer le token utilisé
     await emailService.deleteToken(token, 'password_reset');
+
+    // Déconnecter tous les appareils : l'ancien mot de passe a pu être compromis
+    const revokedSessions = await SessionService.revokeAllSessions(
+      verification.user.user_id,
+      REVOKE_REASONS.PASSWORD_RESET
+    );
+    socketService.disconnectSessions(revokedSessions);
     
     res.json({
       message: 'Mot de passe réinitialisé avec succès'
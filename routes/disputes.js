@@ -0,0 +1,156 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { auth, hasStaffPermission } = require('../middleware/auth');
+const { DisputeService, MESSAGE_TYPES } = require('../services/disputeService');
+const {
+  uploadDisputeEvidence,
+  getEvidenceUploadError,
+  deleteEvidencePhotos,
+  sendEvidencePhoto,
+  MAX_DISPUTE_EVIDENCE
+} = require('../services/uploadService');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+/**
+ * Routes de médiation des litiges ChapChap
+ * Fil du litige pour l'expéditeur et le voyageur : déclarations, preuves et messages
+ */
+
+// Répondre avec l'erreur d'un service (statusCode) ou une erreur interne
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Photos de preuve : une photo envoyée mais non enregistrée fait échouer la requête
+const disputeEvidenceUpload = (req, res, next) => {
+  uploadDisputeEvidence(req, res, (error) => {
+    if (error) {
+      const message = getEvidenceUploadError(error, MAX_DISPUTE_EVIDENCE);
+      return res.status(message ? 400 : 500).json({
+        success: false,
+        message: message || 'Erreur lors de l\'enregistrement des photos'
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * @route GET /api/disputes/:disputeId
+ * @desc Obtenir un litige, ses délais et son fil de discussion
+ * @access Private (expéditeur ou voyageur du colis)
+ */
+router.get('/:disputeId', [
+  param('disputeId').isInt({ min: 1 }).withMessage('ID de litige invalide')
+], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de litige invalide',
+        errors: errors.array()
+      });
+    }
+
+    const result = await DisputeService.getDispute(parseInt(req.params.disputeId), {
+      userId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération du litige');
+  }
+});
+
+/**
+ * @route POST /api/disputes/:disputeId/messages
+ * @desc Ajouter une déclaration ou un message au litige, avec photos de preuve (champ "evidence")
+ * @access Private (expéditeur ou voyageur du colis)
+ */
+router.post('/:disputeId/messages', auth, disputeEvidenceUpload, [
+  param('disputeId').isInt({ min: 1 }).withMessage('ID de litige invalide'),
+  body('type').optional().isIn([MESSAGE_TYPES.STATEMENT, MESSAGE_TYPES.MESSAGE]).withMessage('Type de message invalide'),
+  body('body').trim().isLength({ min: 1, max: 2000 }).withMessage('Le message doit contenir entre 1 et 2000 caractères'),
+  body('parentId').optional().isInt({ min: 1 }).withMessage('Message parent invalide').toInt()
+], async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      deleteEvidencePhotos(files);
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const message = await DisputeService.addPartyMessage(
+      parseInt(req.params.disputeId),
+      req.user.userId,
+      { type: req.body.type, body: req.body.body, parentId: req.body.parentId },
+      files
+    );
+
+    res.status(201).json({
+      success: true,
+      message: message.type === MESSAGE_TYPES.STATEMENT ? 'Déclaration ajoutée au litige' : 'Message ajouté au litige',
+      data: message
+    });
+
+  } catch (error) {
+    deleteEvidencePhotos(files);
+    sendError(res, error, 'Erreur lors de l\'ajout du message');
+  }
+});
+
+/**
+ * @route GET /api/disputes/:disputeId/evidence/:filename
+ * @desc Obtenir une photo de preuve du litige
+ * @access Private (expéditeur ou voyageur du colis, équipe de médiation)
+ */
+router.get('/:disputeId/evidence/:filename', [
+  param('disputeId').isInt({ min: 1 }).withMessage('ID de litige invalide')
+], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de litige invalide',
+        errors: errors.array()
+      });
+    }
+
+    const photo = await DisputeService.getEvidencePhoto(parseInt(req.params.disputeId), req.params.filename, {
+      userId: req.user.userId,
+      staff: hasStaffPermission(req.user, PERMISSIONS.DISPUTES_RESOLVE)
+    });
+
+    sendEvidencePhoto(res, photo);
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération de la photo');
+  }
+});
+
+module.exports = router;
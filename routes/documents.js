@@ -8,6 +8,7 @@ const {
   validateDocuments, 
   getDocumentUrl, 
   deleteFile,
+  sendDocumentFile,
   DOCUMENT_TYPES,
   VERIFICATION_STATUS 
 } = require('../services/uploadService');
@@ -23,7 +24,7 @@ router.post('/upload', auth, (req, res) => {
     
     try {
       // Valider les fichiers uploadés
-      const { errors, validatedDocs } = validateDocuments(req.files);
+      const { errors, validatedDocs } = validateDocuments(req.files, req.body);
       
       if (errors.length > 0) {
         // Supprimer les fichiers en cas d'erreur de validation
@@ -62,19 +63,25 @@ router.post('/upload', auth, (req, res) => {
               `UPDATE user_documents 
                SET filename = $1, original_name = $2, mimetype = $3, size = $4, 
                    verification_status = 'pending', rejection_reason = NULL, 
-                   verified_at = NULL, verified_by = NULL, uploaded_at = NOW()
+                   verified_at = NULL, verified_by = NULL, uploaded_at = NOW(),
+                   issuing_country = $7, document_number_hash = $8, expires_at = $9,
+                   last_expiry_warning = NULL
                WHERE user_id = $5 AND document_type = $6`,
               [docInfo.filename, docInfo.originalName, docInfo.mimetype, 
-               docInfo.size, req.user.userId, docType]
+               docInfo.size, req.user.userId, docType,
+               docInfo.details.issuingCountry || null, docInfo.details.documentNumberHash || null,
+               docInfo.details.expiresAt || null]
             );
           } else {
             // Insérer un nouveau document
             await db.query(
               `INSERT INTO user_documents 
-               (user_id, document_type, filename, original_name, mimetype, size) 
-               VALUES ($1, $2, $3, $4, $5, $6)`,
+               (user_id, document_type, filename, original_name, mimetype, size,
+                issuing_country, document_number_hash, expires_at) 
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
               [req.user.userId, docType, docInfo.filename, docInfo.originalName, 
-               docInfo.mimetype, docInfo.size]
+               docInfo.mimetype, docInfo.size, docInfo.details.issuingCountry || null,
+               docInfo.details.documentNumberHash || null, docInfo.details.expiresAt || null]
             );
           }
           
@@ -84,7 +91,9 @@ router.post('/upload', auth, (req, res) => {
             filename: docInfo.filename,
             originalName: docInfo.originalName,
             size: docInfo.size,
-            url: getDocumentUrl(docInfo.filename),
+            url: getDocumentUrl(docType),
+            issuingCountry: docInfo.details.issuingCountry || null,
+            expiresAt: docInfo.details.expiresAt || null,
             status: 'pending'
           });
           
@@ -123,7 +132,8 @@ router.get('/my-documents', auth, async (req, res) => {
   try {
     const result = await db.query(
       `SELECT document_type, filename, original_name, mimetype, size, 
-              verification_status, rejection_reason, verified_at, uploaded_at
+              verification_status, rejection_reason, verified_at, uploaded_at,
+              issuing_country, expires_at
        FROM user_documents 
        WHERE user_id = $1 
        ORDER BY uploaded_at DESC`,
@@ -137,9 +147,11 @@ router.get('/my-documents', auth, async (req, res) => {
       originalName: doc.original_name,
       mimetype: doc.mimetype,
       size: doc.size,
-      url: getDocumentUrl(doc.filename),
+      url: getDocumentUrl(doc.document_type),
       status: doc.verification_status,
       rejectionReason: doc.rejection_reason,
+      issuingCountry: doc.issuing_country,
+      expiresAt: doc.expires_at,
       verifiedAt: doc.verified_at,
       uploadedAt: doc.uploaded_at
     }));
@@ -165,7 +177,8 @@ router.get('/my-documents', auth, async (req, res) => {
         total: documents.length,
         pending: documents.filter(d => d.status === 'pending').length,
         approved: documents.filter(d => d.status === 'approved').length,
-        rejected: documents.filter(d => d.status === 'rejected').length
+        rejected: documents.filter(d => d.status === 'rejected').length,
+        expired: documents.filter(d => d.status === 'expired').length
       }
     });
     
@@ -177,6 +190,38 @@ router.get('/my-documents', auth, async (req, res) => {
   }
 });
 
+// Route pour consulter le fichier de son propre document
+router.get('/:documentType/file', auth, async (req, res) => {
+  try {
+    const { documentType } = req.params;
+    
+    if (!DOCUMENT_TYPES[documentType]) {
+      return res.status(400).json({
+        error: 'Type de document invalide'
+      });
+    }
+    
+    const result = await db.query(
+      'SELECT filename, original_name, mimetype FROM user_documents WHERE user_id = $1 AND document_type = $2',
+      [req.user.userId, documentType]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Document non trouvé'
+      });
+    }
+    
+    sendDocumentFile(res, result.rows[0]);
+    
+  } catch (error) {
+    console.error('Erreur lecture document:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur lors de la lecture du document'
+    });
+  }
+});
+
 // Route pour supprimer un document
 router.delete('/:documentType', auth, async (req, res) => {
   try {
@@ -240,7 +285,7 @@ router.get('/types', (req, res) => {
 router.get('/verification-status', auth, async (req, res) => {
   try {
     const result = await db.query(
-      `SELECT document_type, verification_status, verified_at, rejection_reason
+      `SELECT document_type, verification_status, verified_at, rejection_reason, expires_at
        FROM user_documents 
        WHERE user_id = $1`,
       [req.user.userId]
@@ -251,6 +296,7 @@ router.get('/verification-status', auth, async (req, res) => {
     const approvedDocs = documents.filter(d => d.verification_status === 'approved').length;
     const pendingDocs = documents.filter(d => d.verification_status === 'pending').length;
     const rejectedDocs = documents.filter(d => d.verification_status === 'rejected').length;
+    const expiredDocs = documents.filter(d => d.verification_status === 'expired').length;
     
     let globalStatus = 'incomplete';
     if (totalDocs === 0) {
@@ -261,6 +307,8 @@ router.get('/verification-status', auth, async (req, res) => {
       globalStatus = 'pending';
     } else if (rejectedDocs > 0) {
       globalStatus = 'rejected';
+    } else if (expiredDocs > 0 && approvedDocs === 0) {
+      globalStatus = 'expired';
     }
     
     res.json({
@@ -269,13 +317,15 @@ router.get('/verification-status', auth, async (req, res) => {
         total: totalDocs,
         approved: approvedDocs,
         pending: pendingDocs,
-        rejected: rejectedDocs
+        rejected: rejectedDocs,
+        expired: expiredDocs
       },
       documents: documents.map(doc => ({
         type: doc.document_type,
         label: DOCUMENT_TYPES[doc.document_type]?.label,
         status: doc.verification_status,
         verifiedAt: doc.verified_at,
+        expiresAt: doc.expires_at,
         rejectionReason: doc.rejection_reason
       })),
       canPerformActions: globalStatus === 'verified' || globalStatus === 'pending'
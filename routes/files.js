@@ -1,7 +1,8 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const fileService = require('../services/fileService');
 const db = require('../config/database');
 
@@ -254,14 +255,8 @@ router.get('/info/:filename', auth, async (req, res) => {
  * @desc Obtenir les statistiques de stockage
  * @access Private (Admin seulement)
  */
-router.get('/storage/stats', auth, async (req, res) => {
+router.get('/storage/stats', auth, requirePermission(PERMISSIONS.FILES_MANAGE), async (req, res) => {
   try {
-    // Vérifier si l'utilisateur est admin (optionnel)
-    // const userQuery = await db.query('SELECT role FROM users WHERE id = $1', [req.user.userId]);
-    // if (userQuery.rows[0]?.role !== 'admin') {
-    //   return res.status(403).json({ success: false, message: 'Accès admin requis' });
-    // }
-
     const stats = await fileService.getStorageStats();
     
     if (!stats) {
@@ -321,7 +316,7 @@ router.get('/storage/stats', auth, async (req, res) => {
  * @desc Nettoyer les fichiers temporaires
  * @access Private (Admin seulement)
  */
-router.post('/cleanup', auth, async (req, res) => {
+router.post('/cleanup', auth, requirePermission(PERMISSIONS.FILES_MANAGE), async (req, res) => {
   try {
     const { maxAgeHours = 24 } = req.body;
     
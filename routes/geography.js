@@ -0,0 +1,63 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { GeographyService, PLACE_TYPES } = require('../services/geographyService');
+const { COUNTRY_CODES } = require('../config/countries');
+
+const router = express.Router();
+
+/**
+ * Routes du référentiel géographique ChapChap
+ * Suggestions de pays et de villes pour la saisie des trajets (accès public)
+ */
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Données invalides',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @route GET /api/geography/autocomplete
+ * @desc Pays et villes correspondant à une saisie partielle (sans tenir compte des accents)
+ * @access Public
+ */
+router.get('/autocomplete', [
+  query('q').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Saisissez au moins 2 caractères'),
+  query('type').optional().isIn(Object.values(PLACE_TYPES)).withMessage('Type de lieu invalide (country, city)'),
+  query('country').optional().toUpperCase().isIn(COUNTRY_CODES).withMessage('Code pays invalide (ISO 3166-1 alpha-2)'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limite invalide (1 à 20)').toInt()
+], (req, res) => {
+  if (!handleValidation(req, res)) return;
+
+  const places = GeographyService.autocomplete(req.query.q, {
+    type: req.query.type,
+    countryCode: req.query.country,
+    limit: req.query.limit
+  });
+
+  res.json({
+    success: true,
+    data: places
+  });
+});
+
+/**
+ * @route GET /api/geography/countries
+ * @desc Pays du référentiel (code ISO 3166-1 alpha-2, noms français et anglais)
+ * @access Public
+ */
+router.get('/countries', (req, res) => {
+  res.json({
+    success: true,
+    data: GeographyService.listCountries()
+  });
+});
+
+module.exports = router;
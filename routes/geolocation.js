@@ -406,20 +406,21 @@ router.get('/nearby-packages', [
     const { latitude, longitude, radius = 5 } = req.query;
     const userId = req.user.userId;
 
-    // Recherche de colis à proximité (approximation simple)
+    // Demandes de transport ouvertes, sans voyageur (approximation simple)
     const nearbyQuery = `
       SELECT 
-        p.id, p.title, p.description, p.pickup_address, p.delivery_address,
-        p.weight, p.size, p.price, p.status,
-        t.departure_city, t.destination_city, t.departure_date,
+        r.id, r.title, r.description, r.pickup_address, r.delivery_address,
+        r.weight, r.category, r.status,
+        r.departure_country, r.departure_city, r.destination_country, r.destination_city,
+        to_char(r.earliest_departure, 'YYYY-MM-DD') as earliest_departure,
+        to_char(r.deliver_by, 'YYYY-MM-DD') as deliver_by,
         u.first_name as sender_name
-      FROM packages p
-      JOIN trips t ON p.trip_id = t.id
-      JOIN users u ON p.sender_id = u.id
-      WHERE p.status = 'requested'
-        AND t.traveler_id IS NULL
-        AND p.sender_id != $1
-      ORDER BY p.created_at DESC
+      FROM package_requests r
+      JOIN users u ON r.sender_id = u.id
+      WHERE r.status = 'open'
+        AND r.expires_at > CURRENT_TIMESTAMP
+        AND r.sender_id != $1
+      ORDER BY r.created_at DESC
       LIMIT 20
     `;
 
@@ -0,0 +1,214 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { auth, requireUserType, hasStaffPermission } = require('../middleware/auth');
+const { InsuranceService, CLAIM_STATUS } = require('../services/insuranceService');
+const {
+  uploadClaimEvidence,
+  getEvidenceUploadError,
+  deleteEvidencePhotos,
+  sendEvidencePhoto,
+  MAX_CLAIM_EVIDENCE
+} = require('../services/uploadService');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+/**
+ * Routes d'assurance ChapChap
+ * Plafonds par catégorie, polices des colis et sinistres des expéditeurs
+ */
+
+// Répondre avec l'erreur d'un service (statusCode) ou une erreur interne
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Photos de preuve : les erreurs d'upload sont renvoyées au format de ces routes
+const claimEvidenceUpload = (req, res, next) => {
+  uploadClaimEvidence(req, res, (error) => {
+    if (error) {
+      const message = getEvidenceUploadError(error, MAX_CLAIM_EVIDENCE);
+      return res.status(message ? 400 : 500).json({
+        success: false,
+        message: message || 'Erreur lors de l\'upload des photos'
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * @route GET /api/insurance/caps
+ * @desc Lister les catégories de colis et leur plafond de couverture
+ * @access Public
+ */
+router.get('/caps', async (req, res) => {
+  try {
+    const caps = await InsuranceService.listCaps();
+
+    res.json({
+      success: true,
+      data: caps
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération des plafonds d\'assurance');
+  }
+});
+
+/**
+ * @route GET /api/insurance/claims
+ * @desc Lister les sinistres de l'expéditeur
+ * @access Private (expéditeur)
+ */
+router.get('/claims', [
+  query('status').optional().isIn(Object.values(CLAIM_STATUS)).withMessage('Statut invalide'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Numéro de page invalide'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limite invalide')
+], auth, requireUserType(['sender', 'both']), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paramètres invalides',
+        errors: errors.array()
+      });
+    }
+
+    const result = await InsuranceService.listClaims({
+      ...req.query,
+      claimantId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération des sinistres');
+  }
+});
+
+/**
+ * @route POST /api/insurance/claims/:claimId/evidence
+ * @desc Ajouter des photos à un sinistre ouvert (champ "evidence")
+ * @access Private (expéditeur)
+ */
+router.post('/claims/:claimId/evidence', [
+  param('claimId').isInt({ min: 1 }).withMessage('ID de sinistre invalide')
+], auth, claimEvidenceUpload, async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      deleteEvidencePhotos(files);
+      return res.status(400).json({
+        success: false,
+        message: 'ID de sinistre invalide',
+        errors: errors.array()
+      });
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune photo fournie'
+      });
+    }
+
+    const claim = await InsuranceService.addClaimEvidence(
+      parseInt(req.params.claimId),
+      req.user.userId,
+      files
+    );
+
+    res.json({
+      success: true,
+      message: 'Photos ajoutées au sinistre',
+      data: claim
+    });
+
+  } catch (error) {
+    deleteEvidencePhotos(files);
+    sendError(res, error, 'Erreur lors de l\'ajout des photos');
+  }
+});
+
+/**
+ * @route GET /api/insurance/claims/:claimId/evidence/:filename
+ * @desc Obtenir une photo de preuve d'un sinistre
+ * @access Private (expéditeur du sinistre, équipe d'assurance)
+ */
+router.get('/claims/:claimId/evidence/:filename', [
+  param('claimId').isInt({ min: 1 }).withMessage('ID de sinistre invalide')
+], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de sinistre invalide',
+        errors: errors.array()
+      });
+    }
+
+    const photo = await InsuranceService.getClaimEvidencePhoto(parseInt(req.params.claimId), req.params.filename, {
+      userId: req.user.userId,
+      staff: hasStaffPermission(req.user, PERMISSIONS.INSURANCE_MANAGE)
+    });
+
+    sendEvidencePhoto(res, photo);
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération de la photo');
+  }
+});
+
+/**
+ * @route GET /api/insurance/packages/:packageId
+ * @desc Obtenir la police d'un colis et ses sinistres (expéditeur ou voyageur)
+ * @access Private
+ */
+router.get('/packages/:packageId', [
+  param('packageId').isInt({ min: 1 }).withMessage('ID de colis invalide')
+], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de colis invalide',
+        errors: errors.array()
+      });
+    }
+
+    const insurance = await InsuranceService.getPackageInsurance(
+      parseInt(req.params.packageId),
+      req.user.userId
+    );
+
+    res.json({
+      success: true,
+      data: insurance
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération de l\'assurance');
+  }
+});
+
+module.exports = router;
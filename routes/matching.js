@@ -1,13 +1,16 @@
 const express = require('express');
 const { query, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
 const { 
   searchTripsForSenders, 
   findMatchingPackagesForTrip, 
   searchPendingPackages, 
   calculateCompatibility 
 } = require('../services/searchService');
+const { CurrencyService } = require('../services/currencyService');
+const { GeographyService, placeCondition } = require('../services/geographyService');
+const { CURRENCY_CODES, roundAmount } = require('../config/currencies');
 
 const router = express.Router();
 
@@ -27,6 +30,7 @@ router.get('/trips/smart-search', [
   query('package_weight').isFloat({ min: 0.1 }).withMessage('Le poids du colis est requis'),
   query('max_price_per_kg').optional().isFloat({ min: 0 }),
   query('proximity_radius').optional().isInt({ min: 1 }),
+  query('currency').optional().toUpperCase().isIn(CURRENCY_CODES).withMessage('Devise invalide'),
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
 ], auth, async (req, res) => {
@@ -48,6 +52,7 @@ router.get('/trips/smart-search', [
       minWeight: packageWeight, // Le voyage doit pouvoir porter au moins le poids du colis
       maxPricePerKg: req.query.max_price_per_kg ? parseFloat(req.query.max_price_per_kg) : null,
       proximityRadius: req.query.proximity_radius ? parseInt(req.query.proximity_radius) : null,
+      currency: CurrencyService.resolveViewerCurrency(req),
       page: req.query.page || 1,
       limit: req.query.limit || 10
     };
@@ -56,13 +61,17 @@ router.get('/trips/smart-search', [
     
     // Ajouter des recommandations personnalisées
     const enhancedTrips = results.trips.map(trip => {
-      const estimatedCost = packageWeight * trip.capacity.pricePerKg;
+      // Coût dans la devise de l'utilisateur, ou dans celle du voyage faute de taux
+      const hasDisplayPrice = trip.capacity.displayPricePerKg !== null;
+      const costCurrency = hasDisplayPrice ? trip.capacity.displayCurrency : trip.capacity.currency;
+      const estimatedCost = packageWeight * (hasDisplayPrice ? trip.capacity.displayPricePerKg : trip.capacity.pricePerKg);
       const weightUtilization = (packageWeight / trip.capacity.availableWeight) * 100;
       
       return {
         ...trip,
         recommendation: {
-          estimatedCost: parseFloat(estimatedCost.toFixed(2)),
+          estimatedCost: roundAmount(estimatedCost, costCurrency),
+          currency: costCurrency,
           weightUtilization: parseFloat(weightUtilization.toFixed(1)),
           isOptimal: weightUtilization >= 30 && weightUtilization <= 80,
           reasons: [
@@ -75,14 +84,20 @@ router.get('/trips/smart-search', [
       };
     });
 
+    const comparableTrips = enhancedTrips.filter(trip => trip.recommendation.currency === searchCriteria.currency);
+
     res.json({
       ...results,
       trips: enhancedTrips,
       searchContext: {
         packageWeight,
         totalResults: results.pagination.total,
-        averagePrice: enhancedTrips.length > 0 
-          ? enhancedTrips.reduce((sum, trip) => sum + trip.recommendation.estimatedCost, 0) / enhancedTrips.length
+        currency: searchCriteria.currency,
+        averagePrice: comparableTrips.length > 0 
+          ? roundAmount(
+            comparableTrips.reduce((sum, trip) => sum + trip.recommendation.estimatedCost, 0) / comparableTrips.length,
+            searchCriteria.currency
+          )
           : 0
       }
     });
@@ -223,17 +238,19 @@ router.get('/compatibility/analyze', [
     // Ajouter des analyses supplémentaires
     const analysis = {
       geographic: {
-        departureMatch: packageData.pickup_address.toLowerCase().includes(tripData.departure_country.toLowerCase()) ||
-                       packageData.pickup_address.toLowerCase().includes(tripData.departure_city.toLowerCase()),
-        destinationMatch: packageData.delivery_address.toLowerCase().includes(tripData.destination_country.toLowerCase()) ||
-                         packageData.delivery_address.toLowerCase().includes(tripData.destination_city.toLowerCase()),
+        departureMatch: compatibility.details.departureMatch,
+        destinationMatch: compatibility.details.destinationMatch,
         score: compatibility.details.geographic ? 'Excellent' : 'Incompatible'
       },
       logistics: {
         weightCompatibility: packageData.weight <= tripData.available_weight,
         weightUtilization: (packageData.weight / tripData.available_weight) * 100,
-        priceAlignment: packageData.total_price >= (packageData.weight * tripData.price_per_kg * 0.9),
-        estimatedEarnings: packageData.weight * tripData.price_per_kg
+        volumeCompatibility: compatibility.details.volume,
+        volumeLitres: packageData.volume_litres !== null ? parseFloat(packageData.volume_litres) : null,
+        categoryAccepted: compatibility.details.category,
+        priceAlignment: compatibility.details.price,
+        estimatedEarnings: roundAmount(packageData.weight * tripData.price_per_kg, tripData.currency),
+        currency: tripData.currency
       },
       trust: {
         senderRating: parseFloat(packageData.sender_rating),
@@ -255,6 +272,7 @@ router.get('/compatibility/analyze', [
         weight: parseFloat(packageData.weight),
         value: parseFloat(packageData.value),
         totalPrice: parseFloat(packageData.total_price),
+        currency: packageData.currency,
         addresses: {
           pickup: packageData.pickup_address,
           delivery: packageData.delivery_address
@@ -273,7 +291,10 @@ router.get('/compatibility/analyze', [
         },
         capacity: {
           available: parseFloat(tripData.available_weight),
-          pricePerKg: parseFloat(tripData.price_per_kg)
+          availableVolume: tripData.available_volume !== null ? parseFloat(tripData.available_volume) : null,
+          refusedCategories: tripData.refused_categories,
+          pricePerKg: parseFloat(tripData.price_per_kg),
+          currency: tripData.currency
         },
         traveler: {
           name: `${tripData.traveler_first_name} ${tripData.traveler_last_name}`,
@@ -286,6 +307,8 @@ router.get('/compatibility/analyze', [
       recommendation: {
         shouldAccept: compatibility.score >= 50 && analysis.trust.riskLevel === 'Low',
         concerns: [
+          ...(!compatibility.details.volume ? ['Volume supérieur à la place restante'] : []),
+          ...(!compatibility.details.category ? ['Catégorie refusée par le voyageur'] : []),
           ...(analysis.logistics.weightUtilization > 90 ? ['Utilisation maximale de la capacité'] : []),
           ...(analysis.trust.riskLevel === 'Medium' ? ['Vérifier les profils utilisateur'] : []),
           ...(!analysis.geographic.departureMatch ? ['Vérifier la compatibilité géographique de départ'] : []),
@@ -309,8 +332,9 @@ router.get('/compatibility/analyze', [
 router.get('/pricing/suggestions', [
   query('departure_country').isString().trim().withMessage('Pays de départ requis'),
   query('destination_country').isString().trim().withMessage('Pays de destination requis'),
-  query('weight').isFloat({ min: 0.1 }).withMessage('Poids requis')
-], async (req, res) => {
+  query('weight').isFloat({ min: 0.1 }).withMessage('Poids requis'),
+  query('currency').optional().toUpperCase().isIn(CURRENCY_CODES).withMessage('Devise invalide')
+], optionalAuth, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -319,25 +343,55 @@ router.get('/pricing/suggestions', [
 
     const { departure_country, destination_country, weight } = req.query;
     const packageWeight = parseFloat(weight);
+    const currency = CurrencyService.resolveViewerCurrency(req);
+    const convert = await CurrencyService.getConverter(currency);
+    const toAmount = (value) => roundAmount(value, currency);
+
+    // Pays du référentiel, sinon comparaison en texte libre
+    const departure = GeographyService.resolvePlace({ country: departure_country });
+    const destination = GeographyService.resolvePlace({ country: destination_country });
 
-    // Analyser les prix du marché pour des trajets similaires
+    // Analyser les prix du marché pour des trajets similaires, devise par devise
     const marketAnalysisQuery = `
       SELECT 
-        AVG(t.price_per_kg) as avg_price,
+        t.currency,
+        SUM(t.price_per_kg) as sum_price,
         MIN(t.price_per_kg) as min_price,
         MAX(t.price_per_kg) as max_price,
         COUNT(*) as total_trips
       FROM trips t
-      WHERE t.departure_country ILIKE $1
-      AND t.destination_country ILIKE $2
+      WHERE ${placeCondition({ code: 't.departure_country_code', text: 't.departure_country' }, { code: '$1::varchar', text: '$2::text' })}
+      AND ${placeCondition({ code: 't.destination_country_code', text: 't.destination_country' }, { code: '$3::varchar', text: '$4::text' })}
       AND t.status = 'active'
       AND t.departure_date >= CURRENT_DATE
+      GROUP BY t.currency
     `;
     
-    const marketResult = await db.query(marketAnalysisQuery, [`%${departure_country}%`, `%${destination_country}%`]);
-    const marketData = marketResult.rows[0];
+    const marketResult = await db.query(marketAnalysisQuery, [
+      departure.countryCode, departure_country,
+      destination.countryCode, destination_country
+    ]);
+
+    // Ramener chaque devise dans celle de l'utilisateur (les devises sans taux sont ignorées)
+    const marketData = marketResult.rows.reduce((totals, row) => {
+      const sumPrice = convert(parseFloat(row.sum_price), row.currency);
+      if (sumPrice === null) return totals;
+
+      const minPrice = convert(parseFloat(row.min_price), row.currency);
+      const maxPrice = convert(parseFloat(row.max_price), row.currency);
+
+      return {
+        sum_price: totals.sum_price + sumPrice,
+        min_price: Math.min(totals.min_price, minPrice),
+        max_price: Math.max(totals.max_price, maxPrice),
+        total_trips: totals.total_trips + parseInt(row.total_trips)
+      };
+    }, { sum_price: 0, min_price: Infinity, max_price: 0, total_trips: 0 });
+
+    if (marketData.total_trips === 0) {
+      // Fourchette indicative définie en CAD
+      const estimate = (pricePerKg) => convert(packageWeight * pricePerKg, 'CAD');
 
-    if (parseInt(marketData.total_trips) === 0) {
       return res.json({
         suggestions: {
           recommended: null,
@@ -349,44 +403,46 @@ router.get('/pricing/suggestions', [
           message: 'Pas assez de données pour ce trajet'
         },
         estimatedCost: {
-          low: packageWeight * 5,
-          medium: packageWeight * 10,
-          high: packageWeight * 15
-        }
+          low: estimate(5),
+          medium: estimate(10),
+          high: estimate(15)
+        },
+        currency
       });
     }
 
-    const avgPrice = parseFloat(marketData.avg_price);
-    const minPrice = parseFloat(marketData.min_price);
-    const maxPrice = parseFloat(marketData.max_price);
+    const avgPrice = marketData.sum_price / marketData.total_trips;
+    const minPrice = marketData.min_price;
+    const maxPrice = marketData.max_price;
 
     res.json({
       suggestions: {
         competitive: {
-          pricePerKg: parseFloat((avgPrice * 0.9).toFixed(2)),
-          totalCost: parseFloat((packageWeight * avgPrice * 0.9).toFixed(2)),
+          pricePerKg: toAmount(avgPrice * 0.9),
+          totalCost: toAmount(packageWeight * avgPrice * 0.9),
           description: 'Prix compétitif pour attirer rapidement'
         },
         recommended: {
-          pricePerKg: parseFloat(avgPrice.toFixed(2)),
-          totalCost: parseFloat((packageWeight * avgPrice).toFixed(2)),
+          pricePerKg: toAmount(avgPrice),
+          totalCost: toAmount(packageWeight * avgPrice),
           description: 'Prix moyen du marché'
         },
         premium: {
-          pricePerKg: parseFloat((avgPrice * 1.2).toFixed(2)),
-          totalCost: parseFloat((packageWeight * avgPrice * 1.2).toFixed(2)),
+          pricePerKg: toAmount(avgPrice * 1.2),
+          totalCost: toAmount(packageWeight * avgPrice * 1.2),
           description: 'Prix premium pour service de qualité'
         }
       },
       marketData: {
         available: true,
-        averagePrice: parseFloat(avgPrice.toFixed(2)),
+        averagePrice: toAmount(avgPrice),
         priceRange: {
-          min: parseFloat(minPrice.toFixed(2)),
-          max: parseFloat(maxPrice.toFixed(2))
+          min: toAmount(minPrice),
+          max: toAmount(maxPrice)
         },
-        totalTrips: parseInt(marketData.total_trips)
+        totalTrips: marketData.total_trips
       },
+      currency,
       route: {
         departure: departure_country,
         destination: destination_country,
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const auth = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const notificationService = require('../services/notificationService');
 
 /**
@@ -25,7 +25,7 @@ router.post('/register-token', [
     }
 
     const { fcmToken, deviceType = 'web' } = req.body;
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     const result = await notificationService.registerFCMToken(userId, fcmToken, deviceType);
 
@@ -63,7 +63,7 @@ router.delete('/unregister-token', [
     }
 
     const { fcmToken } = req.body;
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     const result = await notificationService.unregisterFCMToken(userId, fcmToken);
 
@@ -88,7 +88,7 @@ router.delete('/unregister-token', [
  */
 router.get('/tokens', auth, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const tokens = await notificationService.getUserFCMTokens(userId);
 
     res.json({
@@ -130,7 +130,7 @@ router.post('/test', [
     }
 
     const { title, body, data = {} } = req.body;
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     const notification = {
       title,
@@ -163,7 +163,7 @@ router.post('/test', [
  */
 router.get('/preferences', auth, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.userId;
     
     // Récupérer les préférences depuis la base de données
     const db = require('../config/database');
@@ -236,7 +236,7 @@ router.put('/preferences', [
       });
     }
 
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const { packages, trips, messages, location, disputes, marketing } = req.body;
 
     const db = require('../config/database');
@@ -0,0 +1,296 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requireUserType, requireVerifiedDocuments } = require('../middleware/auth');
+const { PackageRequestService, REQUEST_STATUS } = require('../services/packageRequestService');
+const { PACKAGE_CATEGORY_CODES } = require('../config/packageCategories');
+const { MAX_DIMENSION_CM } = require('../config/dimensions');
+
+const router = express.Router();
+
+/**
+ * Routes des demandes de transport ouvertes ChapChap
+ * L'expéditeur publie son colis sur un trajet, les voyageurs font une offre
+ * sur l'un de leurs voyages et l'expéditeur retient la meilleure
+ */
+
+router.use(auth);
+
+const senderOnly = requireUserType(['sender', 'both']);
+const travelerOnly = requireUserType(['traveler', 'both']);
+
+// Validation d'une demande ouverte
+const createRequestValidation = [
+  body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Le titre doit contenir entre 3 et 200 caractères'),
+  body('description').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('Description trop longue'),
+  body('category').isIn(PACKAGE_CATEGORY_CODES).withMessage('Catégorie de colis invalide'),
+  body('weight').isFloat({ min: 0.1, max: 50 }).withMessage('Le poids doit être entre 0.1 et 50 kg'),
+  body('dimensions').optional({ nullable: true }).isObject().withMessage('Dimensions invalides'),
+  body(['dimensions.length', 'dimensions.width', 'dimensions.height'])
+    .if(body('dimensions').exists({ values: 'null' }))
+    .isFloat({ min: 1, max: MAX_DIMENSION_CM })
+    .withMessage(`Chaque dimension doit être entre 1 et ${MAX_DIMENSION_CM} cm`)
+    .toFloat(),
+  body('value').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Valeur déclarée invalide'),
+  body('insurance').optional().isBoolean().withMessage('insurance doit être un booléen').toBoolean(),
+  body(['pickupAddress', 'deliveryAddress']).trim().isLength({ min: 10, max: 500 }).withMessage('L\'adresse doit contenir au moins 10 caractères'),
+  body(['departureCountry', 'destinationCountry']).isString().trim().isLength({ min: 2, max: 100 }).withMessage('Pays invalide'),
+  body(['departureCity', 'destinationCity']).optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('Ville invalide'),
+  body(['earliestDeparture', 'deliverBy']).optional({ nullable: true }).isISO8601().withMessage('Date invalide'),
+  body('recipientId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('ID de destinataire invalide').toInt(),
+  body('recipient').optional({ nullable: true }).isObject().withMessage('Destinataire invalide')
+];
+
+const offerValidation = [
+  body('tripId').isInt({ min: 1 }).withMessage('ID de voyage invalide').toInt(),
+  body('pricePerKg').isFloat({ min: 0.01 }).withMessage('Prix par kg invalide').toFloat(),
+  body('deliveryDate').isISO8601().withMessage('Date de remise invalide'),
+  body('message').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('Message trop long')
+];
+
+const requestIdValidation = param('requestId').isInt({ min: 1 }).withMessage('ID de demande invalide').toInt();
+const offerIdValidation = param('offerId').isInt({ min: 1 }).withMessage('ID d\'offre invalide').toInt();
+
+// Répondre avec l'erreur d'un service (statusCode) ou une erreur interne
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.code && { code: error.code }),
+      ...(error.reasons && { reasons: error.reasons })
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Données invalides',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @route POST /api/package-requests
+ * @desc Publier une demande de transport ouverte sur un trajet
+ * @access Private (expéditeur)
+ */
+router.post('/', senderOnly, createRequestValidation, async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { request, restrictions } = await PackageRequestService.createRequest(req.user.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Demande publiée : les voyageurs peuvent maintenant vous faire une offre',
+      data: { ...request, restrictions }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la publication de la demande');
+  }
+});
+
+/**
+ * @route GET /api/package-requests/my-requests
+ * @desc Demandes publiées par l'expéditeur, avec le nombre d'offres en cours
+ * @access Private (expéditeur)
+ */
+router.get('/my-requests', senderOnly, [
+  query('status').optional().isIn(Object.values(REQUEST_STATUS)).withMessage('Statut invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const requests = await PackageRequestService.listSenderRequests(req.user.userId, req.query.status);
+
+    res.json({
+      success: true,
+      data: requests
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération de vos demandes');
+  }
+});
+
+/**
+ * @route GET /api/package-requests/my-offers
+ * @desc Offres faites par le voyageur
+ * @access Private (voyageur)
+ */
+router.get('/my-offers', travelerOnly, async (req, res) => {
+  try {
+    const offers = await PackageRequestService.listTravelerOffers(req.user.userId);
+
+    res.json({
+      success: true,
+      data: offers
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération de vos offres');
+  }
+});
+
+/**
+ * @route GET /api/package-requests
+ * @desc Demandes ouvertes auxquelles le voyageur peut répondre
+ * @access Private (voyageur)
+ */
+router.get('/', travelerOnly, [
+  query(['departureCountry', 'departureCity', 'destinationCountry', 'destinationCity'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Lieu invalide'),
+  query('maxWeight').optional().isFloat({ min: 0.1 }).withMessage('Poids maximum invalide').toFloat(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page invalide').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limite invalide (1 à 50)').toInt()
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await PackageRequestService.listOpenRequests(req.user.userId, req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération des demandes ouvertes');
+  }
+});
+
+/**
+ * @route GET /api/package-requests/:requestId
+ * @desc Détail d'une demande : toutes les offres pour l'expéditeur, la sienne pour un voyageur
+ * @access Private
+ */
+router.get('/:requestId', [requestIdValidation], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const request = await PackageRequestService.getRequest(req.params.requestId, req.user.userId);
+
+    res.json({
+      success: true,
+      data: request
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération de la demande');
+  }
+});
+
+/**
+ * @route PATCH /api/package-requests/:requestId/cancel
+ * @desc Retirer une demande ouverte (les offres en cours sont refusées)
+ * @access Private (expéditeur)
+ */
+router.patch('/:requestId/cancel', senderOnly, [requestIdValidation], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    await PackageRequestService.cancelRequest(req.user.userId, req.params.requestId);
+
+    res.json({
+      success: true,
+      message: 'Demande retirée'
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors du retrait de la demande');
+  }
+});
+
+/**
+ * @route POST /api/package-requests/:requestId/offers
+ * @desc Proposer l'un de ses voyages (prix par kg dans la devise du voyage, date de remise, message)
+ * @access Private (voyageur aux documents vérifiés)
+ */
+router.post('/:requestId/offers', travelerOnly, requireVerifiedDocuments, [requestIdValidation, ...offerValidation], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { tripId, pricePerKg, deliveryDate, message } = req.body;
+    const offer = await PackageRequestService.submitOffer(req.user.userId, req.params.requestId, {
+      tripId, pricePerKg, deliveryDate, message
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Offre envoyée à l\'expéditeur',
+      data: offer
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de l\'envoi de l\'offre');
+  }
+});
+
+/**
+ * @route PATCH /api/package-requests/:requestId/offers/:offerId/withdraw
+ * @desc Retirer son offre tant que l'expéditeur ne l'a pas acceptée
+ * @access Private (voyageur)
+ */
+router.patch('/:requestId/offers/:offerId/withdraw', travelerOnly, [requestIdValidation, offerIdValidation], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    await PackageRequestService.withdrawOffer(req.user.userId, req.params.requestId, req.params.offerId);
+
+    res.json({
+      success: true,
+      message: 'Offre retirée'
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors du retrait de l\'offre');
+  }
+});
+
+/**
+ * @route POST /api/package-requests/:requestId/offers/:offerId/accept
+ * @desc Accepter une offre : le colis est créé sur le voyage du voyageur et payé,
+ *   les autres offres sont refusées
+ * @access Private (expéditeur)
+ */
+router.post('/:requestId/offers/:offerId/accept', senderOnly, [
+  requestIdValidation,
+  offerIdValidation,
+  body('paymentMethod').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Moyen de paiement invalide')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await PackageRequestService.acceptOffer(req.user.userId, req.params.requestId, req.params.offerId, {
+      paymentMethod: req.body.paymentMethod
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Offre acceptée : votre colis est réservé sur le voyage',
+      data: result
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de l\'acceptation de l\'offre');
+  }
+});
+
+module.exports = router;
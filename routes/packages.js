@@ -1,11 +1,79 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { auth, requireUserType } = require('../middleware/auth');
+const { auth, requireUserType, requireVerifiedDocumentsForStatus } = require('../middleware/auth');
 const { searchPendingPackages, calculateCompatibility } = require('../services/searchService');
+const {
+  PackageLifecycleService,
+  PACKAGE_STATUS,
+  FINAL_STATUSES,
+  CAPACITY_HOLDING_STATUSES,
+  RECIPIENT_VISIBLE_STATUSES,
+  DELIVERY_AUTO_CONFIRM_DAYS
+} = require('../services/packageLifecycleService');
+const { PricingService } = require('../services/pricingService');
+const { PaymentService } = require('../services/paymentService');
+const { CapacityService } = require('../services/capacityService');
+const { ScreeningService, SCREENING_DECISIONS } = require('../services/screeningService');
+const { CustomsService, sendPdf } = require('../services/customsService');
+const { RecipientService, RECIPIENT_RELATIONSHIPS } = require('../services/recipientService');
+const { HandoverService, HANDOVER_KINDS, CODE_HOLDERS } = require('../services/handoverService');
+const {
+  uploadHandoverPhoto,
+  handleUploadError,
+  deleteHandoverPhoto,
+  sendHandoverPhoto
+} = require('../services/uploadService');
+const { PHONE_COUNTRIES } = require('../services/phoneVerificationService');
+const { ItineraryService } = require('../services/itineraryService');
+const { PACKAGE_CATEGORIES, PACKAGE_CATEGORY_CODES, DEFAULT_PACKAGE_CATEGORY } = require('../config/packageCategories');
+const { MAX_DIMENSION_CM, measure, formatDimensions } = require('../config/dimensions');
 
 const router = express.Router();
 
+// Destinataire d'un colis : choisi dans le carnet d'adresses ou saisi à la volée
+const recipientSelectionValidation = [
+  body('recipientId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Destinataire invalide')
+    .toInt(),
+  body('recipient')
+    .optional()
+    .isObject()
+    .withMessage('Le destinataire doit préciser nom et téléphone'),
+  body('recipient.name')
+    .if(body('recipient').exists())
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Le nom du destinataire doit contenir entre 2 et 150 caractères'),
+  body('recipient.phone')
+    .if(body('recipient').exists())
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Le téléphone du destinataire est obligatoire'),
+  body('recipient.phoneCountry')
+    .optional()
+    .isIn(Object.keys(PHONE_COUNTRIES))
+    .withMessage('Pays du numéro invalide'),
+  body('recipient.email')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .withMessage('Email du destinataire invalide')
+    .normalizeEmail(),
+  body('recipient.relationship')
+    .optional()
+    .isIn(Object.values(RECIPIENT_RELATIONSHIPS))
+    .withMessage('Lien avec le destinataire invalide'),
+  body('recipient.save')
+    .optional()
+    .isBoolean()
+    .withMessage('Le choix d\'enregistrement doit être un booléen')
+    .toBoolean()
+];
+
 // Validation pour créer un colis
 const createPackageValidation = [
   body('tripId')
@@ -25,9 +93,13 @@ const createPackageValidation = [
     .withMessage('Le poids doit être entre 0.1 et 50 kg'),
   body('dimensions')
     .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Les dimensions ne peuvent pas dépasser 100 caractères'),
+    .isObject()
+    .withMessage('Les dimensions doivent préciser longueur, largeur et hauteur (cm)'),
+  body(['dimensions.length', 'dimensions.width', 'dimensions.height'])
+    .if(body('dimensions').exists())
+    .isFloat({ min: 1, max: MAX_DIMENSION_CM })
+    .withMessage(`Chaque dimension doit être entre 1 et ${MAX_DIMENSION_CM} cm`)
+    .toFloat(),
   body('value')
     .optional()
     .isFloat({ min: 0 })
@@ -39,16 +111,119 @@ const createPackageValidation = [
   body('deliveryAddress')
     .trim()
     .isLength({ min: 10 })
-    .withMessage('L\'adresse de livraison doit contenir au moins 10 caractères')
+    .withMessage('L\'adresse de livraison doit contenir au moins 10 caractères'),
+  body('category')
+    .optional()
+    .isIn(PACKAGE_CATEGORY_CODES)
+    .withMessage('Catégorie de colis invalide'),
+  body('insurance')
+    .optional()
+    .isBoolean()
+    .withMessage('Le choix d\'assurance doit être un booléen')
+    .toBoolean(),
+  body('paymentMethod')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Moyen de paiement invalide'),
+  body('holdId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Réservation temporaire invalide')
+    .toInt(),
+  // Tronçon d'un voyage à étapes (voyage entier par défaut)
+  body(['originStopId', 'destinationStopId'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Étape du voyage invalide')
+    .toInt(),
+  ...recipientSelectionValidation
+];
+
+// Validation pour le devis avant réservation
+const quoteValidation = [
+  query('tripId').isInt({ min: 1 }).withMessage('ID de voyage invalide'),
+  query('weight').isFloat({ min: 0.1, max: 50 }).withMessage('Le poids doit être entre 0.1 et 50 kg'),
+  query('value').optional().isFloat({ min: 0 }).withMessage('La valeur doit être positive'),
+  query('category').optional().isIn(PACKAGE_CATEGORY_CODES).withMessage('Catégorie de colis invalide'),
+  query(['length', 'width', 'height'])
+    .optional()
+    .isFloat({ min: 1, max: MAX_DIMENSION_CM })
+    .withMessage(`Chaque dimension doit être entre 1 et ${MAX_DIMENSION_CM} cm`)
+    .toFloat(),
+  query('insurance').optional().isBoolean().withMessage('Le choix d\'assurance doit être un booléen').toBoolean(),
+  query(['originStopId', 'destinationStopId'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Étape du voyage invalide')
+    .toInt()
 ];
 
 // Validation pour la recherche de colis
 const searchPackagesValidation = [
-  query('status').optional().isIn(['pending', 'accepted', 'in_transit', 'delivered', 'cancelled']),
+  query('status').optional().isIn(Object.values(PACKAGE_STATUS)),
   query('page').optional().isInt({ min: 1 }).withMessage('Numéro de page invalide'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limite invalide')
 ];
 
+// Colonnes du destinataire jointes aux requêtes de colis
+const RECIPIENT_COLUMNS = `
+  r.name as recipient_name, r.phone as recipient_phone,
+  r.email as recipient_email, r.relationship as recipient_relationship
+`;
+
+// Le voyageur ne voit le destinataire qu'une fois la demande acceptée
+const formatPackageRecipient = (pkg, userId) => {
+  if (!pkg.recipient_id) return null;
+  if (pkg.sender_id !== userId && !RECIPIENT_VISIBLE_STATUSES.includes(pkg.status)) return null;
+
+  return {
+    id: pkg.recipient_id,
+    name: pkg.recipient_name,
+    phone: pkg.recipient_phone,
+    email: pkg.recipient_email,
+    relationship: pkg.recipient_relationship
+  };
+};
+
+// Étapes de prise en charge et de dépôt jointes aux requêtes de colis
+const SEGMENT_COLUMNS = `
+  os.country as origin_country, os.city as origin_city, os.departure_date as origin_departure_date,
+  ds.country as destination_stop_country, ds.city as destination_stop_city, ds.arrival_date as destination_arrival_date
+`;
+
+const SEGMENT_JOINS = `
+  LEFT JOIN trip_stops os ON p.origin_stop_id = os.id
+  LEFT JOIN trip_stops ds ON p.destination_stop_id = ds.id
+`;
+
+// Tronçon du voyage emprunté par le colis (null : voyage entier, colis antérieurs aux étapes)
+const formatPackageSegment = (pkg) => {
+  if (!pkg.origin_stop_id || !pkg.destination_stop_id) return null;
+
+  return {
+    originStopId: pkg.origin_stop_id,
+    destinationStopId: pkg.destination_stop_id,
+    departure: {
+      country: pkg.origin_country,
+      city: pkg.origin_city
+    },
+    destination: {
+      country: pkg.destination_stop_country,
+      city: pkg.destination_stop_city
+    },
+    departureDate: pkg.origin_departure_date,
+    arrivalDate: pkg.destination_arrival_date
+  };
+};
+
+// Catégorie d'objets que le voyageur refuse de transporter
+const refusesCategory = (trip, category) => (trip.refused_categories || []).includes(category);
+
+const refusedCategoryMessage = (category) =>
+  `Le voyageur n'accepte pas la catégorie "${PACKAGE_CATEGORIES[category].label}" sur ce voyage`;
+
 // Créer une demande de transport de colis
 router.post('/', auth, requireUserType(['sender', 'both']), createPackageValidation, async (req, res) => {
   try {
@@ -68,14 +243,24 @@ router.post('/', auth, requireUserType(['sender', 'both']), createPackageValidat
       dimensions,
       value,
       pickupAddress,
-      deliveryAddress
+      deliveryAddress,
+      category = DEFAULT_PACKAGE_CATEGORY,
+      insurance,
+      paymentMethod,
+      holdId,
+      originStopId,
+      destinationStopId,
+      recipientId,
+      recipient: recipientData
     } = req.body;
 
     const senderId = req.user.userId;
 
     // Vérifier que le voyage existe et est actif
     const tripResult = await db.query(
-      `SELECT id, traveler_id, available_weight, price_per_kg, departure_date, status
+      `SELECT id, traveler_id, available_weight, price_per_kg, currency, departure_date, status,
+              departure_country, destination_country, departure_country_code, destination_country_code,
+              refused_categories
        FROM trips WHERE id = $1`,
       [tripId]
     );
@@ -94,9 +279,12 @@ router.post('/', auth, requireUserType(['sender', 'both']), createPackageValidat
       });
     }
 
-    // Vérifier que la date de départ n'est pas passée
+    // Étapes de prise en charge et de dépôt du colis sur l'itinéraire
+    const segment = await ItineraryService.resolveSegment(trip.id, { originStopId, destinationStopId });
+
+    // Vérifier que la date de départ de l'étape de prise en charge n'est pas passée
     const today = new Date();
-    const departureDate = new Date(trip.departure_date);
+    const departureDate = new Date(segment.origin.departure_date);
     if (departureDate <= today) {
       return res.status(400).json({
         error: 'La date de départ de ce voyage est déjà passée'
@@ -110,29 +298,75 @@ router.post('/', auth, requireUserType(['sender', 'both']), createPackageValidat
       });
     }
 
-    // Vérifier que le poids est disponible
-    if (weight > trip.available_weight) {
+    if (refusesCategory(trip, category)) {
       return res.status(400).json({
-        error: `Poids insuffisant disponible. Maximum: ${trip.available_weight} kg`
+        error: refusedCategoryMessage(category)
       });
     }
 
-    // Calculer le prix total
-    const totalPrice = weight * trip.price_per_kg;
+    // Objets interdits ou réglementés sur le tronçon emprunté (décision journalisée)
+    const screening = await ScreeningService.screenPackage({ title, description, category }, {
+      ...trip,
+      departure_country: segment.origin.country,
+      destination_country: segment.destination.country,
+      departure_country_code: segment.origin.country_code,
+      destination_country_code: segment.destination.country_code
+    }, senderId);
 
-    const result = await db.query(
-      `INSERT INTO packages (
-         sender_id, trip_id, title, description, weight, dimensions, 
-         value, pickup_address, delivery_address, total_price
-       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-       RETURNING *`,
-      [
-        senderId, tripId, title, description, weight, dimensions,
-        value, pickupAddress, deliveryAddress, totalPrice
-      ]
-    );
+    if (screening.decision === SCREENING_DECISIONS.BLOCKED) {
+      return res.status(400).json({
+        error: 'Ce colis contient des objets interdits sur ce trajet',
+        code: 'PROHIBITED_ITEMS',
+        reasons: screening.matches
+      });
+    }
 
-    const packageData = result.rows[0];
+    // Volume et poids volumétrique, réservés sur le voyage avec le poids
+    const measured = dimensions ? measure(dimensions) : null;
+
+    // Devis détaillé dans la devise du voyage, figé sur le colis
+    const quote = await PricingService.quote(trip, {
+      weight,
+      volumetricWeight: measured && measured.volumetricWeight,
+      value,
+      category,
+      insured: insurance
+    });
+
+    // Créer la demande et autoriser le paiement dans la même transaction
+    const client = await db.getClient();
+    let packageData;
+    let payment;
+    let insurancePolicy;
+    let reservation;
+    let recipient;
+    let authorization = null;
+
+    try {
+      await client.query('BEGIN');
+
+      recipient = await RecipientService.resolveForPackage(client, senderId, { recipientId, recipient: recipientData });
+
+      ({ packageData, reservation, payment, insurance: insurancePolicy, authorization } = await PackageLifecycleService.createPackage(client, {
+        senderId,
+        trip,
+        segment,
+        details: { title, description, weight, value, pickupAddress, deliveryAddress, category },
+        measured,
+        quote,
+        screening,
+        recipientId: recipient ? recipient.id : null
+      }, { holdId, paymentMethod }));
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // La demande n'existe pas : l'autorisation posée sur la carte est levée
+      if (authorization) await PaymentService.voidAuthorization(authorization);
+      throw error;
+    } finally {
+      client.release();
+    }
 
     res.status(201).json({
       message: 'Demande de transport créée avec succès',
@@ -143,17 +377,60 @@ router.post('/', auth, requireUserType(['sender', 'both']), createPackageValidat
         title: packageData.title,
         description: packageData.description,
         weight: parseFloat(packageData.weight),
-        dimensions: packageData.dimensions,
+        dimensions: formatDimensions(packageData),
         value: packageData.value ? parseFloat(packageData.value) : null,
         pickupAddress: packageData.pickup_address,
         deliveryAddress: packageData.delivery_address,
         totalPrice: parseFloat(packageData.total_price),
+        currency: packageData.currency,
+        category: packageData.category,
+        priceBreakdown: packageData.price_breakdown,
         status: packageData.status,
+        segment: formatPackageSegment({
+          origin_stop_id: segment.origin.id,
+          origin_country: segment.origin.country,
+          origin_city: segment.origin.city,
+          origin_departure_date: segment.origin.departure_date,
+          destination_stop_id: segment.destination.id,
+          destination_stop_country: segment.destination.country,
+          destination_stop_city: segment.destination.city,
+          destination_arrival_date: segment.destination.arrival_date
+        }),
+        recipient: recipient ? formatPackageRecipient({
+          ...packageData,
+          recipient_name: recipient.name,
+          recipient_phone: recipient.phone,
+          recipient_email: recipient.email,
+          recipient_relationship: recipient.relationship
+        }, senderId) : null,
         createdAt: packageData.created_at
-      }
+      },
+      // Objets réglementés : le voyageur devra les accepter explicitement
+      screening: {
+        status: screening.packageStatus,
+        restrictions: screening.matches
+      },
+      payment,
+      insurance: insurancePolicy,
+      reservation
     });
 
   } catch (error) {
+    // Paiement refusé par le fournisseur
+    if (error.statusCode === 402) {
+      return res.status(402).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    // Devis impossible (valeur à assurer manquante, taux de change absent) ou capacité épuisée
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
     console.error('Erreur lors de la création du colis:', error);
     res.status(500).json({
       error: 'Erreur interne du serveur'
@@ -200,10 +477,14 @@ router.get('/my-packages', auth, requireUserType(['sender', 'both']), searchPack
          u.first_name as traveler_first_name,
          u.last_name as traveler_last_name,
          u.profile_picture as traveler_profile_picture,
-         u.rating as traveler_rating
+         u.rating as traveler_rating,
+         ${RECIPIENT_COLUMNS},
+         ${SEGMENT_COLUMNS}
        FROM packages p
        JOIN trips t ON p.trip_id = t.id
        JOIN users u ON t.traveler_id = u.id
+       LEFT JOIN recipients r ON p.recipient_id = r.id
+       ${SEGMENT_JOINS}
        WHERE ${whereCondition}
        ORDER BY p.created_at DESC
        LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
@@ -222,12 +503,15 @@ router.get('/my-packages', auth, requireUserType(['sender', 'both']), searchPack
       title: pkg.title,
       description: pkg.description,
       weight: parseFloat(pkg.weight),
-      dimensions: pkg.dimensions,
+      dimensions: formatDimensions(pkg),
       value: pkg.value ? parseFloat(pkg.value) : null,
       pickupAddress: pkg.pickup_address,
       deliveryAddress: pkg.delivery_address,
       totalPrice: parseFloat(pkg.total_price),
+      currency: pkg.currency,
       status: pkg.status,
+      recipient: formatPackageRecipient(pkg, senderId),
+      segment: formatPackageSegment(pkg),
       createdAt: pkg.created_at,
       updatedAt: pkg.updated_at,
       trip: {
@@ -304,10 +588,14 @@ router.get('/trip-requests', auth, requireUserType(['traveler', 'both']), search
          u.first_name as sender_first_name,
          u.last_name as sender_last_name,
          u.profile_picture as sender_profile_picture,
-         u.rating as sender_rating
+         u.rating as sender_rating,
+         ${RECIPIENT_COLUMNS},
+         ${SEGMENT_COLUMNS}
        FROM packages p
        JOIN trips t ON p.trip_id = t.id
        JOIN users u ON p.sender_id = u.id
+       LEFT JOIN recipients r ON p.recipient_id = r.id
+       ${SEGMENT_JOINS}
        WHERE ${whereCondition}
        ORDER BY p.created_at DESC
        LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
@@ -329,12 +617,16 @@ router.get('/trip-requests', auth, requireUserType(['traveler', 'both']), search
       title: pkg.title,
       description: pkg.description,
       weight: parseFloat(pkg.weight),
-      dimensions: pkg.dimensions,
+      dimensions: formatDimensions(pkg),
       value: pkg.value ? parseFloat(pkg.value) : null,
       pickupAddress: pkg.pickup_address,
       deliveryAddress: pkg.delivery_address,
       totalPrice: parseFloat(pkg.total_price),
+      currency: pkg.currency,
       status: pkg.status,
+      screeningStatus: pkg.screening_status,
+      recipient: formatPackageRecipient(pkg, travelerId),
+      segment: formatPackageSegment(pkg),
       createdAt: pkg.created_at,
       updatedAt: pkg.updated_at,
       trip: {
@@ -372,6 +664,104 @@ router.get('/trip-requests', auth, requireUserType(['traveler', 'both']), search
   }
 });
 
+// Obtenir le devis détaillé d'un colis avant réservation
+router.get('/quote', auth, quoteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const tripResult = await db.query(
+      `SELECT id, price_per_kg, currency, available_weight, status, departure_country, destination_country,
+              departure_country_code, destination_country_code, refused_categories
+       FROM trips WHERE id = $1`,
+      [req.query.tripId]
+    );
+
+    if (tripResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Voyage non trouvé'
+      });
+    }
+
+    const trip = tripResult.rows[0];
+    const weight = parseFloat(req.query.weight);
+
+    if (trip.status !== 'active') {
+      return res.status(400).json({
+        error: 'Ce voyage n\'est plus disponible'
+      });
+    }
+
+    const category = req.query.category || DEFAULT_PACKAGE_CATEGORY;
+    if (refusesCategory(trip, category)) {
+      return res.status(400).json({
+        error: refusedCategoryMessage(category)
+      });
+    }
+
+    const { length, width, height } = req.query;
+    const sides = [length, width, height].filter(side => side !== undefined);
+    if (sides.length > 0 && sides.length < 3) {
+      return res.status(400).json({
+        error: 'Les dimensions doivent préciser longueur, largeur et hauteur (cm)'
+      });
+    }
+    const measured = sides.length === 3 ? measure({ length, width, height }) : null;
+
+    // Capacité libre sur le tronçon demandé ; celle bloquée par l'expéditeur reste à sa disposition
+    const segment = await ItineraryService.resolveSegment(trip.id, {
+      originStopId: req.query.originStopId,
+      destinationStopId: req.query.destinationStopId
+    });
+    const bookable = await CapacityService.getBookableCapacity(trip.id, req.user.userId, {
+      originStopId: segment.origin.id,
+      destinationStopId: segment.destination.id
+    });
+    if (weight > bookable.weight) {
+      return res.status(400).json({
+        error: `Poids insuffisant disponible. Maximum: ${bookable.weight} kg`
+      });
+    }
+
+    if (measured && bookable.volume !== null && measured.volumeLitres > bookable.volume) {
+      return res.status(400).json({
+        error: `Volume insuffisant disponible. Maximum: ${bookable.volume} L`
+      });
+    }
+
+    const quote = await PricingService.quote(trip, {
+      weight,
+      volumetricWeight: measured && measured.volumetricWeight,
+      value: req.query.value,
+      category,
+      insured: req.query.insurance === true
+    });
+
+    res.json({
+      tripId: trip.id,
+      dimensions: measured,
+      quote
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Erreur lors du calcul du devis:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // Obtenir un colis spécifique
 router.get('/:packageId', auth, async (req, res) => {
   try {
@@ -395,11 +785,15 @@ router.get('/:packageId', auth, async (req, res) => {
          traveler.first_name as traveler_first_name,
          traveler.last_name as traveler_last_name,
          traveler.profile_picture as traveler_profile_picture,
-         traveler.rating as traveler_rating
+         traveler.rating as traveler_rating,
+         ${RECIPIENT_COLUMNS},
+         ${SEGMENT_COLUMNS}
        FROM packages p
        JOIN trips t ON p.trip_id = t.id
        JOIN users sender ON p.sender_id = sender.id
        JOIN users traveler ON t.traveler_id = traveler.id
+       LEFT JOIN recipients r ON p.recipient_id = r.id
+       ${SEGMENT_JOINS}
        WHERE p.id = $1`,
       [packageId]
     );
@@ -425,12 +819,18 @@ router.get('/:packageId', auth, async (req, res) => {
         title: pkg.title,
         description: pkg.description,
         weight: parseFloat(pkg.weight),
-        dimensions: pkg.dimensions,
+        dimensions: formatDimensions(pkg),
         value: pkg.value ? parseFloat(pkg.value) : null,
         pickupAddress: pkg.pickup_address,
         deliveryAddress: pkg.delivery_address,
         totalPrice: parseFloat(pkg.total_price),
+        currency: pkg.currency,
+        category: pkg.category,
+        priceBreakdown: pkg.price_breakdown,
         status: pkg.status,
+        screening: await ScreeningService.getPackageScreening(pkg),
+        recipient: formatPackageRecipient(pkg, userId),
+        segment: formatPackageSegment(pkg),
         createdAt: pkg.created_at,
         updatedAt: pkg.updated_at,
         trip: {
@@ -467,232 +867,580 @@ router.get('/:packageId', auth, async (req, res) => {
   }
 });
 
-// Accepter ou refuser une demande de transport (voyageur)
-router.patch('/:packageId/status', auth, requireUserType(['traveler', 'both']), async (req, res) => {
+// Appliquer une transition du cycle de vie et répondre au client
+const applyTransition = async (req, res, newStatus, successMessage, options = {}) => {
+  const { packageId } = req.params;
+
   try {
-    const { packageId } = req.params;
-    const { status } = req.body;
-    const travelerId = req.user.userId;
+    await PackageLifecycleService.transition(parseInt(packageId), newStatus, req.user.userId, options);
 
-    if (!['accepted', 'cancelled'].includes(status)) {
-      return res.status(400).json({
-        error: 'Statut invalide. Utilisez "accepted" ou "cancelled"'
+    res.json({
+      message: successMessage,
+      packageId: parseInt(packageId),
+      newStatus
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.restrictions && { restrictions: error.restrictions })
       });
     }
 
-    // Vérifier que le colis existe et appartient à un voyage de l'utilisateur
-    const packageResult = await db.query(
-      `SELECT p.id, p.status, p.weight, t.traveler_id, t.available_weight
-       FROM packages p
-       JOIN trips t ON p.trip_id = t.id
-       WHERE p.id = $1 AND t.traveler_id = $2`,
-      [packageId, travelerId]
-    );
+    console.error('Erreur lors de la mise à jour du statut:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+};
 
-    if (packageResult.rows.length === 0) {
-      return res.status(404).json({
-        error: 'Colis non trouvé ou accès non autorisé'
+// Accepter ou refuser une demande de transport (voyageur)
+router.patch('/:packageId/status', auth, requireUserType(['traveler', 'both']), requireVerifiedDocumentsForStatus([PACKAGE_STATUS.ACCEPTED]), async (req, res) => {
+  // "cancelled" reste accepté pour les anciens clients et signifie un refus
+  const status = req.body.status === PACKAGE_STATUS.CANCELLED ? PACKAGE_STATUS.REJECTED : req.body.status;
+
+  if (![PACKAGE_STATUS.ACCEPTED, PACKAGE_STATUS.REJECTED].includes(status)) {
+    return res.status(400).json({
+      error: 'Statut invalide. Utilisez "accepted" ou "rejected"'
+    });
+  }
+
+  await applyTransition(
+    req,
+    res,
+    status,
+    status === PACKAGE_STATUS.ACCEPTED ? 'Demande acceptée avec succès' : 'Demande refusée',
+    // Un colis réglementé n'est accepté qu'avec "acknowledgeRestrictions": true
+    { acknowledgeRestrictions: req.body.acknowledgeRestrictions === true }
+  );
+});
+
+// Marquer un colis comme pris en charge (voyageur)
+// Réservé aux colis acceptés avant les remises en main propre : sinon POST /:packageId/handovers/pickup
+router.patch('/:packageId/picked-up', auth, requireUserType(['traveler', 'both']), async (req, res) => {
+  await applyTransition(req, res, PACKAGE_STATUS.PICKED_UP, 'Colis marqué comme pris en charge');
+});
+
+// Marquer un colis comme en transit (voyageur)
+router.patch('/:packageId/in-transit', auth, requireUserType(['traveler', 'both']), async (req, res) => {
+  await applyTransition(req, res, PACKAGE_STATUS.IN_TRANSIT, 'Colis marqué comme en transit');
+});
+
+// Marquer un colis comme livré (voyageur)
+// Réservé aux colis acceptés avant les remises en main propre : sinon POST /:packageId/handovers/delivery
+router.patch('/:packageId/delivered', auth, requireUserType(['traveler', 'both']), async (req, res) => {
+  await applyTransition(req, res, PACKAGE_STATUS.DELIVERED, 'Colis marqué comme livré');
+});
+
+// Confirmer la réception d'un colis (expéditeur)
+router.patch('/:packageId/confirm', auth, requireUserType(['sender', 'both']), async (req, res) => {
+  await applyTransition(req, res, PACKAGE_STATUS.CONFIRMED, 'Livraison confirmée avec succès');
+});
+
+// Annuler un colis (expéditeur)
+router.patch('/:packageId/cancel', auth, requireUserType(['sender', 'both']), async (req, res) => {
+  await applyTransition(req, res, PACKAGE_STATUS.CANCELLED, 'Colis annulé avec succès');
+});
+
+// Statut atteint par chaque remise en main propre
+const HANDOVER_STATUSES = {
+  [HANDOVER_KINDS.PICKUP]: PACKAGE_STATUS.PICKED_UP,
+  [HANDOVER_KINDS.DELIVERY]: PACKAGE_STATUS.DELIVERED
+};
+
+// Colis et type de remise dans l'URL
+const handoverParamsValidation = [
+  param('packageId').isInt({ min: 1 }).withMessage('ID de colis invalide').toInt(),
+  param('kind').isIn(Object.values(HANDOVER_KINDS)).withMessage('Remise invalide (pickup ou delivery)')
+];
+
+// Photo de remise : les erreurs d'upload sont renvoyées comme pour les documents
+const handoverPhotoUpload = (req, res, next) => {
+  uploadHandoverPhoto(req, res, (error) => {
+    if (error) {
+      return handleUploadError(error, req, res, next);
+    }
+    next();
+  });
+};
+
+// Valider une remise en main propre (voyageur) : code saisi ou QR code scanné,
+// photo du colis remis et position GPS ; le colis passe à pris en charge ou livré
+router.post('/:packageId/handovers/:kind', auth, requireUserType(['traveler', 'both']), handoverPhotoUpload, [
+  ...handoverParamsValidation,
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Le code de remise contient 6 chiffres'),
+  body('qrPayload')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('QR code invalide'),
+  body().custom(value => Boolean(value.code || value.qrPayload))
+    .withMessage('Saisissez ou scannez le code de remise'),
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude invalide')
+    .toFloat(),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude invalide')
+    .toFloat(),
+  body('accuracy')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Précision GPS invalide')
+    .toFloat()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    if (req.file) deleteHandoverPhoto(req.file.filename);
+    return res.status(400).json({
+      error: 'Données invalides',
+      details: errors.array()
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'Une photo de la remise est obligatoire'
+    });
+  }
+
+  const { packageId, kind } = req.params;
+  const { code, qrPayload, latitude, longitude, accuracy } = req.body;
+  const newStatus = HANDOVER_STATUSES[kind];
+
+  try {
+    const result = await PackageLifecycleService.transition(packageId, newStatus, req.user.userId, {
+      handover: { code, qrPayload, photo: req.file, latitude, longitude, accuracy },
+      location: `${latitude},${longitude}`,
+      notes: kind === HANDOVER_KINDS.PICKUP
+        ? 'Prise en charge validée par le code de l\'expéditeur'
+        : 'Livraison validée par le code du destinataire'
+    });
+
+    res.json({
+      message: kind === HANDOVER_KINDS.PICKUP ? 'Prise en charge du colis validée' : 'Livraison du colis validée',
+      packageId,
+      newStatus,
+      handover: result.handover
+    });
+
+  } catch (error) {
+    deleteHandoverPhoto(req.file.filename);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        ...(error.code && { code: error.code })
       });
     }
 
-    const packageData = packageResult.rows[0];
+    console.error('Erreur lors de la validation de la remise:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
 
-    if (packageData.status !== 'pending') {
+// Obtenir un colis auquel l'utilisateur a accès (expéditeur ou voyageur)
+const findPackageForParty = async (packageId, userId) => {
+  const result = await db.query(
+    `SELECT p.id, p.sender_id, p.status, p.delivered_at, t.traveler_id
+     FROM packages p
+     JOIN trips t ON p.trip_id = t.id
+     WHERE p.id = $1`,
+    [packageId]
+  );
+
+  const pkg = result.rows[0];
+  if (!pkg) return { status: 404, error: 'Colis non trouvé' };
+  if (pkg.sender_id !== userId && pkg.traveler_id !== userId) {
+    return { status: 403, error: 'Accès non autorisé à ce colis' };
+  }
+
+  return { pkg };
+};
+
+// Remises d'un colis et preuves de remise signées (expéditeur ou voyageur)
+router.get('/:packageId/handovers', auth, [
+  param('packageId').isInt({ min: 1 }).withMessage('ID de colis invalide').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Seules les demandes en attente peuvent être modifiées'
+        error: 'Paramètres invalides',
+        details: errors.array()
       });
     }
 
-    // Si accepté, vérifier le poids disponible et le déduire
-    if (status === 'accepted') {
-      if (packageData.weight > packageData.available_weight) {
-        return res.status(400).json({
-          error: 'Poids insuffisant disponible'
-        });
-      }
-
-      // Mettre à jour le colis et le poids disponible du voyage
-      const client = await db.getClient();
-      try {
-        await client.query('BEGIN');
-
-        await client.query(
-          'UPDATE packages SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          [status, packageId]
-        );
-
-        await client.query(
-          'UPDATE trips SET available_weight = available_weight - $1, updated_at = CURRENT_TIMESTAMP WHERE id = (SELECT trip_id FROM packages WHERE id = $2)',
-          [packageData.weight, packageId]
-        );
-
-        await client.query('COMMIT');
-      } catch (error) {
-        await client.query('ROLLBACK');
-        throw error;
-      } finally {
-        client.release();
-      }
-    } else {
-      // Simplement mettre à jour le statut pour refus
-      await db.query(
-        'UPDATE packages SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        [status, packageId]
-      );
+    const { pkg, status, error } = await findPackageForParty(req.params.packageId, req.user.userId);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
+    // Sans réponse de l'expéditeur, la livraison est confirmée automatiquement à cette date
+    const confirmationDueAt = pkg.status === PACKAGE_STATUS.DELIVERED && pkg.delivered_at
+      ? new Date(new Date(pkg.delivered_at).getTime() + DELIVERY_AUTO_CONFIRM_DAYS * 24 * 60 * 60 * 1000)
+      : null;
+
     res.json({
-      message: status === 'accepted' ? 'Demande acceptée avec succès' : 'Demande refusée',
-      packageId: parseInt(packageId),
-      newStatus: status
+      packageId: pkg.id,
+      status: pkg.status,
+      handovers: await HandoverService.getHandovers(pkg.id),
+      confirmationDueAt
     });
 
   } catch (error) {
-    console.error('Erreur lors de la mise à jour du statut:', error);
+    console.error('Erreur lors de la récupération des remises:', error);
     res.status(500).json({
       error: 'Erreur interne du serveur'
     });
   }
 });
 
-// Marquer un colis comme en transit (voyageur)
-router.patch('/:packageId/in-transit', auth, requireUserType(['traveler', 'both']), async (req, res) => {
+// Photo d'une remise effectuée (expéditeur ou voyageur)
+router.get('/:packageId/handovers/:kind/photo', auth, handoverParamsValidation, async (req, res) => {
   try {
-    const { packageId } = req.params;
-    const travelerId = req.user.userId;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
 
-    const result = await db.query(
-      `UPDATE packages 
-       SET status = 'in_transit', updated_at = CURRENT_TIMESTAMP
-       WHERE id = $1 
-         AND status = 'accepted'
-         AND trip_id IN (SELECT id FROM trips WHERE traveler_id = $2)
-       RETURNING id, status`,
-      [packageId, travelerId]
-    );
+    const { status, error } = await findPackageForParty(req.params.packageId, req.user.userId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-    if (result.rows.length === 0) {
+    const handover = await HandoverService.getCompletedHandover(req.params.packageId, req.params.kind);
+    if (!handover) {
       return res.status(404).json({
-        error: 'Colis non trouvé, accès non autorisé ou statut invalide'
+        error: 'Remise non effectuée'
       });
     }
 
+    sendHandoverPhoto(res, handover.photo_path);
+
+  } catch (error) {
+    console.error('Erreur lors de l\'envoi de la photo de remise:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Redemander un code de remise (expéditeur) : le précédent cesse de fonctionner
+// Le code de livraison est renvoyé au destinataire ; les deux codes sont aussi affichés à l'expéditeur
+router.post('/:packageId/handovers/:kind/code', auth, requireUserType(['sender', 'both']), handoverParamsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { packageId, kind } = req.params;
+    const { pkg, status, error } = await findPackageForParty(packageId, req.user.userId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (pkg.sender_id !== req.user.userId) {
+      return res.status(403).json({
+        error: 'Seul l\'expéditeur peut demander un code de remise'
+      });
+    }
+
+    const allowedStatuses = kind === HANDOVER_KINDS.PICKUP ? [PACKAGE_STATUS.ACCEPTED] : CAPACITY_HOLDING_STATUSES;
+    if (!allowedStatuses.includes(pkg.status)) {
+      return res.status(400).json({
+        error: kind === HANDOVER_KINDS.PICKUP
+          ? 'Le code de prise en charge est disponible tant que le colis n\'a pas été remis au voyageur'
+          : 'Le code de livraison est disponible entre l\'acceptation et la livraison du colis'
+      });
+    }
+
+    const issued = await HandoverService.resendCode(packageId, kind);
+
     res.json({
-      message: 'Colis marqué comme en transit',
-      packageId: parseInt(packageId),
-      newStatus: 'in_transit'
+      message: issued.holder === CODE_HOLDERS.RECIPIENT ? 'Nouveau code envoyé au destinataire' : 'Nouveau code de remise',
+      code: issued.code,
+      qrPayload: issued.qrPayload,
+      holder: issued.holder
     });
 
   } catch (error) {
-    console.error('Erreur lors de la mise à jour du statut:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        ...(error.code && { code: error.code })
+      });
+    }
+
+    console.error('Erreur lors de l\'émission du code de remise:', error);
     res.status(500).json({
       error: 'Erreur interne du serveur'
     });
   }
 });
 
-// Marquer un colis comme livré (voyageur)
-router.patch('/:packageId/delivered', auth, requireUserType(['traveler', 'both']), async (req, res) => {
+// Obtenir la déclaration en douane d'un colis (PDF, ou JSON avec ?format=json)
+router.get('/:packageId/declaration', auth, [
+  param('packageId').isInt({ min: 1 }).withMessage('ID de colis invalide').toInt(),
+  query('format').optional().isIn(['pdf', 'json']).withMessage('Format invalide (pdf ou json)')
+], async (req, res) => {
   try {
-    const { packageId } = req.params;
-    const travelerId = req.user.userId;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
 
-    const result = await db.query(
-      `UPDATE packages 
-       SET status = 'delivered', updated_at = CURRENT_TIMESTAMP
-       WHERE id = $1 
-         AND status = 'in_transit'
-         AND trip_id IN (SELECT id FROM trips WHERE traveler_id = $2)
-       RETURNING id, status`,
-      [packageId, travelerId]
-    );
+    const declaration = await CustomsService.getDeclaration(req.params.packageId, req.user.userId);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        error: 'Colis non trouvé, accès non autorisé ou statut invalide'
+    if (req.query.format === 'json') {
+      return res.json({ declaration });
+    }
+
+    const pdf = await CustomsService.renderDeclarationPdf(declaration);
+    sendPdf(res, pdf, `declaration-douane-colis-${declaration.packageId}.pdf`);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Erreur lors de la génération de la déclaration en douane:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Signer la déclaration en douane d'un colis (expéditeur ou voyageur)
+router.post('/:packageId/declaration/sign', auth, [
+  param('packageId').isInt({ min: 1 }).withMessage('ID de colis invalide').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: errors.array()
       });
     }
 
+    const declaration = await CustomsService.signDeclaration(req.params.packageId, req.user.userId, { ip: req.ip });
+
     res.json({
-      message: 'Colis marqué comme livré',
-      packageId: parseInt(packageId),
-      newStatus: 'delivered'
+      message: 'Déclaration en douane signée',
+      declaration
     });
 
   } catch (error) {
-    console.error('Erreur lors de la mise à jour du statut:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Erreur lors de la signature de la déclaration en douane:', error);
     res.status(500).json({
       error: 'Erreur interne du serveur'
     });
   }
 });
 
-// Annuler un colis (expéditeur)
-router.patch('/:packageId/cancel', auth, requireUserType(['sender', 'both']), async (req, res) => {
+// Délai minimal entre deux envois du lien de suivi au destinataire
+const TRACKING_LINK_RESEND_SECONDS = 60;
+
+// Désigner ou changer le destinataire d'un colis (expéditeur, avant la remise)
+router.put('/:packageId/recipient', auth, requireUserType(['sender', 'both']), [
+  param('packageId').isInt({ min: 1 }).withMessage('ID de colis invalide').toInt(),
+  ...recipientSelectionValidation,
+  body().custom(value => Boolean(value.recipientId || value.recipient))
+    .withMessage('Choisissez un destinataire du carnet d\'adresses ou saisissez-en un')
+], async (req, res) => {
+  const client = await db.getClient();
+  let packageData;
+  let recipient;
+
   try {
-    const { packageId } = req.params;
-    const senderId = req.user.userId;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
 
-    // Récupérer les informations du colis
-    const packageResult = await db.query(
-      `SELECT p.id, p.status, p.weight, p.trip_id
-       FROM packages p
-       WHERE p.id = $1 AND p.sender_id = $2`,
-      [packageId, senderId]
+    await client.query('BEGIN');
+
+    const packageResult = await client.query(
+      'SELECT id, sender_id, status FROM packages WHERE id = $1 FOR UPDATE',
+      [req.params.packageId]
     );
+    packageData = packageResult.rows[0];
 
-    if (packageResult.rows.length === 0) {
+    if (!packageData) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
-        error: 'Colis non trouvé ou accès non autorisé'
+        error: 'Colis non trouvé'
       });
     }
 
-    const packageData = packageResult.rows[0];
+    if (packageData.sender_id !== req.user.userId) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        error: 'Accès non autorisé à ce colis'
+      });
+    }
 
-    if (!['pending', 'accepted'].includes(packageData.status)) {
+    if (packageData.status === PACKAGE_STATUS.DELIVERED || FINAL_STATUSES.includes(packageData.status)) {
+      await client.query('ROLLBACK');
       return res.status(400).json({
-        error: 'Seuls les colis en attente ou acceptés peuvent être annulés'
+        error: 'Le destinataire ne peut plus être modifié après la remise du colis'
       });
     }
 
-    // Si le colis était accepté, remettre le poids disponible
-    if (packageData.status === 'accepted') {
-      const client = await db.getClient();
-      try {
-        await client.query('BEGIN');
+    recipient = await RecipientService.resolveForPackage(client, req.user.userId, {
+      recipientId: req.body.recipientId,
+      recipient: req.body.recipient
+    });
 
-        await client.query(
-          'UPDATE packages SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          ['cancelled', packageId]
-        );
+    // L'ancien lien de suivi ne doit plus donner accès au colis
+    await client.query(
+      `UPDATE packages
+       SET recipient_id = $1, recipient_tracking_token_hash = NULL, recipient_notified_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [recipient.id, packageData.id]
+    );
 
-        await client.query(
-          'UPDATE trips SET available_weight = available_weight + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          [packageData.weight, packageData.trip_id]
-        );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
 
-        await client.query('COMMIT');
-      } catch (error) {
-        await client.query('ROLLBACK');
-        throw error;
-      } finally {
-        client.release();
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Erreur lors du changement de destinataire:', error);
+    return res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  } finally {
+    client.release();
+  }
+
+  // Demande déjà acceptée : le nouveau destinataire reçoit tout de suite son lien et son code de réception
+  let trackingLink = null;
+  if (RECIPIENT_VISIBLE_STATUSES.includes(packageData.status)) {
+    try {
+      trackingLink = await RecipientService.sendTrackingLink(packageData.id);
+    } catch (error) {
+      console.error('Erreur lors de l\'envoi du lien de suivi au destinataire:', error);
+    }
+
+    try {
+      if (await HandoverService.getPendingHandover(db, packageData.id, HANDOVER_KINDS.DELIVERY)) {
+        await HandoverService.sendCode(packageData.id, HANDOVER_KINDS.DELIVERY);
       }
-    } else {
-      await db.query(
-        'UPDATE packages SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        ['cancelled', packageId]
-      );
+    } catch (error) {
+      console.error('Erreur lors de l\'envoi du code de réception au destinataire:', error);
     }
+  }
+
+  res.json({
+    message: 'Destinataire du colis mis à jour',
+    recipient: formatPackageRecipient({
+      ...packageData,
+      recipient_id: recipient.id,
+      recipient_name: recipient.name,
+      recipient_phone: recipient.phone,
+      recipient_email: recipient.email,
+      recipient_relationship: recipient.relationship
+    }, req.user.userId),
+    trackingLink
+  });
+});
+
+// Renvoyer au destinataire son lien de suivi (l'ancien lien est désactivé)
+router.post('/:packageId/recipient/tracking-link', auth, requireUserType(['sender', 'both']), [
+  param('packageId').isInt({ min: 1 }).withMessage('ID de colis invalide').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const result = await db.query(
+      `SELECT id, sender_id, status, recipient_id,
+              EXTRACT(EPOCH FROM (NOW() - recipient_notified_at)) as seconds_since_notified
+       FROM packages WHERE id = $1`,
+      [req.params.packageId]
+    );
+    const pkg = result.rows[0];
+
+    if (!pkg) {
+      return res.status(404).json({
+        error: 'Colis non trouvé'
+      });
+    }
+
+    if (pkg.sender_id !== req.user.userId) {
+      return res.status(403).json({
+        error: 'Accès non autorisé à ce colis'
+      });
+    }
+
+    if (!pkg.recipient_id) {
+      return res.status(400).json({
+        error: 'Ce colis n\'a pas de destinataire'
+      });
+    }
+
+    if (!RECIPIENT_VISIBLE_STATUSES.includes(pkg.status) || FINAL_STATUSES.includes(pkg.status)) {
+      return res.status(400).json({
+        error: 'Le lien de suivi est disponible entre l\'acceptation et la fin du transport'
+      });
+    }
+
+    if (pkg.seconds_since_notified !== null && parseFloat(pkg.seconds_since_notified) < TRACKING_LINK_RESEND_SECONDS) {
+      return res.status(429).json({
+        error: 'Veuillez patienter avant de renvoyer le lien de suivi'
+      });
+    }
+
+    const channels = await RecipientService.sendTrackingLink(pkg.id);
 
     res.json({
-      message: 'Colis annulé avec succès',
-      packageId: parseInt(packageId),
-      newStatus: 'cancelled'
+      message: 'Lien de suivi envoyé au destinataire',
+      channels
     });
 
   } catch (error) {
-    console.error('Erreur lors de l\'annulation du colis:', error);
+    console.error('Erreur lors de l\'envoi du lien de suivi:', error);
     res.status(500).json({
       error: 'Erreur interne du serveur'
     });
@@ -706,7 +1454,7 @@ router.get('/search', [
   query('max_weight').optional().isFloat({ min: 0 }),
   query('min_price').optional().isFloat({ min: 0 }),
   query('max_price').optional().isFloat({ min: 0 }),
-  query('status').optional().isIn(['pending', 'accepted', 'in_transit', 'delivered', 'cancelled']),
+  query('status').optional().isIn(Object.values(PACKAGE_STATUS)),
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
 ], async (req, res) => {
@@ -783,6 +1531,7 @@ router.get('/:packageId/compatibility/:tripId', auth, async (req, res) => {
         weight: parseFloat(packageData.weight),
         value: parseFloat(packageData.value),
         totalPrice: parseFloat(packageData.total_price),
+        currency: packageData.currency,
         pickupAddress: packageData.pickup_address,
         deliveryAddress: packageData.delivery_address,
         sender: {
@@ -808,7 +1557,8 @@ router.get('/:packageId/compatibility/:tripId', auth, async (req, res) => {
         },
         capacity: {
           availableWeight: parseFloat(tripData.available_weight),
-          pricePerKg: parseFloat(tripData.price_per_kg)
+          pricePerKg: parseFloat(tripData.price_per_kg),
+          currency: tripData.currency
         },
         traveler: {
           firstName: tripData.first_name,
@@ -0,0 +1,135 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { auth, requireUserType } = require('../middleware/auth');
+const { PaymentService } = require('../services/paymentService');
+const { CurrencyService } = require('../services/currencyService');
+
+const router = express.Router();
+
+/**
+ * Routes de paiement ChapChap
+ * Paiement sous séquestre des colis, solde et virements des voyageurs
+ */
+
+// Répondre avec l'erreur d'un service (statusCode) ou une erreur interne
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * @route GET /api/payments/exchange-rates
+ * @desc Lister les devises acceptées et les taux de change en vigueur
+ * @access Public
+ */
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const { rates, ...currencies } = await CurrencyService.listRates();
+
+    res.json({
+      success: true,
+      data: {
+        ...currencies,
+        rates: rates.map(({ updatedBy, ...rate }) => rate)
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération des taux de change');
+  }
+});
+
+/**
+ * @route GET /api/payments/packages/:packageId
+ * @desc Obtenir le paiement d'un colis (expéditeur ou voyageur)
+ * @access Private
+ */
+router.get('/packages/:packageId', [
+  param('packageId').isInt({ min: 1 }).withMessage('ID de colis invalide')
+], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de colis invalide',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await PaymentService.getPackagePayment(
+      parseInt(req.params.packageId),
+      req.user.userId
+    );
+
+    res.json({
+      success: true,
+      data: payment
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération du paiement');
+  }
+});
+
+/**
+ * @route GET /api/payments/balance
+ * @desc Obtenir le solde du voyageur (séquestre, virements en attente, versés)
+ * @access Private (voyageur)
+ */
+router.get('/balance', auth, requireUserType(['traveler', 'both']), async (req, res) => {
+  try {
+    const balance = await PaymentService.getTravelerBalance(req.user.userId);
+
+    res.json({
+      success: true,
+      data: balance
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération du solde');
+  }
+});
+
+/**
+ * @route GET /api/payments/payouts
+ * @desc Lister les virements du voyageur
+ * @access Private (voyageur)
+ */
+router.get('/payouts', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Numéro de page invalide'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limite invalide')
+], auth, requireUserType(['traveler', 'both']), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paramètres invalides',
+        errors: errors.array()
+      });
+    }
+
+    const result = await PaymentService.listPayouts(req.user.userId, req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération des virements');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
-const auth = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const ratingService = require('../services/ratingService');
 
 /**
@@ -28,7 +29,7 @@ router.post('/', [
     }
 
     const { ratedUserId, packageId, rating, comment, type } = req.body;
-    const raterId = req.user.id;
+    const raterId = req.user.userId;
 
     const result = await ratingService.createRating(
       raterId, ratedUserId, packageId, rating, comment, type
@@ -130,7 +131,7 @@ router.get('/user/:userId/stats', [
  */
 router.get('/eligible-packages', auth, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const result = await ratingService.getEligiblePackagesForRating(userId);
 
     res.json({
@@ -170,7 +171,7 @@ router.get('/package/:packageId/can-rate', [
     const packageId = parseInt(req.params.packageId);
     const ratedUserId = parseInt(req.query.ratedUserId);
     const type = req.query.type;
-    const raterId = req.user.id;
+    const raterId = req.user.userId;
 
     const result = await ratingService.canUserRate(raterId, ratedUserId, packageId, type);
 
@@ -212,7 +213,7 @@ router.get('/package/:packageId/existing', [
 
     const packageId = parseInt(req.params.packageId);
     const ratedUserId = parseInt(req.query.ratedUserId);
-    const raterId = req.user.id;
+    const raterId = req.user.userId;
 
     const existingRating = await ratingService.getRating(raterId, ratedUserId, packageId);
 
@@ -244,6 +245,7 @@ router.get('/package/:packageId/existing', [
  */
 router.delete('/:ratingId', [
   auth,
+  requirePermission(PERMISSIONS.RATINGS_MODERATE),
   param('ratingId').isInt().withMessage('ID évaluation invalide')
 ], async (req, res) => {
   try {
@@ -257,7 +259,7 @@ router.delete('/:ratingId', [
     }
 
     const ratingId = parseInt(req.params.ratingId);
-    const adminId = req.user.id;
+    const adminId = req.user.userId;
 
     const result = await ratingService.deleteRating(ratingId, adminId);
 
@@ -267,7 +269,7 @@ router.delete('/:ratingId', [
     });
   } catch (error) {
     console.error('Erreur lors de la suppression de l\'évaluation:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message || 'Erreur lors de la suppression de l\'évaluation'
     });
@@ -0,0 +1,150 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { auth, requireUserType } = require('../middleware/auth');
+const { RecipientService, RECIPIENT_RELATIONSHIPS, formatRecipient } = require('../services/recipientService');
+const { PHONE_COUNTRIES } = require('../services/phoneVerificationService');
+
+const router = express.Router();
+
+/**
+ * Routes du carnet d'adresses ChapChap
+ * Destinataires enregistrés par l'expéditeur, réutilisables d'un colis à l'autre
+ */
+
+router.use(auth, requireUserType(['sender', 'both']));
+
+// Validation d'un destinataire (champs facultatifs en modification)
+const recipientValidation = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    field(body('name')).isString().trim().isLength({ min: 2, max: 150 }).withMessage('Le nom doit contenir entre 2 et 150 caractères'),
+    field(body('phone')).isString().trim().notEmpty().withMessage('Le téléphone du destinataire est obligatoire'),
+    body('phoneCountry').optional().isIn(Object.keys(PHONE_COUNTRIES)).withMessage('Pays du numéro invalide'),
+    body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Email invalide').normalizeEmail(),
+    body('relationship').optional().isIn(Object.values(RECIPIENT_RELATIONSHIPS)).withMessage('Lien avec le destinataire invalide')
+  ];
+};
+
+// Répondre avec l'erreur d'un service (statusCode) ou une erreur interne
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Données invalides',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @route GET /api/recipients
+ * @desc Lister le carnet d'adresses de l'expéditeur
+ * @access Private (expéditeur)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const recipients = await RecipientService.listAddressBook(req.user.userId);
+
+    res.json({
+      success: true,
+      data: recipients
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération du carnet d\'adresses');
+  }
+});
+
+/**
+ * @route POST /api/recipients
+ * @desc Ajouter un destinataire au carnet d'adresses
+ * @access Private (expéditeur)
+ */
+router.post('/', recipientValidation(false), async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const recipient = await RecipientService.createRecipient(req.user.userId, { ...req.body, saved: true });
+
+    res.status(201).json({
+      success: true,
+      message: 'Destinataire ajouté au carnet d\'adresses',
+      data: formatRecipient(recipient)
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de l\'ajout du destinataire');
+  }
+});
+
+/**
+ * @route PUT /api/recipients/:recipientId
+ * @desc Modifier un destinataire (les colis qui le désignent suivent la modification)
+ * @access Private (expéditeur)
+ */
+router.put('/:recipientId', [
+  param('recipientId').isInt({ min: 1 }).withMessage('ID de destinataire invalide').toInt(),
+  ...recipientValidation(true)
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { name, phone, phoneCountry, email, relationship } = req.body;
+    const recipient = await RecipientService.updateRecipient(req.user.userId, req.params.recipientId, {
+      name, phone, phoneCountry, email, relationship
+    });
+
+    res.json({
+      success: true,
+      message: 'Destinataire mis à jour',
+      data: recipient
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la mise à jour du destinataire');
+  }
+});
+
+/**
+ * @route DELETE /api/recipients/:recipientId
+ * @desc Retirer un destinataire du carnet d'adresses (les colis existants le conservent)
+ * @access Private (expéditeur)
+ */
+router.delete('/:recipientId', [
+  param('recipientId').isInt({ min: 1 }).withMessage('ID de destinataire invalide').toInt()
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    await RecipientService.removeFromAddressBook(req.user.userId, req.params.recipientId);
+
+    res.json({
+      success: true,
+      message: 'Destinataire retiré du carnet d\'adresses'
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la suppression du destinataire');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { auth, requireUserType } = require('../middleware/auth');
+const { TripAlertService, ALERT_DELIVERIES } = require('../services/tripAlertService');
+const { CurrencyService } = require('../services/currencyService');
+const { CURRENCY_CODES } = require('../config/currencies');
+
+const router = express.Router();
+
+/**
+ * Routes des recherches enregistrées ChapChap
+ * L'expéditeur enregistre ses critères et reçoit une alerte quand un voyage convient
+ */
+
+router.use(auth, requireUserType(['sender', 'both']));
+
+// Validation d'une recherche (les critères sont facultatifs, null efface un critère en modification)
+const searchValidation = [
+  body('name').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('Le nom ne doit pas dépasser 100 caractères'),
+  body(['departureCountry', 'departureCity', 'destinationCountry', 'destinationCity'])
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Lieu invalide'),
+  body(['departureFrom', 'departureTo']).optional({ nullable: true }).isISO8601().withMessage('Date invalide'),
+  body('minWeight').optional({ nullable: true }).isFloat({ min: 0.1, max: 999 }).withMessage('Poids minimum invalide'),
+  body('maxPricePerKg').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Prix maximum invalide'),
+  body('currency').optional().toUpperCase().isIn(CURRENCY_CODES).withMessage('Devise invalide'),
+  body('delivery').optional().isIn(Object.values(ALERT_DELIVERIES)).withMessage('Mode d\'envoi des alertes invalide'),
+  body('isActive').optional().isBoolean().withMessage('isActive doit être un booléen').toBoolean()
+];
+
+const searchIdValidation = param('searchId').isInt({ min: 1 }).withMessage('ID de recherche invalide').toInt();
+
+// Répondre avec l'erreur d'un service (statusCode) ou une erreur interne
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Données invalides',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @route GET /api/saved-searches
+ * @desc Lister les recherches enregistrées de l'expéditeur
+ * @access Private (expéditeur)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const searches = await TripAlertService.listSearches(req.user.userId);
+
+    res.json({
+      success: true,
+      data: searches
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération des recherches enregistrées');
+  }
+});
+
+/**
+ * @route POST /api/saved-searches
+ * @desc Enregistrer une recherche (devise de l'utilisateur par défaut)
+ * @access Private (expéditeur)
+ */
+router.post('/', searchValidation, async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { search, currentMatches } = await TripAlertService.createSearch(req.user.userId, {
+      ...req.body,
+      currency: req.body.currency || CurrencyService.resolveViewerCurrency(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recherche enregistrée : vous serez prévenu des nouveaux voyages',
+      data: { ...search, currentMatches }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de l\'enregistrement de la recherche');
+  }
+});
+
+/**
+ * @route PUT /api/saved-searches/:searchId
+ * @desc Modifier une recherche enregistrée (critères, mode d'envoi, activation)
+ * @access Private (expéditeur)
+ */
+router.put('/:searchId', [searchIdValidation, ...searchValidation], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const {
+      name, departureCountry, departureCity, destinationCountry, destinationCity,
+      departureFrom, departureTo, minWeight, maxPricePerKg, currency, delivery, isActive
+    } = req.body;
+
+    const { search, currentMatches } = await TripAlertService.updateSearch(req.user.userId, req.params.searchId, {
+      name, departureCountry, departureCity, destinationCountry, destinationCity,
+      departureFrom, departureTo, minWeight, maxPricePerKg, currency, delivery, isActive
+    });
+
+    res.json({
+      success: true,
+      message: 'Recherche enregistrée mise à jour',
+      data: { ...search, currentMatches }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la mise à jour de la recherche');
+  }
+});
+
+/**
+ * @route DELETE /api/saved-searches/:searchId
+ * @desc Supprimer une recherche enregistrée et ses alertes
+ * @access Private (expéditeur)
+ */
+router.delete('/:searchId', [searchIdValidation], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    await TripAlertService.deleteSearch(req.user.userId, req.params.searchId);
+
+    res.json({
+      success: true,
+      message: 'Recherche enregistrée supprimée'
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la suppression de la recherche');
+  }
+});
+
+/**
+ * @route GET /api/saved-searches/:searchId/matches
+ * @desc Voyages signalés pour une recherche enregistrée
+ * @access Private (expéditeur)
+ */
+router.get('/:searchId/matches', [searchIdValidation], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const trips = await TripAlertService.getMatches(req.user.userId, req.params.searchId);
+
+    res.json({
+      success: true,
+      data: trips
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erreur lors de la récupération des voyages signalés');
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,16 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { auth } = require('../middleware/auth');
-const { TrackingService, PACKAGE_STATUS } = require('../services/trackingService');
+const { auth, requireVerifiedDocumentsForStatus } = require('../middleware/auth');
+const { TrackingService, PACKAGE_STATUS, DISPUTE_TYPES, DISPUTE_STATUS } = require('../services/trackingService');
+const { FINAL_STATUSES } = require('../services/packageLifecycleService');
 const fileService = require('../services/fileService');
+const {
+  uploadDisputeEvidence,
+  getEvidenceUploadError,
+  deleteEvidencePhotos,
+  getEvidencePath,
+  MAX_DISPUTE_EVIDENCE
+} = require('../services/uploadService');
 const path = require('path');
 
 const router = express.Router();
@@ -27,7 +35,12 @@ const updateStatusValidation = [
     .optional()
     .trim()
     .isLength({ max: 255 })
-    .withMessage('La localisation ne peut pas dépasser 255 caractères')
+    .withMessage('La localisation ne peut pas dépasser 255 caractères'),
+  body('acknowledgeRestrictions')
+    .optional()
+    .isBoolean()
+    .withMessage('La prise de connaissance des restrictions doit être un booléen')
+    .toBoolean()
 ];
 
 // Validation pour la création de litige
@@ -40,15 +53,75 @@ const createDisputeValidation = [
   body('description')
     .trim()
     .isLength({ min: 10, max: 1000 })
-    .withMessage('La description doit contenir entre 10 et 1000 caractères')
+    .withMessage('La description doit contenir entre 10 et 1000 caractères'),
+  body('type')
+    .optional()
+    .isIn(Object.values(DISPUTE_TYPES))
+    .withMessage('Type de litige invalide')
 ];
 
+// Photos de preuve d'un litige : une photo envoyée mais non enregistrée fait échouer la déclaration
+const disputeEvidenceUpload = (req, res, next) => {
+  uploadDisputeEvidence(req, res, (error) => {
+    if (error) {
+      const message = getEvidenceUploadError(error, MAX_DISPUTE_EVIDENCE);
+      return res.status(message ? 400 : 500).json({
+        success: false,
+        message: message || 'Erreur lors de l\'enregistrement des photos'
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * @route GET /api/tracking/public/:token
+ * @desc Suivre un colis depuis le lien envoyé au destinataire (sans compte)
+ * @access Public
+ */
+router.get('/public/:token', [
+  param('token').isString().isLength({ min: 20, max: 100 }).withMessage('Lien de suivi invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lien de suivi invalide',
+        errors: errors.array()
+      });
+    }
+
+    const tracking = await TrackingService.getPublicTracking(req.params.token);
+
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      success: true,
+      data: tracking
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Erreur lors du suivi public:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération du suivi'
+    });
+  }
+});
+
 /**
  * @route PUT /api/tracking/:packageId/status
  * @desc Mettre à jour le statut d'un colis
  * @access Private
  */
-router.put('/:packageId/status', updateStatusValidation, auth, async (req, res) => {
+router.put('/:packageId/status', updateStatusValidation, auth, requireVerifiedDocumentsForStatus([PACKAGE_STATUS.ACCEPTED]), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -60,7 +133,7 @@ router.put('/:packageId/status', updateStatusValidation, auth, async (req, res)
     }
 
     const { packageId } = req.params;
-    const { status, notes, location } = req.body;
+    const { status, notes, location, acknowledgeRestrictions } = req.body;
     const userId = req.user.userId;
 
     // Traiter l'upload de photo si présent
@@ -76,7 +149,7 @@ router.put('/:packageId/status', updateStatusValidation, auth, async (req, res)
       parseInt(packageId),
       status,
       userId,
-      { notes, location, photoPath }
+      { notes, location, photoPath, acknowledgeRestrictions: acknowledgeRestrictions === true }
     );
 
     res.json({
@@ -87,9 +160,11 @@ router.put('/:packageId/status', updateStatusValidation, auth, async (req, res)
 
   } catch (error) {
     console.error('Erreur lors de la mise à jour du statut:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
-      message: error.message || 'Erreur lors de la mise à jour du statut'
+      message: error.message || 'Erreur lors de la mise à jour du statut',
+      ...(error.code && { code: error.code }),
+      ...(error.restrictions && { restrictions: error.restrictions })
     });
   }
 });
@@ -142,10 +217,13 @@ router.get('/:packageId/history', [
  * @desc Déclarer un litige pour un colis
  * @access Private
  */
-router.post('/:packageId/dispute', createDisputeValidation, auth, async (req, res) => {
+router.post('/:packageId/dispute', auth, disputeEvidenceUpload, createDisputeValidation, async (req, res) => {
+  const files = req.files || [];
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      deleteEvidencePhotos(files);
       return res.status(400).json({
         success: false,
         message: 'Données invalides',
@@ -154,30 +232,20 @@ router.post('/:packageId/dispute', createDisputeValidation, auth, async (req, re
     }
 
     const { packageId } = req.params;
-    const { reason, description } = req.body;
+    const { reason, description, type } = req.body;
     const userId = req.user.userId;
 
-    // Traiter les photos de preuve si présentes
-    let evidencePhotos = [];
-    if (req.files && req.files.evidence) {
-      const files = Array.isArray(req.files.evidence) ? req.files.evidence : [req.files.evidence];
-      
-      for (const file of files) {
-        const uploadResult = await fileService.processDisputePhotoUpload(file);
-        if (uploadResult.success) {
-          evidencePhotos.push({
-            path: uploadResult.filePath,
-            originalName: uploadResult.originalName,
-            size: uploadResult.size
-          });
-        }
-      }
-    }
+    // Photos de preuve enregistrées par l'upload (champ "evidence")
+    const evidencePhotos = files.map(file => ({
+      path: getEvidencePath(file),
+      originalName: file.originalname,
+      size: file.size
+    }));
 
     const result = await TrackingService.createDispute(
       parseInt(packageId),
       userId,
-      { reason, description, evidencePhotos }
+      { reason, description, type, evidencePhotos }
     );
 
     res.json({
@@ -190,8 +258,9 @@ router.post('/:packageId/dispute', createDisputeValidation, auth, async (req, re
     });
 
   } catch (error) {
+    deleteEvidencePhotos(files);
     console.error('Erreur lors de la création du litige:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message || 'Erreur lors de la création du litige'
     });
@@ -310,7 +379,7 @@ router.get('/packages/active', [
       JOIN users u_sender ON p.sender_id = u_sender.id
       LEFT JOIN users u_traveler ON t.traveler_id = u_traveler.id
       WHERE (p.sender_id = $1 OR t.traveler_id = $1)
-        AND p.status NOT IN ('delivered', 'cancelled')
+        AND p.status <> ALL($4)
       ORDER BY p.updated_at DESC
       LIMIT $2 OFFSET $3
     `;
@@ -320,12 +389,12 @@ router.get('/packages/active', [
       FROM packages p
       JOIN trips t ON p.trip_id = t.id
       WHERE (p.sender_id = $1 OR t.traveler_id = $1)
-        AND p.status NOT IN ('delivered', 'cancelled')
+        AND p.status <> ALL($2)
     `;
 
     const [packagesResult, countResult] = await Promise.all([
-      require('../config/database').query(packagesQuery, [userId, limit, offset]),
-      require('../config/database').query(countQuery, [userId])
+      require('../config/database').query(packagesQuery, [userId, limit, offset, FINAL_STATUSES]),
+      require('../config/database').query(countQuery, [userId, FINAL_STATUSES])
     ]);
 
     const total = parseInt(countResult.rows[0].total);
@@ -361,7 +430,7 @@ router.get('/packages/active', [
  * @access Private
  */
 router.get('/disputes', [
-  query('status').optional().isIn(['open', 'investigating', 'resolved', 'closed']),
+  query('status').optional().isIn(Object.values(DISPUTE_STATUS)),
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
 ], auth, async (req, res) => {
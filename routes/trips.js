@@ -1,30 +1,76 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { auth, requireUserType } = require('../middleware/auth');
+const { auth, optionalAuth, requireUserType, requireVerifiedDocuments, requireTwoFactor } = require('../middleware/auth');
 const { searchTripsForSenders, findMatchingPackagesForTrip } = require('../services/searchService');
+const { FINAL_STATUSES } = require('../services/packageLifecycleService');
+const { CapacityService, HOLD_DURATION_MINUTES, formatCapacity } = require('../services/capacityService');
+const { CurrencyService } = require('../services/currencyService');
+const { CURRENCY_CODES, DEFAULT_CURRENCY, isSupportedCurrency } = require('../config/currencies');
+const { PACKAGE_CATEGORY_CODES, isPackageCategory } = require('../config/packageCategories');
+const { CustomsService, sendPdf } = require('../services/customsService');
+const {
+  ItineraryService,
+  TRIP_RECURRENCES,
+  MIN_TRIP_STOPS,
+  MAX_TRIP_STOPS,
+  formatStop
+} = require('../services/itineraryService');
+const { TripAlertService } = require('../services/tripAlertService');
 
 const router = express.Router();
 
-// Validation pour créer un voyage
+// Validation d'un itinéraire à étapes (départ, escales, destination)
+const stopsValidation = [
+  body('stops')
+    .optional()
+    .isArray({ min: MIN_TRIP_STOPS, max: MAX_TRIP_STOPS })
+    .withMessage(`L'itinéraire doit compter entre ${MIN_TRIP_STOPS} et ${MAX_TRIP_STOPS} étapes`),
+  body('stops.*.country')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Le pays de chaque étape est requis'),
+  body('stops.*.city')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('La ville de chaque étape est requise'),
+  body('stops.*.arrivalDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date d\'arrivée d\'étape invalide'),
+  body('stops.*.departureDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date de départ d\'étape invalide')
+];
+
+// Validation pour créer un voyage (voyage direct, ou itinéraire à étapes dans "stops")
 const createTripValidation = [
+  ...stopsValidation,
   body('departureCountry')
+    .if(body('stops').not().exists())
     .trim()
     .isLength({ min: 2 })
     .withMessage('Le pays de départ est requis'),
   body('departureCity')
+    .if(body('stops').not().exists())
     .trim()
     .isLength({ min: 2 })
     .withMessage('La ville de départ est requise'),
   body('destinationCountry')
+    .if(body('stops').not().exists())
     .trim()
     .isLength({ min: 2 })
     .withMessage('Le pays de destination est requis'),
   body('destinationCity')
+    .if(body('stops').not().exists())
     .trim()
     .isLength({ min: 2 })
     .withMessage('La ville de destination est requise'),
   body('departureDate')
+    .if(body('stops').not().exists())
     .isISO8601()
     .withMessage('Date de départ invalide'),
   body('arrivalDate')
@@ -34,9 +80,25 @@ const createTripValidation = [
   body('availableWeight')
     .isFloat({ min: 0.1, max: 50 })
     .withMessage('Le poids disponible doit être entre 0.1 et 50 kg'),
+  body('availableVolume')
+    .optional({ nullable: true })
+    .isFloat({ min: 1, max: 500 })
+    .withMessage('Le volume disponible doit être entre 1 et 500 litres'),
+  body('refusedCategories')
+    .optional()
+    .isArray()
+    .withMessage('Les catégories refusées doivent être une liste'),
+  body('refusedCategories.*')
+    .isIn(PACKAGE_CATEGORY_CODES)
+    .withMessage('Catégorie de colis invalide'),
   body('pricePerKg')
     .isFloat({ min: 0.01 })
-    .withMessage('Le prix par kg doit être supérieur à 0')
+    .withMessage('Le prix par kg doit être supérieur à 0'),
+  body('currency')
+    .optional()
+    .toUpperCase()
+    .isIn(CURRENCY_CODES)
+    .withMessage(`Devise invalide (${CURRENCY_CODES.join(', ')})`)
 ];
 
 // Validation pour la recherche de voyages
@@ -51,7 +113,7 @@ const searchTripsValidation = [
 ];
 
 // Créer un nouveau voyage
-router.post('/', auth, requireUserType(['traveler', 'both']), createTripValidation, async (req, res) => {
+router.post('/', auth, requireUserType(['traveler', 'both']), requireVerifiedDocuments, requireTwoFactor, createTripValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -62,53 +124,60 @@ router.post('/', auth, requireUserType(['traveler', 'both']), createTripValidati
     }
 
     const {
-      departureCountry,
-      departureCity,
-      destinationCountry,
-      destinationCity,
-      departureDate,
-      arrivalDate,
+      stops,
       availableWeight,
+      availableVolume = null,
+      refusedCategories = [],
       pricePerKg,
       description
     } = req.body;
 
     const travelerId = req.user.userId;
 
+    // Sans devise précisée, le voyage est tarifé dans la devise préférée du voyageur
+    const currency = req.body.currency ||
+      (isSupportedCurrency(req.user.preferred_currency) ? req.user.preferred_currency : DEFAULT_CURRENCY);
+
+    // Dates d'étapes cohérentes, arrivée à destination après le dernier départ
+    const itinerary = ItineraryService.normalizeStops(stops || ItineraryService.directStops(req.body));
+
     // Vérifier que la date de départ est dans le futur
     const today = new Date();
-    const depDate = new Date(departureDate);
+    const depDate = new Date(itinerary[0].departureDate);
     if (depDate <= today) {
       return res.status(400).json({
         error: 'La date de départ doit être dans le futur'
       });
     }
 
-    // Vérifier que la date d'arrivée est après la date de départ
-    if (arrivalDate) {
-      const arrDate = new Date(arrivalDate);
-      if (arrDate <= depDate) {
-        return res.status(400).json({
-          error: 'La date d\'arrivée doit être après la date de départ'
-        });
-      }
-    }
+    const client = await db.getClient();
+    let trip;
 
-    const result = await db.query(
-      `INSERT INTO trips (
-         traveler_id, departure_country, departure_city, destination_country, 
-         destination_city, departure_date, arrival_date, available_weight, 
-         price_per_kg, description
-       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-       RETURNING *`,
-      [
-        travelerId, departureCountry, departureCity, destinationCountry,
-        destinationCity, departureDate, arrivalDate, availableWeight,
-        pricePerKg, description
-      ]
-    );
+    try {
+      await client.query('BEGIN');
 
-    const trip = result.rows[0];
+      trip = await ItineraryService.createTrip(client, travelerId, {
+        stops: itinerary,
+        availableWeight,
+        availableVolume,
+        refusedCategories,
+        pricePerKg,
+        currency,
+        description
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Alertes des expéditeurs qui attendent ce trajet, sans retarder la réponse
+    TripAlertService.matchTrips({ tripIds: [trip.id] }).catch(error => {
+      console.error('⚠️ Erreur des alertes de voyage:', error.message);
+    });
 
     res.status(201).json({
       message: 'Voyage créé avec succès',
@@ -119,17 +188,31 @@ router.post('/', auth, requireUserType(['traveler', 'both']), createTripValidati
         departureCity: trip.departure_city,
         destinationCountry: trip.destination_country,
         destinationCity: trip.destination_city,
+        departureCountryCode: trip.departure_country_code,
+        departureCityId: trip.departure_city_id,
+        destinationCountryCode: trip.destination_country_code,
+        destinationCityId: trip.destination_city_id,
         departureDate: trip.departure_date,
         arrivalDate: trip.arrival_date,
-        availableWeight: parseFloat(trip.available_weight),
+        ...formatCapacity(trip),
+        refusedCategories: trip.refused_categories,
         pricePerKg: parseFloat(trip.price_per_kg),
+        currency: trip.currency,
         description: trip.description,
         status: trip.status,
+        stops: trip.stops.map(formatStop),
         createdAt: trip.created_at
       }
     });
 
   } catch (error) {
+    // Itinéraire incohérent
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
     console.error('Erreur lors de la création du voyage:', error);
     res.status(500).json({
       error: 'Erreur interne du serveur'
@@ -146,11 +229,14 @@ router.get('/search', [
   query('departure_date').optional().isISO8601(),
   query('arrival_date').optional().isISO8601(),
   query('min_weight').optional().isFloat({ min: 0 }),
+  query('min_volume').optional().isFloat({ min: 0 }),
+  query('category').optional().isIn(PACKAGE_CATEGORY_CODES).withMessage('Catégorie de colis invalide'),
   query('max_price_per_kg').optional().isFloat({ min: 0 }),
   query('proximity_radius').optional().isInt({ min: 1 }),
+  query('currency').optional().toUpperCase().isIn(CURRENCY_CODES).withMessage('Devise invalide'),
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
-], async (req, res) => {
+], optionalAuth, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -165,8 +251,11 @@ router.get('/search', [
       departureDate: req.query.departure_date,
       arrivalDate: req.query.arrival_date,
       minWeight: req.query.min_weight ? parseFloat(req.query.min_weight) : null,
+      minVolume: req.query.min_volume ? parseFloat(req.query.min_volume) : null,
+      category: req.query.category,
       maxPricePerKg: req.query.max_price_per_kg ? parseFloat(req.query.max_price_per_kg) : null,
       proximityRadius: req.query.proximity_radius ? parseInt(req.query.proximity_radius) : null,
+      currency: CurrencyService.resolveViewerCurrency(req),
       page: req.query.page || 1,
       limit: req.query.limit || 10
     };
@@ -213,6 +302,7 @@ router.get('/my-trips', auth, requireUserType(['traveler', 'both']), async (req,
     );
 
     const total = parseInt(countResult.rows[0].total);
+    const stopsByTrip = await ItineraryService.getStops(result.rows.map(trip => trip.id));
 
     const trips = result.rows.map(trip => ({
       id: trip.id,
@@ -220,12 +310,20 @@ router.get('/my-trips', auth, requireUserType(['traveler', 'both']), async (req,
       departureCity: trip.departure_city,
       destinationCountry: trip.destination_country,
       destinationCity: trip.destination_city,
+      departureCountryCode: trip.departure_country_code,
+      departureCityId: trip.departure_city_id,
+      destinationCountryCode: trip.destination_country_code,
+      destinationCityId: trip.destination_city_id,
       departureDate: trip.departure_date,
       arrivalDate: trip.arrival_date,
-      availableWeight: parseFloat(trip.available_weight),
+      ...formatCapacity(trip),
+      refusedCategories: trip.refused_categories,
       pricePerKg: parseFloat(trip.price_per_kg),
+      currency: trip.currency,
       description: trip.description,
       status: trip.status,
+      stops: stopsByTrip.get(trip.id),
+      templateId: trip.template_id,
       createdAt: trip.created_at,
       updatedAt: trip.updated_at
     }));
@@ -248,6 +346,179 @@ router.get('/my-trips', auth, requireUserType(['traveler', 'both']), async (req,
   }
 });
 
+// Validation des modèles de voyages récurrents (jours comptés depuis le départ)
+const templateValidation = [
+  body('stops.*.country')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Le pays de chaque étape est requis'),
+  body('stops.*.city')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('La ville de chaque étape est requise'),
+  body('stops.*.arrivalDay')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Jour d\'arrivée d\'étape invalide'),
+  body('stops.*.departureDay')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Jour de départ d\'étape invalide'),
+  body('endsOn')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date de fin invalide'),
+  body('availableWeight')
+    .optional()
+    .isFloat({ min: 0.1, max: 50 })
+    .withMessage('Le poids disponible doit être entre 0.1 et 50 kg'),
+  body('availableVolume')
+    .optional({ nullable: true })
+    .isFloat({ min: 1, max: 500 })
+    .withMessage('Le volume disponible doit être entre 1 et 500 litres'),
+  body('refusedCategories')
+    .optional()
+    .isArray()
+    .withMessage('Les catégories refusées doivent être une liste'),
+  body('refusedCategories.*')
+    .isIn(PACKAGE_CATEGORY_CODES)
+    .withMessage('Catégorie de colis invalide'),
+  body('pricePerKg')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Le prix par kg doit être supérieur à 0')
+];
+
+// Obtenir les modèles de voyages récurrents du voyageur
+router.get('/templates', auth, requireUserType(['traveler', 'both']), async (req, res) => {
+  try {
+    const templates = await ItineraryService.listTemplates(req.user.userId);
+
+    res.json({ templates });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des modèles de voyage:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Créer un modèle de voyage récurrent : les voyages à venir sont générés selon la fréquence
+router.post('/templates', auth, requireUserType(['traveler', 'both']), requireVerifiedDocuments, requireTwoFactor, [
+  body('stops')
+    .isArray({ min: MIN_TRIP_STOPS, max: MAX_TRIP_STOPS })
+    .withMessage(`L'itinéraire doit compter entre ${MIN_TRIP_STOPS} et ${MAX_TRIP_STOPS} étapes`),
+  body('recurrence')
+    .isIn(Object.values(TRIP_RECURRENCES))
+    .withMessage(`Fréquence invalide (${Object.values(TRIP_RECURRENCES).join(', ')})`),
+  body('startsOn')
+    .isISO8601()
+    .withMessage('Date du premier départ invalide'),
+  body('availableWeight')
+    .exists()
+    .withMessage('Le poids disponible est requis'),
+  body('pricePerKg')
+    .exists()
+    .withMessage('Le prix par kg est requis'),
+  body('currency')
+    .optional()
+    .toUpperCase()
+    .isIn(CURRENCY_CODES)
+    .withMessage(`Devise invalide (${CURRENCY_CODES.join(', ')})`),
+  ...templateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const currency = req.body.currency ||
+      (isSupportedCurrency(req.user.preferred_currency) ? req.user.preferred_currency : DEFAULT_CURRENCY);
+
+    const result = await ItineraryService.createTemplate(req.user.userId, {
+      stops: req.body.stops,
+      recurrence: req.body.recurrence,
+      startsOn: req.body.startsOn,
+      endsOn: req.body.endsOn,
+      availableWeight: parseFloat(req.body.availableWeight),
+      availableVolume: req.body.availableVolume ? parseFloat(req.body.availableVolume) : null,
+      refusedCategories: req.body.refusedCategories || [],
+      pricePerKg: parseFloat(req.body.pricePerKg),
+      currency,
+      description: req.body.description
+    });
+
+    res.status(201).json({
+      message: `Modèle de voyage créé : ${result.generatedTrips.length} voyage(s) généré(s)`,
+      template: result.template,
+      generatedTripIds: result.generatedTrips.map(trip => trip.id)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Erreur lors de la création du modèle de voyage:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Modifier ou suspendre un modèle de voyage récurrent (les voyages déjà générés ne changent pas)
+router.patch('/templates/:templateId', auth, requireUserType(['traveler', 'both']), [
+  param('templateId').isInt({ min: 1 }).withMessage('ID de modèle invalide').toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive doit être un booléen').toBoolean(),
+  ...templateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const template = await ItineraryService.updateTemplate(req.user.userId, req.params.templateId, {
+      endsOn: req.body.endsOn,
+      availableWeight: req.body.availableWeight,
+      availableVolume: req.body.availableVolume,
+      refusedCategories: req.body.refusedCategories,
+      pricePerKg: req.body.pricePerKg,
+      description: req.body.description,
+      isActive: req.body.isActive
+    });
+
+    res.json({
+      message: 'Modèle de voyage mis à jour',
+      template
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Erreur lors de la mise à jour du modèle de voyage:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // Obtenir un voyage spécifique
 router.get('/:tripId', async (req, res) => {
   try {
@@ -275,6 +546,7 @@ router.get('/:tripId', async (req, res) => {
     }
 
     const trip = result.rows[0];
+    const stopsByTrip = await ItineraryService.getStops([trip.id]);
 
     res.json({
       trip: {
@@ -292,12 +564,20 @@ router.get('/:tripId', async (req, res) => {
         departureCity: trip.departure_city,
         destinationCountry: trip.destination_country,
         destinationCity: trip.destination_city,
+        departureCountryCode: trip.departure_country_code,
+        departureCityId: trip.departure_city_id,
+        destinationCountryCode: trip.destination_country_code,
+        destinationCityId: trip.destination_city_id,
         departureDate: trip.departure_date,
         arrivalDate: trip.arrival_date,
-        availableWeight: parseFloat(trip.available_weight),
+        ...formatCapacity(trip),
+        refusedCategories: trip.refused_categories,
         pricePerKg: parseFloat(trip.price_per_kg),
+        currency: trip.currency,
         description: trip.description,
         status: trip.status,
+        stops: stopsByTrip.get(trip.id),
+        templateId: trip.template_id,
         createdAt: trip.created_at
       }
     });
@@ -310,6 +590,89 @@ router.get('/:tripId', async (req, res) => {
   }
 });
 
+// Bloquer des kilos le temps de compléter une demande de transport
+router.post('/:tripId/holds', auth, requireUserType(['sender', 'both']), [
+  param('tripId').isInt({ min: 1 }).withMessage('ID de voyage invalide').toInt(),
+  body('weight').isFloat({ min: 0.1, max: 50 }).withMessage('Le poids doit être entre 0.1 et 50 kg').toFloat(),
+  body('volume').optional().isFloat({ min: 0, max: 500 }).withMessage('Le volume doit être entre 0 et 500 litres').toFloat(),
+  // Tronçon d'un voyage à étapes (voyage entier par défaut)
+  body(['originStopId', 'destinationStopId'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Étape du voyage invalide')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const result = await CapacityService.createHold(req.params.tripId, req.user.userId, {
+      weight: req.body.weight,
+      volume: req.body.volume || 0,
+      originStopId: req.body.originStopId,
+      destinationStopId: req.body.destinationStopId
+    });
+
+    res.status(201).json({
+      message: `Capacité réservée pendant ${HOLD_DURATION_MINUTES} minutes`,
+      hold: result.hold,
+      availableWeight: result.availableWeight,
+      availableVolume: result.availableVolume
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Erreur lors de la réservation temporaire:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Abandonner une réservation temporaire
+router.delete('/:tripId/holds/:holdId', auth, [
+  param('tripId').isInt({ min: 1 }).withMessage('ID de voyage invalide').toInt(),
+  param('holdId').isInt({ min: 1 }).withMessage('ID de réservation invalide').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    await CapacityService.releaseHold(req.params.tripId, req.params.holdId, req.user.userId);
+
+    res.json({
+      message: 'Réservation temporaire libérée'
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Erreur lors de la libération de la réservation:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // Mettre à jour un voyage
 router.put('/:tripId', auth, requireUserType(['traveler', 'both']), async (req, res) => {
   try {
@@ -335,6 +698,7 @@ router.put('/:tripId', auth, requireUserType(['traveler', 'both']), async (req,
     }
 
     const {
+      stops,
       departureCountry,
       departureCity,
       destinationCountry,
@@ -342,11 +706,32 @@ router.put('/:tripId', auth, requireUserType(['traveler', 'both']), async (req,
       departureDate,
       arrivalDate,
       availableWeight,
+      availableVolume,
+      refusedCategories,
       pricePerKg,
+      currency,
       description,
       status
     } = req.body;
 
+    // Un itinéraire à étapes se modifie d'un bloc, par "stops"
+    const endpointsChanged = [departureCountry, departureCity, destinationCountry, destinationCity, departureDate, arrivalDate]
+      .some(value => value !== undefined);
+    const currentStops = (await ItineraryService.getStops([parseInt(tripId)])).get(parseInt(tripId));
+
+    if (endpointsChanged && (stops !== undefined || currentStops.length > 2)) {
+      return res.status(400).json({
+        error: 'Modifiez l\'itinéraire de ce voyage avec la liste des étapes (stops)'
+      });
+    }
+
+    const itinerary = stops !== undefined ? ItineraryService.normalizeStops(stops) : null;
+    if (itinerary && new Date(itinerary[0].departureDate) <= new Date()) {
+      return res.status(400).json({
+        error: 'La date de départ doit être dans le futur'
+      });
+    }
+
     // Construire la requête de mise à jour
     const updates = [];
     const values = [];
@@ -388,18 +773,51 @@ router.put('/:tripId', auth, requireUserType(['traveler', 'both']), async (req,
       paramCount++;
     }
 
-    if (availableWeight !== undefined) {
-      updates.push(`available_weight = $${paramCount}`);
-      values.push(availableWeight);
-      paramCount++;
-    }
-
     if (pricePerKg !== undefined) {
       updates.push(`price_per_kg = $${paramCount}`);
       values.push(pricePerKg);
       paramCount++;
     }
 
+    if (currency !== undefined) {
+      const normalizedCurrency = String(currency).toUpperCase();
+
+      if (!isSupportedCurrency(normalizedCurrency)) {
+        return res.status(400).json({
+          error: `Devise invalide (${CURRENCY_CODES.join(', ')})`
+        });
+      }
+
+      // Les colis déjà demandés gardent le prix convenu : la devise est alors figée
+      const packagesCheck = await db.query(
+        'SELECT 1 FROM packages WHERE trip_id = $1 LIMIT 1',
+        [tripId]
+      );
+
+      if (packagesCheck.rows.length > 0) {
+        return res.status(400).json({
+          error: 'La devise ne peut plus être modifiée : des colis ont déjà été demandés sur ce voyage'
+        });
+      }
+
+      updates.push(`currency = $${paramCount}`);
+      values.push(normalizedCurrency);
+      paramCount++;
+    }
+
+    if (refusedCategories !== undefined) {
+      if (!Array.isArray(refusedCategories) || !refusedCategories.every(isPackageCategory)) {
+        return res.status(400).json({
+          error: `Catégories refusées invalides (${PACKAGE_CATEGORY_CODES.join(', ')})`
+        });
+      }
+
+      // Les colis déjà demandés restent acquis ; seules les nouvelles demandes sont filtrées
+      updates.push(`refused_categories = $${paramCount}`);
+      values.push([...new Set(refusedCategories)]);
+      paramCount++;
+    }
+
     if (description !== undefined) {
       updates.push(`description = $${paramCount}`);
       values.push(description);
@@ -412,12 +830,24 @@ router.put('/:tripId', auth, requireUserType(['traveler', 'both']), async (req,
       paramCount++;
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && availableWeight === undefined && availableVolume === undefined && !itinerary) {
       return res.status(400).json({
         error: 'Aucune donnée à mettre à jour'
       });
     }
 
+    if (availableWeight !== undefined && !(parseFloat(availableWeight) >= 0.1 && parseFloat(availableWeight) <= 50)) {
+      return res.status(400).json({
+        error: 'Le poids disponible doit être entre 0.1 et 50 kg'
+      });
+    }
+
+    if (availableVolume !== undefined && !(parseFloat(availableVolume) >= 1 && parseFloat(availableVolume) <= 500)) {
+      return res.status(400).json({
+        error: 'Le volume disponible doit être entre 1 et 500 litres'
+      });
+    }
+
     updates.push(`updated_at = CURRENT_TIMESTAMP`);
     values.push(tripId);
 
@@ -428,8 +858,61 @@ router.put('/:tripId', auth, requireUserType(['traveler', 'both']), async (req,
       RETURNING *
     `;
 
-    const result = await db.query(updateQuery, values);
-    const trip = result.rows[0];
+    const client = await db.getClient();
+    let trip;
+
+    try {
+      await client.query('BEGIN');
+
+      // Annulation : comme pour la suppression, les colis en cours doivent d'abord être terminés
+      // (leur paiement, leur réservation et l'expéditeur en dépendent) ; les blocages sont libérés
+      if (status === 'cancelled') {
+        await client.query('SELECT id FROM trips WHERE id = $1 FOR UPDATE', [tripId]);
+
+        const packagesCheck = await client.query(
+          'SELECT COUNT(*) as count FROM packages WHERE trip_id = $1 AND status <> ALL($2)',
+          [tripId, FINAL_STATUSES]
+        );
+
+        if (parseInt(packagesCheck.rows[0].count) > 0) {
+          const error = new Error('Impossible d\'annuler un voyage avec des colis en cours');
+          error.statusCode = 400;
+          throw error;
+        }
+
+        await CapacityService.releaseTripHolds(client, tripId);
+      }
+
+      // Le poids et le volume saisis sont la capacité totale : ce qui est déjà réservé reste acquis
+      if (availableWeight !== undefined || availableVolume !== undefined) {
+        await CapacityService.resizeTrip(client, tripId, {
+          totalWeight: availableWeight !== undefined ? parseFloat(availableWeight) : null,
+          totalVolume: availableVolume !== undefined ? parseFloat(availableVolume) : null
+        });
+      }
+
+      // Les blocages en cours portent sur les anciennes étapes
+      if (itinerary) {
+        await CapacityService.releaseTripHolds(client, tripId);
+        await ItineraryService.replaceStops(client, tripId, itinerary);
+      }
+
+      const result = await client.query(updateQuery, values);
+      trip = result.rows[0];
+
+      if (endpointsChanged) {
+        await ItineraryService.syncDirectStops(client, trip);
+      }
+
+      trip.stops = (await ItineraryService.getStops([trip.id], client)).get(trip.id);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     res.json({
       message: 'Voyage mis à jour avec succès',
@@ -439,17 +922,31 @@ router.put('/:tripId', auth, requireUserType(['traveler', 'both']), async (req,
         departureCity: trip.departure_city,
         destinationCountry: trip.destination_country,
         destinationCity: trip.destination_city,
+        departureCountryCode: trip.departure_country_code,
+        departureCityId: trip.departure_city_id,
+        destinationCountryCode: trip.destination_country_code,
+        destinationCityId: trip.destination_city_id,
         departureDate: trip.departure_date,
         arrivalDate: trip.arrival_date,
-        availableWeight: parseFloat(trip.available_weight),
+        ...formatCapacity(trip),
+        refusedCategories: trip.refused_categories,
         pricePerKg: parseFloat(trip.price_per_kg),
+        currency: trip.currency,
         description: trip.description,
         status: trip.status,
+        stops: trip.stops,
         updatedAt: trip.updated_at
       }
     });
 
   } catch (error) {
+    // Capacité inférieure aux kilos déjà réservés, itinéraire incohérent ou colis en cours
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
     console.error('Erreur lors de la mise à jour du voyage:', error);
     res.status(500).json({
       error: 'Erreur interne du serveur'
@@ -477,8 +974,8 @@ router.delete('/:tripId', auth, requireUserType(['traveler', 'both']), async (re
 
     // Vérifier qu'il n'y a pas de colis associés
     const packagesCheck = await db.query(
-      'SELECT COUNT(*) as count FROM packages WHERE trip_id = $1 AND status NOT IN ($2, $3)',
-      [tripId, 'cancelled', 'delivered']
+      'SELECT COUNT(*) as count FROM packages WHERE trip_id = $1 AND status <> ALL($2)',
+      [tripId, FINAL_STATUSES]
     );
 
     if (parseInt(packagesCheck.rows[0].count) > 0) {
@@ -499,6 +996,43 @@ router.delete('/:tripId', auth, requireUserType(['traveler', 'both']), async (re
   }
 });
 
+// Obtenir le manifeste consolidé des colis du voyage (PDF, ou JSON avec ?format=json)
+router.get('/:tripId/manifest', auth, requireUserType(['traveler', 'both']), [
+  param('tripId').isInt({ min: 1 }).withMessage('ID de voyage invalide').toInt(),
+  query('format').optional().isIn(['pdf', 'json']).withMessage('Format invalide (pdf ou json)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const manifest = await CustomsService.getManifest(req.params.tripId, req.user.userId);
+
+    if (req.query.format === 'json') {
+      return res.json({ manifest });
+    }
+
+    const pdf = await CustomsService.renderManifestPdf(manifest);
+    sendPdf(res, pdf, `manifeste-voyage-${manifest.trip.id}.pdf`);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Erreur lors de la génération du manifeste:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // Obtenir les colis compatibles avec un voyage (pour les voyageurs)
 router.get('/:id/matching-packages', auth, async (req, res) => {
   try {
@@ -521,6 +1055,7 @@ router.get('/:id/matching-packages', auth, async (req, res) => {
     }
 
     const matchingPackages = await findMatchingPackagesForTrip(tripId, userId);
+    const stopsByTrip = await ItineraryService.getStops([tripId]);
 
     res.json({
       trip: {
@@ -539,9 +1074,11 @@ router.get('/:id/matching-packages', auth, async (req, res) => {
           departureDate: trip.departure_date,
           arrivalDate: trip.arrival_date
         },
+        stops: stopsByTrip.get(tripId),
         capacity: {
-          availableWeight: parseFloat(trip.available_weight),
-          pricePerKg: parseFloat(trip.price_per_kg)
+          ...formatCapacity(trip),
+          pricePerKg: parseFloat(trip.price_per_kg),
+          currency: trip.currency
         }
       },
       matchingPackages,
@@ -3,6 +3,8 @@ const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const db = require('../config/database');
 const { auth, requireVerified } = require('../middleware/auth');
+const { PhoneVerificationService, normalizePhoneNumber } = require('../services/phoneVerificationService');
+const { CURRENCY_CODES } = require('../config/currencies');
 
 const router = express.Router();
 
@@ -20,12 +22,18 @@ const updateProfileValidation = [
     .withMessage('Le nom doit contenir au moins 2 caractères'),
   body('phone')
     .optional()
-    .isMobilePhone()
-    .withMessage('Numéro de téléphone invalide'),
+    .custom((value, { req }) => Boolean(normalizePhoneNumber(value, req.body.phoneCountry)))
+    .withMessage('Numéro de téléphone invalide')
+    .customSanitizer((value, { req }) => normalizePhoneNumber(value, req.body.phoneCountry)),
   body('userType')
     .optional()
     .isIn(['traveler', 'sender', 'both'])
-    .withMessage('Type d\'utilisateur invalide')
+    .withMessage('Type d\'utilisateur invalide'),
+  body('preferredCurrency')
+    .optional({ values: 'null' })
+    .toUpperCase()
+    .isIn(CURRENCY_CODES)
+    .withMessage(`Devise invalide (${CURRENCY_CODES.join(', ')})`)
 ];
 
 // Validation pour le changement de mot de passe
@@ -42,8 +50,8 @@ const changePasswordValidation = [
 router.get('/profile', auth, async (req, res) => {
   try {
     const result = await db.query(
-      `SELECT id, email, first_name, last_name, phone, profile_picture, 
-              user_type, is_verified, rating, total_ratings, created_at
+      `SELECT id, email, first_name, last_name, phone, phone_verified_at, profile_picture, 
+              user_type, is_verified, rating, total_ratings, preferred_currency, created_at
        FROM users WHERE id = $1`,
       [req.user.userId]
     );
@@ -63,11 +71,13 @@ router.get('/profile', auth, async (req, res) => {
         firstName: user.first_name,
         lastName: user.last_name,
         phone: user.phone,
+        phoneVerified: Boolean(user.phone_verified_at),
         profilePicture: user.profile_picture,
         userType: user.user_type,
         isVerified: user.is_verified,
         rating: parseFloat(user.rating),
         totalRatings: user.total_ratings,
+        preferredCurrency: user.preferred_currency,
         createdAt: user.created_at
       }
     });
@@ -132,7 +142,7 @@ router.put('/profile', auth, updateProfileValidation, async (req, res) => {
       });
     }
 
-    const { firstName, lastName, phone, userType, profilePicture } = req.body;
+    const { firstName, lastName, phone, userType, profilePicture, preferredCurrency } = req.body;
     const userId = req.user.userId;
 
     // Construire la requête de mise à jour dynamiquement
@@ -153,6 +163,8 @@ router.put('/profile', auth, updateProfileValidation, async (req, res) => {
     }
 
     if (phone !== undefined) {
+      // Un nouveau numéro doit être vérifié à nouveau
+      updates.push(`phone_verified_at = CASE WHEN phone IS DISTINCT FROM $${paramCount} THEN NULL ELSE phone_verified_at END`);
       updates.push(`phone = $${paramCount}`);
       values.push(phone);
       paramCount++;
@@ -170,6 +182,12 @@ router.put('/profile', auth, updateProfileValidation, async (req, res) => {
       paramCount++;
     }
 
+    if (preferredCurrency !== undefined) {
+      updates.push(`preferred_currency = $${paramCount}`);
+      values.push(preferredCurrency);
+      paramCount++;
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({
         error: 'Aucune donnée à mettre à jour'
@@ -183,12 +201,16 @@ router.put('/profile', auth, updateProfileValidation, async (req, res) => {
       UPDATE users 
       SET ${updates.join(', ')}
       WHERE id = $${paramCount}
-      RETURNING id, email, first_name, last_name, phone, profile_picture, user_type, is_verified, rating
+      RETURNING id, email, first_name, last_name, phone, phone_verified_at, profile_picture, user_type, is_verified, rating, preferred_currency
     `;
 
     const result = await db.query(query, values);
     const user = result.rows[0];
 
+    if (phone !== undefined && !user.phone_verified_at) {
+      await PhoneVerificationService.invalidatePendingCodes(userId);
+    }
+
     res.json({
       message: 'Profil mis à jour avec succès',
       user: {
@@ -197,10 +219,12 @@ router.put('/profile', auth, updateProfileValidation, async (req, res) => {
         firstName: user.first_name,
         lastName: user.last_name,
         phone: user.phone,
+        phoneVerified: Boolean(user.phone_verified_at),
         profilePicture: user.profile_picture,
         userType: user.user_type,
         isVerified: user.is_verified,
-        rating: parseFloat(user.rating)
+        rating: parseFloat(user.rating),
+        preferredCurrency: user.preferred_currency
       }
     });
 
@@ -212,6 +236,70 @@ router.put('/profile', auth, updateProfileValidation, async (req, res) => {
   }
 });
 
+// Envoyer un code de vérification par SMS au numéro du profil
+router.post('/phone/send-code', auth, async (req, res) => {
+  try {
+    const result = await PhoneVerificationService.sendCode(req.user.userId);
+
+    res.json({
+      message: 'Code de vérification envoyé par SMS',
+      ...result
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter
+      });
+    }
+
+    console.error('Erreur lors de l\'envoi du code SMS:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Vérifier le numéro de téléphone avec le code reçu
+router.post('/phone/verify', auth, [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Le code doit contenir 6 chiffres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const result = await PhoneVerificationService.verifyCode(req.user.userId, req.body.code);
+
+    res.json({
+      message: 'Numéro de téléphone vérifié avec succès',
+      ...result
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Erreur lors de la vérification du téléphone:', error);
+    res.status(500).json({
+      error: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // Changer le mot de passe
 router.put('/password', auth, changePasswordValidation, async (req, res) => {
   try {
@@ -290,8 +378,8 @@ router.get('/stats', auth, async (req, res) => {
     const packagesStats = await db.query(
       `SELECT 
          COUNT(*) as total_packages,
-         COUNT(CASE WHEN status = 'delivered' THEN 1 END) as delivered_packages,
-         COUNT(CASE WHEN status IN ('pending', 'accepted', 'in_transit') THEN 1 END) as active_packages
+         COUNT(CASE WHEN status IN ('delivered', 'confirmed') THEN 1 END) as delivered_packages,
+         COUNT(CASE WHEN status IN ('pending', 'accepted', 'picked_up', 'in_transit', 'arrived') THEN 1 END) as active_packages
        FROM packages WHERE sender_id = $1`,
       [userId]
     );
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
-const auth = require('../middleware/auth');
+const { auth, requireVerifiedDocumentsForStatus } = require('../middleware/auth');
 const visualTrackingService = require('../services/visualTrackingService');
+const { PACKAGE_STATUS, STATUS_MESSAGES } = require('../services/packageLifecycleService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -48,6 +49,7 @@ const upload = multer({
 router.post('/packages/:packageId/steps', [
   auth,
   upload.single('photo'),
+  requireVerifiedDocumentsForStatus([PACKAGE_STATUS.ACCEPTED]),
   param('packageId').isInt().withMessage('ID de colis invalide'),
   body('status').notEmpty().withMessage('Statut requis'),
   body('description').isLength({ min: 5, max: 500 }).withMessage('Description entre 5 et 500 caractères'),
@@ -65,7 +67,7 @@ router.post('/packages/:packageId/steps', [
 
     const packageId = parseInt(req.params.packageId);
     const { status, description, location } = req.body;
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const photoUrl = req.file ? `/uploads/tracking/${req.file.filename}` : null;
 
     const result = await visualTrackingService.createTrackingStep(
@@ -75,7 +77,7 @@ router.post('/packages/:packageId/steps', [
     res.status(201).json(result);
   } catch (error) {
     console.error('Erreur lors de la création de l\'étape de suivi:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Erreur serveur lors de la création de l\'étape'
     });
@@ -102,7 +104,7 @@ router.get('/packages/:packageId/timeline', [
     }
 
     const packageId = parseInt(req.params.packageId);
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     const result = await visualTrackingService.getPackageTimeline(packageId, userId);
 
@@ -136,7 +138,7 @@ router.get('/packages/:packageId/photos', [
     }
 
     const packageId = parseInt(req.params.packageId);
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     const result = await visualTrackingService.getPackagePhotos(packageId, userId);
 
@@ -169,7 +171,7 @@ router.get('/recent-steps', [
       });
     }
 
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const limit = parseInt(req.query.limit) || 10;
 
     const result = await visualTrackingService.getRecentTrackingSteps(userId, limit);
@@ -207,7 +209,7 @@ router.put('/steps/:stepId', [
     }
 
     const stepId = parseInt(req.params.stepId);
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const updates = {};
 
     // Ajouter les champs à mettre à jour
@@ -247,7 +249,7 @@ router.delete('/steps/:stepId', [
     }
 
     const stepId = parseInt(req.params.stepId);
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     const result = await visualTrackingService.deleteTrackingStep(stepId, userId);
 
@@ -283,7 +285,7 @@ router.get('/packages/:packageId/status/:status', [
 
     const packageId = parseInt(req.params.packageId);
     const status = req.params.status;
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     const result = await visualTrackingService.getTrackingStepsByStatus(packageId, status, userId);
 
@@ -316,7 +318,7 @@ router.get('/stats', [
       });
     }
 
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const period = req.query.period || '30d';
 
     const result = await visualTrackingService.getTrackingStats(userId, period);
@@ -351,7 +353,7 @@ router.get('/packages/:packageId/progress', [
     }
 
     const packageId = parseInt(req.params.packageId);
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     // Récupérer les informations du colis
     const db = require('../config/database');
@@ -409,8 +411,9 @@ router.get('/packages/:packageId/progress', [
 router.post('/packages/:packageId/quick-update', [
   auth,
   upload.single('photo'),
+  requireVerifiedDocumentsForStatus([PACKAGE_STATUS.ACCEPTED]),
   param('packageId').isInt().withMessage('ID de colis invalide'),
-  body('status').notEmpty().withMessage('Statut requis'),
+  body('status').isIn(Object.values(PACKAGE_STATUS)).withMessage('Statut invalide'),
   body('description').optional().isLength({ min: 5, max: 500 }).withMessage('Description entre 5 et 500 caractères')
 ], async (req, res) => {
   try {
@@ -425,18 +428,11 @@ router.post('/packages/:packageId/quick-update', [
 
     const packageId = parseInt(req.params.packageId);
     const { status } = req.body;
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const photoUrl = req.file ? `/uploads/tracking/${req.file.filename}` : null;
     
-    // Descriptions par défaut selon le statut
-    const defaultDescriptions = {
-      'picked_up': 'Colis récupéré avec succès',
-      'in_transit': 'Colis en cours de transport',
-      'delivered': 'Colis livré à destination',
-      'confirmed': 'Livraison confirmée par le destinataire'
-    };
-    
-    const description = req.body.description || defaultDescriptions[status] || `Statut mis à jour: ${status}`;
+    // Description par défaut selon le statut
+    const description = req.body.description || STATUS_MESSAGES[status].description;
 
     const result = await visualTrackingService.createTrackingStep(
       packageId, status, description, null, photoUrl, userId
@@ -449,7 +445,7 @@ router.post('/packages/:packageId/quick-update', [
     });
   } catch (error) {
     console.error('Erreur lors de la mise à jour rapide:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Erreur serveur lors de la mise à jour'
     });
@@ -1,38 +1,61 @@
 const db = require('../config/database');
+const { migrateUp, migrateDown, getMigrationStatus } = require('../config/migrations');
+
+// Script de migration de la base de données
+// Usage : node scripts/init-db.js [up|down|status] [nombre d'étapes pour down]
+const COMMANDS = ['up', 'down', 'status'];
+
+const printStatus = (migrations) => {
+  console.log('\n📋 État des migrations:');
+  migrations.forEach(migration => {
+    const state = migration.applied ? '✅ appliquée ' : '⏳ en attente';
+    const appliedAt = migration.appliedAt ? ` (${new Date(migration.appliedAt).toISOString()})` : '';
+    const missing = migration.missing ? ' ⚠️ fichier manquant' : '';
+    console.log(`   ${state}  ${String(migration.version).padStart(3, '0')}_${migration.name}${appliedAt}${missing}`);
+  });
+};
+
+const runMigrations = async () => {
+  const command = process.argv[2] || 'up';
+  let exitCode = 0;
 
-// Script d'initialisation de la base de données
-const initializeDatabase = async () => {
   try {
-    console.log('🔧 Début de l\'initialisation de la base de données...');
-    
+    if (!COMMANDS.includes(command)) {
+      throw new Error(`Commande inconnue "${command}". Utilisez: ${COMMANDS.join(', ')}`);
+    }
+
     // Test de connexion
     await db.testConnection();
-    
-    // Initialisation des tables
-    await db.initializeTables();
-    
-    console.log('✅ Base de données initialisée avec succès!');
-    console.log('\n📋 Tables créées:');
-    console.log('   - users (utilisateurs)');
-    console.log('   - trips (voyages)');
-    console.log('   - packages (colis)');
-    console.log('   - messages (messagerie)');
-    console.log('   - ratings (évaluations)');
-    
-    console.log('\n🚀 Vous pouvez maintenant démarrer le serveur avec: npm run dev');
-    
+
+    if (command === 'up') {
+      console.log('🔧 Application des migrations en attente...');
+      const applied = await migrateUp();
+      console.log(applied.length > 0
+        ? `✅ ${applied.length} migration(s) appliquée(s)`
+        : '✅ Base de données déjà à jour');
+      console.log('\n🚀 Vous pouvez maintenant démarrer le serveur avec: npm run dev');
+    } else if (command === 'down') {
+      const steps = parseInt(process.argv[3], 10) || 1;
+      console.log(`🔧 Annulation de ${steps} migration(s)...`);
+      const reverted = await migrateDown({ steps });
+      console.log(`✅ ${reverted.length} migration(s) annulée(s)`);
+    } else {
+      printStatus(await getMigrationStatus());
+    }
+
   } catch (error) {
-    console.error('❌ Erreur lors de l\'initialisation:', error.message);
+    console.error('❌ Erreur lors de la migration:', error.message);
     console.error('\n💡 Assurez-vous que:');
     console.error('   - PostgreSQL est installé et en cours d\'exécution');
     console.error('   - La base de données "chapchap_db" existe');
     console.error('   - Les paramètres de connexion dans .env sont corrects');
-    process.exit(1);
+    exitCode = 1;
   } finally {
     // Fermer la connexion
-    process.exit(0);
+    await db.pool.end();
+    process.exit(exitCode);
   }
 };
 
-// Exécuter l'initialisation
-initializeDatabase();
\ No newline at end of file
+// Exécuter la commande demandée
+runMigrations();
@@ -0,0 +1,34 @@
+const db = require('../config/database');
+const { ROLES } = require('../config/permissions');
+
+// Attribuer un rôle d'équipe depuis le serveur (création du premier administrateur)
+// Usage : node scripts/set-role.js <email> <user|support|moderator|admin>
+const setRole = async () => {
+  const [email, role] = process.argv.slice(2);
+  let exitCode = 0;
+
+  try {
+    if (!email || !Object.values(ROLES).includes(role)) {
+      throw new Error(`Usage: node scripts/set-role.js <email> <${Object.values(ROLES).join('|')}>`);
+    }
+
+    const result = await db.query(
+      'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE email = $2 RETURNING id',
+      [role, email]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Aucun utilisateur avec l'email ${email}`);
+    }
+
+    console.log(`✅ ${email} a maintenant le rôle "${role}"`);
+  } catch (error) {
+    console.error('❌ Erreur:', error.message);
+    exitCode = 1;
+  } finally {
+    await db.pool.end();
+    process.exit(exitCode);
+  }
+};
+
+setRole();
@@ -0,0 +1,45 @@
+const { createApp } = require('./app');
+const { DocumentExpiryService } = require('./services/documentExpiryService');
+const { SessionService } = require('./services/sessionService');
+const { PaymentService } = require('./services/paymentService');
+const { DisputeService } = require('./services/disputeService');
+const { CapacityService } = require('./services/capacityService');
+const { PackageLifecycleService } = require('./services/packageLifecycleService');
+const { ItineraryService } = require('./services/itineraryService');
+const { TripAlertService } = require('./services/tripAlertService');
+const { PackageRequestService } = require('./services/packageRequestService');
+
+// Point d'entrée : écoute sur le port configuré
+const PORT = process.env.PORT || 3000;
+
+const { server } = createApp();
+
+server.listen(PORT, () => {
+  console.log(`🚀 Serveur démarré sur le port ${PORT} (${process.env.NODE_ENV || 'development'})`);
+
+  // Tâches planifiées
+  DocumentExpiryService.start();
+  SessionService.start();
+  PaymentService.start();
+  DisputeService.start();
+  CapacityService.start();
+  PackageLifecycleService.start();
+  ItineraryService.start();
+  TripAlertService.start();
+  PackageRequestService.start();
+});
+
+// Arrêt propre (Render envoie SIGTERM lors des déploiements)
+process.on('SIGTERM', () => {
+  console.log('🔄 Arrêt du serveur...');
+  DocumentExpiryService.stop();
+  SessionService.stop();
+  PaymentService.stop();
+  DisputeService.stop();
+  CapacityService.stop();
+  PackageLifecycleService.stop();
+  ItineraryService.stop();
+  TripAlertService.stop();
+  PackageRequestService.stop();
+  server.close(() => process.exit(0));
+});
@@ -0,0 +1,988 @@
+const db = require('../config/database');
+const socketService = require('./socketService');
+const { SessionService } = require('./sessionService');
+const { LoginProtectionService } = require('./loginProtectionService');
+const { CurrencyService } = require('./currencyService');
+const { PricingService } = require('./pricingService');
+const { InsuranceService } = require('./insuranceService');
+const { DisputeService } = require('./disputeService');
+const { ScreeningService } = require('./screeningService');
+const {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  ACCOUNT_STATUS,
+  hasPermission,
+  isStaff
+} = require('../config/permissions');
+
+/**
+ * Service de la console d'administration
+ * Gestion des comptes, de l'équipe et journal d'audit
+ */
+
+// Durée de validité d'un jeton d'usurpation d'identité
+const IMPERSONATION_TOKEN_TTL = '30m';
+
+const AUDIT_ACTIONS = {
+  USER_SUSPENDED: 'user_suspended',
+  USER_BANNED: 'user_banned',
+  USER_REACTIVATED: 'user_reactivated',
+  USER_IMPERSONATED: 'user_impersonated',
+  USER_UNLOCKED: 'user_unlocked',
+  ROLE_CHANGED: 'role_changed',
+  DOCUMENT_APPROVED: 'document_approved',
+  DOCUMENT_REJECTED: 'document_rejected',
+  EXCHANGE_RATE_UPDATED: 'exchange_rate_updated',
+  EXCHANGE_RATES_IMPORTED: 'exchange_rates_imported',
+  FEE_RULE_CREATED: 'fee_rule_created',
+  FEE_RULE_UPDATED: 'fee_rule_updated',
+  DISPUTE_ASSIGNED: 'dispute_assigned',
+  DISPUTE_RESOLVED: 'dispute_resolved',
+  INSURANCE_CLAIM_DECIDED: 'insurance_claim_decided',
+  INSURANCE_CAP_UPDATED: 'insurance_cap_updated',
+  SCREENING_RULE_CREATED: 'screening_rule_created',
+  SCREENING_RULE_UPDATED: 'screening_rule_updated'
+};
+
+// Colonnes exposées à la console d'administration
+const ADMIN_USER_COLUMNS = `
+  u.id, u.email, u.first_name, u.last_name, u.phone, u.user_type, u.role,
+  u.is_verified, u.rating, u.total_ratings, u.account_status, u.suspended_until,
+  u.status_reason, u.status_changed_at, u.status_changed_by, u.last_login, u.created_at
+`;
+
+const adminError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  phone: user.phone,
+  userType: user.user_type,
+  role: user.role,
+  isVerified: user.is_verified,
+  rating: parseFloat(user.rating),
+  totalRatings: user.total_ratings,
+  accountStatus: user.account_status,
+  suspendedUntil: user.suspended_until,
+  statusReason: user.status_reason,
+  statusChangedAt: user.status_changed_at,
+  statusChangedBy: user.status_changed_by,
+  lastLogin: user.last_login,
+  createdAt: user.created_at
+});
+
+class AdminService {
+  /**
+   * Lister et rechercher les utilisateurs
+   * @param {Object} filters - search, role, status, userType, page, limit
+   * @returns {Object} Utilisateurs et pagination
+   */
+  async listUsers(filters = {}) {
+    const { search, role, status, userType } = filters;
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const queryParams = [];
+
+    if (search) {
+      queryParams.push(`%${search}%`);
+      conditions.push(`(
+        u.email ILIKE $${queryParams.length}
+        OR u.first_name ILIKE $${queryParams.length}
+        OR u.last_name ILIKE $${queryParams.length}
+        OR u.phone ILIKE $${queryParams.length}
+        OR CONCAT(u.first_name, ' ', u.last_name) ILIKE $${queryParams.length}
+      )`);
+    }
+
+    if (role) {
+      queryParams.push(role);
+      conditions.push(`u.role = $${queryParams.length}`);
+    }
+
+    if (status) {
+      queryParams.push(status);
+      conditions.push(`u.account_status = $${queryParams.length}`);
+    }
+
+    if (userType) {
+      queryParams.push(userType);
+      conditions.push(`u.user_type = $${queryParams.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await db.query(
+      `SELECT ${ADMIN_USER_COLUMNS}
+       FROM users u
+       ${whereClause}
+       ORDER BY u.created_at DESC
+       LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total FROM users u ${whereClause}`,
+      queryParams
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      users: result.rows.map(formatUser),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Obtenir la fiche complète d'un utilisateur
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {Object} Utilisateur, statistiques et dernières actions d'audit
+   */
+  async getUserDetails(userId) {
+    const result = await db.query(
+      `SELECT ${ADMIN_USER_COLUMNS},
+         (SELECT COUNT(*) FROM trips t WHERE t.traveler_id = u.id) as trips_count,
+         (SELECT COUNT(*) FROM packages p WHERE p.sender_id = u.id) as packages_count,
+         (SELECT COUNT(*) FROM user_documents d WHERE d.user_id = u.id AND d.verification_status = 'approved') as approved_documents
+       FROM users u
+       WHERE u.id = $1`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw adminError('Utilisateur non trouvé', 404);
+    }
+
+    const user = result.rows[0];
+    const auditLogs = await this.getAuditLogs({ targetUserId: userId, limit: 20 });
+    const lockout = await LoginProtectionService.getLockout(user.email);
+
+    return {
+      ...formatUser(user),
+      loginLockout: lockout ? {
+        lockedUntil: lockout.locked_until,
+        lockoutCount: lockout.lockout_count
+      } : null,
+      stats: {
+        tripsCount: parseInt(user.trips_count),
+        packagesCount: parseInt(user.packages_count),
+        approvedDocuments: parseInt(user.approved_documents)
+      },
+      auditLogs: auditLogs.logs
+    };
+  }
+
+  /**
+   * Suspendre, bannir ou réactiver un compte
+   * @param {number} targetUserId - ID du compte visé
+   * @param {string} newStatus - active, suspended ou banned
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} options - reason, until (fin de suspension), context (ip, userAgent)
+   * @returns {Object} Utilisateur mis à jour
+   */
+  async setAccountStatus(targetUserId, newStatus, actor, options = {}) {
+    const { reason = null, until = null, context = {} } = options;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const target = await this.getTargetForUpdate(client, targetUserId, actor);
+
+      if (!hasPermission(actor.role, PERMISSIONS.USERS_SUSPEND)) {
+        throw adminError('Permission insuffisante pour cette action', 403);
+      }
+
+      // Bannir, ou lever un bannissement, est réservé aux administrateurs
+      if ((newStatus === ACCOUNT_STATUS.BANNED || target.account_status === ACCOUNT_STATUS.BANNED) &&
+          !hasPermission(actor.role, PERMISSIONS.USERS_BAN)) {
+        throw adminError('Permission insuffisante pour cette action', 403);
+      }
+
+      if (newStatus === ACCOUNT_STATUS.ACTIVE && target.account_status === ACCOUNT_STATUS.ACTIVE) {
+        throw adminError('Ce compte est déjà actif', 400);
+      }
+
+      const result = await client.query(
+        `UPDATE users
+         SET account_status = $1,
+             suspended_until = $2,
+             status_reason = $3,
+             status_changed_at = CURRENT_TIMESTAMP,
+             status_changed_by = $4,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5
+         RETURNING id`,
+        [
+          newStatus,
+          newStatus === ACCOUNT_STATUS.SUSPENDED ? until : null,
+          newStatus === ACCOUNT_STATUS.ACTIVE ? null : reason,
+          actor.userId,
+          targetUserId
+        ]
+      );
+
+      const action = {
+        [ACCOUNT_STATUS.SUSPENDED]: AUDIT_ACTIONS.USER_SUSPENDED,
+        [ACCOUNT_STATUS.BANNED]: AUDIT_ACTIONS.USER_BANNED,
+        [ACCOUNT_STATUS.ACTIVE]: AUDIT_ACTIONS.USER_REACTIVATED
+      }[newStatus];
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action,
+        targetUserId,
+        details: {
+          previousStatus: target.account_status,
+          reason,
+          until
+        },
+        context
+      });
+
+      await client.query('COMMIT');
+
+      // Couper immédiatement les connexions temps réel du compte bloqué
+      if (newStatus !== ACCOUNT_STATUS.ACTIVE) {
+        socketService.disconnectUser(targetUserId);
+      }
+
+      console.log(`🛡️ Compte ${targetUserId} passé en "${newStatus}" par ${actor.userId}`);
+
+      return this.getUserDetails(result.rows[0].id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Ouvrir une session au nom d'un utilisateur pour le support
+   * Le jeton émis est court, porte l'identité du membre de l'équipe et
+   * n'ouvre aucun droit d'administration
+   * @param {number} targetUserId - ID de l'utilisateur à usurper
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} options - reason (obligatoire), context (ip, userAgent)
+   * @returns {Object} Jeton et utilisateur usurpé
+   */
+  async impersonate(targetUserId, actor, options = {}) {
+    const { reason, context = {} } = options;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const target = await this.getTargetForUpdate(client, targetUserId, actor);
+
+      // On n'usurpe jamais un membre de l'équipe
+      if (isStaff(target.role)) {
+        throw adminError('Impossible d\'usurper l\'identité d\'un membre de l\'équipe', 403);
+      }
+
+      if (target.account_status === ACCOUNT_STATUS.BANNED) {
+        throw adminError('Impossible d\'usurper l\'identité d\'un compte banni', 400);
+      }
+
+      // Session dédiée, sans refresh token : révocable et limitée à la durée du jeton
+      const { token, session } = await SessionService.createSession(target, {
+        client,
+        context,
+        impersonatedBy: actor.userId,
+        expiresIn: IMPERSONATION_TOKEN_TTL
+      });
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.USER_IMPERSONATED,
+        targetUserId,
+        details: {
+          reason,
+          sessionId: session.id,
+          expiresIn: IMPERSONATION_TOKEN_TTL
+        },
+        context
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`🕵️ Usurpation du compte ${targetUserId} par ${actor.userId}: ${reason}`);
+
+      return {
+        token,
+        expiresIn: IMPERSONATION_TOKEN_TTL,
+        sessionId: session.id,
+        user: formatUser(target)
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Lever le blocage de connexion d'un compte après trop d'échecs
+   * @param {number} targetUserId - ID du compte visé
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} options - reason, context (ip, userAgent)
+   * @returns {Object} Utilisateur
+   */
+  async unlockLogin(targetUserId, actor, options = {}) {
+    const { reason = null, context = {} } = options;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const target = await this.getTargetForUpdate(client, targetUserId, actor);
+
+      const wasBlocked = await LoginProtectionService.unlock(client, target.email);
+      if (!wasBlocked) {
+        throw adminError('La connexion de ce compte n\'est pas bloquée', 400);
+      }
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.USER_UNLOCKED,
+        targetUserId,
+        details: { reason },
+        context
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`🔓 Connexion débloquée pour le compte ${targetUserId} par ${actor.userId}`);
+
+      return formatUser(target);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mettre à jour un taux de change
+   * @param {Object} rate - base, quote, rate
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} context - ip, userAgent
+   * @returns {Object} Taux enregistré
+   */
+  async setExchangeRate({ base, quote, rate }, actor, context = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const saved = await CurrencyService.setRate(client, { base, quote, rate, actorId: actor.userId });
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.EXCHANGE_RATE_UPDATED,
+        details: saved,
+        context
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`💱 Taux ${base}/${quote} = ${rate} mis à jour par ${actor.userId}`);
+
+      return saved;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+      CurrencyService.invalidateCache();
+    }
+  }
+
+  /**
+   * Importer des taux de change depuis un fichier CSV
+   * @param {string} csv - Contenu du fichier (base,quote,rate)
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} context - ip, userAgent
+   * @returns {Array} Taux importés
+   */
+  async importExchangeRates(csv, actor, context = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const imported = await CurrencyService.importCsv(client, csv, actor.userId);
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.EXCHANGE_RATES_IMPORTED,
+        details: { count: imported.length, rates: imported },
+        context
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`💱 ${imported.length} taux de change importés par ${actor.userId}`);
+
+      return imported;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+      // Le cache a pu être vidé avant un ROLLBACK : il sera rechargé depuis la base
+      CurrencyService.invalidateCache();
+    }
+  }
+
+  /**
+   * Créer une règle de frais
+   * @param {Object} data - Règle (code, label, type, payer, rate, amount, currency, route)
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} context - ip, userAgent
+   * @returns {Object} Règle créée
+   */
+  async createFeeRule(data, actor, context = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const rule = await PricingService.createRule(client, data, actor.userId);
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.FEE_RULE_CREATED,
+        details: rule,
+        context
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`🧾 Règle de frais "${rule.code}" créée par ${actor.userId}`);
+
+      return rule;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Modifier une règle de frais (sans effet sur les colis déjà créés)
+   * @param {number} ruleId - ID de la règle
+   * @param {Object} changes - Champs modifiés
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} context - ip, userAgent
+   * @returns {Object} Règle mise à jour
+   */
+  async updateFeeRule(ruleId, changes, actor, context = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const { before, after } = await PricingService.updateRule(client, ruleId, changes, actor.userId);
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.FEE_RULE_UPDATED,
+        details: { ruleId, before, after },
+        context
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`🧾 Règle de frais "${after.code}" modifiée par ${actor.userId}`);
+
+      return after;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Créer une règle de contrôle des objets interdits ou réglementés
+   * @param {Object} data - Règle (type, value, severity, reason, trajet)
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} context - ip, userAgent
+   * @returns {Object} Règle créée
+   */
+  async createScreeningRule(data, actor, context = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const rule = await ScreeningService.createRule(client, data, actor.userId);
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.SCREENING_RULE_CREATED,
+        details: rule,
+        context
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`🛃 Règle de contrôle "${rule.value}" (${rule.severity}) créée par ${actor.userId}`);
+
+      return rule;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Modifier ou désactiver une règle de contrôle (les décisions passées restent au journal)
+   * @param {number} ruleId - ID de la règle
+   * @param {Object} changes - Champs modifiés
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} context - ip, userAgent
+   * @returns {Object} Règle mise à jour
+   */
+  async updateScreeningRule(ruleId, changes, actor, context = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const { before, after } = await ScreeningService.updateRule(client, ruleId, changes, actor.userId);
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.SCREENING_RULE_UPDATED,
+        details: { ruleId, before, after },
+        context
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`🛃 Règle de contrôle "${after.value}" modifiée par ${actor.userId}`);
+
+      return after;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Attribuer un litige à un modérateur (par défaut, celui qui le prend en charge)
+   * @param {number} disputeId - ID du litige
+   * @param {number} moderatorId - Modérateur désigné
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} context - ip, userAgent
+   * @returns {Object} Litige attribué
+   */
+  async assignDispute(disputeId, moderatorId, actor, context = {}) {
+    const client = await db.getClient();
+    let dispute;
+
+    try {
+      await client.query('BEGIN');
+
+      const { before, after } = await DisputeService.assign(client, disputeId, moderatorId);
+      dispute = after;
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.DISPUTE_ASSIGNED,
+        targetUserId: moderatorId,
+        details: {
+          disputeId,
+          packageId: after.packageId,
+          previousAssignee: before.assignedTo,
+          assignedTo: moderatorId
+        },
+        context
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    DisputeService.notifyUsers([moderatorId !== actor.userId ? moderatorId : null], {
+      type: 'dispute_assigned',
+      disputeId,
+      packageId: dispute.packageId,
+      title: 'Litige attribué',
+      message: `Le litige #${disputeId} vous a été attribué`,
+      icon: '⚖️'
+    });
+
+    console.log(`⚖️ Litige ${disputeId} attribué à ${moderatorId} par ${actor.userId}`);
+
+    return dispute;
+  }
+
+  /**
+   * Rendre la décision de médiation d'un litige
+   * Le colis, les fonds sous séquestre et l'assurance suivent la décision
+   * @param {number} disputeId - ID du litige
+   * @param {Object} decision - outcome, refundAmount, resolution
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} context - ip, userAgent
+   * @returns {Object} Litige résolu, statut du colis, paiement et sinistre éventuel
+   */
+  async decideDispute(disputeId, decision, actor, context = {}) {
+    const client = await db.getClient();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      result = await DisputeService.decide(client, disputeId, decision, actor.userId);
+      const { dispute, transition, claim } = result;
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.DISPUTE_RESOLVED,
+        targetUserId: dispute.reporterId,
+        details: {
+          disputeId,
+          packageId: dispute.packageId,
+          outcome: dispute.outcome,
+          refundAmount: dispute.refundAmount,
+          packageStatus: transition.package.status,
+          resolution: dispute.resolution,
+          claimId: claim ? claim.id : null
+        },
+        context
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await DisputeService.notifyDecision(result);
+
+    console.log(`⚖️ Litige ${disputeId} tranché (${result.dispute.outcome}) par ${actor.userId}`);
+
+    return {
+      dispute: result.dispute,
+      packageStatus: result.transition.package.status,
+      payment: result.payment,
+      claim: result.claim
+    };
+  }
+
+  /**
+   * Trancher un sinistre d'assurance (indemnisation immédiate si accepté)
+   * @param {number} claimId - ID du sinistre
+   * @param {Object} decision - approved, approvedAmount, notes
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} context - ip, userAgent
+   * @returns {Object} Sinistre mis à jour
+   */
+  async decideInsuranceClaim(claimId, decision, actor, context = {}) {
+    const client = await db.getClient();
+    let claim;
+
+    try {
+      await client.query('BEGIN');
+
+      const { before, after } = await InsuranceService.decideClaim(client, claimId, decision, actor.userId);
+      claim = after;
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.INSURANCE_CLAIM_DECIDED,
+        targetUserId: after.claimantId,
+        details: {
+          claimId,
+          packageId: after.packageId,
+          previousStatus: before.status,
+          status: after.status,
+          approvedAmount: after.approvedAmount,
+          currency: after.currency,
+          notes: after.decisionNotes
+        },
+        context
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    InsuranceService.notifyClaimDecided(claim);
+
+    console.log(`🛡️ Sinistre ${claimId} ${claim.status} par ${actor.userId}`);
+
+    return claim;
+  }
+
+  /**
+   * Modifier le plafond d'assurance d'une catégorie
+   * @param {string} category - Catégorie de colis
+   * @param {Object} cap - maxCoverage, currency
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @param {Object} context - ip, userAgent
+   * @returns {Object} Plafond enregistré
+   */
+  async setInsuranceCap(category, cap, actor, context = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const { before, after } = await InsuranceService.setCap(client, category, cap, actor.userId);
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.INSURANCE_CAP_UPDATED,
+        details: { category, before, after },
+        context
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`🛡️ Plafond d'assurance "${category}" = ${after.maxCoverage} ${after.currency} par ${actor.userId}`);
+
+      return after;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Lister les membres de l'équipe
+   * @returns {Array} Utilisateurs ayant un rôle d'équipe
+   */
+  async listStaff() {
+    const result = await db.query(
+      `SELECT ${ADMIN_USER_COLUMNS}
+       FROM users u
+       WHERE u.role = ANY($1)
+       ORDER BY u.role, u.last_name, u.first_name`,
+      [STAFF_ROLES]
+    );
+
+    return result.rows.map(formatUser);
+  }
+
+  /**
+   * Attribuer ou retirer un rôle d'équipe
+   * @param {number} targetUserId - ID de l'utilisateur
+   * @param {string} role - Nouveau rôle (user pour retirer l'accès)
+   * @param {Object} actor - Administrateur (req.user)
+   * @param {Object} context - ip, userAgent
+   * @returns {Object} Utilisateur mis à jour
+   */
+  async setRole(targetUserId, role, actor, context = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const target = await this.getTargetForUpdate(client, targetUserId, actor);
+
+      if (target.role === role) {
+        throw adminError(`Cet utilisateur a déjà le rôle ${role}`, 400);
+      }
+
+      // Toujours garder au moins un administrateur actif
+      if (target.role === ROLES.ADMIN) {
+        const adminsResult = await client.query(
+          `SELECT COUNT(*) as total FROM users WHERE role = $1 AND account_status = $2`,
+          [ROLES.ADMIN, ACCOUNT_STATUS.ACTIVE]
+        );
+
+        if (parseInt(adminsResult.rows[0].total) <= 1) {
+          throw adminError('Impossible de retirer le dernier administrateur', 400);
+        }
+      }
+
+      await client.query(
+        'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [role, targetUserId]
+      );
+
+      await this.logAction(client, {
+        actorId: actor.userId,
+        action: AUDIT_ACTIONS.ROLE_CHANGED,
+        targetUserId,
+        details: {
+          previousRole: target.role,
+          newRole: role
+        },
+        context
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`🛡️ Rôle du compte ${targetUserId}: ${target.role} → ${role} (par ${actor.userId})`);
+
+      return this.getUserDetails(targetUserId);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Consulter le journal d'audit
+   * @param {Object} filters - actorId, targetUserId, action, page, limit
+   * @returns {Object} Entrées du journal et pagination
+   */
+  async getAuditLogs(filters = {}) {
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 50;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const queryParams = [];
+
+    if (filters.actorId) {
+      queryParams.push(filters.actorId);
+      conditions.push(`l.actor_id = $${queryParams.length}`);
+    }
+
+    if (filters.targetUserId) {
+      queryParams.push(filters.targetUserId);
+      conditions.push(`l.target_user_id = $${queryParams.length}`);
+    }
+
+    if (filters.action) {
+      queryParams.push(filters.action);
+      conditions.push(`l.action = $${queryParams.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await db.query(
+      `SELECT l.*,
+         a.first_name as actor_first_name, a.last_name as actor_last_name,
+         t.first_name as target_first_name, t.last_name as target_last_name
+       FROM admin_audit_logs l
+       LEFT JOIN users a ON l.actor_id = a.id
+       LEFT JOIN users t ON l.target_user_id = t.id
+       ${whereClause}
+       ORDER BY l.created_at DESC
+       LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    return {
+      logs: result.rows.map(log => ({
+        id: log.id,
+        action: log.action,
+        details: log.details,
+        actor: log.actor_id ? {
+          id: log.actor_id,
+          name: `${log.actor_first_name} ${log.actor_last_name}`
+        } : null,
+        target: log.target_user_id ? {
+          id: log.target_user_id,
+          name: `${log.target_first_name} ${log.target_last_name}`
+        } : null,
+        ipAddress: log.ip_address,
+        userAgent: log.user_agent,
+        createdAt: log.created_at
+      })),
+      pagination: {
+        page,
+        limit,
+        hasNext: result.rows.length === limit,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Enregistrer une action dans le journal d'audit
+   * @param {Object} client - Client de transaction (ou module db)
+   * @param {Object} entry - actorId, action, targetUserId, details, context
+   */
+  async logAction(client, entry) {
+    const { actorId, action, targetUserId = null, details = {}, context = {} } = entry;
+
+    await client.query(
+      `INSERT INTO admin_audit_logs (actor_id, action, target_user_id, details, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [actorId, action, targetUserId, JSON.stringify(details), context.ip || null, context.userAgent || null]
+    );
+  }
+
+  /**
+   * Verrouiller le compte visé et vérifier que l'acteur peut agir dessus
+   * @param {Object} client - Client de transaction
+   * @param {number} targetUserId - ID du compte visé
+   * @param {Object} actor - Membre de l'équipe (req.user)
+   * @returns {Object} Ligne users du compte visé
+   */
+  async getTargetForUpdate(client, targetUserId, actor) {
+    if (targetUserId === actor.userId) {
+      throw adminError('Vous ne pouvez pas effectuer cette action sur votre propre compte', 400);
+    }
+
+    const result = await client.query(
+      `SELECT ${ADMIN_USER_COLUMNS} FROM users u WHERE u.id = $1 FOR UPDATE`,
+      [targetUserId]
+    );
+
+    if (result.rows.length === 0) {
+      throw adminError('Utilisateur non trouvé', 404);
+    }
+
+    const target = result.rows[0];
+
+    // Seuls les gestionnaires de l'équipe agissent sur un autre membre
+    if (isStaff(target.role) && !hasPermission(actor.role, PERMISSIONS.STAFF_MANAGE)) {
+      throw adminError('Seul un administrateur peut agir sur un membre de l\'équipe', 403);
+    }
+
+    return target;
+  }
+}
+
+module.exports = {
+  AdminService: new AdminService(),
+  AUDIT_ACTIONS,
+  IMPERSONATION_TOKEN_TTL
+};
@@ -1,17 +1,21 @@
 const db = require('../config/database');
+const { CurrencyService } = require('./currencyService');
+const { DEFAULT_CURRENCY, roundAmount } = require('../config/currencies');
 
 class AnalyticsService {
   /**
    * Obtenir les statistiques générales d'un utilisateur
    * @param {number} userId - ID de l'utilisateur
    * @param {string} period - Période ('7d', '30d', '90d', '1y', 'all')
+   * @param {string} currency - Devise d'affichage des montants
    */
-  async getUserStats(userId, period = '30d') {
+  async getUserStats(userId, period = '30d', currency = DEFAULT_CURRENCY) {
     try {
       const dateFilter = this.getDateFilter(period);
+      const convert = await CurrencyService.getConverter(currency);
       
       // Statistiques des colis
-      const packageStats = await this.getPackageStats(userId, dateFilter);
+      const packageStats = await this.getPackageStats(userId, dateFilter, convert, currency);
       
       // Statistiques des voyages
       const tripStats = await this.getTripStats(userId, dateFilter);
@@ -20,7 +24,7 @@ class AnalyticsService {
       const ratingStats = await this.getRatingStats(userId);
       
       // Revenus et économies
-      const financialStats = await this.getFinancialStats(userId, dateFilter);
+      const financialStats = await this.getFinancialStats(userId, dateFilter, convert, currency);
       
       // Statistiques de géolocalisation
       const locationStats = await this.getLocationStats(userId, dateFilter);
@@ -29,6 +33,7 @@ class AnalyticsService {
         success: true,
         data: {
           period,
+          currency,
           packages: packageStats,
           trips: tripStats,
           ratings: ratingStats,
@@ -47,25 +52,27 @@ class AnalyticsService {
    * Obtenir les statistiques des colis pour un utilisateur
    * @param {number} userId - ID de l'utilisateur
    * @param {string} dateFilter - Filtre de date SQL
+   * @param {Function} convert - Convertisseur vers la devise d'affichage
+   * @param {string} currency - Devise d'affichage
    */
-  async getPackageStats(userId, dateFilter) {
+  async getPackageStats(userId, dateFilter, convert, currency) {
     try {
       const query = `
         SELECT 
+          currency,
           COUNT(*) as total_packages,
           COUNT(CASE WHEN sender_id = $1 THEN 1 END) as sent_packages,
           COUNT(CASE WHEN traveler_id = $1 THEN 1 END) as delivered_packages,
-          AVG(CASE WHEN sender_id = $1 THEN price END)::DECIMAL(10,2) as avg_sent_price,
-          AVG(CASE WHEN traveler_id = $1 THEN price END)::DECIMAL(10,2) as avg_delivery_price,
-          SUM(CASE WHEN sender_id = $1 THEN price ELSE 0 END)::DECIMAL(10,2) as total_sent_amount,
-          SUM(CASE WHEN traveler_id = $1 THEN price ELSE 0 END)::DECIMAL(10,2) as total_earned_amount
+          SUM(CASE WHEN sender_id = $1 THEN total_price ELSE 0 END)::DECIMAL(10,2) as total_sent_amount,
+          SUM(CASE WHEN traveler_id = $1 THEN COALESCE(traveler_earnings, total_price) ELSE 0 END)::DECIMAL(10,2) as total_earned_amount
         FROM packages p
         WHERE (sender_id = $1 OR traveler_id = $1)
         ${dateFilter ? `AND ${dateFilter}` : ''}
+        GROUP BY currency
       `;
 
       const result = await db.query(query, [userId]);
-      const stats = result.rows[0];
+      const stats = this.combineByCurrency(result.rows, convert, ['total_sent_amount', 'total_earned_amount']);
 
       // Statistiques par statut
       const statusQuery = `
@@ -91,13 +98,13 @@ class AnalyticsService {
       });
 
       return {
-        total: parseInt(stats.total_packages),
-        sent: parseInt(stats.sent_packages),
-        delivered: parseInt(stats.delivered_packages),
-        averageSentPrice: parseFloat(stats.avg_sent_price) || 0,
-        averageDeliveryPrice: parseFloat(stats.avg_delivery_price) || 0,
-        totalSentAmount: parseFloat(stats.total_sent_amount) || 0,
-        totalEarnedAmount: parseFloat(stats.total_earned_amount) || 0,
+        total: stats.total_packages || 0,
+        sent: stats.sent_packages || 0,
+        delivered: stats.delivered_packages || 0,
+        averageSentPrice: this.average(stats.total_sent_amount, stats.sent_packages, currency),
+        averageDeliveryPrice: this.average(stats.total_earned_amount, stats.delivered_packages, currency),
+        totalSentAmount: roundAmount(stats.total_sent_amount || 0, currency),
+        totalEarnedAmount: roundAmount(stats.total_earned_amount || 0, currency),
         statusDistribution
       };
     } catch (error) {
@@ -240,54 +247,61 @@ class AnalyticsService {
    * Obtenir les statistiques financières pour un utilisateur
    * @param {number} userId - ID de l'utilisateur
    * @param {string} dateFilter - Filtre de date SQL
+   * @param {Function} convert - Convertisseur vers la devise d'affichage
+   * @param {string} currency - Devise d'affichage
    */
-  async getFinancialStats(userId, dateFilter) {
+  async getFinancialStats(userId, dateFilter, convert, currency) {
     try {
       const query = `
         SELECT 
-          SUM(CASE WHEN sender_id = $1 THEN price ELSE 0 END)::DECIMAL(10,2) as total_spent,
-          SUM(CASE WHEN traveler_id = $1 THEN price ELSE 0 END)::DECIMAL(10,2) as total_earned,
+          currency,
+          SUM(CASE WHEN sender_id = $1 THEN total_price ELSE 0 END)::DECIMAL(10,2) as total_spent,
+          SUM(CASE WHEN traveler_id = $1 THEN COALESCE(traveler_earnings, total_price) ELSE 0 END)::DECIMAL(10,2) as total_earned,
           COUNT(CASE WHEN sender_id = $1 THEN 1 END) as packages_sent,
-          COUNT(CASE WHEN traveler_id = $1 THEN 1 END) as packages_delivered,
-          AVG(CASE WHEN sender_id = $1 THEN price END)::DECIMAL(10,2) as avg_package_cost,
-          AVG(CASE WHEN traveler_id = $1 THEN price END)::DECIMAL(10,2) as avg_delivery_fee
+          COUNT(CASE WHEN traveler_id = $1 THEN 1 END) as packages_delivered
         FROM packages
         WHERE (sender_id = $1 OR traveler_id = $1)
         ${dateFilter ? `AND ${dateFilter}` : ''}
+        GROUP BY currency
       `;
 
       const result = await db.query(query, [userId]);
-      const stats = result.rows[0];
+      const stats = this.combineByCurrency(result.rows, convert, ['total_spent', 'total_earned']);
 
       // Évolution mensuelle des revenus
       const monthlyQuery = `
         SELECT 
           DATE_TRUNC('month', created_at) as month,
-          SUM(CASE WHEN traveler_id = $1 THEN price ELSE 0 END)::DECIMAL(10,2) as earned,
-          SUM(CASE WHEN sender_id = $1 THEN price ELSE 0 END)::DECIMAL(10,2) as spent
+          currency,
+          SUM(CASE WHEN traveler_id = $1 THEN COALESCE(traveler_earnings, total_price) ELSE 0 END)::DECIMAL(10,2) as earned,
+          SUM(CASE WHEN sender_id = $1 THEN total_price ELSE 0 END)::DECIMAL(10,2) as spent
         FROM packages
         WHERE (sender_id = $1 OR traveler_id = $1)
         AND created_at >= NOW() - INTERVAL '12 months'
-        GROUP BY DATE_TRUNC('month', created_at)
+        GROUP BY DATE_TRUNC('month', created_at), currency
         ORDER BY month DESC
-        LIMIT 12
       `;
 
       const monthlyResult = await db.query(monthlyQuery, [userId]);
-      const monthlyEvolution = monthlyResult.rows.map(row => ({
-        month: row.month,
-        earned: parseFloat(row.earned) || 0,
-        spent: parseFloat(row.spent) || 0
-      }));
+      const monthlyEvolution = this.groupByPeriod(monthlyResult.rows, 'month', convert, ['earned', 'spent'])
+        .slice(0, 12)
+        .map(row => ({
+          month: row.month,
+          earned: roundAmount(row.earned || 0, currency),
+          spent: roundAmount(row.spent || 0, currency)
+        }));
+
+      const totalSpent = roundAmount(stats.total_spent || 0, currency);
+      const totalEarned = roundAmount(stats.total_earned || 0, currency);
 
       return {
-        totalSpent: parseFloat(stats.total_spent) || 0,
-        totalEarned: parseFloat(stats.total_earned) || 0,
-        netBalance: (parseFloat(stats.total_earned) || 0) - (parseFloat(stats.total_spent) || 0),
-        packagesSent: parseInt(stats.packages_sent),
-        packagesDelivered: parseInt(stats.packages_delivered),
-        averagePackageCost: parseFloat(stats.avg_package_cost) || 0,
-        averageDeliveryFee: parseFloat(stats.avg_delivery_fee) || 0,
+        totalSpent,
+        totalEarned,
+        netBalance: roundAmount(totalEarned - totalSpent, currency),
+        packagesSent: stats.packages_sent || 0,
+        packagesDelivered: stats.packages_delivered || 0,
+        averagePackageCost: this.average(stats.total_spent, stats.packages_sent, currency),
+        averageDeliveryFee: this.average(stats.total_earned, stats.packages_delivered, currency),
         monthlyEvolution
       };
     } catch (error) {
@@ -400,10 +414,12 @@ class AnalyticsService {
   /**
    * Obtenir les statistiques globales de la plateforme (admin)
    * @param {string} period - Période
+   * @param {string} currency - Devise d'affichage des montants
    */
-  async getPlatformStats(period = '30d') {
+  async getPlatformStats(period = '30d', currency = DEFAULT_CURRENCY) {
     try {
       const dateFilter = this.getDateFilter(period);
+      const convert = await CurrencyService.getConverter(currency);
       
       // Statistiques des utilisateurs
       const userStatsQuery = `
@@ -419,12 +435,15 @@ class AnalyticsService {
       // Statistiques des colis
       const packageStatsQuery = `
         SELECT 
+          currency,
           COUNT(*) as total_packages,
-          SUM(price)::DECIMAL(10,2) as total_value,
-          AVG(price)::DECIMAL(10,2) as avg_price,
+          SUM(total_price)::DECIMAL(12,2) as total_value,
+          SUM(platform_fee)::DECIMAL(12,2) as platform_revenue,
+          SUM(tax_amount)::DECIMAL(12,2) as taxes_collected,
           COUNT(CASE WHEN traveler_id IS NOT NULL THEN 1 END) as matched_packages
         FROM packages
         ${dateFilter ? `WHERE ${dateFilter}` : ''}
+        GROUP BY currency
       `;
 
       // Statistiques des voyages
@@ -444,13 +463,16 @@ class AnalyticsService {
       ]);
 
       const userStats = userResult.rows[0];
-      const packageStats = packageResult.rows[0];
+      const packageStats = this.combineByCurrency(packageResult.rows, convert, ['total_value', 'platform_revenue', 'taxes_collected']);
+      const totalPackages = packageStats.total_packages || 0;
+      const matchedPackages = packageStats.matched_packages || 0;
       const tripStats = tripResult.rows[0];
 
       return {
         success: true,
         data: {
           period,
+          currency,
           users: {
             total: parseInt(userStats.total_users),
             new30d: parseInt(userStats.new_users_30d),
@@ -458,12 +480,14 @@ class AnalyticsService {
             admins: parseInt(userStats.admin_users)
           },
           packages: {
-            total: parseInt(packageStats.total_packages),
-            totalValue: parseFloat(packageStats.total_value) || 0,
-            averagePrice: parseFloat(packageStats.avg_price) || 0,
-            matched: parseInt(packageStats.matched_packages),
-            matchingRate: packageStats.total_packages > 0 ? 
-              (parseInt(packageStats.matched_packages) / parseInt(packageStats.total_packages) * 100).toFixed(2) : 0
+            total: totalPackages,
+            totalValue: roundAmount(packageStats.total_value || 0, currency),
+            averagePrice: this.average(packageStats.total_value, totalPackages, currency),
+            platformRevenue: roundAmount(packageStats.platform_revenue || 0, currency),
+            taxesCollected: roundAmount(packageStats.taxes_collected || 0, currency),
+            matched: matchedPackages,
+            matchingRate: totalPackages > 0 ? 
+              (matchedPackages / totalPackages * 100).toFixed(2) : 0
           },
           trips: {
             total: parseInt(tripStats.total_trips),
@@ -481,6 +505,55 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Additionner des lignes groupées par devise, en convertissant les montants
+   * Les montants d'une devise sans taux de change sont ignorés
+   * @param {Array} rows - Lignes SQL avec une colonne currency
+   * @param {Function} convert - Convertisseur vers la devise d'affichage
+   * @param {Array} amountColumns - Colonnes monétaires
+   * @returns {Object} Totaux par colonne
+   */
+  combineByCurrency(rows, convert, amountColumns) {
+    return rows.reduce((totals, row) => {
+      Object.keys(row).filter(column => column !== 'currency').forEach(column => {
+        const value = parseFloat(row[column]) || 0;
+        const amount = amountColumns.includes(column) ? convert(value, row.currency) : value;
+        totals[column] = (totals[column] || 0) + (amount || 0);
+      });
+      return totals;
+    }, {});
+  }
+
+  /**
+   * Regrouper par période des lignes ventilées par devise (ordre des lignes conservé)
+   * @param {Array} rows - Lignes SQL (période, currency, montants)
+   * @param {string} periodColumn - Colonne de la période
+   * @param {Function} convert - Convertisseur vers la devise d'affichage
+   * @param {Array} amountColumns - Colonnes monétaires
+   * @returns {Array} Une ligne par période
+   */
+  groupByPeriod(rows, periodColumn, convert, amountColumns) {
+    const periods = new Map();
+
+    rows.forEach(row => {
+      const key = new Date(row[periodColumn]).getTime();
+      if (!periods.has(key)) {
+        periods.set(key, { [periodColumn]: row[periodColumn] });
+      }
+
+      const totals = periods.get(key);
+      amountColumns.forEach(column => {
+        totals[column] = (totals[column] || 0) + (convert(parseFloat(row[column]) || 0, row.currency) || 0);
+      });
+    });
+
+    return Array.from(periods.values());
+  }
+
+  average(total, count, currency) {
+    return count > 0 ? roundAmount((total || 0) / count, currency) : 0;
+  }
+
   /**
    * Obtenir le filtre de date SQL selon la période
    * @param {string} period - Période ('7d', '30d', '90d', '1y', 'all')
@@ -506,8 +579,9 @@ class AnalyticsService {
    * @param {string} metric - Métrique ('packages', 'trips', 'users', 'revenue')
    * @param {string} period - Période
    * @param {string} granularity - Granularité ('day', 'week', 'month')
+   * @param {string} currency - Devise d'affichage (métrique 'revenue')
    */
-  async getTimeTrends(metric, period = '30d', granularity = 'day') {
+  async getTimeTrends(metric, period = '30d', granularity = 'day', currency = DEFAULT_CURRENCY) {
     try {
       let table, dateColumn, valueColumn, groupBy;
       
@@ -540,25 +614,37 @@ class AnalyticsService {
           break;
         case 'revenue':
           table = 'packages';
-          valueColumn = 'SUM(price)::DECIMAL(10,2)';
+          // Revenu net de la plateforme (frais et commission)
+          valueColumn = 'SUM(platform_fee)::DECIMAL(10,2)';
           break;
         default:
           throw new Error('Métrique invalide');
       }
 
       const dateFilter = this.getDateFilter(period);
+      const isMonetary = metric === 'revenue';
       
+      // Les montants sont regroupés par devise puis convertis
       const query = `
         SELECT 
           ${groupBy} as period,
+          ${isMonetary ? 'currency,' : ''}
           ${valueColumn} as value
         FROM ${table}
         ${dateFilter ? `WHERE ${dateFilter}` : ''}
-        GROUP BY ${groupBy}
+        GROUP BY ${groupBy}${isMonetary ? ', currency' : ''}
         ORDER BY period ASC
       `;
 
       const result = await db.query(query);
+
+      const trends = isMonetary
+        ? this.groupByPeriod(result.rows, 'period', await CurrencyService.getConverter(currency), ['value'])
+          .map(row => ({ period: row.period, value: roundAmount(row.value || 0, currency) }))
+        : result.rows.map(row => ({
+          period: row.period,
+          value: parseFloat(row.value) || 0
+        }));
       
       return {
         success: true,
@@ -566,10 +652,8 @@ class AnalyticsService {
           metric,
           period,
           granularity,
-          trends: result.rows.map(row => ({
-            period: row.period,
-            value: parseFloat(row.value) || 0
-          }))
+          ...(isMonetary && { currency }),
+          trends
         }
       };
     } catch (error) {
@@ -0,0 +1,578 @@
+const db = require('../config/database');
+const { ItineraryService } = require('./itineraryService');
+
+/**
+ * Service de capacité des voyages
+ * Chaque colis porte une réservation sur le tronçon qu'il emprunte (étape de prise
+ * en charge → étape de dépôt, voyage entier par défaut) ; un expéditeur peut bloquer
+ * de la capacité quelques minutes pendant qu'il complète sa demande.
+ * Les kilos et les litres libres se calculent tronçon par tronçon : sur Montréal → Paris → Dakar,
+ * un colis déposé à Paris ne retient rien sur Paris → Dakar. Une réservation n'est acceptée que
+ * si chaque tronçon couvert garde de la place, le voyage étant verrouillé pendant la vérification.
+ * trips.available_weight et trips.available_volume sont recalculés ici après chaque réservation :
+ * c'est la capacité libre sur le voyage entier (celle du tronçon le plus chargé), et des contraintes
+ * CHECK les empêchent de devenir négatifs. Un voyage sans capacité en litres n'est limité qu'en poids.
+ */
+
+const RESERVATION_STATUS = {
+  HELD: 'held',         // Blocage temporaire, sans colis
+  ACTIVE: 'active',     // Kilos attribués à un colis
+  RELEASED: 'released', // Rendus au voyage (refus, annulation, blocage abandonné)
+  EXPIRED: 'expired'    // Blocage arrivé à échéance
+};
+
+// Durée d'un blocage et limites par expéditeur
+const HOLD_DURATION_MINUTES = 15;
+const MAX_HOLDS_PER_SENDER = 3;
+const MAX_HOLD_WEIGHT = 50;
+
+// Fréquence du job d'expiration des blocages
+const HOLD_JOB_INTERVAL = 60 * 1000; // 1 minute
+
+// Réservations qui retiennent de la capacité sur leurs tronçons
+const RESERVING_STATUSES = [RESERVATION_STATUS.HELD, RESERVATION_STATUS.ACTIVE];
+
+const capacityError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatReservation = (reservation) => ({
+  id: reservation.id,
+  tripId: reservation.trip_id,
+  packageId: reservation.package_id,
+  senderId: reservation.sender_id,
+  originStopId: reservation.origin_stop_id,
+  destinationStopId: reservation.destination_stop_id,
+  weight: parseFloat(reservation.weight),
+  volume: parseFloat(reservation.volume),
+  status: reservation.status,
+  expiresAt: reservation.expires_at,
+  releasedAt: reservation.released_at,
+  createdAt: reservation.created_at
+});
+
+const roundCapacity = (value) => Math.round(value * 100) / 100;
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// Position de la dernière étape d'un voyage (expression SQL)
+const lastPosition = (trip) => `(SELECT MAX(position) FROM trip_stops WHERE trip_id = ${trip})`;
+
+/**
+ * Sous-requête SQL : charge du tronçon le plus chargé entre deux étapes d'un voyage
+ * Le tronçon de position n va de l'étape n à l'étape n + 1 ; une réservation sans étapes
+ * couvre le voyage entier.
+ * @param {Object} columns - Expressions SQL : trip (ID du voyage), from et to (positions des étapes)
+ * @param {string} reservationFilter - Condition supplémentaire sur les réservations r (facultatif)
+ * @returns {string} Sous-requête d'une ligne (weight, volume)
+ */
+const segmentLoadQuery = ({ trip, from, to }, reservationFilter = 'TRUE') => `
+  SELECT COALESCE(MAX(leg.weight), 0) as weight, COALESCE(MAX(leg.volume), 0) as volume
+  FROM (
+    SELECT SUM(r.weight) as weight, SUM(r.volume) as volume
+    FROM trip_stops l
+    JOIN capacity_reservations r ON r.trip_id = l.trip_id
+    LEFT JOIN trip_stops ro ON ro.id = r.origin_stop_id
+    LEFT JOIN trip_stops rd ON rd.id = r.destination_stop_id
+    WHERE l.trip_id = ${trip} AND l.position >= ${from} AND l.position < ${to}
+      AND r.status IN (${RESERVING_STATUSES.map(status => `'${status}'`).join(', ')})
+      AND (ro.position IS NULL OR ro.position <= l.position)
+      AND (rd.position IS NULL OR rd.position > l.position)
+      AND ${reservationFilter}
+    GROUP BY l.position
+  ) leg`;
+
+// Capacité libre d'après la charge d'un tronçon (voyage inconnu : aucune)
+const freeCapacity = (load) => {
+  if (!load) return { weight: 0, volume: 0 };
+
+  return {
+    weight: roundCapacity(load.total_weight - load.weight),
+    volume: hasValue(load.total_volume) ? roundCapacity(load.total_volume - load.volume) : null
+  };
+};
+
+/**
+ * Capacité d'un voyage telle qu'exposée par l'API (volumes null : non limité)
+ * @param {Object} trip - Ligne trips (total_weight, available_weight, total_volume, available_volume)
+ * @returns {Object} totalWeight, reservedWeight, availableWeight, totalVolume, reservedVolume, availableVolume
+ */
+const formatCapacity = (trip) => {
+  const availableWeight = parseFloat(trip.available_weight);
+  const totalWeight = hasValue(trip.total_weight) ? parseFloat(trip.total_weight) : availableWeight;
+  const limitedVolume = hasValue(trip.total_volume);
+
+  return {
+    totalWeight,
+    reservedWeight: roundCapacity(totalWeight - availableWeight),
+    availableWeight,
+    totalVolume: limitedVolume ? parseFloat(trip.total_volume) : null,
+    reservedVolume: limitedVolume ? roundCapacity(trip.total_volume - trip.available_volume) : null,
+    availableVolume: limitedVolume ? parseFloat(trip.available_volume) : null
+  };
+};
+
+class CapacityService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Verrouiller un voyage : les réservations d'un même voyage sont vérifiées une à une
+   * @param {Object} client - Client de transaction
+   * @param {number} tripId - ID du voyage
+   */
+  async lockTrip(client, tripId) {
+    const result = await client.query('SELECT id FROM trips WHERE id = $1 FOR UPDATE', [tripId]);
+
+    if (result.rows.length === 0) {
+      throw capacityError('Voyage non trouvé', 404);
+    }
+  }
+
+  /**
+   * Capacité totale d'un voyage et charge de son tronçon le plus chargé entre deux étapes
+   * @param {Object} client - Client de base de données
+   * @param {number} tripId - ID du voyage
+   * @param {Object} segment - originStopId, destinationStopId (voyage entier par défaut)
+   * @param {Object} options - excludeReservationId (réservation remplacée), excludeHoldsOf (blocages d'un expéditeur)
+   * @returns {Object|undefined} Ligne total_weight, total_volume, weight, volume
+   */
+  async loadSegment(client, tripId, { originStopId = null, destinationStopId = null } = {},
+    { excludeReservationId = null, excludeHoldsOf = null } = {}) {
+    const load = segmentLoadQuery({
+      trip: '$1',
+      from: 'COALESCE((SELECT position FROM trip_stops WHERE id = $2 AND trip_id = $1), 0)',
+      to: `COALESCE((SELECT position FROM trip_stops WHERE id = $3 AND trip_id = $1), ${lastPosition('$1')})`
+    }, `r.id IS DISTINCT FROM $4::integer
+        AND NOT (r.status = '${RESERVATION_STATUS.HELD}' AND r.expires_at > NOW()
+                 AND COALESCE(r.sender_id = $5::integer, FALSE))`);
+
+    const result = await client.query(
+      `SELECT t.total_weight, t.total_volume, load.weight, load.volume
+       FROM trips t CROSS JOIN (${load}) load
+       WHERE t.id = $1`,
+      [tripId, originStopId, destinationStopId, excludeReservationId, excludeHoldsOf]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Vérifier que chaque tronçon couvert garde la place demandée (le voyage est verrouillé)
+   * @param {Object} client - Client de transaction
+   * @param {number} tripId - ID du voyage
+   * @param {Object} amounts - weight (kg), volume (litres)
+   * @param {Object} segment - originStopId, destinationStopId (voyage entier par défaut)
+   * @param {number} excludeReservationId - Réservation remplacée par la nouvelle (facultatif)
+   * @returns {Object} Capacité restante sur le tronçon (availableWeight, availableVolume)
+   */
+  async take(client, tripId, { weight, volume = 0 }, segment = {}, excludeReservationId = null) {
+    await this.lockTrip(client, tripId);
+
+    const load = await this.loadSegment(client, tripId, segment, { excludeReservationId });
+    const availableWeight = roundCapacity(load.total_weight - load.weight);
+    const availableVolume = hasValue(load.total_volume) ? roundCapacity(load.total_volume - load.volume) : null;
+
+    if (availableWeight < weight) {
+      throw capacityError(`Poids insuffisant disponible. Maximum: ${availableWeight} kg`, 409);
+    }
+
+    if (availableVolume !== null && availableVolume < volume) {
+      throw capacityError(`Volume insuffisant disponible. Maximum: ${availableVolume} L`, 409);
+    }
+
+    return {
+      availableWeight: roundCapacity(availableWeight - weight),
+      availableVolume: availableVolume !== null ? roundCapacity(availableVolume - volume) : null
+    };
+  }
+
+  /**
+   * Recalculer les kilos et les litres libres sur le voyage entier après un changement de réservation
+   * @param {Object} client - Client de transaction
+   * @param {number} tripId - ID du voyage
+   */
+  async refreshAvailability(client, tripId) {
+    // Verrou pris avant le calcul : la requête suivante voit les réservations validées entre-temps
+    await this.lockTrip(client, tripId);
+
+    await client.query(
+      `UPDATE trips t
+       SET available_weight = t.total_weight - load.weight, available_volume = t.total_volume - load.volume,
+           updated_at = CURRENT_TIMESTAMP
+       FROM (${segmentLoadQuery({ trip: '$1', from: '0', to: lastPosition('$1') })}) load
+       WHERE t.id = $1`,
+      [tripId]
+    );
+  }
+
+  /**
+   * Bloquer de la capacité pendant que l'expéditeur complète sa demande
+   * Un nouveau blocage sur le même voyage remplace le précédent
+   * @param {number} tripId - ID du voyage
+   * @param {number} senderId - Expéditeur
+   * @param {Object} amounts - weight (kg), volume (litres, facultatif), originStopId et destinationStopId
+   *   (tronçon, voyage entier par défaut)
+   * @returns {Object} Blocage et capacité restante sur le tronçon
+   */
+  async createHold(tripId, senderId, { weight, volume = 0, originStopId, destinationStopId }) {
+    if (!(weight > 0) || weight > MAX_HOLD_WEIGHT) {
+      throw capacityError(`Le poids doit être entre 0.1 et ${MAX_HOLD_WEIGHT} kg`, 400);
+    }
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const tripResult = await client.query('SELECT id, traveler_id, status FROM trips WHERE id = $1', [tripId]);
+      const trip = tripResult.rows[0];
+
+      if (!trip) {
+        throw capacityError('Voyage non trouvé', 404);
+      }
+
+      // Le tronçon reste ouvert tant que son étape de prise en charge n'est pas quittée
+      const segment = await ItineraryService.resolveSegment(tripId, { originStopId, destinationStopId }, client);
+
+      if (trip.status !== 'active' || new Date(segment.origin.departure_date) <= new Date()) {
+        throw capacityError('Ce voyage n\'est plus disponible', 400);
+      }
+
+      if (trip.traveler_id === senderId) {
+        throw capacityError('Vous ne pouvez pas réserver sur votre propre voyage', 400);
+      }
+
+      // Verrouiller les blocages de l'expéditeur : deux demandes simultanées ne dépassent pas la limite
+      const holdsResult = await client.query(
+        `SELECT * FROM capacity_reservations
+         WHERE sender_id = $1 AND status = $2 AND expires_at > NOW()
+         FOR UPDATE`,
+        [senderId, RESERVATION_STATUS.HELD]
+      );
+
+      const previous = holdsResult.rows.find(hold => hold.trip_id === tripId);
+      if (previous) {
+        await this.releaseHoldRow(client, previous);
+      } else if (holdsResult.rows.length >= MAX_HOLDS_PER_SENDER) {
+        throw capacityError(`Vous avez déjà ${MAX_HOLDS_PER_SENDER} réservations en cours`, 429);
+      }
+
+      const stops = { originStopId: segment.origin.id, destinationStopId: segment.destination.id };
+      const remaining = await this.take(client, tripId, { weight, volume }, stops);
+
+      const result = await client.query(
+        `INSERT INTO capacity_reservations (
+           trip_id, sender_id, weight, volume, status, expires_at, origin_stop_id, destination_stop_id
+         ) VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' minutes')::INTERVAL, $7, $8)
+         RETURNING *`,
+        [tripId, senderId, weight, volume, RESERVATION_STATUS.HELD, HOLD_DURATION_MINUTES, stops.originStopId, stops.destinationStopId]
+      );
+      await this.refreshAvailability(client, tripId);
+
+      await client.query('COMMIT');
+
+      return {
+        hold: formatReservation(result.rows[0]),
+        ...remaining
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Abandonner un blocage (l'expéditeur renonce à sa demande)
+   * @param {number} tripId - ID du voyage
+   * @param {number} holdId - ID du blocage
+   * @param {number} senderId - Expéditeur
+   */
+  async releaseHold(tripId, holdId, senderId) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'SELECT * FROM capacity_reservations WHERE id = $1 AND trip_id = $2 AND sender_id = $3 FOR UPDATE',
+        [holdId, tripId, senderId]
+      );
+      const hold = result.rows[0];
+
+      if (!hold || hold.status !== RESERVATION_STATUS.HELD) {
+        throw capacityError('Réservation temporaire introuvable ou expirée', 404);
+      }
+
+      await this.releaseHoldRow(client, hold);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Libérer un blocage verrouillé et rendre ses kilos à ses tronçons
+   * @param {Object} client - Client de transaction
+   * @param {Object} hold - Ligne capacity_reservations
+   */
+  async releaseHoldRow(client, hold) {
+    await client.query(
+      `UPDATE capacity_reservations
+       SET status = $1, released_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [RESERVATION_STATUS.RELEASED, hold.id]
+    );
+    await this.refreshAvailability(client, hold.trip_id);
+  }
+
+  /**
+   * Libérer les blocages en cours sur un voyage (voyage annulé)
+   * @param {Object} client - Client de transaction
+   * @param {number} tripId - ID du voyage
+   * @returns {number} Nombre de blocages libérés
+   */
+  async releaseTripHolds(client, tripId) {
+    const result = await client.query(
+      `UPDATE capacity_reservations
+       SET status = $1, released_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE trip_id = $2 AND status = $3`,
+      [RESERVATION_STATUS.RELEASED, tripId, RESERVATION_STATUS.HELD]
+    );
+
+    if (result.rowCount > 0) {
+      await this.refreshAvailability(client, tripId);
+    }
+
+    return result.rowCount;
+  }
+
+  /**
+   * Réserver le poids et le volume d'un nouveau colis sur son tronçon, en convertissant le blocage
+   * de l'expéditeur s'il en a un
+   * @param {Object} client - Client de transaction
+   * @param {Object} packageData - Colis créé (id, trip_id, sender_id, weight, volume_litres, origin_stop_id, destination_stop_id)
+   * @param {number} holdId - Blocage à convertir (facultatif)
+   * @returns {Object} Réservation du colis
+   */
+  async reserveForPackage(client, packageData, holdId = null) {
+    const weight = parseFloat(packageData.weight);
+    const volume = hasValue(packageData.volume_litres) ? parseFloat(packageData.volume_litres) : 0;
+    const stops = { originStopId: packageData.origin_stop_id, destinationStopId: packageData.destination_stop_id };
+
+    if (holdId) {
+      const holdResult = await client.query(
+        'SELECT * FROM capacity_reservations WHERE id = $1 FOR UPDATE',
+        [holdId]
+      );
+      const hold = holdResult.rows[0];
+
+      if (!hold || hold.sender_id !== packageData.sender_id || hold.trip_id !== packageData.trip_id ||
+          hold.status !== RESERVATION_STATUS.HELD || new Date(hold.expires_at) <= new Date()) {
+        throw capacityError('Réservation temporaire introuvable ou expirée', 409);
+      }
+
+      // Le colis peut différer de ce qui a été bloqué (poids, volume, tronçon) : il est vérifié
+      // comme si le blocage était déjà rendu
+      await this.take(client, packageData.trip_id, { weight, volume }, stops, hold.id);
+
+      const result = await client.query(
+        `UPDATE capacity_reservations
+         SET package_id = $1, weight = $2, volume = $3, status = $4, expires_at = NULL,
+             origin_stop_id = $5, destination_stop_id = $6, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7
+         RETURNING *`,
+        [packageData.id, weight, volume, RESERVATION_STATUS.ACTIVE, stops.originStopId, stops.destinationStopId, hold.id]
+      );
+      await this.refreshAvailability(client, packageData.trip_id);
+
+      return formatReservation(result.rows[0]);
+    }
+
+    await this.take(client, packageData.trip_id, { weight, volume }, stops);
+
+    const result = await client.query(
+      `INSERT INTO capacity_reservations (
+         trip_id, package_id, sender_id, weight, volume, status, origin_stop_id, destination_stop_id
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        packageData.trip_id, packageData.id, packageData.sender_id, weight, volume, RESERVATION_STATUS.ACTIVE,
+        stops.originStopId, stops.destinationStopId
+      ]
+    );
+    await this.refreshAvailability(client, packageData.trip_id);
+
+    return formatReservation(result.rows[0]);
+  }
+
+  /**
+   * S'assurer qu'un colis dispose de sa réservation (colis demandés avant les réservations)
+   * @param {Object} client - Client de transaction
+   * @param {Object} packageData - Colis verrouillé
+   */
+  async ensureReservation(client, packageData) {
+    const result = await client.query(
+      'SELECT status FROM capacity_reservations WHERE package_id = $1 FOR UPDATE',
+      [packageData.id]
+    );
+
+    if (result.rows.length > 0 && result.rows[0].status === RESERVATION_STATUS.ACTIVE) return;
+
+    if (result.rows.length > 0) {
+      throw capacityError('La réservation de ce colis a déjà été libérée', 409);
+    }
+
+    await this.reserveForPackage(client, packageData);
+  }
+
+  /**
+   * Rendre à ses tronçons le poids et le volume d'un colis refusé ou annulé
+   * @param {Object} client - Client de transaction
+   * @param {number} packageId - ID du colis
+   */
+  async releaseForPackage(client, packageId) {
+    const result = await client.query(
+      `UPDATE capacity_reservations
+       SET status = $1, released_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE package_id = $2 AND status = $3
+       RETURNING trip_id`,
+      [RESERVATION_STATUS.RELEASED, packageId, RESERVATION_STATUS.ACTIVE]
+    );
+
+    if (result.rows.length > 0) {
+      await this.refreshAvailability(client, result.rows[0].trip_id);
+    }
+  }
+
+  /**
+   * Capacité libre sur un tronçon : celle de son tronçon le plus chargé
+   * @param {number} tripId - ID du voyage
+   * @param {Object} segment - originStopId, destinationStopId (voyage entier par défaut)
+   * @param {Object} client - Client de base de données (facultatif)
+   * @returns {Object} weight (kg), volume (litres, null si non limité)
+   */
+  async getSegmentCapacity(tripId, segment = {}, client = db) {
+    return freeCapacity(await this.loadSegment(client, tripId, segment));
+  }
+
+  /**
+   * Capacité qu'un expéditeur peut demander sur un tronçon : capacité libre et ses propres blocages
+   * @param {number} tripId - ID du voyage
+   * @param {number} senderId - Expéditeur
+   * @param {Object} segment - originStopId, destinationStopId (voyage entier par défaut)
+   * @returns {Object} weight (kg), volume (litres, null si non limité)
+   */
+  async getBookableCapacity(tripId, senderId, segment = {}) {
+    return freeCapacity(await this.loadSegment(db, tripId, segment, { excludeHoldsOf: senderId }));
+  }
+
+  /**
+   * Modifier la capacité totale d'un voyage sans toucher à ce qui est déjà réservé
+   * La nouvelle capacité doit couvrir le tronçon le plus chargé
+   * @param {Object} client - Client de transaction
+   * @param {number} tripId - ID du voyage
+   * @param {Object} capacity - totalWeight (kg) et/ou totalVolume (litres)
+   */
+  async resizeTrip(client, tripId, { totalWeight, totalVolume }) {
+    await this.lockTrip(client, tripId);
+
+    const load = await this.loadSegment(client, tripId);
+
+    if (hasValue(totalWeight) && totalWeight < parseFloat(load.weight)) {
+      throw capacityError('La capacité ne peut pas être inférieure au poids déjà réservé', 409);
+    }
+
+    if (hasValue(totalVolume) && totalVolume < parseFloat(load.volume)) {
+      throw capacityError('La capacité ne peut pas être inférieure au volume déjà réservé', 409);
+    }
+
+    // Un voyage jusque-là non limité en volume part des litres de ses réservations en cours
+    await client.query(
+      `UPDATE trips
+       SET total_weight = COALESCE($1, total_weight), available_weight = COALESCE($1, total_weight) - $3,
+           total_volume = COALESCE($2, total_volume), available_volume = COALESCE($2, total_volume) - $4,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [hasValue(totalWeight) ? totalWeight : null, hasValue(totalVolume) ? totalVolume : null, load.weight, load.volume, tripId]
+    );
+  }
+
+  /**
+   * Démarrer le job d'expiration des blocages (une exécution immédiate puis chaque minute)
+   */
+  start() {
+    if (this.timer) return;
+
+    const runSafely = () => this.expireHolds().catch(error => {
+      console.error('❌ Erreur du job d\'expiration des réservations:', error.message);
+    });
+
+    runSafely();
+    this.timer = setInterval(runSafely, HOLD_JOB_INTERVAL).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Rendre aux voyages la capacité des blocages échus (en une seule transaction)
+   * @returns {number} Nombre de blocages expirés
+   */
+  async expireHolds() {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE capacity_reservations
+         SET status = $1, released_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE status = $2 AND expires_at <= NOW()
+         RETURNING trip_id`,
+        [RESERVATION_STATUS.EXPIRED, RESERVATION_STATUS.HELD]
+      );
+
+      // Voyages verrouillés dans un ordre fixe
+      const tripIds = [...new Set(result.rows.map(row => row.trip_id))].sort((a, b) => a - b);
+      for (const tripId of tripIds) {
+        await this.refreshAvailability(client, tripId);
+      }
+
+      await client.query('COMMIT');
+
+      const expired = result.rows.length;
+      if (expired > 0) {
+        console.log(`⏳ ${expired} réservation(s) temporaire(s) expirée(s)`);
+      }
+
+      return expired;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = {
+  CapacityService: new CapacityService(),
+  RESERVATION_STATUS,
+  HOLD_DURATION_MINUTES,
+  formatCapacity,
+  segmentLoadQuery
+};
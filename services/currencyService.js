@@ -0,0 +1,301 @@
+const db = require('../config/database');
+const {
+  CURRENCIES,
+  CURRENCY_CODES,
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  roundAmount
+} = require('../config/currencies');
+
+/**
+ * Service des taux de change
+ * Les taux sont tenus par l'équipe (saisie ou import CSV) et gardés en cache.
+ * Une conversion utilise le taux direct, le taux inverse, ou passe par une
+ * devise pivot (ex. CAD -> EUR -> XOF).
+ */
+
+const RATE_SOURCES = {
+  MANUAL: 'manual',
+  CSV: 'csv',
+  FIXED: 'fixed' // Parités légales (franc CFA / euro), non modifiables
+};
+
+// Durée de vie du cache des taux
+const RATES_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+const currencyError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+const rateKey = (base, quote) => `${base}:${quote}`;
+
+class CurrencyService {
+  constructor() {
+    this.rates = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Charger les taux (depuis le cache s'il est récent)
+   * @returns {Map} Taux indexés par "BASE:QUOTE"
+   */
+  async loadRates() {
+    if (this.rates && Date.now() - this.loadedAt < RATES_CACHE_TTL) {
+      return this.rates;
+    }
+
+    const result = await db.query('SELECT base_currency, quote_currency, rate FROM exchange_rates');
+
+    const rates = new Map();
+    result.rows.forEach(row => {
+      rates.set(rateKey(row.base_currency, row.quote_currency), parseFloat(row.rate));
+    });
+
+    this.rates = rates;
+    this.loadedAt = Date.now();
+    return rates;
+  }
+
+  invalidateCache() {
+    this.rates = null;
+  }
+
+  /**
+   * Trouver le taux entre deux devises dans une table de taux
+   * @param {Map} rates - Taux chargés
+   * @param {string} from - Devise source
+   * @param {string} to - Devise cible
+   * @returns {number|null} Taux, ou null si aucun chemin n'existe
+   */
+  findRate(rates, from, to) {
+    if (from === to) return 1;
+
+    const direct = (base, quote) => {
+      if (rates.has(rateKey(base, quote))) return rates.get(rateKey(base, quote));
+      if (rates.has(rateKey(quote, base))) return 1 / rates.get(rateKey(quote, base));
+      return null;
+    };
+
+    const rate = direct(from, to);
+    if (rate !== null) return rate;
+
+    for (const pivot of CURRENCY_CODES) {
+      if (pivot === from || pivot === to) continue;
+
+      const first = direct(from, pivot);
+      const second = first !== null ? direct(pivot, to) : null;
+      if (second !== null) return first * second;
+    }
+
+    return null;
+  }
+
+  /**
+   * Préparer un convertisseur vers une devise (un seul chargement des taux)
+   * @param {string} targetCurrency - Devise cible
+   * @returns {Function} (amount, fromCurrency) => montant arrondi, ou null sans taux
+   */
+  async getConverter(targetCurrency) {
+    const rates = await this.loadRates();
+
+    return (amount, fromCurrency) => {
+      if (amount === null || amount === undefined || isNaN(amount)) return null;
+
+      const rate = this.findRate(rates, fromCurrency || DEFAULT_CURRENCY, targetCurrency);
+      return rate === null ? null : roundAmount(amount * rate, targetCurrency);
+    };
+  }
+
+  /**
+   * Convertir un montant
+   * @param {number} amount - Montant
+   * @param {string} from - Devise source
+   * @param {string} to - Devise cible
+   * @returns {number|null} Montant arrondi selon la devise cible, null sans taux
+   */
+  async convert(amount, from, to) {
+    const converter = await this.getConverter(to);
+    return converter(amount, from);
+  }
+
+  /**
+   * Facteurs de conversion de chaque devise vers la devise cible,
+   * sous forme de tableaux pour un unnest() SQL
+   * @param {string} targetCurrency - Devise cible
+   * @returns {Object} currencies, factors (devises sans taux omises)
+   */
+  async getConversionFactors(targetCurrency) {
+    const rates = await this.loadRates();
+    const currencies = [];
+    const factors = [];
+
+    CURRENCY_CODES.forEach(code => {
+      const rate = this.findRate(rates, code, targetCurrency);
+      if (rate !== null) {
+        currencies.push(code);
+        factors.push(rate);
+      }
+    });
+
+    return { currencies, factors };
+  }
+
+  /**
+   * Déterminer la devise d'affichage d'une requête :
+   * paramètre ?currency, puis préférence de l'utilisateur, puis devise par défaut
+   * @param {Object} req - Requête Express
+   * @returns {string} Code devise
+   */
+  resolveViewerCurrency(req) {
+    const requested = typeof req.query.currency === 'string' ? req.query.currency.toUpperCase() : null;
+
+    if (isSupportedCurrency(requested)) return requested;
+    if (req.user && isSupportedCurrency(req.user.preferred_currency)) return req.user.preferred_currency;
+    return DEFAULT_CURRENCY;
+  }
+
+  /**
+   * Lister les devises et les taux enregistrés
+   * @returns {Object} Devises acceptées et taux
+   */
+  async listRates() {
+    const result = await db.query(
+      `SELECT base_currency, quote_currency, rate, source, updated_by, updated_at
+       FROM exchange_rates
+       ORDER BY base_currency, quote_currency`
+    );
+
+    return {
+      defaultCurrency: DEFAULT_CURRENCY,
+      currencies: Object.values(CURRENCIES),
+      rates: result.rows.map(row => ({
+        base: row.base_currency,
+        quote: row.quote_currency,
+        rate: parseFloat(row.rate),
+        source: row.source,
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+      }))
+    };
+  }
+
+  /**
+   * Enregistrer un taux (1 base = rate quote)
+   * @param {Object} client - Client de transaction
+   * @param {Object} entry - base, quote, rate, source, actorId
+   * @returns {Object} Taux enregistré et taux précédent
+   */
+  async setRate(client, { base, quote, rate, source = RATE_SOURCES.MANUAL, actorId }) {
+    this.validateRate(base, quote, rate);
+
+    const existing = await client.query(
+      `SELECT rate, source FROM exchange_rates
+       WHERE (base_currency = $1 AND quote_currency = $2) OR (base_currency = $2 AND quote_currency = $1)
+       FOR UPDATE`,
+      [base, quote]
+    );
+
+    if (existing.rows.some(row => row.source === RATE_SOURCES.FIXED)) {
+      throw currencyError(`La parité ${base}/${quote} est fixe et ne peut pas être modifiée`, 409);
+    }
+
+    // Un seul sens est conservé par paire
+    await client.query(
+      'DELETE FROM exchange_rates WHERE base_currency = $1 AND quote_currency = $2',
+      [quote, base]
+    );
+
+    const result = await client.query(
+      `INSERT INTO exchange_rates (base_currency, quote_currency, rate, source, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+       ON CONFLICT (base_currency, quote_currency) DO UPDATE SET
+         rate = EXCLUDED.rate, source = EXCLUDED.source,
+         updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [base, quote, rate, source, actorId]
+    );
+
+    this.invalidateCache();
+
+    return {
+      base,
+      quote,
+      rate: parseFloat(result.rows[0].rate),
+      source,
+      previousRate: existing.rows[0] ? parseFloat(existing.rows[0].rate) : null
+    };
+  }
+
+  /**
+   * Importer des taux depuis un CSV "base,quote,rate" (en-tête facultatif)
+   * Le fichier est refusé en entier si une ligne est invalide
+   * @param {Object} client - Client de transaction
+   * @param {string} csv - Contenu du fichier
+   * @param {number} actorId - Membre de l'équipe
+   * @returns {Array} Taux importés
+   */
+  async importCsv(client, csv, actorId) {
+    const lines = csv.split(/\r?\n/)
+      .map((line, index) => ({ number: index + 1, text: line.trim() }))
+      .filter(line => line.text && !line.text.startsWith('#'));
+
+    if (lines.length > 0 && /^base\s*[,;]/i.test(lines[0].text)) {
+      lines.shift();
+    }
+
+    if (lines.length === 0) {
+      throw currencyError('Le fichier CSV ne contient aucun taux', 400);
+    }
+
+    const errors = [];
+    const entries = lines.map(line => {
+      const [base, quote, rawRate] = line.text.split(/[,;]/).map(value => value.trim());
+      const entry = {
+        base: (base || '').toUpperCase(),
+        quote: (quote || '').toUpperCase(),
+        rate: parseFloat(rawRate)
+      };
+
+      try {
+        this.validateRate(entry.base, entry.quote, entry.rate);
+      } catch (error) {
+        errors.push({ line: line.number, message: error.message });
+      }
+
+      return entry;
+    });
+
+    if (errors.length > 0) {
+      throw currencyError('Fichier CSV invalide', 400, errors);
+    }
+
+    const imported = [];
+    for (const entry of entries) {
+      imported.push(await this.setRate(client, { ...entry, source: RATE_SOURCES.CSV, actorId }));
+    }
+
+    return imported;
+  }
+
+  validateRate(base, quote, rate) {
+    if (!isSupportedCurrency(base) || !isSupportedCurrency(quote)) {
+      throw currencyError(`Devise non prise en charge (${CURRENCY_CODES.join(', ')})`, 400);
+    }
+
+    if (base === quote) {
+      throw currencyError('Les deux devises doivent être différentes', 400);
+    }
+
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw currencyError('Le taux doit être un nombre positif', 400);
+    }
+  }
+}
+
+module.exports = {
+  CurrencyService: new CurrencyService(),
+  RATE_SOURCES
+};
@@ -0,0 +1,600 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const db = require('../config/database');
+const socketService = require('./socketService');
+const { PACKAGE_STATUS, CAPACITY_HOLDING_STATUSES } = require('./packageLifecycleService');
+const { ScreeningService, PACKAGE_SCREENING_STATUS } = require('./screeningService');
+const { PACKAGE_CATEGORIES } = require('../config/packageCategories');
+const { CURRENCIES, roundAmount } = require('../config/currencies');
+const { formatDimensions } = require('../config/dimensions');
+
+/**
+ * Déclarations en douane ChapChap
+ * Déclaration par colis et manifeste consolidé par voyage, générés en PDF
+ * sur le serveur. Chaque déclaration est signée dans l'application par
+ * l'expéditeur et le voyageur ; la signature porte sur l'empreinte du
+ * contenu déclaré et tombe si le colis est modifié.
+ */
+
+const SIGNER_ROLES = {
+  SENDER: 'sender',
+  TRAVELER: 'traveler'
+};
+
+const DECLARATION_STATUS = {
+  UNSIGNED: 'unsigned',
+  PARTIALLY_SIGNED: 'partially_signed',
+  SIGNED: 'signed'
+};
+
+// Une déclaration existe dès l'acceptation et reste consultable après la livraison
+const DECLARABLE_STATUSES = Object.values(PACKAGE_STATUS).filter(status => ![
+  PACKAGE_STATUS.PENDING,
+  PACKAGE_STATUS.REJECTED,
+  PACKAGE_STATUS.CANCELLED
+].includes(status));
+
+// Elle se signe tant que le colis n'est pas remis au destinataire
+const SIGNABLE_STATUSES = CAPACITY_HOLDING_STATUSES;
+
+// Trajet déclaré : tronçon du colis pour les voyages à étapes, voyage entier sinon
+const DECLARATION_QUERY = `
+  SELECT
+    p.*,
+    t.traveler_id,
+    COALESCE(os.country, t.departure_country) as departure_country,
+    COALESCE(os.city, t.departure_city) as departure_city,
+    COALESCE(ds.country, t.destination_country) as destination_country,
+    COALESCE(ds.city, t.destination_city) as destination_city,
+    COALESCE(os.departure_date, t.departure_date) as departure_date,
+    COALESCE(ds.arrival_date, t.arrival_date) as arrival_date,
+    sender.first_name as sender_first_name, sender.last_name as sender_last_name,
+    sender.email as sender_email, sender.phone as sender_phone,
+    traveler.first_name as traveler_first_name, traveler.last_name as traveler_last_name,
+    traveler.email as traveler_email, traveler.phone as traveler_phone,
+    recipient.name as recipient_name, recipient.phone as recipient_phone,
+    cd.content_hash, cd.sender_signed_at, cd.sender_signature_ip,
+    cd.traveler_signed_at, cd.traveler_signature_ip
+  FROM packages p
+  JOIN trips t ON p.trip_id = t.id
+  JOIN users sender ON p.sender_id = sender.id
+  JOIN users traveler ON t.traveler_id = traveler.id
+  LEFT JOIN recipients recipient ON p.recipient_id = recipient.id
+  LEFT JOIN trip_stops os ON p.origin_stop_id = os.id
+  LEFT JOIN trip_stops ds ON p.destination_stop_id = ds.id
+  LEFT JOIN customs_declarations cd ON cd.package_id = p.id
+`;
+
+const customsError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toNumber = (value) => (value !== null && value !== undefined ? parseFloat(value) : null);
+
+const formatAmount = (amount, currency) => {
+  if (amount === null) return 'Non déclarée';
+  const decimals = CURRENCIES[currency] ? CURRENCIES[currency].decimals : 2;
+  return `${roundAmount(amount, currency).toFixed(decimals)} ${currency}`;
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '—');
+
+const formatDateTime = (date) => (date ? `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC` : null);
+
+const dimensionsText = (pkg) => {
+  const dimensions = formatDimensions(pkg);
+  if (!dimensions) return null;
+  return dimensions.text || `${dimensions.length}×${dimensions.width}×${dimensions.height} cm`;
+};
+
+// Mise en page PDF
+
+const PAGE_MARGIN = 50;
+
+const MANIFEST_COLUMNS = [
+  { label: 'Colis', width: 45 },
+  { label: 'Désignation', width: 130 },
+  { label: 'Expéditeur', width: 100 },
+  { label: 'Catégorie', width: 70 },
+  { label: 'Poids', width: 45 },
+  { label: 'Valeur', width: 60 },
+  { label: 'Signatures', width: 45 }
+];
+
+const createDocument = (title) => new PDFDocument({
+  size: 'A4',
+  margin: PAGE_MARGIN,
+  info: { Title: title, Author: 'ChapChap' }
+});
+
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+const writeHeader = (doc, title, subtitle, lines) => {
+  doc.font('Helvetica-Bold').fontSize(18).text(title, { align: 'center' });
+  doc.font('Helvetica-Oblique').fontSize(11).text(subtitle, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(9).text(lines.join('   |   '), { align: 'center' });
+  doc.moveDown();
+};
+
+const writeSection = (doc, title) => {
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(11).text(title.toUpperCase());
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).stroke();
+  doc.moveDown(0.3);
+};
+
+const writeField = (doc, label, value) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(`${label} : `, { continued: true });
+  doc.font('Helvetica').text(value || '—');
+};
+
+const writeParty = (doc, party) => {
+  writeField(doc, 'Nom', party.name);
+  writeField(doc, 'Courriel', party.email);
+  writeField(doc, 'Téléphone', party.phone);
+};
+
+const writeSignature = (doc, label, name, signature) => {
+  const text = signature
+    ? `Signé électroniquement par ${name} le ${formatDateTime(signature.signedAt)}`
+    : `En attente de la signature de ${name}`;
+  writeField(doc, label, text);
+};
+
+const writeFooter = (doc, hash) => {
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(7).fillColor('#666666').text(
+    `Document généré par ChapChap. Empreinte SHA-256 du contenu signé : ${hash}`,
+    { align: 'center' }
+  );
+  doc.fillColor('#000000');
+};
+
+const writeTableRow = (doc, cells, font) => {
+  doc.font(font).fontSize(8);
+
+  const heights = cells.map((cell, index) => doc.heightOfString(cell, { width: MANIFEST_COLUMNS[index].width - 4 }));
+  const rowHeight = Math.max(...heights) + 4;
+
+  if (doc.y + rowHeight > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  let x = PAGE_MARGIN;
+  cells.forEach((cell, index) => {
+    doc.text(cell, x + 2, top + 2, { width: MANIFEST_COLUMNS[index].width - 4 });
+    x += MANIFEST_COLUMNS[index].width;
+  });
+
+  doc.moveTo(PAGE_MARGIN, top + rowHeight).lineTo(x, top + rowHeight).stroke();
+  doc.x = PAGE_MARGIN;
+  doc.y = top + rowHeight;
+};
+
+const writeManifestTable = (doc, declarations) => {
+  if (declarations.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('Aucun colis en cours de transport sur ce voyage.');
+    return;
+  }
+
+  writeTableRow(doc, MANIFEST_COLUMNS.map(column => column.label), 'Helvetica-Bold');
+
+  declarations.forEach(({ content, signatures }) => {
+    writeTableRow(doc, [
+      String(content.packageId),
+      content.title,
+      content.sender.name,
+      content.categoryLabel,
+      `${content.weight} kg`,
+      formatAmount(content.value, content.currency),
+      `Exp. ${signatures.sender ? 'oui' : 'non'}\nVoy. ${signatures.traveler ? 'oui' : 'non'}`
+    ], 'Helvetica');
+  });
+};
+
+class CustomsService {
+  /**
+   * Établir la déclaration d'un colis (contenu, empreinte et signatures valides)
+   * @param {Object} row - Ligne DECLARATION_QUERY
+   * @param {Object} client - Client de base de données (facultatif)
+   * @returns {Object} Déclaration
+   */
+  async buildDeclaration(row, client = db) {
+    const restrictions = row.screening_status && row.screening_status !== PACKAGE_SCREENING_STATUS.CLEARED
+      ? await ScreeningService.getRestrictions(row.id, client)
+      : [];
+
+    // Contenu signé : l'ordre des champs est fixe pour que l'empreinte soit stable
+    const content = {
+      packageId: row.id,
+      title: row.title,
+      description: row.description || null,
+      category: row.category,
+      categoryLabel: PACKAGE_CATEGORIES[row.category] ? PACKAGE_CATEGORIES[row.category].label : row.category,
+      weight: toNumber(row.weight),
+      dimensions: dimensionsText(row),
+      value: toNumber(row.value),
+      currency: row.currency,
+      route: {
+        departureCountry: row.departure_country,
+        departureCity: row.departure_city,
+        destinationCountry: row.destination_country,
+        destinationCity: row.destination_city,
+        departureDate: formatDate(row.departure_date)
+      },
+      sender: {
+        id: row.sender_id,
+        name: `${row.sender_first_name} ${row.sender_last_name}`,
+        email: row.sender_email,
+        phone: row.sender_phone || null,
+        address: row.pickup_address
+      },
+      traveler: {
+        id: row.traveler_id,
+        name: `${row.traveler_first_name} ${row.traveler_last_name}`,
+        email: row.traveler_email,
+        phone: row.traveler_phone || null
+      },
+      consignee: {
+        name: row.recipient_name || null,
+        phone: row.recipient_phone || null,
+        address: row.delivery_address
+      },
+      restrictions: restrictions.map(restriction => restriction.reason)
+    };
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+
+    // Une signature portant sur un autre contenu n'a plus de valeur
+    const signaturesValid = row.content_hash === hash;
+    const signatures = {
+      sender: signaturesValid && row.sender_signed_at ? { signedAt: row.sender_signed_at } : null,
+      traveler: signaturesValid && row.traveler_signed_at ? { signedAt: row.traveler_signed_at } : null
+    };
+
+    let status = DECLARATION_STATUS.UNSIGNED;
+    if (signatures.sender && signatures.traveler) {
+      status = DECLARATION_STATUS.SIGNED;
+    } else if (signatures.sender || signatures.traveler) {
+      status = DECLARATION_STATUS.PARTIALLY_SIGNED;
+    }
+
+    return {
+      packageId: row.id,
+      packageStatus: row.status,
+      status,
+      hash,
+      content,
+      signatures,
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Rôle de l'utilisateur dans la déclaration
+   * @param {Object} row - Ligne DECLARATION_QUERY
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {string|null} Rôle de signataire
+   */
+  getSignerRole(row, userId) {
+    if (row.sender_id === userId) return SIGNER_ROLES.SENDER;
+    if (row.traveler_id === userId) return SIGNER_ROLES.TRAVELER;
+    return null;
+  }
+
+  /**
+   * Obtenir la déclaration en douane d'un colis
+   * @param {number} packageId - ID du colis
+   * @param {number} userId - Expéditeur ou voyageur du colis
+   * @returns {Object} Déclaration
+   */
+  async getDeclaration(packageId, userId) {
+    const result = await db.query(`${DECLARATION_QUERY} WHERE p.id = $1`, [packageId]);
+    const row = result.rows[0];
+
+    if (!row) {
+      throw customsError('Colis non trouvé', 404);
+    }
+
+    if (!this.getSignerRole(row, userId)) {
+      throw customsError('Accès non autorisé à ce colis', 403);
+    }
+
+    if (!DECLARABLE_STATUSES.includes(row.status)) {
+      throw customsError('La déclaration en douane est disponible une fois la demande acceptée', 400);
+    }
+
+    return this.buildDeclaration(row);
+  }
+
+  /**
+   * Signer la déclaration d'un colis dans l'application
+   * @param {number} packageId - ID du colis
+   * @param {number} userId - Expéditeur ou voyageur du colis
+   * @param {Object} context - ip
+   * @returns {Object} Déclaration à jour
+   */
+  async signDeclaration(packageId, userId, context = {}) {
+    const client = await db.getClient();
+    let declaration;
+    let role;
+    let row;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`${DECLARATION_QUERY} WHERE p.id = $1 FOR UPDATE OF p`, [packageId]);
+      row = result.rows[0];
+
+      if (!row) {
+        throw customsError('Colis non trouvé', 404);
+      }
+
+      role = this.getSignerRole(row, userId);
+
+      if (!role) {
+        throw customsError('Accès non autorisé à ce colis', 403);
+      }
+
+      if (!SIGNABLE_STATUSES.includes(row.status)) {
+        throw customsError('La déclaration ne peut être signée qu\'entre l\'acceptation et la livraison du colis', 400);
+      }
+
+      const current = await this.buildDeclaration(row, client);
+
+      if (current.signatures[role]) {
+        throw customsError('Vous avez déjà signé cette déclaration', 409);
+      }
+
+      // Le contenu a changé depuis la dernière signature : l'autre partie doit signer à nouveau
+      const keepOther = row.content_hash === current.hash;
+      const columns = {
+        sender_signed_at: keepOther ? row.sender_signed_at : null,
+        sender_signature_ip: keepOther ? row.sender_signature_ip : null,
+        traveler_signed_at: keepOther ? row.traveler_signed_at : null,
+        traveler_signature_ip: keepOther ? row.traveler_signature_ip : null
+      };
+      columns[`${role}_signed_at`] = new Date();
+      columns[`${role}_signature_ip`] = context.ip || null;
+
+      await client.query(
+        `INSERT INTO customs_declarations
+         (package_id, content_hash, sender_signed_at, sender_signature_ip, traveler_signed_at, traveler_signature_ip)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (package_id) DO UPDATE
+         SET content_hash = EXCLUDED.content_hash,
+             sender_signed_at = EXCLUDED.sender_signed_at,
+             sender_signature_ip = EXCLUDED.sender_signature_ip,
+             traveler_signed_at = EXCLUDED.traveler_signed_at,
+             traveler_signature_ip = EXCLUDED.traveler_signature_ip,
+             updated_at = CURRENT_TIMESTAMP`,
+        [
+          packageId, current.hash,
+          columns.sender_signed_at, columns.sender_signature_ip,
+          columns.traveler_signed_at, columns.traveler_signature_ip
+        ]
+      );
+
+      declaration = await this.buildDeclaration({ ...row, content_hash: current.hash, ...columns }, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`🛃 Déclaration en douane du colis ${packageId} signée (${role})`);
+
+    // Prévenir l'autre partie qu'il lui reste à signer
+    const otherPartyId = role === SIGNER_ROLES.SENDER ? row.traveler_id : row.sender_id;
+    socketService.sendSystemNotification(otherPartyId, {
+      type: 'customs_declaration_signed',
+      packageId,
+      status: declaration.status,
+      title: 'Déclaration en douane',
+      message: declaration.status === DECLARATION_STATUS.SIGNED
+        ? `La déclaration du colis "${row.title}" est signée par les deux parties`
+        : `${role === SIGNER_ROLES.SENDER ? 'L\'expéditeur' : 'Le voyageur'} a signé la déclaration du colis "${row.title}" : à votre tour`,
+      icon: '🛃',
+      timestamp: new Date().toISOString()
+    });
+
+    return declaration;
+  }
+
+  /**
+   * Obtenir le manifeste consolidé d'un voyage (colis en cours de transport)
+   * @param {number} tripId - ID du voyage
+   * @param {number} userId - Voyageur
+   * @returns {Object} Manifeste
+   */
+  async getManifest(tripId, userId) {
+    const tripResult = await db.query(
+      `SELECT t.*, u.first_name, u.last_name, u.email, u.phone
+       FROM trips t
+       JOIN users u ON t.traveler_id = u.id
+       WHERE t.id = $1`,
+      [tripId]
+    );
+    const trip = tripResult.rows[0];
+
+    if (!trip) {
+      throw customsError('Voyage non trouvé', 404);
+    }
+
+    if (trip.traveler_id !== userId) {
+      throw customsError('Seul le voyageur peut obtenir le manifeste de ce voyage', 403);
+    }
+
+    const packagesResult = await db.query(
+      `${DECLARATION_QUERY} WHERE p.trip_id = $1 AND p.status = ANY($2) ORDER BY p.accepted_at ASC NULLS LAST, p.id ASC`,
+      [tripId, SIGNABLE_STATUSES]
+    );
+
+    const declarations = [];
+    for (const row of packagesResult.rows) {
+      declarations.push(await this.buildDeclaration(row));
+    }
+
+    const totalWeight = declarations.reduce((sum, declaration) => sum + declaration.content.weight, 0);
+    const totalValue = declarations.reduce((sum, declaration) => sum + (declaration.content.value || 0), 0);
+
+    return {
+      trip: {
+        id: trip.id,
+        departureCountry: trip.departure_country,
+        departureCity: trip.departure_city,
+        destinationCountry: trip.destination_country,
+        destinationCity: trip.destination_city,
+        departureDate: formatDate(trip.departure_date),
+        arrivalDate: formatDate(trip.arrival_date)
+      },
+      traveler: {
+        id: trip.traveler_id,
+        name: `${trip.first_name} ${trip.last_name}`,
+        email: trip.email,
+        phone: trip.phone || null
+      },
+      declarations,
+      totals: {
+        packages: declarations.length,
+        weight: Math.round(totalWeight * 100) / 100,
+        value: roundAmount(totalValue, trip.currency),
+        currency: trip.currency,
+        fullySigned: declarations.filter(declaration => declaration.status === DECLARATION_STATUS.SIGNED).length
+      },
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Générer le PDF de la déclaration d'un colis
+   * @param {Object} declaration - Déclaration (getDeclaration)
+   * @returns {Promise<Buffer>} PDF
+   */
+  renderDeclarationPdf(declaration) {
+    const { content } = declaration;
+    const doc = createDocument(`Déclaration en douane - colis ${content.packageId}`);
+
+    writeHeader(doc, 'DÉCLARATION EN DOUANE', 'Customs declaration', [
+      `Colis n° ${content.packageId}`,
+      `Établie le ${formatDateTime(declaration.generatedAt)}`
+    ]);
+
+    writeSection(doc, 'Trajet / Route');
+    writeField(doc, 'Départ', `${content.route.departureCity}, ${content.route.departureCountry}`);
+    writeField(doc, 'Destination', `${content.route.destinationCity}, ${content.route.destinationCountry}`);
+    writeField(doc, 'Date de départ', content.route.departureDate);
+
+    writeSection(doc, 'Expéditeur / Sender');
+    writeParty(doc, content.sender);
+    writeField(doc, 'Adresse', content.sender.address);
+
+    writeSection(doc, 'Transporteur / Carrier');
+    writeParty(doc, content.traveler);
+
+    writeSection(doc, 'Destinataire / Consignee');
+    if (content.consignee.name) writeField(doc, 'Nom', content.consignee.name);
+    if (content.consignee.phone) writeField(doc, 'Téléphone', content.consignee.phone);
+    writeField(doc, 'Adresse de livraison', content.consignee.address);
+
+    writeSection(doc, 'Contenu / Contents');
+    writeField(doc, 'Désignation', content.title);
+    if (content.description) writeField(doc, 'Description', content.description);
+    writeField(doc, 'Catégorie', content.categoryLabel);
+    writeField(doc, 'Poids', `${content.weight} kg`);
+    if (content.dimensions) writeField(doc, 'Dimensions', content.dimensions);
+    writeField(doc, 'Valeur déclarée', formatAmount(content.value, content.currency));
+    if (content.restrictions.length > 0) {
+      writeField(doc, 'Objets réglementés', content.restrictions.join(' ; '));
+    }
+
+    writeSection(doc, 'Attestation / Statement');
+    doc.font('Helvetica').fontSize(9).text(
+      'L\'expéditeur certifie que les informations ci-dessus sont exactes et que le colis ne contient aucun objet ' +
+      'interdit. Le transporteur atteste avoir pris connaissance du contenu déclaré.'
+    );
+    doc.moveDown(0.5);
+
+    writeSignature(doc, 'Expéditeur', content.sender.name, declaration.signatures.sender);
+    writeSignature(doc, 'Transporteur', content.traveler.name, declaration.signatures.traveler);
+
+    writeFooter(doc, declaration.hash);
+
+    return toBuffer(doc);
+  }
+
+  /**
+   * Générer le PDF du manifeste consolidé d'un voyage
+   * @param {Object} manifest - Manifeste (getManifest)
+   * @returns {Promise<Buffer>} PDF
+   */
+  renderManifestPdf(manifest) {
+    const { trip, traveler, totals } = manifest;
+    const doc = createDocument(`Manifeste - voyage ${trip.id}`);
+
+    writeHeader(doc, 'MANIFESTE DE TRANSPORT', 'Consolidated manifest', [
+      `Voyage n° ${trip.id}`,
+      `Établi le ${formatDateTime(manifest.generatedAt)}`
+    ]);
+
+    writeSection(doc, 'Voyage / Trip');
+    writeField(doc, 'Départ', `${trip.departureCity}, ${trip.departureCountry} (${trip.departureDate})`);
+    writeField(doc, 'Destination', `${trip.destinationCity}, ${trip.destinationCountry} (${trip.arrivalDate})`);
+
+    writeSection(doc, 'Transporteur / Carrier');
+    writeParty(doc, traveler);
+
+    writeSection(doc, `Colis transportés / Packages (${totals.packages})`);
+    writeManifestTable(doc, manifest.declarations);
+
+    doc.moveDown(0.5);
+    writeField(doc, 'Poids total', `${totals.weight} kg`);
+    writeField(doc, 'Valeur totale déclarée', formatAmount(totals.value, totals.currency));
+    writeField(doc, 'Déclarations signées', `${totals.fullySigned} / ${totals.packages}`);
+
+    const manifestHash = crypto.createHash('sha256')
+      .update(manifest.declarations.map(declaration => declaration.hash).join(''))
+      .digest('hex');
+    writeFooter(doc, manifestHash);
+
+    return toBuffer(doc);
+  }
+}
+
+/**
+ * Envoyer un PDF généré au client
+ * @param {Object} res - Réponse Express
+ * @param {Buffer} buffer - PDF
+ * @param {string} filename - Nom du fichier téléchargé
+ */
+const sendPdf = (res, buffer, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(buffer);
+};
+
+module.exports = {
+  CustomsService: new CustomsService(),
+  sendPdf,
+  SIGNER_ROLES,
+  DECLARATION_STATUS,
+  DECLARABLE_STATUSES
+};
@@ -0,0 +1,770 @@
+const db = require('../config/database');
+const socketService = require('./socketService');
+const path = require('path');
+const { getEvidencePath, getEvidenceUrl } = require('./uploadService');
+const { PaymentService } = require('./paymentService');
+const { InsuranceService, POLICY_STATUS } = require('./insuranceService');
+const {
+  PackageLifecycleService,
+  PACKAGE_STATUS,
+  ACTORS
+} = require('./packageLifecycleService');
+const { PERMISSIONS, ROLE_PERMISSIONS, hasPermission } = require('../config/permissions');
+
+/**
+ * Service de médiation des litiges
+ * Un litige est attribué à un modérateur, instruit à partir des déclarations
+ * et preuves des deux parties, puis tranché : remboursement total ou partiel,
+ * paiement du voyageur, ou sans suite (le transport reprend).
+ * Des délais (SLA) encadrent l'attribution et la décision.
+ */
+
+const DISPUTE_STATUS = {
+  OPEN: 'open',                   // En attente d'un modérateur
+  INVESTIGATING: 'investigating', // Instruit par un modérateur
+  RESOLVED: 'resolved',           // Décision rendue, fil encore ouvert aux parties
+  CLOSED: 'closed'                // Archivé
+};
+
+// Nature du litige : la perte et le dommage relèvent de l'assurance
+const DISPUTE_TYPES = {
+  LOSS: 'loss',
+  DAMAGE: 'damage',
+  DELAY: 'delay',
+  OTHER: 'other'
+};
+
+const DISPUTE_OUTCOMES = {
+  REFUND: 'refund',                 // Expéditeur remboursé en totalité
+  PARTIAL_REFUND: 'partial_refund', // Expéditeur remboursé en partie, le voyageur garde le reste
+  PAYOUT: 'payout',                 // Voyageur payé comme à une livraison confirmée
+  NO_ACTION: 'no_action'            // Sans suite : le colis reprend son statut d'avant le litige
+};
+
+const MESSAGE_TYPES = {
+  STATEMENT: 'statement', // Déclaration d'une partie
+  MESSAGE: 'message',
+  DECISION: 'decision',
+  SYSTEM: 'system'
+};
+
+const AUTHOR_ROLES = {
+  SENDER: ACTORS.SENDER,
+  TRAVELER: ACTORS.TRAVELER,
+  MODERATOR: ACTORS.MODERATOR,
+  SYSTEM: 'system'
+};
+
+// Délais de traitement
+const DISPUTE_SLA = {
+  assignmentHours: 24,   // Attribution à un modérateur
+  resolutionHours: 168,  // Décision (7 jours)
+  closeAfterHours: 168   // Archivage 7 jours après la décision
+};
+
+const ACTIVE_STATUSES = [DISPUTE_STATUS.OPEN, DISPUTE_STATUS.INVESTIGATING];
+
+// Fréquence du job de suivi des délais
+const SLA_JOB_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+const disputeError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const parseJsonArray = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Photos de preuve avec l'URL de la route qui les sert (parties et équipe de médiation)
+const withEvidenceUrls = (photos, resourcePath) => photos.map(photo => ({
+  ...photo,
+  url: getEvidenceUrl(resourcePath, photo)
+}));
+
+const hoursFrom = (date, hours) => new Date(new Date(date).getTime() + hours * 60 * 60 * 1000);
+
+const formatDispute = (dispute) => ({
+  id: dispute.id,
+  packageId: dispute.package_id,
+  packageTitle: dispute.package_title,
+  packageStatus: dispute.package_status,
+  reporterId: dispute.reporter_id,
+  type: dispute.dispute_type,
+  reason: dispute.reason,
+  description: dispute.description,
+  evidencePhotos: withEvidenceUrls(parseJsonArray(dispute.evidence_photos), `/disputes/${dispute.id}`),
+  status: dispute.status,
+  assignedTo: dispute.assigned_to,
+  assignedAt: dispute.assigned_at,
+  outcome: dispute.outcome,
+  refundAmount: dispute.refund_amount !== null && dispute.refund_amount !== undefined
+    ? parseFloat(dispute.refund_amount)
+    : null,
+  resolution: dispute.resolution,
+  resolvedInFavorOf: dispute.resolved_in_favor_of,
+  resolvedBy: dispute.resolved_by,
+  resolvedAt: dispute.resolved_at,
+  sla: {
+    assignmentDueAt: dispute.assignment_due_at,
+    resolutionDueAt: dispute.resolution_due_at,
+    assignmentBreachedAt: dispute.assignment_breached_at,
+    resolutionBreachedAt: dispute.resolution_breached_at
+  },
+  closedAt: dispute.closed_at,
+  createdAt: dispute.created_at,
+  updatedAt: dispute.updated_at
+});
+
+const formatMessage = (message) => ({
+  id: message.id,
+  parentId: message.parent_id,
+  authorId: message.author_id,
+  authorName: message.author_first_name
+    ? `${message.author_first_name} ${message.author_last_name || ''}`.trim()
+    : null,
+  authorRole: message.author_role,
+  type: message.message_type,
+  body: message.body,
+  attachments: withEvidenceUrls(parseJsonArray(message.attachments), `/disputes/${message.dispute_id}`),
+  internal: message.is_internal,
+  createdAt: message.created_at,
+  replies: []
+});
+
+/**
+ * Organiser les messages en fils : réponses rattachées à leur message parent
+ * @param {Array} rows - Messages triés par date
+ * @returns {Array} Messages racines avec leurs réponses
+ */
+const buildThreads = (rows) => {
+  const messages = new Map(rows.map(row => [row.id, formatMessage(row)]));
+  const threads = [];
+
+  messages.forEach(message => {
+    const parent = message.parentId && messages.get(message.parentId);
+    if (parent) {
+      parent.replies.push(message);
+    } else {
+      threads.push(message);
+    }
+  });
+
+  return threads;
+};
+
+class DisputeService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Échéances d'un nouveau litige
+   * @param {Date} createdAt - Date de déclaration
+   * @returns {Object} assignmentDueAt, resolutionDueAt
+   */
+  getSlaDeadlines(createdAt = new Date()) {
+    return {
+      assignmentDueAt: hoursFrom(createdAt, DISPUTE_SLA.assignmentHours),
+      resolutionDueAt: hoursFrom(createdAt, DISPUTE_SLA.resolutionHours)
+    };
+  }
+
+  /**
+   * Inscrire un message au fil du litige
+   * @param {Object} client - Client de base de données
+   * @param {Object} message - disputeId, authorId, authorRole, type, body, attachments, internal, parentId
+   * @returns {Object} Message enregistré
+   */
+  async insertMessage(client, message) {
+    const result = await client.query(
+      `INSERT INTO package_dispute_messages
+       (dispute_id, parent_id, author_id, author_role, message_type, body, attachments, is_internal)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        message.disputeId,
+        message.parentId || null,
+        message.authorId || null,
+        message.authorRole,
+        message.type,
+        message.body,
+        JSON.stringify(message.attachments || []),
+        Boolean(message.internal)
+      ]
+    );
+
+    await client.query(
+      'UPDATE package_disputes SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [message.disputeId]
+    );
+
+    return formatMessage(result.rows[0]);
+  }
+
+  /**
+   * Charger un litige avec son colis
+   * @param {Object} client - Client de base de données
+   * @param {number} disputeId - ID du litige
+   * @param {boolean} forUpdate - Verrouiller la ligne du litige
+   * @returns {Object} Ligne du litige (sender_id, traveler_id du colis)
+   */
+  async getDisputeRow(client, disputeId, forUpdate = false) {
+    const result = await client.query(
+      `SELECT pd.*, p.title as package_title, p.status as package_status, p.sender_id, p.traveler_id
+       FROM package_disputes pd
+       JOIN packages p ON pd.package_id = p.id
+       WHERE pd.id = $1
+       ${forUpdate ? 'FOR UPDATE OF pd' : ''}`,
+      [disputeId]
+    );
+
+    if (result.rows.length === 0) {
+      throw disputeError('Litige non trouvé', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Rôle d'un utilisateur dans le litige (partie du colis)
+   * @param {Object} dispute - Ligne du litige
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {string} sender ou traveler
+   */
+  getPartyRole(dispute, userId) {
+    if (dispute.sender_id === userId) return AUTHOR_ROLES.SENDER;
+    if (dispute.traveler_id === userId) return AUTHOR_ROLES.TRAVELER;
+    throw disputeError('Accès non autorisé à ce litige', 403);
+  }
+
+  /**
+   * Litige et fil de discussion
+   * @param {number} disputeId - ID du litige
+   * @param {Object} viewer - userId, ou staff: true pour voir les notes internes
+   * @returns {Object} Litige et messages en fils
+   */
+  async getDispute(disputeId, { userId, staff = false }) {
+    const dispute = await this.getDisputeRow(db, disputeId);
+
+    if (!staff) {
+      this.getPartyRole(dispute, userId);
+    }
+
+    const messagesResult = await db.query(
+      `SELECT m.*, u.first_name as author_first_name, u.last_name as author_last_name
+       FROM package_dispute_messages m
+       LEFT JOIN users u ON m.author_id = u.id
+       WHERE m.dispute_id = $1 ${staff ? '' : 'AND m.is_internal = FALSE'}
+       ORDER BY m.created_at, m.id`,
+      [disputeId]
+    );
+
+    return {
+      dispute: formatDispute(dispute),
+      messages: buildThreads(messagesResult.rows)
+    };
+  }
+
+  /**
+   * Photo de preuve d'un litige : déclaration initiale ou pièce jointe d'un message
+   * @param {number} disputeId - ID du litige
+   * @param {string} filename - Nom du fichier demandé
+   * @param {Object} viewer - userId, ou staff: true (pièces des notes internes comprises)
+   * @returns {Object} Photo (path, originalName, size)
+   */
+  async getEvidencePhoto(disputeId, filename, { userId, staff = false }) {
+    const dispute = await this.getDisputeRow(db, disputeId);
+
+    if (!staff) {
+      this.getPartyRole(dispute, userId);
+    }
+
+    const messagesResult = await db.query(
+      `SELECT attachments FROM package_dispute_messages
+       WHERE dispute_id = $1 ${staff ? '' : 'AND is_internal = FALSE'}`,
+      [disputeId]
+    );
+
+    const photo = [
+      ...parseJsonArray(dispute.evidence_photos),
+      ...messagesResult.rows.flatMap(message => parseJsonArray(message.attachments))
+    ].find(candidate => candidate.path && path.basename(candidate.path) === path.basename(filename));
+
+    if (!photo) {
+      throw disputeError('Photo de preuve non trouvée', 404);
+    }
+
+    return photo;
+  }
+
+  /**
+   * Ajouter une déclaration ou un message d'une partie, avec photos de preuve
+   * @param {number} disputeId - ID du litige
+   * @param {number} userId - Expéditeur ou voyageur
+   * @param {Object} message - type (statement, message), body, parentId
+   * @param {Array} files - Photos de preuve enregistrées par l'upload (facultatives)
+   * @returns {Object} Message enregistré
+   */
+  async addPartyMessage(disputeId, userId, { type = MESSAGE_TYPES.MESSAGE, body, parentId }, files = []) {
+    const dispute = await this.getDisputeRow(db, disputeId);
+    const authorRole = this.getPartyRole(dispute, userId);
+
+    if (dispute.status === DISPUTE_STATUS.CLOSED) {
+      throw disputeError('Ce litige est clos', 409);
+    }
+
+    if (type === MESSAGE_TYPES.STATEMENT && !ACTIVE_STATUSES.includes(dispute.status)) {
+      throw disputeError('La décision a été rendue : les déclarations ne sont plus acceptées', 409);
+    }
+
+    await this.checkParent(disputeId, parentId, false);
+
+    const attachments = files.map(file => ({
+      path: getEvidencePath(file),
+      originalName: file.originalname,
+      size: file.size
+    }));
+
+    const message = await this.insertMessage(db, {
+      disputeId,
+      parentId,
+      authorId: userId,
+      authorRole,
+      type,
+      body,
+      attachments
+    });
+
+    const otherParty = authorRole === AUTHOR_ROLES.SENDER ? dispute.traveler_id : dispute.sender_id;
+    this.notifyUsers([otherParty, dispute.assigned_to], {
+      type: 'dispute_message',
+      disputeId,
+      packageId: dispute.package_id,
+      title: type === MESSAGE_TYPES.STATEMENT ? 'Nouvelle déclaration' : 'Nouveau message',
+      message: `Un nouveau message a été ajouté au litige "${dispute.package_title}"`,
+      icon: '💬'
+    });
+
+    return message;
+  }
+
+  /**
+   * Ajouter un message du modérateur (visible des parties ou note interne)
+   * @param {number} disputeId - ID du litige
+   * @param {number} moderatorId - Membre de l'équipe
+   * @param {Object} message - body, internal, parentId
+   * @returns {Object} Message enregistré
+   */
+  async addModeratorMessage(disputeId, moderatorId, { body, internal = false, parentId }) {
+    const dispute = await this.getDisputeRow(db, disputeId);
+
+    if (dispute.status === DISPUTE_STATUS.CLOSED) {
+      throw disputeError('Ce litige est clos', 409);
+    }
+
+    await this.checkParent(disputeId, parentId, true);
+
+    const message = await this.insertMessage(db, {
+      disputeId,
+      parentId,
+      authorId: moderatorId,
+      authorRole: AUTHOR_ROLES.MODERATOR,
+      type: MESSAGE_TYPES.MESSAGE,
+      body,
+      internal
+    });
+
+    if (!internal) {
+      this.notifyUsers([dispute.sender_id, dispute.traveler_id], {
+        type: 'dispute_message',
+        disputeId,
+        packageId: dispute.package_id,
+        title: 'Message de la médiation',
+        message: `La médiation a écrit au sujet du litige "${dispute.package_title}"`,
+        icon: '⚖️'
+      });
+    }
+
+    return message;
+  }
+
+  /**
+   * Vérifier que le message parent appartient au litige (et qu'une partie ne répond pas à une note interne)
+   * @param {number} disputeId - ID du litige
+   * @param {number} parentId - ID du message parent
+   * @param {boolean} staff - Auteur membre de l'équipe
+   */
+  async checkParent(disputeId, parentId, staff) {
+    if (!parentId) return;
+
+    const result = await db.query(
+      'SELECT is_internal FROM package_dispute_messages WHERE id = $1 AND dispute_id = $2',
+      [parentId, disputeId]
+    );
+
+    if (result.rows.length === 0 || (!staff && result.rows[0].is_internal)) {
+      throw disputeError('Message parent introuvable dans ce litige', 400);
+    }
+  }
+
+  /**
+   * Attribuer le litige à un modérateur (passe en instruction)
+   * @param {Object} client - Client de transaction
+   * @param {number} disputeId - ID du litige
+   * @param {number} moderatorId - Modérateur désigné
+   * @returns {Object} before, after
+   */
+  async assign(client, disputeId, moderatorId) {
+    const dispute = await this.getDisputeRow(client, disputeId, true);
+
+    if (!ACTIVE_STATUSES.includes(dispute.status)) {
+      throw disputeError('Ce litige est déjà tranché', 409);
+    }
+
+    const moderatorResult = await client.query('SELECT id, role FROM users WHERE id = $1', [moderatorId]);
+    const moderator = moderatorResult.rows[0];
+
+    if (!moderator || !hasPermission(moderator.role, PERMISSIONS.DISPUTES_RESOLVE)) {
+      throw disputeError('Ce membre de l\'équipe ne peut pas instruire de litige', 400);
+    }
+
+    if (moderator.id === dispute.sender_id || moderator.id === dispute.traveler_id) {
+      throw disputeError('Un modérateur ne peut pas instruire un litige dont il est partie', 400);
+    }
+
+    const result = await client.query(
+      `UPDATE package_disputes
+       SET assigned_to = $1, assigned_at = CURRENT_TIMESTAMP, status = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [moderatorId, DISPUTE_STATUS.INVESTIGATING, disputeId]
+    );
+
+    await this.insertMessage(client, {
+      disputeId,
+      authorRole: AUTHOR_ROLES.SYSTEM,
+      type: MESSAGE_TYPES.SYSTEM,
+      body: 'Un médiateur a été désigné et instruit le litige'
+    });
+
+    return {
+      before: formatDispute(dispute),
+      after: formatDispute({ ...dispute, ...result.rows[0] })
+    };
+  }
+
+  /**
+   * Rendre la décision de médiation
+   * Met à jour le statut du colis, répartit les fonds sous séquestre et ouvre
+   * un sinistre d'assurance pour une perte ou un dommage remboursé
+   * @param {Object} client - Client de transaction
+   * @param {number} disputeId - ID du litige
+   * @param {Object} decision - outcome, refundAmount (remboursement partiel), resolution
+   * @param {number} moderatorId - Modérateur
+   * @returns {Object} dispute, transition, payment, claim
+   */
+  async decide(client, disputeId, { outcome, refundAmount, resolution }, moderatorId) {
+    const dispute = await this.getDisputeRow(client, disputeId, true);
+
+    if (!ACTIVE_STATUSES.includes(dispute.status)) {
+      throw disputeError('Ce litige est déjà tranché', 409);
+    }
+
+    if (dispute.assigned_to && dispute.assigned_to !== moderatorId) {
+      throw disputeError('Ce litige est instruit par un autre modérateur', 403);
+    }
+
+    if (dispute.package_status !== PACKAGE_STATUS.DISPUTED) {
+      throw disputeError('Le colis n\'est plus en litige', 409);
+    }
+
+    let transition;
+    let payment = null;
+    let inFavorOf = null;
+    let refunded = null;
+
+    if (outcome === DISPUTE_OUTCOMES.NO_ACTION) {
+      // Sans suite : le transport reprend là où il s'était arrêté
+      if (!dispute.previous_package_status) {
+        throw disputeError('Statut du colis avant le litige inconnu', 409);
+      }
+
+      transition = await PackageLifecycleService.transition(
+        dispute.package_id,
+        dispute.previous_package_status,
+        moderatorId,
+        { client, asModerator: true, notes: `Litige sans suite: ${resolution}` }
+      );
+    } else {
+      transition = await PackageLifecycleService.transition(
+        dispute.package_id,
+        PACKAGE_STATUS.RESOLVED,
+        moderatorId,
+        { client, asModerator: true, notes: `Litige résolu: ${resolution}` }
+      );
+
+      const paymentRow = await PaymentService.getPaymentForUpdate(client, dispute.package_id);
+
+      if (outcome === DISPUTE_OUTCOMES.PARTIAL_REFUND && !(refundAmount > 0)) {
+        throw disputeError('Le montant du remboursement partiel est requis', 400);
+      }
+
+      refunded = {
+        [DISPUTE_OUTCOMES.REFUND]: paymentRow ? parseFloat(paymentRow.amount) : 0,
+        [DISPUTE_OUTCOMES.PARTIAL_REFUND]: refundAmount,
+        [DISPUTE_OUTCOMES.PAYOUT]: 0
+      }[outcome];
+
+      if (paymentRow) {
+        if (outcome === DISPUTE_OUTCOMES.PARTIAL_REFUND && refundAmount >= parseFloat(paymentRow.amount)) {
+          throw disputeError('Un remboursement partiel doit être inférieur au montant payé', 400);
+        }
+
+        payment = await PaymentService.settleDispute(client, transition.package, refunded);
+      }
+
+      inFavorOf = outcome === DISPUTE_OUTCOMES.PAYOUT ? AUTHOR_ROLES.TRAVELER : AUTHOR_ROLES.SENDER;
+    }
+
+    const updateResult = await client.query(
+      `UPDATE package_disputes
+       SET status = $1, outcome = $2, refund_amount = $3, resolution = $4, resolved_in_favor_of = $5,
+           resolved_by = $6, resolved_at = CURRENT_TIMESTAMP, assigned_to = COALESCE(assigned_to, $6),
+           assigned_at = COALESCE(assigned_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7
+       RETURNING *`,
+      [DISPUTE_STATUS.RESOLVED, outcome, refunded, resolution, inFavorOf, moderatorId, disputeId]
+    );
+    const resolved = { ...dispute, ...updateResult.rows[0], package_status: transition.package.status };
+
+    // Perte ou dommage remboursé : sinistre si le colis est assuré
+    const claim = await InsuranceService.handleDisputeResolution(client, resolved);
+    if (outcome !== DISPUTE_OUTCOMES.NO_ACTION) {
+      await InsuranceService.closePolicy(client, dispute.package_id, POLICY_STATUS.EXPIRED);
+    }
+
+    await this.insertMessage(client, {
+      disputeId,
+      authorId: moderatorId,
+      authorRole: AUTHOR_ROLES.MODERATOR,
+      type: MESSAGE_TYPES.DECISION,
+      body: resolution
+    });
+
+    return {
+      dispute: formatDispute(resolved),
+      transition,
+      payment,
+      claim
+    };
+  }
+
+  /**
+   * Prévenir les deux parties de la décision (après COMMIT)
+   * @param {Object} decision - Résultat de decide()
+   */
+  async notifyDecision({ dispute, transition, claim }) {
+    await PackageLifecycleService.notifyTransition(transition);
+
+    const outcomeMessages = {
+      [DISPUTE_OUTCOMES.REFUND]: 'L\'expéditeur est remboursé',
+      [DISPUTE_OUTCOMES.PARTIAL_REFUND]: 'L\'expéditeur est remboursé en partie',
+      [DISPUTE_OUTCOMES.PAYOUT]: 'Le voyageur est payé',
+      [DISPUTE_OUTCOMES.NO_ACTION]: 'Litige sans suite, le transport reprend'
+    };
+
+    this.notifyUsers([transition.parties.senderId, transition.parties.travelerId], {
+      type: 'dispute_resolved',
+      disputeId: dispute.id,
+      packageId: dispute.packageId,
+      outcome: dispute.outcome,
+      title: 'Décision de médiation',
+      message: `${outcomeMessages[dispute.outcome]} : ${dispute.resolution}`,
+      icon: '⚖️'
+    });
+
+    InsuranceService.notifyClaimOpened(claim);
+  }
+
+  /**
+   * Lister les litiges pour l'équipe
+   * @param {Object} filters - status, assignedTo, overdue, page, limit
+   * @returns {Object} Litiges paginés
+   */
+  async listDisputes(filters = {}) {
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`pd.status = $${params.length}`);
+    }
+
+    if (filters.assignedTo) {
+      params.push(filters.assignedTo);
+      conditions.push(`pd.assigned_to = $${params.length}`);
+    }
+
+    if (filters.overdue) {
+      params.push(ACTIVE_STATUSES);
+      conditions.push(`pd.status = ANY($${params.length}) AND (
+        (pd.assigned_to IS NULL AND pd.assignment_due_at < NOW()) OR pd.resolution_due_at < NOW()
+      )`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await db.query(
+      `SELECT pd.*, p.title as package_title, p.status as package_status
+       FROM package_disputes pd
+       JOIN packages p ON pd.package_id = p.id
+       ${whereClause}
+       ORDER BY pd.resolution_due_at ASC NULLS LAST, pd.created_at ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total FROM package_disputes pd ${whereClause}`,
+      params
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      disputes: result.rows.map(formatDispute),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Envoyer une notification système à plusieurs utilisateurs
+   * @param {Array} userIds - Destinataires (valeurs vides ignorées)
+   * @param {Object} notification - Données de notification
+   */
+  notifyUsers(userIds, notification) {
+    [...new Set(userIds.filter(Boolean))].forEach(userId => {
+      socketService.sendSystemNotification(userId, {
+        ...notification,
+        timestamp: new Date()
+      });
+    });
+  }
+
+  /**
+   * Démarrer le job de suivi des délais (une exécution immédiate puis toutes les 15 minutes)
+   */
+  start() {
+    if (this.timer) return;
+
+    const runSafely = () => this.processSla().catch(error => {
+      console.error('❌ Erreur du job de suivi des litiges:', error.message);
+    });
+
+    runSafely();
+    this.timer = setInterval(runSafely, SLA_JOB_INTERVAL).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Signaler les litiges en retard à l'équipe et archiver les litiges tranchés
+   * @returns {Object} Nombre de retards signalés et de litiges clos
+   */
+  async processSla() {
+    const assignmentResult = await db.query(
+      `UPDATE package_disputes
+       SET assignment_breached_at = CURRENT_TIMESTAMP
+       WHERE status = $1 AND assigned_to IS NULL
+         AND assignment_due_at < NOW() AND assignment_breached_at IS NULL
+       RETURNING id, package_id`,
+      [DISPUTE_STATUS.OPEN]
+    );
+
+    const resolutionResult = await db.query(
+      `UPDATE package_disputes
+       SET resolution_breached_at = CURRENT_TIMESTAMP
+       WHERE status = ANY($1) AND resolution_due_at < NOW() AND resolution_breached_at IS NULL
+       RETURNING id, package_id, assigned_to`,
+      [ACTIVE_STATUSES]
+    );
+
+    const closeResult = await db.query(
+      `UPDATE package_disputes
+       SET status = $1, closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE status = $2 AND resolved_at < NOW() - ($3 || ' hours')::INTERVAL
+       RETURNING id`,
+      [DISPUTE_STATUS.CLOSED, DISPUTE_STATUS.RESOLVED, DISPUTE_SLA.closeAfterHours]
+    );
+
+    const breaches = [...assignmentResult.rows, ...resolutionResult.rows];
+
+    if (breaches.length > 0) {
+      const mediatorRoles = Object.keys(ROLE_PERMISSIONS)
+        .filter(role => hasPermission(role, PERMISSIONS.DISPUTES_RESOLVE));
+      const staffResult = await db.query('SELECT id FROM users WHERE role = ANY($1)', [mediatorRoles]);
+      const staffIds = staffResult.rows.map(row => row.id);
+
+      assignmentResult.rows.forEach(dispute => {
+        this.notifyUsers(staffIds, {
+          type: 'dispute_sla_breached',
+          disputeId: dispute.id,
+          packageId: dispute.package_id,
+          title: 'Litige non attribué',
+          message: `Le litige #${dispute.id} attend un médiateur depuis plus de ${DISPUTE_SLA.assignmentHours} h`,
+          icon: '⏰'
+        });
+      });
+
+      resolutionResult.rows.forEach(dispute => {
+        this.notifyUsers(dispute.assigned_to ? [dispute.assigned_to] : staffIds, {
+          type: 'dispute_sla_breached',
+          disputeId: dispute.id,
+          packageId: dispute.package_id,
+          title: 'Décision en retard',
+          message: `Le litige #${dispute.id} dépasse le délai de décision`,
+          icon: '⏰'
+        });
+      });
+    }
+
+    if (breaches.length > 0 || closeResult.rows.length > 0) {
+      console.log(`⚖️ Litiges: ${breaches.length} retard(s) signalé(s), ${closeResult.rows.length} litige(s) clos`);
+    }
+
+    return { breached: breaches.length, closed: closeResult.rows.length };
+  }
+}
+
+module.exports = {
+  DisputeService: new DisputeService(),
+  DISPUTE_STATUS,
+  DISPUTE_TYPES,
+  DISPUTE_OUTCOMES,
+  MESSAGE_TYPES,
+  DISPUTE_SLA
+};
@@ -0,0 +1,188 @@
+const db = require('../config/database');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const {
+  DOCUMENT_TYPES,
+  VALID_DOCUMENT_CONDITION,
+  isVerificationPolicySatisfied
+} = require('./uploadService');
+
+/**
+ * Service d'expiration des documents d'identité
+ * Avertit les utilisateurs avant l'échéance puis expire les documents
+ * et retire la vérification des comptes qui n'ont plus de pièce valide
+ */
+
+// Avertissements envoyés avant l'expiration (en jours)
+const EXPIRY_WARNING_DAYS = [30, 7];
+
+// Fréquence d'exécution du job
+const EXPIRY_JOB_INTERVAL = 6 * 60 * 60 * 1000; // 6 heures
+
+class DocumentExpiryService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Démarrer le job périodique (une exécution immédiate puis toutes les 6 heures)
+   */
+  start() {
+    if (this.timer) return;
+
+    const runSafely = () => this.run().catch(error => {
+      console.error('❌ Erreur du job d\'expiration des documents:', error.message);
+    });
+
+    runSafely();
+    this.timer = setInterval(runSafely, EXPIRY_JOB_INTERVAL).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Exécuter une passe complète : avertissements puis expirations
+   * @returns {Object} Nombre de documents avertis et expirés
+   */
+  async run() {
+    const warned = await this.sendExpiryWarnings();
+    const expired = await this.expireDocuments();
+
+    if (warned > 0 || expired > 0) {
+      console.log(`🪪 Documents: ${warned} avertissement(s) d'expiration, ${expired} document(s) expiré(s)`);
+    }
+
+    return { warned, expired };
+  }
+
+  /**
+   * Avertir les utilisateurs dont un document approuvé expire bientôt
+   * Le seuil le plus court est traité en premier : un document proche de
+   * l'échéance ne reçoit qu'un seul avertissement, et jamais deux fois le même
+   * @returns {number} Nombre d'avertissements envoyés
+   */
+  async sendExpiryWarnings() {
+    let warned = 0;
+    const thresholds = [...EXPIRY_WARNING_DAYS].sort((a, b) => a - b);
+
+    for (const days of thresholds) {
+      // La mise à jour sert de verrou : deux instances ne préviennent pas deux fois
+      const result = await db.query(
+        `UPDATE user_documents d
+         SET last_expiry_warning = $1
+         FROM users u
+         WHERE d.user_id = u.id
+           AND d.verification_status = 'approved'
+           AND d.expires_at > CURRENT_DATE
+           AND d.expires_at <= CURRENT_DATE + $1::integer
+           AND (d.last_expiry_warning IS NULL OR d.last_expiry_warning > $1)
+         RETURNING d.id, d.user_id, d.document_type, d.expires_at,
+                   (d.expires_at - CURRENT_DATE) as days_left, u.email, u.first_name`,
+        [days]
+      );
+
+      for (const document of result.rows) {
+        await this.notifyExpiry(document, parseInt(document.days_left));
+      }
+
+      warned += result.rows.length;
+    }
+
+    return warned;
+  }
+
+  /**
+   * Passer en "expired" les documents approuvés dont la date est dépassée
+   * @returns {number} Nombre de documents expirés
+   */
+  async expireDocuments() {
+    const result = await db.query(
+      `UPDATE user_documents d
+       SET verification_status = 'expired'
+       FROM users u
+       WHERE d.user_id = u.id
+         AND d.verification_status = 'approved'
+         AND d.expires_at < CURRENT_DATE
+       RETURNING d.id, d.user_id, d.document_type, d.expires_at, u.email, u.first_name`
+    );
+
+    const userIds = [...new Set(result.rows.map(document => document.user_id))];
+    for (const userId of userIds) {
+      await this.refreshUserVerification(userId);
+    }
+
+    for (const document of result.rows) {
+      await this.notifyExpiry(document, 0);
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Retirer la vérification d'un compte qui n'a plus de document valide
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {boolean} true si la vérification a été retirée
+   */
+  async refreshUserVerification(userId) {
+    const validResult = await db.query(
+      `SELECT document_type FROM user_documents WHERE user_id = $1 AND ${VALID_DOCUMENT_CONDITION}`,
+      [userId]
+    );
+
+    if (isVerificationPolicySatisfied(validResult.rows.map(row => row.document_type))) {
+      return false;
+    }
+
+    const result = await db.query(
+      `UPDATE users SET is_verified = false, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND is_verified = true
+       RETURNING id`,
+      [userId]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`🪪 Vérification retirée pour l'utilisateur ${userId} (documents expirés)`);
+    }
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Prévenir l'utilisateur par email et notification push
+   * @param {Object} document - Document avec email et prénom de l'utilisateur
+   * @param {number} daysLeft - Jours restants (0 : document expiré)
+   */
+  async notifyExpiry(document, daysLeft) {
+    const documentLabel = DOCUMENT_TYPES[document.document_type]?.label || document.document_type;
+
+    try {
+      await emailService.sendDocumentExpiryEmail(document.email, document.first_name, {
+        documentLabel,
+        expiresAt: document.expires_at,
+        daysLeft
+      });
+    } catch (error) {
+      console.error('⚠️ Erreur envoi email d\'expiration:', error.message);
+    }
+
+    try {
+      await notificationService.notifyDocumentExpiry(document.user_id, {
+        id: document.id,
+        type: document.document_type,
+        label: documentLabel
+      }, daysLeft);
+    } catch (error) {
+      console.error('⚠️ Erreur notification d\'expiration:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  DocumentExpiryService: new DocumentExpiryService(),
+  EXPIRY_WARNING_DAYS
+};
@@ -0,0 +1,302 @@
+const db = require('../config/database');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { AdminService, AUDIT_ACTIONS } = require('./adminService');
+const {
+  DOCUMENT_TYPES,
+  VERIFICATION_STATUS,
+  VALID_DOCUMENT_CONDITION,
+  parseDocumentDetails,
+  isVerificationPolicySatisfied
+} = require('./uploadService');
+
+/**
+ * Service de vérification des documents d'identité (KYC)
+ * File d'attente des modérateurs, décisions et vérification des comptes
+ */
+
+const reviewError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatDocument = (doc) => ({
+  id: doc.id,
+  type: doc.document_type,
+  label: DOCUMENT_TYPES[doc.document_type]?.label || doc.document_type,
+  originalName: doc.original_name,
+  mimetype: doc.mimetype,
+  size: doc.size,
+  status: doc.verification_status,
+  rejectionReason: doc.rejection_reason,
+  issuingCountry: doc.issuing_country,
+  expiresAt: doc.expires_at,
+  duplicateNumber: Boolean(doc.duplicate_number),
+  verifiedAt: doc.verified_at,
+  verifiedBy: doc.verified_by,
+  uploadedAt: doc.uploaded_at,
+  user: {
+    id: doc.user_id,
+    firstName: doc.first_name,
+    lastName: doc.last_name,
+    email: doc.email,
+    isVerified: doc.is_verified
+  }
+});
+
+class DocumentReviewService {
+  /**
+   * Obtenir la file d'attente des documents à vérifier, les plus anciens d'abord
+   * @param {Object} filters - documentType, page, limit
+   * @returns {Object} Documents en attente et pagination
+   */
+  async getPendingQueue(filters = {}) {
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE d.verification_status = $1';
+    const queryParams = [VERIFICATION_STATUS.PENDING];
+
+    if (filters.documentType) {
+      queryParams.push(filters.documentType);
+      whereClause += ` AND d.document_type = $${queryParams.length}`;
+    }
+
+    // Signaler un numéro de document déjà utilisé par un autre compte
+    const result = await db.query(
+      `SELECT d.*, u.first_name, u.last_name, u.email, u.is_verified,
+         EXISTS (
+           SELECT 1 FROM user_documents other
+           WHERE other.document_number_hash = d.document_number_hash
+             AND other.user_id <> d.user_id
+         ) as duplicate_number
+       FROM user_documents d
+       JOIN users u ON d.user_id = u.id
+       ${whereClause}
+       ORDER BY d.uploaded_at ASC
+       LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total FROM user_documents d ${whereClause}`,
+      queryParams
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      documents: result.rows.map(formatDocument),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Obtenir un document pour consultation par un modérateur
+   * @param {number} documentId - ID du document
+   * @returns {Object} Ligne user_documents avec l'utilisateur
+   */
+  async getDocument(documentId) {
+    const result = await db.query(
+      `SELECT d.*, u.first_name, u.last_name, u.email, u.is_verified
+       FROM user_documents d
+       JOIN users u ON d.user_id = u.id
+       WHERE d.id = $1`,
+      [documentId]
+    );
+
+    if (result.rows.length === 0) {
+      throw reviewError('Document non trouvé', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Approuver ou rejeter un document en attente
+   * @param {number} documentId - ID du document
+   * @param {boolean} approved - Décision du modérateur
+   * @param {Object} reviewer - Modérateur (req.user)
+   * @param {Object} options - reason (obligatoire pour un rejet), details (issuingCountry,
+   *                           documentNumber, expiresAt relevés sur le document), context (ip, userAgent)
+   * @returns {Object} Document mis à jour et vérification du compte
+   */
+  async reviewDocument(documentId, approved, reviewer, options = {}) {
+    const { reason = null, details = {}, context = {} } = options;
+    const client = await db.getClient();
+    let document;
+    let accountVerified = false;
+
+    try {
+      await client.query('BEGIN');
+
+      const documentResult = await client.query(
+        `SELECT d.*, u.first_name, u.last_name, u.email, u.is_verified
+         FROM user_documents d
+         JOIN users u ON d.user_id = u.id
+         WHERE d.id = $1
+         FOR UPDATE OF d`,
+        [documentId]
+      );
+
+      if (documentResult.rows.length === 0) {
+        throw reviewError('Document non trouvé', 404);
+      }
+
+      const current = documentResult.rows[0];
+
+      if (current.user_id === reviewer.userId) {
+        throw reviewError('Vous ne pouvez pas vérifier vos propres documents', 403);
+      }
+
+      // Un autre modérateur a pu décider entre-temps
+      if (current.verification_status !== VERIFICATION_STATUS.PENDING) {
+        throw reviewError('Ce document a déjà été traité', 409);
+      }
+
+      // Le modérateur peut compléter ou corriger les informations saisies à l'upload
+      const { errors, details: parsedDetails } = parseDocumentDetails(details);
+      if (approved && errors.length > 0) {
+        throw reviewError(errors.join(', '), 400);
+      }
+
+      const expiresAt = parsedDetails.expiresAt || current.expires_at;
+
+      // Un document d'identité n'est approuvé qu'avec une date d'expiration future
+      if (approved && !expiresAt) {
+        throw reviewError('Date d\'expiration requise pour approuver ce document', 400);
+      }
+
+      if (approved && new Date(expiresAt) <= new Date()) {
+        throw reviewError('Impossible d\'approuver un document expiré', 400);
+      }
+
+      const newStatus = approved ? VERIFICATION_STATUS.APPROVED : VERIFICATION_STATUS.REJECTED;
+
+      const updateResult = await client.query(
+        `UPDATE user_documents
+         SET verification_status = $1, rejection_reason = $2, verified_at = NOW(), verified_by = $3,
+             issuing_country = COALESCE($5, issuing_country),
+             document_number_hash = COALESCE($6, document_number_hash),
+             expires_at = COALESCE($7, expires_at),
+             last_expiry_warning = NULL
+         WHERE id = $4
+         RETURNING *`,
+        [
+          newStatus,
+          approved ? null : reason,
+          reviewer.userId,
+          documentId,
+          approved ? parsedDetails.issuingCountry || null : null,
+          approved ? parsedDetails.documentNumberHash || null : null,
+          approved ? parsedDetails.expiresAt || null : null
+        ]
+      );
+
+      document = {
+        ...current,
+        ...updateResult.rows[0]
+      };
+
+      if (approved) {
+        accountVerified = await this.applyVerificationPolicy(client, current.user_id);
+      }
+
+      await AdminService.logAction(client, {
+        actorId: reviewer.userId,
+        action: approved ? AUDIT_ACTIONS.DOCUMENT_APPROVED : AUDIT_ACTIONS.DOCUMENT_REJECTED,
+        targetUserId: current.user_id,
+        details: {
+          documentId,
+          documentType: current.document_type,
+          reason,
+          accountVerified
+        },
+        context
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`🪪 Document ${documentId} ${approved ? 'approuvé' : 'rejeté'} par ${reviewer.userId}`);
+
+    await this.notifyDecision(document, approved, reason, accountVerified);
+
+    return {
+      document: formatDocument(document),
+      accountVerified
+    };
+  }
+
+  /**
+   * Marquer le compte comme vérifié si ses documents valides satisfont la politique
+   * @param {Object} client - Client de transaction
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {boolean} true si le compte vient d'être vérifié
+   */
+  async applyVerificationPolicy(client, userId) {
+    const approvedResult = await client.query(
+      `SELECT document_type FROM user_documents WHERE user_id = $1 AND ${VALID_DOCUMENT_CONDITION}`,
+      [userId]
+    );
+
+    if (!isVerificationPolicySatisfied(approvedResult.rows.map(row => row.document_type))) {
+      return false;
+    }
+
+    const result = await client.query(
+      `UPDATE users SET is_verified = true, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND is_verified = false
+       RETURNING id`,
+      [userId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Prévenir l'utilisateur de la décision par email et notification push
+   * @param {Object} document - Document traité (avec l'utilisateur)
+   * @param {boolean} approved - Décision
+   * @param {string} reason - Motif
+   * @param {boolean} accountVerified - Le compte vient d'être vérifié
+   */
+  async notifyDecision(document, approved, reason, accountVerified) {
+    const documentLabel = DOCUMENT_TYPES[document.document_type]?.label || document.document_type;
+
+    try {
+      await emailService.sendDocumentReviewEmail(document.email, document.first_name, {
+        documentLabel,
+        approved,
+        reason,
+        accountVerified
+      });
+    } catch (error) {
+      console.error('⚠️ Erreur envoi email de décision:', error.message);
+    }
+
+    try {
+      await notificationService.notifyDocumentReviewed(document.user_id, {
+        id: document.id,
+        type: document.document_type,
+        label: documentLabel
+      }, approved, reason);
+    } catch (error) {
+      console.error('⚠️ Erreur notification de décision:', error.message);
+    }
+  }
+}
+
+module.exports = new DocumentReviewService();
@@ -6,7 +6,7 @@ const db = require('../config/database');
 const createTransporter = () => {
   // En développement, utiliser un service de test comme Ethereal
   if (process.env.NODE_ENV === 'development') {
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       host: 'smtp.ethereal.email',
       port: 587,
       auth: {
@@ -17,7 +17,7 @@ const createTransporter = () => {
   }
   
   // En production, utiliser un vrai service SMTP
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.SMTP_HOST,
     port: process.env.SMTP_PORT || 587,
     secure: process.env.SMTP_SECURE === 'true',
@@ -188,6 +188,305 @@ const sendPasswordResetEmail = async (email, firstName, token) => {
   }
 };
 
+// Envoyer le résultat de la vérification d'un document d'identité
+const sendDocumentReviewEmail = async (email, firstName, review) => {
+  try {
+    const transporter = createTransporter();
+    const { documentLabel, approved, reason, accountVerified } = review;
+    const documentsUrl = `${process.env.CLIENT_URL}/profile/documents`;
+    
+    const mailOptions = {
+      from: `"Chapchap" <${process.env.EMAIL_FROM || 'noreply@chapchap.com'}>`,
+      to: email,
+      subject: approved
+        ? `Votre ${documentLabel.toLowerCase()} a été approuvé - Chapchap`
+        : `Votre ${documentLabel.toLowerCase()} n'a pas pu être validé - Chapchap`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Chapchap</h1>
+            <p style="color: white; margin: 10px 0 0 0; opacity: 0.9;">Transport de colis Canada-Afrique</p>
+          </div>
+          
+          <div style="padding: 40px 30px; background: white;">
+            <h2 style="color: #333; margin-bottom: 20px;">Bonjour ${firstName} ! ${approved ? '✅' : '📄'}</h2>
+            
+            <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+              ${approved
+                ? `Notre équipe a vérifié votre document <strong>${documentLabel}</strong> : il est approuvé.`
+                : `Notre équipe n'a pas pu valider votre document <strong>${documentLabel}</strong>.`}
+            </p>
+            
+            ${reason ? `
+            <div style="background: #f8f9fa; border-left: 4px solid ${approved ? '#28a745' : '#f5576c'}; padding: 15px; margin-bottom: 25px;">
+              <p style="color: #333; margin: 0; font-size: 14px;"><strong>Motif :</strong> ${reason}</p>
+            </div>
+            ` : ''}
+            
+            <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+              ${accountVerified
+                ? '🎉 Votre compte est désormais vérifié : vous pouvez publier des voyages et accepter des colis.'
+                : approved
+                  ? 'Vous pouvez suivre l\'état de vos documents depuis votre profil.'
+                  : 'Vous pouvez envoyer un nouveau document depuis votre profil.'}
+            </p>
+            
+            <div style="text-align: center; margin: 35px 0;">
+              <a href="${documentsUrl}" 
+                 style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                        color: white; 
+                        padding: 15px 30px; 
+                        text-decoration: none; 
+                        border-radius: 25px; 
+                        font-weight: bold;
+                        display: inline-block;">
+                📂 Voir mes documents
+              </a>
+            </div>
+          </div>
+          
+          <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #eee;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              © 2024 Chapchap. Tous droits réservés.
+            </p>
+          </div>
+        </div>
+      `
+    };
+    
+    const info = await transporter.sendMail(mailOptions);
+    console.log('📧 Email de vérification de document envoyé:', info.messageId);
+    
+    return { success: true, messageId: info.messageId };
+    
+  } catch (error) {
+    console.error('❌ Erreur envoi email de vérification de document:', error);
+    throw new Error('Erreur lors de l\'envoi de l\'email de vérification de document');
+  }
+};
+
+// Envoyer un avertissement d'expiration (ou d'expiration effective) d'un document
+const sendDocumentExpiryEmail = async (email, firstName, expiry) => {
+  try {
+    const transporter = createTransporter();
+    const { documentLabel, expiresAt, daysLeft } = expiry;
+    const expired = daysLeft <= 0;
+    const documentsUrl = `${process.env.CLIENT_URL}/profile/documents`;
+    const expiryDate = new Date(expiresAt).toLocaleDateString('fr-FR');
+    
+    const mailOptions = {
+      from: `"Chapchap" <${process.env.EMAIL_FROM || 'noreply@chapchap.com'}>`,
+      to: email,
+      subject: expired
+        ? `Votre ${documentLabel.toLowerCase()} a expiré - Chapchap`
+        : `Votre ${documentLabel.toLowerCase()} expire dans ${daysLeft} jours - Chapchap`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Chapchap</h1>
+            <p style="color: white; margin: 10px 0 0 0; opacity: 0.9;">Transport de colis Canada-Afrique</p>
+          </div>
+          
+          <div style="padding: 40px 30px; background: white;">
+            <h2 style="color: #333; margin-bottom: 20px;">Bonjour ${firstName} ! ${expired ? '⛔' : '⏳'}</h2>
+            
+            <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+              ${expired
+                ? `Votre document <strong>${documentLabel}</strong> a expiré le ${expiryDate}.`
+                : `Votre document <strong>${documentLabel}</strong> expire le ${expiryDate}.`}
+              Les voyageurs qui transportent des colis doivent disposer d'une pièce d'identité valide :
+              ${expired
+                ? 'vous ne pouvez plus publier de voyage ni accepter de colis tant qu\'un nouveau document n\'a pas été vérifié.'
+                : 'pensez à envoyer votre nouveau document dès que possible pour éviter toute interruption.'}
+            </p>
+            
+            <div style="text-align: center; margin: 35px 0;">
+              <a href="${documentsUrl}" 
+                 style="background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); 
+                        color: white; 
+                        padding: 15px 30px; 
+                        text-decoration: none; 
+                        border-radius: 25px; 
+                        font-weight: bold;
+                        display: inline-block;">
+                📤 Mettre à jour mes documents
+              </a>
+            </div>
+          </div>
+          
+          <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #eee;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              © 2024 Chapchap. Tous droits réservés.
+            </p>
+          </div>
+        </div>
+      `
+    };
+    
+    const info = await transporter.sendMail(mailOptions);
+    console.log('📧 Email d\'expiration de document envoyé:', info.messageId);
+    
+    return { success: true, messageId: info.messageId };
+    
+  } catch (error) {
+    console.error('❌ Erreur envoi email d\'expiration de document:', error);
+    throw new Error('Erreur lors de l\'envoi de l\'email d\'expiration de document');
+  }
+};
+
+// Échapper un texte saisi par un utilisateur avant de l'insérer dans un email
+const escapeHtml = (text) => String(text || '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+}[char]));
+
+// Envoyer au destinataire d'un colis son lien de suivi (sans compte Chapchap)
+// Le nom et le titre sont saisis par l'expéditeur : ils sont échappés
+const sendRecipientTrackingEmail = async (email, rawName, shipment) => {
+  try {
+    const transporter = createTransporter();
+    const name = escapeHtml(rawName);
+    const senderName = escapeHtml(shipment.senderName);
+    const packageTitle = escapeHtml(shipment.packageTitle);
+    const destinationCity = escapeHtml(shipment.destinationCity);
+    const { trackingUrl } = shipment;
+    
+    const mailOptions = {
+      from: `"Chapchap" <${process.env.EMAIL_FROM || 'noreply@chapchap.com'}>`,
+      to: email,
+      subject: `${shipment.senderName} vous envoie un colis - Chapchap`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Chapchap</h1>
+            <p style="color: white; margin: 10px 0 0 0; opacity: 0.9;">Transport de colis Canada-Afrique</p>
+          </div>
+          
+          <div style="padding: 40px 30px; background: white;">
+            <h2 style="color: #333; margin-bottom: 20px;">Bonjour ${name} ! 📦</h2>
+            
+            <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+              <strong>${senderName}</strong> vous envoie le colis <strong>${packageTitle}</strong>,
+              pris en charge par un voyageur Chapchap à destination de ${destinationCity}.
+              Suivez son acheminement jusqu'à la remise, sans créer de compte.
+            </p>
+            
+            <div style="text-align: center; margin: 35px 0;">
+              <a href="${trackingUrl}" 
+                 style="background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); 
+                        color: white; 
+                        padding: 15px 30px; 
+                        text-decoration: none; 
+                        border-radius: 25px; 
+                        font-weight: bold;
+                        display: inline-block;">
+                📍 Suivre mon colis
+              </a>
+            </div>
+            
+            <p style="color: #999; font-size: 14px; margin-top: 30px;">
+              Si le bouton ne fonctionne pas, copiez et collez ce lien dans votre navigateur :<br>
+              <span style="word-break: break-all;">${trackingUrl}</span>
+            </p>
+          </div>
+          
+          <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #eee;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              © 2024 Chapchap. Tous droits réservés.
+            </p>
+          </div>
+        </div>
+      `
+    };
+    
+    const info = await transporter.sendMail(mailOptions);
+    console.log('📧 Email de suivi envoyé au destinataire:', info.messageId);
+    
+    return { success: true, messageId: info.messageId };
+    
+  } catch (error) {
+    console.error('❌ Erreur envoi email de suivi au destinataire:', error);
+    throw new Error('Erreur lors de l\'envoi de l\'email de suivi au destinataire');
+  }
+};
+
+// Envoyer à un expéditeur les voyages trouvés pour ses recherches enregistrées
+// Les villes sont saisies par les voyageurs : elles sont échappées
+const sendTripAlertEmail = async (email, firstName, alert) => {
+  try {
+    const transporter = createTransporter();
+    const { trips, total, digest } = alert;
+    const searchesUrl = `${process.env.CLIENT_URL}/saved-searches`;
+
+    const tripRows = trips.map(trip => `
+              <li style="margin-bottom: 12px;">
+                <a href="${process.env.CLIENT_URL}/trips/${trip.tripId}" style="color: #667eea; font-weight: bold;">
+                  ${escapeHtml(trip.departureCity)} (${escapeHtml(trip.departureCountry)}) → ${escapeHtml(trip.destinationCity)} (${escapeHtml(trip.destinationCountry)})
+                </a><br>
+                Départ le ${new Date(trip.departureDate).toLocaleDateString('fr-FR', { timeZone: 'UTC' })} ·
+                ${trip.availableWeight} kg disponibles · ${trip.pricePerKg} ${trip.currency}/kg
+              </li>`).join('');
+    
+    const mailOptions = {
+      from: `"Chapchap" <${process.env.EMAIL_FROM || 'noreply@chapchap.com'}>`,
+      to: email,
+      subject: digest
+        ? `${total} voyage(s) pour vos colis aujourd'hui - Chapchap`
+        : 'Un nouveau voyage correspond à votre recherche - Chapchap',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Chapchap</h1>
+            <p style="color: white; margin: 10px 0 0 0; opacity: 0.9;">Transport de colis Canada-Afrique</p>
+          </div>
+          
+          <div style="padding: 40px 30px; background: white;">
+            <h2 style="color: #333; margin-bottom: 20px;">Bonjour ${escapeHtml(firstName)} ! ✈️</h2>
+            
+            <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+              ${digest
+                ? `${total} voyage(s) publiés depuis votre dernier résumé correspondent à vos recherches enregistrées.`
+                : 'Un voyageur propose un trajet qui correspond à votre recherche enregistrée.'}
+              Réservez vite : la capacité part au premier arrivé.
+            </p>
+            
+            <ul style="color: #666; line-height: 1.6; padding-left: 20px;">${tripRows}
+            </ul>
+            ${total > trips.length ? `<p style="color: #666;">… et ${total - trips.length} autre(s) voyage(s).</p>` : ''}
+            
+            <div style="text-align: center; margin: 35px 0;">
+              <a href="${searchesUrl}" 
+                 style="background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); 
+                        color: white; 
+                        padding: 15px 30px; 
+                        text-decoration: none; 
+                        border-radius: 25px; 
+                        font-weight: bold;
+                        display: inline-block;">
+                🔎 Voir mes recherches
+              </a>
+            </div>
+          </div>
+          
+          <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #eee;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              © 2024 Chapchap. Tous droits réservés.
+            </p>
+          </div>
+        </div>
+      `
+    };
+    
+    const info = await transporter.sendMail(mailOptions);
+    console.log('📧 Email d\'alerte de voyage envoyé:', info.messageId);
+    
+    return { success: true, messageId: info.messageId };
+    
+  } catch (error) {
+    console.error('❌ Erreur envoi email d\'alerte de voyage:', error);
+    throw new Error('Erreur lors de l\'envoi de l\'email d\'alerte de voyage');
+  }
+};
+
 // Stocker un token de vérification en base
 const storeVerificationToken = async (userId, token, type = 'email_verification') => {
   try {
@@ -247,10 +546,81 @@ const deleteToken = async (token, type) => {
   }
 };
 
+// Prévenir le titulaire du compte d'un blocage après trop d'échecs de connexion
+const sendAccountLockedEmail = async (email, firstName, lockout) => {
+  try {
+    const transporter = createTransporter();
+    const { lockedUntil, ipAddress } = lockout;
+    const resetUrl = `${process.env.CLIENT_URL}/forgot-password`;
+    const unlockTime = new Date(lockedUntil).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+    
+    const mailOptions = {
+      from: `"Chapchap" <${process.env.EMAIL_FROM || 'noreply@chapchap.com'}>`,
+      to: email,
+      subject: 'Connexion bloquée après plusieurs tentatives - Chapchap',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Chapchap</h1>
+            <p style="color: white; margin: 10px 0 0 0; opacity: 0.9;">Transport de colis Canada-Afrique</p>
+          </div>
+          
+          <div style="padding: 40px 30px; background: white;">
+            <h2 style="color: #333; margin-bottom: 20px;">Bonjour ${firstName} ! 🔒</h2>
+            
+            <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+              Plusieurs tentatives de connexion à votre compte ont échoué${ipAddress ? ` (adresse IP ${ipAddress})` : ''}.
+              Par sécurité, la connexion est bloquée jusqu'à ${unlockTime}.
+            </p>
+            
+            <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+              Si ce n'était pas vous, nous vous recommandons de changer votre mot de passe
+              et d'activer la double authentification.
+            </p>
+            
+            <div style="text-align: center; margin: 35px 0;">
+              <a href="${resetUrl}" 
+                 style="background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); 
+                        color: white; 
+                        padding: 15px 30px; 
+                        text-decoration: none; 
+                        border-radius: 25px; 
+                        font-weight: bold;
+                        display: inline-block;">
+                🔑 Changer mon mot de passe
+              </a>
+            </div>
+          </div>
+          
+          <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #eee;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              © 2024 Chapchap. Tous droits réservés.
+            </p>
+          </div>
+        </div>
+      `
+    };
+    
+    const info = await transporter.sendMail(mailOptions);
+    console.log('📧 Email de blocage de connexion envoyé:', info.messageId);
+    
+    return { success: true, messageId: info.messageId };
+    
+  } catch (error) {
+    console.error('❌ Erreur envoi email de blocage de connexion:', error);
+    throw new Error('Erreur lors de l\'envoi de l\'email de blocage de connexion');
+  }
+};
+
 module.exports = {
   generateVerificationToken,
   sendVerificationEmail,
   sendPasswordResetEmail,
+  sendDocumentReviewEmail,
+  sendDocumentExpiryEmail,
+  sendAccountLockedEmail,
+  sendRecipientTrackingEmail,
+  sendTripAlertEmail,
   storeVerificationToken,
   verifyToken,
   deleteToken
@@ -0,0 +1,276 @@
+const { COUNTRIES } = require('../config/countries');
+const { CITIES } = require('../config/cities');
+
+/**
+ * Normalisation géographique ChapChap
+ * Les pays et villes saisis en texte libre ("Cote d'Ivoire", "Côte d'Ivoire", "Ivory Coast")
+ * sont rapprochés du référentiel (code ISO du pays, identifiant de ville) sans tenir compte
+ * des accents, de la casse ni de la ponctuation. Les lieux inconnus du référentiel restent
+ * acceptés : ils sont alors comparés en texte libre.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const MIN_AUTOCOMPLETE_LENGTH = 2;
+const MAX_AUTOCOMPLETE_RESULTS = 20;
+
+const PLACE_TYPES = {
+  COUNTRY: 'country',
+  CITY: 'city'
+};
+
+/**
+ * Clé de comparaison d'un nom de lieu : minuscules, sans accents ni ponctuation,
+ * abréviations "St" / "Ste" développées
+ * @param {string} value - Nom saisi
+ * @returns {string} Clé normalisée ('' si vide)
+ */
+const normalizePlaceName = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .replace(/\bste\b/g, 'sainte')
+  .replace(/\bst\b/g, 'saint')
+  .trim();
+
+/**
+ * Condition SQL de correspondance d'un lieu
+ * Codes canoniques comparés quand les deux côtés sont reconnus, texte libre (ILIKE) sinon
+ * @param {Object} target - code, text : colonnes du lieu examiné (étape, demande, colis…)
+ * @param {Object} wanted - code, text : expressions SQL du lieu cherché (colonnes ou paramètres)
+ * @returns {string} Condition SQL
+ */
+const placeCondition = (target, wanted) =>
+  `(${target.code} = ${wanted.code} OR ((${wanted.code} IS NULL OR ${target.code} IS NULL) AND ${target.text} ILIKE '%' || ${wanted.text} || '%'))`;
+
+const formatCountry = (country) => ({
+  type: PLACE_TYPES.COUNTRY,
+  code: country.code,
+  name: country.name,
+  nameEn: country.nameEn
+});
+
+const formatCity = (city) => ({
+  type: PLACE_TYPES.CITY,
+  id: city.id,
+  name: city.name,
+  countryCode: city.countryCode,
+  country: COUNTRIES[city.countryCode].name,
+  latitude: city.latitude,
+  longitude: city.longitude
+});
+
+class GeographyService {
+  constructor() {
+    // Clé normalisée -> code pays ; clé normalisée -> villes (homonymes possibles)
+    this.countryIndex = new Map();
+    this.cityIndex = new Map();
+    // Entrées d'autocomplétion : clé, lieu, rang du nom (0 nom français, 1 nom anglais, 2 appellation)
+    this.entries = [];
+
+    Object.values(COUNTRIES).forEach(country => {
+      [country.code, country.alpha3].forEach(code => this.countryIndex.set(normalizePlaceName(code), country.code));
+      [country.name, country.nameEn, ...country.aliases].forEach((name, index) => {
+        const key = normalizePlaceName(name);
+        if (!this.countryIndex.has(key)) this.countryIndex.set(key, country.code);
+        this.entries.push({ key, rank: Math.min(index, 2), place: country, type: PLACE_TYPES.COUNTRY });
+      });
+    });
+
+    Object.values(CITIES).forEach(city => {
+      [city.id, city.name, ...city.aliases].forEach((name, index) => {
+        const key = normalizePlaceName(name);
+        if (!this.cityIndex.has(key)) this.cityIndex.set(key, []);
+        this.cityIndex.get(key).push(city);
+        if (index > 0) {
+          this.entries.push({ key, rank: index === 1 ? 0 : 2, place: city, type: PLACE_TYPES.CITY });
+        }
+      });
+    });
+  }
+
+  /**
+   * Pays du référentiel correspondant à une saisie (nom, appellation, code alpha-2 ou alpha-3)
+   * @param {string} input - Saisie
+   * @returns {Object|null} Pays
+   */
+  findCountry(input) {
+    const code = this.countryIndex.get(normalizePlaceName(input));
+    return code ? COUNTRIES[code] : null;
+  }
+
+  /**
+   * Ville du référentiel correspondant à une saisie (nom, appellation ou identifiant)
+   * Sans pays connu, une ville homonyme dans plusieurs pays n'est pas reconnue
+   * @param {string} input - Saisie
+   * @param {string} countryCode - Pays de la ville (facultatif)
+   * @returns {Object|null} Ville
+   */
+  findCity(input, countryCode = null) {
+    const candidates = (this.cityIndex.get(normalizePlaceName(input)) || [])
+      .filter(city => !countryCode || city.countryCode === countryCode);
+
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  getCountry(code) {
+    return COUNTRIES[code] || null;
+  }
+
+  getCity(id) {
+    return CITIES[id] || null;
+  }
+
+  /**
+   * Rapprocher un lieu saisi du référentiel
+   * Une ville reconnue sans pays reconnu donne son pays
+   * @param {Object} place - country, city (texte libre)
+   * @returns {Object} countryCode, cityId (null si non reconnus)
+   */
+  resolvePlace({ country, city } = {}) {
+    const matchedCountry = country ? this.findCountry(country) : null;
+    const matchedCity = city ? this.findCity(city, matchedCountry ? matchedCountry.code : null) : null;
+
+    return {
+      countryCode: matchedCountry ? matchedCountry.code : (matchedCity ? matchedCity.countryCode : null),
+      cityId: matchedCity ? matchedCity.id : null
+    };
+  }
+
+  /**
+   * Suggestions de pays et de villes pour une saisie partielle
+   * Nom exact d'abord, puis début de nom, puis début d'un mot du nom
+   * @param {string} input - Saisie (2 caractères minimum)
+   * @param {Object} options - type (country, city), countryCode (villes d'un pays), limit
+   * @returns {Array} Pays et villes formatés
+   */
+  autocomplete(input, { type = null, countryCode = null, limit = 10 } = {}) {
+    const query = normalizePlaceName(input);
+    if (query.length < MIN_AUTOCOMPLETE_LENGTH) return [];
+
+    const best = new Map();
+
+    this.entries.forEach(entry => {
+      if (type && entry.type !== type) return;
+      if (countryCode && entry.type === PLACE_TYPES.CITY && entry.place.countryCode !== countryCode) return;
+      if (countryCode && entry.type === PLACE_TYPES.COUNTRY && entry.place.code !== countryCode) return;
+
+      let score;
+      if (entry.key === query) score = 0;
+      else if (entry.key.startsWith(query)) score = 1;
+      else if (entry.key.includes(` ${query}`)) score = 2;
+      else return;
+
+      // Un même lieu n'apparaît qu'une fois, au meilleur de ses noms
+      const id = `${entry.type}:${entry.type === PLACE_TYPES.CITY ? entry.place.id : entry.place.code}`;
+      const ranking = score * 10 + entry.rank;
+      const current = best.get(id);
+      if (!current || ranking < current.ranking) {
+        best.set(id, { ranking, entry });
+      }
+    });
+
+    return [...best.values()]
+      .sort((a, b) => a.ranking - b.ranking || a.entry.place.name.localeCompare(b.entry.place.name, 'fr'))
+      .slice(0, Math.min(limit, MAX_AUTOCOMPLETE_RESULTS))
+      .map(({ entry }) => (entry.type === PLACE_TYPES.CITY ? formatCity(entry.place) : formatCountry(entry.place)));
+  }
+
+  /**
+   * Pays du référentiel, par ordre alphabétique du nom français
+   * @returns {Array} Pays formatés
+   */
+  listCountries() {
+    return Object.values(COUNTRIES)
+      .map(formatCountry)
+      .sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+  }
+
+  /**
+   * Distance à vol d'oiseau entre deux villes du référentiel
+   * @param {string} fromId - Identifiant de ville
+   * @param {string} toId - Identifiant de ville
+   * @returns {number|null} Distance en km (null si une ville est inconnue)
+   */
+  distanceKm(fromId, toId) {
+    const from = CITIES[fromId];
+    const to = CITIES[toId];
+    if (!from || !to) return null;
+
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Villes du référentiel dans un rayon autour d'une ville (elle comprise)
+   * @param {string} cityId - Identifiant de ville
+   * @param {number} radiusKm - Rayon en km
+   * @returns {Array} Identifiants de villes
+   */
+  citiesWithin(cityId, radiusKm) {
+    if (!CITIES[cityId]) return [];
+
+    return Object.keys(CITIES).filter(id => this.distanceKm(cityId, id) <= radiusKm);
+  }
+
+  /**
+   * Lieu mentionné dans une adresse en texte libre (ville du référentiel, sinon pays)
+   * Sert à rapprocher les adresses des colis antérieurs au référentiel
+   * @param {string} text - Adresse
+   * @returns {Object} countryCode, cityId (null si rien n'est reconnu)
+   */
+  detectInText(text) {
+    const words = ` ${normalizePlaceName(text)} `;
+    // Position de la dernière mention (-1 si absent)
+    const mentionAt = (key) => (key.length >= 3 ? words.lastIndexOf(` ${key} `) : -1);
+
+    const cities = new Map();
+    this.cityIndex.forEach((matches, key) => {
+      const position = mentionAt(key);
+      if (position < 0) return;
+      matches.forEach(city => cities.set(city, Math.max(position, cities.get(city) ?? -1)));
+    });
+
+    // Noms de pays seulement : les codes (AND, PER, COM…) se confondent avec des mots courants
+    const countries = new Set();
+    this.entries.forEach(entry => {
+      if (entry.type === PLACE_TYPES.COUNTRY && mentionAt(entry.key) >= 0) countries.add(entry.place.code);
+    });
+
+    // Le pays mentionné écarte les homonymes ; la ville vient après la rue ("rue St-Denis, Montréal")
+    // Une rue au nom de pays ("rue du Congo, Paris") n'écarte pas la ville
+    const mentioned = [...cities.entries()].sort((a, b) => b[1] - a[1]);
+    const inCountry = mentioned.filter(([city]) => countries.has(city.countryCode));
+    const candidates = inCountry.length > 0 ? inCountry : mentioned;
+
+    if (candidates.length > 0 && (candidates.length === 1 || candidates[0][1] > candidates[1][1])) {
+      const [city] = candidates[0];
+      return { countryCode: city.countryCode, cityId: city.id };
+    }
+
+    return { countryCode: countries.size === 1 ? [...countries][0] : null, cityId: null };
+  }
+
+  /**
+   * Une adresse en texte libre mentionne-t-elle ce lieu ? (sans tenir compte des accents)
+   * @param {string} text - Adresse
+   * @param {string} placeName - Nom de pays ou de ville
+   * @returns {boolean}
+   */
+  textMentions(text, placeName) {
+    const key = normalizePlaceName(placeName);
+    return key.length > 0 && ` ${normalizePlaceName(text)} `.includes(` ${key} `);
+  }
+}
+
+module.exports = {
+  GeographyService: new GeographyService(),
+  PLACE_TYPES,
+  normalizePlaceName,
+  placeCondition
+};
@@ -1,5 +1,6 @@
 const socketService = require('./socketService');
 const db = require('../config/database');
+const { FINAL_STATUSES } = require('./packageLifecycleService');
 
 /**
  * Service de géolocalisation pour ChapChap
@@ -370,10 +371,10 @@ class GeolocationService {
       const sendersQuery = `
         SELECT DISTINCT p.sender_id
         FROM packages p
-        WHERE p.trip_id = $1 AND p.status NOT IN ('delivered', 'cancelled')
+        WHERE p.trip_id = $1 AND p.status <> ALL($2)
       `;
       
-      const result = await db.query(sendersQuery, [tripId]);
+      const result = await db.query(sendersQuery, [tripId, FINAL_STATUSES]);
       
       const notification = {
         type: 'tracking_started',
@@ -513,9 +514,9 @@ class GeolocationService {
 // Instance singleton
 const geolocationService = new GeolocationService();
 
-// Nettoyage automatique toutes les heures
+// Nettoyage automatique toutes les heures (sans bloquer l'arrêt du processus)
 setInterval(() => {
   geolocationService.cleanupInactiveTracking();
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
-module.exports = geolocationService;
\ No newline at end of file
+module.exports = geolocationService;
\ No newline at end of file
@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const db = require('../config/database');
+const socketService = require('./socketService');
+const { SmsService } = require('./smsService');
+const { maskPhoneNumber } = require('./phoneVerificationService');
+
+/**
+ * Remise des colis en main propre
+ * À l'acceptation, deux codes à usage unique sont émis : l'un pour la prise en charge
+ * (remis à l'expéditeur), l'autre pour la livraison (envoyé au destinataire).
+ * Le voyageur saisit ou scanne le code au moment de la remise, avec une photo et sa
+ * position GPS ; la preuve de remise est signée par le serveur.
+ */
+
+const HANDOVER_KINDS = {
+  PICKUP: 'pickup',     // 📦 L'expéditeur remet le colis au voyageur
+  DELIVERY: 'delivery'  // 🤝 Le voyageur remet le colis au destinataire
+};
+
+const HANDOVER_METHODS = {
+  PIN: 'pin', // Code saisi
+  QR: 'qr'    // QR code scanné
+};
+
+// Personne qui détient le code et le présente au voyageur
+const CODE_HOLDERS = {
+  SENDER: 'sender',
+  RECIPIENT: 'recipient'
+};
+
+const HANDOVER_CODE_LENGTH = 6;
+const HANDOVER_MAX_ATTEMPTS = 5; // essais par code avant blocage
+const HANDOVER_CODE_RESEND_SECONDS = 60;
+
+// Préfixe du contenu des QR codes de remise : CHAPCHAP:<colis>:<remise>:<code>
+const QR_PREFIX = 'CHAPCHAP';
+
+const handoverError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+const hashCode = (code) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(String(code)).digest('hex');
+};
+
+// Clé de signature des preuves de remise
+const signingKey = () => process.env.HANDOVER_SIGNING_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Contenu signé d'une preuve de remise, dans un ordre de champs stable
+ * @param {Object} handover - Ligne package_handovers
+ * @returns {string} JSON canonique
+ */
+const proofPayload = (handover) => JSON.stringify({
+  packageId: handover.package_id,
+  kind: handover.kind,
+  verifiedBy: handover.verified_by,
+  verifiedAt: new Date(handover.verified_at).toISOString(),
+  method: handover.method,
+  photoSha256: handover.photo_sha256,
+  latitude: Number(handover.latitude),
+  longitude: Number(handover.longitude),
+  accuracy: handover.location_accuracy === null ? null : Number(handover.location_accuracy)
+});
+
+const signProof = (handover) => {
+  return crypto.createHmac('sha256', signingKey()).update(proofPayload(handover)).digest('hex');
+};
+
+const formatHandover = (handover) => ({
+  kind: handover.kind,
+  status: handover.verified_at ? 'completed' : (handover.locked_at ? 'locked' : 'pending'),
+  codeIssuedAt: handover.code_issued_at,
+  proof: handover.verified_at ? {
+    verifiedAt: handover.verified_at,
+    verifiedBy: handover.verified_by,
+    method: handover.method,
+    location: {
+      latitude: Number(handover.latitude),
+      longitude: Number(handover.longitude),
+      accuracy: handover.location_accuracy === null ? null : Number(handover.location_accuracy)
+    },
+    photoSha256: handover.photo_sha256,
+    signature: handover.proof_signature,
+    signatureValid: crypto.timingSafeEqual(
+      Buffer.from(handover.proof_signature),
+      Buffer.from(signProof(handover))
+    )
+  } : null
+});
+
+class HandoverService {
+  /**
+   * Ouvrir les remises d'un colis accepté (les codes sont émis après le COMMIT)
+   * Une remise déjà effectuée est conservée, par exemple après un litige sans suite
+   * @param {Object} client - Client de transaction
+   * @param {number} packageId - ID du colis
+   */
+  async openHandovers(client, packageId) {
+    await client.query(
+      `INSERT INTO package_handovers (package_id, kind)
+       SELECT $1, kind FROM unnest($2::varchar[]) AS kind
+       ON CONFLICT (package_id, kind) DO NOTHING`,
+      [packageId, Object.values(HANDOVER_KINDS)]
+    );
+  }
+
+  /**
+   * Remise en attente d'un colis
+   * Les colis acceptés avant la mise en place des remises n'en ont pas
+   * @param {Object} client - Client de base de données
+   * @param {number} packageId - ID du colis
+   * @param {string} kind - pickup ou delivery
+   * @returns {Object|null} Ligne package_handovers
+   */
+  async getPendingHandover(client, packageId, kind) {
+    const result = await client.query(
+      'SELECT * FROM package_handovers WHERE package_id = $1 AND kind = $2 AND verified_at IS NULL',
+      [packageId, kind]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Émettre un nouveau code de remise (le précédent cesse de fonctionner)
+   * @param {number} packageId - ID du colis
+   * @param {string} kind - pickup ou delivery
+   * @returns {Object} Code et contenu du QR code
+   */
+  async issueCode(packageId, kind) {
+    const code = String(crypto.randomInt(0, 10 ** HANDOVER_CODE_LENGTH)).padStart(HANDOVER_CODE_LENGTH, '0');
+
+    const result = await db.query(
+      `UPDATE package_handovers
+       SET code_hash = $1, code_issued_at = CURRENT_TIMESTAMP, attempts = 0, locked_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE package_id = $2 AND kind = $3 AND verified_at IS NULL
+       RETURNING code_issued_at`,
+      [hashCode(code), packageId, kind]
+    );
+
+    if (result.rows.length === 0) {
+      throw handoverError('Aucune remise en attente pour ce colis', 400);
+    }
+
+    return {
+      code,
+      qrPayload: `${QR_PREFIX}:${packageId}:${kind}:${code}`,
+      issuedAt: result.rows[0].code_issued_at
+    };
+  }
+
+  /**
+   * Émettre et transmettre le code d'une remise à la personne qui le présentera
+   * Prise en charge : l'expéditeur. Livraison : le destinataire, ou l'expéditeur
+   * si le colis n'a pas de destinataire désigné.
+   * @param {number} packageId - ID du colis
+   * @param {string} kind - pickup ou delivery
+   * @returns {Object} Code émis et personne qui l'a reçu
+   */
+  async sendCode(packageId, kind) {
+    const result = await db.query(
+      `SELECT p.id, p.title, p.sender_id, s.phone as sender_phone,
+              r.name as recipient_name, r.phone as recipient_phone
+       FROM packages p
+       JOIN users s ON p.sender_id = s.id
+       LEFT JOIN recipients r ON p.recipient_id = r.id
+       WHERE p.id = $1`,
+      [packageId]
+    );
+
+    const shipment = result.rows[0];
+    if (!shipment) {
+      throw handoverError('Colis non trouvé', 404);
+    }
+
+    const issued = await this.issueCode(packageId, kind);
+    const toRecipient = kind === HANDOVER_KINDS.DELIVERY && Boolean(shipment.recipient_phone);
+    const phone = toRecipient ? shipment.recipient_phone : shipment.sender_phone;
+
+    const smsBody = kind === HANDOVER_KINDS.PICKUP
+      ? `Chapchap : code de remise du colis "${shipment.title}" au voyageur : ${issued.code}. Ne le communiquez qu'au moment de lui remettre le colis.`
+      : `Chapchap : code de réception du colis "${shipment.title}" : ${issued.code}. Donnez-le au voyageur uniquement quand vous avez le colis en main.`;
+
+    if (phone) {
+      try {
+        await SmsService.send(phone, smsBody);
+      } catch (error) {
+        console.error('Erreur lors de l\'envoi du code de remise par SMS:', error);
+      }
+    }
+
+    // L'expéditeur retrouve aussi son code de prise en charge dans l'application
+    if (!toRecipient) {
+      socketService.sendSystemNotification(shipment.sender_id, {
+        type: 'handover_code',
+        packageId,
+        kind,
+        code: issued.code,
+        qrPayload: issued.qrPayload,
+        title: kind === HANDOVER_KINDS.PICKUP ? 'Code de prise en charge' : 'Code de réception',
+        message: `Présentez ce code au voyageur au moment de la remise du colis "${shipment.title}"`,
+        icon: '🔐',
+        timestamp: new Date()
+      });
+    }
+
+    console.log(`🔐 Code de remise (${kind}) du colis ${packageId} envoyé${phone ? ` au ${maskPhoneNumber(phone)}` : ''}`);
+
+    return {
+      ...issued,
+      holder: toRecipient ? CODE_HOLDERS.RECIPIENT : CODE_HOLDERS.SENDER
+    };
+  }
+
+  /**
+   * Émettre les codes des remises en attente d'un colis qui vient d'être accepté
+   * Un échec d'envoi n'interrompt pas le cycle de vie : l'expéditeur peut redemander un code
+   * @param {number} packageId - ID du colis
+   */
+  async sendPendingCodes(packageId) {
+    const result = await db.query(
+      'SELECT kind FROM package_handovers WHERE package_id = $1 AND verified_at IS NULL',
+      [packageId]
+    );
+
+    for (const { kind } of result.rows) {
+      try {
+        await this.sendCode(packageId, kind);
+      } catch (error) {
+        console.error(`Erreur lors de l'émission du code de remise (${kind}):`, error);
+      }
+    }
+  }
+
+  /**
+   * Redemander le code d'une remise (expéditeur)
+   * @param {number} packageId - ID du colis
+   * @param {string} kind - pickup ou delivery
+   * @returns {Object} Code émis, à afficher à l'expéditeur
+   */
+  async resendCode(packageId, kind) {
+    const handover = await this.getPendingHandover(db, packageId, kind);
+
+    if (!handover) {
+      throw handoverError('Aucune remise en attente pour ce colis', 400);
+    }
+
+    if (handover.code_issued_at) {
+      const elapsed = (Date.now() - new Date(handover.code_issued_at).getTime()) / 1000;
+      if (elapsed < HANDOVER_CODE_RESEND_SECONDS) {
+        throw handoverError('Veuillez patienter avant de demander un nouveau code', 429, 'HANDOVER_CODE_COOLDOWN');
+      }
+    }
+
+    return this.sendCode(packageId, kind);
+  }
+
+  /**
+   * Lire le code présenté au voyageur : saisi (PIN) ou scanné (QR code)
+   * @param {number} packageId - ID du colis
+   * @param {string} kind - pickup ou delivery
+   * @param {Object} input - code ou qrPayload
+   * @returns {Object} Code et méthode de saisie
+   */
+  parseCode(packageId, kind, { code, qrPayload }) {
+    if (qrPayload) {
+      const [prefix, payloadPackageId, payloadKind, payloadCode] = String(qrPayload).trim().split(':');
+
+      if (prefix !== QR_PREFIX || parseInt(payloadPackageId) !== packageId || payloadKind !== kind || !payloadCode) {
+        throw handoverError('Ce QR code ne correspond pas à cette remise', 400, 'HANDOVER_CODE_INVALID');
+      }
+
+      return { code: payloadCode, method: HANDOVER_METHODS.QR };
+    }
+
+    return { code: String(code || '').trim(), method: HANDOVER_METHODS.PIN };
+  }
+
+  /**
+   * Vérifier le code présenté au voyageur
+   * Les essais sont comptés hors de la transaction de l'appelant pour survivre à son ROLLBACK ;
+   * au-delà de 5 le code est bloqué et l'expéditeur doit en redemander un
+   * @param {Object} handover - Remise en attente
+   * @param {Object} input - code ou qrPayload
+   * @returns {string} Méthode de saisie (pin ou qr)
+   */
+  async verifyCode(handover, input) {
+    const { code, method } = this.parseCode(handover.package_id, handover.kind, input);
+
+    if (handover.locked_at) {
+      throw handoverError('Trop d\'essais. L\'expéditeur doit demander un nouveau code.', 429, 'HANDOVER_LOCKED');
+    }
+
+    if (!handover.code_hash) {
+      throw handoverError('Aucun code actif. L\'expéditeur doit demander un nouveau code.', 400, 'HANDOVER_CODE_MISSING');
+    }
+
+    const expected = Buffer.from(handover.code_hash);
+    const received = Buffer.from(hashCode(code));
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+      const attempts = handover.attempts + 1;
+
+      await db.query(
+        `UPDATE package_handovers
+         SET attempts = $1, locked_at = CASE WHEN $1 >= $2 THEN NOW() ELSE NULL END, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [attempts, HANDOVER_MAX_ATTEMPTS, handover.id]
+      );
+
+      const remaining = HANDOVER_MAX_ATTEMPTS - attempts;
+      throw remaining > 0
+        ? handoverError(`Code de remise invalide. ${remaining} essai(s) restant(s).`, 400, 'HANDOVER_CODE_INVALID')
+        : handoverError('Trop d\'essais. L\'expéditeur doit demander un nouveau code.', 429, 'HANDOVER_LOCKED');
+    }
+
+    return method;
+  }
+
+  /**
+   * Valider une remise : code vérifié, photo et position GPS, preuve signée
+   * @param {Object} client - Client de transaction (colis verrouillé par l'appelant)
+   * @param {Object} handover - Remise en attente
+   * @param {number} travelerId - Voyageur qui reçoit ou remet le colis
+   * @param {Object} input - code ou qrPayload, photo (fichier multer), latitude, longitude, accuracy
+   * @returns {Object} Remise formatée avec sa preuve
+   */
+  async complete(client, handover, travelerId, input) {
+    if (!input.photo) {
+      throw handoverError('Une photo de la remise est obligatoire', 400);
+    }
+
+    const latitude = Number(input.latitude);
+    const longitude = Number(input.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      throw handoverError('La position GPS de la remise est obligatoire', 400);
+    }
+
+    const method = await this.verifyCode(handover, input);
+    const photoSha256 = crypto.createHash('sha256')
+      .update(await fs.promises.readFile(input.photo.path))
+      .digest('hex');
+
+    const result = await client.query(
+      `UPDATE package_handovers
+       SET verified_at = date_trunc('milliseconds', CURRENT_TIMESTAMP), verified_by = $1, method = $2,
+           photo_path = $3, photo_sha256 = $4, latitude = $5, longitude = $6, location_accuracy = $7,
+           code_hash = NULL, attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING *`,
+      [
+        travelerId,
+        method,
+        `uploads/handovers/${input.photo.filename}`,
+        photoSha256,
+        latitude,
+        longitude,
+        input.accuracy === undefined || input.accuracy === null ? null : Number(input.accuracy),
+        handover.id
+      ]
+    );
+
+    const verified = result.rows[0];
+    verified.proof_signature = signProof(verified);
+
+    await client.query(
+      'UPDATE package_handovers SET proof_signature = $1 WHERE id = $2',
+      [verified.proof_signature, verified.id]
+    );
+
+    return formatHandover(verified);
+  }
+
+  /**
+   * Remises d'un colis et leurs preuves (expéditeur et voyageur)
+   * @param {number} packageId - ID du colis
+   * @returns {Array} Remises formatées
+   */
+  async getHandovers(packageId) {
+    const result = await db.query(
+      'SELECT * FROM package_handovers WHERE package_id = $1 ORDER BY kind DESC',
+      [packageId]
+    );
+
+    return result.rows.map(formatHandover);
+  }
+
+  /**
+   * Remise effectuée d'un colis, pour servir sa photo
+   * @param {number} packageId - ID du colis
+   * @param {string} kind - pickup ou delivery
+   * @returns {Object|null} Ligne package_handovers
+   */
+  async getCompletedHandover(packageId, kind) {
+    const result = await db.query(
+      'SELECT * FROM package_handovers WHERE package_id = $1 AND kind = $2 AND verified_at IS NOT NULL',
+      [packageId, kind]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = {
+  HandoverService: new HandoverService(),
+  HANDOVER_KINDS,
+  HANDOVER_METHODS,
+  CODE_HOLDERS
+};
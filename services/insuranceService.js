@@ -0,0 +1,524 @@
+const db = require('../config/database');
+const socketService = require('./socketService');
+const path = require('path');
+const { MAX_CLAIM_EVIDENCE, getEvidencePath, getEvidenceUrl } = require('./uploadService');
+const { CurrencyService } = require('./currencyService');
+const { PaymentService } = require('./paymentService');
+const { PACKAGE_CATEGORIES, isPackageCategory } = require('../config/packageCategories');
+const { isSupportedCurrency, roundAmount } = require('../config/currencies');
+
+/**
+ * Service d'assurance valeur déclarée
+ * La prime est un pourcentage de la valeur couverte, elle-même plafonnée
+ * selon la catégorie du colis. Une perte ou un dommage tranché en faveur
+ * de l'expéditeur ouvre un sinistre, indemnisé après examen par l'équipe.
+ */
+
+const POLICY_STATUS = {
+  ACTIVE: 'active',
+  CLAIMED: 'claimed',     // Sinistre déclaré
+  EXPIRED: 'expired',     // Livraison confirmée
+  CANCELLED: 'cancelled'  // Colis annulé ou refusé, prime remboursée
+};
+
+const CLAIM_STATUS = {
+  OPEN: 'open',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PAID: 'paid'
+};
+
+// Types de litige couverts par l'assurance
+const INSURED_DISPUTE_TYPES = ['loss', 'damage'];
+
+const insuranceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const parseEvidence = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const formatPolicy = (policy) => ({
+  id: policy.id,
+  packageId: policy.package_id,
+  category: policy.category,
+  declaredValue: parseFloat(policy.declared_value),
+  coveredValue: parseFloat(policy.covered_value),
+  rate: parseFloat(policy.rate),
+  premium: parseFloat(policy.premium),
+  currency: policy.currency,
+  status: policy.status,
+  createdAt: policy.created_at,
+  updatedAt: policy.updated_at
+});
+
+const formatClaim = (claim) => ({
+  id: claim.id,
+  policyId: claim.policy_id,
+  packageId: claim.package_id,
+  disputeId: claim.dispute_id,
+  claimantId: claim.claimant_id,
+  type: claim.claim_type,
+  claimedAmount: parseFloat(claim.claimed_amount),
+  approvedAmount: claim.approved_amount !== null ? parseFloat(claim.approved_amount) : null,
+  currency: claim.currency,
+  evidence: parseEvidence(claim.evidence).map(photo => ({
+    ...photo,
+    url: getEvidenceUrl(`/insurance/claims/${claim.id}`, photo)
+  })),
+  status: claim.status,
+  decisionNotes: claim.decision_notes,
+  decidedBy: claim.decided_by,
+  decidedAt: claim.decided_at,
+  paidAt: claim.paid_at,
+  createdAt: claim.created_at
+});
+
+class InsuranceService {
+  /**
+   * Lister les plafonds de couverture par catégorie
+   * @returns {Array} Catégories avec plafond et devise
+   */
+  async listCaps() {
+    const result = await db.query('SELECT * FROM insurance_category_caps ORDER BY category');
+    const caps = new Map(result.rows.map(row => [row.category, row]));
+
+    return Object.values(PACKAGE_CATEGORIES).map(category => {
+      const cap = caps.get(category.code);
+
+      return {
+        category: category.code,
+        label: category.label,
+        maxCoverage: cap ? parseFloat(cap.max_coverage) : 0,
+        currency: cap ? cap.currency : null,
+        insurable: Boolean(cap && parseFloat(cap.max_coverage) > 0),
+        updatedAt: cap ? cap.updated_at : null
+      };
+    });
+  }
+
+  /**
+   * Valeur couverte d'un colis : la valeur déclarée, dans la limite du plafond de sa catégorie
+   * @param {string} category - Catégorie du colis
+   * @param {number} declaredValue - Valeur déclarée (devise du voyage)
+   * @param {string} currency - Devise du voyage
+   * @returns {Object} coveredValue, maxCoverage (convertis dans la devise du voyage)
+   */
+  async getCoverage(category, declaredValue, currency) {
+    const result = await db.query(
+      'SELECT max_coverage, currency FROM insurance_category_caps WHERE category = $1',
+      [category]
+    );
+    const cap = result.rows[0];
+
+    if (!cap || parseFloat(cap.max_coverage) <= 0) {
+      const label = PACKAGE_CATEGORIES[category] ? PACKAGE_CATEGORIES[category].label : category;
+      throw insuranceError(`La catégorie "${label}" ne peut pas être assurée`, 400);
+    }
+
+    const maxCoverage = await CurrencyService.convert(parseFloat(cap.max_coverage), cap.currency, currency);
+    if (maxCoverage === null) {
+      throw insuranceError(`Taux de change ${cap.currency}/${currency} manquant pour le plafond d'assurance`, 503);
+    }
+
+    return {
+      coveredValue: roundAmount(Math.min(declaredValue, maxCoverage), currency),
+      maxCoverage
+    };
+  }
+
+  /**
+   * Enregistrer la police d'un colis assuré, d'après son devis
+   * @param {Object} client - Client de transaction
+   * @param {Object} packageData - Colis créé
+   * @param {Object} quote - Devis du colis
+   * @returns {Object|null} Police, ou null si le colis n'est pas assuré
+   */
+  async createPolicy(client, packageData, quote) {
+    const item = quote.insured && quote.items.find(entry => entry.type === 'insurance');
+    if (!item) return null;
+
+    const result = await client.query(
+      `INSERT INTO insurance_policies
+       (package_id, sender_id, category, declared_value, covered_value, rate, premium, currency)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        packageData.id, packageData.sender_id, packageData.category, quote.declaredValue,
+        item.base, item.rate, item.amount, quote.currency
+      ]
+    );
+
+    return formatPolicy(result.rows[0]);
+  }
+
+  /**
+   * Clore la police active d'un colis (annulation ou livraison confirmée)
+   * @param {Object} client - Client de transaction
+   * @param {number} packageId - ID du colis
+   * @param {string} status - cancelled ou expired
+   */
+  async closePolicy(client, packageId, status) {
+    await client.query(
+      `UPDATE insurance_policies SET status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE package_id = $2 AND status = $3`,
+      [status, packageId, POLICY_STATUS.ACTIVE]
+    );
+  }
+
+  /**
+   * Ouvrir un sinistre si le litige tranché le justifie :
+   * perte ou dommage, en faveur de l'expéditeur, sur un colis assuré
+   * @param {Object} client - Client de transaction
+   * @param {Object} dispute - Ligne package_disputes résolue
+   * @returns {Object|null} Sinistre ouvert
+   */
+  async handleDisputeResolution(client, dispute) {
+    if (dispute.resolved_in_favor_of !== 'sender' || !INSURED_DISPUTE_TYPES.includes(dispute.dispute_type)) {
+      return null;
+    }
+
+    const policyResult = await client.query(
+      'SELECT * FROM insurance_policies WHERE package_id = $1 AND status = $2 FOR UPDATE',
+      [dispute.package_id, POLICY_STATUS.ACTIVE]
+    );
+    const policy = policyResult.rows[0];
+    if (!policy) return null;
+
+    // Les photos déposées avec le litige servent de premières preuves
+    const result = await client.query(
+      `INSERT INTO insurance_claims
+       (policy_id, package_id, dispute_id, claimant_id, claim_type, claimed_amount, currency, evidence)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (dispute_id) DO NOTHING
+       RETURNING *`,
+      [
+        policy.id, policy.package_id, dispute.id, policy.sender_id, dispute.dispute_type,
+        policy.covered_value, policy.currency, JSON.stringify(parseEvidence(dispute.evidence_photos))
+      ]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    await client.query(
+      'UPDATE insurance_policies SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [POLICY_STATUS.CLAIMED, policy.id]
+    );
+
+    return formatClaim(result.rows[0]);
+  }
+
+  /**
+   * Prévenir l'expéditeur de l'ouverture de son sinistre (après COMMIT)
+   * @param {Object} claim - Sinistre ouvert
+   */
+  notifyClaimOpened(claim) {
+    if (!claim) return;
+
+    socketService.sendSystemNotification(claim.claimantId, {
+      type: 'insurance_claim_opened',
+      packageId: claim.packageId,
+      title: 'Sinistre ouvert',
+      message: 'Votre litige a été tranché en votre faveur : un sinistre d\'assurance a été ouvert. Vous pouvez ajouter des photos.',
+      icon: '🛡️',
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Ajouter des photos à un sinistre ouvert (stockées avec les preuves de litige)
+   * @param {number} claimId - ID du sinistre
+   * @param {number} userId - Expéditeur
+   * @param {Array} files - Photos enregistrées par l'upload (path, originalname, size)
+   * @returns {Object} Sinistre mis à jour
+   */
+  async addClaimEvidence(claimId, userId, files) {
+    const claimResult = await db.query('SELECT * FROM insurance_claims WHERE id = $1', [claimId]);
+    const claim = claimResult.rows[0];
+
+    if (!claim) {
+      throw insuranceError('Sinistre non trouvé', 404);
+    }
+
+    if (claim.claimant_id !== userId) {
+      throw insuranceError('Accès non autorisé à ce sinistre', 403);
+    }
+
+    if (claim.status !== CLAIM_STATUS.OPEN) {
+      throw insuranceError('Ce sinistre a déjà été examiné', 409);
+    }
+
+    const evidence = files.map(file => ({
+      path: getEvidencePath(file),
+      originalName: file.originalname,
+      size: file.size
+    }));
+
+    const result = await db.query(
+      `UPDATE insurance_claims SET evidence = evidence || $1::jsonb
+       WHERE id = $2 AND status = $3 AND jsonb_array_length(evidence) + $4 <= $5
+       RETURNING *`,
+      [JSON.stringify(evidence), claimId, CLAIM_STATUS.OPEN, evidence.length, MAX_CLAIM_EVIDENCE]
+    );
+
+    if (result.rows.length === 0) {
+      throw insuranceError(`Un sinistre compte au plus ${MAX_CLAIM_EVIDENCE} photos`, 400);
+    }
+
+    return formatClaim(result.rows[0]);
+  }
+
+  /**
+   * Photo de preuve d'un sinistre (expéditeur du sinistre ou équipe d'assurance)
+   * @param {number} claimId - ID du sinistre
+   * @param {string} filename - Nom du fichier demandé
+   * @param {Object} viewer - userId, ou staff: true
+   * @returns {Object} Photo (path, originalName, size)
+   */
+  async getClaimEvidencePhoto(claimId, filename, { userId, staff = false }) {
+    const claimResult = await db.query('SELECT claimant_id, evidence FROM insurance_claims WHERE id = $1', [claimId]);
+    const claim = claimResult.rows[0];
+
+    if (!claim) {
+      throw insuranceError('Sinistre non trouvé', 404);
+    }
+
+    if (!staff && claim.claimant_id !== userId) {
+      throw insuranceError('Accès non autorisé à ce sinistre', 403);
+    }
+
+    const photo = parseEvidence(claim.evidence)
+      .find(candidate => candidate.path && path.basename(candidate.path) === path.basename(filename));
+
+    if (!photo) {
+      throw insuranceError('Photo de preuve non trouvée', 404);
+    }
+
+    return photo;
+  }
+
+  /**
+   * Police et sinistres d'un colis (expéditeur ou voyageur)
+   * @param {number} packageId - ID du colis
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {Object} policy, claims
+   */
+  async getPackageInsurance(packageId, userId) {
+    const packageResult = await db.query(
+      'SELECT sender_id, traveler_id FROM packages WHERE id = $1',
+      [packageId]
+    );
+    const pkg = packageResult.rows[0];
+
+    if (!pkg) {
+      throw insuranceError('Colis non trouvé', 404);
+    }
+
+    if (pkg.sender_id !== userId && pkg.traveler_id !== userId) {
+      throw insuranceError('Accès non autorisé à ce colis', 403);
+    }
+
+    const policyResult = await db.query('SELECT * FROM insurance_policies WHERE package_id = $1', [packageId]);
+    if (policyResult.rows.length === 0) {
+      throw insuranceError('Ce colis n\'est pas assuré', 404);
+    }
+
+    const claimsResult = await db.query(
+      'SELECT * FROM insurance_claims WHERE policy_id = $1 ORDER BY created_at DESC',
+      [policyResult.rows[0].id]
+    );
+
+    return {
+      policy: formatPolicy(policyResult.rows[0]),
+      claims: claimsResult.rows.map(formatClaim)
+    };
+  }
+
+  /**
+   * Lister les sinistres (un expéditeur, ou tous pour l'équipe)
+   * @param {Object} filters - claimantId, status, page, limit
+   * @returns {Object} Sinistres paginés
+   */
+  async listClaims(filters = {}) {
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (filters.claimantId) {
+      params.push(filters.claimantId);
+      conditions.push(`claimant_id = $${params.length}`);
+    }
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await db.query(
+      `SELECT * FROM insurance_claims ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total FROM insurance_claims ${whereClause}`,
+      params
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      claims: result.rows.map(formatClaim),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Trancher un sinistre : accepté (indemnisé aussitôt) ou refusé
+   * @param {Object} client - Client de transaction
+   * @param {number} claimId - ID du sinistre
+   * @param {Object} decision - approved, approvedAmount, notes
+   * @param {number} actorId - Membre de l'équipe
+   * @returns {Object} before, after
+   */
+  async decideClaim(client, claimId, { approved, approvedAmount, notes }, actorId) {
+    const claimResult = await client.query('SELECT * FROM insurance_claims WHERE id = $1 FOR UPDATE', [claimId]);
+    const claim = claimResult.rows[0];
+
+    if (!claim) {
+      throw insuranceError('Sinistre non trouvé', 404);
+    }
+
+    if (claim.status !== CLAIM_STATUS.OPEN) {
+      throw insuranceError('Ce sinistre a déjà été examiné', 409);
+    }
+
+    if (!approved) {
+      const result = await client.query(
+        `UPDATE insurance_claims
+         SET status = $1, decision_notes = $2, decided_by = $3, decided_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING *`,
+        [CLAIM_STATUS.REJECTED, notes || null, actorId, claimId]
+      );
+
+      return { before: formatClaim(claim), after: formatClaim(result.rows[0]) };
+    }
+
+    const claimedAmount = parseFloat(claim.claimed_amount);
+    const amount = roundAmount(
+      approvedAmount !== undefined && approvedAmount !== null ? approvedAmount : claimedAmount,
+      claim.currency
+    );
+
+    if (amount <= 0 || amount > claimedAmount) {
+      throw insuranceError(`Le montant accordé doit être compris entre 0 et ${claimedAmount} ${claim.currency}`, 400);
+    }
+
+    // Le virement part après COMMIT ; le sinistre passe à "paid" une fois versé
+    await PaymentService.payInsuranceClaim(client, claim.package_id, {
+      claimId,
+      amount,
+      currency: claim.currency,
+      senderId: claim.claimant_id
+    });
+
+    const result = await client.query(
+      `UPDATE insurance_claims
+       SET status = $1, approved_amount = $2, decision_notes = $3, decided_by = $4, decided_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [CLAIM_STATUS.APPROVED, amount, notes || null, actorId, claimId]
+    );
+
+    return { before: formatClaim(claim), after: formatClaim(result.rows[0]) };
+  }
+
+  /**
+   * Prévenir l'expéditeur de la décision sur son sinistre (après COMMIT)
+   * @param {Object} claim - Sinistre tranché
+   */
+  notifyClaimDecided(claim) {
+    const approved = claim.status === CLAIM_STATUS.APPROVED;
+
+    socketService.sendSystemNotification(claim.claimantId, {
+      type: approved ? 'insurance_claim_approved' : 'insurance_claim_rejected',
+      packageId: claim.packageId,
+      title: approved ? 'Sinistre accepté' : 'Sinistre refusé',
+      message: approved
+        ? `${claim.approvedAmount} ${claim.currency} vont vous être versés au titre de l'assurance`
+        : 'Votre demande d\'indemnisation a été refusée',
+      icon: approved ? '🛡️' : '❌',
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Modifier le plafond de couverture d'une catégorie (0 = non assurable)
+   * Les polices existantes gardent leur valeur couverte
+   * @param {Object} client - Client de transaction
+   * @param {string} category - Catégorie
+   * @param {Object} cap - maxCoverage, currency
+   * @param {number} actorId - Membre de l'équipe
+   * @returns {Object} before, after
+   */
+  async setCap(client, category, { maxCoverage, currency }, actorId) {
+    if (!isPackageCategory(category)) {
+      throw insuranceError('Catégorie inconnue', 400);
+    }
+
+    if (!isSupportedCurrency(currency)) {
+      throw insuranceError('Devise non prise en charge', 400);
+    }
+
+    const existing = await client.query(
+      'SELECT max_coverage, currency FROM insurance_category_caps WHERE category = $1 FOR UPDATE',
+      [category]
+    );
+
+    await client.query(
+      `INSERT INTO insurance_category_caps (category, max_coverage, currency, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+       ON CONFLICT (category) DO UPDATE SET
+         max_coverage = EXCLUDED.max_coverage, currency = EXCLUDED.currency,
+         updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+      [category, maxCoverage, currency, actorId]
+    );
+
+    const before = existing.rows[0];
+
+    return {
+      before: before ? { maxCoverage: parseFloat(before.max_coverage), currency: before.currency } : null,
+      after: { category, maxCoverage, currency }
+    };
+  }
+}
+
+module.exports = {
+  InsuranceService: new InsuranceService(),
+  POLICY_STATUS,
+  CLAIM_STATUS,
+  INSURED_DISPUTE_TYPES
+};
@@ -0,0 +1,635 @@
+const db = require('../config/database');
+const { GeographyService, normalizePlaceName } = require('./geographyService');
+
+/**
+ * Itinéraires des voyages ChapChap
+ * Un voyage est une suite ordonnée d'étapes (Montréal → Paris → Dakar) : un colis peut
+ * être pris en charge et déposé à n'importe quelle étape, dans le sens du voyage.
+ * Les colonnes départ/destination de trips restent les extrémités de l'itinéraire.
+ * Les modèles de voyages récurrents génèrent les voyages à venir selon leur fréquence.
+ */
+
+// Nombre d'étapes d'un itinéraire (départ et destination compris)
+const MIN_TRIP_STOPS = 2;
+const MAX_TRIP_STOPS = 6;
+
+const TRIP_RECURRENCES = {
+  WEEKLY: 'weekly',     // Toutes les semaines
+  BIWEEKLY: 'biweekly', // Toutes les deux semaines
+  MONTHLY: 'monthly'    // Tous les mois, à la même date
+};
+
+// Durée maximale d'un itinéraire généré (jours entre le départ et la dernière étape)
+const MAX_TEMPLATE_TRIP_DAYS = 60;
+
+// Les voyages récurrents sont générés jusqu'à cet horizon
+const TEMPLATE_HORIZON_DAYS = parseInt(process.env.TRIP_TEMPLATE_HORIZON_DAYS) || 60;
+const TEMPLATE_JOB_INTERVAL = 6 * 60 * 60 * 1000; // 6 heures
+// Occurrences examinées par modèle (plus de 19 ans de départs hebdomadaires)
+const MAX_TEMPLATE_OCCURRENCES = 1000;
+
+const itineraryError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Date YYYY-MM-DD décalée de quelques jours (calcul en UTC, sans effet de fuseau)
+const addDays = (date, days) => {
+  const [year, month, day] = String(date).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// Même ville : identifiants du référentiel, sinon noms comparés sans accents ni casse
+const sameCity = (a, b) => {
+  const placeA = GeographyService.resolvePlace(a);
+  const placeB = GeographyService.resolvePlace(b);
+
+  if (placeA.cityId && placeB.cityId) {
+    return placeA.cityId === placeB.cityId;
+  }
+
+  return normalizePlaceName(a.city) === normalizePlaceName(b.city) &&
+    normalizePlaceName(a.country) === normalizePlaceName(b.country);
+};
+
+const formatStop = (stop) => ({
+  id: stop.id,
+  position: stop.position,
+  country: stop.country,
+  city: stop.city,
+  countryCode: stop.country_code,
+  cityId: stop.city_id,
+  arrivalDate: stop.arrival_date,
+  departureDate: stop.departure_date
+});
+
+const formatTemplate = (template) => ({
+  id: template.id,
+  stops: template.stops,
+  recurrence: template.recurrence,
+  startsOn: template.starts_on,
+  endsOn: template.ends_on,
+  availableWeight: parseFloat(template.available_weight),
+  availableVolume: template.available_volume === null ? null : parseFloat(template.available_volume),
+  refusedCategories: template.refused_categories,
+  pricePerKg: parseFloat(template.price_per_kg),
+  currency: template.currency,
+  description: template.description,
+  isActive: template.is_active,
+  generatedUntil: template.generated_until,
+  createdAt: template.created_at,
+  updatedAt: template.updated_at
+});
+
+class ItineraryService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Valider un itinéraire et le mettre dans l'ordre du voyage
+   * Départ : date de départ obligatoire. Escales : arrivée et départ obligatoires.
+   * Destination : date d'arrivée facultative. Les dates ne reculent jamais.
+   * @param {Array} stops - Étapes ({ country, city, arrivalDate, departureDate })
+   * @returns {Array} Étapes normalisées
+   */
+  normalizeStops(stops) {
+    if (!Array.isArray(stops) || stops.length < MIN_TRIP_STOPS || stops.length > MAX_TRIP_STOPS) {
+      throw itineraryError(`L'itinéraire doit compter entre ${MIN_TRIP_STOPS} et ${MAX_TRIP_STOPS} étapes`, 400);
+    }
+
+    const lastIndex = stops.length - 1;
+    const normalized = stops.map((stop, index) => ({
+      country: String(stop.country || '').trim(),
+      city: String(stop.city || '').trim(),
+      arrivalDate: index === 0 ? null : (stop.arrivalDate ? String(stop.arrivalDate).slice(0, 10) : null),
+      departureDate: index === lastIndex ? null : (stop.departureDate ? String(stop.departureDate).slice(0, 10) : null)
+    }));
+
+    let previousDate = null;
+
+    normalized.forEach((stop, index) => {
+      if (stop.country.length < 2 || stop.city.length < 2) {
+        throw itineraryError(`Étape ${index + 1} : pays et ville sont requis`, 400);
+      }
+
+      if (index > 0 && sameCity(stop, normalized[index - 1])) {
+        throw itineraryError(`Étape ${index + 1} : deux étapes consécutives ne peuvent pas être dans la même ville`, 400);
+      }
+
+      if (index < lastIndex && !stop.departureDate) {
+        throw itineraryError(`Étape ${index + 1} : la date de départ est requise`, 400);
+      }
+
+      if (index > 0 && index < lastIndex && !stop.arrivalDate) {
+        throw itineraryError(`Étape ${index + 1} : la date d'arrivée à l'escale est requise`, 400);
+      }
+
+      [stop.arrivalDate, stop.departureDate].filter(Boolean).forEach(date => {
+        if (Number.isNaN(new Date(date).getTime())) {
+          throw itineraryError(`Étape ${index + 1} : date invalide`, 400);
+        }
+        if (previousDate && date < previousDate) {
+          throw itineraryError(`Étape ${index + 1} : les dates de l'itinéraire doivent se suivre`, 400);
+        }
+        previousDate = date;
+      });
+    });
+
+    // Comme pour un voyage direct, l'arrivée à destination suit strictement le départ
+    const destination = normalized[lastIndex];
+    if (destination.arrivalDate && destination.arrivalDate <= normalized[lastIndex - 1].departureDate) {
+      throw itineraryError('La date d\'arrivée doit être après la date de départ', 400);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Itinéraire d'un voyage direct saisi avec les champs départ/destination
+   * @param {Object} data - departureCountry, departureCity, destinationCountry, destinationCity, departureDate, arrivalDate
+   * @returns {Array} Étapes (non normalisées)
+   */
+  directStops(data) {
+    return [
+      { country: data.departureCountry, city: data.departureCity, departureDate: data.departureDate },
+      { country: data.destinationCountry, city: data.destinationCity, arrivalDate: data.arrivalDate }
+    ];
+  }
+
+  /**
+   * Créer un voyage et son itinéraire
+   * @param {Object} client - Client de transaction
+   * @param {number} travelerId - Voyageur
+   * @param {Object} data - stops (normalisées), availableWeight, availableVolume, refusedCategories,
+   *   pricePerKg, currency, description, templateId
+   * @returns {Object|null} Ligne trips avec ses étapes (null si le modèle a déjà généré ce départ)
+   */
+  async createTrip(client, travelerId, data) {
+    const { stops } = data;
+    const origin = stops[0];
+    const destination = stops[stops.length - 1];
+    const originPlace = GeographyService.resolvePlace(origin);
+    const destinationPlace = GeographyService.resolvePlace(destination);
+
+    const result = await client.query(
+      `INSERT INTO trips (
+         traveler_id, departure_country, departure_city, destination_country,
+         destination_city, departure_date, arrival_date, available_weight, total_weight,
+         available_volume, total_volume, refused_categories, price_per_kg, currency, description, template_id,
+         departure_country_code, departure_city_id, destination_country_code, destination_city_id
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+       ON CONFLICT (template_id, departure_date) WHERE template_id IS NOT NULL DO NOTHING
+       RETURNING *`,
+      [
+        travelerId, origin.country, origin.city, destination.country,
+        destination.city, origin.departureDate, destination.arrivalDate, data.availableWeight,
+        data.availableVolume === undefined ? null : data.availableVolume,
+        [...new Set(data.refusedCategories || [])], data.pricePerKg, data.currency, data.description || null,
+        data.templateId || null,
+        originPlace.countryCode, originPlace.cityId, destinationPlace.countryCode, destinationPlace.cityId
+      ]
+    );
+
+    const trip = result.rows[0];
+    if (!trip) return null;
+
+    trip.stops = await this.insertStops(client, trip.id, stops);
+    return trip;
+  }
+
+  /**
+   * Enregistrer les étapes d'un voyage, rapprochées du référentiel géographique
+   * @param {Object} client - Client de transaction
+   * @param {number} tripId - ID du voyage
+   * @param {Array} stops - Étapes normalisées
+   * @returns {Array} Lignes trip_stops
+   */
+  async insertStops(client, tripId, stops) {
+    const places = stops.map(stop => GeographyService.resolvePlace(stop));
+
+    const result = await client.query(
+      `INSERT INTO trip_stops (trip_id, position, country, city, arrival_date, departure_date, country_code, city_id)
+       SELECT $1, stop.position - 1, stop.country, stop.city, stop.arrival_date, stop.departure_date,
+              stop.country_code, stop.city_id
+       FROM unnest($2::varchar[], $3::varchar[], $4::date[], $5::date[], $6::varchar[], $7::varchar[]) WITH ORDINALITY
+         AS stop(country, city, arrival_date, departure_date, country_code, city_id, position)
+       RETURNING *`,
+      [
+        tripId,
+        stops.map(stop => stop.country),
+        stops.map(stop => stop.city),
+        stops.map(stop => stop.arrivalDate),
+        stops.map(stop => stop.departureDate),
+        places.map(place => place.countryCode),
+        places.map(place => place.cityId)
+      ]
+    );
+
+    return result.rows.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Remplacer l'itinéraire d'un voyage (extrémités recopiées sur le voyage)
+   * Impossible dès qu'un colis a été demandé : ses étapes de prise en charge et de dépôt sont acquises
+   * @param {Object} client - Client de transaction
+   * @param {number} tripId - ID du voyage
+   * @param {Array} stops - Étapes normalisées
+   * @returns {Array} Lignes trip_stops
+   */
+  async replaceStops(client, tripId, stops) {
+    const packagesCheck = await client.query('SELECT 1 FROM packages WHERE trip_id = $1 LIMIT 1', [tripId]);
+    if (packagesCheck.rows.length > 0) {
+      throw itineraryError('L\'itinéraire ne peut plus être modifié : des colis ont déjà été demandés sur ce voyage', 400);
+    }
+
+    const origin = stops[0];
+    const destination = stops[stops.length - 1];
+    const originPlace = GeographyService.resolvePlace(origin);
+    const destinationPlace = GeographyService.resolvePlace(destination);
+
+    await client.query('DELETE FROM trip_stops WHERE trip_id = $1', [tripId]);
+    await client.query(
+      `UPDATE trips
+       SET departure_country = $1, departure_city = $2, departure_date = $3,
+           destination_country = $4, destination_city = $5, arrival_date = $6,
+           departure_country_code = $7, departure_city_id = $8,
+           destination_country_code = $9, destination_city_id = $10, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $11`,
+      [
+        origin.country, origin.city, origin.departureDate, destination.country, destination.city, destination.arrivalDate,
+        originPlace.countryCode, originPlace.cityId, destinationPlace.countryCode, destinationPlace.cityId, tripId
+      ]
+    );
+
+    return this.insertStops(client, tripId, stops);
+  }
+
+  /**
+   * Recopier sur l'itinéraire les extrémités modifiées d'un voyage direct
+   * Les lieux saisis sont de nouveau rapprochés du référentiel (voyage et étapes)
+   * @param {Object} client - Client de transaction
+   * @param {Object} trip - Ligne trips à jour (codes géographiques mis à jour)
+   */
+  async syncDirectStops(client, trip) {
+    const originPlace = GeographyService.resolvePlace({ country: trip.departure_country, city: trip.departure_city });
+    const destinationPlace = GeographyService.resolvePlace({ country: trip.destination_country, city: trip.destination_city });
+
+    Object.assign(trip, {
+      departure_country_code: originPlace.countryCode,
+      departure_city_id: originPlace.cityId,
+      destination_country_code: destinationPlace.countryCode,
+      destination_city_id: destinationPlace.cityId
+    });
+
+    await client.query(
+      `UPDATE trips
+       SET departure_country_code = $1, departure_city_id = $2, destination_country_code = $3, destination_city_id = $4
+       WHERE id = $5`,
+      [originPlace.countryCode, originPlace.cityId, destinationPlace.countryCode, destinationPlace.cityId, trip.id]
+    );
+    await client.query(
+      `UPDATE trip_stops
+       SET country = $1, city = $2, departure_date = $3, country_code = $4, city_id = $5
+       WHERE trip_id = $6 AND position = 0`,
+      [trip.departure_country, trip.departure_city, trip.departure_date, originPlace.countryCode, originPlace.cityId, trip.id]
+    );
+    await client.query(
+      `UPDATE trip_stops
+       SET country = $1, city = $2, arrival_date = $3, country_code = $4, city_id = $5
+       WHERE trip_id = $6 AND position = 1`,
+      [trip.destination_country, trip.destination_city, trip.arrival_date, destinationPlace.countryCode, destinationPlace.cityId, trip.id]
+    );
+  }
+
+  /**
+   * Étapes de plusieurs voyages
+   * @param {Array} tripIds - IDs des voyages
+   * @param {Object} client - Client de base de données (facultatif)
+   * @returns {Map} ID du voyage -> étapes formatées
+   */
+  async getStops(tripIds, client = db) {
+    const stopsByTrip = new Map(tripIds.map(tripId => [tripId, []]));
+    if (tripIds.length === 0) return stopsByTrip;
+
+    const result = await client.query(
+      'SELECT * FROM trip_stops WHERE trip_id = ANY($1) ORDER BY trip_id, position',
+      [tripIds]
+    );
+
+    result.rows.forEach(stop => {
+      stopsByTrip.get(stop.trip_id).push(formatStop(stop));
+    });
+
+    return stopsByTrip;
+  }
+
+  /**
+   * Tronçon d'un voyage emprunté par un colis (voyage entier par défaut)
+   * @param {number} tripId - ID du voyage
+   * @param {Object} selection - originStopId, destinationStopId (facultatifs)
+   * @param {Object} client - Client de base de données (facultatif)
+   * @returns {Object} origin et destination (lignes trip_stops)
+   */
+  async resolveSegment(tripId, { originStopId, destinationStopId } = {}, client = db) {
+    const result = await client.query(
+      'SELECT * FROM trip_stops WHERE trip_id = $1 ORDER BY position',
+      [tripId]
+    );
+    const stops = result.rows;
+
+    if (stops.length < MIN_TRIP_STOPS) {
+      throw itineraryError('Itinéraire du voyage introuvable', 404);
+    }
+
+    const origin = originStopId ? stops.find(stop => stop.id === originStopId) : stops[0];
+    const destination = destinationStopId ? stops.find(stop => stop.id === destinationStopId) : stops[stops.length - 1];
+
+    if (!origin || !destination) {
+      throw itineraryError('Étape inconnue sur ce voyage', 400);
+    }
+
+    if (origin.position >= destination.position) {
+      throw itineraryError('L\'étape de dépôt doit suivre l\'étape de prise en charge', 400);
+    }
+
+    return { origin, destination };
+  }
+
+  /**
+   * Lister les modèles de voyages récurrents d'un voyageur
+   * @param {number} travelerId - Voyageur
+   * @returns {Array} Modèles formatés
+   */
+  async listTemplates(travelerId) {
+    const result = await db.query(
+      'SELECT * FROM trip_templates WHERE traveler_id = $1 ORDER BY is_active DESC, starts_on',
+      [travelerId]
+    );
+
+    return result.rows.map(formatTemplate);
+  }
+
+  /**
+   * Valider les étapes d'un modèle : jours d'arrivée et de départ comptés depuis le départ
+   * @param {Array} stops - Étapes ({ country, city, arrivalDay, departureDay })
+   * @returns {Array} Étapes du modèle
+   */
+  normalizeTemplateStops(stops) {
+    if (!Array.isArray(stops)) {
+      throw itineraryError(`L'itinéraire doit compter entre ${MIN_TRIP_STOPS} et ${MAX_TRIP_STOPS} étapes`, 400);
+    }
+
+    const templateStops = stops.map((stop, index) => ({
+      country: String(stop.country || '').trim(),
+      city: String(stop.city || '').trim(),
+      arrivalDay: index === 0 || stop.arrivalDay === undefined || stop.arrivalDay === null ? null : parseInt(stop.arrivalDay),
+      departureDay: index === 0 ? 0 : (index === stops.length - 1 || stop.departureDay === undefined || stop.departureDay === null ? null : parseInt(stop.departureDay))
+    }));
+
+    templateStops.forEach((stop, index) => {
+      [stop.arrivalDay, stop.departureDay].forEach(day => {
+        if (day !== null && !(day >= 0 && day <= MAX_TEMPLATE_TRIP_DAYS)) {
+          throw itineraryError(`Étape ${index + 1} : les jours sont comptés entre 0 et ${MAX_TEMPLATE_TRIP_DAYS} depuis le départ`, 400);
+        }
+      });
+    });
+
+    // Même validation que pour un voyage, sur une occurrence type
+    this.normalizeStops(this.datedStops(templateStops, '2000-01-01'));
+
+    return templateStops;
+  }
+
+  /**
+   * Étapes datées d'une occurrence d'un modèle
+   * @param {Array} templateStops - Étapes du modèle
+   * @param {string} departureDate - Date de départ (YYYY-MM-DD)
+   * @returns {Array} Étapes ({ country, city, arrivalDate, departureDate })
+   */
+  datedStops(templateStops, departureDate) {
+    return templateStops.map(stop => ({
+      country: stop.country,
+      city: stop.city,
+      arrivalDate: stop.arrivalDay === null ? null : addDays(departureDate, stop.arrivalDay),
+      departureDate: stop.departureDay === null ? null : addDays(departureDate, stop.departureDay)
+    }));
+  }
+
+  /**
+   * Créer un modèle de voyage récurrent et générer ses premiers voyages
+   * @param {number} travelerId - Voyageur
+   * @param {Object} data - stops, recurrence, startsOn, endsOn, availableWeight, availableVolume,
+   *   refusedCategories, pricePerKg, currency, description
+   * @returns {Object} Modèle et voyages générés
+   */
+  async createTemplate(travelerId, data) {
+    const stops = this.normalizeTemplateStops(data.stops);
+
+    if (data.endsOn && String(data.endsOn).slice(0, 10) < String(data.startsOn).slice(0, 10)) {
+      throw itineraryError('La fin de la récurrence doit suivre son début', 400);
+    }
+
+    const result = await db.query(
+      `INSERT INTO trip_templates (
+         traveler_id, stops, recurrence, starts_on, ends_on, available_weight, available_volume,
+         refused_categories, price_per_kg, currency, description
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        travelerId, JSON.stringify(stops), data.recurrence, data.startsOn, data.endsOn || null,
+        data.availableWeight, data.availableVolume === undefined ? null : data.availableVolume,
+        [...new Set(data.refusedCategories || [])], data.pricePerKg, data.currency, data.description || null
+      ]
+    );
+
+    const template = result.rows[0];
+    const trips = await this.generateTrips(template);
+
+    return {
+      template: formatTemplate({ ...template, generated_until: trips.generatedUntil }),
+      generatedTrips: trips.created
+    };
+  }
+
+  /**
+   * Modifier un modèle : seuls les voyages générés ensuite sont concernés
+   * @param {number} travelerId - Voyageur
+   * @param {number} templateId - ID du modèle
+   * @param {Object} changes - endsOn, availableWeight, availableVolume, refusedCategories,
+   *   pricePerKg, description, isActive
+   * @returns {Object} Modèle mis à jour
+   */
+  async updateTemplate(travelerId, templateId, changes) {
+    const columns = {
+      endsOn: 'ends_on',
+      availableWeight: 'available_weight',
+      availableVolume: 'available_volume',
+      refusedCategories: 'refused_categories',
+      pricePerKg: 'price_per_kg',
+      description: 'description',
+      isActive: 'is_active'
+    };
+
+    const fields = Object.keys(columns).filter(field => changes[field] !== undefined);
+    if (fields.length === 0) {
+      throw itineraryError('Aucune donnée à mettre à jour', 400);
+    }
+
+    const current = await db.query(
+      `SELECT to_char(starts_on, 'YYYY-MM-DD') as starts_on
+       FROM trip_templates WHERE id = $1 AND traveler_id = $2`,
+      [templateId, travelerId]
+    );
+
+    if (current.rows.length === 0) {
+      throw itineraryError('Modèle de voyage non trouvé', 404);
+    }
+
+    if (changes.endsOn && String(changes.endsOn).slice(0, 10) < current.rows[0].starts_on) {
+      throw itineraryError('La fin de la récurrence doit suivre son début', 400);
+    }
+
+    const values = fields.map(field => (
+      field === 'refusedCategories' ? [...new Set(changes[field])] : changes[field]
+    ));
+
+    const result = await db.query(
+      `UPDATE trip_templates
+       SET ${fields.map((field, index) => `${columns[field]} = $${index + 1}`).join(', ')},
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1} AND traveler_id = $${fields.length + 2}
+       RETURNING *`,
+      [...values, templateId, travelerId]
+    );
+
+    return formatTemplate(result.rows[0]);
+  }
+
+  /**
+   * Démarrer le job de génération des voyages récurrents (une exécution immédiate puis toutes les 6 heures)
+   */
+  start() {
+    if (this.timer) return;
+
+    const runSafely = () => this.generateScheduledTrips().catch(error => {
+      console.error('❌ Erreur du job des voyages récurrents:', error.message);
+    });
+
+    runSafely();
+    this.timer = setInterval(runSafely, TEMPLATE_JOB_INTERVAL).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Générer les voyages des modèles actifs jusqu'à l'horizon
+   * @returns {Object} Nombre de voyages créés
+   */
+  async generateScheduledTrips() {
+    const result = await db.query(
+      `SELECT * FROM trip_templates
+       WHERE is_active = TRUE
+         AND (ends_on IS NULL OR ends_on > CURRENT_DATE)
+         AND (generated_until IS NULL OR generated_until < CURRENT_DATE + $1::int)`,
+      [TEMPLATE_HORIZON_DAYS]
+    );
+
+    let created = 0;
+
+    for (const template of result.rows) {
+      try {
+        const trips = await this.generateTrips(template);
+        created += trips.created.length;
+      } catch (error) {
+        console.error(`Erreur lors de la génération du modèle de voyage ${template.id}:`, error.message);
+      }
+    }
+
+    if (created > 0) {
+      console.log(`🗓️ ${created} voyage(s) récurrent(s) généré(s)`);
+    }
+
+    return { created };
+  }
+
+  /**
+   * Générer les départs à venir d'un modèle (les départs déjà générés sont ignorés)
+   * @param {Object} template - Ligne trip_templates
+   * @returns {Object} Voyages créés et date jusqu'à laquelle le modèle est généré
+   */
+  async generateTrips(template) {
+    const datesResult = await db.query(
+      `SELECT to_char(occurrence, 'YYYY-MM-DD') as departure_date
+       FROM (
+         SELECT tt.generated_until, tt.ends_on, (tt.starts_on + CASE tt.recurrence
+           WHEN 'monthly' THEN make_interval(months => n)
+           WHEN 'biweekly' THEN make_interval(days => 14 * n)
+           ELSE make_interval(days => 7 * n)
+         END)::date as occurrence
+         FROM trip_templates tt, generate_series(0, $2::int) n
+         WHERE tt.id = $1
+       ) occurrences
+       WHERE occurrence > GREATEST(CURRENT_DATE, COALESCE(generated_until, CURRENT_DATE))
+         AND occurrence <= CURRENT_DATE + $3::int
+         AND (ends_on IS NULL OR occurrence <= ends_on)
+       ORDER BY occurrence`,
+      [template.id, MAX_TEMPLATE_OCCURRENCES, TEMPLATE_HORIZON_DAYS]
+    );
+
+    const created = [];
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      for (const { departure_date: departureDate } of datesResult.rows) {
+        const trip = await this.createTrip(client, template.traveler_id, {
+          stops: this.datedStops(template.stops, departureDate),
+          availableWeight: template.available_weight,
+          availableVolume: template.available_volume,
+          refusedCategories: template.refused_categories,
+          pricePerKg: template.price_per_kg,
+          currency: template.currency,
+          description: template.description,
+          templateId: template.id
+        });
+
+        if (trip) created.push(trip);
+      }
+
+      const horizonResult = await client.query(
+        `UPDATE trip_templates
+         SET generated_until = GREATEST(COALESCE(generated_until, CURRENT_DATE), CURRENT_DATE + $1::int),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING generated_until`,
+        [TEMPLATE_HORIZON_DAYS, template.id]
+      );
+
+      await client.query('COMMIT');
+
+      return { created, generatedUntil: horizonResult.rows[0].generated_until };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = {
+  ItineraryService: new ItineraryService(),
+  TRIP_RECURRENCES,
+  MIN_TRIP_STOPS,
+  MAX_TRIP_STOPS,
+  formatStop,
+  formatTemplate
+};
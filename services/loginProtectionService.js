@@ -0,0 +1,291 @@
+const db = require('../config/database');
+const emailService = require('./emailService');
+
+/**
+ * Protection de la connexion contre la force brute et le credential stuffing
+ * Délais progressifs puis blocage temporaire, par email et par adresse IP.
+ * Les compteurs sont en base pour tenir sur plusieurs instances.
+ */
+
+const ATTEMPT_TYPES = {
+  LOGIN: 'login',
+  TWO_FACTOR: 'two_factor',
+  FORGOT_PASSWORD: 'forgot_password'
+};
+
+const THROTTLE_SCOPES = {
+  EMAIL: 'email',
+  IP: 'ip'
+};
+
+// Règles par portée : délai à partir de delayAfter échecs, blocage à maxAttempts
+const THROTTLE_RULES = {
+  [THROTTLE_SCOPES.EMAIL]: {
+    delayAfter: 3,
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5
+  },
+  [THROTTLE_SCOPES.IP]: {
+    delayAfter: 10,
+    maxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20
+  }
+};
+
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Les échecs plus anciens que la fenêtre ne comptent plus
+const FAILURE_WINDOW_MINUTES = 15;
+
+// Délai progressif : 1, 2, 4, 8... secondes, plafonné
+const MAX_DELAY_SECONDS = 60;
+
+// Demandes de réinitialisation de mot de passe par heure
+const PASSWORD_RESET_LIMITS = {
+  perEmail: 3,
+  perIp: 10
+};
+
+const throttleError = (message, retryAfter, code = 'TOO_MANY_ATTEMPTS') => {
+  const error = new Error(message);
+  error.statusCode = 429;
+  error.code = code;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const formatDuration = (seconds) => {
+  return seconds >= 60
+    ? `${Math.ceil(seconds / 60)} minute(s)`
+    : `${seconds} seconde(s)`;
+};
+
+class LoginProtectionService {
+  /**
+   * Refuser la tentative si l'email ou l'IP est bloqué ou doit encore attendre
+   * @param {string} email - Email normalisé
+   * @param {string} ip - Adresse IP
+   */
+  async assertCanAttempt(email, ip) {
+    const result = await db.query(
+      `SELECT scope, locked_until, next_attempt_at,
+         GREATEST(
+           EXTRACT(EPOCH FROM (locked_until - NOW())),
+           EXTRACT(EPOCH FROM (next_attempt_at - NOW())),
+           0
+         ) as wait_seconds,
+         locked_until > NOW() as locked
+       FROM login_throttles
+       WHERE (scope = $1 AND identifier = $2) OR (scope = $3 AND identifier = $4)`,
+      [THROTTLE_SCOPES.EMAIL, email, THROTTLE_SCOPES.IP, ip]
+    );
+
+    const blocking = result.rows
+      .filter(row => parseFloat(row.wait_seconds) > 0)
+      .sort((a, b) => parseFloat(b.wait_seconds) - parseFloat(a.wait_seconds))[0];
+
+    if (!blocking) return;
+
+    const retryAfter = Math.ceil(parseFloat(blocking.wait_seconds));
+
+    if (blocking.locked) {
+      throw throttleError(
+        `Trop de tentatives de connexion. Réessayez dans ${formatDuration(retryAfter)}.`,
+        retryAfter,
+        'LOGIN_LOCKED'
+      );
+    }
+
+    throw throttleError(
+      `Veuillez patienter ${formatDuration(retryAfter)} avant de réessayer.`,
+      retryAfter
+    );
+  }
+
+  /**
+   * Enregistrer un échec et mettre à jour les compteurs email et IP
+   * @param {Object} attempt - type, email, ip, userAgent, user (id, email, first_name), reason
+   */
+  async recordFailure(attempt) {
+    await this.logAttempt({ ...attempt, success: false });
+
+    const emailThrottle = await this.incrementThrottle(THROTTLE_SCOPES.EMAIL, attempt.email);
+    await this.incrementThrottle(THROTTLE_SCOPES.IP, attempt.ip);
+
+    // Prévenir le titulaire uniquement au moment où le blocage commence
+    if (emailThrottle && emailThrottle.justLocked && attempt.user) {
+      console.warn(`🔒 Connexion bloquée pour ${attempt.email} (${attempt.ip})`);
+
+      try {
+        await emailService.sendAccountLockedEmail(attempt.user.email, attempt.user.first_name, {
+          lockedUntil: emailThrottle.locked_until,
+          ipAddress: attempt.ip
+        });
+      } catch (error) {
+        console.error('⚠️ Erreur envoi email de blocage:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Enregistrer une connexion réussie et remettre à zéro le compteur de l'email
+   * Le compteur IP n'est pas remis à zéro : un attaquant qui possède un compte
+   * ne doit pas pouvoir effacer ses échecs sur les autres
+   * @param {Object} attempt - type, email, ip, userAgent, user
+   */
+  async recordSuccess(attempt) {
+    await this.logAttempt({ ...attempt, success: true });
+    await this.resetThrottle(THROTTLE_SCOPES.EMAIL, attempt.email);
+  }
+
+  /**
+   * Incrémenter un compteur d'échecs et appliquer délai ou blocage
+   * @param {string} scope - email ou ip
+   * @param {string} identifier - Email normalisé ou adresse IP
+   * @returns {Object|null} Compteur mis à jour (justLocked si le blocage vient de commencer)
+   */
+  async incrementThrottle(scope, identifier) {
+    if (!identifier) return null;
+
+    const rules = THROTTLE_RULES[scope];
+
+    const result = await db.query(
+      `INSERT INTO login_throttles (scope, identifier, failed_count, last_failed_at)
+       VALUES ($1, $2, 1, NOW())
+       ON CONFLICT (scope, identifier) DO UPDATE SET
+         failed_count = CASE
+           WHEN login_throttles.last_failed_at < NOW() - ($3 || ' minutes')::interval THEN 1
+           ELSE login_throttles.failed_count + 1
+         END,
+         last_failed_at = NOW()
+       RETURNING failed_count`,
+      [scope, identifier, FAILURE_WINDOW_MINUTES]
+    );
+
+    const failedCount = result.rows[0].failed_count;
+
+    if (failedCount >= rules.maxAttempts) {
+      const lockResult = await db.query(
+        `UPDATE login_throttles
+         SET locked_until = NOW() + ($3 || ' minutes')::interval, failed_count = 0,
+             next_attempt_at = NULL, lockout_count = lockout_count + 1
+         WHERE scope = $1 AND identifier = $2
+         RETURNING locked_until`,
+        [scope, identifier, LOCKOUT_MINUTES]
+      );
+
+      return { failed_count: failedCount, locked_until: lockResult.rows[0].locked_until, justLocked: true };
+    }
+
+    if (failedCount >= rules.delayAfter) {
+      const delay = Math.min(2 ** (failedCount - rules.delayAfter), MAX_DELAY_SECONDS);
+
+      await db.query(
+        `UPDATE login_throttles SET next_attempt_at = NOW() + ($3 || ' seconds')::interval
+         WHERE scope = $1 AND identifier = $2`,
+        [scope, identifier, delay]
+      );
+    }
+
+    return { failed_count: failedCount, justLocked: false };
+  }
+
+  async resetThrottle(scope, identifier) {
+    if (!identifier) return;
+
+    await db.query(
+      'DELETE FROM login_throttles WHERE scope = $1 AND identifier = $2',
+      [scope, identifier]
+    );
+  }
+
+  /**
+   * Lever le blocage d'un compte (console d'administration)
+   * @param {Object} client - Client de base de données ou de transaction
+   * @param {string} email - Email du compte
+   * @returns {boolean} true si un blocage ou un délai était en cours
+   */
+  async unlock(client, email) {
+    const result = await client.query(
+      `DELETE FROM login_throttles
+       WHERE scope = $1 AND identifier = $2
+       RETURNING locked_until > NOW() OR next_attempt_at > NOW() as was_blocked`,
+      [THROTTLE_SCOPES.EMAIL, email]
+    );
+
+    return result.rows.some(row => row.was_blocked);
+  }
+
+  /**
+   * Obtenir l'état du blocage d'un compte
+   * @param {string} email - Email du compte
+   * @returns {Object|null} Blocage en cours, ou null
+   */
+  async getLockout(email) {
+    const result = await db.query(
+      `SELECT failed_count, locked_until, lockout_count
+       FROM login_throttles
+       WHERE scope = $1 AND identifier = $2 AND locked_until > NOW()`,
+      [THROTTLE_SCOPES.EMAIL, email]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Limiter les demandes de réinitialisation de mot de passe (par email et par IP)
+   * La demande est journalisée, qu'elle soit acceptée ou non
+   * @param {Object} attempt - email, ip, userAgent, user
+   */
+  async assertCanRequestPasswordReset(attempt) {
+    const result = await db.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE email = $2) as email_requests,
+         COUNT(*) FILTER (WHERE ip_address = $3) as ip_requests
+       FROM login_attempts
+       WHERE attempt_type = $1
+         AND (email = $2 OR ip_address = $3)
+         AND created_at > NOW() - INTERVAL '1 hour'`,
+      [ATTEMPT_TYPES.FORGOT_PASSWORD, attempt.email, attempt.ip]
+    );
+
+    const counts = result.rows[0];
+    const limited = parseInt(counts.email_requests) >= PASSWORD_RESET_LIMITS.perEmail ||
+      parseInt(counts.ip_requests) >= PASSWORD_RESET_LIMITS.perIp;
+
+    await this.logAttempt({
+      ...attempt,
+      type: ATTEMPT_TYPES.FORGOT_PASSWORD,
+      success: !limited,
+      reason: limited ? 'rate_limited' : null
+    });
+
+    if (limited) {
+      throw throttleError('Trop de demandes de réinitialisation. Réessayez dans une heure.', 3600);
+    }
+  }
+
+  /**
+   * Journaliser une tentative dans login_attempts
+   * @param {Object} attempt - type, email, ip, userAgent, user, success, reason
+   */
+  async logAttempt(attempt) {
+    await db.query(
+      `INSERT INTO login_attempts (attempt_type, email, user_id, ip_address, user_agent, success, failure_reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        attempt.type || ATTEMPT_TYPES.LOGIN,
+        attempt.email || null,
+        attempt.user ? attempt.user.id : null,
+        attempt.ip || null,
+        attempt.userAgent || null,
+        attempt.success,
+        attempt.success ? null : attempt.reason || null
+      ]
+    );
+  }
+}
+
+module.exports = {
+  LoginProtectionService: new LoginProtectionService(),
+  ATTEMPT_TYPES,
+  LOCKOUT_MINUTES
+};
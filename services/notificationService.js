@@ -234,13 +234,16 @@ class NotificationService {
    */
   async notifyPackageStatusUpdate(userId, packageData, newStatus) {
     const statusMessages = {
-      'requested': '📋 Votre colis a été demandé',
+      'pending': '📋 Une demande de transport a été créée',
       'accepted': '✅ Votre colis a été accepté',
+      'rejected': '🚫 Votre demande de transport a été refusée',
       'picked_up': '📦 Votre colis a été pris en charge',
       'in_transit': '🚗 Votre colis est en transit',
       'arrived': '📍 Votre colis est arrivé à destination',
-      'delivered_confirmed': '🎉 Votre colis a été livré et confirmé',
-      'dispute': '⚠️ Un litige a été ouvert pour votre colis'
+      'delivered': '🤝 Votre colis a été remis, merci de confirmer la livraison',
+      'confirmed': '🎉 La livraison du colis a été confirmée',
+      'cancelled': '❌ La demande de transport a été annulée',
+      'disputed': '⚠️ Un litige a été ouvert pour votre colis'
     };
 
     const notification = {
@@ -410,6 +413,149 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notifier l'utilisateur de la décision sur un document d'identité
+   * @param {number} userId - ID de l'utilisateur
+   * @param {Object} documentData - id, type et label du document
+   * @param {boolean} approved - Document approuvé ou rejeté
+   * @param {string} reason - Motif de la décision (optionnel)
+   */
+  async notifyDocumentReviewed(userId, documentData, approved, reason = null) {
+    const notification = {
+      title: approved ? '✅ Document approuvé' : '📄 Document refusé',
+      body: approved
+        ? `Votre ${documentData.label.toLowerCase()} a été vérifié avec succès`
+        : `Votre ${documentData.label.toLowerCase()} a été refusé${reason ? ': ' + reason.substring(0, 80) : ''}`,
+      type: 'document_review',
+      icon: '/icons/document.png',
+      data: {
+        documentId: documentData.id.toString(),
+        documentType: documentData.type,
+        status: approved ? 'approved' : 'rejected',
+        action: 'view_documents'
+      }
+    };
+
+    await this.sendPushNotification(userId, notification);
+
+    // Envoyer aussi via Socket.IO
+    socketService.sendSystemNotification(userId, {
+      type: 'document_review',
+      title: notification.title,
+      message: notification.body,
+      data: notification.data
+    });
+  }
+
+  /**
+   * Prévenir l'utilisateur de l'expiration prochaine (ou effective) d'un document
+   * @param {number} userId - ID de l'utilisateur
+   * @param {Object} documentData - id, type et label du document
+   * @param {number} daysLeft - Jours restants (0 ou moins : document expiré)
+   */
+  async notifyDocumentExpiry(userId, documentData, daysLeft) {
+    const expired = daysLeft <= 0;
+    const notification = {
+      title: expired ? '⛔ Document expiré' : '⏳ Document bientôt expiré',
+      body: expired
+        ? `Votre ${documentData.label.toLowerCase()} a expiré, envoyez un nouveau document`
+        : `Votre ${documentData.label.toLowerCase()} expire dans ${daysLeft} jours`,
+      type: 'document_expiry',
+      icon: '/icons/document.png',
+      data: {
+        documentId: documentData.id.toString(),
+        documentType: documentData.type,
+        daysLeft: daysLeft.toString(),
+        action: 'view_documents'
+      }
+    };
+
+    await this.sendPushNotification(userId, notification);
+
+    socketService.sendSystemNotification(userId, {
+      type: 'document_expiry',
+      title: notification.title,
+      message: notification.body,
+      data: notification.data
+    });
+  }
+
+  /**
+   * Prévenir un expéditeur des voyages trouvés pour ses recherches enregistrées
+   * @param {number} userId - ID de l'expéditeur
+   * @param {Object} alert - trips (voyages détaillés), total, digest (résumé quotidien)
+   */
+  async notifyTripAlert(userId, alert) {
+    const [trip] = alert.trips;
+    const notification = {
+      title: alert.digest ? '🗓️ Vos voyages du jour' : '✈️ Nouveau voyage pour votre colis',
+      body: alert.total === 1
+        ? `${trip.departureCity} → ${trip.destinationCity} le ${trip.departureDate}, ${trip.availableWeight} kg disponibles`
+        : `${alert.total} voyages correspondent à vos recherches enregistrées`,
+      type: 'trip_alert',
+      icon: '/icons/trip.png',
+      data: {
+        tripIds: alert.trips.map(alertTrip => alertTrip.tripId).join(','),
+        total: alert.total.toString(),
+        action: alert.total === 1 ? 'view_trip' : 'view_saved_searches'
+      }
+    };
+
+    await this.sendPushNotification(userId, notification);
+
+    socketService.sendSystemNotification(userId, {
+      type: 'trip_alert',
+      title: notification.title,
+      message: notification.body,
+      data: alert
+    });
+  }
+
+  /**
+   * Prévenir d'une offre sur une demande de transport ouverte
+   * @param {number} userId - Destinataire (expéditeur pour une nouvelle offre, voyageur sinon)
+   * @param {string} event - received, accepted, rejected
+   * @param {Object} offerData - requestId, offerId, requestTitle, pricePerKg, currency, packageId
+   */
+  async notifyPackageOffer(userId, event, offerData) {
+    const messages = {
+      received: {
+        title: '💬 Nouvelle offre de transport',
+        body: `Un voyageur propose ${offerData.pricePerKg} ${offerData.currency}/kg pour "${offerData.requestTitle}"`
+      },
+      accepted: {
+        title: '🎉 Offre acceptée',
+        body: `L'expéditeur a retenu votre offre pour "${offerData.requestTitle}"`
+      },
+      rejected: {
+        title: '📭 Offre non retenue',
+        body: `L'expéditeur n'a pas retenu votre offre pour "${offerData.requestTitle}"`
+      }
+    };
+
+    const notification = {
+      ...messages[event],
+      type: 'package_offer',
+      icon: '/icons/package.png',
+      data: {
+        event,
+        requestId: offerData.requestId.toString(),
+        offerId: offerData.offerId ? offerData.offerId.toString() : '',
+        packageId: offerData.packageId ? offerData.packageId.toString() : '',
+        action: event === 'accepted' ? 'view_package' : 'view_package_request'
+      }
+    };
+
+    await this.sendPushNotification(userId, notification);
+
+    socketService.sendSystemNotification(userId, {
+      type: 'package_offer',
+      title: notification.title,
+      message: notification.body,
+      data: notification.data
+    });
+  }
+
   /**
    * Nettoyer les anciens tokens FCM inactifs
    */
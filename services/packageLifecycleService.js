@@ -0,0 +1,729 @@
+const db = require('../config/database');
+const socketService = require('./socketService');
+const notificationService = require('./notificationService');
+const { PaymentService } = require('./paymentService');
+const { InsuranceService, POLICY_STATUS } = require('./insuranceService');
+const { CapacityService } = require('./capacityService');
+const { ScreeningService, PACKAGE_SCREENING_STATUS } = require('./screeningService');
+const { RecipientService } = require('./recipientService');
+const { HandoverService, HANDOVER_KINDS } = require('./handoverService');
+const { PricingService } = require('./pricingService');
+const { GeographyService } = require('./geographyService');
+
+/**
+ * Cycle de vie des colis ChapChap
+ * Source unique des statuts, des transitions, des acteurs autorisés
+ * et des effets de bord (réservation de capacité, séquestre, assurance, objets réglementés,
+ * remises en main propre, suivi, notifications)
+ */
+
+// Statuts possibles des colis
+const PACKAGE_STATUS = {
+  PENDING: 'pending',            // 📥 Demande en attente du voyageur
+  ACCEPTED: 'accepted',          // ✅ Accepté par le voyageur
+  REJECTED: 'rejected',          // 🚫 Refusé par le voyageur
+  PICKED_UP: 'picked_up',        // 📦 Pris en charge
+  IN_TRANSIT: 'in_transit',      // 🚚 En transit
+  ARRIVED: 'arrived',            // 📍 Arrivé à destination
+  DELIVERED: 'delivered',        // 🤝 Remis au destinataire
+  CONFIRMED: 'confirmed',        // ✔️ Livraison confirmée par l'expéditeur
+  CANCELLED: 'cancelled',        // ❌ Annulé par l'expéditeur
+  DISPUTED: 'disputed',          // ⚠️ Litige
+  RESOLVED: 'resolved'           // ⚖️ Litige tranché par la médiation
+};
+
+// Rôles pouvant déclencher une transition
+const ACTORS = {
+  SENDER: 'sender',
+  TRAVELER: 'traveler',
+  MODERATOR: 'moderator', // Médiation des litiges (équipe ChapChap)
+  SYSTEM: 'system'        // Tâches automatiques (confirmation des livraisons sans réponse)
+};
+
+const BOTH_PARTIES = [ACTORS.SENDER, ACTORS.TRAVELER];
+
+// Transitions autorisées : statut actuel -> nouveau statut -> acteurs autorisés
+const TRANSITIONS = {
+  [PACKAGE_STATUS.PENDING]: {
+    [PACKAGE_STATUS.ACCEPTED]: [ACTORS.TRAVELER],
+    [PACKAGE_STATUS.REJECTED]: [ACTORS.TRAVELER],
+    [PACKAGE_STATUS.CANCELLED]: [ACTORS.SENDER]
+  },
+  [PACKAGE_STATUS.ACCEPTED]: {
+    [PACKAGE_STATUS.PICKED_UP]: [ACTORS.TRAVELER],
+    [PACKAGE_STATUS.IN_TRANSIT]: [ACTORS.TRAVELER],
+    [PACKAGE_STATUS.CANCELLED]: [ACTORS.SENDER],
+    [PACKAGE_STATUS.DISPUTED]: BOTH_PARTIES
+  },
+  [PACKAGE_STATUS.PICKED_UP]: {
+    [PACKAGE_STATUS.IN_TRANSIT]: [ACTORS.TRAVELER],
+    [PACKAGE_STATUS.DISPUTED]: BOTH_PARTIES
+  },
+  [PACKAGE_STATUS.IN_TRANSIT]: {
+    [PACKAGE_STATUS.ARRIVED]: [ACTORS.TRAVELER],
+    [PACKAGE_STATUS.DELIVERED]: [ACTORS.TRAVELER],
+    [PACKAGE_STATUS.DISPUTED]: BOTH_PARTIES
+  },
+  [PACKAGE_STATUS.ARRIVED]: {
+    [PACKAGE_STATUS.DELIVERED]: [ACTORS.TRAVELER],
+    [PACKAGE_STATUS.DISPUTED]: BOTH_PARTIES
+  },
+  [PACKAGE_STATUS.DELIVERED]: {
+    [PACKAGE_STATUS.CONFIRMED]: [ACTORS.SENDER, ACTORS.SYSTEM],
+    [PACKAGE_STATUS.DISPUTED]: BOTH_PARTIES
+  },
+  [PACKAGE_STATUS.CONFIRMED]: {},
+  [PACKAGE_STATUS.REJECTED]: {},
+  [PACKAGE_STATUS.CANCELLED]: {},
+  // Issue du litige décidée par la médiation : colis clos, ou reprise
+  // du transport là où il s'était arrêté si le litige est sans suite
+  [PACKAGE_STATUS.DISPUTED]: {
+    [PACKAGE_STATUS.RESOLVED]: [ACTORS.MODERATOR],
+    [PACKAGE_STATUS.ACCEPTED]: [ACTORS.MODERATOR],
+    [PACKAGE_STATUS.PICKED_UP]: [ACTORS.MODERATOR],
+    [PACKAGE_STATUS.IN_TRANSIT]: [ACTORS.MODERATOR],
+    [PACKAGE_STATUS.ARRIVED]: [ACTORS.MODERATOR],
+    [PACKAGE_STATUS.DELIVERED]: [ACTORS.MODERATOR]
+  },
+  [PACKAGE_STATUS.RESOLVED]: {}
+};
+
+// Vue simplifiée des transitions (statut -> liste des statuts suivants)
+const ALLOWED_TRANSITIONS = Object.fromEntries(
+  Object.entries(TRANSITIONS).map(([status, targets]) => [status, Object.keys(targets)])
+);
+
+// Statuts d'un colis pris en charge : sa réservation de capacité doit exister
+const CAPACITY_HOLDING_STATUSES = [
+  PACKAGE_STATUS.ACCEPTED,
+  PACKAGE_STATUS.PICKED_UP,
+  PACKAGE_STATUS.IN_TRANSIT,
+  PACKAGE_STATUS.ARRIVED
+];
+
+// Statuts où le voyageur a accepté la demande : il voit alors le destinataire
+const RECIPIENT_VISIBLE_STATUSES = [
+  ...CAPACITY_HOLDING_STATUSES,
+  PACKAGE_STATUS.DELIVERED,
+  PACKAGE_STATUS.CONFIRMED,
+  PACKAGE_STATUS.DISPUTED,
+  PACKAGE_STATUS.RESOLVED
+];
+
+// Statuts finaux : plus aucune action attendue sur le colis
+const FINAL_STATUSES = [
+  PACKAGE_STATUS.CONFIRMED,
+  PACKAGE_STATUS.REJECTED,
+  PACKAGE_STATUS.CANCELLED,
+  PACKAGE_STATUS.RESOLVED
+];
+
+// Statuts ouvrant l'évaluation mutuelle de l'expéditeur et du voyageur
+const RATABLE_STATUSES = [
+  PACKAGE_STATUS.CONFIRMED,
+  PACKAGE_STATUS.RESOLVED
+];
+
+// Colonnes horodatant les étapes clés du cycle de vie
+const STATUS_TIMESTAMP_COLUMNS = {
+  [PACKAGE_STATUS.ACCEPTED]: 'accepted_at',
+  [PACKAGE_STATUS.PICKED_UP]: 'picked_up_at',
+  [PACKAGE_STATUS.DELIVERED]: 'delivered_at',
+  [PACKAGE_STATUS.CONFIRMED]: 'confirmed_at'
+};
+
+// Délai laissé à l'expéditeur pour confirmer ou contester une livraison
+const DELIVERY_AUTO_CONFIRM_DAYS = parseInt(process.env.DELIVERY_AUTO_CONFIRM_DAYS) || 7;
+const AUTO_CONFIRM_JOB_INTERVAL = 60 * 60 * 1000; // 1 heure
+const AUTO_CONFIRM_BATCH_SIZE = 100;
+
+// Messages de statut pour les notifications
+const STATUS_MESSAGES = {
+  [PACKAGE_STATUS.PENDING]: {
+    icon: '📥',
+    title: 'Colis demandé',
+    description: 'Votre demande de transport a été créée'
+  },
+  [PACKAGE_STATUS.ACCEPTED]: {
+    icon: '✅',
+    title: 'Colis accepté',
+    description: 'Un voyageur a accepté de transporter votre colis'
+  },
+  [PACKAGE_STATUS.REJECTED]: {
+    icon: '🚫',
+    title: 'Demande refusée',
+    description: 'Le voyageur a refusé votre demande de transport'
+  },
+  [PACKAGE_STATUS.PICKED_UP]: {
+    icon: '📦',
+    title: 'Colis pris en charge',
+    description: 'Le voyageur a récupéré votre colis'
+  },
+  [PACKAGE_STATUS.IN_TRANSIT]: {
+    icon: '🚚',
+    title: 'Colis en transit',
+    description: 'Votre colis est en cours de transport'
+  },
+  [PACKAGE_STATUS.ARRIVED]: {
+    icon: '📍',
+    title: 'Colis arrivé',
+    description: 'Votre colis est arrivé à destination'
+  },
+  [PACKAGE_STATUS.DELIVERED]: {
+    icon: '🤝',
+    title: 'Colis livré',
+    description: 'Le voyageur a remis votre colis, merci de confirmer la livraison'
+  },
+  [PACKAGE_STATUS.CONFIRMED]: {
+    icon: '✔️',
+    title: 'Livraison confirmée',
+    description: 'La livraison du colis a été confirmée'
+  },
+  [PACKAGE_STATUS.CANCELLED]: {
+    icon: '❌',
+    title: 'Colis annulé',
+    description: 'La demande de transport a été annulée'
+  },
+  [PACKAGE_STATUS.DISPUTED]: {
+    icon: '⚠️',
+    title: 'Litige déclaré',
+    description: 'Un problème a été signalé pour ce colis'
+  },
+  [PACKAGE_STATUS.RESOLVED]: {
+    icon: '⚖️',
+    title: 'Litige résolu',
+    description: 'La médiation a rendu sa décision sur ce colis'
+  }
+};
+
+/**
+ * Créer une erreur de cycle de vie avec le code HTTP associé
+ * @param {string} message - Message d'erreur
+ * @param {number} statusCode - Code HTTP à renvoyer au client
+ * @returns {Error} Erreur enrichie
+ */
+const lifecycleError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class PackageLifecycleService {
+  /**
+   * Enregistrer une demande de transport en attente du voyageur, avec ses effets de bord :
+   * décision de filtrage, réservation de capacité, autorisation du paiement et assurance
+   * @param {Object} client - Client de transaction
+   * @param {Object} data - senderId, trip, segment (étapes origin et destination), details (title,
+   *   description, weight, value, pickupAddress, deliveryAddress, category), measured (dimensions
+   *   mesurées), quote (devis PricingService), screening, recipientId, requestId (demande ouverte d'origine)
+   * @param {Object} options - holdId (blocage de l'expéditeur à convertir), paymentMethod
+   * @returns {Object} Colis créé, réservation, paiement, police d'assurance et authorization
+   *   (à lever avec PaymentService.voidAuthorization si la transaction de l'appelant échoue)
+   */
+  async createPackage(client, data, { holdId = null, paymentMethod } = {}) {
+    const { senderId, trip, segment, details, measured, quote, screening } = data;
+    const pricing = PricingService.toPackageColumns(quote);
+    // Lieux du colis : ceux des étapes du tronçon, sinon ceux mentionnés dans les adresses
+    const placeOf = (stop, address) => (stop.country_code
+      ? { countryCode: stop.country_code, cityId: stop.city_id }
+      : GeographyService.detectInText(address));
+    const pickup = placeOf(segment.origin, details.pickupAddress);
+    const delivery = placeOf(segment.destination, details.deliveryAddress);
+
+    const result = await client.query(
+      `INSERT INTO packages (
+         sender_id, trip_id, traveler_id, title, description, weight, dimensions, 
+         value, pickup_address, delivery_address, total_price, currency,
+         subtotal, platform_fee, tax_amount, insurance_amount, traveler_earnings, price_breakdown, category,
+         length_cm, width_cm, height_cm, volume_litres, volumetric_weight, screening_status, recipient_id,
+         origin_stop_id, destination_stop_id, request_id,
+         pickup_country_code, pickup_city_id, delivery_country_code, delivery_city_id
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+         $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33)
+       RETURNING *`,
+      [
+        senderId, trip.id, trip.traveler_id, details.title, details.description, details.weight,
+        measured ? `${measured.length}×${measured.width}×${measured.height} cm` : null,
+        details.value, details.pickupAddress, details.deliveryAddress, pricing.total_price, quote.currency,
+        pricing.subtotal, pricing.platform_fee, pricing.tax_amount, pricing.insurance_amount,
+        pricing.traveler_earnings, pricing.price_breakdown, details.category,
+        measured && measured.length, measured && measured.width, measured && measured.height,
+        measured && measured.volumeLitres, measured && measured.volumetricWeight, screening.packageStatus,
+        data.recipientId || null, segment.origin.id, segment.destination.id, data.requestId || null,
+        pickup.countryCode, pickup.cityId, delivery.countryCode, delivery.cityId
+      ]
+    );
+
+    const packageData = result.rows[0];
+    await ScreeningService.attachPackage(client, screening.id, packageData.id);
+    // Le poids et le volume sont déduits du voyage (ou repris du blocage de l'expéditeur) avant le paiement
+    const reservation = await CapacityService.reserveForPackage(client, packageData, holdId);
+    const { payment, authorization } = await PaymentService.authorizeForPackage(client, packageData, paymentMethod);
+
+    let insurance;
+    try {
+      insurance = await InsuranceService.createPolicy(client, packageData, quote);
+    } catch (error) {
+      await PaymentService.voidAuthorization(authorization);
+      throw error;
+    }
+
+    return { packageData, reservation, payment, insurance, authorization };
+  }
+
+  /**
+   * Faire passer un colis à un nouveau statut
+   * @param {number} packageId - ID du colis
+   * @param {string} newStatus - Nouveau statut
+   * @param {number} userId - ID de l'utilisateur effectuant l'action
+   * @param {Object} options - notes, location, photoPath, client (transaction existante),
+   *   asModerator (décision de médiation, l'utilisateur n'est pas une partie du colis),
+   *   asSystem (tâche automatique, sans utilisateur),
+   *   acknowledgeRestrictions (le voyageur accepte un colis réglementé en connaissance de cause),
+   *   handover (code ou qrPayload, photo, latitude, longitude, accuracy présentés à la remise)
+   * @returns {Object} Résultat de la transition
+   */
+  async transition(packageId, newStatus, userId, options = {}) {
+    const ownsTransaction = !options.client;
+    const client = options.client || await db.getClient();
+
+    try {
+      if (ownsTransaction) {
+        await client.query('BEGIN');
+      }
+
+      // Verrouiller le colis pour éviter deux transitions concurrentes
+      const packageQuery = `
+        SELECT p.*, t.traveler_id, t.departure_date
+        FROM packages p
+        JOIN trips t ON p.trip_id = t.id
+        WHERE p.id = $1
+        FOR UPDATE OF p
+      `;
+      const packageResult = await client.query(packageQuery, [packageId]);
+
+      if (packageResult.rows.length === 0) {
+        throw lifecycleError('Colis non trouvé', 404);
+      }
+
+      const packageData = packageResult.rows[0];
+      const currentStatus = packageData.status;
+      const actor = options.asModerator
+        ? ACTORS.MODERATOR
+        : (options.asSystem ? ACTORS.SYSTEM : this.getActorRole(packageData, userId));
+
+      if (!actor) {
+        throw lifecycleError('Accès non autorisé à ce colis', 403);
+      }
+
+      if (!this.isTransitionAllowed(currentStatus, newStatus)) {
+        throw lifecycleError(`Transition non autorisée de ${currentStatus} vers ${newStatus}`, 400);
+      }
+
+      if (!this.canActorTrigger(currentStatus, newStatus, actor)) {
+        throw lifecycleError('Permission insuffisante pour cette action', 403);
+      }
+
+      await this.applyScreeningGate(client, packageData, newStatus, userId, options);
+      const handover = await this.applyHandoverProtocol(client, packageData, newStatus, actor, userId, options);
+      await this.applyCapacityChanges(client, packageData, newStatus);
+      await this.applyEscrowChanges(client, packageData, newStatus);
+
+      const timestampColumn = STATUS_TIMESTAMP_COLUMNS[newStatus];
+      const updateResult = await client.query(
+        `UPDATE packages
+         SET status = $1, updated_at = CURRENT_TIMESTAMP${timestampColumn ? `, ${timestampColumn} = CURRENT_TIMESTAMP` : ''}
+         WHERE id = $2
+         RETURNING *`,
+        [newStatus, packageId]
+      );
+
+      const trackingData = {
+        packageId,
+        status: newStatus,
+        previousStatus: currentStatus,
+        userId,
+        notes: options.notes || null,
+        location: options.location || null,
+        photoPath: options.photoPath || null,
+        timestamp: new Date()
+      };
+      trackingData.id = await this.createTrackingRecord(client, trackingData);
+
+      if (ownsTransaction) {
+        await client.query('COMMIT');
+      }
+
+      const result = {
+        success: true,
+        package: updateResult.rows[0],
+        previousStatus: currentStatus,
+        tracking: trackingData,
+        message: STATUS_MESSAGES[newStatus],
+        handover,
+        parties: {
+          senderId: packageData.sender_id,
+          travelerId: packageData.traveler_id
+        }
+      };
+
+      // Si l'appelant gère la transaction, il notifie après son propre COMMIT
+      if (ownsTransaction) {
+        await this.notifyTransition(result);
+      }
+
+      return result;
+    } catch (error) {
+      if (ownsTransaction) {
+        await client.query('ROLLBACK');
+      }
+      throw error;
+    } finally {
+      if (ownsTransaction) {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Vérifier si une transition de statut est autorisée
+   * @param {string} currentStatus - Statut actuel
+   * @param {string} newStatus - Nouveau statut
+   * @returns {boolean} Transition autorisée
+   */
+  isTransitionAllowed(currentStatus, newStatus) {
+    if (!currentStatus) return newStatus === PACKAGE_STATUS.PENDING;
+    return ALLOWED_TRANSITIONS[currentStatus]?.includes(newStatus) || false;
+  }
+
+  /**
+   * Vérifier si un acteur peut déclencher une transition
+   * @param {string} currentStatus - Statut actuel
+   * @param {string} newStatus - Nouveau statut
+   * @param {string} actor - Rôle de l'utilisateur (sender ou traveler)
+   * @returns {boolean} Permission accordée
+   */
+  canActorTrigger(currentStatus, newStatus, actor) {
+    return TRANSITIONS[currentStatus]?.[newStatus]?.includes(actor) || false;
+  }
+
+  /**
+   * Déterminer le rôle d'un utilisateur vis-à-vis d'un colis
+   * @param {Object} packageData - Données du colis (sender_id, traveler_id)
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {string|null} Rôle de l'utilisateur ou null s'il n'est pas concerné
+   */
+  getActorRole(packageData, userId) {
+    if (packageData.sender_id === userId) return ACTORS.SENDER;
+    if (packageData.traveler_id === userId) return ACTORS.TRAVELER;
+    return null;
+  }
+
+  /**
+   * Lister les statuts accessibles depuis un statut donné
+   * @param {string} currentStatus - Statut actuel
+   * @param {string} actor - Rôle de l'utilisateur (optionnel)
+   * @returns {Array} Statuts suivants possibles
+   */
+  getAvailableTransitions(currentStatus, actor = null) {
+    const targets = TRANSITIONS[currentStatus] || {};
+    return Object.keys(targets).filter(status => !actor || targets[status].includes(actor));
+  }
+
+  /**
+   * Exiger la prise de connaissance des restrictions avant d'accepter un colis réglementé
+   * @param {Object} client - Client de base de données
+   * @param {Object} packageData - Données du colis avant transition
+   * @param {string} newStatus - Nouveau statut
+   * @param {number} userId - Voyageur
+   * @param {Object} options - acknowledgeRestrictions
+   */
+  async applyScreeningGate(client, packageData, newStatus, userId, options) {
+    if (newStatus !== PACKAGE_STATUS.ACCEPTED) return;
+    if (packageData.screening_status !== PACKAGE_SCREENING_STATUS.PENDING_ACKNOWLEDGEMENT) return;
+
+    if (!options.acknowledgeRestrictions) {
+      const error = lifecycleError(
+        'Ce colis contient des objets réglementés : confirmez en avoir pris connaissance pour l\'accepter',
+        409
+      );
+      error.code = 'RESTRICTIONS_ACKNOWLEDGEMENT_REQUIRED';
+      error.restrictions = await ScreeningService.getRestrictions(packageData.id, client);
+      throw error;
+    }
+
+    await ScreeningService.acknowledge(client, packageData, userId);
+  }
+
+  /**
+   * Remises en main propre : ouvertes à l'acceptation, puis exigées pour la prise en charge
+   * et la livraison (code du détenteur, photo et position GPS)
+   * Les colis acceptés avant leur mise en place et les décisions de médiation en sont dispensés
+   * @param {Object} client - Client de base de données
+   * @param {Object} packageData - Données du colis avant transition
+   * @param {string} newStatus - Nouveau statut
+   * @param {string} actor - Rôle de l'utilisateur
+   * @param {number} userId - Voyageur
+   * @param {Object} options - handover
+   * @returns {Object|null} Remise validée avec sa preuve
+   */
+  async applyHandoverProtocol(client, packageData, newStatus, actor, userId, options) {
+    if (newStatus === PACKAGE_STATUS.ACCEPTED) {
+      await HandoverService.openHandovers(client, packageData.id);
+      return null;
+    }
+
+    if (actor !== ACTORS.TRAVELER) return null;
+
+    const kind = {
+      [PACKAGE_STATUS.PICKED_UP]: HANDOVER_KINDS.PICKUP,
+      [PACKAGE_STATUS.IN_TRANSIT]: HANDOVER_KINDS.PICKUP,
+      [PACKAGE_STATUS.DELIVERED]: HANDOVER_KINDS.DELIVERY
+    }[newStatus];
+    if (!kind) return null;
+
+    const pending = await HandoverService.getPendingHandover(client, packageData.id, kind);
+    if (!pending) {
+      if (options.handover) {
+        throw lifecycleError('Aucune remise en attente pour ce colis', 400);
+      }
+      return null;
+    }
+
+    if (newStatus === PACKAGE_STATUS.IN_TRANSIT || !options.handover) {
+      const error = lifecycleError(
+        kind === HANDOVER_KINDS.PICKUP
+          ? 'La prise en charge doit être validée avec le code de l\'expéditeur, une photo et la position GPS'
+          : 'La livraison doit être validée avec le code du destinataire, une photo et la position GPS',
+        409
+      );
+      error.code = 'HANDOVER_REQUIRED';
+      throw error;
+    }
+
+    return HandoverService.complete(client, pending, userId, options.handover);
+  }
+
+  /**
+   * Faire suivre la réservation de capacité du colis
+   * Le poids est réservé dès la demande ; un colis demandé avant les
+   * réservations est réservé à son acceptation. Refus et annulation le libèrent.
+   * @param {Object} client - Client de base de données
+   * @param {Object} packageData - Données du colis avant transition
+   * @param {string} newStatus - Nouveau statut
+   */
+  async applyCapacityChanges(client, packageData, newStatus) {
+    // Le litige ne libère pas le poids : rien à réserver à la reprise
+    if (packageData.status === PACKAGE_STATUS.DISPUTED) return;
+
+    if ([PACKAGE_STATUS.CANCELLED, PACKAGE_STATUS.REJECTED].includes(newStatus)) {
+      await CapacityService.releaseForPackage(client, packageData.id);
+    } else if (!CAPACITY_HOLDING_STATUSES.includes(packageData.status) && CAPACITY_HOLDING_STATUSES.includes(newStatus)) {
+      await CapacityService.ensureReservation(client, packageData);
+    }
+  }
+
+  /**
+   * Faire suivre au paiement sous séquestre le statut du colis
+   * Capture à l'acceptation, virement au voyageur à la confirmation,
+   * remboursement à l'annulation ou au refus, gel en cas de litige.
+   * La police d'assurance se termine avec la livraison confirmée ou l'annulation.
+   * À la sortie d'un litige, les fonds sont répartis par la décision de
+   * médiation ; une reprise du transport dégèle simplement le séquestre
+   * @param {Object} client - Client de base de données
+   * @param {Object} packageData - Données du colis avant transition
+   * @param {string} newStatus - Nouveau statut
+   */
+  async applyEscrowChanges(client, packageData, newStatus) {
+    if (packageData.status === PACKAGE_STATUS.DISPUTED) {
+      if (newStatus !== PACKAGE_STATUS.RESOLVED) {
+        await PaymentService.unfreeze(client, packageData);
+      }
+      return;
+    }
+
+    switch (newStatus) {
+      case PACKAGE_STATUS.ACCEPTED:
+        await PaymentService.capture(client, packageData);
+        break;
+      case PACKAGE_STATUS.CONFIRMED:
+        await PaymentService.release(client, packageData);
+        await InsuranceService.closePolicy(client, packageData.id, POLICY_STATUS.EXPIRED);
+        break;
+      case PACKAGE_STATUS.CANCELLED:
+      case PACKAGE_STATUS.REJECTED:
+        await PaymentService.refundOnCancellation(client, packageData);
+        await InsuranceService.closePolicy(client, packageData.id, POLICY_STATUS.CANCELLED);
+        break;
+      case PACKAGE_STATUS.DISPUTED:
+        await PaymentService.freeze(client, packageData);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Créer un enregistrement de suivi
+   * @param {Object} client - Client de base de données
+   * @param {Object} trackingData - Données de suivi
+   * @returns {number} ID de l'enregistrement créé
+   */
+  async createTrackingRecord(client, trackingData) {
+    const insertQuery = `
+      INSERT INTO package_tracking
+      (package_id, status, user_id, notes, location, photo_path, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `;
+
+    const result = await client.query(insertQuery, [
+      trackingData.packageId,
+      trackingData.status,
+      trackingData.userId,
+      trackingData.notes,
+      trackingData.location,
+      trackingData.photoPath,
+      trackingData.timestamp
+    ]);
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Notifier les parties d'un changement de statut (Socket.IO et push), après COMMIT
+   * @param {Object} result - Résultat retourné par transition()
+   */
+  async notifyTransition(result) {
+    const { package: packageData, tracking, parties } = result;
+    const statusInfo = STATUS_MESSAGES[tracking.status];
+
+    // Capture, annulation ou remboursement inscrits par la transition : envoyés sans attendre le job
+    PaymentService.processPendingOperations(packageData.id).catch(error => {
+      console.error('Erreur lors de l\'envoi des opérations de paiement:', error.message);
+    });
+
+    const recipients = [parties.senderId, parties.travelerId]
+      .filter(recipientId => recipientId && recipientId !== tracking.userId);
+
+    for (const recipientId of recipients) {
+      try {
+        if (socketService) {
+          socketService.sendSystemNotification(recipientId, {
+            type: 'package_status_update',
+            packageId: packageData.id,
+            status: tracking.status,
+            title: statusInfo.title,
+            message: statusInfo.description,
+            icon: statusInfo.icon,
+            timestamp: tracking.timestamp,
+            data: {
+              packageTitle: packageData.title,
+              trackingId: tracking.id,
+              previousStatus: tracking.previousStatus
+            }
+          });
+        }
+
+        await notificationService.notifyPackageStatusUpdate(recipientId, packageData, tracking.status);
+      } catch (error) {
+        console.error('Erreur lors de l\'envoi des notifications de statut:', error);
+      }
+    }
+
+    // Demande acceptée : le destinataire reçoit son lien de suivi, puis les codes de remise sont émis
+    if (tracking.status === PACKAGE_STATUS.ACCEPTED) {
+      try {
+        await RecipientService.sendTrackingLink(packageData.id);
+      } catch (error) {
+        console.error('Erreur lors de l\'envoi du lien de suivi au destinataire:', error);
+      }
+
+      await HandoverService.sendPendingCodes(packageData.id);
+    }
+
+    // Colis remis : l'expéditeur est invité à confirmer la livraison
+    if (tracking.status === PACKAGE_STATUS.DELIVERED && socketService) {
+      try {
+        socketService.notifyDeliveryConfirmationRequest({
+          packageId: packageData.id,
+          travelerId: parties.travelerId,
+          senderId: parties.senderId
+        });
+      } catch (error) {
+        console.error('Erreur lors de la demande de confirmation de livraison:', error);
+      }
+    }
+  }
+
+  /**
+   * Démarrer le job de confirmation automatique des livraisons (une exécution immédiate puis toutes les heures)
+   */
+  start() {
+    if (this.timer) return;
+
+    const runSafely = () => this.autoConfirmDeliveries().catch(error => {
+      console.error('❌ Erreur du job de confirmation des livraisons:', error.message);
+    });
+
+    runSafely();
+    this.timer = setInterval(runSafely, AUTO_CONFIRM_JOB_INTERVAL).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Confirmer les livraisons que l'expéditeur n'a ni confirmées ni contestées à temps
+   * Un litige ouvert fait sortir le colis du statut livré : il n'est pas concerné
+   * @returns {Object} Nombre de livraisons confirmées
+   */
+  async autoConfirmDeliveries() {
+    const result = await db.query(
+      `SELECT id FROM packages
+       WHERE status = $1 AND delivered_at < NOW() - ($2 || ' days')::interval
+       ORDER BY delivered_at
+       LIMIT $3`,
+      [PACKAGE_STATUS.DELIVERED, DELIVERY_AUTO_CONFIRM_DAYS, AUTO_CONFIRM_BATCH_SIZE]
+    );
+
+    let confirmed = 0;
+
+    for (const { id } of result.rows) {
+      try {
+        await this.transition(id, PACKAGE_STATUS.CONFIRMED, null, {
+          asSystem: true,
+          notes: `Livraison confirmée automatiquement après ${DELIVERY_AUTO_CONFIRM_DAYS} jours sans réponse de l'expéditeur`
+        });
+        confirmed++;
+      } catch (error) {
+        console.error(`Erreur lors de la confirmation automatique du colis ${id}:`, error.message);
+      }
+    }
+
+    if (confirmed > 0) {
+      console.log(`✔️ ${confirmed} livraison(s) confirmée(s) automatiquement`);
+    }
+
+    return { confirmed };
+  }
+
+}
+
+module.exports = {
+  PackageLifecycleService: new PackageLifecycleService(),
+  PACKAGE_STATUS,
+  ACTORS,
+  TRANSITIONS,
+  ALLOWED_TRANSITIONS,
+  CAPACITY_HOLDING_STATUSES,
+  RECIPIENT_VISIBLE_STATUSES,
+  FINAL_STATUSES,
+  RATABLE_STATUSES,
+  STATUS_MESSAGES,
+  DELIVERY_AUTO_CONFIRM_DAYS
+};
@@ -0,0 +1,965 @@
+const db = require('../config/database');
+const notificationService = require('./notificationService');
+const { PackageLifecycleService, PACKAGE_STATUS } = require('./packageLifecycleService');
+const { PricingService } = require('./pricingService');
+const { PaymentService } = require('./paymentService');
+const { ScreeningService, SCREENING_DECISIONS, PACKAGE_SCREENING_STATUS } = require('./screeningService');
+const { RecipientService } = require('./recipientService');
+const { ItineraryService } = require('./itineraryService');
+const { CapacityService } = require('./capacityService');
+const { GeographyService, placeCondition } = require('./geographyService');
+const { PACKAGE_CATEGORIES } = require('../config/packageCategories');
+const { measure, formatDimensions } = require('../config/dimensions');
+
+/**
+ * Demandes de transport ouvertes ChapChap
+ * L'expéditeur publie son colis sur un trajet (pays et villes de départ et d'arrivée,
+ * fenêtre de dates) sans choisir de voyage. Les voyageurs y répondent par une offre
+ * sur l'un de leurs voyages : prix par kg, date de remise et message. L'offre retenue
+ * devient un colis sur ce voyage (devis, réservation, paiement et assurance comme
+ * une demande classique) et les autres offres sont refusées.
+ */
+
+const REQUEST_STATUS = {
+  OPEN: 'open',           // En attente d'offres
+  BOOKED: 'booked',       // Offre acceptée : le colis existe sur le voyage retenu
+  CANCELLED: 'cancelled', // Retirée par l'expéditeur
+  EXPIRED: 'expired'      // Aucune offre retenue à temps
+};
+
+const OFFER_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',   // Autre offre retenue, demande retirée ou expirée
+  WITHDRAWN: 'withdrawn'  // Retirée par le voyageur
+};
+
+// Durée de publication d'une demande (raccourcie par sa date limite de remise)
+const REQUEST_VALIDITY_DAYS = 30;
+const MAX_OPEN_REQUESTS = 10;
+
+const REQUEST_JOB_INTERVAL = 60 * 60 * 1000; // 1 heure
+
+const requestError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+const hasValue = (value) => value !== null && value !== undefined;
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Colonnes lues d'une demande (dates en texte pour éviter tout décalage de fuseau)
+const REQUEST_COLUMNS = `
+  r.id, r.sender_id, r.title, r.description, r.category, r.weight,
+  r.length_cm, r.width_cm, r.height_cm, r.volume_litres, r.volumetric_weight, r.value, r.insurance,
+  r.pickup_address, r.delivery_address, r.departure_country, r.departure_city,
+  r.destination_country, r.destination_city, r.departure_country_code, r.departure_city_id,
+  r.destination_country_code, r.destination_city_id,
+  to_char(r.earliest_departure, 'YYYY-MM-DD') as earliest_departure,
+  to_char(r.deliver_by, 'YYYY-MM-DD') as deliver_by,
+  r.recipient_id, r.status, r.package_id, r.expires_at, r.created_at, r.updated_at
+`;
+
+// Offres avec le voyageur et le tronçon proposé
+const OFFER_QUERY = `
+  SELECT
+    o.id, o.request_id, o.traveler_id, o.trip_id, o.origin_stop_id, o.destination_stop_id,
+    o.price_per_kg, o.currency, to_char(o.delivery_date, 'YYYY-MM-DD') as delivery_date,
+    o.message, o.status, o.created_at, o.updated_at,
+    u.first_name, u.last_name, u.profile_picture, u.rating, u.is_verified,
+    os.country as origin_country, os.city as origin_city, os.country_code as origin_country_code,
+    to_char(os.departure_date, 'YYYY-MM-DD') as origin_departure_date,
+    ds.country as destination_country, ds.city as destination_city, ds.country_code as destination_country_code,
+    to_char(ds.arrival_date, 'YYYY-MM-DD') as destination_arrival_date
+  FROM package_offers o
+  JOIN users u ON u.id = o.traveler_id
+  LEFT JOIN trip_stops os ON os.id = o.origin_stop_id
+  LEFT JOIN trip_stops ds ON ds.id = o.destination_stop_id
+`;
+
+const formatRequest = (request) => ({
+  id: request.id,
+  senderId: request.sender_id,
+  title: request.title,
+  description: request.description,
+  category: request.category,
+  weight: parseFloat(request.weight),
+  dimensions: formatDimensions(request),
+  value: hasValue(request.value) ? parseFloat(request.value) : null,
+  insurance: request.insurance,
+  pickupAddress: request.pickup_address,
+  deliveryAddress: request.delivery_address,
+  route: {
+    departureCountry: request.departure_country,
+    departureCity: request.departure_city,
+    departureCountryCode: request.departure_country_code,
+    departureCityId: request.departure_city_id,
+    destinationCountry: request.destination_country,
+    destinationCity: request.destination_city,
+    destinationCountryCode: request.destination_country_code,
+    destinationCityId: request.destination_city_id
+  },
+  earliestDeparture: request.earliest_departure,
+  deliverBy: request.deliver_by,
+  status: request.status,
+  packageId: request.package_id,
+  ...(hasValue(request.offer_count) && { offerCount: parseInt(request.offer_count) }),
+  expiresAt: request.expires_at,
+  createdAt: request.created_at,
+  updatedAt: request.updated_at
+});
+
+const formatOffer = (offer) => ({
+  id: offer.id,
+  requestId: offer.request_id,
+  tripId: offer.trip_id,
+  traveler: {
+    id: offer.traveler_id,
+    firstName: offer.first_name,
+    lastName: offer.last_name,
+    profilePicture: offer.profile_picture,
+    rating: hasValue(offer.rating) ? parseFloat(offer.rating) : null,
+    isVerified: offer.is_verified
+  },
+  pricePerKg: parseFloat(offer.price_per_kg),
+  currency: offer.currency,
+  deliveryDate: offer.delivery_date,
+  message: offer.message,
+  status: offer.status,
+  segment: offer.origin_stop_id && offer.destination_stop_id ? {
+    originStopId: offer.origin_stop_id,
+    destinationStopId: offer.destination_stop_id,
+    departure: { country: offer.origin_country, city: offer.origin_city },
+    destination: { country: offer.destination_country, city: offer.destination_city },
+    departureDate: offer.origin_departure_date,
+    arrivalDate: offer.destination_arrival_date
+  } : null,
+  createdAt: offer.created_at,
+  updatedAt: offer.updated_at
+});
+
+class PackageRequestService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Valider une demande ouverte et la convertir en colonnes
+   * @param {Object} data - Demande au format de l'API
+   * @returns {Object} Colonnes package_requests
+   */
+  normalizeRequest(data) {
+    const text = (value) => (hasValue(value) && String(value).trim() ? String(value).trim() : null);
+    const measured = data.dimensions ? measure(data.dimensions) : null;
+
+    const request = {
+      title: text(data.title),
+      description: text(data.description),
+      category: data.category,
+      weight: parseFloat(data.weight),
+      length_cm: measured && measured.length,
+      width_cm: measured && measured.width,
+      height_cm: measured && measured.height,
+      volume_litres: measured && measured.volumeLitres,
+      volumetric_weight: measured && measured.volumetricWeight,
+      value: hasValue(data.value) ? parseFloat(data.value) : null,
+      insurance: data.insurance === true,
+      pickup_address: text(data.pickupAddress),
+      delivery_address: text(data.deliveryAddress),
+      departure_country: text(data.departureCountry),
+      departure_city: text(data.departureCity),
+      destination_country: text(data.destinationCountry),
+      destination_city: text(data.destinationCity),
+      earliest_departure: data.earliestDeparture ? String(data.earliestDeparture).slice(0, 10) : null,
+      deliver_by: data.deliverBy ? String(data.deliverBy).slice(0, 10) : null
+    };
+
+    if (!request.departure_country || !request.destination_country) {
+      throw requestError('Les pays de départ et de destination sont obligatoires', 400);
+    }
+
+    // Trajet rapproché du référentiel géographique (lieux inconnus acceptés en texte libre)
+    const departure = GeographyService.resolvePlace({ country: request.departure_country, city: request.departure_city });
+    const destination = GeographyService.resolvePlace({ country: request.destination_country, city: request.destination_city });
+    Object.assign(request, {
+      departure_country_code: departure.countryCode,
+      departure_city_id: departure.cityId,
+      destination_country_code: destination.countryCode,
+      destination_city_id: destination.cityId
+    });
+
+    if (!PACKAGE_CATEGORIES[request.category]) {
+      throw requestError('Catégorie de colis invalide', 400);
+    }
+
+    if (request.insurance && !(request.value > 0)) {
+      throw requestError('Une valeur déclarée est nécessaire pour assurer le colis', 400);
+    }
+
+    if (request.deliver_by && request.deliver_by <= today()) {
+      throw requestError('La date limite de remise doit être dans le futur', 400);
+    }
+
+    if (request.earliest_departure && request.deliver_by && request.deliver_by < request.earliest_departure) {
+      throw requestError('La date limite de remise doit suivre la date de départ souhaitée', 400);
+    }
+
+    return request;
+  }
+
+  /**
+   * Publier une demande ouverte
+   * Les objets interdits sur le trajet sont écartés dès la publication ; les objets
+   * réglementés sont signalés aux voyageurs et de nouveau contrôlés à l'acceptation
+   * @param {number} senderId - Expéditeur
+   * @param {Object} data - Demande, recipientId ou recipient
+   * @returns {Object} Demande publiée et restrictions relevées
+   */
+  async createRequest(senderId, data) {
+    const request = this.normalizeRequest(data);
+
+    const screening = await ScreeningService.screenPackage(
+      { title: request.title, description: request.description, category: request.category },
+      {
+        id: null,
+        departure_country: request.departure_country,
+        destination_country: request.destination_country,
+        departure_country_code: request.departure_country_code,
+        destination_country_code: request.destination_country_code
+      },
+      senderId
+    );
+
+    if (screening.decision === SCREENING_DECISIONS.BLOCKED) {
+      const error = requestError('Ce colis contient des objets interdits sur ce trajet', 400, 'PROHIBITED_ITEMS');
+      error.reasons = screening.matches;
+      throw error;
+    }
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) as total FROM package_requests WHERE sender_id = $1 AND status = $2',
+      [senderId, REQUEST_STATUS.OPEN]
+    );
+    if (parseInt(countResult.rows[0].total) >= MAX_OPEN_REQUESTS) {
+      throw requestError(`Vous ne pouvez pas publier plus de ${MAX_OPEN_REQUESTS} demandes ouvertes`, 409);
+    }
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const recipient = await RecipientService.resolveForPackage(client, senderId, {
+        recipientId: data.recipientId,
+        recipient: data.recipient
+      });
+
+      const columns = Object.keys(request);
+      const result = await client.query(
+        `INSERT INTO package_requests AS r (sender_id, ${columns.join(', ')}, recipient_id, expires_at)
+         VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')}, $${columns.length + 2},
+           LEAST(
+             COALESCE(($${columns.length + 3}::date + 1)::timestamp, 'infinity'),
+             CURRENT_TIMESTAMP + make_interval(days => $${columns.length + 4})
+           ))
+         RETURNING ${REQUEST_COLUMNS}`,
+        [
+          senderId, ...columns.map(column => request[column]), recipient ? recipient.id : null,
+          request.deliver_by, REQUEST_VALIDITY_DAYS
+        ]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        request: formatRequest(result.rows[0]),
+        restrictions: screening.matches
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Demandes publiées par un expéditeur, avec le nombre d'offres en cours
+   * @param {number} senderId - Expéditeur
+   * @param {string} status - Filtre de statut (facultatif)
+   * @returns {Array} Demandes
+   */
+  async listSenderRequests(senderId, status = null) {
+    const result = await db.query(
+      `SELECT ${REQUEST_COLUMNS},
+              (SELECT COUNT(*) FROM package_offers o WHERE o.request_id = r.id AND o.status = $2) as offer_count
+       FROM package_requests r
+       WHERE r.sender_id = $1 ${status ? 'AND r.status = $3' : ''}
+       ORDER BY r.created_at DESC`,
+      status ? [senderId, OFFER_STATUS.PENDING, status] : [senderId, OFFER_STATUS.PENDING]
+    );
+
+    return result.rows.map(formatRequest);
+  }
+
+  /**
+   * Demandes ouvertes visibles par un voyageur (les siennes exclues)
+   * @param {number} travelerId - Voyageur
+   * @param {Object} filters - departureCountry, departureCity, destinationCountry, destinationCity,
+   *   maxWeight, page, limit
+   * @returns {Object} Demandes, offre en cours du voyageur et pagination
+   */
+  async listOpenRequests(travelerId, filters = {}) {
+    const { page = 1, limit = 10 } = filters;
+    const conditions = ['r.status = $1', 'r.expires_at > CURRENT_TIMESTAMP', 'r.sender_id <> $2'];
+    const params = [REQUEST_STATUS.OPEN, travelerId];
+
+    // Lieux reconnus comparés par code, les autres en texte libre
+    const departure = GeographyService.resolvePlace({ country: filters.departureCountry, city: filters.departureCity });
+    const destination = GeographyService.resolvePlace({ country: filters.destinationCountry, city: filters.destinationCity });
+
+    const addPlace = (columns, value, code) => {
+      if (!value) return;
+      params.push(code, value);
+      conditions.push(placeCondition(columns, { code: `$${params.length - 1}::varchar`, text: `$${params.length}::text` }));
+    };
+
+    addPlace({ code: 'r.departure_country_code', text: 'r.departure_country' }, filters.departureCountry, departure.countryCode);
+    addPlace({ code: 'r.departure_city_id', text: 'r.departure_city' }, filters.departureCity, departure.cityId);
+    addPlace({ code: 'r.destination_country_code', text: 'r.destination_country' }, filters.destinationCountry, destination.countryCode);
+    addPlace({ code: 'r.destination_city_id', text: 'r.destination_city' }, filters.destinationCity, destination.cityId);
+
+    if (filters.maxWeight) {
+      params.push(filters.maxWeight);
+      conditions.push(`r.weight <= $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+
+    const result = await db.query(
+      `SELECT ${REQUEST_COLUMNS},
+              u.first_name as sender_first_name, u.rating as sender_rating, u.is_verified as sender_is_verified,
+              mine.id as my_offer_id
+       FROM package_requests r
+       JOIN users u ON u.id = r.sender_id
+       LEFT JOIN package_offers mine ON mine.request_id = r.id AND mine.traveler_id = $2 AND mine.status = '${OFFER_STATUS.PENDING}'
+       WHERE ${where}
+       ORDER BY r.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total FROM package_requests r WHERE ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      requests: result.rows.map(request => ({
+        ...formatRequest(request),
+        sender: {
+          id: request.sender_id,
+          firstName: request.sender_first_name,
+          rating: hasValue(request.sender_rating) ? parseFloat(request.sender_rating) : null,
+          isVerified: request.sender_is_verified
+        },
+        myOfferId: request.my_offer_id
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Obtenir une demande et ses offres
+   * L'expéditeur voit toutes les offres (avec le total estimé), un voyageur seulement les siennes
+   * @param {number} requestId - ID de la demande
+   * @param {number} userId - Utilisateur connecté
+   * @returns {Object} Demande et offres
+   */
+  async getRequest(requestId, userId) {
+    const result = await db.query(`SELECT ${REQUEST_COLUMNS} FROM package_requests r WHERE r.id = $1`, [requestId]);
+    const request = result.rows[0];
+
+    if (!request) {
+      throw requestError('Demande non trouvée', 404);
+    }
+
+    const isSender = request.sender_id === userId;
+    const offersResult = await db.query(
+      `${OFFER_QUERY}
+       WHERE o.request_id = $1 ${isSender ? '' : 'AND o.traveler_id = $2'}
+       ORDER BY o.created_at`,
+      isSender ? [requestId] : [requestId, userId]
+    );
+
+    // Un voyageur sans offre ne voit que les demandes encore ouvertes
+    if (!isSender && offersResult.rows.length === 0 && request.status !== REQUEST_STATUS.OPEN) {
+      throw requestError('Demande non trouvée', 404);
+    }
+
+    const offers = [];
+    for (const offer of offersResult.rows) {
+      offers.push({
+        ...formatOffer(offer),
+        ...(isSender && { estimate: await this.estimateOffer(request, offer) })
+      });
+    }
+
+    return {
+      ...formatRequest(request),
+      ...(isSender && { recipientId: request.recipient_id }),
+      offers
+    };
+  }
+
+  /**
+   * Total que paierait l'expéditeur pour une offre (frais et assurance compris)
+   * @param {Object} request - Ligne package_requests
+   * @param {Object} offer - Ligne OFFER_QUERY
+   * @returns {Object|null} total, currency (null si le devis est impossible)
+   */
+  async estimateOffer(request, offer) {
+    try {
+      const quote = await PricingService.quote({
+        price_per_kg: offer.price_per_kg,
+        currency: offer.currency,
+        departure_country_code: offer.origin_country_code,
+        destination_country_code: offer.destination_country_code
+      }, {
+        weight: request.weight,
+        volumetricWeight: request.volumetric_weight,
+        value: request.value,
+        category: request.category,
+        insured: request.insurance
+      });
+
+      return { total: quote.total, currency: quote.currency };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Retirer une demande ouverte (les offres en cours sont refusées)
+   * @param {number} senderId - Expéditeur
+   * @param {number} requestId - ID de la demande
+   */
+  async cancelRequest(senderId, requestId) {
+    const client = await db.getClient();
+    let request;
+    let rejected;
+
+    try {
+      await client.query('BEGIN');
+
+      request = await this.lockOpenRequest(client, senderId, requestId);
+
+      await client.query(
+        `UPDATE package_requests SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [REQUEST_STATUS.CANCELLED, requestId]
+      );
+      rejected = await this.rejectPendingOffers(client, requestId);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.notifyOffers(rejected, 'rejected', request);
+  }
+
+  /**
+   * Verrouiller une demande ouverte de l'expéditeur
+   * @param {Object} client - Client de transaction
+   * @param {number} senderId - Expéditeur
+   * @param {number} requestId - ID de la demande
+   * @returns {Object} Ligne package_requests
+   */
+  async lockOpenRequest(client, senderId, requestId) {
+    const result = await client.query(
+      `SELECT ${REQUEST_COLUMNS} FROM package_requests r WHERE r.id = $1 AND r.sender_id = $2 FOR UPDATE`,
+      [requestId, senderId]
+    );
+    const request = result.rows[0];
+
+    if (!request) {
+      throw requestError('Demande non trouvée', 404);
+    }
+
+    if (request.status !== REQUEST_STATUS.OPEN || new Date(request.expires_at) <= new Date()) {
+      throw requestError('Cette demande n\'est plus ouverte', 409);
+    }
+
+    return request;
+  }
+
+  /**
+   * Refuser les offres encore en cours d'une demande
+   * @param {Object} client - Client de transaction
+   * @param {number} requestId - ID de la demande
+   * @returns {Array} Offres refusées (id, traveler_id)
+   */
+  async rejectPendingOffers(client, requestId) {
+    const result = await client.query(
+      `UPDATE package_offers SET status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE request_id = $2 AND status = $3
+       RETURNING id, traveler_id`,
+      [OFFER_STATUS.REJECTED, requestId, OFFER_STATUS.PENDING]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Tronçon d'un voyage qui dessert le trajet d'une demande (première étape de départ,
+   * dernière étape d'arrivée qui conviennent, dans le sens du voyage)
+   * @param {Object} client - Client de base de données
+   * @param {number} tripId - ID du voyage
+   * @param {Object} request - Ligne package_requests
+   * @returns {Object} Étapes origin et destination, date de départ du tronçon (YYYY-MM-DD)
+   */
+  async findSegment(client, tripId, request) {
+    const result = await client.query(
+      `SELECT o.id as origin_stop_id, d.id as destination_stop_id,
+              to_char(COALESCE(o.departure_date, t.departure_date), 'YYYY-MM-DD') as departure_date
+       FROM trip_stops o
+       JOIN trip_stops d ON d.trip_id = o.trip_id AND d.position > o.position
+       JOIN trips t ON t.id = o.trip_id
+       WHERE o.trip_id = $1
+         AND ${placeCondition({ code: 'o.country_code', text: 'o.country' }, { code: '$2::varchar', text: '$3::text' })}
+         AND ${placeCondition({ code: 'd.country_code', text: 'd.country' }, { code: '$4::varchar', text: '$5::text' })}
+         AND ($7::text IS NULL OR ${placeCondition({ code: 'o.city_id', text: 'o.city' }, { code: '$6::varchar', text: '$7::text' })})
+         AND ($9::text IS NULL OR ${placeCondition({ code: 'd.city_id', text: 'd.city' }, { code: '$8::varchar', text: '$9::text' })})
+       ORDER BY o.position ASC, d.position DESC
+       LIMIT 1`,
+      [
+        tripId,
+        request.departure_country_code, request.departure_country,
+        request.destination_country_code, request.destination_country,
+        request.departure_city_id, request.departure_city,
+        request.destination_city_id, request.destination_city
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      throw requestError('Ce voyage ne dessert pas le trajet de la demande', 400);
+    }
+
+    const { origin_stop_id: originStopId, destination_stop_id: destinationStopId, departure_date: departureDate } = result.rows[0];
+    const segment = await ItineraryService.resolveSegment(tripId, { originStopId, destinationStopId }, client);
+
+    return { ...segment, departureDate };
+  }
+
+  /**
+   * Proposer un de ses voyages pour une demande ouverte
+   * @param {number} travelerId - Voyageur
+   * @param {number} requestId - ID de la demande
+   * @param {Object} data - tripId, pricePerKg, deliveryDate, message
+   * @returns {Object} Offre créée
+   */
+  async submitOffer(travelerId, requestId, { tripId, pricePerKg, deliveryDate, message }) {
+    const requestResult = await db.query(`SELECT ${REQUEST_COLUMNS} FROM package_requests r WHERE r.id = $1`, [requestId]);
+    const request = requestResult.rows[0];
+
+    if (!request) {
+      throw requestError('Demande non trouvée', 404);
+    }
+
+    if (request.status !== REQUEST_STATUS.OPEN || new Date(request.expires_at) <= new Date()) {
+      throw requestError('Cette demande n\'est plus ouverte', 409);
+    }
+
+    if (request.sender_id === travelerId) {
+      throw requestError('Vous ne pouvez pas répondre à votre propre demande', 400);
+    }
+
+    const tripResult = await db.query(
+      `SELECT id, traveler_id, status, currency, refused_categories
+       FROM trips WHERE id = $1 AND traveler_id = $2`,
+      [tripId, travelerId]
+    );
+    const trip = tripResult.rows[0];
+
+    if (!trip) {
+      throw requestError('Voyage non trouvé', 404);
+    }
+
+    if (trip.status !== 'active') {
+      throw requestError('Ce voyage n\'est plus disponible', 400);
+    }
+
+    if ((trip.refused_categories || []).includes(request.category)) {
+      throw requestError(`Vous refusez la catégorie "${PACKAGE_CATEGORIES[request.category].label}" sur ce voyage`, 400);
+    }
+
+    const { origin, destination, departureDate } = await this.findSegment(db, trip.id, request);
+
+    // Capacité libre sur le tronçon de la demande, pas seulement sur le voyage entier
+    const available = await CapacityService.getSegmentCapacity(trip.id, {
+      originStopId: origin.id,
+      destinationStopId: destination.id
+    });
+
+    if (available.weight < parseFloat(request.weight)) {
+      throw requestError(`Poids insuffisant disponible sur ce voyage. Maximum: ${available.weight} kg`, 409);
+    }
+
+    if (available.volume !== null && hasValue(request.volume_litres) &&
+        available.volume < parseFloat(request.volume_litres)) {
+      throw requestError(`Volume insuffisant disponible sur ce voyage. Maximum: ${available.volume} L`, 409);
+    }
+
+    const proposedDate = String(deliveryDate).slice(0, 10);
+
+    if (departureDate <= today()) {
+      throw requestError('La date de départ de ce voyage est déjà passée', 400);
+    }
+
+    if (request.earliest_departure && departureDate < request.earliest_departure) {
+      throw requestError('Ce voyage part avant la date souhaitée par l\'expéditeur', 400);
+    }
+
+    if (proposedDate < departureDate) {
+      throw requestError('La date de remise doit suivre le départ du voyage', 400);
+    }
+
+    if (request.deliver_by && proposedDate > request.deliver_by) {
+      throw requestError('La date de remise dépasse la date limite de l\'expéditeur', 400);
+    }
+
+    let offer;
+    try {
+      const result = await db.query(
+        `INSERT INTO package_offers (
+           request_id, traveler_id, trip_id, origin_stop_id, destination_stop_id,
+           price_per_kg, currency, delivery_date, message
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id`,
+        [requestId, travelerId, trip.id, origin.id, destination.id, pricePerKg, trip.currency, proposedDate, message || null]
+      );
+      offer = await this.getOffer(result.rows[0].id);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw requestError('Vous avez déjà une offre en cours sur cette demande', 409);
+      }
+      throw error;
+    }
+
+    await this.notifyOffers([{ id: offer.id, traveler_id: request.sender_id }], 'received', request, {
+      pricePerKg: offer.pricePerKg,
+      currency: offer.currency
+    });
+
+    return offer;
+  }
+
+  /**
+   * Obtenir une offre formatée
+   * @param {number} offerId - ID de l'offre
+   * @param {Object} client - Client de base de données (facultatif)
+   * @returns {Object} Offre
+   */
+  async getOffer(offerId, client = db) {
+    const result = await client.query(`${OFFER_QUERY} WHERE o.id = $1`, [offerId]);
+    return result.rows[0] ? formatOffer(result.rows[0]) : null;
+  }
+
+  /**
+   * Offres d'un voyageur, de la plus récente à la plus ancienne
+   * @param {number} travelerId - Voyageur
+   * @returns {Array} Offres avec le titre et le statut de la demande
+   */
+  async listTravelerOffers(travelerId) {
+    const result = await db.query(
+      `SELECT offers.*, r.title as request_title, r.status as request_status, r.package_id
+       FROM (${OFFER_QUERY} WHERE o.traveler_id = $1) offers
+       JOIN package_requests r ON r.id = offers.request_id
+       ORDER BY offers.created_at DESC`,
+      [travelerId]
+    );
+
+    return result.rows.map(offer => ({
+      ...formatOffer(offer),
+      request: {
+        id: offer.request_id,
+        title: offer.request_title,
+        status: offer.request_status,
+        // Le colis n'est montré qu'au voyageur retenu
+        packageId: offer.status === OFFER_STATUS.ACCEPTED ? offer.package_id : null
+      }
+    }));
+  }
+
+  /**
+   * Retirer son offre tant qu'elle est en cours
+   * @param {number} travelerId - Voyageur
+   * @param {number} requestId - ID de la demande
+   * @param {number} offerId - ID de l'offre
+   */
+  async withdrawOffer(travelerId, requestId, offerId) {
+    const result = await db.query(
+      `UPDATE package_offers SET status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND request_id = $3 AND traveler_id = $4 AND status = $5
+       RETURNING id`,
+      [OFFER_STATUS.WITHDRAWN, offerId, requestId, travelerId, OFFER_STATUS.PENDING]
+    );
+
+    if (result.rows.length === 0) {
+      throw requestError('Offre en cours non trouvée', 404);
+    }
+  }
+
+  /**
+   * Accepter une offre : le colis est créé sur le voyage du voyageur et les autres offres sont refusées
+   * Le voyageur s'est engagé par son offre : le colis est accepté d'office, sauf objets
+   * réglementés sur le tronçon, qu'il doit d'abord reconnaître comme pour toute demande
+   * @param {number} senderId - Expéditeur
+   * @param {number} requestId - ID de la demande
+   * @param {number} offerId - ID de l'offre retenue
+   * @param {Object} options - paymentMethod
+   * @returns {Object} Colis, paiement, assurance, réservation et contrôle des objets
+   */
+  async acceptOffer(senderId, requestId, offerId, { paymentMethod } = {}) {
+    const client = await db.getClient();
+    let request;
+    let offer;
+    let created;
+    let screening;
+    let rejected;
+    let transition = null;
+
+    try {
+      await client.query('BEGIN');
+
+      request = await this.lockOpenRequest(client, senderId, requestId);
+
+      const offerResult = await client.query(
+        'SELECT * FROM package_offers WHERE id = $1 AND request_id = $2 FOR UPDATE',
+        [offerId, requestId]
+      );
+      offer = offerResult.rows[0];
+
+      if (!offer) {
+        throw requestError('Offre non trouvée', 404);
+      }
+
+      if (offer.status !== OFFER_STATUS.PENDING) {
+        throw requestError('Cette offre n\'est plus disponible', 409);
+      }
+
+      const tripResult = await client.query(
+        `SELECT id, traveler_id, available_weight, price_per_kg, currency, departure_date, status,
+                departure_country, destination_country, departure_country_code, destination_country_code,
+                refused_categories
+         FROM trips WHERE id = $1`,
+        [offer.trip_id]
+      );
+      const trip = tripResult.rows[0];
+
+      if (!trip || trip.status !== 'active') {
+        throw requestError('Le voyage de cette offre n\'est plus disponible', 409);
+      }
+
+      const segment = await ItineraryService.resolveSegment(trip.id, {
+        originStopId: offer.origin_stop_id,
+        destinationStopId: offer.destination_stop_id
+      }, client);
+
+      if (segment.origin.departure_date && new Date(segment.origin.departure_date) <= new Date()) {
+        throw requestError('La date de départ de ce voyage est déjà passée', 409);
+      }
+
+      const details = {
+        title: request.title,
+        description: request.description,
+        weight: request.weight,
+        value: request.value,
+        pickupAddress: request.pickup_address,
+        deliveryAddress: request.delivery_address,
+        category: request.category
+      };
+
+      // Contrôle définitif sur le tronçon retenu (décision journalisée et rattachée au colis)
+      screening = await ScreeningService.screenPackage(details, {
+        ...trip,
+        departure_country: segment.origin.country,
+        destination_country: segment.destination.country,
+        departure_country_code: segment.origin.country_code,
+        destination_country_code: segment.destination.country_code
+      }, senderId);
+
+      if (screening.decision === SCREENING_DECISIONS.BLOCKED) {
+        const error = requestError('Ce colis contient des objets interdits sur ce trajet', 400, 'PROHIBITED_ITEMS');
+        error.reasons = screening.matches;
+        throw error;
+      }
+
+      const measured = hasValue(request.length_cm) ? {
+        length: parseFloat(request.length_cm),
+        width: parseFloat(request.width_cm),
+        height: parseFloat(request.height_cm),
+        volumeLitres: parseFloat(request.volume_litres),
+        volumetricWeight: parseFloat(request.volumetric_weight)
+      } : null;
+
+      // Prix par kg de l'offre, frais et assurance selon les règles du trajet
+      const pricedTrip = { ...trip, price_per_kg: offer.price_per_kg, currency: offer.currency };
+      const quote = await PricingService.quote(pricedTrip, {
+        weight: request.weight,
+        volumetricWeight: measured && measured.volumetricWeight,
+        value: request.value,
+        category: request.category,
+        insured: request.insurance
+      });
+
+      created = await PackageLifecycleService.createPackage(client, {
+        senderId,
+        trip,
+        segment,
+        details,
+        measured,
+        quote,
+        screening,
+        recipientId: request.recipient_id,
+        requestId
+      }, { paymentMethod });
+
+      await client.query(
+        'UPDATE package_offers SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [OFFER_STATUS.ACCEPTED, offerId]
+      );
+      rejected = await this.rejectPendingOffers(client, requestId);
+      await client.query(
+        `UPDATE package_requests SET status = $1, package_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3`,
+        [REQUEST_STATUS.BOOKED, created.packageData.id, requestId]
+      );
+
+      if (screening.packageStatus !== PACKAGE_SCREENING_STATUS.PENDING_ACKNOWLEDGEMENT) {
+        transition = await PackageLifecycleService.transition(created.packageData.id, PACKAGE_STATUS.ACCEPTED, offer.traveler_id, {
+          client,
+          notes: 'Offre du voyageur acceptée par l\'expéditeur'
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // Le colis n'existe pas : l'autorisation posée sur la carte est levée
+      if (created) await PaymentService.voidAuthorization(created.authorization);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (transition) {
+      await PackageLifecycleService.notifyTransition(transition);
+    }
+
+    await this.notifyOffers([{ id: offer.id, traveler_id: offer.traveler_id }], 'accepted', request, {
+      packageId: created.packageData.id
+    });
+    await this.notifyOffers(rejected, 'rejected', request);
+
+    return {
+      package: transition ? transition.package : created.packageData,
+      payment: created.payment,
+      insurance: created.insurance,
+      reservation: created.reservation,
+      screening: {
+        status: screening.packageStatus,
+        restrictions: screening.matches
+      }
+    };
+  }
+
+  /**
+   * Prévenir les parties d'une offre (push et Socket.IO)
+   * @param {Array} offers - id et traveler_id (destinataire de la notification)
+   * @param {string} event - received, accepted, rejected
+   * @param {Object} request - Ligne package_requests
+   * @param {Object} extra - pricePerKg, currency, packageId
+   */
+  async notifyOffers(offers, event, request, extra = {}) {
+    for (const offer of offers) {
+      try {
+        await notificationService.notifyPackageOffer(offer.traveler_id, event, {
+          requestId: request.id,
+          offerId: offer.id,
+          requestTitle: request.title,
+          ...extra
+        });
+      } catch (error) {
+        console.error('⚠️ Erreur notification d\'offre de transport:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Démarrer le job d'expiration des demandes (une exécution immédiate puis toutes les heures)
+   */
+  start() {
+    if (this.timer) return;
+
+    const runSafely = () => this.expireRequests().catch(error => {
+      console.error('❌ Erreur du job d\'expiration des demandes ouvertes:', error.message);
+    });
+
+    runSafely();
+    this.timer = setInterval(runSafely, REQUEST_JOB_INTERVAL).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Clore les demandes arrivées à échéance et refuser leurs offres en cours
+   * @returns {number} Nombre de demandes expirées
+   */
+  async expireRequests() {
+    const result = await db.query(
+      `WITH expired AS (
+         UPDATE package_requests
+         SET status = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE status = $2 AND expires_at <= CURRENT_TIMESTAMP
+         RETURNING id
+       ), offers AS (
+         UPDATE package_offers o
+         SET status = $3, updated_at = CURRENT_TIMESTAMP
+         FROM expired
+         WHERE o.request_id = expired.id AND o.status = $4
+       )
+       SELECT COUNT(*) as total FROM expired`,
+      [REQUEST_STATUS.EXPIRED, REQUEST_STATUS.OPEN, OFFER_STATUS.REJECTED, OFFER_STATUS.PENDING]
+    );
+
+    const expired = parseInt(result.rows[0].total);
+    if (expired > 0) {
+      console.log(`📭 ${expired} demande(s) de transport ouverte(s) expirée(s)`);
+    }
+
+    return expired;
+  }
+}
+
+module.exports = {
+  PackageRequestService: new PackageRequestService(),
+  REQUEST_STATUS,
+  OFFER_STATUS,
+  MAX_OPEN_REQUESTS
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+/**
+ * Fournisseurs de paiement
+ * Tous les fournisseurs exposent la même interface :
+ *   authorize({ amount, currency, paymentMethod, metadata }, options) -> { id }
+ *   capture(paymentId, amount, options)                                -> { id }
+ *   void(paymentId, options)                                           -> { id }
+ *   refund(paymentId, amount, options)                                 -> { id }
+ *   payout({ amount, currency, destination, metadata }, options)       -> { id }
+ * options.idempotencyKey : une requête rejouée avec la même clé renvoie le résultat
+ * de la première sans déplacer l'argent une seconde fois
+ * Le fournisseur est choisi par PAYMENT_PROVIDER (fake par défaut, interdit en production)
+ */
+
+// Erreur renvoyée par un fournisseur (carte refusée, virement impossible...)
+class PaymentProviderError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.code = code;
+  }
+}
+
+// Moyens de paiement de test du fournisseur local
+const FAKE_PAYMENT_METHODS = {
+  SUCCESS: 'pm_fake_visa',
+  DECLINED: 'pm_fake_declined',
+  INSUFFICIENT_FUNDS: 'pm_fake_insufficient_funds'
+};
+
+// Fournisseur local pour le développement : aucun argent ne circule
+class FakePaymentProvider {
+  constructor() {
+    this.name = 'fake';
+    // Résultats déjà renvoyés, par clé d'idempotence
+    this.idempotentResults = new Map();
+  }
+
+  generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  // Rejouer le résultat d'une requête déjà traitée avec la même clé
+  async idempotent({ idempotencyKey } = {}, execute) {
+    if (!idempotencyKey) return execute();
+
+    if (!this.idempotentResults.has(idempotencyKey)) {
+      this.idempotentResults.set(idempotencyKey, await execute());
+    }
+    return this.idempotentResults.get(idempotencyKey);
+  }
+
+  async authorize({ amount, currency, paymentMethod = FAKE_PAYMENT_METHODS.SUCCESS }, options) {
+    return this.idempotent(options, async () => {
+      if (paymentMethod === FAKE_PAYMENT_METHODS.DECLINED) {
+        throw new PaymentProviderError('Paiement refusé par la banque', 'card_declined');
+      }
+
+      if (paymentMethod === FAKE_PAYMENT_METHODS.INSUFFICIENT_FUNDS) {
+        throw new PaymentProviderError('Fonds insuffisants', 'insufficient_funds');
+      }
+
+      const id = this.generateId('fake_pi');
+      console.log(`💳 [fake] Autorisation ${id}: ${amount} ${currency}`);
+      return { id };
+    });
+  }
+
+  async capture(paymentId, amount, options) {
+    return this.idempotent(options, async () => {
+      console.log(`💳 [fake] Capture ${paymentId}: ${amount}`);
+      return { id: paymentId };
+    });
+  }
+
+  async void(paymentId, options) {
+    return this.idempotent(options, async () => {
+      console.log(`💳 [fake] Annulation de l'autorisation ${paymentId}`);
+      return { id: paymentId };
+    });
+  }
+
+  async refund(paymentId, amount, options) {
+    return this.idempotent(options, async () => {
+      const id = this.generateId('fake_re');
+      console.log(`💳 [fake] Remboursement ${id} sur ${paymentId}: ${amount}`);
+      return { id };
+    });
+  }
+
+  async payout({ amount, currency, destination }, options) {
+    return this.idempotent(options, async () => {
+      const id = this.generateId('fake_po');
+      console.log(`💳 [fake] Virement ${id} vers l'utilisateur ${destination.userId}: ${amount} ${currency}`);
+      return { id };
+    });
+  }
+}
+
+/**
+ * Créer le fournisseur configuré
+ * @param {string} name - Nom du fournisseur
+ * @returns {Object} Fournisseur de paiement
+ */
+const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  switch (name) {
+    case 'fake':
+    case undefined:
+    case '':
+      // Le séquestre, les captures et les virements seraient inscrits sans qu'aucun argent ne circule
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('Fournisseur de paiement local (fake) interdit en production : configurez PAYMENT_PROVIDER');
+      }
+      return new FakePaymentProvider();
+    default:
+      throw new Error(`Fournisseur de paiement inconnu: ${name}`);
+  }
+};
+
+module.exports = {
+  FakePaymentProvider,
+  PaymentProviderError,
+  FAKE_PAYMENT_METHODS,
+  createPaymentProvider
+};
@@ -0,0 +1,998 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const socketService = require('./socketService');
+const { createPaymentProvider, PaymentProviderError } = require('./paymentProviders');
+const { DEFAULT_CURRENCY, roundAmount } = require('../config/currencies');
+
+/**
+ * Service de paiement sous séquestre
+ * Autorisation à la demande de transport, capture à l'acceptation, fonds
+ * retenus jusqu'à la confirmation de livraison puis virés au voyageur.
+ * Chaque mouvement est inscrit au grand livre (ledger_entries).
+ * Les captures, annulations et remboursements sont inscrits dans la transaction
+ * du mouvement (payment_operations) puis envoyés au fournisseur après COMMIT,
+ * avec une clé d'idempotence : un envoi rejoué ne déplace jamais l'argent deux fois.
+ */
+
+const PAYMENT_STATUS = {
+  AUTHORIZED: 'authorized',                 // 🔐 Fonds réservés sur le moyen de paiement
+  HELD: 'held',                             // 🏦 Capturés et retenus sous séquestre
+  FROZEN: 'frozen',                         // 🧊 Gelés par un litige
+  RELEASED: 'released',                     // ✅ Libérés au voyageur
+  REFUNDED: 'refunded',                     // ↩️ Remboursés à l'expéditeur
+  PARTIALLY_REFUNDED: 'partially_refunded', // ↩️ Remboursés en partie (annulation tardive)
+  VOIDED: 'voided',                         // 🚫 Autorisation annulée avant capture
+  FAILED: 'failed'
+};
+
+// Opérations envoyées au fournisseur après COMMIT
+const OPERATION_TYPES = {
+  CAPTURE: 'capture',
+  VOID: 'void',
+  REFUND: 'refund'
+};
+
+const OPERATION_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const PAYOUT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  FAILED: 'failed'
+};
+
+// Comptes du grand livre : le compte débité cède le montant au compte crédité
+const LEDGER_ACCOUNTS = {
+  SENDER_FUNDS: 'sender_funds',         // Moyen de paiement de l'expéditeur
+  ESCROW: 'escrow',                     // Séquestre de la plateforme
+  TRAVELER_PAYABLE: 'traveler_payable', // Dû au voyageur, en attente de virement
+  PAYOUTS_SENT: 'payouts_sent',         // Virements effectués
+  PLATFORM_REVENUE: 'platform_revenue', // Frais de service et commission
+  TAXES_PAYABLE: 'taxes_payable',       // Taxes perçues sur les frais
+  INSURANCE_PREMIUMS: 'insurance_premiums' // Primes d'assurance collectées
+};
+
+const LEDGER_ENTRY_TYPES = {
+  CAPTURE: 'capture',
+  RELEASE: 'release',
+  REFUND: 'refund',
+  CANCELLATION_FEE: 'cancellation_fee',
+  DISPUTE_SETTLEMENT: 'dispute_settlement',
+  PLATFORM_FEE: 'platform_fee',
+  TAX: 'tax',
+  INSURANCE_PREMIUM: 'insurance_premium',
+  INSURANCE_CLAIM: 'insurance_claim',
+  PAYOUT: 'payout'
+};
+
+// Politique de remboursement d'une annulation après acceptation
+const CANCELLATION_POLICY = {
+  fullRefundHoursBeforeDeparture: 48,  // Remboursement intégral au-delà
+  lateCancellationRefundRate: 0.75     // Sinon 75 % du transport remboursés, les 25 % restants
+                                       // reviennent au voyageur (moins la commission)
+};
+
+// Virements : tentatives maximales et fréquence du job
+const PAYOUT_MAX_ATTEMPTS = 5;
+const PAYOUT_JOB_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const PAYOUT_BATCH_SIZE = 20;
+
+// Opérations du fournisseur : tentatives maximales et taille des lots
+const OPERATION_MAX_ATTEMPTS = 5;
+const OPERATION_BATCH_SIZE = 50;
+
+const paymentError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+const formatPayment = (payment) => ({
+  id: payment.id,
+  packageId: payment.package_id,
+  amount: parseFloat(payment.amount),
+  currency: payment.currency,
+  status: payment.status,
+  amountRefunded: parseFloat(payment.amount_refunded),
+  amountReleased: parseFloat(payment.amount_released),
+  authorizedAt: payment.authorized_at,
+  capturedAt: payment.captured_at,
+  frozenAt: payment.frozen_at,
+  releasedAt: payment.released_at,
+  refundedAt: payment.refunded_at,
+  voidedAt: payment.voided_at
+});
+
+const formatOperation = (operation) => ({
+  id: operation.id,
+  operation: operation.operation,
+  amount: operation.amount !== null ? parseFloat(operation.amount) : null,
+  status: operation.status,
+  providerReference: operation.provider_reference,
+  attempts: operation.attempts,
+  failureReason: operation.failure_reason,
+  createdAt: operation.created_at,
+  completedAt: operation.completed_at
+});
+
+const formatPayout = (payout) => ({
+  id: payout.id,
+  paymentId: payout.payment_id,
+  packageId: payout.package_id,
+  amount: parseFloat(payout.amount),
+  currency: payout.currency,
+  claimId: payout.claim_id,
+  status: payout.status,
+  failureReason: payout.failure_reason,
+  createdAt: payout.created_at,
+  paidAt: payout.paid_at
+});
+
+class PaymentService {
+  constructor() {
+    this.provider = null;
+    this.timer = null;
+  }
+
+  // Fournisseur créé à la première utilisation
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createPaymentProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Remplacer le fournisseur (tests, scripts)
+   * @param {Object} provider - Objet respectant l'interface de paymentProviders.js
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Autoriser le paiement d'une demande de transport
+   * L'autorisation est posée sur la carte avant le COMMIT de la demande : si la transaction
+   * est annulée, l'appelant doit la lever avec voidAuthorization
+   * @param {Object} client - Client de transaction
+   * @param {Object} packageData - Colis créé (id, sender_id, traveler_id, total_price, currency)
+   * @param {string} paymentMethod - Moyen de paiement fourni par le client
+   * @returns {Object} payment (paiement autorisé), authorization (packageId, providerPaymentId)
+   */
+  async authorizeForPackage(client, packageData, paymentMethod) {
+    const currency = packageData.currency || DEFAULT_CURRENCY;
+    const amount = roundAmount(parseFloat(packageData.total_price), currency);
+    const provider = this.getProvider();
+
+    let authorization;
+    try {
+      authorization = await provider.authorize({
+        amount,
+        currency,
+        paymentMethod,
+        metadata: { packageId: packageData.id, senderId: packageData.sender_id }
+      }, { idempotencyKey: `authorize-package-${packageData.id}` });
+    } catch (error) {
+      if (error instanceof PaymentProviderError) {
+        throw paymentError(error.message, 402, error.code);
+      }
+      throw error;
+    }
+
+    const result = await client.query(
+      `INSERT INTO payments (package_id, sender_id, traveler_id, amount, currency, provider, provider_payment_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [packageData.id, packageData.sender_id, packageData.traveler_id, amount, currency, provider.name, authorization.id]
+    ).catch(async error => {
+      await this.voidAuthorization({ packageId: packageData.id, providerPaymentId: authorization.id });
+      throw error;
+    });
+
+    return {
+      payment: formatPayment(result.rows[0]),
+      authorization: { packageId: packageData.id, providerPaymentId: authorization.id }
+    };
+  }
+
+  /**
+   * Lever l'autorisation d'une demande dont la transaction a été annulée
+   * Aucun paiement ne la référence : sans cette annulation, les fonds resteraient
+   * bloqués sur la carte de l'expéditeur. Une erreur du fournisseur est journalisée
+   * sans masquer celle qui a fait échouer la demande.
+   * @param {Object} authorization - packageId, providerPaymentId (retour de authorizeForPackage)
+   */
+  async voidAuthorization({ packageId, providerPaymentId }) {
+    try {
+      await this.getProvider().void(providerPaymentId, {
+        idempotencyKey: `void-authorization-package-${packageId}`
+      });
+    } catch (error) {
+      console.error(`🚨 Autorisation ${providerPaymentId} (demande ${packageId} annulée) non levée, à traiter manuellement:`, error.message);
+    }
+  }
+
+  /**
+   * Capturer les fonds à l'acceptation et les placer sous séquestre
+   * La capture est envoyée au fournisseur après COMMIT (processPendingOperations)
+   * @param {Object} client - Client de transaction
+   * @param {Object} packageData - Colis verrouillé
+   * @returns {Object|null} Paiement mis à jour (null pour un colis sans paiement)
+   */
+  async capture(client, packageData) {
+    const payment = await this.getPaymentForUpdate(client, packageData.id);
+    if (!payment) return null;
+
+    if (payment.status !== PAYMENT_STATUS.AUTHORIZED) {
+      throw paymentError('Le paiement de ce colis ne peut pas être capturé', 409);
+    }
+
+    await this.recordOperation(client, payment, OPERATION_TYPES.CAPTURE, parseFloat(payment.amount));
+
+    await this.postTransfer(client, payment, {
+      from: { account: LEDGER_ACCOUNTS.SENDER_FUNDS, userId: payment.sender_id },
+      to: { account: LEDGER_ACCOUNTS.ESCROW },
+      amount: parseFloat(payment.amount),
+      entryType: LEDGER_ENTRY_TYPES.CAPTURE
+    });
+
+    return this.updateStatus(client, payment.id, PAYMENT_STATUS.HELD, 'captured_at');
+  }
+
+  /**
+   * Libérer le séquestre au voyageur après confirmation de la livraison
+   * @param {Object} client - Client de transaction
+   * @param {Object} packageData - Colis verrouillé
+   * @returns {Object|null} Paiement mis à jour
+   */
+  async release(client, packageData) {
+    const payment = await this.getPaymentForUpdate(client, packageData.id);
+    if (!payment) return null;
+
+    if (payment.status === PAYMENT_STATUS.FROZEN) {
+      throw paymentError('Les fonds de ce colis sont gelés par un litige', 409);
+    }
+
+    if (payment.status !== PAYMENT_STATUS.HELD) {
+      throw paymentError('Aucun fonds sous séquestre pour ce colis', 409);
+    }
+
+    // Le voyageur perçoit le prix du transport net de commission,
+    // la plateforme garde ses frais, les taxes et l'assurance
+    const shares = this.getShares(packageData, payment);
+    await this.payTraveler(client, payment, shares.traveler, LEDGER_ENTRY_TYPES.RELEASE);
+    await this.collectFees(client, payment, shares);
+
+    await client.query(
+      'UPDATE payments SET amount_released = amount_released + $1 WHERE id = $2',
+      [shares.traveler, payment.id]
+    );
+
+    return this.updateStatus(client, payment.id, PAYMENT_STATUS.RELEASED, 'released_at');
+  }
+
+  /**
+   * Rembourser l'expéditeur lors d'une annulation ou d'un refus
+   * Avant capture l'autorisation est simplement annulée ; après capture la
+   * politique d'annulation s'applique selon le délai avant le départ
+   * @param {Object} client - Client de transaction
+   * @param {Object} packageData - Colis verrouillé (departure_date du voyage)
+   * @returns {Object|null} Paiement mis à jour
+   */
+  async refundOnCancellation(client, packageData) {
+    const payment = await this.getPaymentForUpdate(client, packageData.id);
+    if (!payment) return null;
+
+    if (payment.status === PAYMENT_STATUS.AUTHORIZED) {
+      await this.recordOperation(client, payment, OPERATION_TYPES.VOID);
+      return this.updateStatus(client, payment.id, PAYMENT_STATUS.VOIDED, 'voided_at');
+    }
+
+    if (payment.status !== PAYMENT_STATUS.HELD) {
+      throw paymentError('Ce paiement ne peut pas être remboursé', 409);
+    }
+
+    const amount = parseFloat(payment.amount);
+    const hoursBeforeDeparture = (new Date(packageData.departure_date) - new Date()) / (60 * 60 * 1000);
+
+    if (hoursBeforeDeparture >= CANCELLATION_POLICY.fullRefundHoursBeforeDeparture) {
+      return this.settle(client, payment, { refundAmount: amount, travelerAmount: 0 });
+    }
+
+    // Annulation tardive : une part du transport est retenue, les frais sont remboursés
+    const shares = this.getShares(packageData, payment);
+    const keptRate = 1 - CANCELLATION_POLICY.lateCancellationRefundRate;
+    const retained = roundAmount(shares.subtotal * keptRate, payment.currency);
+    const travelerAmount = Math.min(roundAmount(shares.traveler * keptRate, payment.currency), retained);
+
+    return this.settle(client, payment, {
+      refundAmount: roundAmount(amount - retained, payment.currency),
+      travelerAmount,
+      platformAmount: roundAmount(retained - travelerAmount, payment.currency)
+    });
+  }
+
+  /**
+   * Répartition du montant payé selon le devis figé sur le colis
+   * (les colis antérieurs aux frais reviennent entièrement au voyageur)
+   * @param {Object} packageData - Colis (subtotal, traveler_earnings, tax_amount, insurance_amount)
+   * @param {Object} payment - Ligne payments
+   * @returns {Object} subtotal, traveler, platform, tax, insurance
+   */
+  getShares(packageData, payment) {
+    const amount = parseFloat(payment.amount);
+    const valueOr = (column, fallback) => (
+      packageData[column] !== null && packageData[column] !== undefined ? parseFloat(packageData[column]) : fallback
+    );
+
+    const traveler = valueOr('traveler_earnings', amount);
+    const tax = valueOr('tax_amount', 0);
+    const insurance = valueOr('insurance_amount', 0);
+
+    return {
+      subtotal: valueOr('subtotal', amount),
+      traveler,
+      tax,
+      insurance,
+      platform: roundAmount(Math.max(amount - traveler - tax - insurance, 0), payment.currency)
+    };
+  }
+
+  /**
+   * Inscrire au grand livre la part conservée par la plateforme
+   * @param {Object} client - Client de transaction
+   * @param {Object} payment - Ligne payments
+   * @param {Object} shares - platform, tax, insurance
+   */
+  async collectFees(client, payment, { platform = 0, tax = 0, insurance = 0 }) {
+    const transfers = [
+      { account: LEDGER_ACCOUNTS.PLATFORM_REVENUE, amount: platform, entryType: LEDGER_ENTRY_TYPES.PLATFORM_FEE },
+      { account: LEDGER_ACCOUNTS.TAXES_PAYABLE, amount: tax, entryType: LEDGER_ENTRY_TYPES.TAX },
+      { account: LEDGER_ACCOUNTS.INSURANCE_PREMIUMS, amount: insurance, entryType: LEDGER_ENTRY_TYPES.INSURANCE_PREMIUM }
+    ];
+
+    for (const transfer of transfers.filter(entry => entry.amount > 0)) {
+      await this.postTransfer(client, payment, {
+        from: { account: LEDGER_ACCOUNTS.ESCROW },
+        to: { account: transfer.account },
+        amount: transfer.amount,
+        entryType: transfer.entryType
+      });
+    }
+  }
+
+  /**
+   * Répartir les fonds sous séquestre entre l'expéditeur et le voyageur
+   * @param {Object} client - Client de transaction
+   * @param {Object} payment - Ligne payments verrouillée
+   * @param {Object} split - refundAmount (expéditeur), travelerAmount (voyageur),
+   *   platformAmount (part retenue par la plateforme), entryType (écriture du voyageur)
+   * @returns {Object} Paiement mis à jour
+   */
+  async settle(client, payment, {
+    refundAmount,
+    travelerAmount,
+    platformAmount = 0,
+    entryType = LEDGER_ENTRY_TYPES.CANCELLATION_FEE
+  }) {
+    if (refundAmount > 0) {
+      await this.recordOperation(client, payment, OPERATION_TYPES.REFUND, refundAmount);
+
+      await this.postTransfer(client, payment, {
+        from: { account: LEDGER_ACCOUNTS.ESCROW },
+        to: { account: LEDGER_ACCOUNTS.SENDER_FUNDS, userId: payment.sender_id },
+        amount: refundAmount,
+        entryType: LEDGER_ENTRY_TYPES.REFUND
+      });
+    }
+
+    if (travelerAmount > 0) {
+      await this.payTraveler(client, payment, travelerAmount, entryType);
+    }
+
+    await this.collectFees(client, payment, { platform: platformAmount });
+
+    await client.query(
+      `UPDATE payments
+       SET amount_refunded = amount_refunded + $1, amount_released = amount_released + $2
+       WHERE id = $3`,
+      [refundAmount, travelerAmount, payment.id]
+    );
+
+    if (refundAmount <= 0) {
+      return this.updateStatus(client, payment.id, PAYMENT_STATUS.RELEASED, 'released_at');
+    }
+
+    return this.updateStatus(
+      client,
+      payment.id,
+      travelerAmount > 0 ? PAYMENT_STATUS.PARTIALLY_REFUNDED : PAYMENT_STATUS.REFUNDED,
+      'refunded_at'
+    );
+  }
+
+  /**
+   * Geler les fonds sous séquestre pendant un litige
+   * @param {Object} client - Client de transaction
+   * @param {Object} packageData - Colis verrouillé
+   * @returns {Object|null} Paiement mis à jour
+   */
+  async freeze(client, packageData) {
+    const payment = await this.getPaymentForUpdate(client, packageData.id);
+    if (!payment || payment.status !== PAYMENT_STATUS.HELD) return null;
+
+    return this.updateStatus(client, payment.id, PAYMENT_STATUS.FROZEN, 'frozen_at');
+  }
+
+  /**
+   * Dégeler le séquestre quand le transport reprend après un litige sans suite
+   * @param {Object} client - Client de transaction
+   * @param {Object} packageData - Colis verrouillé
+   * @returns {Object|null} Paiement mis à jour
+   */
+  async unfreeze(client, packageData) {
+    const payment = await this.getPaymentForUpdate(client, packageData.id);
+    if (!payment || payment.status !== PAYMENT_STATUS.FROZEN) return null;
+
+    return this.updateStatus(client, payment.id, PAYMENT_STATUS.HELD, null);
+  }
+
+  /**
+   * Répartir les fonds d'un litige selon la décision de médiation
+   * Sans remboursement, le voyageur est payé comme à une livraison confirmée ;
+   * sinon l'expéditeur récupère refundAmount, le voyageur le reste dans la
+   * limite de sa part nette et la plateforme garde le solde
+   * @param {Object} client - Client de transaction
+   * @param {Object} packageData - Colis verrouillé
+   * @param {number} refundAmount - Montant rendu à l'expéditeur
+   * @returns {Object|null} Paiement mis à jour, null sans paiement
+   */
+  async settleDispute(client, packageData, refundAmount) {
+    const payment = await this.getPaymentForUpdate(client, packageData.id);
+    if (!payment) return null;
+
+    if (![PAYMENT_STATUS.FROZEN, PAYMENT_STATUS.HELD].includes(payment.status)) {
+      throw paymentError('Aucun fonds sous séquestre pour ce colis', 409);
+    }
+
+    const amount = parseFloat(payment.amount);
+    if (refundAmount < 0 || refundAmount > amount) {
+      throw paymentError(`Le remboursement doit être compris entre 0 et ${amount} ${payment.currency}`, 400);
+    }
+
+    const shares = this.getShares(packageData, payment);
+
+    if (refundAmount === 0) {
+      await this.payTraveler(client, payment, shares.traveler, LEDGER_ENTRY_TYPES.DISPUTE_SETTLEMENT);
+      await this.collectFees(client, payment, shares);
+
+      await client.query(
+        'UPDATE payments SET amount_released = amount_released + $1 WHERE id = $2',
+        [shares.traveler, payment.id]
+      );
+
+      return this.updateStatus(client, payment.id, PAYMENT_STATUS.RELEASED, 'released_at');
+    }
+
+    const remainder = roundAmount(amount - refundAmount, payment.currency);
+    const travelerAmount = Math.min(shares.traveler, remainder);
+
+    return this.settle(client, payment, {
+      refundAmount,
+      travelerAmount,
+      platformAmount: roundAmount(remainder - travelerAmount, payment.currency),
+      entryType: LEDGER_ENTRY_TYPES.DISPUTE_SETTLEMENT
+    });
+  }
+
+  /**
+   * Indemniser l'expéditeur d'un sinistre accepté, sur les primes collectées
+   * Le virement est programmé comme celui d'un voyageur et envoyé après COMMIT (processPendingPayouts)
+   * @param {Object} client - Client de transaction
+   * @param {number} packageId - ID du colis
+   * @param {Object} claim - claimId, amount, currency, senderId
+   */
+  async payInsuranceClaim(client, packageId, { claimId, amount, currency, senderId }) {
+    const payment = await this.getPaymentForUpdate(client, packageId);
+    if (!payment) {
+      throw paymentError('Aucun paiement pour ce colis', 404);
+    }
+
+    await this.postTransfer(client, payment, {
+      from: { account: LEDGER_ACCOUNTS.INSURANCE_PREMIUMS },
+      to: { account: LEDGER_ACCOUNTS.SENDER_FUNDS, userId: senderId },
+      amount,
+      entryType: LEDGER_ENTRY_TYPES.INSURANCE_CLAIM
+    });
+
+    await client.query(
+      `INSERT INTO payouts (payment_id, claim_id, amount, currency, provider)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [payment.id, claimId, amount, currency, this.getProvider().name]
+    );
+  }
+
+  /**
+   * Créditer le voyageur et programmer le virement
+   * @param {Object} client - Client de transaction
+   * @param {Object} payment - Ligne payments
+   * @param {number} amount - Montant dû au voyageur
+   * @param {string} entryType - Type d'écriture (release, cancellation_fee)
+   */
+  async payTraveler(client, payment, amount, entryType) {
+    await this.postTransfer(client, payment, {
+      from: { account: LEDGER_ACCOUNTS.ESCROW },
+      to: { account: LEDGER_ACCOUNTS.TRAVELER_PAYABLE, userId: payment.traveler_id },
+      amount,
+      entryType
+    });
+
+    await client.query(
+      `INSERT INTO payouts (payment_id, traveler_id, amount, currency, provider)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [payment.id, payment.traveler_id, amount, payment.currency, this.getProvider().name]
+    );
+  }
+
+  /**
+   * Inscrire une opération à envoyer au fournisseur après COMMIT
+   * La clé d'idempotence dérive du paiement : une opération n'a lieu qu'une fois par paiement
+   * @param {Object} client - Client de transaction
+   * @param {Object} payment - Ligne payments
+   * @param {string} operation - capture, void, refund
+   * @param {number} amount - Montant (null pour une annulation d'autorisation)
+   */
+  async recordOperation(client, payment, operation, amount = null) {
+    await client.query(
+      `INSERT INTO payment_operations (payment_id, operation, amount, idempotency_key)
+       VALUES ($1, $2, $3, $4)`,
+      [payment.id, operation, amount, `${operation}-payment-${payment.id}`]
+    );
+  }
+
+  /**
+   * Inscrire un mouvement au grand livre (une écriture au débit, une au crédit)
+   * @param {Object} client - Client de transaction
+   * @param {Object} payment - Ligne payments
+   * @param {Object} transfer - from, to ({ account, userId }), amount, entryType, payoutId
+   */
+  async postTransfer(client, payment, transfer) {
+    const { from, to, amount, entryType, payoutId = null } = transfer;
+    const transactionId = crypto.randomUUID();
+
+    await client.query(
+      `INSERT INTO ledger_entries
+       (transaction_id, payment_id, payout_id, account, user_id, entry_type, debit, credit, currency)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 0, $8), ($1, $2, $3, $9, $10, $6, 0, $7, $8)`,
+      [
+        transactionId, payment.id, payoutId, from.account, from.userId || null, entryType,
+        amount, payment.currency, to.account, to.userId || null
+      ]
+    );
+  }
+
+  async getPaymentForUpdate(client, packageId) {
+    const result = await client.query(
+      'SELECT * FROM payments WHERE package_id = $1 FOR UPDATE',
+      [packageId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async updateStatus(client, paymentId, status, timestampColumn) {
+    const result = await client.query(
+      `UPDATE payments
+       SET status = $1${timestampColumn ? `, ${timestampColumn} = CURRENT_TIMESTAMP` : ''}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [status, paymentId]
+    );
+
+    return formatPayment(result.rows[0]);
+  }
+
+  /**
+   * Obtenir le paiement d'un colis (expéditeur, voyageur)
+   * @param {number} packageId - ID du colis
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {Object} Paiement
+   */
+  async getPackagePayment(packageId, userId) {
+    const result = await db.query(
+      'SELECT * FROM payments WHERE package_id = $1',
+      [packageId]
+    );
+
+    const payment = result.rows[0];
+
+    if (!payment) {
+      throw paymentError('Aucun paiement pour ce colis', 404);
+    }
+
+    if (payment.sender_id !== userId && payment.traveler_id !== userId) {
+      throw paymentError('Accès non autorisé à ce paiement', 403);
+    }
+
+    return formatPayment(payment);
+  }
+
+  /**
+   * Obtenir le paiement d'un colis avec ses écritures (console d'administration)
+   * @param {number} packageId - ID du colis
+   * @returns {Object} Paiement, écritures et virements
+   */
+  async getPaymentDetails(packageId) {
+    const result = await db.query('SELECT * FROM payments WHERE package_id = $1', [packageId]);
+    const payment = result.rows[0];
+
+    if (!payment) {
+      throw paymentError('Aucun paiement pour ce colis', 404);
+    }
+
+    const ledgerResult = await db.query(
+      `SELECT transaction_id, account, user_id, entry_type, debit, credit, currency, payout_id, created_at
+       FROM ledger_entries WHERE payment_id = $1
+       ORDER BY created_at, id`,
+      [payment.id]
+    );
+
+    const payoutsResult = await db.query(
+      'SELECT *, $2::integer as package_id FROM payouts WHERE payment_id = $1 ORDER BY created_at',
+      [payment.id, packageId]
+    );
+
+    const operationsResult = await db.query(
+      'SELECT * FROM payment_operations WHERE payment_id = $1 ORDER BY id',
+      [payment.id]
+    );
+
+    return {
+      ...formatPayment(payment),
+      senderId: payment.sender_id,
+      travelerId: payment.traveler_id,
+      provider: payment.provider,
+      providerPaymentId: payment.provider_payment_id,
+      ledger: ledgerResult.rows.map(entry => ({
+        transactionId: entry.transaction_id,
+        account: entry.account,
+        userId: entry.user_id,
+        type: entry.entry_type,
+        debit: parseFloat(entry.debit),
+        credit: parseFloat(entry.credit),
+        currency: entry.currency,
+        payoutId: entry.payout_id,
+        createdAt: entry.created_at
+      })),
+      payouts: payoutsResult.rows.map(formatPayout),
+      operations: operationsResult.rows.map(formatOperation)
+    };
+  }
+
+  /**
+   * Obtenir le solde d'un voyageur : sous séquestre, en attente de virement, versé
+   * Un solde par devise : les fonds ne sont jamais convertis
+   * @param {number} userId - ID du voyageur
+   * @returns {Object} Soldes par devise
+   */
+  async getTravelerBalance(userId) {
+    const escrowResult = await db.query(
+      `SELECT currency,
+         COALESCE(SUM(amount) FILTER (WHERE status = $2), 0) as held,
+         COALESCE(SUM(amount) FILTER (WHERE status = $3), 0) as frozen
+       FROM payments WHERE traveler_id = $1
+       GROUP BY currency`,
+      [userId, PAYMENT_STATUS.HELD, PAYMENT_STATUS.FROZEN]
+    );
+
+    const payoutResult = await db.query(
+      `SELECT currency,
+         COALESCE(SUM(amount) FILTER (WHERE status <> $2), 0) as pending,
+         COALESCE(SUM(amount) FILTER (WHERE status = $2), 0) as paid
+       FROM payouts WHERE traveler_id = $1
+       GROUP BY currency`,
+      [userId, PAYOUT_STATUS.PAID]
+    );
+
+    const balances = {};
+    const balanceFor = (currency) => {
+      if (!balances[currency]) {
+        balances[currency] = { currency, inEscrow: 0, frozen: 0, pendingPayout: 0, paidOut: 0 };
+      }
+      return balances[currency];
+    };
+
+    escrowResult.rows.forEach(row => {
+      const balance = balanceFor(row.currency);
+      balance.inEscrow = parseFloat(row.held);
+      balance.frozen = parseFloat(row.frozen);
+    });
+
+    payoutResult.rows.forEach(row => {
+      const balance = balanceFor(row.currency);
+      balance.pendingPayout = parseFloat(row.pending);
+      balance.paidOut = parseFloat(row.paid);
+    });
+
+    return {
+      balances: Object.values(balances)
+    };
+  }
+
+  /**
+   * Lister les virements d'un voyageur
+   * @param {number} userId - ID du voyageur
+   * @param {Object} filters - page, limit
+   * @returns {Object} Virements et pagination
+   */
+  async listPayouts(userId, filters = {}) {
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(
+      `SELECT po.*, pa.package_id
+       FROM payouts po
+       JOIN payments pa ON po.payment_id = pa.id
+       WHERE po.traveler_id = $1
+       ORDER BY po.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) as total FROM payouts WHERE traveler_id = $1',
+      [userId]
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      payouts: result.rows.map(formatPayout),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Démarrer le job de paiement (une exécution immédiate puis toutes les 5 minutes) :
+   * opérations du fournisseur restées en attente, puis virements
+   */
+  start() {
+    if (this.timer) return;
+
+    const runSafely = () => this.processPendingOperations()
+      .catch(error => {
+        console.error('❌ Erreur du job des opérations de paiement:', error.message);
+      })
+      .then(() => this.processPendingPayouts())
+      .catch(error => {
+        console.error('❌ Erreur du job de virements:', error.message);
+      });
+
+    runSafely();
+    this.timer = setInterval(runSafely, PAYOUT_JOB_INTERVAL).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Envoyer au fournisseur les captures, annulations et remboursements inscrits
+   * Les opérations d'un paiement partent dans l'ordre : une opération attend que
+   * la précédente ait réussi. Rejouer un envoi après un COMMIT échoué est sans
+   * effet grâce à la clé d'idempotence.
+   * @param {number} packageId - Limiter aux opérations d'un colis (après une transition)
+   * @returns {number} Nombre d'opérations effectuées
+   */
+  async processPendingOperations(packageId = null) {
+    const client = await db.getClient();
+    const provider = this.getProvider();
+    const send = {
+      [OPERATION_TYPES.CAPTURE]: (operation, options) =>
+        provider.capture(operation.provider_payment_id, parseFloat(operation.amount), options),
+      [OPERATION_TYPES.VOID]: (operation, options) =>
+        provider.void(operation.provider_payment_id, options),
+      [OPERATION_TYPES.REFUND]: (operation, options) =>
+        provider.refund(operation.provider_payment_id, parseFloat(operation.amount), options)
+    };
+    let done = 0;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT op.*, pa.provider_payment_id, pa.package_id
+         FROM payment_operations op
+         JOIN payments pa ON op.payment_id = pa.id
+         WHERE op.status IN ($1, $2) AND op.attempts < $3
+           AND ($5::integer IS NULL OR pa.package_id = $5)
+           AND NOT EXISTS (
+             SELECT 1 FROM payment_operations previous
+             WHERE previous.payment_id = op.payment_id AND previous.id < op.id AND previous.status <> $6
+           )
+         ORDER BY op.id
+         LIMIT $4
+         FOR UPDATE OF op SKIP LOCKED`,
+        [
+          OPERATION_STATUS.PENDING, OPERATION_STATUS.FAILED, OPERATION_MAX_ATTEMPTS,
+          OPERATION_BATCH_SIZE, packageId, OPERATION_STATUS.SUCCEEDED
+        ]
+      );
+
+      // Un paiement dont une opération échoue n'envoie pas les suivantes dans ce lot
+      const blockedPayments = new Set();
+
+      for (const operation of result.rows) {
+        if (blockedPayments.has(operation.payment_id)) continue;
+
+        try {
+          const response = await send[operation.operation](operation, { idempotencyKey: operation.idempotency_key });
+
+          await client.query(
+            `UPDATE payment_operations
+             SET status = $1, provider_reference = $2, attempts = attempts + 1, failure_reason = NULL, completed_at = NOW()
+             WHERE id = $3`,
+            [OPERATION_STATUS.SUCCEEDED, response.id, operation.id]
+          );
+
+          done++;
+        } catch (error) {
+          blockedPayments.add(operation.payment_id);
+
+          await client.query(
+            'UPDATE payment_operations SET status = $1, attempts = attempts + 1, failure_reason = $2 WHERE id = $3',
+            [OPERATION_STATUS.FAILED, error.message, operation.id]
+          );
+
+          if (operation.attempts + 1 >= OPERATION_MAX_ATTEMPTS) {
+            console.error(`🚨 Opération ${operation.operation} ${operation.id} abandonnée (colis ${operation.package_id}), à traiter manuellement:`, error.message);
+          } else {
+            console.error(`⚠️ Opération ${operation.operation} ${operation.id} échouée:`, error.message);
+          }
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return done;
+  }
+
+  /**
+   * Envoyer les virements en attente aux voyageurs et les indemnisations de sinistres
+   * Les lignes sont verrouillées (SKIP LOCKED) : plusieurs instances ne virent pas deux fois.
+   * Un virement attend que la capture et les autres opérations de son paiement aient réussi
+   * @returns {number} Nombre de virements effectués
+   */
+  async processPendingPayouts() {
+    const client = await db.getClient();
+    const paid = [];
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT po.*, pa.package_id, ic.claimant_id
+         FROM payouts po
+         JOIN payments pa ON po.payment_id = pa.id
+         LEFT JOIN insurance_claims ic ON po.claim_id = ic.id
+         WHERE po.status IN ($1, $2) AND po.attempts < $3
+           AND NOT EXISTS (
+             SELECT 1 FROM payment_operations op
+             WHERE op.payment_id = po.payment_id AND op.status <> $5
+           )
+         ORDER BY po.created_at
+         LIMIT $4
+         FOR UPDATE OF po SKIP LOCKED`,
+        [PAYOUT_STATUS.PENDING, PAYOUT_STATUS.FAILED, PAYOUT_MAX_ATTEMPTS, PAYOUT_BATCH_SIZE, OPERATION_STATUS.SUCCEEDED]
+      );
+
+      for (const payout of result.rows) {
+        // Une indemnisation est versée à l'expéditeur, déjà crédité au grand livre à la décision
+        const isClaim = payout.claim_id !== null;
+
+        try {
+          const transfer = await this.getProvider().payout({
+            amount: parseFloat(payout.amount),
+            currency: payout.currency,
+            destination: { userId: isClaim ? payout.claimant_id : payout.traveler_id },
+            metadata: { payoutId: payout.id, packageId: payout.package_id, claimId: payout.claim_id }
+          }, {
+            idempotencyKey: isClaim ? `insurance-claim-${payout.claim_id}` : `payout-${payout.id}`
+          });
+
+          await client.query(
+            `UPDATE payouts
+             SET status = $1, provider_payout_id = $2, attempts = attempts + 1, failure_reason = NULL, paid_at = NOW()
+             WHERE id = $3`,
+            [PAYOUT_STATUS.PAID, transfer.id, payout.id]
+          );
+
+          if (isClaim) {
+            await client.query(
+              `UPDATE insurance_claims SET status = 'paid', provider_payout_id = $1, paid_at = NOW() WHERE id = $2`,
+              [transfer.id, payout.claim_id]
+            );
+          } else {
+            await this.postTransfer(client, { id: payout.payment_id, currency: payout.currency }, {
+              from: { account: LEDGER_ACCOUNTS.TRAVELER_PAYABLE, userId: payout.traveler_id },
+              to: { account: LEDGER_ACCOUNTS.PAYOUTS_SENT, userId: payout.traveler_id },
+              amount: parseFloat(payout.amount),
+              entryType: LEDGER_ENTRY_TYPES.PAYOUT,
+              payoutId: payout.id
+            });
+          }
+
+          paid.push(payout);
+        } catch (error) {
+          console.error(`⚠️ Virement ${payout.id} échoué:`, error.message);
+
+          await client.query(
+            'UPDATE payouts SET status = $1, attempts = attempts + 1, failure_reason = $2 WHERE id = $3',
+            [PAYOUT_STATUS.FAILED, error.message, payout.id]
+          );
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const payout of paid) {
+      const amount = `${parseFloat(payout.amount).toFixed(2)} ${payout.currency}`;
+
+      socketService.sendSystemNotification(payout.claim_id !== null ? payout.claimant_id : payout.traveler_id, {
+        ...(payout.claim_id !== null ? {
+          type: 'insurance_claim_paid',
+          title: 'Sinistre indemnisé',
+          message: `${amount} vous ont été versés au titre de l'assurance`,
+          icon: '🛡️'
+        } : {
+          type: 'payout_paid',
+          title: 'Virement effectué',
+          message: `${amount} ont été virés sur votre compte`,
+          icon: '💸'
+        }),
+        packageId: payout.package_id,
+        timestamp: new Date()
+      });
+    }
+
+    if (paid.length > 0) {
+      console.log(`💸 ${paid.length} virement(s) effectué(s)`);
+    }
+
+    return paid.length;
+  }
+}
+
+module.exports = {
+  PaymentService: new PaymentService(),
+  PAYMENT_STATUS,
+  PAYOUT_STATUS,
+  OPERATION_STATUS,
+  LEDGER_ACCOUNTS,
+  CANCELLATION_POLICY
+};
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { SmsService } = require('./smsService');
+
+/**
+ * Service de vérification des numéros de téléphone
+ * Normalisation E.164, envoi d'un code à usage unique par SMS et vérification
+ */
+
+// Indicatifs des pays desservis ; trunkPrefix : préfixe national retiré en E.164
+const PHONE_COUNTRIES = {
+  CA: { dialCode: '1', nationalLength: [10] },
+  US: { dialCode: '1', nationalLength: [10] },
+  FR: { dialCode: '33', trunkPrefix: '0', nationalLength: [9] },
+  BE: { dialCode: '32', trunkPrefix: '0', nationalLength: [8, 9] },
+  CH: { dialCode: '41', trunkPrefix: '0', nationalLength: [9] },
+  CI: { dialCode: '225', nationalLength: [10] },
+  SN: { dialCode: '221', nationalLength: [9] },
+  CM: { dialCode: '237', nationalLength: [9] },
+  ML: { dialCode: '223', nationalLength: [8] },
+  BF: { dialCode: '226', nationalLength: [8] },
+  GN: { dialCode: '224', nationalLength: [9] },
+  BJ: { dialCode: '229', nationalLength: [8, 10] },
+  TG: { dialCode: '228', nationalLength: [8] },
+  NE: { dialCode: '227', nationalLength: [8] },
+  GA: { dialCode: '241', nationalLength: [8] },
+  CG: { dialCode: '242', nationalLength: [9] },
+  CD: { dialCode: '243', trunkPrefix: '0', nationalLength: [9] },
+  MA: { dialCode: '212', trunkPrefix: '0', nationalLength: [9] },
+  DZ: { dialCode: '213', trunkPrefix: '0', nationalLength: [9] },
+  TN: { dialCode: '216', nationalLength: [8] },
+  NG: { dialCode: '234', trunkPrefix: '0', nationalLength: [10] },
+  GH: { dialCode: '233', trunkPrefix: '0', nationalLength: [9] },
+  HT: { dialCode: '509', nationalLength: [8] }
+};
+
+const DEFAULT_PHONE_COUNTRY = process.env.DEFAULT_PHONE_COUNTRY || 'CA';
+
+const E164_REGEX = /^\+[1-9]\d{7,14}$/;
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5; // essais par code avant invalidation
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+const OTP_MAX_SENDS_PER_HOUR = 5; // par utilisateur et par numéro
+
+const phoneError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+const hashCode = (code) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(String(code)).digest('hex');
+};
+
+/**
+ * Normaliser un numéro au format E.164 (+14165550123)
+ * Un numéro sans indicatif est interprété dans le pays indiqué
+ * @param {string} phone - Numéro saisi
+ * @param {string} country - Code pays ISO à 2 lettres (CA par défaut)
+ * @returns {string|null} Numéro E.164 ou null s'il est invalide
+ */
+const normalizePhoneNumber = (phone, country = DEFAULT_PHONE_COUNTRY) => {
+  if (typeof phone !== 'string' && typeof phone !== 'number') return null;
+
+  let value = String(phone).trim().replace(/[\s.()-]/g, '');
+
+  // Préfixe international 00 -> +
+  if (value.startsWith('00')) {
+    value = `+${value.slice(2)}`;
+  }
+
+  if (!value.startsWith('+')) {
+    const rules = PHONE_COUNTRIES[String(country || DEFAULT_PHONE_COUNTRY).toUpperCase()];
+    if (!rules || !/^\d+$/.test(value)) return null;
+
+    // Numéro nord-américain saisi avec le 1 initial
+    if (rules.dialCode === '1' && value.length === 11 && value.startsWith('1')) {
+      value = value.slice(1);
+    }
+
+    if (rules.trunkPrefix && value.startsWith(rules.trunkPrefix)) {
+      value = value.slice(rules.trunkPrefix.length);
+    }
+
+    if (!rules.nationalLength.includes(value.length)) return null;
+
+    value = `+${rules.dialCode}${value}`;
+  }
+
+  if (!E164_REGEX.test(value)) return null;
+
+  // Les numéros nord-américains ont toujours 10 chiffres après le +1
+  if (value.startsWith('+1') && value.length !== 12) return null;
+
+  return value;
+};
+
+// Masquer un numéro pour l'affichage (+1416•••0123)
+const maskPhoneNumber = (phone) => {
+  if (!phone || phone.length < 8) return phone;
+  return `${phone.slice(0, 5)}${'•'.repeat(phone.length - 9)}${phone.slice(-4)}`;
+};
+
+class PhoneVerificationService {
+  /**
+   * Envoyer un code de vérification au numéro du profil
+   * Limites : un envoi par minute et 5 par heure (par compte et par numéro)
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {Object} Numéro masqué, expiration et délai avant renvoi
+   */
+  async sendCode(userId) {
+    const userResult = await db.query(
+      'SELECT id, phone, phone_verified_at FROM users WHERE id = $1',
+      [userId]
+    );
+
+    const user = userResult.rows[0];
+    if (!user) {
+      throw phoneError('Utilisateur non trouvé', 404);
+    }
+
+    const phone = normalizePhoneNumber(user.phone || '');
+    if (!phone) {
+      throw phoneError('Ajoutez un numéro de téléphone valide à votre profil avant la vérification', 400);
+    }
+
+    if (user.phone_verified_at && user.phone === phone) {
+      throw phoneError('Ce numéro est déjà vérifié', 400);
+    }
+
+    const takenResult = await db.query(
+      'SELECT id FROM users WHERE phone = $1 AND phone_verified_at IS NOT NULL AND id <> $2',
+      [phone, userId]
+    );
+    if (takenResult.rows.length > 0) {
+      throw phoneError('Ce numéro est déjà vérifié sur un autre compte', 409);
+    }
+
+    const limitsResult = await db.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE user_id = $1) as user_sends,
+         COUNT(*) FILTER (WHERE phone_number = $2) as phone_sends,
+         MAX(created_at) FILTER (WHERE user_id = $1) as last_sent_at
+       FROM phone_verifications
+       WHERE (user_id = $1 OR phone_number = $2)
+         AND created_at > NOW() - INTERVAL '1 hour'`,
+      [userId, phone]
+    );
+
+    const limits = limitsResult.rows[0];
+
+    if (limits.last_sent_at) {
+      const elapsed = (Date.now() - new Date(limits.last_sent_at).getTime()) / 1000;
+      if (elapsed < OTP_RESEND_COOLDOWN_SECONDS) {
+        const error = phoneError('Veuillez patienter avant de demander un nouveau code', 429, 'OTP_COOLDOWN');
+        error.retryAfter = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed);
+        throw error;
+      }
+    }
+
+    if (parseInt(limits.user_sends) >= OTP_MAX_SENDS_PER_HOUR || parseInt(limits.phone_sends) >= OTP_MAX_SENDS_PER_HOUR) {
+      throw phoneError('Trop de codes demandés. Réessayez dans une heure.', 429, 'OTP_RATE_LIMITED');
+    }
+
+    // Numéro enregistré avant la normalisation E.164
+    if (user.phone !== phone) {
+      await db.query(
+        'UPDATE users SET phone = $1, phone_verified_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [phone, userId]
+      );
+    }
+
+    const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+
+    // Un seul code actif à la fois : les précédents sont invalidés
+    await this.invalidatePendingCodes(userId);
+
+    const insertResult = await db.query(
+      `INSERT INTO phone_verifications (user_id, phone_number, code_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + ($4 || ' minutes')::interval)
+       RETURNING id, expires_at`,
+      [userId, phone, hashCode(code), OTP_TTL_MINUTES]
+    );
+
+    try {
+      await SmsService.send(
+        phone,
+        `Chapchap : votre code de vérification est ${code}. Il expire dans ${OTP_TTL_MINUTES} minutes.`
+      );
+    } catch (error) {
+      await db.query(
+        'UPDATE phone_verifications SET invalidated_at = NOW() WHERE id = $1',
+        [insertResult.rows[0].id]
+      );
+      console.error('❌ Erreur envoi SMS de vérification:', error.message);
+      throw phoneError('Impossible d\'envoyer le SMS de vérification. Réessayez plus tard.', 502);
+    }
+
+    console.log(`📱 Code de vérification envoyé à l'utilisateur ${userId}`);
+
+    return {
+      phone: maskPhoneNumber(phone),
+      expiresAt: insertResult.rows[0].expires_at,
+      retryAfter: OTP_RESEND_COOLDOWN_SECONDS
+    };
+  }
+
+  /**
+   * Invalider les codes en attente (changement de numéro)
+   * @param {number} userId - ID de l'utilisateur
+   */
+  async invalidatePendingCodes(userId) {
+    await db.query(
+      `UPDATE phone_verifications SET invalidated_at = NOW()
+       WHERE user_id = $1 AND verified_at IS NULL AND invalidated_at IS NULL`,
+      [userId]
+    );
+  }
+
+  /**
+   * Vérifier le code reçu par SMS
+   * Chaque essai est compté ; au-delà de 5 le code est invalidé
+   * @param {number} userId - ID de l'utilisateur
+   * @param {string} code - Code saisi
+   * @returns {Object} Numéro vérifié et date de vérification
+   */
+  async verifyCode(userId, code) {
+    const client = await db.getClient();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      const verificationResult = await client.query(
+        `SELECT * FROM phone_verifications
+         WHERE user_id = $1 AND verified_at IS NULL AND invalidated_at IS NULL
+         ORDER BY created_at DESC
+         LIMIT 1
+         FOR UPDATE`,
+        [userId]
+      );
+
+      const verification = verificationResult.rows[0];
+
+      if (!verification || new Date(verification.expires_at) <= new Date()) {
+        throw phoneError('Aucun code valide. Demandez un nouveau code.', 400, 'OTP_EXPIRED');
+      }
+
+      const attempts = verification.attempts + 1;
+      const expected = Buffer.from(verification.code_hash);
+      const received = Buffer.from(hashCode(String(code).trim()));
+
+      if (!crypto.timingSafeEqual(expected, received)) {
+        await client.query(
+          `UPDATE phone_verifications
+           SET attempts = $1, invalidated_at = CASE WHEN $1 >= $2 THEN NOW() ELSE NULL END
+           WHERE id = $3`,
+          [attempts, OTP_MAX_ATTEMPTS, verification.id]
+        );
+        await client.query('COMMIT');
+
+        const remaining = OTP_MAX_ATTEMPTS - attempts;
+        result = {
+          error: remaining > 0
+            ? phoneError(`Code invalide. ${remaining} essai(s) restant(s).`, 400, 'OTP_INVALID')
+            : phoneError('Trop d\'essais. Demandez un nouveau code.', 429, 'OTP_ATTEMPTS_EXCEEDED')
+        };
+      } else {
+        await client.query(
+          'UPDATE phone_verifications SET attempts = $1, verified_at = NOW() WHERE id = $2',
+          [attempts, verification.id]
+        );
+
+        // Seul le numéro qui a reçu le code est vérifié, s'il est toujours celui du profil
+        const userResult = await client.query(
+          `UPDATE users SET phone_verified_at = NOW(), updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND phone = $2
+           RETURNING phone, phone_verified_at`,
+          [userId, verification.phone_number]
+        );
+
+        if (userResult.rows.length === 0) {
+          throw phoneError('Le numéro du profil a changé. Demandez un nouveau code.', 400, 'OTP_EXPIRED');
+        }
+
+        await client.query('COMMIT');
+
+        result = { user: userResult.rows[0] };
+      }
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') {
+        throw phoneError('Ce numéro est déjà vérifié sur un autre compte', 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (result.error) {
+      throw result.error;
+    }
+
+    console.log(`✅ Téléphone vérifié pour l'utilisateur ${userId}`);
+
+    return {
+      phone: result.user.phone,
+      phoneVerifiedAt: result.user.phone_verified_at
+    };
+  }
+}
+
+module.exports = {
+  PhoneVerificationService: new PhoneVerificationService(),
+  PHONE_COUNTRIES,
+  normalizePhoneNumber,
+  maskPhoneNumber
+};
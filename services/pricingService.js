@@ -0,0 +1,367 @@
+const db = require('../config/database');
+const { CurrencyService } = require('./currencyService');
+const { InsuranceService } = require('./insuranceService');
+const { DEFAULT_PACKAGE_CATEGORY } = require('../config/packageCategories');
+const { DEFAULT_CURRENCY, isSupportedCurrency, roundAmount } = require('../config/currencies');
+const { chargeableWeight } = require('../config/dimensions');
+const { isCountryCode } = require('../config/countries');
+
+/**
+ * Moteur de frais ChapChap
+ * Produit un devis détaillé : prix du transport fixé par le voyageur,
+ * frais payés par l'expéditeur, commission retenue au voyageur,
+ * assurance facultative et taxes sur les frais.
+ */
+
+const FEE_TYPES = {
+  PERCENTAGE: 'percentage', // % du prix du transport
+  FIXED: 'fixed',           // Montant fixe (converti dans la devise du voyage)
+  INSURANCE: 'insurance',   // % de la valeur déclarée, si l'expéditeur assure le colis
+  TAX: 'tax'                // % des frais du même payeur
+};
+
+const FEE_PAYERS = {
+  SENDER: 'sender',     // Ajouté au prix payé par l'expéditeur
+  TRAVELER: 'traveler'  // Retenu sur le montant versé au voyageur
+};
+
+const pricingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Pays comparés par code ISO : un voyage dont le pays est inconnu du référentiel ne reçoit que les règles globales
+const sameCountry = (ruleCountryCode, tripCountryCode) => !ruleCountryCode || ruleCountryCode === tripCountryCode;
+
+// Nombre de critères de trajet renseignés : une règle de trajet prime sur la règle globale
+const routeSpecificity = (rule) => (rule.departure_country_code ? 1 : 0) + (rule.destination_country_code ? 1 : 0);
+
+const formatRule = (rule) => ({
+  id: rule.id,
+  code: rule.code,
+  label: rule.label,
+  type: rule.fee_type,
+  payer: rule.payer,
+  rate: rule.rate !== null ? parseFloat(rule.rate) : null,
+  amount: rule.amount !== null ? parseFloat(rule.amount) : null,
+  currency: rule.currency,
+  departureCountry: rule.departure_country_code,
+  destinationCountry: rule.destination_country_code,
+  isActive: rule.is_active,
+  updatedBy: rule.updated_by,
+  updatedAt: rule.updated_at
+});
+
+// Champs modifiables d'une règle (nom API -> colonne)
+const RULE_FIELDS = {
+  code: 'code',
+  label: 'label',
+  type: 'fee_type',
+  payer: 'payer',
+  rate: 'rate',
+  amount: 'amount',
+  currency: 'currency',
+  departureCountry: 'departure_country_code',
+  destinationCountry: 'destination_country_code',
+  isActive: 'is_active'
+};
+
+class PricingService {
+  /**
+   * Établir le devis d'un colis sur un voyage
+   * @param {Object} trip - Voyage (price_per_kg, currency, departure_country_code, destination_country_code)
+   * @param {Object} options - weight, volumetricWeight (si dimensions connues), value (valeur déclarée),
+   *                           insured, category
+   * @returns {Object} Devis détaillé, dans la devise du voyage
+   */
+  async quote(trip, { weight: rawWeight, volumetricWeight: rawVolumetricWeight = null, value = null, insured = false, category = DEFAULT_PACKAGE_CATEGORY }) {
+    const currency = trip.currency || DEFAULT_CURRENCY;
+    const weight = parseFloat(rawWeight);
+    const volumetricWeight = rawVolumetricWeight !== null && rawVolumetricWeight !== undefined
+      ? parseFloat(rawVolumetricWeight)
+      : null;
+    // Un colis léger mais encombrant est facturé sur son poids volumétrique
+    const billedWeight = chargeableWeight(weight, volumetricWeight);
+    const pricePerKg = parseFloat(trip.price_per_kg);
+    const subtotal = roundAmount(billedWeight * pricePerKg, currency);
+    const declaredValue = value !== null && value !== undefined ? parseFloat(value) : null;
+
+    if (insured && !(declaredValue > 0)) {
+      throw pricingError('Une valeur déclarée est nécessaire pour assurer le colis', 400);
+    }
+
+    // La prime porte sur la valeur déclarée, plafonnée selon la catégorie
+    const coverage = insured
+      ? await InsuranceService.getCoverage(category, declaredValue, currency)
+      : null;
+
+    const rules = await this.getApplicableRules(trip);
+    const convert = await CurrencyService.getConverter(currency);
+    const items = [];
+
+    const addItem = (rule, amount, base) => {
+      if (amount <= 0) return;
+
+      items.push({
+        code: rule.code,
+        label: rule.label,
+        type: rule.fee_type,
+        payer: rule.payer,
+        ...(rule.rate !== null && { rate: parseFloat(rule.rate) }),
+        ...(base !== undefined && { base }),
+        amount
+      });
+    };
+
+    // Frais proportionnels et fixes
+    rules.filter(rule => [FEE_TYPES.PERCENTAGE, FEE_TYPES.FIXED].includes(rule.fee_type)).forEach(rule => {
+      if (rule.fee_type === FEE_TYPES.PERCENTAGE) {
+        addItem(rule, roundAmount(subtotal * parseFloat(rule.rate) / 100, currency), subtotal);
+        return;
+      }
+
+      const amount = convert(parseFloat(rule.amount), rule.currency);
+      if (amount === null) {
+        throw pricingError(`Taux de change ${rule.currency}/${currency} manquant pour les frais "${rule.label}"`, 503);
+      }
+      addItem(rule, amount);
+    });
+
+    // Assurance facultative sur la valeur couverte
+    if (coverage) {
+      rules.filter(rule => rule.fee_type === FEE_TYPES.INSURANCE).forEach(rule => {
+        addItem(rule, roundAmount(coverage.coveredValue * parseFloat(rule.rate) / 100, currency), coverage.coveredValue);
+      });
+    }
+
+    // Taxes sur les frais du même payeur (hors assurance)
+    const feesOf = (payer) => items
+      .filter(item => item.payer === payer && [FEE_TYPES.PERCENTAGE, FEE_TYPES.FIXED].includes(item.type))
+      .reduce((sum, item) => sum + item.amount, 0);
+
+    rules.filter(rule => rule.fee_type === FEE_TYPES.TAX).forEach(rule => {
+      const base = roundAmount(feesOf(rule.payer), currency);
+      addItem(rule, roundAmount(base * parseFloat(rule.rate) / 100, currency), base);
+    });
+
+    const sumOf = (predicate) => roundAmount(
+      items.filter(predicate).reduce((sum, item) => sum + item.amount, 0),
+      currency
+    );
+
+    const senderFees = sumOf(item => item.payer === FEE_PAYERS.SENDER && item.type !== FEE_TYPES.INSURANCE && item.type !== FEE_TYPES.TAX);
+    const travelerFees = sumOf(item => item.payer === FEE_PAYERS.TRAVELER && item.type !== FEE_TYPES.TAX);
+    const insurance = sumOf(item => item.type === FEE_TYPES.INSURANCE);
+    const senderTaxes = sumOf(item => item.type === FEE_TYPES.TAX && item.payer === FEE_PAYERS.SENDER);
+    const travelerTaxes = sumOf(item => item.type === FEE_TYPES.TAX && item.payer === FEE_PAYERS.TRAVELER);
+    const travelerEarnings = roundAmount(Math.max(subtotal - travelerFees - travelerTaxes, 0), currency);
+
+    return {
+      currency,
+      weight,
+      volumetricWeight,
+      chargeableWeight: billedWeight,
+      pricePerKg,
+      subtotal,
+      category,
+      declaredValue,
+      insured: items.some(item => item.type === FEE_TYPES.INSURANCE),
+      coveredValue: coverage ? coverage.coveredValue : null,
+      maxCoverage: coverage ? coverage.maxCoverage : null,
+      items,
+      senderFees,
+      travelerFees,
+      insurance,
+      taxes: roundAmount(senderTaxes + travelerTaxes, currency),
+      total: roundAmount(subtotal + senderFees + insurance + senderTaxes, currency),
+      travelerEarnings,
+      platformFee: roundAmount(senderFees + travelerFees, currency),
+      quotedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Règles actives qui s'appliquent au trajet du voyage
+   * Pour un même code, la règle propre au trajet remplace la règle globale
+   * @param {Object} trip - Voyage (departure_country_code, destination_country_code)
+   * @returns {Array} Règles retenues
+   */
+  async getApplicableRules(trip) {
+    const result = await db.query(
+      'SELECT * FROM fee_rules WHERE is_active = TRUE ORDER BY id'
+    );
+
+    const byCode = new Map();
+
+    result.rows
+      .filter(rule => sameCountry(rule.departure_country_code, trip.departure_country_code) &&
+        sameCountry(rule.destination_country_code, trip.destination_country_code))
+      .forEach(rule => {
+        const current = byCode.get(rule.code);
+        if (!current || routeSpecificity(rule) > routeSpecificity(current)) {
+          byCode.set(rule.code, rule);
+        }
+      });
+
+    return Array.from(byCode.values());
+  }
+
+  /**
+   * Colonnes du colis issues du devis
+   * @param {Object} quote - Devis
+   * @returns {Object} Valeurs à enregistrer sur packages
+   */
+  toPackageColumns(quote) {
+    return {
+      total_price: quote.total,
+      subtotal: quote.subtotal,
+      platform_fee: quote.platformFee,
+      tax_amount: quote.taxes,
+      insurance_amount: quote.insurance,
+      traveler_earnings: quote.travelerEarnings,
+      price_breakdown: JSON.stringify(quote)
+    };
+  }
+
+  /**
+   * Lister les règles de frais
+   * @returns {Array} Règles (actives et inactives)
+   */
+  async listRules() {
+    const result = await db.query(
+      'SELECT * FROM fee_rules ORDER BY code, departure_country_code NULLS FIRST, destination_country_code NULLS FIRST'
+    );
+
+    return result.rows.map(formatRule);
+  }
+
+  /**
+   * Créer une règle de frais
+   * @param {Object} client - Client de transaction
+   * @param {Object} data - Champs de la règle (code, label, type, payer, rate, amount, currency,
+   *                        trajet en codes ISO 3166-1 alpha-2)
+   * @param {number} actorId - Membre de l'équipe
+   * @returns {Object} Règle créée
+   */
+  async createRule(client, data, actorId) {
+    const rule = this.normalizeRule(data);
+
+    const result = await client.query(
+      `INSERT INTO fee_rules
+       (code, label, fee_type, payer, rate, amount, currency, departure_country_code, destination_country_code, is_active, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11)
+       RETURNING *`,
+      [
+        rule.code, rule.label, rule.fee_type, rule.payer, rule.rate, rule.amount, rule.currency,
+        rule.departure_country_code, rule.destination_country_code, rule.is_active !== false, actorId
+      ]
+    ).catch(error => {
+      if (error.code === '23505') {
+        throw pricingError('Une règle avec ce code existe déjà pour ce trajet', 409);
+      }
+      throw error;
+    });
+
+    return formatRule(result.rows[0]);
+  }
+
+  /**
+   * Modifier une règle de frais (les colis existants gardent leur devis)
+   * @param {Object} client - Client de transaction
+   * @param {number} ruleId - ID de la règle
+   * @param {Object} changes - Champs modifiés
+   * @param {number} actorId - Membre de l'équipe
+   * @returns {Object} before, after
+   */
+  async updateRule(client, ruleId, changes, actorId) {
+    const currentResult = await client.query('SELECT * FROM fee_rules WHERE id = $1 FOR UPDATE', [ruleId]);
+    const current = currentResult.rows[0];
+
+    if (!current) {
+      throw pricingError('Règle de frais non trouvée', 404);
+    }
+
+    const merged = { ...formatRule(current) };
+    Object.keys(RULE_FIELDS).forEach(field => {
+      if (changes[field] !== undefined) merged[field] = changes[field];
+    });
+
+    const rule = this.normalizeRule(merged);
+    const columns = Object.values(RULE_FIELDS);
+
+    const result = await client.query(
+      `UPDATE fee_rules
+       SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')},
+           updated_by = $${columns.length + 1}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${columns.length + 2}
+       RETURNING *`,
+      [...columns.map(column => rule[column]), actorId, ruleId]
+    ).catch(error => {
+      if (error.code === '23505') {
+        throw pricingError('Une règle avec ce code existe déjà pour ce trajet', 409);
+      }
+      throw error;
+    });
+
+    return { before: formatRule(current), after: formatRule(result.rows[0]) };
+  }
+
+  /**
+   * Valider une règle et la convertir en colonnes
+   * @param {Object} data - Règle au format de l'API
+   * @returns {Object} Colonnes fee_rules
+   */
+  normalizeRule(data) {
+    if (!Object.values(FEE_TYPES).includes(data.type)) {
+      throw pricingError('Type de frais invalide', 400);
+    }
+
+    if (!Object.values(FEE_PAYERS).includes(data.payer)) {
+      throw pricingError('Payeur invalide', 400);
+    }
+
+    const isFixed = data.type === FEE_TYPES.FIXED;
+    const rate = isFixed ? null : parseFloat(data.rate);
+    const amount = isFixed ? parseFloat(data.amount) : null;
+    const currency = isFixed && data.currency ? String(data.currency).toUpperCase() : null;
+
+    if (isFixed && (!(amount >= 0) || !isSupportedCurrency(currency))) {
+      throw pricingError('Des frais fixes demandent un montant et une devise valides', 400);
+    }
+
+    if (!isFixed && !(rate >= 0 && rate <= 100)) {
+      throw pricingError('Le taux doit être compris entre 0 et 100 %', 400);
+    }
+
+    if (data.type === FEE_TYPES.INSURANCE && data.payer !== FEE_PAYERS.SENDER) {
+      throw pricingError('L\'assurance est payée par l\'expéditeur', 400);
+    }
+
+    const departureCountryCode = data.departureCountry ? String(data.departureCountry).toUpperCase() : null;
+    const destinationCountryCode = data.destinationCountry ? String(data.destinationCountry).toUpperCase() : null;
+
+    if ([departureCountryCode, destinationCountryCode].some(code => code && !isCountryCode(code))) {
+      throw pricingError('Pays invalide (code ISO 3166-1 alpha-2)', 400);
+    }
+
+    return {
+      code: data.code,
+      label: data.label,
+      fee_type: data.type,
+      payer: data.payer,
+      rate,
+      amount,
+      currency,
+      departure_country_code: departureCountryCode,
+      destination_country_code: destinationCountryCode,
+      is_active: data.isActive !== false
+    };
+  }
+}
+
+module.exports = {
+  PricingService: new PricingService(),
+  FEE_TYPES,
+  FEE_PAYERS
+};
@@ -1,6 +1,8 @@
 const db = require('../config/database');
 const socketService = require('./socketService');
 const notificationService = require('./notificationService');
+const { RATABLE_STATUSES } = require('./packageLifecycleService');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
 
 class RatingService {
   /**
@@ -82,12 +84,10 @@ class RatingService {
     try {
       // Vérifier que le colis existe et est livré
       const packageQuery = `
-        SELECT p.*, pt.status
+        SELECT p.*, t.traveler_id
         FROM packages p
-        LEFT JOIN package_tracking pt ON p.id = pt.package_id
+        JOIN trips t ON p.trip_id = t.id
         WHERE p.id = $1
-        ORDER BY pt.created_at DESC
-        LIMIT 1
       `;
 
       const packageResult = await db.query(packageQuery, [packageId]);
@@ -98,8 +98,9 @@ class RatingService {
 
       const packageData = packageResult.rows[0];
       
-      if (packageData.status !== 'delivered_confirmed') {
-        return { allowed: false, reason: 'Le colis doit être livré et confirmé pour pouvoir être évalué' };
+      // Livraison confirmée, ou litige tranché par la médiation
+      if (!RATABLE_STATUSES.includes(packageData.status)) {
+        return { allowed: false, reason: 'Le colis doit être livré et confirmé, ou son litige résolu, pour pouvoir être évalué' };
       }
 
       // Vérifier les permissions selon le type d'évaluation
@@ -363,19 +364,18 @@ class RatingService {
         FROM packages p
         JOIN users sender ON p.sender_id = sender.id
         JOIN users traveler ON p.traveler_id = traveler.id
-        LEFT JOIN package_tracking pt ON p.id = pt.package_id
         LEFT JOIN user_ratings ur ON (
           p.id = ur.package_id AND 
           ur.rater_id = $1
         )
         WHERE 
           (p.sender_id = $1 OR p.traveler_id = $1)
-          AND pt.status = 'delivered_confirmed'
+          AND p.status = ANY($2)
           AND ur.id IS NULL
-        ORDER BY pt.created_at DESC
+        ORDER BY p.updated_at DESC
       `;
 
-      const result = await db.query(query, [userId]);
+      const result = await db.query(query, [userId, RATABLE_STATUSES]);
 
       return {
         success: true,
@@ -459,14 +459,16 @@ class RatingService {
    */
   async deleteRating(ratingId, adminId) {
     try {
-      // Vérifier que l'utilisateur est admin
+      // Vérifier que l'utilisateur peut modérer les évaluations
       const adminQuery = `
         SELECT role FROM users WHERE id = $1
       `;
       const adminResult = await db.query(adminQuery, [adminId]);
       
-      if (!adminResult.rows[0] || adminResult.rows[0].role !== 'admin') {
-        throw new Error('Permissions insuffisantes');
+      if (!adminResult.rows[0] || !hasPermission(adminResult.rows[0].role, PERMISSIONS.RATINGS_MODERATE)) {
+        const error = new Error('Permissions insuffisantes');
+        error.statusCode = 403;
+        throw error;
       }
 
       // Récupérer l'évaluation avant suppression
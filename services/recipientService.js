@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { SmsService } = require('./smsService');
+const { sendRecipientTrackingEmail } = require('./emailService');
+const { normalizePhoneNumber, maskPhoneNumber } = require('./phoneVerificationService');
+
+/**
+ * Destinataires des colis ChapChap
+ * La personne qui récupère le colis n'est généralement pas l'expéditeur :
+ * elle est enregistrée à part (nom, téléphone, courriel, lien avec l'expéditeur),
+ * peut rester dans le carnet d'adresses de l'expéditeur et reçoit un lien
+ * de suivi qui ne demande aucun compte.
+ */
+
+const RECIPIENT_RELATIONSHIPS = {
+  FAMILY: 'family',
+  FRIEND: 'friend',
+  COLLEAGUE: 'colleague',
+  BUSINESS: 'business',
+  OTHER: 'other'
+};
+
+// Taille du jeton de suivi (octets aléatoires, encodés en base64url)
+const TRACKING_TOKEN_BYTES = 24;
+
+const recipientError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const formatRecipient = (recipient) => ({
+  id: recipient.id,
+  name: recipient.name,
+  phone: recipient.phone,
+  email: recipient.email,
+  relationship: recipient.relationship,
+  saved: recipient.saved,
+  createdAt: recipient.created_at,
+  updatedAt: recipient.updated_at
+});
+
+// Champs modifiables d'un destinataire (nom API -> colonne)
+const RECIPIENT_FIELDS = {
+  name: 'name',
+  phone: 'phone',
+  email: 'email',
+  relationship: 'relationship',
+  saved: 'saved'
+};
+
+class RecipientService {
+  /**
+   * Valider un destinataire et le convertir en colonnes
+   * @param {Object} data - name, phone, phoneCountry, email, relationship, saved
+   * @returns {Object} Colonnes recipients
+   */
+  normalizeRecipient(data) {
+    const name = String(data.name || '').trim();
+    if (name.length < 2) {
+      throw recipientError('Le nom du destinataire est obligatoire', 400);
+    }
+
+    const phone = normalizePhoneNumber(data.phone, data.phoneCountry);
+    if (!phone) {
+      throw recipientError('Numéro de téléphone du destinataire invalide', 400);
+    }
+
+    const relationship = data.relationship || RECIPIENT_RELATIONSHIPS.OTHER;
+    if (!Object.values(RECIPIENT_RELATIONSHIPS).includes(relationship)) {
+      throw recipientError('Lien avec le destinataire invalide', 400);
+    }
+
+    return {
+      name,
+      phone,
+      email: data.email ? String(data.email).trim().toLowerCase() : null,
+      relationship,
+      saved: data.saved === true
+    };
+  }
+
+  /**
+   * Carnet d'adresses d'un expéditeur
+   * @param {number} ownerId - Expéditeur
+   * @returns {Array} Destinataires enregistrés
+   */
+  async listAddressBook(ownerId) {
+    const result = await db.query(
+      'SELECT * FROM recipients WHERE owner_id = $1 AND saved = TRUE ORDER BY name',
+      [ownerId]
+    );
+
+    return result.rows.map(formatRecipient);
+  }
+
+  /**
+   * Créer un destinataire (enregistré ou non dans le carnet d'adresses)
+   * @param {number} ownerId - Expéditeur
+   * @param {Object} data - Destinataire au format de l'API
+   * @param {Object} client - Client de base de données (facultatif)
+   * @returns {Object} Ligne recipients
+   */
+  async createRecipient(ownerId, data, client = db) {
+    const recipient = this.normalizeRecipient(data);
+
+    const result = await client.query(
+      `INSERT INTO recipients (owner_id, name, phone, email, relationship, saved)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [ownerId, recipient.name, recipient.phone, recipient.email, recipient.relationship, recipient.saved]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Obtenir un destinataire de l'expéditeur
+   * @param {number} ownerId - Expéditeur
+   * @param {number} recipientId - ID du destinataire
+   * @param {Object} client - Client de base de données (facultatif)
+   * @returns {Object} Ligne recipients
+   */
+  async getOwnedRecipient(ownerId, recipientId, client = db) {
+    const result = await client.query(
+      'SELECT * FROM recipients WHERE id = $1 AND owner_id = $2',
+      [recipientId, ownerId]
+    );
+
+    if (result.rows.length === 0) {
+      throw recipientError('Destinataire non trouvé', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Modifier un destinataire (les colis qui le désignent suivent la modification)
+   * @param {number} ownerId - Expéditeur
+   * @param {number} recipientId - ID du destinataire
+   * @param {Object} changes - Champs modifiés
+   * @returns {Object} Destinataire mis à jour
+   */
+  async updateRecipient(ownerId, recipientId, changes) {
+    const current = await this.getOwnedRecipient(ownerId, recipientId);
+
+    const merged = { ...formatRecipient(current), phoneCountry: changes.phoneCountry };
+    Object.keys(RECIPIENT_FIELDS).forEach(field => {
+      if (changes[field] !== undefined) merged[field] = changes[field];
+    });
+
+    const recipient = this.normalizeRecipient(merged);
+    const columns = Object.values(RECIPIENT_FIELDS);
+
+    const result = await db.query(
+      `UPDATE recipients
+       SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')},
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${columns.length + 1}
+       RETURNING *`,
+      [...columns.map(column => recipient[column]), recipientId]
+    );
+
+    return formatRecipient(result.rows[0]);
+  }
+
+  /**
+   * Retirer un destinataire du carnet d'adresses
+   * Il reste attaché aux colis qui le désignent
+   * @param {number} ownerId - Expéditeur
+   * @param {number} recipientId - ID du destinataire
+   */
+  async removeFromAddressBook(ownerId, recipientId) {
+    await this.getOwnedRecipient(ownerId, recipientId);
+
+    await db.query(
+      'UPDATE recipients SET saved = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [recipientId]
+    );
+  }
+
+  /**
+   * Destinataire d'un nouveau colis : choisi dans le carnet ou saisi à la volée
+   * @param {Object} client - Client de transaction
+   * @param {number} ownerId - Expéditeur
+   * @param {Object} selection - recipientId ou recipient ({ ..., save })
+   * @returns {Object|null} Ligne recipients
+   */
+  async resolveForPackage(client, ownerId, { recipientId, recipient }) {
+    if (recipientId) {
+      return this.getOwnedRecipient(ownerId, recipientId, client);
+    }
+
+    if (recipient) {
+      return this.createRecipient(ownerId, { ...recipient, saved: recipient.save === true }, client);
+    }
+
+    return null;
+  }
+
+  /**
+   * Générer un nouveau lien de suivi pour le destinataire d'un colis
+   * Le précédent lien cesse de fonctionner
+   * @param {number} packageId - ID du colis
+   * @param {Object} client - Client de base de données (facultatif)
+   * @returns {string} URL de suivi
+   */
+  async issueTrackingLink(packageId, client = db) {
+    const token = crypto.randomBytes(TRACKING_TOKEN_BYTES).toString('base64url');
+
+    await client.query(
+      'UPDATE packages SET recipient_tracking_token_hash = $1 WHERE id = $2',
+      [hashToken(token), packageId]
+    );
+
+    return `${process.env.CLIENT_URL}/suivi/${token}`;
+  }
+
+  /**
+   * Retrouver le colis d'un lien de suivi
+   * @param {string} token - Jeton du lien
+   * @returns {number|null} ID du colis
+   */
+  async findPackageIdByToken(token) {
+    const result = await db.query(
+      'SELECT id FROM packages WHERE recipient_tracking_token_hash = $1',
+      [hashToken(token)]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+
+  /**
+   * Envoyer au destinataire son lien de suivi par SMS et par courriel
+   * Un échec d'envoi n'interrompt pas le cycle de vie du colis
+   * @param {number} packageId - ID du colis
+   * @returns {Object|null} Canaux utilisés (null si le colis n'a pas de destinataire)
+   */
+  async sendTrackingLink(packageId) {
+    const result = await db.query(
+      `SELECT p.id, p.title, r.name, r.phone, r.email,
+              s.first_name as sender_first_name, s.last_name as sender_last_name,
+              t.destination_city
+       FROM packages p
+       JOIN recipients r ON p.recipient_id = r.id
+       JOIN users s ON p.sender_id = s.id
+       JOIN trips t ON p.trip_id = t.id
+       WHERE p.id = $1`,
+      [packageId]
+    );
+
+    const shipment = result.rows[0];
+    if (!shipment) return null;
+
+    const trackingUrl = await this.issueTrackingLink(packageId);
+    const senderName = `${shipment.sender_first_name} ${shipment.sender_last_name}`;
+    const channels = { sms: false, email: false };
+
+    try {
+      await SmsService.send(
+        shipment.phone,
+        `Chapchap : ${senderName} vous envoie le colis "${shipment.title}". Suivez-le ici : ${trackingUrl}`
+      );
+      channels.sms = true;
+    } catch (error) {
+      console.error('Erreur lors de l\'envoi du lien de suivi par SMS:', error);
+    }
+
+    if (shipment.email) {
+      try {
+        await sendRecipientTrackingEmail(shipment.email, shipment.name, {
+          senderName,
+          packageTitle: shipment.title,
+          destinationCity: shipment.destination_city,
+          trackingUrl
+        });
+        channels.email = true;
+      } catch (error) {
+        console.error('Erreur lors de l\'envoi du lien de suivi par email:', error);
+      }
+    }
+
+    await db.query('UPDATE packages SET recipient_notified_at = CURRENT_TIMESTAMP WHERE id = $1', [packageId]);
+
+    console.log(`📨 Lien de suivi du colis ${packageId} envoyé au ${maskPhoneNumber(shipment.phone)}`);
+
+    return channels;
+  }
+}
+
+module.exports = {
+  RecipientService: new RecipientService(),
+  RECIPIENT_RELATIONSHIPS,
+  formatRecipient
+};
@@ -0,0 +1,513 @@
+const db = require('../config/database');
+const { PACKAGE_CATEGORIES, isPackageCategory } = require('../config/packageCategories');
+const { isCountryCode } = require('../config/countries');
+
+/**
+ * Contrôle des objets interdits et réglementés ChapChap
+ * Confronte le titre, la description et la catégorie d'une demande aux règles
+ * du trajet (pays de départ / d'arrivée) : un objet interdit bloque la demande,
+ * un objet réglementé doit être accepté en connaissance de cause par le voyageur.
+ * Chaque décision est journalisée pour audit.
+ */
+
+const SCREENING_RULE_TYPES = {
+  CATEGORY: 'category', // Catégorie de colis (config/packageCategories)
+  KEYWORD: 'keyword'    // Mot ou expression cherché dans le titre et la description
+};
+
+const SCREENING_SEVERITY = {
+  PROHIBITED: 'prohibited', // 🚫 Demande bloquée
+  RESTRICTED: 'restricted'  // ⚠️ Prise de connaissance du voyageur exigée
+};
+
+// Décisions journalisées
+const SCREENING_DECISIONS = {
+  CLEARED: 'cleared',
+  RESTRICTED: 'restricted',
+  BLOCKED: 'blocked',
+  ACKNOWLEDGED: 'acknowledged'
+};
+
+// État du contrôle porté par le colis
+const PACKAGE_SCREENING_STATUS = {
+  CLEARED: 'cleared',
+  PENDING_ACKNOWLEDGEMENT: 'pending_acknowledgement',
+  ACKNOWLEDGED: 'acknowledged'
+};
+
+// Champs du colis examinés par les règles de mot-clé
+const KEYWORD_FIELDS = ['title', 'description'];
+
+const screeningError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Minuscules, sans accents ni apostrophe typographique : "Médicament’s" -> "medicament's"
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[’`]/g, '\'')
+  .toLowerCase()
+  .trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mot ou expression entier, au singulier ou au pluriel (s / x)
+const keywordPattern = (keyword) =>
+  new RegExp(`(^|[^a-z0-9])${escapeRegExp(normalizeText(keyword))}[sx]?(?![a-z0-9])`);
+
+const formatRule = (rule) => ({
+  id: rule.id,
+  type: rule.rule_type,
+  value: rule.value,
+  severity: rule.severity,
+  reason: rule.reason,
+  originCountry: rule.origin_country_code,
+  destinationCountry: rule.destination_country_code,
+  isActive: rule.is_active,
+  updatedBy: rule.updated_by,
+  updatedAt: rule.updated_at
+});
+
+const formatScreening = (screening) => ({
+  id: screening.id,
+  packageId: screening.package_id,
+  tripId: screening.trip_id,
+  actorId: screening.actor_id,
+  decision: screening.decision,
+  originCountry: screening.origin_country,
+  destinationCountry: screening.destination_country,
+  title: screening.title,
+  description: screening.description,
+  category: screening.category,
+  matches: screening.matches,
+  createdAt: screening.created_at
+});
+
+// Champs modifiables d'une règle (nom API -> colonne)
+const RULE_FIELDS = {
+  type: 'rule_type',
+  value: 'value',
+  severity: 'severity',
+  reason: 'reason',
+  originCountry: 'origin_country_code',
+  destinationCountry: 'destination_country_code',
+  isActive: 'is_active'
+};
+
+class ScreeningService {
+  /**
+   * Règles actives applicables au trajet d'un voyage
+   * Pays comparés par code ISO : un pays inconnu du référentiel ne reçoit que les règles globales
+   * @param {Object} trip - Voyage (departure_country_code, destination_country_code)
+   * @param {Object} client - Client de base de données (facultatif)
+   * @returns {Array} Lignes screening_rules
+   */
+  async getApplicableRules(trip, client = db) {
+    const result = await client.query(
+      `SELECT * FROM screening_rules
+       WHERE is_active = TRUE
+         AND (origin_country_code IS NULL OR origin_country_code = $1)
+         AND (destination_country_code IS NULL OR destination_country_code = $2)
+       ORDER BY id`,
+      [trip.departure_country_code || null, trip.destination_country_code || null]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Confronter une demande aux règles (sans accès à la base)
+   * @param {Object} item - title, description, category
+   * @param {Array} rules - Règles applicables
+   * @returns {Object} decision et règles déclenchées
+   */
+  evaluate(item, rules) {
+    const matches = [];
+
+    rules.forEach(rule => {
+      let field = null;
+
+      if (rule.rule_type === SCREENING_RULE_TYPES.CATEGORY) {
+        field = item.category === rule.value ? 'category' : null;
+      } else {
+        const pattern = keywordPattern(rule.value);
+        field = KEYWORD_FIELDS.find(name => pattern.test(normalizeText(item[name]))) || null;
+      }
+
+      if (field) {
+        matches.push({
+          ruleId: rule.id,
+          type: rule.rule_type,
+          value: rule.value,
+          severity: rule.severity,
+          reason: rule.reason,
+          field
+        });
+      }
+    });
+
+    let decision = SCREENING_DECISIONS.CLEARED;
+    if (matches.some(match => match.severity === SCREENING_SEVERITY.PROHIBITED)) {
+      decision = SCREENING_DECISIONS.BLOCKED;
+    } else if (matches.length > 0) {
+      decision = SCREENING_DECISIONS.RESTRICTED;
+    }
+
+    return { decision, matches };
+  }
+
+  /**
+   * Contrôler une demande de transport et journaliser la décision
+   * Le journal est écrit hors transaction : une demande bloquée ou
+   * dont la création échoue reste tracée
+   * @param {Object} item - title, description, category
+   * @param {Object} trip - Voyage (id, departure_country, destination_country et leurs codes ISO)
+   * @param {number} senderId - Expéditeur
+   * @returns {Object} id du contrôle, decision, matches, packageStatus (état à porter sur le colis)
+   */
+  async screenPackage(item, trip, senderId) {
+    const rules = await this.getApplicableRules(trip);
+    const { decision, matches } = this.evaluate(item, rules);
+
+    const id = await this.logDecision(db, {
+      tripId: trip.id,
+      actorId: senderId,
+      decision,
+      trip,
+      item,
+      matches
+    });
+
+    if (decision === SCREENING_DECISIONS.BLOCKED) {
+      console.log(`🚫 Demande bloquée au contrôle (voyage ${trip.id}, expéditeur ${senderId})`);
+    }
+
+    return {
+      id,
+      decision,
+      matches,
+      packageStatus: decision === SCREENING_DECISIONS.RESTRICTED
+        ? PACKAGE_SCREENING_STATUS.PENDING_ACKNOWLEDGEMENT
+        : PACKAGE_SCREENING_STATUS.CLEARED
+    };
+  }
+
+  /**
+   * Ajouter une entrée au journal des contrôles
+   * @param {Object} client - Client de base de données
+   * @param {Object} entry - packageId, tripId, actorId, decision, trip, item, matches
+   * @returns {number} ID de l'entrée
+   */
+  async logDecision(client, { packageId = null, tripId, actorId, decision, trip, item, matches }) {
+    const result = await client.query(
+      `INSERT INTO package_screenings
+       (package_id, trip_id, actor_id, decision, origin_country, destination_country, title, description, category, matches)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        packageId, tripId, actorId, decision,
+        trip.departure_country || null, trip.destination_country || null,
+        item.title || null, item.description || null, item.category || null,
+        JSON.stringify(matches)
+      ]
+    );
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Rattacher un contrôle au colis créé
+   * @param {Object} client - Client de transaction
+   * @param {number} screeningId - Entrée du journal
+   * @param {number} packageId - ID du colis
+   */
+  async attachPackage(client, screeningId, packageId) {
+    await client.query('UPDATE package_screenings SET package_id = $1 WHERE id = $2', [packageId, screeningId]);
+  }
+
+  /**
+   * Restrictions relevées au dernier contrôle d'un colis
+   * @param {number} packageId - ID du colis
+   * @param {Object} client - Client de base de données (facultatif)
+   * @returns {Array} Règles déclenchées
+   */
+  async getRestrictions(packageId, client = db) {
+    const result = await client.query(
+      `SELECT matches FROM package_screenings
+       WHERE package_id = $1 AND decision = $2
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [packageId, SCREENING_DECISIONS.RESTRICTED]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].matches : [];
+  }
+
+  /**
+   * Contrôle d'un colis, tel qu'exposé à l'expéditeur et au voyageur
+   * @param {Object} packageData - Ligne packages
+   * @returns {Object|null} status, restrictions, acknowledgedAt (null pour les colis antérieurs)
+   */
+  async getPackageScreening(packageData) {
+    if (!packageData.screening_status) return null;
+
+    const restrictions = packageData.screening_status === PACKAGE_SCREENING_STATUS.CLEARED
+      ? []
+      : await this.getRestrictions(packageData.id);
+
+    return {
+      status: packageData.screening_status,
+      restrictions,
+      acknowledgedAt: packageData.restrictions_acknowledged_at || null
+    };
+  }
+
+  /**
+   * Enregistrer la prise de connaissance des restrictions par le voyageur
+   * @param {Object} client - Client de transaction
+   * @param {Object} packageData - Colis verrouillé (avec traveler_id)
+   * @param {number} travelerId - Voyageur
+   */
+  async acknowledge(client, packageData, travelerId) {
+    if (packageData.screening_status !== PACKAGE_SCREENING_STATUS.PENDING_ACKNOWLEDGEMENT) return;
+
+    await client.query(
+      `UPDATE packages
+       SET screening_status = $1, restrictions_acknowledged_by = $2, restrictions_acknowledged_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [PACKAGE_SCREENING_STATUS.ACKNOWLEDGED, travelerId, packageData.id]
+    );
+
+    const trip = await client.query(
+      'SELECT departure_country, destination_country FROM trips WHERE id = $1',
+      [packageData.trip_id]
+    );
+
+    await this.logDecision(client, {
+      packageId: packageData.id,
+      tripId: packageData.trip_id,
+      actorId: travelerId,
+      decision: SCREENING_DECISIONS.ACKNOWLEDGED,
+      trip: trip.rows[0] || {},
+      item: packageData,
+      matches: await this.getRestrictions(packageData.id, client)
+    });
+
+    console.log(`⚠️ Restrictions du colis ${packageData.id} acceptées par le voyageur ${travelerId}`);
+  }
+
+  /**
+   * Lister les règles de contrôle
+   * @param {Object} filters - type, severity, active
+   * @returns {Array} Règles
+   */
+  async listRules(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.type) {
+      params.push(filters.type);
+      conditions.push(`rule_type = $${params.length}`);
+    }
+
+    if (filters.severity) {
+      params.push(filters.severity);
+      conditions.push(`severity = $${params.length}`);
+    }
+
+    if (filters.active !== undefined) {
+      params.push(filters.active);
+      conditions.push(`is_active = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await db.query(
+      `SELECT * FROM screening_rules
+       ${whereClause}
+       ORDER BY severity, rule_type, value, origin_country_code NULLS FIRST, destination_country_code NULLS FIRST`,
+      params
+    );
+
+    return result.rows.map(formatRule);
+  }
+
+  /**
+   * Créer une règle de contrôle
+   * @param {Object} client - Client de transaction
+   * @param {Object} data - Règle (type, value, severity, reason, trajet)
+   * @param {number} actorId - Membre de l'équipe
+   * @returns {Object} Règle créée
+   */
+  async createRule(client, data, actorId) {
+    const rule = this.normalizeRule(data);
+
+    const result = await client.query(
+      `INSERT INTO screening_rules
+       (rule_type, value, severity, reason, origin_country_code, destination_country_code, is_active, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+       RETURNING *`,
+      [
+        rule.rule_type, rule.value, rule.severity, rule.reason,
+        rule.origin_country_code, rule.destination_country_code, rule.is_active, actorId
+      ]
+    ).catch(error => {
+      if (error.code === '23505') {
+        throw screeningError('Une règle existe déjà pour cette valeur sur ce trajet', 409);
+      }
+      throw error;
+    });
+
+    return formatRule(result.rows[0]);
+  }
+
+  /**
+   * Modifier ou désactiver une règle (les décisions passées restent au journal)
+   * @param {Object} client - Client de transaction
+   * @param {number} ruleId - ID de la règle
+   * @param {Object} changes - Champs modifiés
+   * @param {number} actorId - Membre de l'équipe
+   * @returns {Object} before, after
+   */
+  async updateRule(client, ruleId, changes, actorId) {
+    const currentResult = await client.query('SELECT * FROM screening_rules WHERE id = $1 FOR UPDATE', [ruleId]);
+    const current = currentResult.rows[0];
+
+    if (!current) {
+      throw screeningError('Règle de contrôle non trouvée', 404);
+    }
+
+    const merged = { ...formatRule(current) };
+    Object.keys(RULE_FIELDS).forEach(field => {
+      if (changes[field] !== undefined) merged[field] = changes[field];
+    });
+
+    const rule = this.normalizeRule(merged);
+    const columns = Object.values(RULE_FIELDS);
+
+    const result = await client.query(
+      `UPDATE screening_rules
+       SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')},
+           updated_by = $${columns.length + 1}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${columns.length + 2}
+       RETURNING *`,
+      [...columns.map(column => rule[column]), actorId, ruleId]
+    ).catch(error => {
+      if (error.code === '23505') {
+        throw screeningError('Une règle existe déjà pour cette valeur sur ce trajet', 409);
+      }
+      throw error;
+    });
+
+    return { before: formatRule(current), after: formatRule(result.rows[0]) };
+  }
+
+  /**
+   * Valider une règle et la convertir en colonnes
+   * @param {Object} data - Règle au format de l'API
+   * @returns {Object} Colonnes screening_rules
+   */
+  normalizeRule(data) {
+    if (!Object.values(SCREENING_RULE_TYPES).includes(data.type)) {
+      throw screeningError('Type de règle invalide', 400);
+    }
+
+    if (!Object.values(SCREENING_SEVERITY).includes(data.severity)) {
+      throw screeningError('Sévérité invalide', 400);
+    }
+
+    const value = String(data.value || '').trim();
+
+    if (data.type === SCREENING_RULE_TYPES.CATEGORY && !isPackageCategory(value)) {
+      throw screeningError('Catégorie de colis inconnue', 400);
+    }
+
+    if (data.type === SCREENING_RULE_TYPES.KEYWORD && normalizeText(value).length < 2) {
+      throw screeningError('Le mot-clé doit contenir au moins 2 caractères', 400);
+    }
+
+    const reason = String(data.reason || '').trim()
+      || (data.type === SCREENING_RULE_TYPES.CATEGORY ? PACKAGE_CATEGORIES[value].label : '');
+
+    if (!reason) {
+      throw screeningError('Le motif de la règle est obligatoire', 400);
+    }
+
+    const originCountryCode = data.originCountry ? String(data.originCountry).toUpperCase() : null;
+    const destinationCountryCode = data.destinationCountry ? String(data.destinationCountry).toUpperCase() : null;
+
+    if ([originCountryCode, destinationCountryCode].some(code => code && !isCountryCode(code))) {
+      throw screeningError('Pays invalide (code ISO 3166-1 alpha-2)', 400);
+    }
+
+    return {
+      rule_type: data.type,
+      value: data.type === SCREENING_RULE_TYPES.KEYWORD ? value.toLowerCase() : value,
+      severity: data.severity,
+      reason,
+      origin_country_code: originCountryCode,
+      destination_country_code: destinationCountryCode,
+      is_active: data.isActive !== false
+    };
+  }
+
+  /**
+   * Consulter le journal des contrôles
+   * @param {Object} filters - decision, packageId, tripId, actorId, page, limit
+   * @returns {Object} screenings, pagination
+   */
+  async listScreenings(filters = {}) {
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    [['decision', 'decision'], ['packageId', 'package_id'], ['tripId', 'trip_id'], ['actorId', 'actor_id']]
+      .forEach(([filter, column]) => {
+        if (filters[filter]) {
+          params.push(filters[filter]);
+          conditions.push(`${column} = $${params.length}`);
+        }
+      });
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await db.query(
+      `SELECT * FROM package_screenings
+       ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total FROM package_screenings ${whereClause}`,
+      params
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      screenings: result.rows.map(formatScreening),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = {
+  ScreeningService: new ScreeningService(),
+  SCREENING_RULE_TYPES,
+  SCREENING_SEVERITY,
+  SCREENING_DECISIONS,
+  PACKAGE_SCREENING_STATUS
+};
@@ -1,4 +1,10 @@
 const db = require('../config/database');
+const { CurrencyService } = require('./currencyService');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+const { formatCapacity, segmentLoadQuery } = require('./capacityService');
+const { formatDimensions } = require('../config/dimensions');
+const { ItineraryService } = require('./itineraryService');
+const { GeographyService, placeCondition } = require('./geographyService');
 
 /**
  * Service de recherche et de matching pour ChapChap
@@ -7,6 +13,8 @@ const db = require('../config/database');
 
 /**
  * Recherche avancée de voyages pour les expéditeurs
+ * Le départ et la destination cherchés peuvent être deux étapes quelconques de l'itinéraire,
+ * dans le sens du voyage (Montréal → Paris sur un voyage Montréal → Paris → Dakar)
  * @param {Object} criteria - Critères de recherche
  * @param {string} criteria.departureCountry - Pays de départ
  * @param {string} criteria.departureCity - Ville de départ
@@ -15,8 +23,9 @@ const db = require('../config/database');
  * @param {string} criteria.departureDate - Date de départ (YYYY-MM-DD)
  * @param {string} criteria.arrivalDate - Date d'arrivée (YYYY-MM-DD)
  * @param {number} criteria.minWeight - Poids minimum disponible
- * @param {number} criteria.maxPricePerKg - Prix maximum par kg
- * @param {number} criteria.proximityRadius - Rayon de proximité en km (optionnel)
+ * @param {number} criteria.maxPricePerKg - Prix maximum par kg (dans la devise d'affichage)
+ * @param {string} criteria.currency - Devise d'affichage des prix
+ * @param {number} criteria.proximityRadius - Rayon en km autour des villes cherchées (villes du référentiel)
  * @param {number} criteria.page - Page de résultats
  * @param {number} criteria.limit - Limite de résultats par page
  * @returns {Object} Résultats de recherche avec pagination
@@ -31,72 +40,128 @@ const searchTripsForSenders = async (criteria) => {
       departureDate,
       arrivalDate,
       minWeight,
+      minVolume,
+      category,
       maxPricePerKg,
       proximityRadius,
+      currency = DEFAULT_CURRENCY,
       page = 1,
       limit = 10
     } = criteria;
 
     // Construction dynamique de la requête
     let whereConditions = [
-      't.status = $1',
-      't.departure_date >= CURRENT_DATE',
-      't.available_weight > 0'
+      't.status = $1'
+    ];
+    // Tronçon de l'itinéraire : étape de départ o, étape d'arrivée d plus loin sur le voyage,
+    // load la charge de son tronçon le plus chargé (les kilos libres se comptent par tronçon)
+    let segmentConditions = [
+      'o.departure_date >= CURRENT_DATE',
+      't.total_weight - load.weight > 0'
     ];
     let queryParams = ['active'];
     let paramCount = 2;
+    let currencyJoin = '';
+
+    // Filtres géographiques : lieux reconnus comparés par code ISO / identifiant de ville,
+    // les autres en texte libre
+    const departure = GeographyService.resolvePlace({ country: departureCountry, city: departureCity });
+    const destination = GeographyService.resolvePlace({ country: destinationCountry, city: destinationCity });
+
+    const addPlaceFilter = (columns, value, code) => {
+      segmentConditions.push(placeCondition(columns, { code: `$${paramCount}::varchar`, text: `$${paramCount + 1}::text` }));
+      queryParams.push(code, value);
+      paramCount += 2;
+    };
+
+    // Ville du référentiel et rayon de proximité : toute étape dans une ville voisine convient
+    const addCityFilter = (columns, value, cityId) => {
+      if (cityId && proximityRadius) {
+        segmentConditions.push(`${columns.code} = ANY($${paramCount}::varchar[])`);
+        queryParams.push(GeographyService.citiesWithin(cityId, proximityRadius));
+        paramCount++;
+      } else {
+        addPlaceFilter(columns, value, cityId);
+      }
+    };
 
-    // Filtres géographiques
     if (departureCountry) {
-      whereConditions.push(`t.departure_country ILIKE $${paramCount}`);
-      queryParams.push(`%${departureCountry}%`);
-      paramCount++;
+      addPlaceFilter({ code: 'o.country_code', text: 'o.country' }, departureCountry, departure.countryCode);
     }
 
     if (departureCity) {
-      whereConditions.push(`t.departure_city ILIKE $${paramCount}`);
-      queryParams.push(`%${departureCity}%`);
-      paramCount++;
+      addCityFilter({ code: 'o.city_id', text: 'o.city' }, departureCity, departure.cityId);
     }
 
     if (destinationCountry) {
-      whereConditions.push(`t.destination_country ILIKE $${paramCount}`);
-      queryParams.push(`%${destinationCountry}%`);
-      paramCount++;
+      addPlaceFilter({ code: 'd.country_code', text: 'd.country' }, destinationCountry, destination.countryCode);
     }
 
     if (destinationCity) {
-      whereConditions.push(`t.destination_city ILIKE $${paramCount}`);
-      queryParams.push(`%${destinationCity}%`);
-      paramCount++;
+      addCityFilter({ code: 'd.city_id', text: 'd.city' }, destinationCity, destination.cityId);
     }
 
-    // Filtres de dates
+    // Filtres de dates (départ de l'étape de prise en charge, arrivée à l'étape de dépôt)
     if (departureDate) {
-      whereConditions.push(`t.departure_date >= $${paramCount}`);
+      segmentConditions.push(`o.departure_date >= $${paramCount}`);
       queryParams.push(departureDate);
       paramCount++;
     }
 
     if (arrivalDate) {
-      whereConditions.push(`t.arrival_date <= $${paramCount}`);
+      segmentConditions.push(`d.arrival_date <= $${paramCount}`);
       queryParams.push(arrivalDate);
       paramCount++;
     }
 
-    // Filtres de capacité et prix
+    // Filtres de capacité (sur le tronçon) et prix
     if (minWeight) {
-      whereConditions.push(`t.available_weight >= $${paramCount}`);
+      segmentConditions.push(`t.total_weight - load.weight >= $${paramCount}`);
       queryParams.push(minWeight);
       paramCount++;
     }
 
-    if (maxPricePerKg) {
-      whereConditions.push(`t.price_per_kg <= $${paramCount}`);
-      queryParams.push(maxPricePerKg);
+    // Volume : les voyages sans limite en litres conviennent toujours
+    if (minVolume) {
+      segmentConditions.push(`(t.total_volume IS NULL OR t.total_volume - load.volume >= $${paramCount})`);
+      queryParams.push(minVolume);
+      paramCount++;
+    }
+
+    // Écarter les voyageurs qui refusent la catégorie du colis
+    if (category) {
+      whereConditions.push(`NOT ($${paramCount} = ANY(t.refused_categories))`);
+      queryParams.push(category);
       paramCount++;
     }
 
+    // Le prix maximum est exprimé dans la devise d'affichage : chaque voyage est converti
+    // (les voyages dans une devise sans taux de change sont écartés)
+    if (maxPricePerKg) {
+      const { currencies, factors } = await CurrencyService.getConversionFactors(currency);
+      currencyJoin = `LEFT JOIN unnest($${paramCount}::varchar[], $${paramCount + 1}::numeric[]) AS fx(currency, factor) ON fx.currency = t.currency`;
+      whereConditions.push(`t.price_per_kg * fx.factor <= $${paramCount + 2}`);
+      queryParams.push(currencies, factors, maxPricePerKg);
+      paramCount += 3;
+    }
+
+    // Premier tronçon qui convient ; sans filtre géographique, le voyage entier
+    const segmentJoin = `JOIN LATERAL (
+        SELECT
+          o.id as origin_stop_id, o.country as origin_country, o.city as origin_city,
+          o.departure_date as segment_departure_date,
+          d.id as destination_stop_id, d.country as segment_destination_country,
+          d.city as segment_destination_city, d.arrival_date as segment_arrival_date,
+          t.total_weight - load.weight as segment_available_weight,
+          t.total_volume - load.volume as segment_available_volume
+        FROM trip_stops o
+        JOIN trip_stops d ON d.trip_id = o.trip_id AND d.position > o.position
+        CROSS JOIN LATERAL (${segmentLoadQuery({ trip: 'o.trip_id', from: 'o.position', to: 'd.position' })}) load
+        WHERE o.trip_id = t.id AND ${segmentConditions.join(' AND ')}
+        ORDER BY o.position ASC, d.position DESC
+        LIMIT 1
+      ) seg ON TRUE`;
+
     const offset = (page - 1) * limit;
     queryParams.push(limit, offset);
 
@@ -104,35 +169,26 @@ const searchTripsForSenders = async (criteria) => {
     const searchQuery = `
       SELECT 
         t.*,
+        seg.*,
         u.first_name,
         u.last_name,
         u.profile_picture,
         u.rating,
         u.total_ratings,
         u.is_verified,
-        -- Calcul du poids déjà réservé
-        COALESCE(reserved.total_weight, 0) as reserved_weight,
-        (t.available_weight - COALESCE(reserved.total_weight, 0)) as actual_available_weight,
         -- Score de compatibilité (plus élevé = plus compatible)
         (
-          CASE WHEN t.departure_date = $${departureDate ? queryParams.indexOf(departureDate) + 1 : 'NULL'} THEN 10 ELSE 0 END +
+          CASE WHEN seg.segment_departure_date = $${departureDate ? queryParams.indexOf(departureDate) + 1 : 'NULL'} THEN 10 ELSE 0 END +
           CASE WHEN u.rating >= 4.0 THEN 5 ELSE 0 END +
           CASE WHEN u.is_verified THEN 3 ELSE 0 END +
-          CASE WHEN t.available_weight >= ${minWeight || 0} * 2 THEN 2 ELSE 0 END
+          CASE WHEN seg.segment_available_weight >= ${minWeight || 0} * 2 THEN 2 ELSE 0 END
         ) as compatibility_score
       FROM trips t
+      ${segmentJoin}
       JOIN users u ON t.traveler_id = u.id
-      LEFT JOIN (
-        SELECT 
-          trip_id, 
-          SUM(weight) as total_weight
-        FROM packages 
-        WHERE status IN ('accepted', 'in_transit')
-        GROUP BY trip_id
-      ) reserved ON t.id = reserved.trip_id
+      ${currencyJoin}
       WHERE ${whereConditions.join(' AND ')}
-      AND (t.available_weight - COALESCE(reserved.total_weight, 0)) > 0
-      ORDER BY compatibility_score DESC, t.departure_date ASC, u.rating DESC
+      ORDER BY compatibility_score DESC, seg.segment_departure_date ASC, u.rating DESC
       LIMIT $${paramCount} OFFSET $${paramCount + 1}
     `;
 
@@ -142,20 +198,16 @@ const searchTripsForSenders = async (criteria) => {
     const countQuery = `
       SELECT COUNT(*) as total
       FROM trips t
-      LEFT JOIN (
-        SELECT 
-          trip_id, 
-          SUM(weight) as total_weight
-        FROM packages 
-        WHERE status IN ('accepted', 'in_transit')
-        GROUP BY trip_id
-      ) reserved ON t.id = reserved.trip_id
+      ${segmentJoin}
+      ${currencyJoin}
       WHERE ${whereConditions.join(' AND ')}
-      AND (t.available_weight - COALESCE(reserved.total_weight, 0)) > 0
     `;
     const countResult = await db.query(countQuery, queryParams.slice(0, -2));
     const total = parseInt(countResult.rows[0].total);
 
+    const convertPrice = await CurrencyService.getConverter(currency);
+    const stopsByTrip = await ItineraryService.getStops(result.rows.map(trip => trip.id));
+
     const trips = result.rows.map(trip => ({
       id: trip.id,
       traveler: {
@@ -181,11 +233,35 @@ const searchTripsForSenders = async (criteria) => {
         departureDate: trip.departure_date,
         arrivalDate: trip.arrival_date
       },
+      stops: stopsByTrip.get(trip.id),
+      // Tronçon correspondant à la recherche : étapes à indiquer dans la demande de transport
+      segment: {
+        originStopId: trip.origin_stop_id,
+        destinationStopId: trip.destination_stop_id,
+        departure: {
+          country: trip.origin_country,
+          city: trip.origin_city
+        },
+        destination: {
+          country: trip.segment_destination_country,
+          city: trip.segment_destination_city
+        },
+        departureDate: trip.segment_departure_date,
+        arrivalDate: trip.segment_arrival_date
+      },
       capacity: {
-        totalWeight: parseFloat(trip.available_weight),
-        reservedWeight: parseFloat(trip.reserved_weight),
-        availableWeight: parseFloat(trip.actual_available_weight),
-        pricePerKg: parseFloat(trip.price_per_kg)
+        // Kilos et litres restants sur le tronçon trouvé
+        ...formatCapacity({
+          ...trip,
+          available_weight: trip.segment_available_weight,
+          available_volume: trip.segment_available_volume
+        }),
+        refusedCategories: trip.refused_categories,
+        pricePerKg: parseFloat(trip.price_per_kg),
+        currency: trip.currency,
+        // Prix converti dans la devise de l'utilisateur (null sans taux de change)
+        displayPricePerKg: convertPrice(parseFloat(trip.price_per_kg), trip.currency),
+        displayCurrency: currency
       },
       description: trip.description,
       status: trip.status,
@@ -236,8 +312,10 @@ const findMatchingPackagesForTrip = async (tripId, travelerId) => {
         t.available_weight,
         -- Calcul de compatibilité géographique et temporelle
         (
-          CASE WHEN p.pickup_address ILIKE '%' || t.departure_city || '%' THEN 10 ELSE 0 END +
-          CASE WHEN p.delivery_address ILIKE '%' || t.destination_city || '%' THEN 10 ELSE 0 END +
+          CASE WHEN ${placeCondition(
+            { code: 'p.pickup_city_id', text: 'p.pickup_address' }, { code: 't.departure_city_id', text: 't.departure_city' })} THEN 10 ELSE 0 END +
+          CASE WHEN ${placeCondition(
+            { code: 'p.delivery_city_id', text: 'p.delivery_address' }, { code: 't.destination_city_id', text: 't.destination_city' })} THEN 10 ELSE 0 END +
           CASE WHEN p.weight <= t.available_weight THEN 5 ELSE 0 END +
           CASE WHEN u.rating >= 4.0 THEN 3 ELSE 0 END +
           CASE WHEN u.is_verified THEN 2 ELSE 0 END
@@ -246,17 +324,23 @@ const findMatchingPackagesForTrip = async (tripId, travelerId) => {
       JOIN users u ON p.sender_id = u.id
       JOIN trips t ON $1 = $1  -- Trick pour joindre avec le voyage spécifique
       WHERE p.status = 'pending'
-      AND p.weight <= t.available_weight
+      -- Un colis déjà demandé sur ce voyage y a déjà sa réservation de capacité
+      AND (p.trip_id = t.id OR (
+        p.weight <= t.available_weight
+        AND (t.available_volume IS NULL OR p.volume_litres IS NULL OR p.volume_litres <= t.available_volume)
+      ))
+      -- Catégories que le voyageur refuse de transporter
+      AND NOT (p.category = ANY(t.refused_categories))
       AND t.id = $1
       AND p.sender_id != $2  -- Exclure les colis du voyageur lui-même
       AND (
-        -- Compatibilité géographique flexible
-        p.pickup_address ILIKE '%' || t.departure_country || '%'
-        OR p.pickup_address ILIKE '%' || t.departure_city || '%'
+        -- Compatibilité géographique : pays du référentiel, sinon pays ou ville cités dans l'adresse
+        ${placeCondition({ code: 'p.pickup_country_code', text: 'p.pickup_address' }, { code: 't.departure_country_code', text: 't.departure_country' })}
+        OR (p.pickup_country_code IS NULL AND p.pickup_address ILIKE '%' || t.departure_city || '%')
       )
       AND (
-        p.delivery_address ILIKE '%' || t.destination_country || '%'
-        OR p.delivery_address ILIKE '%' || t.destination_city || '%'
+        ${placeCondition({ code: 'p.delivery_country_code', text: 'p.delivery_address' }, { code: 't.destination_country_code', text: 't.destination_country' })}
+        OR (p.delivery_country_code IS NULL AND p.delivery_address ILIKE '%' || t.destination_city || '%')
       )
       ORDER BY compatibility_score DESC, p.created_at ASC
       LIMIT 20
@@ -279,9 +363,10 @@ const findMatchingPackagesForTrip = async (tripId, travelerId) => {
         title: pkg.title,
         description: pkg.description,
         weight: parseFloat(pkg.weight),
-        dimensions: pkg.dimensions,
+        dimensions: formatDimensions(pkg),
         value: parseFloat(pkg.value),
-        totalPrice: parseFloat(pkg.total_price)
+        totalPrice: parseFloat(pkg.total_price),
+        currency: pkg.currency
       },
       addresses: {
         pickup: pkg.pickup_address,
@@ -319,16 +404,25 @@ const searchPendingPackages = async (criteria) => {
     let queryParams = ['pending'];
     let paramCount = 2;
 
+    // Pays du référentiel, sinon pays cité dans l'adresse
     if (departureCountry) {
-      whereConditions.push(`p.pickup_address ILIKE $${paramCount}`);
-      queryParams.push(`%${departureCountry}%`);
-      paramCount++;
+      const country = GeographyService.findCountry(departureCountry);
+      whereConditions.push(placeCondition(
+        { code: 'p.pickup_country_code', text: 'p.pickup_address' },
+        { code: `$${paramCount}::varchar`, text: `$${paramCount + 1}::text` }
+      ));
+      queryParams.push(country ? country.code : null, departureCountry);
+      paramCount += 2;
     }
 
     if (destinationCountry) {
-      whereConditions.push(`p.delivery_address ILIKE $${paramCount}`);
-      queryParams.push(`%${destinationCountry}%`);
-      paramCount++;
+      const country = GeographyService.findCountry(destinationCountry);
+      whereConditions.push(placeCondition(
+        { code: 'p.delivery_country_code', text: 'p.delivery_address' },
+        { code: `$${paramCount}::varchar`, text: `$${paramCount + 1}::text` }
+      ));
+      queryParams.push(country ? country.code : null, destinationCountry);
+      paramCount += 2;
     }
 
     if (maxWeight) {
@@ -393,9 +487,10 @@ const searchPendingPackages = async (criteria) => {
         title: pkg.title,
         description: pkg.description,
         weight: parseFloat(pkg.weight),
-        dimensions: pkg.dimensions,
+        dimensions: formatDimensions(pkg),
         value: parseFloat(pkg.value),
-        totalPrice: parseFloat(pkg.total_price)
+        totalPrice: parseFloat(pkg.total_price),
+        currency: pkg.currency
       },
       addresses: {
         pickup: pkg.pickup_address,
@@ -421,6 +516,23 @@ const searchPendingPackages = async (criteria) => {
   }
 };
 
+/**
+ * Le lieu d'un colis correspond-il à l'extrémité d'un voyage ?
+ * Pays du référentiel quand les deux sont connus, sinon pays ou ville cités dans l'adresse
+ * (sans tenir compte des accents)
+ * @param {Object} packagePlace - countryCode, address
+ * @param {Object} tripPlace - countryCode, country, city
+ * @returns {boolean}
+ */
+const placeMatches = (packagePlace, tripPlace) => {
+  if (packagePlace.countryCode && tripPlace.countryCode) {
+    return packagePlace.countryCode === tripPlace.countryCode;
+  }
+
+  return GeographyService.textMentions(packagePlace.address, tripPlace.country) ||
+    GeographyService.textMentions(packagePlace.address, tripPlace.city);
+};
+
 /**
  * Calcule la compatibilité entre un voyage et un colis
  * @param {Object} trip - Données du voyage
@@ -432,18 +544,28 @@ const calculateCompatibility = (trip, package) => {
   const details = {
     geographic: false,
     weight: false,
+    volume: true,
+    category: true,
     timing: false,
     price: false
   };
 
+  // Un colis déjà demandé sur ce voyage y a déjà sa réservation de capacité
+  const alreadyReserved = package.trip_id === trip.id;
+
   // Compatibilité géographique (40 points max)
-  const departureMatch = 
-    package.pickup_address.toLowerCase().includes(trip.departure_country.toLowerCase()) ||
-    package.pickup_address.toLowerCase().includes(trip.departure_city.toLowerCase());
+  const departureMatch = placeMatches(
+    { countryCode: package.pickup_country_code, address: package.pickup_address },
+    { countryCode: trip.departure_country_code, country: trip.departure_country, city: trip.departure_city }
+  );
   
-  const destinationMatch = 
-    package.delivery_address.toLowerCase().includes(trip.destination_country.toLowerCase()) ||
-    package.delivery_address.toLowerCase().includes(trip.destination_city.toLowerCase());
+  const destinationMatch = placeMatches(
+    { countryCode: package.delivery_country_code, address: package.delivery_address },
+    { countryCode: trip.destination_country_code, country: trip.destination_country, city: trip.destination_city }
+  );
+
+  details.departureMatch = departureMatch;
+  details.destinationMatch = destinationMatch;
 
   if (departureMatch && destinationMatch) {
     score += 40;
@@ -453,7 +575,7 @@ const calculateCompatibility = (trip, package) => {
   }
 
   // Compatibilité de poids (30 points max)
-  if (package.weight <= trip.available_weight) {
+  if (alreadyReserved || parseFloat(package.weight) <= parseFloat(trip.available_weight)) {
     score += 30;
     details.weight = true;
     
@@ -464,6 +586,17 @@ const calculateCompatibility = (trip, package) => {
     }
   }
 
+  // Volume (voyage limité en litres, colis aux dimensions connues) et catégories refusées : éliminatoires
+  if (!alreadyReserved && trip.available_volume !== null && trip.available_volume !== undefined &&
+      package.volume_litres !== null && package.volume_litres !== undefined &&
+      parseFloat(package.volume_litres) > parseFloat(trip.available_volume)) {
+    details.volume = false;
+  }
+
+  if ((trip.refused_categories || []).includes(package.category)) {
+    details.category = false;
+  }
+
   // Compatibilité temporelle (20 points max)
   const tripDate = new Date(trip.departure_date);
   const packageDate = new Date(package.created_at);
@@ -476,13 +609,22 @@ const calculateCompatibility = (trip, package) => {
     score += 10;
   }
 
-  // Compatibilité de prix (10 points max)
+  // Compatibilité de prix (10 points max), comparable seulement dans la même devise
   const expectedPrice = package.weight * trip.price_per_kg;
-  if (package.total_price >= expectedPrice * 0.9) {
+  if (package.currency === trip.currency && package.total_price >= expectedPrice * 0.9) {
     score += 10;
     details.price = true;
   }
 
+  if (!details.volume || !details.category) {
+    return {
+      score: 0,
+      percentage: 0,
+      details,
+      recommendation: 'incompatible'
+    };
+  }
+
   return {
     score,
     percentage: Math.min(100, score),
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { getAccountRestriction } = require('../config/permissions');
+
+/**
+ * Service des sessions d'authentification
+ * Jetons d'accès courts, refresh tokens tournants stockés hachés et révocation
+ */
+
+// Durée de vie du jeton d'accès (JWT)
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+
+// Durée de vie d'une session sans renouvellement (en jours)
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Nombre de refresh tokens remplacés conservés par session pour détecter un rejeu
+const ROTATED_TOKEN_HISTORY = 10;
+
+// Conservation des sessions expirées ou révoquées avant purge (en jours)
+const SESSION_RETENTION_DAYS = 30;
+
+// Fréquence de la purge des sessions
+const SESSION_PURGE_INTERVAL = 24 * 60 * 60 * 1000; // 24 heures
+
+// Condition SQL d'une session encore valide (alias s)
+const ACTIVE_SESSION_CONDITION = 's.revoked_at IS NULL AND s.expires_at > NOW()';
+
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all',
+  DEVICE_LOGOUT: 'device_logout',
+  PASSWORD_RESET: 'password_reset',
+  REFRESH_REUSE: 'refresh_token_reuse'
+};
+
+const sessionError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const formatSession = (session, currentSessionId = null) => ({
+  id: session.id,
+  deviceName: session.device_name,
+  userAgent: session.user_agent,
+  ipAddress: session.ip_address,
+  impersonation: Boolean(session.impersonated_by),
+  current: session.id === currentSessionId,
+  createdAt: session.created_at,
+  lastUsedAt: session.last_used_at,
+  expiresAt: session.expires_at
+});
+
+class SessionService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Ouvrir une session et émettre les jetons
+   * Le refresh token a la forme "<sessionId>.<secret>" ; seul le hash du secret est stocké
+   * @param {Object} user - Utilisateur (id, email)
+   * @param {Object} options - context (ip, userAgent, deviceName), impersonatedBy et
+   *                           expiresIn pour une session d'usurpation, client de transaction
+   * @returns {Object} Jeton d'accès, refresh token et session
+   */
+  async createSession(user, options = {}) {
+    const { context = {}, impersonatedBy = null, expiresIn = ACCESS_TOKEN_TTL, client = db } = options;
+    const sessionId = crypto.randomUUID();
+    const accessToken = this.signAccessToken(user, sessionId, expiresIn);
+
+    let refreshToken = null;
+    let expiresAt;
+
+    if (impersonatedBy) {
+      // Une session d'usurpation n'est jamais renouvelée : elle vit autant que son jeton
+      expiresAt = new Date(jwt.decode(accessToken).exp * 1000);
+    } else {
+      const secret = crypto.randomBytes(48).toString('hex');
+      refreshToken = `${sessionId}.${secret}`;
+      expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    const result = await client.query(
+      `INSERT INTO user_sessions (id, user_id, refresh_token_hash, device_name, user_agent, ip_address, impersonated_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        sessionId,
+        user.id,
+        refreshToken ? hashToken(refreshToken.split('.')[1]) : null,
+        context.deviceName || null,
+        context.userAgent || null,
+        context.ip || null,
+        impersonatedBy,
+        expiresAt
+      ]
+    );
+
+    return {
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      session: formatSession(result.rows[0], sessionId)
+    };
+  }
+
+  /**
+   * Signer un jeton d'accès rattaché à une session
+   * @param {Object} user - Utilisateur (id, email)
+   * @param {string} sessionId - ID de la session
+   * @param {string} expiresIn - Durée de validité
+   * @returns {string} JWT
+   */
+  signAccessToken(user, sessionId, expiresIn = ACCESS_TOKEN_TTL) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+  }
+
+  /**
+   * Renouveler les jetons à partir d'un refresh token (rotation)
+   * Un refresh token déjà utilisé révoque toute la session : il a été volé ou rejoué.
+   * Un secret inconnu est seulement refusé : l'ID de session n'est pas secret (jeton d'accès,
+   * liste des sessions) et ne doit pas suffire à déconnecter l'utilisateur
+   * @param {string} refreshToken - Refresh token "<sessionId>.<secret>"
+   * @param {Object} context - ip, userAgent
+   * @returns {Object} Nouveaux jetons
+   */
+  async refresh(refreshToken, context = {}) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    const invalidError = sessionError('Session invalide. Veuillez vous reconnecter.', 401, 'SESSION_INVALID');
+
+    if (!secret || !/^[0-9a-f-]{36}$/i.test(sessionId)) {
+      throw invalidError;
+    }
+
+    const client = await db.getClient();
+    let reused = false;
+    let tokens;
+
+    try {
+      await client.query('BEGIN');
+
+      const sessionResult = await client.query(
+        `SELECT s.*, u.email, u.account_status, u.suspended_until
+         FROM user_sessions s
+         JOIN users u ON s.user_id = u.id
+         WHERE s.id = $1
+         FOR UPDATE OF s`,
+        [sessionId]
+      );
+
+      const session = sessionResult.rows[0];
+
+      if (!session || session.impersonated_by || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        throw invalidError;
+      }
+
+      const secretHash = hashToken(secret);
+
+      if (session.refresh_token_hash !== secretHash) {
+        if (!session.rotated_token_hashes.includes(secretHash)) {
+          throw invalidError;
+        }
+
+        await this.revokeWhere(client, 'id = $1', [sessionId], REVOKE_REASONS.REFRESH_REUSE);
+        reused = true;
+      } else {
+        const restriction = getAccountRestriction(session);
+        if (restriction) {
+          throw sessionError(restriction, 403, 'ACCOUNT_RESTRICTED');
+        }
+
+        const newSecret = crypto.randomBytes(48).toString('hex');
+
+        await client.query(
+          `UPDATE user_sessions
+           SET refresh_token_hash = $1, last_used_at = NOW(), expires_at = $2,
+               ip_address = COALESCE($3, ip_address), user_agent = COALESCE($4, user_agent),
+               rotated_token_hashes = (ARRAY[refresh_token_hash] || rotated_token_hashes)[1:$6]
+           WHERE id = $5`,
+          [
+            hashToken(newSecret),
+            new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+            context.ip || null,
+            context.userAgent || null,
+            sessionId,
+            ROTATED_TOKEN_HISTORY
+          ]
+        );
+
+        tokens = {
+          token: this.signAccessToken({ id: session.user_id, email: session.email }, sessionId),
+          refreshToken: `${sessionId}.${newSecret}`,
+          expiresIn: ACCESS_TOKEN_TTL
+        };
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (reused) {
+      console.warn(`🚨 Réutilisation d'un refresh token, session ${sessionId} révoquée`);
+      throw sessionError('Session révoquée. Veuillez vous reconnecter.', 401, 'REFRESH_TOKEN_REUSED');
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Lister les sessions actives d'un utilisateur
+   * @param {number} userId - ID de l'utilisateur
+   * @param {string} currentSessionId - Session de la requête en cours
+   * @returns {Array} Sessions, la plus récemment utilisée d'abord
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const result = await db.query(
+      `SELECT s.* FROM user_sessions s
+       WHERE s.user_id = $1 AND ${ACTIVE_SESSION_CONDITION}
+       ORDER BY s.last_used_at DESC`,
+      [userId]
+    );
+
+    return result.rows.map(session => formatSession(session, currentSessionId));
+  }
+
+  /**
+   * Révoquer une session de l'utilisateur
+   * @param {number} userId - ID de l'utilisateur
+   * @param {string} sessionId - ID de la session
+   * @param {string} reason - Motif de révocation
+   * @returns {boolean} true si une session active a été révoquée
+   */
+  async revokeSession(userId, sessionId, reason = REVOKE_REASONS.LOGOUT) {
+    const revoked = await this.revokeWhere(db, 'id = $1 AND user_id = $2', [sessionId, userId], reason);
+    return revoked.length > 0;
+  }
+
+  /**
+   * Révoquer toutes les sessions d'un utilisateur ("tout déconnecter")
+   * @param {number} userId - ID de l'utilisateur
+   * @param {string} reason - Motif de révocation
+   * @returns {Array} IDs des sessions révoquées
+   */
+  async revokeAllSessions(userId, reason = REVOKE_REASONS.LOGOUT_ALL) {
+    return this.revokeWhere(db, 'user_id = $1', [userId], reason);
+  }
+
+  /**
+   * Révoquer les sessions actives correspondant à une condition
+   * @param {Object} client - Client de base de données ou de transaction
+   * @param {string} condition - Condition SQL sur user_sessions
+   * @param {Array} params - Paramètres de la condition
+   * @param {string} reason - Motif de révocation
+   * @returns {Array} IDs des sessions révoquées
+   */
+  async revokeWhere(client, condition, params, reason) {
+    const result = await client.query(
+      `UPDATE user_sessions
+       SET revoked_at = NOW(), revoked_reason = $${params.length + 1}
+       WHERE ${condition} AND revoked_at IS NULL
+       RETURNING id`,
+      [...params, reason]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Démarrer la purge périodique des sessions terminées
+   */
+  start() {
+    if (this.timer) return;
+
+    const purgeSafely = () => this.purgeExpiredSessions().catch(error => {
+      console.error('❌ Erreur lors de la purge des sessions:', error.message);
+    });
+
+    this.timer = setInterval(purgeSafely, SESSION_PURGE_INTERVAL).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Supprimer les sessions expirées ou révoquées depuis plus de 30 jours
+   * @returns {number} Nombre de sessions supprimées
+   */
+  async purgeExpiredSessions() {
+    const result = await db.query(
+      `DELETE FROM user_sessions
+       WHERE COALESCE(revoked_at, expires_at) < NOW() - ($1 || ' days')::interval`,
+      [SESSION_RETENTION_DAYS]
+    );
+
+    if (result.rowCount > 0) {
+      console.log(`🧹 ${result.rowCount} session(s) purgée(s)`);
+    }
+
+    return result.rowCount;
+  }
+}
+
+module.exports = {
+  SessionService: new SessionService(),
+  ACTIVE_SESSION_CONDITION,
+  ACCESS_TOKEN_TTL,
+  REVOKE_REASONS
+};
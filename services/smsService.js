@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Service d'envoi de SMS
+ * Tous les fournisseurs exposent la même interface :
+ *   send({ to, body }) -> { provider, messageId }
+ * Le fournisseur est choisi par SMS_PROVIDER (console, file, twilio)
+ */
+
+// Fournisseur de développement : affiche le SMS dans la console
+class ConsoleSmsProvider {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, body }) {
+    console.log(`📱 [SMS → ${to}] ${body}`);
+    return { provider: this.name, messageId: `console-${Date.now()}` };
+  }
+}
+
+// Fournisseur de développement et de test : une ligne JSON par SMS dans un fichier
+class FileSmsProvider {
+  constructor(filePath = process.env.SMS_LOG_FILE || path.join(__dirname, '../uploads/sms-outbox.log')) {
+    this.name = 'file';
+    this.filePath = filePath;
+  }
+
+  async send({ to, body }) {
+    const messageId = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(
+      this.filePath,
+      JSON.stringify({ messageId, to, body, sentAt: new Date().toISOString() }) + '\n'
+    );
+
+    return { provider: this.name, messageId };
+  }
+}
+
+// Fournisseur Twilio (API REST Messages)
+class TwilioSmsProvider {
+  constructor(options = {}) {
+    this.name = 'twilio';
+    this.accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+    this.from = options.from || process.env.TWILIO_FROM_NUMBER;
+    this.messagingServiceSid = options.messagingServiceSid || process.env.TWILIO_MESSAGING_SERVICE_SID;
+
+    if (!this.accountSid || !this.authToken || (!this.from && !this.messagingServiceSid)) {
+      throw new Error('Configuration Twilio incomplète (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)');
+    }
+  }
+
+  async send({ to, body }) {
+    const params = new URLSearchParams({ To: to, Body: body });
+    if (this.messagingServiceSid) {
+      params.append('MessagingServiceSid', this.messagingServiceSid);
+    } else {
+      params.append('From', this.from);
+    }
+
+    const response = await fetch(
+      `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params
+      }
+    );
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(`Erreur Twilio (${response.status}): ${result.message || 'envoi impossible'}`);
+    }
+
+    return { provider: this.name, messageId: result.sid };
+  }
+}
+
+/**
+ * Créer le fournisseur configuré
+ * @param {string} name - console, file ou twilio
+ * @returns {Object} Fournisseur SMS
+ */
+const createSmsProvider = (name = process.env.SMS_PROVIDER) => {
+  switch (name) {
+    case 'twilio':
+      return new TwilioSmsProvider();
+    case 'file':
+      return new FileSmsProvider();
+    case 'console':
+    case undefined:
+    case '':
+      if (process.env.NODE_ENV === 'production') {
+        console.warn('⚠️ Aucun fournisseur SMS configuré - les SMS sont seulement affichés dans les logs');
+      }
+      return new ConsoleSmsProvider();
+    default:
+      throw new Error(`Fournisseur SMS inconnu: ${name}`);
+  }
+};
+
+class SmsService {
+  constructor() {
+    this.provider = null;
+  }
+
+  // Fournisseur créé à la première utilisation
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createSmsProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Remplacer le fournisseur (tests, scripts)
+   * @param {Object} provider - Objet exposant send({ to, body })
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Envoyer un SMS
+   * @param {string} to - Numéro au format E.164
+   * @param {string} body - Texte du message
+   * @returns {Object} Fournisseur et identifiant du message
+   */
+  async send(to, body) {
+    return this.getProvider().send({ to, body });
+  }
+}
+
+module.exports = {
+  SmsService: new SmsService(),
+  ConsoleSmsProvider,
+  FileSmsProvider,
+  TwilioSmsProvider,
+  createSmsProvider
+};
@@ -1,6 +1,8 @@
 const socketIo = require('socket.io');
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const { isStaff, getAccountRestriction } = require('../config/permissions');
+const { ACTIVE_SESSION_CONDITION } = require('./sessionService');
 
 /**
  * Service Socket.IO pour la messagerie en temps réel ChapChap
@@ -39,17 +41,26 @@ class SocketService {
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         
-        // Vérifier que l'utilisateur existe
+        // Vérifier que l'utilisateur existe et que la session n'a pas été révoquée
         const userResult = await db.query(
-          'SELECT id, first_name, last_name, email FROM users WHERE id = $1',
-          [decoded.userId]
+          `SELECT u.id, u.first_name, u.last_name, u.email, u.role, u.account_status, u.suspended_until
+           FROM users u
+           JOIN user_sessions s ON s.user_id = u.id
+           WHERE u.id = $1 AND s.id = $2 AND ${ACTIVE_SESSION_CONDITION}`,
+          [decoded.userId, decoded.sessionId || null]
         );
 
         if (userResult.rows.length === 0) {
-          return next(new Error('Utilisateur non trouvé'));
+          return next(new Error('Session expirée ou révoquée'));
+        }
+
+        const restriction = getAccountRestriction(userResult.rows[0]);
+        if (restriction) {
+          return next(new Error(restriction));
         }
 
         socket.userId = decoded.userId;
+        socket.sessionId = decoded.sessionId;
         socket.user = userResult.rows[0];
         next();
       } catch (error) {
@@ -82,6 +93,14 @@ class SocketService {
     
     // Rejoindre la room personnelle
     socket.join(`user_${userId}`);
+
+    // Room de la session, pour la déconnexion d'un seul appareil
+    socket.join(`session_${socket.sessionId}`);
+
+    // Les membres de l'équipe reçoivent les alertes de modération
+    if (isStaff(socket.user.role)) {
+      socket.join('admin_room');
+    }
     
     // Rejoindre les rooms des conversations actives
     this.joinUserConversations(socket, userId);
@@ -331,6 +350,28 @@ class SocketService {
     }
   }
 
+  /**
+   * Déconnecter de force un utilisateur (compte suspendu ou banni)
+   * @param {number} userId - ID de l'utilisateur
+   */
+  disconnectUser(userId) {
+    if (!this.io) return;
+
+    this.io.in(`user_${userId}`).disconnectSockets(true);
+  }
+
+  /**
+   * Déconnecter de force les sockets ouverts avec des sessions révoquées
+   * @param {Array} sessionIds - IDs des sessions
+   */
+  disconnectSessions(sessionIds) {
+    if (!this.io) return;
+
+    sessionIds.forEach(sessionId => {
+      this.io.in(`session_${sessionId}`).disconnectSockets(true);
+    });
+  }
+
   /**
    * Diffuser le statut d'un utilisateur
    * @param {number} userId - ID de l'utilisateur
@@ -1,73 +1,27 @@
 const db = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const socketService = require('./socketService');
+const {
+  PackageLifecycleService,
+  PACKAGE_STATUS,
+  STATUS_MESSAGES,
+  ALLOWED_TRANSITIONS,
+  ACTORS
+} = require('./packageLifecycleService');
+const {
+  DisputeService,
+  DISPUTE_TYPES,
+  DISPUTE_STATUS,
+  MESSAGE_TYPES
+} = require('./disputeService');
+const { RecipientService } = require('./recipientService');
 
 /**
  * Service de suivi des colis ChapChap
- * Gère les statuts, transitions et notifications
+ * Historique, litiges et statistiques ; les transitions de statut
+ * sont déléguées au cycle de vie des colis
  */
 
-// Statuts possibles des colis
-const PACKAGE_STATUS = {
-  REQUESTED: 'requested',        // 📥 Demandé
-  ACCEPTED: 'accepted',          // ✅ Accepté par un voyageur
-  PICKED_UP: 'picked_up',        // 📦 Pris en charge
-  IN_TRANSIT: 'in_transit',      // 🚚 En transit
-  ARRIVED: 'arrived',            // 📍 Arrivé à destination
-  DELIVERED: 'delivered',        // ✔️ Livré & confirmé
-  DISPUTED: 'disputed'           // ⚠️ Litige
-};
-
-// Transitions autorisées entre statuts
-const ALLOWED_TRANSITIONS = {
-  [PACKAGE_STATUS.REQUESTED]: [PACKAGE_STATUS.ACCEPTED, PACKAGE_STATUS.DISPUTED],
-  [PACKAGE_STATUS.ACCEPTED]: [PACKAGE_STATUS.PICKED_UP, PACKAGE_STATUS.DISPUTED],
-  [PACKAGE_STATUS.PICKED_UP]: [PACKAGE_STATUS.IN_TRANSIT, PACKAGE_STATUS.DISPUTED],
-  [PACKAGE_STATUS.IN_TRANSIT]: [PACKAGE_STATUS.ARRIVED, PACKAGE_STATUS.DISPUTED],
-  [PACKAGE_STATUS.ARRIVED]: [PACKAGE_STATUS.DELIVERED, PACKAGE_STATUS.DISPUTED],
-  [PACKAGE_STATUS.DELIVERED]: [PACKAGE_STATUS.DISPUTED],
-  [PACKAGE_STATUS.DISPUTED]: [] // Statut final, nécessite intervention manuelle
-};
-
-// Messages de statut pour les notifications
-const STATUS_MESSAGES = {
-  [PACKAGE_STATUS.REQUESTED]: {
-    icon: '📥',
-    title: 'Colis demandé',
-    description: 'Votre demande de transport a été créée'
-  },
-  [PACKAGE_STATUS.ACCEPTED]: {
-    icon: '✅',
-    title: 'Colis accepté',
-    description: 'Un voyageur a accepté de transporter votre colis'
-  },
-  [PACKAGE_STATUS.PICKED_UP]: {
-    icon: '📦',
-    title: 'Colis pris en charge',
-    description: 'Le voyageur a récupéré votre colis'
-  },
-  [PACKAGE_STATUS.IN_TRANSIT]: {
-    icon: '🚚',
-    title: 'Colis en transit',
-    description: 'Votre colis est en cours de transport'
-  },
-  [PACKAGE_STATUS.ARRIVED]: {
-    icon: '📍',
-    title: 'Colis arrivé',
-    description: 'Votre colis est arrivé à destination'
-  },
-  [PACKAGE_STATUS.DELIVERED]: {
-    icon: '✔️',
-    title: 'Colis livré',
-    description: 'Votre colis a été livré avec succès'
-  },
-  [PACKAGE_STATUS.DISPUTED]: {
-    icon: '⚠️',
-    title: 'Litige déclaré',
-    description: 'Un problème a été signalé pour ce colis'
-  }
-};
-
 class TrackingService {
   /**
    * Mettre à jour le statut d'un colis
@@ -78,200 +32,7 @@ class TrackingService {
    * @returns {Object} Résultat de la mise à jour
    */
   async updatePackageStatus(packageId, newStatus, userId, options = {}) {
-    const client = await db.getClient();
-    
-    try {
-      await client.query('BEGIN');
-      
-      // Récupérer les informations actuelles du colis
-      const packageQuery = `
-        SELECT p.*, t.traveler_id, t.departure_date, t.arrival_date,
-               u_sender.first_name as sender_name, u_sender.email as sender_email,
-               u_traveler.first_name as traveler_name, u_traveler.email as traveler_email
-        FROM packages p
-        JOIN trips t ON p.trip_id = t.id
-        JOIN users u_sender ON p.sender_id = u_sender.id
-        LEFT JOIN users u_traveler ON t.traveler_id = u_traveler.id
-        WHERE p.id = $1
-      `;
-      const packageResult = await client.query(packageQuery, [packageId]);
-      
-      if (packageResult.rows.length === 0) {
-        throw new Error('Colis non trouvé');
-      }
-      
-      const packageData = packageResult.rows[0];
-      const currentStatus = packageData.status;
-      
-      // Vérifier si la transition est autorisée
-      if (!this.isTransitionAllowed(currentStatus, newStatus)) {
-        throw new Error(`Transition non autorisée de ${currentStatus} vers ${newStatus}`);
-      }
-      
-      // Vérifier les permissions
-      if (!this.hasPermissionToUpdate(packageData, userId, newStatus)) {
-        throw new Error('Permission insuffisante pour cette action');
-      }
-      
-      // Mettre à jour le statut du colis
-      const updateQuery = `
-        UPDATE packages 
-        SET status = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING *
-      `;
-      const updateResult = await client.query(updateQuery, [newStatus, packageId]);
-      
-      // Créer un enregistrement de suivi
-      const trackingData = {
-        packageId,
-        status: newStatus,
-        userId,
-        notes: options.notes || null,
-        location: options.location || null,
-        photoPath: options.photoPath || null,
-        timestamp: new Date()
-      };
-      
-      const trackingId = await this.createTrackingRecord(client, trackingData);
-      
-      await client.query('COMMIT');
-      
-      // Envoyer les notifications via Socket.IO
-      await this.sendStatusNotifications(packageData, newStatus, trackingData);
-      
-      return {
-        success: true,
-        package: updateResult.rows[0],
-        tracking: { id: trackingId, ...trackingData },
-        message: STATUS_MESSAGES[newStatus]
-      };
-      
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
-    }
-  }
-  
-  /**
-   * Vérifier si une transition de statut est autorisée
-   * @param {string} currentStatus - Statut actuel
-   * @param {string} newStatus - Nouveau statut
-   * @returns {boolean} Transition autorisée
-   */
-  isTransitionAllowed(currentStatus, newStatus) {
-    if (!currentStatus) return newStatus === PACKAGE_STATUS.REQUESTED;
-    return ALLOWED_TRANSITIONS[currentStatus]?.includes(newStatus) || false;
-  }
-  
-  /**
-   * Vérifier les permissions pour mettre à jour un statut
-   * @param {Object} packageData - Données du colis
-   * @param {number} userId - ID de l'utilisateur
-   * @param {string} newStatus - Nouveau statut
-   * @returns {boolean} Permission accordée
-   */
-  hasPermissionToUpdate(packageData, userId, newStatus) {
-    const isOwner = packageData.sender_id === userId;
-    const isTraveler = packageData.traveler_id === userId;
-    
-    switch (newStatus) {
-      case PACKAGE_STATUS.ACCEPTED:
-      case PACKAGE_STATUS.PICKED_UP:
-      case PACKAGE_STATUS.IN_TRANSIT:
-      case PACKAGE_STATUS.ARRIVED:
-        return isTraveler;
-      
-      case PACKAGE_STATUS.DELIVERED:
-        return isOwner; // Seul l'expéditeur peut confirmer la livraison
-      
-      case PACKAGE_STATUS.DISPUTED:
-        return isOwner || isTraveler; // Les deux parties peuvent déclarer un litige
-      
-      default:
-        return false;
-    }
-  }
-  
-  /**
-   * Créer un enregistrement de suivi
-   * @param {Object} client - Client de base de données
-   * @param {Object} trackingData - Données de suivi
-   * @returns {number} ID de l'enregistrement créé
-   */
-  async createTrackingRecord(client, trackingData) {
-    const insertQuery = `
-      INSERT INTO package_tracking 
-      (package_id, status, user_id, notes, location, photo_path, created_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id
-    `;
-    
-    const result = await client.query(insertQuery, [
-      trackingData.packageId,
-      trackingData.status,
-      trackingData.userId,
-      trackingData.notes,
-      trackingData.location,
-      trackingData.photoPath,
-      trackingData.timestamp
-    ]);
-    
-    return result.rows[0].id;
-  }
-  
-  /**
-   * Envoyer les notifications de changement de statut
-   * @param {Object} packageData - Données du colis
-   * @param {string} newStatus - Nouveau statut
-   * @param {Object} trackingData - Données de suivi
-   */
-  async sendStatusNotifications(packageData, newStatus, trackingData) {
-    const statusInfo = STATUS_MESSAGES[newStatus];
-    
-    // Notification pour l'expéditeur
-    if (packageData.sender_id !== trackingData.userId) {
-      const senderNotification = {
-        type: 'package_status_update',
-        packageId: packageData.id,
-        status: newStatus,
-        title: statusInfo.title,
-        message: statusInfo.description,
-        icon: statusInfo.icon,
-        timestamp: trackingData.timestamp,
-        data: {
-          packageTitle: packageData.title,
-          trackingId: trackingData.id
-        }
-      };
-      
-      if (socketService) {
-        socketService.sendSystemNotification(packageData.sender_id, senderNotification);
-      }
-    }
-    
-    // Notification pour le voyageur
-    if (packageData.traveler_id && packageData.traveler_id !== trackingData.userId) {
-      const travelerNotification = {
-        type: 'package_status_update',
-        packageId: packageData.id,
-        status: newStatus,
-        title: statusInfo.title,
-        message: statusInfo.description,
-        icon: statusInfo.icon,
-        timestamp: trackingData.timestamp,
-        data: {
-          packageTitle: packageData.title,
-          trackingId: trackingData.id
-        }
-      };
-      
-      if (socketService) {
-        socketService.sendSystemNotification(packageData.traveler_id, travelerNotification);
-      }
-    }
+    return PackageLifecycleService.transition(packageId, newStatus, userId, options);
   }
   
   /**
@@ -325,6 +86,61 @@ class TrackingService {
     }));
   }
   
+  /**
+   * Suivi public d'un colis, ouvert par le lien envoyé au destinataire
+   * Ni adresse, ni prix, ni coordonnées : étapes, trajet et prénoms seulement
+   * @param {string} token - Jeton du lien de suivi
+   * @returns {Object} Suivi du colis
+   */
+  async getPublicTracking(token) {
+    const packageId = await RecipientService.findPackageIdByToken(token);
+
+    if (!packageId) {
+      const error = new Error('Lien de suivi invalide ou expiré');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const packageResult = await db.query(
+      `SELECT p.id, p.title, p.status, p.updated_at,
+              t.departure_city, t.departure_country, t.destination_city, t.destination_country,
+              t.departure_date, t.arrival_date,
+              sender.first_name as sender_first_name, traveler.first_name as traveler_first_name
+       FROM packages p
+       JOIN trips t ON p.trip_id = t.id
+       JOIN users sender ON p.sender_id = sender.id
+       JOIN users traveler ON t.traveler_id = traveler.id
+       WHERE p.id = $1`,
+      [packageId]
+    );
+    const pkg = packageResult.rows[0];
+
+    const historyResult = await db.query(
+      'SELECT status, created_at FROM package_tracking WHERE package_id = $1 ORDER BY created_at ASC',
+      [packageId]
+    );
+
+    return {
+      title: pkg.title,
+      status: pkg.status,
+      statusInfo: STATUS_MESSAGES[pkg.status],
+      route: {
+        departure: { city: pkg.departure_city, country: pkg.departure_country },
+        destination: { city: pkg.destination_city, country: pkg.destination_country },
+        departureDate: pkg.departure_date,
+        arrivalDate: pkg.arrival_date
+      },
+      senderFirstName: pkg.sender_first_name,
+      travelerFirstName: pkg.traveler_first_name,
+      history: historyResult.rows.map(record => ({
+        status: record.status,
+        statusInfo: STATUS_MESSAGES[record.status],
+        timestamp: record.created_at
+      })),
+      updatedAt: pkg.updated_at
+    };
+  }
+
   /**
    * Déclarer un litige
    * @param {number} packageId - ID du colis
@@ -338,29 +154,48 @@ class TrackingService {
     try {
       await client.query('BEGIN');
       
-      // Mettre à jour le statut du colis
-      await this.updatePackageStatus(packageId, PACKAGE_STATUS.DISPUTED, userId, {
-        notes: `Litige déclaré: ${disputeData.reason}`
+      // Mettre à jour le statut du colis dans la même transaction
+      const transition = await PackageLifecycleService.transition(packageId, PACKAGE_STATUS.DISPUTED, userId, {
+        notes: `Litige déclaré: ${disputeData.reason}`,
+        client
       });
       
-      // Créer l'enregistrement de litige
+      // Créer l'enregistrement de litige, avec le statut à rétablir s'il est classé sans suite
       const disputeQuery = `
         INSERT INTO package_disputes 
-        (package_id, reporter_id, reason, description, evidence_photos, created_at)
-        VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+        (package_id, reporter_id, reason, description, evidence_photos, dispute_type,
+         previous_package_status, assignment_due_at, resolution_due_at, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
         RETURNING id
       `;
       
+      const deadlines = DisputeService.getSlaDeadlines();
       const disputeResult = await client.query(disputeQuery, [
         packageId,
         userId,
         disputeData.reason,
         disputeData.description,
-        JSON.stringify(disputeData.evidencePhotos || [])
+        JSON.stringify(disputeData.evidencePhotos || []),
+        disputeData.type || DISPUTE_TYPES.OTHER,
+        transition.previousStatus,
+        deadlines.assignmentDueAt,
+        deadlines.resolutionDueAt
       ]);
       
+      // La déclaration du plaignant ouvre le fil du litige
+      await DisputeService.insertMessage(client, {
+        disputeId: disputeResult.rows[0].id,
+        authorId: userId,
+        authorRole: transition.parties.senderId === userId ? ACTORS.SENDER : ACTORS.TRAVELER,
+        type: MESSAGE_TYPES.STATEMENT,
+        body: disputeData.description || disputeData.reason,
+        attachments: disputeData.evidencePhotos || []
+      });
+      
       await client.query('COMMIT');
       
+      await PackageLifecycleService.notifyTransition(transition);
+      
       // Envoyer des notifications via Socket.IO
       if (socketService) {
         socketService.notifyDisputeCreated({
@@ -394,9 +229,9 @@ class TrackingService {
     const statsQuery = `
       SELECT 
         COUNT(*) as total_packages,
-        COUNT(CASE WHEN p.status = 'delivered' THEN 1 END) as delivered_packages,
+        COUNT(CASE WHEN p.status IN ('delivered', 'confirmed') THEN 1 END) as delivered_packages,
         COUNT(CASE WHEN p.status = 'disputed' THEN 1 END) as disputed_packages,
-        COUNT(CASE WHEN p.status IN ('in_transit', 'arrived') THEN 1 END) as active_packages
+        COUNT(CASE WHEN p.status IN ('picked_up', 'in_transit', 'arrived') THEN 1 END) as active_packages
       FROM packages p
       JOIN trips t ON p.trip_id = t.id
       WHERE p.sender_id = $1 OR t.traveler_id = $1
@@ -409,6 +244,8 @@ class TrackingService {
 
 module.exports = {
   TrackingService: new TrackingService(),
+  DISPUTE_TYPES,
+  DISPUTE_STATUS,
   PACKAGE_STATUS,
   STATUS_MESSAGES,
   ALLOWED_TRANSITIONS
@@ -0,0 +1,606 @@
+const db = require('../config/database');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { CurrencyService } = require('./currencyService');
+const { GeographyService, placeCondition } = require('./geographyService');
+const { isSupportedCurrency } = require('../config/currencies');
+
+/**
+ * Recherches enregistrées et alertes de voyages
+ * L'expéditeur enregistre ses critères (trajet, fenêtre de départ, kilos minimum,
+ * prix maximum par kg) au lieu de relancer la recherche. Les voyages créés ou dont
+ * la capacité change sont comparés aux recherches actives, et chaque voyage qui
+ * convient n'est signalé qu'une fois à un expéditeur, tout de suite ou dans son
+ * résumé quotidien (push, email et Socket.IO).
+ */
+
+const ALERT_DELIVERIES = {
+  INSTANT: 'instant', // Dès qu'un voyage convient
+  DIGEST: 'digest'    // Un résumé par jour
+};
+
+const MAX_SAVED_SEARCHES = 10;
+
+// Balayage des voyages créés ou modifiés depuis le passage précédent
+const ALERT_JOB_INTERVAL = 5 * 60 * 1000; // 5 minutes
+// Marge du balayage : une transaction ouverte avant le passage précédent est tout de même vue
+const SWEEP_MARGIN_MS = 2 * 60 * 1000;
+
+// Heure d'envoi des résumés quotidiens (heure du serveur de base de données)
+const parsedDigestHour = parseInt(process.env.TRIP_ALERT_DIGEST_HOUR);
+const DIGEST_HOUR = parsedDigestHour >= 0 && parsedDigestHour <= 23 ? parsedDigestHour : 8;
+
+// Voyages détaillés dans une alerte (les suivants sont seulement comptés)
+const MAX_ALERT_TRIPS = 10;
+
+const alertError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// Colonnes lues d'une recherche (dates en texte pour éviter tout décalage de fuseau)
+const SEARCH_COLUMNS = `
+  id, user_id, name, departure_country, departure_city, destination_country, destination_city,
+  departure_country_code, departure_city_id, destination_country_code, destination_city_id,
+  to_char(departure_from, 'YYYY-MM-DD') as departure_from, to_char(departure_to, 'YYYY-MM-DD') as departure_to,
+  min_weight, max_price_per_kg, currency, delivery, is_active, created_at, updated_at
+`;
+
+// Voyages signalés, avec le tronçon retenu et l'expéditeur à prévenir
+const MATCH_SUMMARY_QUERY = `
+  SELECT
+    m.id as match_id, m.user_id, m.saved_search_id, m.matched_at, m.notified_at, s.name as search_name,
+    t.id as trip_id, t.available_weight, t.price_per_kg, t.currency,
+    (t.status = 'active' AND COALESCE(o.departure_date, t.departure_date) >= CURRENT_DATE) as is_open,
+    COALESCE(o.country, t.departure_country) as departure_country,
+    COALESCE(o.city, t.departure_city) as departure_city,
+    COALESCE(d.country, t.destination_country) as destination_country,
+    COALESCE(d.city, t.destination_city) as destination_city,
+    to_char(COALESCE(o.departure_date, t.departure_date), 'YYYY-MM-DD') as departure_date,
+    to_char(COALESCE(d.arrival_date, t.arrival_date), 'YYYY-MM-DD') as arrival_date,
+    traveler.first_name as traveler_first_name,
+    sender.email as sender_email, sender.first_name as sender_first_name
+  FROM saved_search_matches m
+  JOIN saved_searches s ON s.id = m.saved_search_id
+  JOIN trips t ON t.id = m.trip_id
+  JOIN users traveler ON traveler.id = t.traveler_id
+  JOIN users sender ON sender.id = m.user_id
+  LEFT JOIN trip_stops o ON o.id = m.origin_stop_id
+  LEFT JOIN trip_stops d ON d.id = m.destination_stop_id
+`;
+
+const formatSavedSearch = (search) => ({
+  id: search.id,
+  name: search.name,
+  departureCountry: search.departure_country,
+  departureCity: search.departure_city,
+  departureCountryCode: search.departure_country_code,
+  departureCityId: search.departure_city_id,
+  destinationCountry: search.destination_country,
+  destinationCity: search.destination_city,
+  destinationCountryCode: search.destination_country_code,
+  destinationCityId: search.destination_city_id,
+  departureFrom: search.departure_from,
+  departureTo: search.departure_to,
+  minWeight: hasValue(search.min_weight) ? parseFloat(search.min_weight) : null,
+  maxPricePerKg: hasValue(search.max_price_per_kg) ? parseFloat(search.max_price_per_kg) : null,
+  currency: search.currency,
+  delivery: search.delivery,
+  isActive: search.is_active,
+  ...(hasValue(search.match_count) && {
+    matchCount: parseInt(search.match_count),
+    pendingCount: parseInt(search.pending_count)
+  }),
+  createdAt: search.created_at,
+  updatedAt: search.updated_at
+});
+
+const formatMatchedTrip = (match) => ({
+  tripId: match.trip_id,
+  savedSearchId: match.saved_search_id,
+  searchName: match.search_name,
+  departureCountry: match.departure_country,
+  departureCity: match.departure_city,
+  destinationCountry: match.destination_country,
+  destinationCity: match.destination_city,
+  departureDate: match.departure_date,
+  arrivalDate: match.arrival_date,
+  availableWeight: parseFloat(match.available_weight),
+  pricePerKg: parseFloat(match.price_per_kg),
+  currency: match.currency,
+  travelerFirstName: match.traveler_first_name,
+  isOpen: match.is_open,
+  matchedAt: match.matched_at,
+  notifiedAt: match.notified_at
+});
+
+// Champs d'une recherche (nom API -> colonne)
+const SEARCH_FIELDS = {
+  name: 'name',
+  departureCountry: 'departure_country',
+  departureCity: 'departure_city',
+  destinationCountry: 'destination_country',
+  destinationCity: 'destination_city',
+  departureFrom: 'departure_from',
+  departureTo: 'departure_to',
+  minWeight: 'min_weight',
+  maxPricePerKg: 'max_price_per_kg',
+  currency: 'currency',
+  delivery: 'delivery',
+  isActive: 'is_active'
+};
+
+// Codes du référentiel géographique, déduits des lieux saisis
+const PLACE_CODE_COLUMNS = ['departure_country_code', 'departure_city_id', 'destination_country_code', 'destination_city_id'];
+const STORED_SEARCH_COLUMNS = [...Object.values(SEARCH_FIELDS), ...PLACE_CODE_COLUMNS];
+
+class TripAlertService {
+  constructor() {
+    this.timer = null;
+    this.lastSweepAt = null;
+  }
+
+  /**
+   * Valider des critères de recherche et les convertir en colonnes
+   * @param {Object} data - Recherche au format de l'API
+   * @returns {Object} Colonnes saved_searches
+   */
+  normalizeSearch(data) {
+    const text = (value) => (hasValue(value) && String(value).trim() ? String(value).trim() : null);
+    const date = (value) => (value ? String(value).slice(0, 10) : null);
+    const amount = (value) => (hasValue(value) && value !== '' ? parseFloat(value) : null);
+
+    const search = {
+      name: text(data.name),
+      departure_country: text(data.departureCountry),
+      departure_city: text(data.departureCity),
+      destination_country: text(data.destinationCountry),
+      destination_city: text(data.destinationCity),
+      departure_from: date(data.departureFrom),
+      departure_to: date(data.departureTo),
+      min_weight: amount(data.minWeight),
+      max_price_per_kg: amount(data.maxPricePerKg),
+      currency: data.currency,
+      delivery: data.delivery || ALERT_DELIVERIES.INSTANT,
+      is_active: data.isActive !== false
+    };
+
+    if (!search.departure_country && !search.departure_city &&
+        !search.destination_country && !search.destination_city) {
+      throw alertError('Indiquez au moins un départ ou une destination', 400);
+    }
+
+    if (search.departure_from && search.departure_to && search.departure_to < search.departure_from) {
+      throw alertError('La fin de la fenêtre de départ doit suivre son début', 400);
+    }
+
+    // Une recherche dont la fenêtre est passée peut encore être désactivée
+    if (search.is_active && search.departure_to && search.departure_to < new Date().toISOString().slice(0, 10)) {
+      throw alertError('La fenêtre de départ est déjà passée', 400);
+    }
+
+    if ((search.min_weight !== null && !(search.min_weight > 0)) ||
+        (search.max_price_per_kg !== null && !(search.max_price_per_kg > 0))) {
+      throw alertError('Le poids minimum et le prix maximum doivent être positifs', 400);
+    }
+
+    if (!isSupportedCurrency(search.currency)) {
+      throw alertError('Devise invalide', 400);
+    }
+
+    if (!Object.values(ALERT_DELIVERIES).includes(search.delivery)) {
+      throw alertError('Mode d\'envoi des alertes invalide', 400);
+    }
+
+    // Lieux rapprochés du référentiel géographique (lieux inconnus comparés en texte libre)
+    const departure = GeographyService.resolvePlace({ country: search.departure_country, city: search.departure_city });
+    const destination = GeographyService.resolvePlace({ country: search.destination_country, city: search.destination_city });
+    Object.assign(search, {
+      departure_country_code: departure.countryCode,
+      departure_city_id: departure.cityId,
+      destination_country_code: destination.countryCode,
+      destination_city_id: destination.cityId
+    });
+
+    return search;
+  }
+
+  /**
+   * Recherches enregistrées d'un expéditeur, avec le nombre de voyages signalés
+   * @param {number} userId - Expéditeur
+   * @returns {Array} Recherches
+   */
+  async listSearches(userId) {
+    const result = await db.query(
+      `SELECT ${SEARCH_COLUMNS},
+              (SELECT COUNT(*) FROM saved_search_matches m WHERE m.saved_search_id = s.id) as match_count,
+              (SELECT COUNT(*) FROM saved_search_matches m
+               WHERE m.saved_search_id = s.id AND m.notified_at IS NULL) as pending_count
+       FROM saved_searches s
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    return result.rows.map(formatSavedSearch);
+  }
+
+  /**
+   * Obtenir une recherche de l'expéditeur
+   * @param {number} userId - Expéditeur
+   * @param {number} searchId - ID de la recherche
+   * @returns {Object} Ligne saved_searches
+   */
+  async getOwnedSearch(userId, searchId) {
+    const result = await db.query(
+      `SELECT ${SEARCH_COLUMNS} FROM saved_searches WHERE id = $1 AND user_id = $2`,
+      [searchId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw alertError('Recherche enregistrée non trouvée', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Enregistrer une recherche
+   * Les voyages qui conviennent déjà sont notés sans alerte : l'expéditeur vient
+   * de les voir, seuls les nouveaux voyages et la capacité libérée sont signalés
+   * @param {number} userId - Expéditeur
+   * @param {Object} data - Recherche au format de l'API
+   * @returns {Object} Recherche et nombre de voyages qui conviennent déjà
+   */
+  async createSearch(userId, data) {
+    const search = this.normalizeSearch(data);
+
+    const countResult = await db.query('SELECT COUNT(*) as total FROM saved_searches WHERE user_id = $1', [userId]);
+    if (parseInt(countResult.rows[0].total) >= MAX_SAVED_SEARCHES) {
+      throw alertError(`Vous ne pouvez pas enregistrer plus de ${MAX_SAVED_SEARCHES} recherches`, 409);
+    }
+
+    const columns = STORED_SEARCH_COLUMNS;
+    const result = await db.query(
+      `INSERT INTO saved_searches (user_id, ${columns.join(', ')})
+       VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')})
+       RETURNING ${SEARCH_COLUMNS}`,
+      [userId, ...columns.map(column => search[column])]
+    );
+
+    const saved = result.rows[0];
+    const { matched } = await this.matchTrips({ savedSearchId: saved.id, silent: true });
+
+    return { search: formatSavedSearch(saved), currentMatches: matched };
+  }
+
+  /**
+   * Modifier une recherche (les voyages déjà signalés ne le sont pas à nouveau)
+   * @param {number} userId - Expéditeur
+   * @param {number} searchId - ID de la recherche
+   * @param {Object} changes - Champs modifiés (null efface un critère)
+   * @returns {Object} Recherche et nombre de voyages qui conviennent déjà
+   */
+  async updateSearch(userId, searchId, changes) {
+    const current = await this.getOwnedSearch(userId, searchId);
+
+    const merged = formatSavedSearch(current);
+    Object.keys(SEARCH_FIELDS).forEach(field => {
+      if (changes[field] !== undefined) merged[field] = changes[field];
+    });
+
+    const search = this.normalizeSearch(merged);
+    const columns = STORED_SEARCH_COLUMNS;
+
+    const result = await db.query(
+      `UPDATE saved_searches
+       SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')},
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${columns.length + 1}
+       RETURNING ${SEARCH_COLUMNS}`,
+      [...columns.map(column => search[column]), searchId]
+    );
+
+    const { matched } = await this.matchTrips({ savedSearchId: searchId, silent: true });
+
+    return { search: formatSavedSearch(result.rows[0]), currentMatches: matched };
+  }
+
+  /**
+   * Supprimer une recherche et ses voyages signalés
+   * @param {number} userId - Expéditeur
+   * @param {number} searchId - ID de la recherche
+   */
+  async deleteSearch(userId, searchId) {
+    await this.getOwnedSearch(userId, searchId);
+    await db.query('DELETE FROM saved_searches WHERE id = $1', [searchId]);
+  }
+
+  /**
+   * Voyages signalés pour une recherche, du plus récent au plus ancien
+   * @param {number} userId - Expéditeur
+   * @param {number} searchId - ID de la recherche
+   * @returns {Array} Voyages signalés
+   */
+  async getMatches(userId, searchId) {
+    await this.getOwnedSearch(userId, searchId);
+
+    const result = await db.query(
+      `${MATCH_SUMMARY_QUERY}
+       WHERE m.saved_search_id = $1
+       ORDER BY m.matched_at DESC`,
+      [searchId]
+    );
+
+    return result.rows.map(formatMatchedTrip);
+  }
+
+  /**
+   * Comparer des voyages aux recherches actives et enregistrer les nouveaux voyages qui conviennent
+   * Le départ et la destination cherchés peuvent être deux étapes quelconques de l'itinéraire
+   * @param {Object} filters - tripIds, updatedSince (voyages modifiés depuis), savedSearchId
+   * @param {boolean} filters.silent - Noter les voyages comme déjà signalés, sans alerte
+   * @returns {Object} Nombre de voyages trouvés et d'expéditeurs prévenus
+   */
+  async matchTrips({ tripIds, updatedSince, savedSearchId, silent = false }) {
+    const conditions = [];
+    const params = [];
+
+    if (tripIds) {
+      params.push(tripIds);
+      conditions.push(`t.id = ANY($${params.length}::int[])`);
+    }
+
+    if (updatedSince) {
+      params.push(updatedSince);
+      conditions.push(`t.updated_at >= $${params.length}`);
+    }
+
+    if (savedSearchId) {
+      params.push(savedSearchId);
+      conditions.push(`s.id = $${params.length}`);
+    }
+
+    const result = await db.query(
+      `SELECT s.id as saved_search_id, s.user_id, s.max_price_per_kg, s.currency as search_currency,
+              t.id as trip_id, t.price_per_kg, t.currency, seg.origin_stop_id, seg.destination_stop_id
+       FROM saved_searches s
+       JOIN trips t ON t.traveler_id <> s.user_id
+       JOIN LATERAL (
+         SELECT o.id as origin_stop_id, d.id as destination_stop_id
+         FROM trip_stops o
+         JOIN trip_stops d ON d.trip_id = o.trip_id AND d.position > o.position
+         WHERE o.trip_id = t.id
+           AND o.departure_date >= CURRENT_DATE
+           AND (s.departure_country IS NULL OR ${placeCondition(
+             { code: 'o.country_code', text: 'o.country' }, { code: 's.departure_country_code', text: 's.departure_country' })})
+           AND (s.departure_city IS NULL OR ${placeCondition(
+             { code: 'o.city_id', text: 'o.city' }, { code: 's.departure_city_id', text: 's.departure_city' })})
+           AND (s.destination_country IS NULL OR ${placeCondition(
+             { code: 'd.country_code', text: 'd.country' }, { code: 's.destination_country_code', text: 's.destination_country' })})
+           AND (s.destination_city IS NULL OR ${placeCondition(
+             { code: 'd.city_id', text: 'd.city' }, { code: 's.destination_city_id', text: 's.destination_city' })})
+           AND (s.departure_from IS NULL OR o.departure_date >= s.departure_from)
+           AND (s.departure_to IS NULL OR o.departure_date <= s.departure_to)
+         ORDER BY o.position ASC, d.position DESC
+         LIMIT 1
+       ) seg ON TRUE
+       WHERE s.is_active = TRUE
+         AND t.status = 'active'
+         AND t.available_weight > 0
+         AND (s.min_weight IS NULL OR t.available_weight >= s.min_weight)
+         AND NOT EXISTS (
+           SELECT 1 FROM saved_search_matches m WHERE m.user_id = s.user_id AND m.trip_id = t.id
+         )
+         ${conditions.map(condition => `AND ${condition}`).join(' ')}
+       ORDER BY s.id`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return { matched: 0, notified: 0 };
+    }
+
+    // Le prix maximum est exprimé dans la devise de la recherche (voyages sans taux de change écartés)
+    const converters = new Map();
+    for (const currency of new Set(result.rows.map(row => row.search_currency))) {
+      converters.set(currency, await CurrencyService.getConverter(currency));
+    }
+
+    // Un voyage n'est retenu qu'une fois par expéditeur, même s'il convient à plusieurs recherches
+    const seen = new Set();
+    const candidates = result.rows.filter(row => {
+      const key = `${row.user_id}:${row.trip_id}`;
+      if (seen.has(key)) return false;
+
+      if (hasValue(row.max_price_per_kg)) {
+        const price = converters.get(row.search_currency)(parseFloat(row.price_per_kg), row.currency);
+        if (price === null || price > parseFloat(row.max_price_per_kg)) return false;
+      }
+
+      seen.add(key);
+      return true;
+    });
+
+    if (candidates.length === 0) {
+      return { matched: 0, notified: 0 };
+    }
+
+    const inserted = await db.query(
+      `INSERT INTO saved_search_matches (saved_search_id, user_id, trip_id, origin_stop_id, destination_stop_id, notified_at)
+       SELECT saved_search_id, user_id, trip_id, origin_stop_id, destination_stop_id,
+              CASE WHEN $6 THEN CURRENT_TIMESTAMP END
+       FROM unnest($1::int[], $2::int[], $3::int[], $4::int[], $5::int[])
+         AS c(saved_search_id, user_id, trip_id, origin_stop_id, destination_stop_id)
+       ON CONFLICT (user_id, trip_id) DO NOTHING
+       RETURNING id`,
+      [
+        candidates.map(row => row.saved_search_id),
+        candidates.map(row => row.user_id),
+        candidates.map(row => row.trip_id),
+        candidates.map(row => row.origin_stop_id),
+        candidates.map(row => row.destination_stop_id),
+        silent
+      ]
+    );
+
+    const matchIds = inserted.rows.map(row => row.id);
+    const notified = silent || matchIds.length === 0 ? 0 : await this.sendInstantAlerts(matchIds);
+
+    return { matched: matchIds.length, notified };
+  }
+
+  /**
+   * Prévenir tout de suite les expéditeurs en mode immédiat
+   * La mise à jour sert de verrou : deux instances ne préviennent pas deux fois
+   * @param {Array} matchIds - Voyages signalés à l'instant
+   * @returns {number} Nombre d'expéditeurs prévenus
+   */
+  async sendInstantAlerts(matchIds) {
+    const claimed = await db.query(
+      `UPDATE saved_search_matches m
+       SET notified_at = CURRENT_TIMESTAMP
+       FROM saved_searches s
+       WHERE s.id = m.saved_search_id
+         AND m.id = ANY($1::int[])
+         AND m.notified_at IS NULL
+         AND s.delivery = $2
+       RETURNING m.id`,
+      [matchIds, ALERT_DELIVERIES.INSTANT]
+    );
+
+    return this.deliverAlerts(claimed.rows.map(row => row.id), { digest: false });
+  }
+
+  /**
+   * Envoyer les résumés quotidiens une fois l'heure d'envoi passée
+   * Le résumé reprend les voyages trouvés avant l'heure d'envoi du jour et encore ouverts
+   * @returns {number} Nombre d'expéditeurs prévenus
+   */
+  async sendDigests() {
+    const claimed = await db.query(
+      `UPDATE saved_search_matches m
+       SET notified_at = CURRENT_TIMESTAMP
+       FROM saved_searches s
+       WHERE s.id = m.saved_search_id
+         AND m.notified_at IS NULL
+         AND s.delivery = $1
+         AND s.is_active = TRUE
+         AND LOCALTIMESTAMP >= date_trunc('day', LOCALTIMESTAMP) + make_interval(hours => $2)
+         AND m.matched_at < date_trunc('day', LOCALTIMESTAMP) + make_interval(hours => $2)
+       RETURNING m.id`,
+      [ALERT_DELIVERIES.DIGEST, DIGEST_HOUR]
+    );
+
+    return this.deliverAlerts(claimed.rows.map(row => row.id), { digest: true });
+  }
+
+  /**
+   * Envoyer les alertes, regroupées par expéditeur (voyages partis ou complets omis)
+   * @param {Array} matchIds - Voyages signalés réservés pour l'envoi
+   * @param {Object} options - digest : résumé quotidien
+   * @returns {number} Nombre d'expéditeurs prévenus
+   */
+  async deliverAlerts(matchIds, { digest }) {
+    if (matchIds.length === 0) return 0;
+
+    const result = await db.query(
+      `${MATCH_SUMMARY_QUERY}
+       WHERE m.id = ANY($1::int[])
+       ORDER BY m.user_id, departure_date`,
+      [matchIds]
+    );
+
+    const byUser = new Map();
+    result.rows
+      .filter(match => match.is_open)
+      .forEach(match => {
+        if (!byUser.has(match.user_id)) byUser.set(match.user_id, []);
+        byUser.get(match.user_id).push(match);
+      });
+
+    for (const [userId, matches] of byUser) {
+      await this.notifyUser(userId, matches, { digest });
+    }
+
+    return byUser.size;
+  }
+
+  /**
+   * Prévenir un expéditeur par push et Socket.IO, puis par email
+   * @param {number} userId - Expéditeur
+   * @param {Array} matches - Lignes MATCH_SUMMARY_QUERY
+   * @param {Object} options - digest : résumé quotidien
+   */
+  async notifyUser(userId, matches, { digest }) {
+    const trips = matches.slice(0, MAX_ALERT_TRIPS).map(formatMatchedTrip);
+    const alert = { trips, total: matches.length, digest };
+
+    try {
+      await notificationService.notifyTripAlert(userId, alert);
+    } catch (error) {
+      console.error('⚠️ Erreur notification d\'alerte de voyage:', error.message);
+    }
+
+    const { sender_email: email, sender_first_name: firstName } = matches[0];
+    try {
+      await emailService.sendTripAlertEmail(email, firstName, alert);
+    } catch (error) {
+      console.error('⚠️ Erreur envoi email d\'alerte de voyage:', error.message);
+    }
+  }
+
+  /**
+   * Démarrer le job des alertes (une exécution immédiate puis toutes les 5 minutes)
+   * Il rattrape les voyages générés par les modèles et la capacité libérée
+   * (refus, annulations, blocages expirés), qui modifient updated_at du voyage
+   */
+  start() {
+    if (this.timer) return;
+
+    const runSafely = () => this.run().catch(error => {
+      console.error('❌ Erreur du job des alertes de voyages:', error.message);
+    });
+
+    runSafely();
+    this.timer = setInterval(runSafely, ALERT_JOB_INTERVAL).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Exécuter une passe : voyages créés ou modifiés depuis le passage précédent, puis résumés
+   * @returns {Object} Voyages trouvés et expéditeurs prévenus
+   */
+  async run() {
+    const startedAt = new Date();
+    const previous = this.lastSweepAt ? this.lastSweepAt.getTime() : startedAt.getTime() - ALERT_JOB_INTERVAL;
+    const since = new Date(previous - SWEEP_MARGIN_MS);
+
+    const { matched, notified } = await this.matchTrips({ updatedSince: since });
+    this.lastSweepAt = startedAt;
+
+    const digested = await this.sendDigests();
+
+    if (matched > 0 || digested > 0) {
+      console.log(`🔔 Alertes de voyages: ${matched} voyage(s) trouvé(s), ${notified + digested} expéditeur(s) prévenu(s)`);
+    }
+
+    return { matched, notified, digested };
+  }
+}
+
+module.exports = {
+  TripAlertService: new TripAlertService(),
+  ALERT_DELIVERIES,
+  MAX_SAVED_SEARCHES,
+  formatSavedSearch
+};
@@ -0,0 +1,469 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { roleRequiresTwoFactor } = require('../config/permissions');
+const { PACKAGE_STATUS } = require('./packageLifecycleService');
+
+/**
+ * Service de double authentification (TOTP, RFC 6238)
+ * Génération et vérification locales des codes, codes de secours et
+ * jeton de challenge de la connexion en deux étapes
+ */
+
+const TOTP_PERIOD = 30; // secondes
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // pas de temps tolérés avant et après (décalage d'horloge)
+
+const BACKUP_CODES_COUNT = 10;
+
+// Durée de validité du jeton de challenge entre les deux étapes de connexion
+const CHALLENGE_TOKEN_TTL = '5m';
+const CHALLENGE_PURPOSE = 'two_factor_challenge';
+
+// Livraisons effectuées au-delà desquelles un voyageur doit activer la 2FA
+const TWO_FACTOR_DELIVERY_THRESHOLD = parseInt(process.env.TWO_FACTOR_DELIVERY_THRESHOLD) || 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const twoFactorError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.toUpperCase().replace(/=+$/, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Secret base32 invalide');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Clé de chiffrement des secrets TOTP (JWT_SECRET par défaut)
+const getEncryptionKey = () => {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+// Le secret est chiffré en base (AES-256-GCM) : "iv:tag:données" en hexadécimal
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashBackupCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHmac('sha256', getEncryptionKey()).update(normalized).digest('hex');
+};
+
+class TwoFactorService {
+  /**
+   * Générer un nouveau secret TOTP (160 bits, encodé en base32)
+   * @returns {string} Secret base32
+   */
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Construire l'URI otpauth:// lue par les applications d'authentification
+   * @param {string} email - Compte de l'utilisateur
+   * @param {string} secret - Secret base32
+   * @returns {string} URI otpauth
+   */
+  getOtpauthUri(email, secret) {
+    const issuer = process.env.APP_NAME || 'Chapchap';
+    const label = encodeURIComponent(`${issuer}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Calculer le code HOTP d'un compteur (RFC 4226)
+   * @param {string} secret - Secret base32
+   * @param {number} counter - Compteur (pas de temps pour le TOTP)
+   * @returns {string} Code à 6 chiffres
+   */
+  generateCode(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Vérifier un code TOTP dans la fenêtre de tolérance
+   * Un pas de temps déjà utilisé est refusé pour empêcher le rejeu
+   * @param {string} secret - Secret base32
+   * @param {string} code - Code saisi
+   * @param {number|null} lastCounter - Dernier pas de temps accepté
+   * @returns {number|null} Pas de temps accepté, ou null si le code est invalide
+   */
+  verifyTotp(secret, code, lastCounter = null) {
+    const normalized = String(code).replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const currentCounter = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+      const counter = currentCounter + drift;
+      if (lastCounter !== null && counter <= lastCounter) continue;
+
+      const expected = this.generateCode(secret, counter);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return counter;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Démarrer l'activation : enregistrer un secret en attente de confirmation
+   * @param {Object} user - Utilisateur (req.user)
+   * @returns {Object} Secret et URI otpauth à afficher en QR code
+   */
+  async startEnrollment(user) {
+    const current = await this.getUserTwoFactor(db, user.userId);
+
+    if (current.two_factor_enabled) {
+      throw twoFactorError('La double authentification est déjà activée', 400);
+    }
+
+    const secret = this.generateSecret();
+
+    await db.query(
+      `UPDATE users SET two_factor_secret = $1, two_factor_last_counter = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [encryptSecret(secret), user.userId]
+    );
+
+    return {
+      secret,
+      otpauthUri: this.getOtpauthUri(user.email, secret)
+    };
+  }
+
+  /**
+   * Activer la 2FA après saisie d'un premier code valide
+   * @param {number} userId - ID de l'utilisateur
+   * @param {string} code - Code TOTP
+   * @returns {Array} Codes de secours, affichés une seule fois
+   */
+  async activate(userId, code) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await this.getUserTwoFactor(client, userId, true);
+
+      if (current.two_factor_enabled) {
+        throw twoFactorError('La double authentification est déjà activée', 400);
+      }
+
+      if (!current.two_factor_secret) {
+        throw twoFactorError('Aucune activation en cours. Recommencez l\'enrôlement.', 400);
+      }
+
+      const counter = this.verifyTotp(decryptSecret(current.two_factor_secret), code);
+      if (counter === null) {
+        throw twoFactorError('Code de vérification invalide', 400, 'INVALID_TWO_FACTOR_CODE');
+      }
+
+      await client.query(
+        `UPDATE users
+         SET two_factor_enabled = true, two_factor_enabled_at = NOW(), two_factor_last_counter = $1,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [counter, userId]
+      );
+
+      const backupCodes = await this.replaceBackupCodes(client, userId);
+
+      await client.query('COMMIT');
+
+      console.log(`🔐 Double authentification activée pour l'utilisateur ${userId}`);
+
+      return backupCodes;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Vérifier un code TOTP ou un code de secours (consommé s'il est valide)
+   * @param {number} userId - ID de l'utilisateur
+   * @param {string} code - Code saisi
+   * @returns {Object} Méthode utilisée et codes de secours restants
+   */
+  async verifyCode(userId, code) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await this.getUserTwoFactor(client, userId, true);
+
+      if (!current.two_factor_enabled) {
+        throw twoFactorError('La double authentification n\'est pas activée', 400);
+      }
+
+      let method = null;
+
+      const counter = this.verifyTotp(
+        decryptSecret(current.two_factor_secret),
+        code,
+        current.two_factor_last_counter === null ? null : parseInt(current.two_factor_last_counter)
+      );
+
+      if (counter !== null) {
+        await client.query(
+          'UPDATE users SET two_factor_last_counter = $1 WHERE id = $2',
+          [counter, userId]
+        );
+        method = 'totp';
+      } else {
+        const backupResult = await client.query(
+          `UPDATE user_backup_codes SET used_at = NOW()
+           WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+           RETURNING id`,
+          [userId, hashBackupCode(code)]
+        );
+
+        if (backupResult.rows.length > 0) {
+          method = 'backup_code';
+        }
+      }
+
+      if (!method) {
+        throw twoFactorError('Code de vérification invalide', 401, 'INVALID_TWO_FACTOR_CODE');
+      }
+
+      const remaining = await this.countBackupCodes(client, userId);
+
+      await client.query('COMMIT');
+
+      if (method === 'backup_code') {
+        console.log(`🔐 Code de secours utilisé par l'utilisateur ${userId} (${remaining} restant(s))`);
+      }
+
+      return { method, backupCodesRemaining: remaining };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Désactiver la 2FA (refusé si elle est obligatoire pour ce compte)
+   * @param {Object} user - Utilisateur (req.user)
+   * @param {string} code - Code TOTP ou de secours
+   */
+  async disable(user, code) {
+    if (await this.isTwoFactorRequired(user)) {
+      throw twoFactorError('La double authentification est obligatoire pour votre compte', 403);
+    }
+
+    await this.verifyCode(user.userId, code);
+
+    await db.query(
+      `UPDATE users
+       SET two_factor_enabled = false, two_factor_secret = NULL, two_factor_enabled_at = NULL,
+           two_factor_last_counter = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [user.userId]
+    );
+    await db.query('DELETE FROM user_backup_codes WHERE user_id = $1', [user.userId]);
+
+    console.log(`🔓 Double authentification désactivée pour l'utilisateur ${user.userId}`);
+  }
+
+  /**
+   * Régénérer les codes de secours (les anciens sont invalidés)
+   * @param {number} userId - ID de l'utilisateur
+   * @param {string} code - Code TOTP ou de secours
+   * @returns {Array} Nouveaux codes de secours
+   */
+  async regenerateBackupCodes(userId, code) {
+    await this.verifyCode(userId, code);
+    return this.replaceBackupCodes(db, userId);
+  }
+
+  /**
+   * Remplacer les codes de secours d'un utilisateur
+   * @param {Object} client - Client de base de données ou de transaction
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {Array} Codes en clair au format xxxx-xxxx
+   */
+  async replaceBackupCodes(client, userId) {
+    const codes = Array.from({ length: BACKUP_CODES_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await client.query('DELETE FROM user_backup_codes WHERE user_id = $1', [userId]);
+
+    for (const code of codes) {
+      await client.query(
+        'INSERT INTO user_backup_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, hashBackupCode(code)]
+      );
+    }
+
+    return codes;
+  }
+
+  async countBackupCodes(client, userId) {
+    const result = await client.query(
+      'SELECT COUNT(*) as total FROM user_backup_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    return parseInt(result.rows[0].total);
+  }
+
+  /**
+   * Obtenir l'état de la 2FA d'un utilisateur
+   * @param {Object} user - Utilisateur (req.user)
+   * @returns {Object} Activation, obligation et codes de secours restants
+   */
+  async getStatus(user) {
+    const current = await this.getUserTwoFactor(db, user.userId);
+
+    return {
+      enabled: current.two_factor_enabled,
+      enabledAt: current.two_factor_enabled_at,
+      required: await this.isTwoFactorRequired(user),
+      backupCodesRemaining: current.two_factor_enabled ? await this.countBackupCodes(db, user.userId) : 0
+    };
+  }
+
+  /**
+   * Déterminer si la 2FA est obligatoire : administrateurs et voyageurs
+   * ayant livré au moins TWO_FACTOR_DELIVERY_THRESHOLD colis
+   * @param {Object} user - Utilisateur (userId ou id, role)
+   * @returns {boolean}
+   */
+  async isTwoFactorRequired(user) {
+    if (roleRequiresTwoFactor(user.role)) {
+      return true;
+    }
+
+    const result = await db.query(
+      `SELECT COUNT(*) as total
+       FROM packages p
+       JOIN trips t ON p.trip_id = t.id
+       WHERE t.traveler_id = $1 AND p.status = ANY($2)`,
+      [user.userId || user.id, [PACKAGE_STATUS.DELIVERED, PACKAGE_STATUS.CONFIRMED]]
+    );
+
+    return parseInt(result.rows[0].total) >= TWO_FACTOR_DELIVERY_THRESHOLD;
+  }
+
+  /**
+   * Émettre le jeton de challenge de la première étape de connexion
+   * Il ne donne accès à aucune route : il n'est rattaché à aucune session
+   * @param {Object} user - Utilisateur (id, email)
+   * @returns {string} JWT de challenge
+   */
+  createChallenge(user) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, purpose: CHALLENGE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Vérifier un jeton de challenge
+   * @param {string} challengeToken - JWT de challenge
+   * @returns {number} ID de l'utilisateur
+   */
+  verifyChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+      if (decoded.purpose !== CHALLENGE_PURPOSE) {
+        throw new Error('Jeton de challenge invalide');
+      }
+      return decoded.userId;
+    } catch (error) {
+      throw twoFactorError('Challenge expiré ou invalide. Veuillez vous reconnecter.', 401, 'INVALID_CHALLENGE');
+    }
+  }
+
+  async getUserTwoFactor(client, userId, forUpdate = false) {
+    const result = await client.query(
+      `SELECT two_factor_secret, two_factor_enabled, two_factor_enabled_at, two_factor_last_counter
+       FROM users WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw twoFactorError('Utilisateur non trouvé', 404);
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = {
+  TwoFactorService: new TwoFactorService(),
+  CHALLENGE_TOKEN_TTL,
+  TWO_FACTOR_DELIVERY_THRESHOLD
+};
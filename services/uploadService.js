@@ -1,11 +1,18 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
 // Créer le dossier uploads s'il n'existe pas
 const uploadsDir = path.join(__dirname, '../uploads');
 const documentsDir = path.join(uploadsDir, 'documents');
+const handoverPhotosDir = path.join(uploadsDir, 'handovers');
+const evidencePhotosDir = path.join(uploadsDir, 'disputes');
+
+// Photos de preuve acceptées par envoi : sinistre, message ou déclaration de litige
+const MAX_CLAIM_EVIDENCE = 10;
+const MAX_DISPUTE_EVIDENCE = 5;
 
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
@@ -15,6 +22,14 @@ if (!fs.existsSync(documentsDir)) {
   fs.mkdirSync(documentsDir, { recursive: true });
 }
 
+if (!fs.existsSync(handoverPhotosDir)) {
+  fs.mkdirSync(handoverPhotosDir, { recursive: true });
+}
+
+if (!fs.existsSync(evidencePhotosDir)) {
+  fs.mkdirSync(evidencePhotosDir, { recursive: true });
+}
+
 // Configuration du stockage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -62,6 +77,58 @@ const uploadDocuments = upload.fields([
   { name: 'drivingLicense', maxCount: 1 }
 ]);
 
+// Photos des remises de colis : preuves réservées à l'expéditeur et au voyageur
+const handoverUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, handoverPhotosDir);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/jpg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Type de fichier non autorisé. Formats acceptés: JPG, PNG, WEBP'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max
+    files: 1
+  }
+});
+
+// Middleware pour upload de la photo d'une remise de colis
+const uploadHandoverPhoto = handoverUpload.single('photo');
+
+// Photos de preuve des sinistres et des litiges (champ "evidence")
+const evidenceUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, evidencePhotosDir);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/jpg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Type de fichier non autorisé. Formats acceptés: JPG, PNG, WEBP'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB max par photo
+  }
+});
+
+// Middlewares pour upload des photos de preuve d'un sinistre ou d'un litige
+const uploadClaimEvidence = evidenceUpload.array('evidence', MAX_CLAIM_EVIDENCE);
+const uploadDisputeEvidence = evidenceUpload.array('evidence', MAX_DISPUTE_EVIDENCE);
+
 // Middleware pour gérer les erreurs d'upload
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -106,8 +173,64 @@ const deleteFile = (filename) => {
   }
 };
 
+// Message d'erreur d'un upload de photos de preuve (maxCount : photos par envoi)
+const getEvidenceUploadError = (error, maxCount) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return 'Photo trop volumineuse. Taille maximum: 10MB';
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'evidence') {
+      return `Trop de photos. Maximum ${maxCount} photos par envoi`;
+    }
+    return 'Champ de fichier inattendu (photos attendues dans le champ "evidence")';
+  }
+
+  if (error.message.includes('Type de fichier non autorisé')) {
+    return error.message;
+  }
+
+  return null;
+};
+
+// Fonction pour supprimer les photos de preuve d'un envoi refusé
+const deleteEvidencePhotos = (files = []) => {
+  files.forEach(file => {
+    try {
+      const filePath = path.join(evidencePhotosDir, path.basename(file.filename));
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (error) {
+      console.error('❌ Erreur suppression photo de preuve:', error);
+    }
+  });
+};
+
+// Chemin enregistré d'une photo de preuve (relatif à la racine de l'API)
+const getEvidencePath = (file) => `uploads/disputes/${path.basename(file.path)}`;
+
+// URL d'une photo de preuve, servie par la route du litige ou du sinistre (ex. /disputes/12)
+const getEvidenceUrl = (resourcePath, photo) => {
+  if (!photo || !photo.path) return null;
+  return `${process.env.API_URL || 'http://localhost:3000'}/api${resourcePath}/evidence/${encodeURIComponent(path.basename(photo.path))}`;
+};
+
+// Fonction pour supprimer la photo d'une remise refusée
+const deleteHandoverPhoto = (filename) => {
+  try {
+    const filePath = path.join(handoverPhotosDir, path.basename(filename));
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (error) {
+    console.error('❌ Erreur suppression photo de remise:', error);
+  }
+};
+
 // Fonction pour valider les documents uploadés
-const validateDocuments = (files) => {
+// Les informations de chaque document sont envoyées dans les champs
+// "<type>IssuingCountry", "<type>Number" et "<type>ExpiresAt" (ex. passportExpiresAt)
+const validateDocuments = (files, body = {}) => {
   const errors = [];
   const validatedDocs = {};
   
@@ -133,12 +256,24 @@ const validateDocuments = (files) => {
         return;
       }
       
+      const { errors: detailErrors, details } = parseDocumentDetails({
+        issuingCountry: body[`${type}IssuingCountry`],
+        documentNumber: body[`${type}Number`],
+        expiresAt: body[`${type}ExpiresAt`]
+      });
+      
+      if (detailErrors.length > 0) {
+        detailErrors.forEach(error => errors.push(`${type}: ${error}`));
+        return;
+      }
+      
       validatedDocs[type] = {
         filename: file.filename,
         originalName: file.originalname,
         mimetype: file.mimetype,
         size: file.size,
-        path: file.path
+        path: file.path,
+        details
       };
     }
   });
@@ -146,10 +281,119 @@ const validateDocuments = (files) => {
   return { errors, validatedDocs };
 };
 
-// Fonction pour obtenir l'URL publique d'un document
-const getDocumentUrl = (filename) => {
-  if (!filename) return null;
-  return `${process.env.API_URL || 'http://localhost:3000'}/uploads/documents/${filename}`;
+// Fonction pour hacher un numéro de document (jamais stocké en clair)
+const hashDocumentNumber = (documentNumber) => {
+  const normalized = String(documentNumber).toUpperCase().replace(/[\s-]/g, '');
+  const secret = process.env.DOCUMENT_HASH_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(normalized).digest('hex');
+};
+
+// Fonction pour valider les informations d'un document
+// (pays de délivrance ISO à 2 lettres, numéro, date d'expiration future)
+const parseDocumentDetails = ({ issuingCountry, documentNumber, expiresAt }) => {
+  const errors = [];
+  const details = {};
+
+  if (issuingCountry) {
+    const country = String(issuingCountry).trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(country)) {
+      errors.push('Pays de délivrance invalide (code ISO à 2 lettres attendu)');
+    } else {
+      details.issuingCountry = country;
+    }
+  }
+
+  if (documentNumber) {
+    if (!/^[A-Za-z0-9\s-]{4,30}$/.test(String(documentNumber).trim())) {
+      errors.push('Numéro de document invalide');
+    } else {
+      details.documentNumberHash = hashDocumentNumber(documentNumber);
+    }
+  }
+
+  if (expiresAt) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) {
+      errors.push('Date d\'expiration invalide');
+    } else if (date <= new Date()) {
+      errors.push('Le document est déjà expiré');
+    } else {
+      details.expiresAt = date.toISOString().slice(0, 10);
+    }
+  }
+
+  return { errors, details };
+};
+
+// Fonction pour obtenir l'URL d'un document (servi par l'API, jamais en statique)
+const getDocumentUrl = (documentType) => {
+  if (!documentType) return null;
+  return `${process.env.API_URL || 'http://localhost:3000'}/api/documents/${documentType}/file`;
+};
+
+// Fonction pour envoyer le fichier d'un document d'identité au client
+const sendDocumentFile = (res, document) => {
+  const options = {
+    root: documentsDir,
+    dotfiles: 'deny',
+    headers: {
+      'Content-Type': document.mimetype,
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(document.original_name)}`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    }
+  };
+
+  // Seul le nom de fichier est utilisé : aucun chemin ne peut sortir du dossier
+  res.sendFile(path.basename(document.filename), options, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        error: 'Fichier du document introuvable'
+      });
+    }
+  });
+};
+
+// Envoyer la photo d'une remise (même protections que les documents d'identité)
+const sendHandoverPhoto = (res, filename) => {
+  const options = {
+    root: handoverPhotosDir,
+    dotfiles: 'deny',
+    headers: {
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    }
+  };
+
+  res.sendFile(path.basename(filename), options, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        error: 'Photo de remise introuvable'
+      });
+    }
+  });
+};
+
+// Envoyer une photo de preuve de litige ou de sinistre (même protections que les documents d'identité)
+const sendEvidencePhoto = (res, photo) => {
+  const options = {
+    root: evidencePhotosDir,
+    dotfiles: 'deny',
+    headers: {
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(photo.originalName || path.basename(photo.path))}`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    }
+  };
+
+  res.sendFile(path.basename(photo.path), options, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: 'Photo de preuve introuvable'
+      });
+    }
+  });
 };
 
 // Fonction pour nettoyer les anciens fichiers (à exécuter périodiquement)
@@ -200,15 +444,50 @@ const VERIFICATION_STATUS = {
   EXPIRED: 'expired'
 };
 
+// Politique de vérification d'identité : documents acceptés et nombre minimum approuvé
+const VERIFICATION_POLICY = {
+  acceptedTypes: ['passport', 'nationalId', 'drivingLicense'],
+  minimumApproved: 1
+};
+
+// Condition SQL d'un document approuvé et toujours valide
+const VALID_DOCUMENT_CONDITION = `verification_status = 'approved' AND (expires_at IS NULL OR expires_at >= CURRENT_DATE)`;
+
+// Fonction pour vérifier si des documents approuvés satisfont la politique
+const isVerificationPolicySatisfied = (approvedTypes) => {
+  const accepted = approvedTypes.filter(type => VERIFICATION_POLICY.acceptedTypes.includes(type));
+  return accepted.length >= VERIFICATION_POLICY.minimumApproved;
+};
+
 module.exports = {
   uploadDocuments,
+  uploadHandoverPhoto,
+  uploadClaimEvidence,
+  uploadDisputeEvidence,
   handleUploadError,
+  getEvidenceUploadError,
   deleteFile,
+  deleteHandoverPhoto,
+  deleteEvidencePhotos,
+  getEvidencePath,
+  getEvidenceUrl,
   validateDocuments,
+  parseDocumentDetails,
+  hashDocumentNumber,
   getDocumentUrl,
+  sendDocumentFile,
+  sendHandoverPhoto,
+  sendEvidencePhoto,
   cleanupOldFiles,
+  isVerificationPolicySatisfied,
   DOCUMENT_TYPES,
   VERIFICATION_STATUS,
+  VERIFICATION_POLICY,
+  VALID_DOCUMENT_CONDITION,
+  MAX_CLAIM_EVIDENCE,
+  MAX_DISPUTE_EVIDENCE,
   uploadsDir,
+  handoverPhotosDir,
+  evidencePhotosDir,
   documentsDir
 };
\ No newline at end of file
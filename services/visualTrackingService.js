@@ -1,6 +1,8 @@
 const db = require('../config/database');
 const socketService = require('./socketService');
 const notificationService = require('./notificationService');
+const { PackageLifecycleService, PACKAGE_STATUS } = require('./packageLifecycleService');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
 
 /**
  * Service pour l'interface de suivi visuel des colis
@@ -25,8 +27,9 @@ class VisualTrackingService {
 
       // Vérifier que le colis existe et que l'utilisateur a les permissions
       const packageQuery = `
-        SELECT p.*, u.first_name, u.last_name
+        SELECT p.*, t.traveler_id, u.first_name, u.last_name
         FROM packages p
+        JOIN trips t ON p.trip_id = t.id
         JOIN users u ON p.sender_id = u.id
         WHERE p.id = $1
       `;
@@ -38,10 +41,10 @@ class VisualTrackingService {
 
       const packageData = packageResult.rows[0];
       
-      // Vérifier les permissions (expéditeur, voyageur ou admin)
+      // Vérifier les permissions (expéditeur, voyageur ou équipe support)
       if (packageData.sender_id !== userId && 
           packageData.traveler_id !== userId && 
-          userId !== 'admin') {
+          !(await this.canManagePackages(client, userId))) {
         throw new Error('Permission refusée');
       }
 
@@ -61,16 +64,24 @@ class VisualTrackingService {
 
       const trackingStep = result.rows[0];
 
-      // Mettre à jour le statut du colis si nécessaire
-      if (this.shouldUpdatePackageStatus(status)) {
-        await client.query(
-          'UPDATE packages SET status = $1, updated_at = NOW() WHERE id = $2',
-          [status, packageId]
-        );
+      // Faire avancer le cycle de vie du colis si l'étape correspond à un nouveau statut
+      let transition = null;
+      if (this.shouldUpdatePackageStatus(status, packageData.status)) {
+        transition = await PackageLifecycleService.transition(packageId, status, userId, {
+          notes: description,
+          location,
+          photoPath: photoUrl,
+          client
+        });
+        packageData.status = status;
       }
 
       await client.query('COMMIT');
 
+      if (transition) {
+        await PackageLifecycleService.notifyTransition(transition);
+      }
+
       // Notifier les parties concernées
       await this.notifyTrackingUpdate(packageData, trackingStep);
 
@@ -95,6 +106,17 @@ class VisualTrackingService {
     }
   }
 
+  /**
+   * Vérifier qu'un membre de l'équipe peut intervenir sur les colis des autres
+   * @param {Object} client - Client de base de données
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {boolean}
+   */
+  async canManagePackages(client, userId) {
+    const result = await client.query('SELECT role FROM users WHERE id = $1', [userId]);
+    return result.rows.length > 0 && hasPermission(result.rows[0].role, PERMISSIONS.PACKAGES_MANAGE);
+  }
+
   /**
    * Obtenir la timeline complète d'un colis
    * @param {number} packageId - ID du colis
@@ -419,14 +441,16 @@ class VisualTrackingService {
    */
   calculateProgress(status) {
     const progressMap = {
-      'pending': 10,
-      'accepted': 25,
-      'picked_up': 50,
-      'in_transit': 75,
-      'delivered': 100,
-      'confirmed': 100,
-      'cancelled': 0,
-      'disputed': 50
+      [PACKAGE_STATUS.PENDING]: 10,
+      [PACKAGE_STATUS.ACCEPTED]: 25,
+      [PACKAGE_STATUS.PICKED_UP]: 40,
+      [PACKAGE_STATUS.IN_TRANSIT]: 60,
+      [PACKAGE_STATUS.ARRIVED]: 80,
+      [PACKAGE_STATUS.DELIVERED]: 90,
+      [PACKAGE_STATUS.CONFIRMED]: 100,
+      [PACKAGE_STATUS.REJECTED]: 0,
+      [PACKAGE_STATUS.CANCELLED]: 0,
+      [PACKAGE_STATUS.DISPUTED]: 50
     };
     
     return progressMap[status] || 0;
@@ -435,14 +459,12 @@ class VisualTrackingService {
   /**
    * Déterminer si le statut doit mettre à jour le statut du colis
    * @param {string} status - Statut de l'étape
+   * @param {string} currentStatus - Statut actuel du colis
    * @returns {boolean} True si le statut du colis doit être mis à jour
    */
-  shouldUpdatePackageStatus(status) {
-    const statusesToUpdate = [
-      'picked_up', 'in_transit', 'delivered', 'confirmed', 'cancelled'
-    ];
-    
-    return statusesToUpdate.includes(status);
+  shouldUpdatePackageStatus(status, currentStatus) {
+    // Les étapes libres (photo, douane...) ou répétées n'affectent pas le cycle de vie
+    return Object.values(PACKAGE_STATUS).includes(status) && status !== currentStatus;
   }
 
   /**